@@ -5,11 +5,14 @@ import {
   mkdirSync,
   readFileSync,
   writeFileSync,
+  copyFileSync,
   existsSync,
   openSync,
+  readSync,
   fsyncSync,
   closeSync,
   renameSync,
+  statSync,
   unlinkSync,
 } from 'fs';
 
@@ -17,20 +20,129 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const DB_PATH = process.env.DB_PATH || join(__dirname, 'data', 'cardlistcompare.db');
 const TMP_PATH = `${DB_PATH}.tmp`;
 const BAK_PATH = `${DB_PATH}.bak`;
+// Rollback copy of the last sql.js-era file, kept by the one-shot WAL migration
+const SQLJS_BAK_PATH = `${DB_PATH}.sqljs.bak`;
+
+/**
+ * Storage engine. 'sqlite' (default) is a file-backed better-sqlite3 database in
+ * WAL mode: every statement commits incrementally, nothing is held in memory.
+ * 'sqljs' is the original in-memory engine that rewrites the whole file on every
+ * persist() — kept as a rollback path. Both sit behind the same get/all/run.
+ */
+const DB_ENGINE = process.env.DB_ENGINE === 'sqljs' ? 'sqljs' : 'sqlite';
 
 mkdirSync(dirname(DB_PATH), { recursive: true });
 
 let db;
 
-/**
- * Load the database, trying the live file first and falling back to the backup
- * or a leftover temp file if the live file is missing or malformed. Returns a
- * fresh empty database only when nothing loadable exists. This is the recovery
- * half of the atomic-write scheme in persist(): a torn/absent file never wipes
- * the instance as long as one good copy survives.
- */
 const SQLITE_MAGIC = 'SQLite format 3\0';
 
+// sql.js and better-sqlite3 both bind numbers/strings/null; normalize the rest
+// the same way for both so a query can't behave differently per engine.
+function bindable(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function sqlJsEngine(database) {
+  return {
+    name: 'sqljs',
+    run(sql, params = []) {
+      database.run(sql, params.map(bindable));
+      const lastInsertRowid = database.exec('SELECT last_insert_rowid() as id')[0]?.values[0]?.[0];
+      return { lastInsertRowid, changes: database.getRowsModified() };
+    },
+    all(sql, params = []) {
+      const stmt = database.prepare(sql);
+      if (params.length) stmt.bind(params.map(bindable));
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      stmt.free();
+      return rows;
+    },
+    serialize: () => Buffer.from(database.export()),
+    /**
+     * sql.js has no incremental write, so every call serializes the full file —
+     * but it does so atomically: write to a temp file, fsync it, then rename
+     * over the live path. rename(2) is atomic on a POSIX filesystem, so a crash
+     * (SIGKILL, OOM, power loss) at any instant leaves the live file either
+     * fully old or fully new — never truncated. See audit C3.
+     */
+    persist() {
+      writeFileAtomic(DB_PATH, TMP_PATH, Buffer.from(database.export()));
+    },
+    close() {
+      database.close();
+    },
+  };
+}
+
+function fileEngine(database) {
+  return {
+    name: 'sqlite',
+    run(sql, params = []) {
+      const stmt = database.prepare(sql);
+      const bound = params.map(bindable);
+      // PRAGMAs and the like return rows; better-sqlite3 refuses run() on those
+      if (stmt.reader) {
+        stmt.all(bound);
+        return { lastInsertRowid: undefined, changes: 0 };
+      }
+      const info = stmt.run(bound);
+      return { lastInsertRowid: Number(info.lastInsertRowid), changes: info.changes };
+    },
+    all(sql, params = []) {
+      const stmt = database.prepare(sql);
+      const bound = params.map(bindable);
+      if (!stmt.reader) {
+        stmt.run(bound);
+        return [];
+      }
+      return stmt.all(bound);
+    },
+    serialize: () => database.serialize(),
+    // Each statement is already durably committed to the WAL (synchronous=FULL)
+    persist() {},
+    close() {
+      // Fold the WAL back into the main file so the .db alone is complete again
+      database.pragma('wal_checkpoint(TRUNCATE)');
+      database.close();
+    },
+  };
+}
+
+function writeFileAtomic(path, tmpPath, data) {
+  const fd = openSync(tmpPath, 'w');
+  try {
+    writeFileSync(fd, data);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  renameSync(tmpPath, path);
+}
+
+// Cheap structural check before handing a file to either driver. A WAL-mode
+// live file can legitimately be short while its -wal sidecar holds the pages.
+function checkHeader(path, { allowWal = false } = {}) {
+  const size = statSync(path).size;
+  if (allowWal && existsSync(`${path}-wal`) && statSync(`${path}-wal`).size > 0 && size === 0) return;
+  if (size === 0) throw new Error('file is empty');
+  const header = Buffer.alloc(16);
+  const fd = openSync(path, 'r');
+  try {
+    readSync(fd, header, 0, 16, 0);
+  } finally {
+    closeSync(fd);
+  }
+  if (size < 512 || header.toString('latin1') !== SQLITE_MAGIC) {
+    throw new Error('not a SQLite database (bad header)');
+  }
+}
+
 /**
  * Load one candidate file, or throw if it is not a usable database.
  * sql.js happily accepts an EMPTY buffer and returns a valid, blank database —
@@ -39,17 +151,29 @@ const SQLITE_MAGIC = 'SQLite format 3\0';
  * destroying everything. Check the header and read the schema to be sure.
  */
 function openCandidate(SQL, path) {
-  const buf = readFileSync(path);
-  if (buf.length === 0) throw new Error('file is empty');
-  if (buf.length < 512 || buf.subarray(0, 16).toString('latin1') !== SQLITE_MAGIC) {
-    throw new Error('not a SQLite database (bad header)');
-  }
-  const database = new SQL.Database(buf);
+  checkHeader(path);
+  const database = new SQL.Database(readFileSync(path));
   // Actually read the schema — a valid header can still front a truncated file.
   database.exec('SELECT count(*) FROM sqlite_master');
   return database;
 }
 
+function refuseToStart() {
+  // A file exists but nothing loadable did — do NOT overwrite it with an empty
+  // DB; surface it so an operator can recover manually.
+  throw new Error(
+    `Database file ${DB_PATH} exists but could not be loaded, and no usable backup was found. ` +
+      'Refusing to start to avoid overwriting it. Inspect the file / restore a backup.'
+  );
+}
+
+/**
+ * Load the database, trying the live file first and falling back to the backup
+ * or a leftover temp file if the live file is missing or malformed. Returns a
+ * fresh empty database only when nothing loadable exists. This is the recovery
+ * half of the atomic-write scheme in persist(): a torn/absent file never wipes
+ * the instance as long as one good copy survives.
+ */
 function loadDatabase(SQL) {
   for (const path of [DB_PATH, BAK_PATH, TMP_PATH]) {
     if (!existsSync(path)) continue;
@@ -63,21 +187,104 @@ function loadDatabase(SQL) {
       console.error(`Could not load database from ${path}: ${err.message}`);
     }
   }
-  if (existsSync(DB_PATH)) {
-    // A file exists but nothing loadable did — do NOT overwrite it with an empty
-    // DB on the next persist(); surface it so an operator can recover manually.
-    throw new Error(
-      `Database file ${DB_PATH} exists but could not be loaded, and no usable backup was found. ` +
-        'Refusing to start to avoid overwriting it. Inspect the file / restore a backup.'
-    );
-  }
+  if (existsSync(DB_PATH)) refuseToStart();
   return new SQL.Database();
 }
 
-export async function initDb() {
-  const SQL = await initSqlJs();
+/**
+ * The file-engine twin of loadDatabase(): same candidates, same order, same
+ * refusal. A fallback copy is first moved into place (the unreadable live file
+ * is kept aside as .corrupt-<time>, and its now-foreign WAL sidecars dropped),
+ * because better-sqlite3 opens files where they lie rather than loading bytes.
+ */
+function openFileDatabase(Database) {
+  const live = existsSync(DB_PATH);
+  for (const path of [DB_PATH, BAK_PATH, TMP_PATH]) {
+    if (!existsSync(path)) continue;
+    try {
+      checkHeader(path, { allowWal: path === DB_PATH });
+      const probe = new Database(path, { readonly: true, fileMustExist: true });
+      try {
+        // Actually read the schema — a valid header can still front a truncated file.
+        probe.prepare('SELECT count(*) FROM sqlite_master').get();
+      } finally {
+        probe.close();
+      }
+    } catch (err) {
+      console.error(`Could not load database from ${path}: ${err.message}`);
+      continue;
+    }
+    if (path !== DB_PATH) {
+      if (live) renameSync(DB_PATH, `${DB_PATH}.corrupt-${Date.now()}`);
+      for (const sidecar of [`${DB_PATH}-wal`, `${DB_PATH}-shm`]) {
+        if (existsSync(sidecar)) unlinkSync(sidecar);
+      }
+      copyFileSync(path, DB_PATH);
+      console.warn(`Recovered database from ${path} (live file was missing or unreadable)`);
+    }
+    return new Database(DB_PATH);
+  }
+  if (live) refuseToStart();
+  return new Database(DB_PATH);
+}
+
+async function openEngine() {
+  if (DB_ENGINE === 'sqljs') {
+    const SQL = await initSqlJs();
+    return sqlJsEngine(loadDatabase(SQL));
+  }
+
+  const { default: Database } = await import('better-sqlite3');
+  const database = openFileDatabase(Database);
+  // One-shot migration: a file last written by sql.js is an ordinary
+  // rollback-journal SQLite file, so it opens as-is — it only needs switching
+  // to WAL (a persistent, in-file setting). Keep the pre-migration bytes as a
+  // rollback copy for DB_ENGINE=sqljs, which can't read a WAL database.
+  if (database.pragma('journal_mode', { simple: true }) !== 'wal') {
+    if (database.prepare('SELECT count(*) AS n FROM sqlite_master').get().n > 0) {
+      copyFileSync(DB_PATH, SQLJS_BAK_PATH);
+      console.log(`Migrated ${DB_PATH} to WAL mode (sql.js copy kept at ${SQLJS_BAK_PATH})`);
+    }
+    database.pragma('journal_mode = WAL');
+  }
+  // FULL: a commit is on disk when run() returns — the same promise persist() made
+  database.pragma('synchronous = FULL');
+  database.pragma('busy_timeout = 5000');
+  return fileEngine(database);
+}
+
+/**
+ * Run a multi-statement migration or repair as one transaction: all of it
+ * commits, or — if it throws — none of it does. The file engine commits every
+ * statement on its own, so without this a crash mid-migration would leave a
+ * table half rebuilt (sql.js only ever wrote whole snapshots, which hid that).
+ * SQLite ignores PRAGMA foreign_keys inside a transaction — set it around the
+ * call, not in `fn`.
+ */
+function migrate(fn) {
+  db.run('BEGIN');
+  try {
+    fn();
+    db.run('COMMIT');
+  } catch (err) {
+    db.run('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Writes that must land together (a replace-import, a merge of two entries) as
+ * one transaction. `fn` writes through the `write(sql, params)` it is handed,
+ * which skips the per-statement persist; the batch is persisted once after the
+ * COMMIT, or rolled back whole if `fn` throws.
+ */
+export function transaction(fn) {
+  migrate(() => fn((sql, params) => db.run(sql, params)));
+  persist();
+}
 
-  db = loadDatabase(SQL);
+export async function initDb() {
+  db = await openEngine();
 
   db.run('PRAGMA foreign_keys = ON');
 
@@ -403,9 +610,52 @@ export async function initDb() {
       quantity INTEGER NOT NULL DEFAULT 1,
       is_foil INTEGER NOT NULL DEFAULT 0,
       created_at TEXT NOT NULL DEFAULT (datetime('now')),
-      UNIQUE(user_id, card_name, set_code, collector_number, is_foil)
+      condition TEXT,
+      language TEXT,
+      purchase_price REAL,
+      acquired_at TEXT,
+      location TEXT
     )
   `);
+
+  // Migration: condition, language, purchase price, acquisition date and a
+  // free-form location (binder, box) per collection entry. The same printing
+  // can now sit in two binders or two conditions, so the old table-level
+  // UNIQUE(user_id, card_name, set_code, collector_number, is_foil) has to go —
+  // a rebuild, as for tracked_decks below. The upsert in routes/collection.js
+  // matches on the printing plus condition/language/location instead. Runs
+  // once — the rebuilt table has a location column.
+  const collectionCols = new Set(all('PRAGMA table_info(collection_cards)').map(c => c.name));
+  if (!collectionCols.has('location')) {
+    db.run('PRAGMA foreign_keys = OFF');
+    migrate(() => {
+      db.run(`
+        CREATE TABLE collection_cards_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          card_name TEXT NOT NULL,
+          set_code TEXT,
+          collector_number TEXT,
+          quantity INTEGER NOT NULL DEFAULT 1,
+          is_foil INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          condition TEXT,
+          language TEXT,
+          purchase_price REAL,
+          acquired_at TEXT,
+          location TEXT
+        )
+      `);
+      const copyCols = all('PRAGMA table_info(collection_cards_new)')
+        .map(c => c.name)
+        .filter(c => collectionCols.has(c))
+        .join(', ');
+      db.run(`INSERT INTO collection_cards_new (${copyCols}) SELECT ${copyCols} FROM collection_cards`);
+      db.run('DROP TABLE collection_cards');
+      db.run('ALTER TABLE collection_cards_new RENAME TO collection_cards');
+    });
+    db.run('PRAGMA foreign_keys = ON');
+  }
   db.run('CREATE INDEX IF NOT EXISTS idx_collection_user ON collection_cards(user_id)');
   db.run('CREATE INDEX IF NOT EXISTS idx_collection_name ON collection_cards(user_id, card_name)');
 
@@ -540,15 +790,75 @@ export async function initDb() {
     // Column already exists — ignore
   }
 
+  // Migration: provider-agnostic deck sources. A tracked deck is identified by
+  // (source_site, source_id) — Archidekt, Moxfield, TappedOut, Deckstats,
+  // MTGGoldfish — and no longer needs a tracked owner. SQLite can't relax NOT
+  // NULL or drop a table-level UNIQUE in place, so this one rebuilds the table
+  // (create-copy-drop-rename). Foreign keys MUST be off around the DROP: with
+  // them on, dropping tracked_decks cascade-deletes every snapshot, tag and
+  // share. Runs once — the rebuilt table has a nullable tracked_owner_id.
+  const ownerCol = all('PRAGMA table_info(tracked_decks)').find(c => c.name === 'tracked_owner_id');
+  if (ownerCol?.notnull) {
+    const oldCols = new Set(all('PRAGMA table_info(tracked_decks)').map(c => c.name));
+    db.run('PRAGMA foreign_keys = OFF');
+    migrate(() => {
+      db.run(`
+        CREATE TABLE tracked_decks_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          tracked_owner_id INTEGER REFERENCES tracked_owners(id) ON DELETE CASCADE,
+          archidekt_deck_id INTEGER,
+          source_site TEXT NOT NULL DEFAULT 'archidekt',
+          source_id TEXT,
+          deck_name TEXT NOT NULL,
+          deck_url TEXT,
+          last_refreshed_at TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          commanders TEXT,
+          notify_on_change INTEGER NOT NULL DEFAULT 0,
+          last_notified_at TEXT,
+          discord_webhook_url TEXT,
+          notes TEXT,
+          pinned INTEGER NOT NULL DEFAULT 0,
+          auto_refresh_hours INTEGER,
+          price_alert_threshold REAL,
+          last_known_price REAL,
+          paper_snapshot_id INTEGER,
+          last_known_budget_price REAL,
+          price_alert_mode TEXT DEFAULT 'specific',
+          price_alert_baseline REAL,
+          price_alert_baseline_budget REAL,
+          mpc_art_overrides TEXT
+        )
+      `);
+      const newCols = all('PRAGMA table_info(tracked_decks_new)').map(c => c.name);
+      const copyCols = newCols.filter(c => oldCols.has(c)).join(', ');
+      db.run(`INSERT INTO tracked_decks_new (${copyCols}) SELECT ${copyCols} FROM tracked_decks`);
+      db.run('DROP TABLE tracked_decks');
+      db.run('ALTER TABLE tracked_decks_new RENAME TO tracked_decks');
+      // The DROP took the old indexes with it
+      db.run('CREATE INDEX IF NOT EXISTS idx_tracked_decks_user ON tracked_decks(user_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_tracked_decks_owner ON tracked_decks(tracked_owner_id)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_tracked_decks_user_pinned ON tracked_decks(user_id, pinned, deck_name)');
+    });
+    db.run('PRAGMA foreign_keys = ON');
+  }
+  // Backfill: Archidekt decks are sourced by their numeric id
+  db.run(`UPDATE tracked_decks SET source_id = CAST(archidekt_deck_id AS TEXT)
+          WHERE source_id IS NULL AND archidekt_deck_id IS NOT NULL AND source_site = 'archidekt'`);
+  db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_tracked_decks_source ON tracked_decks(user_id, source_site, source_id)');
+
   // One-shot cleanup: email/reset tokens are stored as SHA-256 hashes now, so any
   // rows written before that cutover hold plaintext values that can never match a
   // hashed lookup. They are dead weight (and the plaintext we stopped keeping) —
   // drop them once. Affected users simply request a fresh link.
   const tokenCutover = get("SELECT value FROM server_settings WHERE key = 'token_hash_cutover_done'");
   if (!tokenCutover) {
-    db.run('DELETE FROM password_reset_tokens');
-    db.run('DELETE FROM email_verification_tokens');
-    db.run("INSERT OR REPLACE INTO server_settings (key, value) VALUES ('token_hash_cutover_done', '1')");
+    migrate(() => {
+      db.run('DELETE FROM password_reset_tokens');
+      db.run('DELETE FROM email_verification_tokens');
+      db.run("INSERT OR REPLACE INTO server_settings (key, value) VALUES ('token_hash_cutover_done', '1')");
+    });
   }
 
   // Data repair: collection imports before v2.40.1 used a buggy regex that
@@ -565,26 +875,224 @@ export async function initDb() {
       AND COALESCE(collector_number, '') != ''
       AND collector_number NOT GLOB '*[0-9]*'
   `);
-  for (const row of buggedCollectionRows) {
-    const fixedName = `${row.card_name} ${row.collector_number}`;
-    const existing = get(
-      'SELECT id FROM collection_cards WHERE user_id = ? AND card_name = ? AND COALESCE(set_code, "") = "" AND COALESCE(collector_number, "") = "" AND is_foil = ? AND id != ?',
-      [row.user_id, fixedName, row.is_foil, row.id]
-    );
-    // Direct db.run (not the persisting run() helper): initDb persists once at
-    // the end, and per-row whole-file rewrites would be pure write
-    // amplification here. Safe because this repair is idempotent.
-    if (existing) {
-      db.run('UPDATE collection_cards SET quantity = quantity + ? WHERE id = ?', [row.quantity, existing.id]);
-      db.run('DELETE FROM collection_cards WHERE id = ?', [row.id]);
-    } else {
-      db.run('UPDATE collection_cards SET card_name = ?, collector_number = NULL WHERE id = ?', [fixedName, row.id]);
+  migrate(() => {
+    for (const row of buggedCollectionRows) {
+      const fixedName = `${row.card_name} ${row.collector_number}`;
+      const existing = get(
+        "SELECT id FROM collection_cards WHERE user_id = ? AND card_name = ? AND COALESCE(set_code, '') = '' AND COALESCE(collector_number, '') = '' AND is_foil = ? AND id != ?",
+        [row.user_id, fixedName, row.is_foil, row.id]
+      );
+      // Direct db.run (not the persisting run() helper): initDb persists once at
+      // the end, and per-row whole-file rewrites would be pure write
+      // amplification here. One transaction, so a merge's UPDATE and DELETE
+      // can't be split by a crash.
+      if (existing) {
+        db.run('UPDATE collection_cards SET quantity = quantity + ? WHERE id = ?', [row.quantity, existing.id]);
+        db.run('DELETE FROM collection_cards WHERE id = ?', [row.id]);
+      } else {
+        db.run('UPDATE collection_cards SET card_name = ?, collector_number = NULL WHERE id = ?', [fixedName, row.id]);
+      }
     }
-  }
+  });
   if (buggedCollectionRows.length > 0) {
     console.log(`Repaired ${buggedCollectionRows.length} collection rows damaged by the pre-v2.40.1 import parser`);
   }
 
+  // Migration: per-deck snapshot retention policy ('count' = keep the newest
+  // max_snapshots_per_deck, 'tiered' = thin out by age). NULL follows the server
+  // default in snapshot_retention_policy, which starts as the old 'count' rule.
+  try {
+    db.run('ALTER TABLE tracked_decks ADD COLUMN retention_policy TEXT');
+  } catch {
+    // Column already exists — ignore
+  }
+  db.run(`INSERT OR IGNORE INTO server_settings (key, value) VALUES ('snapshot_retention_policy', 'count')`);
+
+  // Migration: snapshot dedup + delta storage (see lib/snapshotStore.js).
+  // last_confirmed_at = when a refresh last found the deck unchanged;
+  // delta_base_id = the newer snapshot this row's deck_text is a patch against.
+  try {
+    db.run('ALTER TABLE deck_snapshots ADD COLUMN last_confirmed_at TEXT');
+  } catch {
+    // Column already exists — ignore
+  }
+  try {
+    db.run('ALTER TABLE deck_snapshots ADD COLUMN delta_base_id INTEGER');
+  } catch {
+    // Column already exists — ignore
+  }
+  db.run(`INSERT OR IGNORE INTO server_settings (key, value) VALUES ('snapshot_delta_storage', 'false')`);
+
+  // Recommendation packs (src/lib/recommendationPacks.js). user_id NULL = an
+  // admin-published pack every user can mix in; cards is the normalized JSON.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS recommendation_packs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      description TEXT,
+      cards TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  db.run('CREATE INDEX IF NOT EXISTS idx_recommendation_packs_user ON recommendation_packs(user_id)');
+
+  // Migration: per-user recommendation settings — JSON { packIds, rules };
+  // NULL = the built-in pack plus every admin pack, no rules
+  try {
+    db.run('ALTER TABLE users ADD COLUMN recommendation_settings TEXT');
+  } catch {
+    // Column already exists — ignore
+  }
+
+  // Migration: per-user power level settings — JSON { profile, cardLists };
+  // NULL = the balanced profile with the default card lists
+  try {
+    db.run('ALTER TABLE users ADD COLUMN power_settings TEXT');
+  } catch {
+    // Column already exists — ignore
+  }
+
+  // Migration: share link ownership, expiry and view analytics. Comparison
+  // shares are anonymous-capable: user_id is set when the creator was logged
+  // in, delete_token_hash (SHA-256) lets an anonymous creator revoke.
+  // expires_at NULL = never expires.
+  for (const sql of [
+    'ALTER TABLE shared_comparisons ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE SET NULL',
+    'ALTER TABLE shared_comparisons ADD COLUMN delete_token_hash TEXT',
+    'ALTER TABLE shared_comparisons ADD COLUMN expires_at TEXT',
+    'ALTER TABLE shared_comparisons ADD COLUMN view_count INTEGER NOT NULL DEFAULT 0',
+    'ALTER TABLE shared_comparisons ADD COLUMN last_viewed_at TEXT',
+    'ALTER TABLE shared_deck_views ADD COLUMN expires_at TEXT',
+    'ALTER TABLE shared_deck_views ADD COLUMN view_count INTEGER NOT NULL DEFAULT 0',
+    'ALTER TABLE shared_deck_views ADD COLUMN last_viewed_at TEXT',
+  ]) {
+    try {
+      db.run(sql);
+    } catch {
+      // Column already exists — ignore
+    }
+  }
+  db.run('CREATE INDEX IF NOT EXISTS idx_shared_comparisons_user ON shared_comparisons(user_id)');
+
+  // Migration: deck share scope and passphrase. scope is 'all' (every
+  // snapshot), 'latest' (newest only, follows new snapshots) or 'selected'
+  // (snapshot_ids, a JSON array); passphrase_hash is bcrypt, NULL = open link.
+  for (const sql of [
+    "ALTER TABLE shared_deck_views ADD COLUMN scope TEXT NOT NULL DEFAULT 'all'",
+    'ALTER TABLE shared_deck_views ADD COLUMN snapshot_ids TEXT',
+    'ALTER TABLE shared_deck_views ADD COLUMN passphrase_hash TEXT',
+  ]) {
+    try {
+      db.run(sql);
+    } catch {
+      // Column already exists — ignore
+    }
+  }
+
+  // Personal access tokens (server/lib/accessTokens.js). token_hash is SHA-256
+  // of the raw token; token_prefix is its first few characters, kept so the
+  // user can tell tokens apart. scopes is a JSON array; expires_at NULL = never.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS personal_access_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_used_at TEXT,
+      expires_at TEXT
+    )
+  `);
+  db.run('CREATE INDEX IF NOT EXISTS idx_access_tokens_user ON personal_access_tokens(user_id)');
+
+  // Generic webhooks (server/lib/webhooks.js). tracked_deck_id NULL = every
+  // deck of the user; events is a JSON array. secret is kept raw — it signs
+  // each payload. webhook_deliveries is both the retry queue (status
+  // 'pending' + next_attempt_at) and the delivery log shown in the UI.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      tracked_deck_id INTEGER REFERENCES tracked_decks(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+  db.run('CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id)');
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,
+      response_status INTEGER,
+      error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      delivered_at TEXT
+    )
+  `);
+  db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+
+  // Collection value history (server/lib/collectionValue.js): one row per user
+  // per UTC day. card_prices is a JSON map of per-printing unit prices for the
+  // movers report, cleared once a row is older than the longest mover period.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS collection_value_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      day TEXT NOT NULL,
+      total_value REAL NOT NULL,
+      cost_basis REAL,
+      card_count INTEGER NOT NULL,
+      unpriced_count INTEGER NOT NULL DEFAULT 0,
+      card_prices TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(user_id, day)
+    )
+  `);
+
+  // Data repair: older builds stored a full copy on every manual snapshot even
+  // when nothing changed. Collapse runs of identical consecutive snapshots into
+  // the first, recording the last duplicate's time as last_confirmed_at.
+  // Locked, paper and nicknamed duplicates are the user's — they stay. Only
+  // whole (non-delta) rows are compared, which also makes this idempotent.
+  const paperIds = new Set(all('SELECT paper_snapshot_id FROM tracked_decks WHERE paper_snapshot_id IS NOT NULL')
+    .map(r => r.paper_snapshot_id));
+  const snapshotRows = all(`
+    SELECT id, tracked_deck_id, deck_text, delta_base_id, locked, nickname, created_at
+    FROM deck_snapshots ORDER BY tracked_deck_id, created_at, id
+  `);
+  let duplicateCount = 0;
+  let kept = null;
+  migrate(() => {
+    for (const row of snapshotRows) {
+      const duplicate = kept && kept.tracked_deck_id === row.tracked_deck_id
+        && !kept.delta_base_id && !row.delta_base_id && kept.deck_text === row.deck_text
+        && !row.locked && !row.nickname && !paperIds.has(row.id);
+      if (!duplicate) {
+        kept = row;
+        continue;
+      }
+      db.run('UPDATE deck_snapshots SET last_confirmed_at = ? WHERE id = ?', [row.created_at, kept.id]);
+      db.run('DELETE FROM deck_snapshots WHERE id = ?', [row.id]);
+      duplicateCount++;
+    }
+  });
+  if (duplicateCount > 0) {
+    console.log(`Removed ${duplicateCount} duplicate snapshots`);
+  }
+
   persist();
   // Snapshot a known-good backup once at boot, from the state we just loaded and
   // migrated. Cheap (one copy per start) and guarantees a recent .bak exists.
@@ -593,23 +1101,13 @@ export async function initDb() {
 }
 
 /**
- * Durably write the whole database. sql.js has no incremental write, so every
- * call serializes the full file — but it does so atomically: write to a temp
- * file, fsync it, then rename over the live path. rename(2) is atomic on a POSIX
- * filesystem, so a crash (SIGKILL, OOM, power loss) at any instant leaves the
- * live file either fully old or fully new — never truncated. See audit C3.
+ * Durably write the database. For sql.js this is an atomic whole-file rewrite
+ * (temp → fsync → rename); for the file engine every statement is already
+ * committed, so there is nothing left to do. See audit C3.
  */
 export function persist() {
   if (!db) return;
-  const data = Buffer.from(db.export());
-  const fd = openSync(TMP_PATH, 'w');
-  try {
-    writeFileSync(fd, data);
-    fsyncSync(fd);
-  } finally {
-    closeSync(fd);
-  }
-  renameSync(TMP_PATH, DB_PATH);
+  db.persist();
 }
 
 /**
@@ -617,19 +1115,13 @@ export function persist() {
  * never take down a running server. Called at boot and on graceful shutdown.
  */
 export function backupDb() {
-  // Back up the VALIDATED in-memory image, never the bytes on disk. Copying the
+  // Back up the VALIDATED open database, never the bytes on disk. Copying the
   // live file could promote a corrupt/torn file over a known-good backup — the
-  // one copy that recovery depends on.
+  // one copy that recovery depends on. serialize() is a consistent image in
+  // both engines (for the file engine it includes pages still in the WAL).
   if (!db) return;
   try {
-    const fd = openSync(`${BAK_PATH}.tmp`, 'w');
-    try {
-      writeFileSync(fd, Buffer.from(db.export()));
-      fsyncSync(fd);
-    } finally {
-      closeSync(fd);
-    }
-    renameSync(`${BAK_PATH}.tmp`, BAK_PATH);
+    writeFileAtomic(BAK_PATH, `${BAK_PATH}.tmp`, db.serialize());
   } catch (err) {
     console.error('Backup failed (non-fatal):', err.message);
     try {
@@ -640,16 +1132,21 @@ export function backupDb() {
   }
 }
 
+/** A complete, self-contained image of the database (for downloads and size stats). */
+export function exportDb() {
+  return db.serialize();
+}
+
+/** Close the database (checkpointing the WAL for the file engine). Tests and shutdown only. */
+export function closeDb() {
+  if (!db) return;
+  db.close();
+  db = undefined;
+}
+
 // Helper to run a query and return all rows as objects
 export function all(sql, params = []) {
-  const stmt = db.prepare(sql);
-  if (params.length) stmt.bind(params);
-  const rows = [];
-  while (stmt.step()) {
-    rows.push(stmt.getAsObject());
-  }
-  stmt.free();
-  return rows;
+  return db.all(sql, params);
 }
 
 // Helper to get a single row
@@ -660,13 +1157,15 @@ export function get(sql, params = []) {
 
 // Helper to run an INSERT/UPDATE/DELETE and return info
 export function run(sql, params = []) {
-  db.run(sql, params);
-  const lastId = db.exec('SELECT last_insert_rowid() as id')[0]?.values[0]?.[0];
-  const changes = db.getRowsModified();
+  const result = db.run(sql, params);
   persist();
-  return { lastInsertRowid: lastId, changes };
+  return result;
 }
 
+/**
+ * The open engine — `run(sql, params)` on it skips the per-statement persist,
+ * for bulk writers that call persist() once at the end.
+ */
 export function getDb() {
   return db;
 }
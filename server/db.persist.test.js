@@ -3,26 +3,48 @@ import { mkdtempSync, rmSync, writeFileSync, existsSync, readFileSync, statSync
 import { tmpdir } from 'os';
 import { join } from 'path';
 
-// db.js reads DB_PATH from the environment at import time and keeps a module-level
-// singleton, so each test sets a fresh temp path and resets the module registry.
+// db.js reads DB_PATH / DB_ENGINE from the environment at import time and keeps
+// a module-level singleton, so each test sets a fresh temp path and resets the
+// module registry. A "cold start" closes the previous connection first, the way
+// the previous process exiting would.
 let dir;
 let dbPath;
+let open;
+
+function stop() {
+  open?.closeDb();
+  open = null;
+}
+
+async function coldStart() {
+  stop();
+  vi.resetModules();
+  open = await import('./db.js');
+  return open;
+}
 
 beforeEach(() => {
   dir = mkdtempSync(join(tmpdir(), 'clc-db-'));
   dbPath = join(dir, 'test.db');
   process.env.DB_PATH = dbPath;
+  open = null;
   vi.resetModules();
 });
 
 afterEach(() => {
+  open?.closeDb();
   rmSync(dir, { recursive: true, force: true });
   delete process.env.DB_PATH;
+  delete process.env.DB_ENGINE;
 });
 
-describe('persist() atomic write (audit C3)', () => {
+describe.each(['sqlite', 'sqljs'])('%s engine: durable writes and recovery (audit C3)', engine => {
+  beforeEach(() => {
+    process.env.DB_ENGINE = engine;
+  });
+
   it('writes the live file and leaves no temp file behind', async () => {
-    const db = await import('./db.js');
+    const db = await coldStart();
     await db.initDb();
     db.run("INSERT INTO server_settings (key, value) VALUES ('probe', 'v1')");
 
@@ -32,16 +54,16 @@ describe('persist() atomic write (audit C3)', () => {
   });
 
   it('keeps a .bak backup that recovers data when the live file is corrupted', async () => {
-    let db = await import('./db.js');
+    let db = await coldStart();
     await db.initDb();
     db.run("INSERT INTO server_settings (key, value) VALUES ('probe', 'survived')");
     db.backupDb();
     expect(existsSync(`${dbPath}.bak`)).toBe(true);
 
+    stop();
     // Simulate a torn / corrupt live file, then cold-start again.
     writeFileSync(dbPath, Buffer.from('this is not a sqlite database'));
-    vi.resetModules();
-    db = await import('./db.js');
+    db = await coldStart();
     await db.initDb();
 
     const row = db.get("SELECT value FROM server_settings WHERE key = 'probe'");
@@ -49,21 +71,21 @@ describe('persist() atomic write (audit C3)', () => {
   });
 
   it('refuses to start (rather than wiping) when the live file is corrupt and no backup exists', async () => {
-    const db = await import('./db.js');
+    const db = await coldStart();
     writeFileSync(dbPath, Buffer.from('garbage, not a database'));
     await expect(db.initDb()).rejects.toThrow(/could not be loaded/i);
   });
 
   it('recovers from .bak when the live file is ZERO BYTES (sql.js accepts an empty buffer)', async () => {
-    let db = await import('./db.js');
+    let db = await coldStart();
     await db.initDb();
     db.run("INSERT INTO server_settings (key, value) VALUES ('probe', 'survived')");
     db.backupDb();
 
+    stop();
     // A truncating write that never delivered bytes: the file exists but is empty.
     writeFileSync(dbPath, Buffer.alloc(0));
-    vi.resetModules();
-    db = await import('./db.js');
+    db = await coldStart();
     await db.initDb();
 
     expect(db.get("SELECT value FROM server_settings WHERE key = 'probe'")?.value).toBe('survived');
@@ -74,32 +96,80 @@ describe('persist() atomic write (audit C3)', () => {
   });
 
   it('recovers from .bak when the live file is a truncated prefix of a real database', async () => {
-    let db = await import('./db.js');
+    let db = await coldStart();
     await db.initDb();
     db.run("INSERT INTO server_settings (key, value) VALUES ('probe', 'survived')");
     db.backupDb();
 
+    stop();
     // Valid SQLite header, but the file is cut short — the case a non-atomic
     // write used to produce.
     const good = readFileSync(dbPath);
     writeFileSync(dbPath, good.subarray(0, 1024));
-    vi.resetModules();
-    db = await import('./db.js');
+    db = await coldStart();
     await db.initDb();
 
     expect(db.get("SELECT value FROM server_settings WHERE key = 'probe'")?.value).toBe('survived');
   });
 
   it('ignores a leftover zero-byte .tmp instead of loading it as an empty database', async () => {
-    let db = await import('./db.js');
+    let db = await coldStart();
     await db.initDb();
     db.run("INSERT INTO server_settings (key, value) VALUES ('probe', 'survived')");
 
+    stop();
     writeFileSync(`${dbPath}.tmp`, Buffer.alloc(0)); // crashed mid-write
-    vi.resetModules();
-    db = await import('./db.js');
+    db = await coldStart();
     await db.initDb();
 
     expect(db.get("SELECT value FROM server_settings WHERE key = 'probe'")?.value).toBe('survived');
   });
 });
+
+describe('one-shot migration from sql.js to the file engine', () => {
+  it('switches a sql.js-written file to WAL in place and keeps a rollback copy', async () => {
+    process.env.DB_ENGINE = 'sqljs';
+    let db = await coldStart();
+    await db.initDb();
+    db.run("INSERT INTO server_settings (key, value) VALUES ('probe', 'carried over')");
+
+    delete process.env.DB_ENGINE;
+    db = await coldStart();
+    await db.initDb();
+
+    expect(db.get("SELECT value FROM server_settings WHERE key = 'probe'")?.value).toBe('carried over');
+    expect(db.get('PRAGMA journal_mode').journal_mode).toBe('wal');
+    expect(existsSync(`${dbPath}.sqljs.bak`)).toBe(true);
+
+    // Idempotent: a second boot finds WAL already on and leaves the rollback copy alone
+    const rollback = readFileSync(`${dbPath}.sqljs.bak`);
+    db.run("UPDATE server_settings SET value = 'changed' WHERE key = 'probe'");
+    db = await coldStart();
+    await db.initDb();
+    expect(readFileSync(`${dbPath}.sqljs.bak`).equals(rollback)).toBe(true);
+    expect(db.get("SELECT value FROM server_settings WHERE key = 'probe'")?.value).toBe('changed');
+  });
+});
+
+describe('multi-statement migrations', () => {
+  it('rolls a migration that fails part way back whole, and reruns it on the next start', async () => {
+    let db = await coldStart();
+    await db.initDb();
+    db.run("INSERT INTO users (username, password_hash) VALUES ('u', 'h')");
+    db.run("INSERT INTO password_reset_tokens (user_id, token, expires_at) VALUES (1, 'plaintext', '2099-01-01')");
+    db.run("DELETE FROM server_settings WHERE key = 'token_hash_cutover_done'");
+    // Fail the token cutover on its last statement, after both DELETEs have run
+    db.run(`CREATE TRIGGER fail_cutover BEFORE INSERT ON server_settings
+      WHEN NEW.key = 'token_hash_cutover_done' BEGIN SELECT RAISE(ABORT, 'disk on fire'); END`);
+
+    db = await coldStart();
+    await expect(db.initDb()).rejects.toThrow('disk on fire');
+    expect(db.all('SELECT token FROM password_reset_tokens')).toEqual([{ token: 'plaintext' }]);
+    db.run('DROP TRIGGER fail_cutover');
+
+    db = await coldStart();
+    await db.initDb();
+    expect(db.all('SELECT token FROM password_reset_tokens')).toEqual([]);
+    expect(db.get("SELECT value FROM server_settings WHERE key = 'token_hash_cutover_done'")?.value).toBe('1');
+  });
+});
@@ -1,7 +1,7 @@
 import express from 'express';
 import compression from 'compression';
 import helmet from 'helmet';
-import { initDb, persist, backupDb } from './db.js';
+import { initDb, persist, backupDb, closeDb } from './db.js';
 import { getJwtSecret } from './lib/jwtSecret.js';
 import { apiLimiter } from './middleware/rateLimit.js';
 import { MAX_BODY_SIZE, requireJsonContentType, trimBody } from './middleware/validate.js';
@@ -14,8 +14,19 @@ import sharedDeckRoutes from './routes/shared-decks.js';
 import adminRoutes from './routes/admin.js';
 import collectionRoutes from './routes/collection.js';
 import mpcRoutes from './routes/mpcautofill.js';
+import priceRoutes from './routes/prices.js';
+import recommendationPackRoutes from './routes/recommendationPacks.js';
+import powerLevelRoutes from './routes/powerLevel.js';
+import embedRoutes from './routes/embed.js';
+import sharePageRoutes from './routes/sharePages.js';
+import accessTokenRoutes from './routes/accessTokens.js';
+import webhookRoutes from './routes/webhooks.js';
+import { buildOpenApiSpec } from './lib/openapi.js';
+import { getAppUrl } from './lib/email.js';
 import { startNotificationScheduler } from './lib/notificationScheduler.js';
+import { startWebhookWorker } from './lib/webhooks.js';
 import { initDownloadQueue } from './lib/downloadQueue.js';
+import { compactSnapshotHistory } from './lib/snapshotStore.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -68,6 +79,11 @@ app.get('/api/health', (_req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString(), uptime: Math.floor((Date.now() - startTime) / 1000) });
 });
 
+// OpenAPI description of the token-accessible API (no auth)
+app.get('/api/openapi.json', (_req, res) => {
+  res.json(buildOpenApiSpec(getAppUrl()));
+});
+
 app.use('/api/auth', authRoutes);
 app.use('/api/owners', ownerRoutes);
 app.use('/api/decks', deckRoutes);
@@ -77,13 +93,26 @@ app.use('/api/shared-deck', sharedDeckRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/collection', collectionRoutes);
 app.use('/api/mpc', mpcRoutes);
+app.use('/api/prices', priceRoutes);
+app.use('/api/recommendation-packs', recommendationPackRoutes);
+app.use('/api/power-level', powerLevelRoutes);
+app.use('/api/embed', embedRoutes);
+app.use('/api/access-tokens', accessTokenRoutes);
+app.use('/api/webhooks', webhookRoutes);
+
+// Path-based share links (/deck/:id, /share/:id) and their preview images
+// (/api/og/*) — served here so link unfurlers see per-share meta
+app.use(sharePageRoutes);
 
 async function start() {
   await initDb();
+  const compacted = compactSnapshotHistory();
+  if (compacted > 0) console.log(`Delta-encoded ${compacted} snapshots`);
   initDownloadQueue();
   app.listen(PORT, () => {
     console.log(`CardListCompare server running on port ${PORT}`);
     startNotificationScheduler();
+    startWebhookWorker();
   });
 }
 
@@ -92,9 +121,9 @@ start().catch(err => {
   process.exit(1);
 });
 
-// Graceful shutdown: flush the in-memory DB and snapshot a backup before exit.
-// (Data safety does not depend on this firing — persist() is atomic per write —
-// but a clean stop refreshes the .bak. Effective once the container forwards
+// Graceful shutdown: flush the DB, snapshot a backup and checkpoint the WAL
+// before exit. (Data safety does not depend on this firing — every write is
+// durable on its own — but a clean stop refreshes the .bak. Effective once the container forwards
 // signals to node; the entrypoint still needs a signal-forwarding init.)
 let shuttingDown = false;
 function shutdown(signal) {
@@ -104,6 +133,7 @@ function shutdown(signal) {
   try {
     persist();
     backupDb();
+    closeDb();
   } catch (err) {
     console.error('Error during shutdown flush:', err.message);
   }
@@ -0,0 +1,182 @@
+/**
+ * Personal access tokens for scripts and integrations. Unlike a session JWT a
+ * token never carries full account power: it is limited to the scopes it was
+ * created with, and only the endpoints in TOKEN_ROUTES accept it at all —
+ * everything else (account, admin, sharing, token management) answers 403.
+ * Stored as SHA-256 like reset tokens (see tokens.js); the raw value is shown
+ * once at creation.
+ */
+
+import { all, get, run } from '../db.js';
+import { generateToken, hashToken } from './tokens.js';
+
+export const TOKEN_PREFIX = 'clc_pat_';
+export const MAX_TOKENS_PER_USER = 20;
+export const MAX_TOKEN_NAME_LENGTH = 60;
+export const MAX_EXPIRY_DAYS = 365;
+
+export const TOKEN_SCOPES = {
+  'decks:read': 'Read tracked decks, prices and legality',
+  'snapshots:read': 'Read snapshots, timelines and changelogs',
+  'snapshots:write': 'Create, rename, lock and delete snapshots',
+  collection: 'Read and edit the card collection',
+};
+
+/**
+ * Every endpoint a token may call, with the scope it needs. Paths are relative
+ * to /api in OpenAPI form; server/lib/openapi.js documents each one. A route
+ * not listed here is session-only — add it (and its OpenAPI operation) to
+ * open it to tokens.
+ */
+export const TOKEN_ROUTES = [
+  { method: 'GET', path: '/decks', scope: 'decks:read' },
+  { method: 'GET', path: '/decks/overlap', scope: 'decks:read' },
+  { method: 'GET', path: '/decks/{deckId}/prices', scope: 'decks:read' },
+  { method: 'GET', path: '/decks/{deckId}/price-history', scope: 'decks:read' },
+  { method: 'GET', path: '/decks/{deckId}/legality', scope: 'decks:read' },
+  { method: 'GET', path: '/decks/{deckId}/snapshots', scope: 'snapshots:read' },
+  { method: 'GET', path: '/decks/{deckId}/snapshots/{snapshotId}', scope: 'snapshots:read' },
+  { method: 'GET', path: '/decks/{deckId}/timeline', scope: 'snapshots:read' },
+  { method: 'GET', path: '/decks/{deckId}/changelog', scope: 'snapshots:read' },
+  { method: 'GET', path: '/decks/{deckId}/power-history', scope: 'snapshots:read' },
+  { method: 'POST', path: '/decks/{deckId}/snapshots', scope: 'snapshots:write' },
+  { method: 'PATCH', path: '/decks/{deckId}/snapshots/{snapshotId}', scope: 'snapshots:write' },
+  { method: 'PATCH', path: '/decks/{deckId}/snapshots/{snapshotId}/lock', scope: 'snapshots:write' },
+  { method: 'PATCH', path: '/decks/{deckId}/snapshots/{snapshotId}/unlock', scope: 'snapshots:write' },
+  { method: 'DELETE', path: '/decks/{deckId}/snapshots/{snapshotId}', scope: 'snapshots:write' },
+  { method: 'GET', path: '/collection', scope: 'collection' },
+  { method: 'GET', path: '/collection/summary', scope: 'collection' },
+  { method: 'GET', path: '/collection/export', scope: 'collection' },
+  { method: 'GET', path: '/collection/value', scope: 'collection' },
+  { method: 'GET', path: '/collection/shopping-list', scope: 'collection' },
+  { method: 'POST', path: '/collection', scope: 'collection' },
+  { method: 'POST', path: '/collection/import', scope: 'collection' },
+  { method: 'POST', path: '/collection/import/preview', scope: 'collection' },
+  { method: 'PATCH', path: '/collection/{id}', scope: 'collection' },
+  { method: 'DELETE', path: '/collection/{id}', scope: 'collection' },
+];
+
+// Path parameters are all integer ids
+const COMPILED_ROUTES = TOKEN_ROUTES.map(route => ({
+  ...route,
+  pattern: new RegExp(`^/api${route.path.replace(/\{[^}]+\}/g, '\\d+')}/?$`),
+}));
+
+/** The TOKEN_ROUTES entry for a request (`path` includes /api), or null. */
+export function matchTokenRoute(method, path) {
+  return COMPILED_ROUTES.find(route => route.method === method && route.pattern.test(path)) || null;
+}
+
+export function isAccessToken(value) {
+  return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+}
+
+function parseScopes(json) {
+  try {
+    const scopes = JSON.parse(json);
+    return Array.isArray(scopes) ? scopes : [];
+  } catch {
+    return [];
+  }
+}
+
+/** API shape of a personal_access_tokens row (never includes the hash). */
+export function tokenFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: parseScopes(row.scopes),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+export function listAccessTokens(userId) {
+  return all('SELECT * FROM personal_access_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC', [userId])
+    .map(tokenFromRow);
+}
+
+/**
+ * Validate a create request body: a name, at least one known scope and an
+ * optional lifetime in days (omitted = never expires).
+ * @returns {{ name?: string, scopes?: string[], expiresInDays?: number|null, error?: string }}
+ */
+export function normalizeTokenRequest(body) {
+  const { name, scopes, expiresInDays } = body || {};
+  if (typeof name !== 'string' || !name.trim()) return { error: 'Token name is required' };
+  if (name.trim().length > MAX_TOKEN_NAME_LENGTH) {
+    return { error: `Token name must be ${MAX_TOKEN_NAME_LENGTH} characters or fewer` };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) return { error: 'Choose at least one scope' };
+  const unknown = scopes.find(scope => !Object.hasOwn(TOKEN_SCOPES, scope));
+  if (unknown !== undefined) return { error: `Unknown scope: ${unknown}` };
+
+  let days = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      return { error: `expiresInDays must be an integer from 1 to ${MAX_EXPIRY_DAYS}` };
+    }
+    days = expiresInDays;
+  }
+  // Keep TOKEN_SCOPES order so stored scopes compare cleanly
+  const ordered = Object.keys(TOKEN_SCOPES).filter(scope => scopes.includes(scope));
+  return { name: name.trim(), scopes: ordered, expiresInDays: days };
+}
+
+/**
+ * Create a token. The raw value is returned here and never again.
+ * @returns {{ token?: object, secret?: string, error?: string }}
+ */
+export function createAccessToken(userId, body) {
+  const request = normalizeTokenRequest(body);
+  if (request.error) return { error: request.error };
+  const owned = get('SELECT COUNT(*) as count FROM personal_access_tokens WHERE user_id = ?', [userId]);
+  if (owned.count >= MAX_TOKENS_PER_USER) {
+    return { error: `At most ${MAX_TOKENS_PER_USER} tokens — revoke one first` };
+  }
+
+  const secret = `${TOKEN_PREFIX}${generateToken()}`;
+  const { lastInsertRowid } = run(
+    'INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes) VALUES (?, ?, ?, ?, ?)',
+    [userId, request.name, hashToken(secret), secret.slice(0, TOKEN_PREFIX.length + 4), JSON.stringify(request.scopes)]
+  );
+  if (request.expiresInDays) {
+    run("UPDATE personal_access_tokens SET expires_at = datetime('now', ?) WHERE id = ?",
+      [`+${request.expiresInDays} days`, lastInsertRowid]);
+  }
+  return { token: tokenFromRow(get('SELECT * FROM personal_access_tokens WHERE id = ?', [lastInsertRowid])), secret };
+}
+
+/** @returns {boolean} whether the user owned the token */
+export function revokeAccessToken(userId, id) {
+  return run('DELETE FROM personal_access_tokens WHERE id = ? AND user_id = ?', [id, userId]).changes > 0;
+}
+
+// last_used_at is informational; don't write on every request of a busy script
+const LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * Look up a raw token. Expired tokens and suspended accounts are reported
+ * rather than treated as unknown, so a script gets a useful error.
+ * @returns {{ userId: number, username: string, scopes: string[] } | { error: string, status: number }}
+ */
+export function authenticateAccessToken(secret) {
+  const row = get(
+    `SELECT t.id, t.user_id, t.scopes, t.expires_at, t.last_used_at, u.username, u.suspended
+     FROM personal_access_tokens t JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = ?`,
+    [hashToken(secret)]
+  );
+  if (!row) return { status: 401, error: 'Invalid access token' };
+  if (row.expires_at && new Date(row.expires_at + 'Z').getTime() <= Date.now()) {
+    return { status: 401, error: 'Access token expired' };
+  }
+  if (row.suspended) return { status: 403, error: 'Account suspended' };
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at + 'Z').getTime() > LAST_USED_INTERVAL) {
+    run("UPDATE personal_access_tokens SET last_used_at = datetime('now') WHERE id = ?", [row.id]);
+  }
+  return { userId: row.user_id, username: row.username, scopes: parseScopes(row.scopes) };
+}
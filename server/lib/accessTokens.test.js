@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe('personal access tokens', () => {
+  let dir;
+  let db;
+  let tokens;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'clc-pat-'));
+    process.env.DB_PATH = join(dir, 'test.db');
+    vi.resetModules();
+    db = await import('../db.js');
+    await db.initDb();
+    tokens = await import('./accessTokens.js');
+    db.run("INSERT INTO users (username, password_hash) VALUES ('u', 'h')");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DB_PATH;
+  });
+
+  it('validates name, scopes and expiry', () => {
+    expect(tokens.normalizeTokenRequest({ name: ' ', scopes: ['collection'] }).error).toMatch(/name/);
+    expect(tokens.normalizeTokenRequest({ name: 'ci', scopes: [] }).error).toMatch(/scope/);
+    expect(tokens.normalizeTokenRequest({ name: 'ci', scopes: ['admin'] }).error).toBe('Unknown scope: admin');
+    expect(tokens.normalizeTokenRequest({ name: 'ci', scopes: ['collection'], expiresInDays: 0 }).error).toMatch(/expiresInDays/);
+    expect(tokens.normalizeTokenRequest({ name: ' ci ', scopes: ['snapshots:write', 'decks:read'] }))
+      .toEqual({ name: 'ci', scopes: ['decks:read', 'snapshots:write'], expiresInDays: null });
+  });
+
+  it('stores only the hash and shows the secret once', () => {
+    const { token, secret } = tokens.createAccessToken(1, { name: 'ci', scopes: ['decks:read'], expiresInDays: 30 });
+    expect(secret).toMatch(/^clc_pat_[0-9a-f]{64}$/);
+    expect(token).toMatchObject({ name: 'ci', prefix: secret.slice(0, 12), scopes: ['decks:read'] });
+    expect(token.expiresAt).toMatch(/^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/);
+
+    const row = db.get('SELECT * FROM personal_access_tokens WHERE id = ?', [token.id]);
+    expect(row.token_hash).not.toContain(secret.slice(8));
+    expect(tokens.listAccessTokens(1)).toEqual([token]);
+    expect(tokens.listAccessTokens(1)[0]).not.toHaveProperty('secret');
+  });
+
+  it('authenticates live tokens and rejects expired, revoked and suspended ones', () => {
+    const { token, secret } = tokens.createAccessToken(1, { name: 'ci', scopes: ['collection'] });
+    expect(tokens.authenticateAccessToken(secret)).toEqual({ userId: 1, username: 'u', scopes: ['collection'] });
+    expect(db.get('SELECT last_used_at FROM personal_access_tokens WHERE id = ?', [token.id]).last_used_at).not.toBe(null);
+
+    expect(tokens.authenticateAccessToken(`${secret}0`)).toEqual({ status: 401, error: 'Invalid access token' });
+
+    db.run('UPDATE users SET suspended = 1 WHERE id = 1');
+    expect(tokens.authenticateAccessToken(secret).status).toBe(403);
+    db.run('UPDATE users SET suspended = 0 WHERE id = 1');
+
+    db.run("UPDATE personal_access_tokens SET expires_at = datetime('now', '-1 minute') WHERE id = ?", [token.id]);
+    expect(tokens.authenticateAccessToken(secret)).toEqual({ status: 401, error: 'Access token expired' });
+
+    expect(tokens.revokeAccessToken(2, token.id)).toBe(false);
+    expect(tokens.revokeAccessToken(1, token.id)).toBe(true);
+    expect(tokens.authenticateAccessToken(secret).status).toBe(401);
+  });
+
+  it('caps tokens per user', () => {
+    for (let i = 0; i < tokens.MAX_TOKENS_PER_USER; i++) {
+      expect(tokens.createAccessToken(1, { name: `t${i}`, scopes: ['decks:read'] }).error).toBeUndefined();
+    }
+    expect(tokens.createAccessToken(1, { name: 'one more', scopes: ['decks:read'] }).error).toMatch(/At most/);
+  });
+
+  it('requireAuth limits a token to its scopes and the token routes', async () => {
+    const { requireAuth } = await import('../middleware/auth.js');
+    const { secret } = tokens.createAccessToken(1, { name: 'ci', scopes: ['snapshots:read'] });
+    const call = (method, baseUrl, path) => {
+      const req = { method, baseUrl, path, headers: { authorization: `Bearer ${secret}` } };
+      const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+      const next = vi.fn();
+      requireAuth(req, res, next);
+      return { req, res, next };
+    };
+
+    const allowed = call('GET', '/api/decks', '/5/snapshots');
+    expect(allowed.next).toHaveBeenCalled();
+    expect(allowed.req.user).toMatchObject({ userId: 1, isAdmin: false });
+
+    const wrongScope = call('POST', '/api/decks', '/5/snapshots');
+    expect(wrongScope.res.status).toHaveBeenCalledWith(403);
+    expect(wrongScope.res.json).toHaveBeenCalledWith({ error: 'Access token is missing the snapshots:write scope' });
+
+    const sessionOnly = call('GET', '/api/auth', '/me');
+    expect(sessionOnly.next).not.toHaveBeenCalled();
+    expect(sessionOnly.res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('token routes and OpenAPI', () => {
+  it('matches request paths to token routes', async () => {
+    const { matchTokenRoute } = await import('./accessTokens.js');
+    expect(matchTokenRoute('GET', '/api/decks/').scope).toBe('decks:read');
+    expect(matchTokenRoute('GET', '/api/decks/12/snapshots/3').scope).toBe('snapshots:read');
+    expect(matchTokenRoute('PATCH', '/api/decks/12/snapshots/3/lock').scope).toBe('snapshots:write');
+    expect(matchTokenRoute('DELETE', '/api/collection/')).toBe(null); // clearing the whole collection is session-only
+    expect(matchTokenRoute('GET', '/api/decks/abc/snapshots')).toBe(null);
+    expect(matchTokenRoute('POST', '/api/decks/12/share')).toBe(null);
+  });
+
+  it('documents every token route, and only those', async () => {
+    const { TOKEN_ROUTES } = await import('./accessTokens.js');
+    const { OPERATIONS, buildOpenApiSpec } = await import('./openapi.js');
+    expect(Object.keys(OPERATIONS).sort()).toEqual(TOKEN_ROUTES.map(r => `${r.method} ${r.path}`).sort());
+
+    const spec = buildOpenApiSpec('https://clc.test/');
+    expect(spec.servers).toEqual([{ url: 'https://clc.test/api' }]);
+    expect(spec.paths['/decks/{deckId}/snapshots'].post.security).toEqual([{ accessToken: ['snapshots:write'] }]);
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      const names = [...path.matchAll(/\{([^}]+)\}/g)].map(m => m[1]);
+      for (const operation of Object.values(methods)) {
+        const declared = (operation.parameters || []).filter(p => p.in === 'path').map(p => p.name);
+        expect(declared).toEqual(names);
+      }
+    }
+  });
+
+  it('every token route exists on its router', async () => {
+    const { TOKEN_ROUTES } = await import('./accessTokens.js');
+    const routers = {
+      '/decks': [(await import('../routes/decks.js')).default, (await import('../routes/snapshots.js')).default],
+      '/collection': [(await import('../routes/collection.js')).default],
+    };
+    const registered = new Set();
+    for (const [mount, list] of Object.entries(routers)) {
+      for (const router of list) {
+        for (const layer of router.stack) {
+          if (!layer.route) continue;
+          const path = `${mount}${layer.route.path === '/' ? '' : layer.route.path}`.replace(/:(\w+)/g, '{$1}');
+          for (const method of Object.keys(layer.route.methods)) registered.add(`${method.toUpperCase()} ${path}`);
+        }
+      }
+    }
+    for (const route of TOKEN_ROUTES) {
+      const key = `${route.method} ${route.path.replace('{deckId}', '{id}')}`;
+      expect(registered.has(`${route.method} ${route.path}`) || registered.has(key), `${route.method} ${route.path}`).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Collection export in formats other tools import: deck text, Moxfield and
+ * Deckbox collection CSV, and JSON. Each output round-trips through
+ * parseCollectionImport (collectionImport.js) — keep the two in step.
+ */
+
+import { ownedNameKey } from '../../src/lib/collectionMatch.js';
+import { languageName } from './collectionImport.js';
+
+export const EXPORT_FORMATS = {
+  text: { label: 'Card list (text)', extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  moxfield: { label: 'Moxfield CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  deckbox: { label: 'Deckbox CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+function csvField(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/** One deck-text line per entry, e.g. "2 Sol Ring (c21) [263] *F*". */
+export function collectionToText(cards) {
+  return cards.map(card => {
+    let line = `${card.quantity} ${card.card_name}`;
+    // A collector number only means something next to its set
+    if (card.set_code) line += ` (${card.set_code})${card.collector_number ? ` [${card.collector_number}]` : ''}`;
+    if (card.is_foil) line += ' *F*';
+    return line;
+  }).join('\n') + '\n';
+}
+
+// Spelled so normalizeCondition reads them back. Entries without a recorded
+// condition or language go out as Near Mint / English, which the apps require.
+const CONDITION_NAMES = {
+  NM: 'Near Mint', LP: 'Lightly Played', MP: 'Moderately Played', HP: 'Heavily Played', DMG: 'Damaged',
+};
+const conditionName = card => CONDITION_NAMES[card.condition] || CONDITION_NAMES.NM;
+const price = card => (card.purchase_price == null ? '' : card.purchase_price.toFixed(2));
+
+// Moxfield's own collection export header
+const MOXFIELD_HEADER = [
+  'Count', 'Tradelist Count', 'Name', 'Edition', 'Condition', 'Language', 'Foil', 'Tags',
+  'Last Modified', 'Collector Number', 'Alter', 'Proxy', 'Purchase Price',
+];
+
+export function collectionToMoxfieldCsv(cards) {
+  return csv(MOXFIELD_HEADER, cards.map(card => [
+    card.quantity, 0, card.card_name, card.set_code || '', conditionName(card), languageName(card.language),
+    card.is_foil ? 'foil' : '', '', '', card.collector_number || '', 'False', 'False', price(card),
+  ]));
+}
+
+const DECKBOX_HEADER = [
+  'Count', 'Tradelist Count', 'Name', 'Edition', 'Edition Code', 'Card Number', 'Condition', 'Language', 'Foil',
+  'Signed', 'Artist Proof', 'Altered Art', 'Misprint', 'Promo', 'Textless', 'My Price',
+];
+
+// Deckbox matches printings by the Edition (set name) column, which we don't
+// store; rows keep the set code and number and Deckbox falls back by name.
+// "My Price" is an asking price, not what was paid, so it stays empty.
+export function collectionToDeckboxCsv(cards) {
+  return csv(DECKBOX_HEADER, cards.map(card => [
+    card.quantity, 0, card.card_name, '', card.set_code || '', card.collector_number || '',
+    conditionName(card), languageName(card.language), card.is_foil ? 'foil' : '', '', '', '', '', '', '', '',
+  ]));
+}
+
+export function collectionToJson(cards, exportedAt = new Date().toISOString()) {
+  return JSON.stringify({
+    exportedAt,
+    cards: cards.map(card => ({
+      cardName: card.card_name,
+      setCode: card.set_code || null,
+      collectorNumber: card.collector_number || null,
+      quantity: card.quantity,
+      isFoil: !!card.is_foil,
+      condition: card.condition || null,
+      language: card.language || null,
+      purchasePrice: card.purchase_price ?? null,
+      acquiredAt: card.acquired_at || null,
+      location: card.location || null,
+    })),
+  }, null, 2);
+}
+
+export function formatCollectionExport(cards, format) {
+  switch (format) {
+    case 'moxfield': return collectionToMoxfieldCsv(cards);
+    case 'deckbox': return collectionToDeckboxCsv(cards);
+    case 'json': return collectionToJson(cards);
+    default: return collectionToText(cards);
+  }
+}
+
+/**
+ * Narrow collection rows for export. `usedNames` is the set of ownedNameKey()
+ * names in the relevant decks: with `inDecks` only rows whose card is in one
+ * are kept, with `unused` only rows whose card is in none. Deck membership is
+ * by name, like every other collection match (docs/DECISIONS.md D8).
+ */
+export function filterCollectionCards(cards, { setCode, foil, usedNames, inDecks = false, unused = false } = {}) {
+  const set = setCode ? setCode.trim().toLowerCase() : '';
+  return cards.filter(card => {
+    if (set && (card.set_code || '').toLowerCase() !== set) return false;
+    if (foil === true && !card.is_foil) return false;
+    if (foil === false && card.is_foil) return false;
+    if (usedNames) {
+      const used = usedNames.has(ownedNameKey(card.card_name));
+      if (inDecks && !used) return false;
+      if (unused && used) return false;
+    }
+    return true;
+  });
+}
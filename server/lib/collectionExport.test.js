@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  collectionToText, collectionToMoxfieldCsv, collectionToDeckboxCsv, collectionToJson,
+  formatCollectionExport, filterCollectionCards,
+} from './collectionExport.js';
+import { parseCollectionImport } from './collectionImport.js';
+
+const CARDS = [
+  { card_name: "Atraxa, Praetors' Voice", set_code: 'C16', collector_number: '28', quantity: 1, is_foil: 1 },
+  { card_name: 'Lightning Bolt', set_code: null, collector_number: null, quantity: 4, is_foil: 0 },
+  { card_name: 'Nazgûl', set_code: 'ltr', collector_number: '336p', quantity: 9, is_foil: 0 },
+  { card_name: 'Sheoldred // The True Scriptures', set_code: 'mom', collector_number: null, quantity: 1, is_foil: 0 },
+  { card_name: 'Rope "Trick"', set_code: 'und', collector_number: '7', quantity: 2, is_foil: 0 },
+];
+
+// What the importer should read back for CARDS
+const IMPORTED = CARDS.map(card => ({
+  cardName: card.card_name,
+  setCode: card.set_code,
+  collectorNumber: card.collector_number,
+  quantity: card.quantity,
+  isFoil: card.is_foil,
+}));
+
+describe('collection export', () => {
+  it('writes deck-text lines', () => {
+    expect(collectionToText(CARDS.slice(0, 3))).toBe(
+      "1 Atraxa, Praetors' Voice (C16) [28] *F*\n4 Lightning Bolt\n9 Nazgûl (ltr) [336p]\n"
+    );
+  });
+
+  it('quotes CSV fields only where needed', () => {
+    const [header, atraxa, , , , rope] = collectionToMoxfieldCsv(CARDS).split('\n');
+    expect(header).toBe('Count,Tradelist Count,Name,Edition,Condition,Language,Foil,Tags,Last Modified,Collector Number,Alter,Proxy,Purchase Price');
+    expect(atraxa).toBe('1,0,"Atraxa, Praetors\' Voice",C16,Near Mint,English,foil,,,28,False,False,');
+    expect(rope).toContain('"Rope ""Trick"""');
+  });
+
+  it.each(['text', 'moxfield', 'deckbox', 'json'])('round-trips through the importer as %s', (format) => {
+    const { cards, skipped } = parseCollectionImport(formatCollectionExport(CARDS, format));
+    expect(skipped).toBe(0);
+    expect(cards.map(({ cardName, setCode, collectorNumber, quantity, isFoil }) => (
+      { cardName, setCode, collectorNumber, quantity, isFoil }
+    ))).toEqual(IMPORTED);
+  });
+
+  it('carries condition, language, price and location through CSV and JSON', () => {
+    const filed = [{
+      card_name: 'Sol Ring', set_code: 'c21', collector_number: '263', quantity: 2, is_foil: 0,
+      condition: 'LP', language: 'ja', purchase_price: 1.5, acquired_at: '2025-03-01', location: 'Red binder',
+    }];
+    const details = ({ condition, language, purchasePrice, acquiredAt, location }) => (
+      { condition, language, purchasePrice, acquiredAt, location }
+    );
+
+    expect(collectionToMoxfieldCsv(filed).split('\n')[1]).toBe('2,0,Sol Ring,c21,Lightly Played,Japanese,,,,263,False,False,1.50');
+    expect(details(parseCollectionImport(collectionToMoxfieldCsv(filed)).cards[0]))
+      .toEqual({ condition: 'LP', language: 'ja', purchasePrice: 1.5, acquiredAt: undefined, location: undefined });
+    expect(details(parseCollectionImport(collectionToJson(filed)).cards[0]))
+      .toEqual({ condition: 'LP', language: 'ja', purchasePrice: 1.5, acquiredAt: '2025-03-01', location: 'Red binder' });
+  });
+
+  it('detects its own CSV and JSON formats on import', () => {
+    expect(parseCollectionImport(collectionToMoxfieldCsv(CARDS)).format).toBe('moxfield');
+    expect(parseCollectionImport(collectionToDeckboxCsv(CARDS)).format).toBe('deckbox');
+    expect(parseCollectionImport(collectionToJson(CARDS)).format).toBe('json');
+  });
+
+  it('filters by set, foil and deck usage (by name, across faces and accents)', () => {
+    const names = rows => rows.map(c => c.card_name);
+    expect(names(filterCollectionCards(CARDS, { setCode: 'LTR' }))).toEqual(['Nazgûl']);
+    expect(names(filterCollectionCards(CARDS, { foil: true }))).toEqual(["Atraxa, Praetors' Voice"]);
+    expect(filterCollectionCards(CARDS, { foil: false })).toHaveLength(4);
+
+    const usedNames = new Set(['nazgul', 'sheoldred']);
+    expect(names(filterCollectionCards(CARDS, { usedNames, inDecks: true })))
+      .toEqual(['Nazgûl', 'Sheoldred // The True Scriptures']);
+    expect(names(filterCollectionCards(CARDS, { usedNames, unused: true })))
+      .toEqual(["Atraxa, Praetors' Voice", 'Lightning Bolt', 'Rope "Trick"']);
+  });
+});
@@ -1,4 +1,4 @@
-import { parseLine } from '../../src/lib/parser.js';
+import { parseLine, normalizeName, splitCsvLine } from '../../src/lib/parser.js';
 
 // Section headers to ignore during collection import. Broader than the deck
 // parser's own header set on purpose: collection pastes often include
@@ -20,7 +20,8 @@ const MAX_IMPORT_QTY = 999; // same bound as the single-card add route
  * parser (docs/DECK_TEXT_FORMAT.md is the format contract — do NOT add a
  * local card-line regex here; that caused real data corruption once).
  *
- * Returns { cards: [{ cardName, setCode, collectorNumber, quantity, isFoil }], skipped }.
+ * Returns { cards: [{ cardName, setCode, collectorNumber, quantity, isFoil }], skipped, skippedRows }
+ * where skippedRows is [{ text, reason }].
  * Cards are NOT aggregated — one entry per input line, matching the route's
  * per-line upsert behavior.
  */
@@ -31,19 +32,23 @@ export function parseCollectionImportText(text) {
     .filter((l) => l && !l.startsWith('#') && !l.startsWith('//'));
 
   const cards = [];
-  let skipped = 0;
+  const skippedRows = [];
 
   for (const line of lines) {
     if (SECTION_HEADER_RE.test(line)) continue;
     const qtyMatch = line.match(LEADING_QTY_RE);
-    if (!qtyMatch || parseInt(qtyMatch[1], 10) < 1) {
-      skipped++;
+    if (!qtyMatch) {
+      skippedRows.push({ text: line, reason: 'No leading quantity' });
+      continue;
+    }
+    if (parseInt(qtyMatch[1], 10) < 1) {
+      skippedRows.push({ text: line, reason: 'Quantity must be at least 1' });
       continue;
     }
 
     const card = parseLine(line);
     if (!card || card.quantity < 1) {
-      skipped++;
+      skippedRows.push({ text: line, reason: 'Not a card line' });
       continue;
     }
 
@@ -56,5 +61,272 @@ export function parseCollectionImportText(text) {
     });
   }
 
-  return { cards, skipped };
+  return { cards, skipped: skippedRows.length, skippedRows };
+}
+
+// --- Collection-app CSV exports ---
+
+// Canonical condition grades. Each app spells them differently
+// ("Near Mint", "near_mint", "NearMint", "Good (Lightly Played)"), so values
+// are compared with case and punctuation stripped.
+export const CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG'];
+
+const CONDITION_ALIASES = {
+  NM: ['nm', 'm', 'mint', 'nearmint'],
+  LP: ['lp', 'sp', 'ex', 'excellent', 'lightlyplayed', 'lightplayed', 'slightlyplayed', 'goodlightlyplayed'],
+  MP: ['mp', 'pl', 'gd', 'good', 'played', 'moderatelyplayed'],
+  HP: ['hp', 'heavilyplayed'],
+  DMG: ['d', 'po', 'dmg', 'poor', 'damaged'],
+};
+const CONDITION_LOOKUP = new Map(
+  Object.entries(CONDITION_ALIASES).flatMap(([grade, aliases]) => aliases.map(alias => [alias, grade]))
+);
+
+// Scryfall language codes, keyed by the names the apps export
+const LANGUAGES = {
+  en: 'english', de: 'german', fr: 'french', it: 'italian', es: 'spanish', pt: 'portuguese',
+  ja: 'japanese', ko: 'korean', ru: 'russian', zhs: 'chinese simplified', zht: 'chinese traditional',
+  he: 'hebrew', la: 'latin', grc: 'ancient greek', ar: 'arabic', sa: 'sanskrit', ph: 'phyrexian',
+};
+const LANGUAGE_LOOKUP = new Map([
+  ...Object.keys(LANGUAGES).map(code => [code, code]),
+  ...Object.entries(LANGUAGES).map(([code, name]) => [name, code]),
+  ['simplified chinese', 'zhs'], ['traditional chinese', 'zht'], ['zh-cn', 'zhs'], ['zh-tw', 'zht'],
+  ['jp', 'ja'], ['kr', 'ko'], ['cn', 'zhs'], ['tw', 'zht'],
+]);
+
+export function normalizeCondition(value) {
+  const key = String(value || '').toLowerCase().replace(/foil/g, '').replace(/[^a-z]/g, '');
+  return CONDITION_LOOKUP.get(key) || null;
+}
+
+export function normalizeLanguage(value) {
+  return LANGUAGE_LOOKUP.get(String(value || '').trim().toLowerCase()) || null;
+}
+
+/** "English", "Chinese Simplified" — the spelling the apps import. */
+export function languageName(code) {
+  return (LANGUAGES[code] || LANGUAGES.en).replace(/\b[a-z]/g, ch => ch.toUpperCase());
+}
+
+export const MAX_LOCATION_LENGTH = 100;
+
+/** Free-form binder/box name: trimmed, collapsed whitespace, null if empty. */
+export function normalizeLocation(value) {
+  if (typeof value !== 'string') return null;
+  const location = value.trim().replace(/\s+/g, ' ').slice(0, MAX_LOCATION_LENGTH);
+  return location || null;
+}
+
+/** Acquisition date as YYYY-MM-DD, or null if `value` isn't a real date. */
+export function normalizeAcquiredAt(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? value : null;
+}
+
+// "foil", "etched", "Foil", "true", "yes", "1" — but not "normal"/"non-foil"
+function isFoilValue(value) {
+  const v = String(value || '').trim().toLowerCase();
+  return ['foil', 'etched', 'true', 'yes', 'y', '1'].includes(v);
+}
+
+function parsePrice(value) {
+  const n = parseFloat(String(value || '').replace(/[^0-9.]/g, ''));
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : null;
+}
+
+/**
+ * Export formats we recognize by their header row, most specific first.
+ * `columns` lists candidate header names (lowercased) per field; the first
+ * one present wins. Deckbox's "Edition" is the full set name, so only its
+ * "Edition Code" column is used as a set code.
+ */
+export const COLLECTION_CSV_FORMATS = [
+  {
+    id: 'manabox',
+    label: 'ManaBox',
+    detect: h => h.has('manabox id'),
+    columns: {
+      name: ['name'], quantity: ['quantity'], setCode: ['set code'], collectorNumber: ['collector number'],
+      foil: ['foil'], condition: ['condition'], language: ['language'], purchasePrice: ['purchase price'],
+    },
+  },
+  {
+    id: 'dragonshield',
+    label: 'Dragon Shield',
+    detect: h => h.has('folder name') && h.has('card name'),
+    columns: {
+      name: ['card name'], quantity: ['quantity'], setCode: ['set code'], collectorNumber: ['card number'],
+      foil: ['printing'], condition: ['condition'], language: ['language'], purchasePrice: ['price bought'],
+    },
+  },
+  {
+    id: 'deckbox',
+    label: 'Deckbox',
+    detect: h => h.has('tradelist count') && h.has('card number'),
+    columns: {
+      name: ['name'], quantity: ['count'], setCode: ['edition code'], collectorNumber: ['card number'],
+      foil: ['foil'], condition: ['condition'], language: ['language'], purchasePrice: [],
+    },
+  },
+  {
+    id: 'moxfield',
+    label: 'Moxfield',
+    detect: h => h.has('tradelist count') && h.has('edition'),
+    columns: {
+      name: ['name'], quantity: ['count'], setCode: ['edition'], collectorNumber: ['collector number'],
+      foil: ['foil'], condition: ['condition'], language: ['language'], purchasePrice: ['purchase price'],
+    },
+  },
+  {
+    id: 'tcgplayer',
+    label: 'TCGplayer',
+    detect: h => (h.has('product id') || h.has('sku')) && h.has('printing'),
+    columns: {
+      // "Name" carries variant suffixes like "(Showcase)"; "Simple Name" doesn't
+      name: ['simple name', 'name'], quantity: ['quantity'], setCode: ['set code'], collectorNumber: ['card number'],
+      foil: ['printing'], condition: ['condition'], language: ['language'], purchasePrice: [],
+    },
+  },
+  {
+    id: 'csv',
+    label: 'CSV',
+    detect: h => ['name', 'card name', 'card'].some(col => h.has(col)),
+    columns: {
+      name: ['name', 'card name', 'card'], quantity: ['quantity', 'count', 'qty', 'amount'],
+      setCode: ['set code', 'set', 'edition code', 'edition'], collectorNumber: ['collector number', 'card number', 'number'],
+      foil: ['foil', 'finish', 'printing'], condition: ['condition'], language: ['language'],
+      purchasePrice: ['purchase price', 'price bought'],
+    },
+  },
+];
+
+// Dragon Shield prefixes its export with an Excel "sep=," hint line
+const SEP_HINT_RE = /^"?sep=.?"?$/i;
+
+function csvLines(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (lines.length > 0 && SEP_HINT_RE.test(lines[0].trim())) lines.shift();
+  return lines;
+}
+
+/**
+ * Which collection export `text` is, from its header row. Returns null for
+ * deck-style text (including headerless "4,Lightning Bolt" lines).
+ */
+export function detectCollectionFormat(text) {
+  const firstLine = csvLines(text).find(line => line.trim());
+  if (!firstLine || !firstLine.includes(',')) return null;
+  const header = new Set(splitCsvLine(firstLine.toLowerCase()));
+  return COLLECTION_CSV_FORMATS.find(format => format.detect(header)) || null;
+}
+
+/**
+ * Parse a collection-app CSV export. Cards carry the same fields as
+ * parseCollectionImportText plus condition (one of CONDITIONS), language
+ * (Scryfall code) and purchasePrice — null where the export has no such
+ * column or the value isn't recognized. Row numbers in skippedRows are
+ * 1-based lines of the data (header excluded).
+ */
+export function parseCollectionCsv(text, format) {
+  const lines = csvLines(text);
+  const headerAt = lines.findIndex(line => line.trim());
+  const header = splitCsvLine(lines[headerAt].toLowerCase());
+  const column = {};
+  for (const [field, candidates] of Object.entries(format.columns)) {
+    column[field] = candidates.map(c => header.indexOf(c)).find(i => i !== -1) ?? -1;
+  }
+
+  const cards = [];
+  const skippedRows = [];
+  for (let i = headerAt + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cols = splitCsvLine(lines[i]);
+    const value = field => (column[field] === -1 ? '' : cols[column[field]] || '');
+    const row = i - headerAt;
+
+    const cardName = normalizeName(value('name'));
+    if (!cardName) {
+      skippedRows.push({ row, text: lines[i], reason: 'Missing card name' });
+      continue;
+    }
+    const quantity = column.quantity === -1 ? 1 : parseInt(value('quantity'), 10);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      skippedRows.push({ row, text: lines[i], reason: 'Quantity must be at least 1' });
+      continue;
+    }
+
+    const conditionText = value('condition');
+    cards.push({
+      cardName,
+      setCode: value('setCode') || null,
+      collectorNumber: value('collectorNumber') || null,
+      quantity: Math.min(MAX_IMPORT_QTY, quantity),
+      // TCGplayer folds foil into the condition ("Near Mint Foil")
+      isFoil: isFoilValue(value('foil')) || /\bfoil\b/i.test(conditionText) ? 1 : 0,
+      condition: normalizeCondition(conditionText),
+      language: normalizeLanguage(value('language')),
+      purchasePrice: parsePrice(value('purchasePrice')),
+    });
+  }
+
+  return { cards, skipped: skippedRows.length, skippedRows };
+}
+
+/**
+ * Parse our own JSON export ({ cards: [...] }, see collectionExport.js) or a
+ * bare array of the same entries. Returns null if `text` isn't JSON at all.
+ */
+export function parseCollectionJson(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { return null; }
+  const entries = Array.isArray(data) ? data : data?.cards;
+  if (!Array.isArray(entries)) return null;
+
+  const cards = [];
+  const skippedRows = [];
+  entries.forEach((entry, i) => {
+    const row = i + 1;
+    const text = JSON.stringify(entry);
+    const cardName = typeof entry?.cardName === 'string' ? normalizeName(entry.cardName) : '';
+    if (!cardName) {
+      skippedRows.push({ row, text, reason: 'Missing card name' });
+      return;
+    }
+    const quantity = entry.quantity === undefined ? 1 : entry.quantity;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      skippedRows.push({ row, text, reason: 'Quantity must be at least 1' });
+      return;
+    }
+    const str = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    cards.push({
+      cardName,
+      setCode: str(entry.setCode),
+      collectorNumber: str(entry.collectorNumber),
+      quantity: Math.min(MAX_IMPORT_QTY, quantity),
+      isFoil: entry.isFoil ? 1 : 0,
+      condition: CONDITIONS.includes(entry.condition) ? entry.condition : null,
+      language: normalizeLanguage(entry.language),
+      purchasePrice: typeof entry.purchasePrice === 'number' ? parsePrice(entry.purchasePrice) : null,
+      acquiredAt: normalizeAcquiredAt(entry.acquiredAt),
+      location: normalizeLocation(entry.location),
+    });
+  });
+  return { cards, skipped: skippedRows.length, skippedRows };
+}
+
+/**
+ * Parse any supported import: our JSON export, a known CSV export (detected
+ * from its header) or deck-style text. `format` is 'json', the
+ * COLLECTION_CSV_FORMATS id, or 'text'.
+ */
+export function parseCollectionImport(text) {
+  if (/^\s*[[{]/.test(text)) {
+    const json = parseCollectionJson(text);
+    if (json) return { format: 'json', formatLabel: 'JSON', ...json };
+  }
+  const format = detectCollectionFormat(text);
+  if (!format) return { format: 'text', formatLabel: 'Card list', ...parseCollectionImportText(text) };
+  return { format: format.id, formatLabel: format.label, ...parseCollectionCsv(text, format) };
 }
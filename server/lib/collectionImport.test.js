@@ -1,5 +1,8 @@
 import { describe, it, expect } from 'vitest';
-import { parseCollectionImportText } from './collectionImport.js';
+import {
+  parseCollectionImportText, parseCollectionImport, normalizeCondition, normalizeLanguage,
+  languageName, normalizeLocation, normalizeAcquiredAt,
+} from './collectionImport.js';
 
 function single(text) {
   const { cards, skipped } = parseCollectionImportText(text);
@@ -120,3 +123,112 @@ describe('parseCollectionImportText', () => {
     expect(cards).toHaveLength(2);
   });
 });
+
+describe('parseCollectionImport (collection app CSV exports)', () => {
+  it('treats deck text and headerless CSV lines as a card list', () => {
+    expect(parseCollectionImport('4 Lightning Bolt').format).toBe('text');
+    expect(parseCollectionImport('4,Lightning Bolt').format).toBe('text');
+  });
+
+  it('reports why text lines were skipped', () => {
+    expect(parseCollectionImport('Brainstorm\n0 Island\n1 Opt').skippedRows).toEqual([
+      { text: 'Brainstorm', reason: 'No leading quantity' },
+      { text: '0 Island', reason: 'Quantity must be at least 1' },
+    ]);
+  });
+
+  it('reads Moxfield collection exports', () => {
+    const csv = [
+      '"Count","Tradelist Count","Name","Edition","Condition","Language","Foil","Tags","Last Modified","Collector Number","Alter","Proxy","Purchase Price"',
+      '"2","0","Atraxa, Praetors\' Voice","c16","Near Mint","English","foil","","2024-01-01 10:00:00.000000","28","False","False","12.50"',
+      '"1","0","Sol Ring","c21","Lightly Played","Japanese","","","2024-01-01 10:00:00.000000","263","False","False",""',
+    ].join('\n');
+    const result = parseCollectionImport(csv);
+    expect(result.format).toBe('moxfield');
+    expect(result.cards).toEqual([
+      { cardName: "Atraxa, Praetors' Voice", setCode: 'c16', collectorNumber: '28', quantity: 2, isFoil: 1, condition: 'NM', language: 'en', purchasePrice: 12.5 },
+      { cardName: 'Sol Ring', setCode: 'c21', collectorNumber: '263', quantity: 1, isFoil: 0, condition: 'LP', language: 'ja', purchasePrice: null },
+    ]);
+  });
+
+  it('reads Deckbox exports, using Edition Code rather than the set name', () => {
+    const csv = [
+      'Count,Tradelist Count,Name,Edition,Edition Code,Card Number,Condition,Language,Foil,Signed,Artist Proof,Altered Art,Misprint,Promo,Textless,Printing Id,Printing Note,Tags,My Price',
+      '3,0,Counterspell,Masters 25,A25,50,Good (Lightly Played),German,,,,,,,,,,,$1.00',
+      '1,0,Birds of Paradise,Magic 2010,,,Near Mint,English,foil,,,,,,,,,,',
+    ].join('\n');
+    const { format, cards } = parseCollectionImport(csv);
+    expect(format).toBe('deckbox');
+    expect(cards[0]).toMatchObject({ cardName: 'Counterspell', setCode: 'A25', collectorNumber: '50', quantity: 3, condition: 'LP', language: 'de', purchasePrice: null });
+    expect(cards[1]).toMatchObject({ setCode: null, collectorNumber: null, isFoil: 1 });
+  });
+
+  it('reads ManaBox exports', () => {
+    const csv = [
+      'Name,Set code,Set name,Collector number,Foil,Rarity,Quantity,ManaBox ID,Scryfall ID,Purchase price,Misprint,Altered,Condition,Language,Purchase price currency',
+      'Sheoldred // The True Scriptures,MOM,March of the Machine,125,etched,mythic,1,1234,abc,45.99,false,false,near_mint,en,USD',
+      'Island,MOM,March of the Machine,277,normal,common,12,1235,def,0.05,false,false,heavily_played,fr,USD',
+    ].join('\n');
+    const { format, cards } = parseCollectionImport(csv);
+    expect(format).toBe('manabox');
+    expect(cards[0]).toMatchObject({ cardName: 'Sheoldred // The True Scriptures', setCode: 'MOM', isFoil: 1, condition: 'NM', purchasePrice: 45.99 });
+    expect(cards[1]).toMatchObject({ quantity: 12, isFoil: 0, condition: 'HP', language: 'fr' });
+  });
+
+  it('reads Dragon Shield exports behind their sep= hint line', () => {
+    const csv = [
+      '"sep=,"',
+      'Folder Name,Quantity,Trade Quantity,Card Name,Set Code,Set Name,Card Number,Condition,Printing,Language,Price Bought,Date Bought,LOW,MID,MARKET',
+      'Binder 1,1,0,Rhystic Study,PCY,Prophecy,45,Excellent,Foil,English,30.00,2023-05-01,25,30,35',
+    ].join('\r\n');
+    const { format, cards } = parseCollectionImport(csv);
+    expect(format).toBe('dragonshield');
+    expect(cards).toEqual([
+      { cardName: 'Rhystic Study', setCode: 'PCY', collectorNumber: '45', quantity: 1, isFoil: 1, condition: 'LP', language: 'en', purchasePrice: 30 },
+    ]);
+  });
+
+  it('reads TCGplayer exports, with foil folded into the condition', () => {
+    const csv = [
+      'Quantity,Name,Simple Name,Set,Card Number,Set Code,Printing,Condition,Language,Rarity,Product ID,SKU',
+      '1,Brainstorm (Showcase),Brainstorm,Commander Masters,101,CMM,Normal,Near Mint Foil,English,C,1,2',
+    ].join('\n');
+    const { format, cards } = parseCollectionImport(csv);
+    expect(format).toBe('tcgplayer');
+    expect(cards[0]).toMatchObject({ cardName: 'Brainstorm', setCode: 'CMM', isFoil: 1, condition: 'NM' });
+  });
+
+  it('reads generic CSV with a name column and reports skipped rows with their reasons', () => {
+    const csv = 'Quantity,Name,Set\n2,Opt,xln\nlots,Ponder,\n1,,m10\n0,Preordain,m11\n';
+    const { format, cards, skipped, skippedRows } = parseCollectionImport(csv);
+    expect(format).toBe('csv');
+    expect(cards).toEqual([
+      { cardName: 'Opt', setCode: 'xln', collectorNumber: null, quantity: 2, isFoil: 0, condition: null, language: null, purchasePrice: null },
+    ]);
+    expect(skipped).toBe(3);
+    expect(skippedRows.map(r => [r.row, r.reason])).toEqual([
+      [2, 'Quantity must be at least 1'],
+      [3, 'Missing card name'],
+      [4, 'Quantity must be at least 1'],
+    ]);
+  });
+
+  it('normalizes condition and language spellings', () => {
+    expect(['NearMint', 'near_mint', 'M'].map(normalizeCondition)).toEqual(['NM', 'NM', 'NM']);
+    expect(['Moderately Played', 'Played'].map(normalizeCondition)).toEqual(['MP', 'MP']);
+    expect(['Poor', 'Damaged'].map(normalizeCondition)).toEqual(['DMG', 'DMG']);
+    expect(normalizeCondition('Shiny')).toBe(null);
+    expect(['Chinese Simplified', 'zhs', 'Korean'].map(normalizeLanguage)).toEqual(['zhs', 'zhs', 'ko']);
+    expect(normalizeLanguage('Klingon')).toBe(null);
+    expect(['zhs', 'ja', null].map(languageName)).toEqual(['Chinese Simplified', 'Japanese', 'English']);
+  });
+
+  it('normalizes locations and acquisition dates', () => {
+    expect(normalizeLocation('  Red   binder ')).toBe('Red binder');
+    expect(normalizeLocation('   ')).toBe(null);
+    expect(normalizeLocation('x'.repeat(150))).toHaveLength(100);
+    expect(normalizeAcquiredAt('2024-02-29')).toBe('2024-02-29');
+    expect(normalizeAcquiredAt('2023-02-29')).toBe(null);
+    expect(normalizeAcquiredAt('29/02/2024')).toBe(null);
+  });
+});
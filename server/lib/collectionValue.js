@@ -0,0 +1,248 @@
+/**
+ * Collection valuation. Every entry is priced at its own printing (foil price
+ * for foils), falling back to the card's cheapest printing like
+ * computeDeckPrices does. The notification scheduler stores one total per user
+ * per UTC day; the movers and gain/loss reports are derived from the per-card
+ * prices kept with the recent days.
+ */
+
+import { all, get, run } from '../db.js';
+import { fetchCardPrices, fetchSpecificPrintingPrices, printingKey } from './scryfall.js';
+
+export const MOVER_PERIODS = [1, 7, 30];
+// Per-card prices are only needed as far back as the longest mover period
+const CARD_PRICE_DAYS = Math.max(...MOVER_PERIODS) + 1;
+const REPORT_LIMIT = 10;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/** One price per printing and finish; condition and location don't change it. */
+export function collectionPriceKey(card) {
+  return `${printingKey(card.set_code, card.collector_number || '')}|${card.is_foil ? 'f' : ''}|${card.card_name.toLowerCase()}`;
+}
+
+/**
+ * Unit price per collectionPriceKey for `cards` (collection_cards rows).
+ * Entries Scryfall has no price for are left out. Returns null when Scryfall
+ * returned nothing at all — it is down, and a $0 collection must not be stored.
+ */
+export async function priceCollectionCards(cards) {
+  const [byName, byPrinting] = await Promise.all([
+    fetchCardPrices([...new Set(cards.map(c => c.card_name))]),
+    fetchSpecificPrintingPrices(cards.map(c => ({ name: c.card_name, set: c.set_code, collectorNumber: c.collector_number }))),
+  ]);
+  if (cards.length > 0 && byName.size === 0 && byPrinting.size === 0) return null;
+
+  const prices = new Map();
+  for (const card of cards) {
+    const key = collectionPriceKey(card);
+    if (prices.has(key)) continue;
+    const printing = card.set_code && card.collector_number
+      ? byPrinting.get(printingKey(card.set_code, card.collector_number))
+      : null;
+    const named = byName.get(card.card_name.toLowerCase());
+    const price = card.is_foil
+      ? (printing?.priceUsdFoil ?? printing?.priceUsd ?? named?.priceUsdFoil ?? named?.priceUsd)
+      : (printing?.priceUsd ?? named?.priceUsd);
+    if (price != null) prices.set(key, price);
+  }
+  return prices;
+}
+
+/** Totals for one valuation: value, what was paid (where recorded), copies, unpriced copies. */
+export function summarizeValuation(cards, prices) {
+  let totalValue = 0;
+  let costBasis = 0;
+  let cardCount = 0;
+  let unpricedCount = 0;
+  for (const card of cards) {
+    const price = prices.get(collectionPriceKey(card));
+    cardCount += card.quantity;
+    if (price == null) unpricedCount += card.quantity;
+    else totalValue += price * card.quantity;
+    if (card.purchase_price != null) costBasis += card.purchase_price * card.quantity;
+  }
+  return { totalValue: round2(totalValue), costBasis: round2(costBasis), cardCount, unpricedCount };
+}
+
+/**
+ * Per-card price changes between two valuations, weighted by the copies owned
+ * now — a $2 rise on a playset outranks a $5 rise on a single. Entries of the
+ * same printing (different binders or conditions) are counted together.
+ */
+export function collectionMovers(cards, currentPrices, previousPrices, limit = REPORT_LIMIT) {
+  const byKey = new Map();
+  for (const card of cards) {
+    const key = collectionPriceKey(card);
+    const current = currentPrices.get(key);
+    const previous = previousPrices.get(key);
+    if (current == null || previous == null || current === previous) continue;
+    const mover = byKey.get(key) || {
+      cardName: card.card_name,
+      setCode: card.set_code,
+      collectorNumber: card.collector_number,
+      isFoil: !!card.is_foil,
+      quantity: 0,
+      previousPrice: previous,
+      currentPrice: current,
+      change: round2(current - previous),
+      changePct: previous > 0 ? round2(((current - previous) / previous) * 100) : null,
+    };
+    mover.quantity += card.quantity;
+    byKey.set(key, mover);
+  }
+  return [...byKey.values()]
+    .map(mover => ({ ...mover, totalChange: round2(mover.change * mover.quantity) }))
+    .sort((a, b) => Math.abs(b.totalChange) - Math.abs(a.totalChange) || a.cardName.localeCompare(b.cardName))
+    .slice(0, limit);
+}
+
+/**
+ * Gain or loss against the recorded purchase price, over the entries that have
+ * one and a current price. `gainers` and `losers` are the entries with the
+ * largest gain and loss in dollars.
+ */
+export function collectionGainLoss(cards, prices, limit = REPORT_LIMIT) {
+  const entries = [];
+  for (const card of cards) {
+    const price = prices.get(collectionPriceKey(card));
+    if (card.purchase_price == null || price == null) continue;
+    entries.push({
+      id: card.id,
+      cardName: card.card_name,
+      setCode: card.set_code,
+      collectorNumber: card.collector_number,
+      isFoil: !!card.is_foil,
+      quantity: card.quantity,
+      purchasePrice: card.purchase_price,
+      currentPrice: price,
+      gain: round2((price - card.purchase_price) * card.quantity),
+    });
+  }
+  const costBasis = round2(entries.reduce((sum, e) => sum + e.purchasePrice * e.quantity, 0));
+  const currentValue = round2(entries.reduce((sum, e) => sum + e.currentPrice * e.quantity, 0));
+  const byGain = [...entries].sort((a, b) => b.gain - a.gain || a.cardName.localeCompare(b.cardName));
+  return {
+    entries: entries.length,
+    costBasis,
+    currentValue,
+    gain: round2(currentValue - costBasis),
+    gainPct: costBasis > 0 ? round2(((currentValue - costBasis) / costBasis) * 100) : null,
+    gainers: byGain.filter(e => e.gain > 0).slice(0, limit),
+    losers: byGain.filter(e => e.gain < 0).reverse().slice(0, limit),
+  };
+}
+
+function collectionRows(userId) {
+  return all(
+    `SELECT id, card_name, set_code, collector_number, quantity, is_foil, purchase_price
+     FROM collection_cards WHERE user_id = ?`,
+    [userId]
+  );
+}
+
+/**
+ * Value a user's collection and store it as `day`'s point, replacing an
+ * earlier valuation of the same day. Returns the totals, or null when the
+ * collection is empty or Scryfall is unavailable (nothing is stored).
+ */
+export async function recordCollectionValue(userId, day = today()) {
+  const cards = collectionRows(userId);
+  if (cards.length === 0) return null;
+  const prices = await priceCollectionCards(cards);
+  if (!prices) return null;
+
+  const summary = summarizeValuation(cards, prices);
+  run(
+    `INSERT INTO collection_value_history (user_id, day, total_value, cost_basis, card_count, unpriced_count, card_prices)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, day) DO UPDATE SET total_value = excluded.total_value, cost_basis = excluded.cost_basis,
+       card_count = excluded.card_count, unpriced_count = excluded.unpriced_count,
+       card_prices = excluded.card_prices, created_at = datetime('now')`,
+    [userId, day, summary.totalValue, summary.costBasis, summary.cardCount, summary.unpricedCount,
+      JSON.stringify(Object.fromEntries(prices))]
+  );
+  run(
+    `UPDATE collection_value_history SET card_prices = NULL
+     WHERE user_id = ? AND card_prices IS NOT NULL AND day < date(?, '-${CARD_PRICE_DAYS} days')`,
+    [userId, day]
+  );
+  return { day, ...summary };
+}
+
+function storedPrices(row) {
+  if (!row?.card_prices) return null;
+  try {
+    return new Map(Object.entries(JSON.parse(row.card_prices)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The collection value report: daily history, the latest totals, the biggest
+ * movers since `period` days before the latest valuation (or the oldest
+ * valuation in that window), and gain/loss against purchase prices at the
+ * latest valuation's prices. No Scryfall calls — it reads stored valuations.
+ */
+export function collectionValueReport(userId, period = 7) {
+  const history = all(
+    `SELECT day, total_value, cost_basis, card_count, unpriced_count
+     FROM collection_value_history WHERE user_id = ? ORDER BY day ASC`,
+    [userId]
+  );
+  const latest = get(
+    'SELECT day, card_prices FROM collection_value_history WHERE user_id = ? ORDER BY day DESC LIMIT 1',
+    [userId]
+  );
+  const currentPrices = storedPrices(latest);
+  if (!currentPrices) return { history, latest: history.at(-1) || null, movers: null, gainLoss: null };
+
+  const cards = collectionRows(userId);
+  const baseline = get(
+    `SELECT day, card_prices FROM collection_value_history
+     WHERE user_id = ? AND card_prices IS NOT NULL AND day < ? AND day >= date(?, ?)
+     ORDER BY day ASC LIMIT 1`,
+    [userId, latest.day, latest.day, `-${period} days`]
+  );
+  const previousPrices = storedPrices(baseline);
+
+  return {
+    history,
+    latest: history.at(-1),
+    movers: previousPrices
+      ? { period, since: baseline.day, cards: collectionMovers(cards, currentPrices, previousPrices) }
+      : { period, since: null, cards: [] },
+    gainLoss: collectionGainLoss(cards, currentPrices),
+  };
+}
+
+/**
+ * Scheduler step: value every collection that has no point for today yet.
+ * Collections are priced one after another — each is a batch of Scryfall
+ * requests, and the price caches make repeated printings free.
+ */
+export async function valueCollections() {
+  const day = today();
+  const users = all(`
+    SELECT DISTINCT c.user_id
+    FROM collection_cards c
+    JOIN users u ON u.id = c.user_id
+    WHERE u.suspended = 0
+      AND NOT EXISTS (SELECT 1 FROM collection_value_history h WHERE h.user_id = c.user_id AND h.day = ?)
+  `, [day]);
+
+  let valued = 0;
+  for (const { user_id: userId } of users) {
+    try {
+      if (await recordCollectionValue(userId, day)) valued++;
+    } catch (err) {
+      console.error(`[CollectionValue] Failed for user ${userId}:`, err.message);
+    }
+  }
+  if (valued > 0) console.log(`[CollectionValue] valued ${valued} collection(s)`);
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../db.js', () => ({ all: vi.fn(), get: vi.fn(), run: vi.fn() }));
+vi.mock('./scryfall.js', () => ({
+  fetchCardPrices: vi.fn(),
+  fetchSpecificPrintingPrices: vi.fn(),
+  printingKey: (set, cn) => `${String(set || '').toLowerCase()}|${cn}`,
+}));
+
+import {
+  collectionPriceKey, priceCollectionCards, summarizeValuation, collectionMovers, collectionGainLoss,
+} from './collectionValue.js';
+import { fetchCardPrices, fetchSpecificPrintingPrices } from './scryfall.js';
+
+const card = (id, card_name, set_code, collector_number, quantity, extra = {}) => (
+  { id, card_name, set_code, collector_number, quantity, is_foil: 0, purchase_price: null, ...extra }
+);
+
+const BOLT = card(1, 'Lightning Bolt', 'M10', '146', 4, { purchase_price: 1 });
+const BOLT_FOIL = card(2, 'Lightning Bolt', 'm10', '146', 1, { is_foil: 1 });
+const BOLT_BINDER = card(3, 'Lightning Bolt', 'm10', '146', 2, { purchase_price: 3 }); // same printing, other binder
+const RING = card(4, 'Sol Ring', null, null, 1, { purchase_price: 5 });
+const UNKNOWN = card(5, 'Made Up Card', null, null, 3);
+const CARDS = [BOLT, BOLT_FOIL, BOLT_BINDER, RING, UNKNOWN];
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('priceCollectionCards', () => {
+  it('prices printings (foil price for foils) and falls back to the card name', async () => {
+    fetchSpecificPrintingPrices.mockResolvedValue(new Map([['m10|146', { priceUsd: 2, priceUsdFoil: 12 }]]));
+    fetchCardPrices.mockResolvedValue(new Map([
+      ['lightning bolt', { priceUsd: 0.5, priceUsdFoil: 4 }],
+      ['sol ring', { priceUsd: 1.5, priceUsdFoil: null }],
+    ]));
+
+    const prices = await priceCollectionCards(CARDS);
+    expect(prices.get(collectionPriceKey(BOLT))).toBe(2);
+    expect(prices.get(collectionPriceKey(BOLT_BINDER))).toBe(2);
+    expect(prices.get(collectionPriceKey(BOLT_FOIL))).toBe(12);
+    expect(prices.get(collectionPriceKey(RING))).toBe(1.5);
+    expect(prices.has(collectionPriceKey(UNKNOWN))).toBe(false);
+  });
+
+  it('returns null when Scryfall returns nothing, so no $0 valuation is stored', async () => {
+    fetchSpecificPrintingPrices.mockResolvedValue(new Map());
+    fetchCardPrices.mockResolvedValue(new Map());
+    expect(await priceCollectionCards(CARDS)).toBe(null);
+  });
+});
+
+describe('valuation reports', () => {
+  const prices = new Map([
+    [collectionPriceKey(BOLT), 2],
+    [collectionPriceKey(BOLT_FOIL), 12],
+    [collectionPriceKey(RING), 1.5],
+  ]);
+
+  it('totals value, cost basis and unpriced copies', () => {
+    expect(summarizeValuation(CARDS, prices)).toEqual({
+      totalValue: 4 * 2 + 12 + 2 * 2 + 1.5, costBasis: 4 * 1 + 2 * 3 + 5, cardCount: 11, unpricedCount: 3,
+    });
+  });
+
+  it('ranks movers by change times copies owned, counting one printing across binders together', () => {
+    const previous = new Map([
+      [collectionPriceKey(BOLT), 1.5],
+      [collectionPriceKey(BOLT_FOIL), 14],
+      [collectionPriceKey(RING), 1.5],
+    ]);
+    const movers = collectionMovers(CARDS, prices, previous);
+    expect(movers.map(m => [m.cardName, m.isFoil, m.quantity, m.change, m.totalChange])).toEqual([
+      ['Lightning Bolt', false, 6, 0.5, 3],
+      ['Lightning Bolt', true, 1, -2, -2],
+    ]);
+    expect(movers[0].changePct).toBeCloseTo(33.33, 2);
+  });
+
+  it('reports gain and loss against purchase price per entry', () => {
+    const result = collectionGainLoss(CARDS, prices);
+    expect(result).toMatchObject({ entries: 3, costBasis: 15, currentValue: 13.5, gain: -1.5, gainPct: -10 });
+    expect(result.gainers.map(e => [e.id, e.gain])).toEqual([[1, 4]]);
+    expect(result.losers.map(e => [e.id, e.gain])).toEqual([[4, -3.5], [3, -2]]);
+  });
+});
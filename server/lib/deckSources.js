@@ -0,0 +1,107 @@
+import { parseDeckUrl, SITE_LABELS } from '../../src/lib/fetcher.js';
+import { fetchDeck as fetchArchidektDeck } from './archidekt.js';
+import { archidektToText, moxfieldToText } from './deckToText.js';
+
+/**
+ * Server-side deck providers for tracked decks. A tracked deck is identified by
+ * (source_site, source_id) — the same site keys and ids the client importer
+ * derives via detectSite()/parseDeckUrl() in src/lib/fetcher.js. Each adapter
+ * fetches straight from the site (no nginx/vite proxy on the server) and returns
+ * { name, text, commanders } in the deck text format.
+ *
+ * DeckCheck and TCGPlayer stay import-only: their endpoints are undocumented and
+ * have no stable per-deck id worth snapshotting against.
+ */
+
+const FETCH_TIMEOUT_MS = 15000;
+
+async function fetchText(url, site) {
+  const res = await fetch(url, {
+    headers: { 'User-Agent': 'CardListCompare/1.0' },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    if (res.status === 404) throw new Error(`Deck not found on ${SITE_LABELS[site]}`);
+    throw new Error(`${SITE_LABELS[site]} returned status ${res.status}`);
+  }
+  const text = (await res.text()).trim();
+  if (!text) throw new Error(`${SITE_LABELS[site]} returned an empty deck list`);
+  return text;
+}
+
+const PROVIDERS = {
+  async archidekt(id) {
+    const data = await fetchArchidektDeck(id);
+    const { text, commanders } = archidektToText(data);
+    return { name: data.name || null, text, commanders };
+  },
+
+  async moxfield(id) {
+    const res = await fetch(`https://api2.moxfield.com/v3/decks/all/${encodeURIComponent(id)}`, {
+      headers: { 'User-Agent': 'CardListCompare/1.0' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+      if (res.status === 404) throw new Error('Deck not found on Moxfield');
+      if (res.status === 403) throw new Error('Moxfield blocked the request — try again later');
+      throw new Error(`Moxfield returned status ${res.status}`);
+    }
+    const data = await res.json();
+    const { text, commanders } = moxfieldToText(data);
+    return { name: data.name || null, text, commanders };
+  },
+
+  // The plain-text exports below carry no deck name and no commander marker.
+  async tappedout(id) {
+    const text = await fetchText(`https://tappedout.net/mtg-decks/${encodeURIComponent(id)}/?fmt=txt`, 'tappedout');
+    return { name: null, text, commanders: [] };
+  },
+
+  async deckstats(id) {
+    const [ownerId, deckId] = id.split('/').map(part => encodeURIComponent(part));
+    const text = await fetchText(`https://deckstats.net/decks/${ownerId}/${deckId}/en?export_txt=1`, 'deckstats');
+    return { name: null, text, commanders: [] };
+  },
+
+  async mtggoldfish(id) {
+    const text = await fetchText(`https://www.mtggoldfish.com/deck/download/${encodeURIComponent(id)}`, 'mtggoldfish');
+    return { name: null, text, commanders: [] };
+  },
+};
+
+export const TRACKABLE_SITES = Object.keys(PROVIDERS);
+
+// Local decks live nowhere online: source_site 'local', source_id NULL. Their
+// snapshots only ever come from pasted text, and every refresh path skips them.
+export const LOCAL_SITE = 'local';
+
+export function siteLabel(site) {
+  return SITE_LABELS[site] || site;
+}
+
+/**
+ * Resolve a deck URL to a trackable source.
+ * Returns { site, sourceId } or throws with a user-facing message.
+ */
+export function resolveDeckSource(url) {
+  const parsed = typeof url === 'string' ? parseDeckUrl(url.trim()) : null;
+  if (!parsed) {
+    throw new Error('Unsupported deck URL. Supported sites: ' + TRACKABLE_SITES.map(siteLabel).join(', '));
+  }
+  if (!PROVIDERS[parsed.site]) {
+    throw new Error(`${siteLabel(parsed.site)} decks can't be tracked — import the list on the compare page instead`);
+  }
+  return { site: parsed.site, sourceId: parsed.id };
+}
+
+/**
+ * Fetch the current list for a tracked deck's source.
+ * Returns { name, text, commanders } — name is null when the site doesn't expose one.
+ */
+export async function fetchSourceDeck(site, sourceId) {
+  if (site === LOCAL_SITE) throw new Error('Local decks have no remote source — paste a new list to add a snapshot');
+  const provider = PROVIDERS[site];
+  if (!provider) throw new Error(`${siteLabel(site)} decks can't be refreshed`);
+  if (!sourceId) throw new Error('Deck has no remote source to refresh from');
+  return provider(String(sourceId));
+}
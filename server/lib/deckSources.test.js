@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import initSqlJs from 'sql.js';
+import { resolveDeckSource, fetchSourceDeck } from './deckSources.js';
+
+describe('resolveDeckSource()', () => {
+  it('maps each trackable site to its source id', () => {
+    expect(resolveDeckSource('https://archidekt.com/decks/123456/my-deck')).toEqual({ site: 'archidekt', sourceId: '123456' });
+    expect(resolveDeckSource(' https://www.moxfield.com/decks/AbC-123 ')).toEqual({ site: 'moxfield', sourceId: 'AbC-123' });
+    expect(resolveDeckSource('https://tappedout.net/mtg-decks/my-cool-deck/')).toEqual({ site: 'tappedout', sourceId: 'my-cool-deck' });
+    expect(resolveDeckSource('https://deckstats.net/decks/12345/67890-my-deck/en')).toEqual({ site: 'deckstats', sourceId: '12345/67890' });
+    expect(resolveDeckSource('https://www.mtggoldfish.com/deck/6543210')).toEqual({ site: 'mtggoldfish', sourceId: '6543210' });
+  });
+
+  it('rejects import-only sites and unknown URLs with a user-facing message', () => {
+    expect(() => resolveDeckSource('https://deckcheck.co/app/deckview/abc123')).toThrow(/can't be tracked/);
+    expect(() => resolveDeckSource('https://example.com/decks/1')).toThrow(/Unsupported deck URL/);
+    expect(() => resolveDeckSource(null)).toThrow(/Unsupported deck URL/);
+  });
+});
+
+describe('fetchSourceDeck()', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('returns plain-text exports with no name or commanders', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({ ok: true, status: 200, text: async () => '1 Sol Ring\n' });
+    vi.stubGlobal('fetch', fetchMock);
+    const out = await fetchSourceDeck('tappedout', 'my-cool-deck');
+    expect(out).toEqual({ name: null, text: '1 Sol Ring', commanders: [] });
+    expect(fetchMock.mock.calls[0][0]).toBe('https://tappedout.net/mtg-decks/my-cool-deck/?fmt=txt');
+  });
+
+  it('surfaces a not-found deck as an error instead of an empty snapshot', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 404, text: async () => '' }));
+    await expect(fetchSourceDeck('mtggoldfish', '1')).rejects.toThrow(/not found on MTGGoldfish/);
+  });
+
+  it('refuses decks without a remote source', async () => {
+    await expect(fetchSourceDeck('local', null)).rejects.toThrow(/Local decks have no remote source/);
+    await expect(fetchSourceDeck('archidekt', null)).rejects.toThrow(/no remote source/);
+    await expect(fetchSourceDeck('deckcheck', 'x')).rejects.toThrow(/can't be refreshed/);
+  });
+});
+
+// The source migration rebuilds tracked_decks. A pre-migration database must
+// come through with its decks re-keyed and — critically — its snapshots intact
+// (foreign keys are off around the DROP, or it would cascade).
+describe('tracked_decks source migration', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'clc-sources-'));
+    process.env.DB_PATH = join(dir, 'test.db');
+    vi.resetModules();
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DB_PATH;
+  });
+
+  it('keeps legacy decks and their snapshots, and allows owner-less decks', async () => {
+    const SQL = await initSqlJs();
+    const legacy = new SQL.Database();
+    legacy.run(`CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL, created_at TEXT NOT NULL DEFAULT (datetime('now')))`);
+    legacy.run(`CREATE TABLE tracked_owners (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL,
+      archidekt_username TEXT NOT NULL, added_at TEXT NOT NULL DEFAULT (datetime('now')))`);
+    legacy.run(`CREATE TABLE tracked_decks (id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      tracked_owner_id INTEGER NOT NULL REFERENCES tracked_owners(id) ON DELETE CASCADE,
+      archidekt_deck_id INTEGER NOT NULL, deck_name TEXT NOT NULL, deck_url TEXT, last_refreshed_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')), UNIQUE(user_id, archidekt_deck_id))`);
+    legacy.run(`CREATE TABLE deck_snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tracked_deck_id INTEGER NOT NULL REFERENCES tracked_decks(id) ON DELETE CASCADE,
+      deck_text TEXT NOT NULL, nickname TEXT, created_at TEXT NOT NULL DEFAULT (datetime('now')))`);
+    legacy.run("INSERT INTO users (username, password_hash) VALUES ('u', 'h')");
+    legacy.run("INSERT INTO tracked_owners (user_id, archidekt_username) VALUES (1, 'o')");
+    legacy.run("INSERT INTO tracked_decks (user_id, tracked_owner_id, archidekt_deck_id, deck_name) VALUES (1, 1, 42, 'D')");
+    legacy.run("INSERT INTO deck_snapshots (tracked_deck_id, deck_text) VALUES (1, '1 Sol Ring')");
+    writeFileSync(process.env.DB_PATH, Buffer.from(legacy.export()));
+    legacy.close();
+
+    const db = await import('../db.js');
+    await db.initDb();
+
+    expect(db.get('SELECT source_site, source_id, archidekt_deck_id FROM tracked_decks WHERE id = 1'))
+      .toEqual({ source_site: 'archidekt', source_id: '42', archidekt_deck_id: 42 });
+    expect(db.get('SELECT COUNT(*) as n FROM deck_snapshots').n).toBe(1);
+
+    db.run("INSERT INTO tracked_decks (user_id, source_site, source_id, deck_name) VALUES (1, 'moxfield', 'abc', 'M')");
+    expect(() => db.run("INSERT INTO tracked_decks (user_id, source_site, source_id, deck_name) VALUES (1, 'moxfield', 'abc', 'M2')"))
+      .toThrow(/UNIQUE/);
+  });
+});
@@ -2,6 +2,8 @@ export function archidektToText(data) {
   const mainLines = [];
   const sideLines = [];
   const commanderLines = [];
+  const companionLines = [];
+  const maybeLines = [];
   const commanderNames = [];
 
   const cards = data.cards || [];
@@ -12,42 +14,132 @@ export function archidektToText(data) {
     const setCode = entry.card?.edition?.editioncode || '';
     const collectorNumber = entry.card?.collectorNumber || '';
     const modifier = entry.modifier || 'Normal';
-    const categories = (entry.categories || []).map((c) =>
-      typeof c === 'string' ? c.toLowerCase() : (c.name || '').toLowerCase()
-    );
+    const categoryNames = (entry.categories || []).map((c) => (typeof c === 'string' ? c : (c.name || '')));
+    const categories = categoryNames.map((c) => c.toLowerCase());
 
     let line = `${qty} ${name}`;
     if (setCode) line += ` (${setCode})`;
     if (collectorNumber) line += ` [${collectorNumber}]`;
     if (modifier === 'Foil') line += ` *F*`;
 
-    // Maybeboard/considering cards are skipped even when they also carry a
-    // board category — must match the client (src/lib/fetcher.js) exactly.
+    // Maybeboard/considering wins even when the card also carries a board
+    // category — must match the client (src/lib/fetcher.js) exactly.
     if (categories.includes('maybeboard') || categories.includes('considering')) {
+      maybeLines.push(line);
       continue;
     }
 
     if (categories.includes('commander') || categories.includes('commanders')) {
       commanderLines.push(line);
       commanderNames.push(name);
+    } else if (categories.includes('companion') || categories.includes('companions')) {
+      companionLines.push(line);
     } else if (categories.includes('sideboard')) {
       sideLines.push(line);
     } else {
-      mainLines.push(line);
+      // The first non-board category is the card's own ("Ramp", "Removal", ...)
+      const category = categoryNames.find((c) => c.trim() && !BOARD_CATEGORIES.has(c.toLowerCase()));
+      mainLines.push({ line, category: category ? category.trim() : null });
     }
   }
 
+  const text = joinSections({ commanderLines, companionLines, mainLines: categorizedLines(mainLines), sideLines, maybeLines });
+  return { text, commanders: commanderNames };
+}
+
+// Mirror of BOARD_CATEGORIES / categorizedLines in src/lib/fetcher.js.
+const BOARD_CATEGORIES = new Set(['commander', 'commanders', 'companion', 'companions', 'sideboard', 'maybeboard', 'considering']);
+
+function categorizedLines(entries) {
+  const lines = entries.filter((e) => !e.category).map((e) => e.line);
+  const groups = new Map();
+  for (const { line, category } of entries) {
+    if (!category) continue;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(line);
+  }
+  for (const category of [...groups.keys()].sort((a, b) => a.localeCompare(b))) {
+    lines.push(`// Category: ${category}`, ...groups.get(category));
+  }
+  return lines;
+}
+
+// Mirror of joinSections in src/lib/fetcher.js.
+function joinSections({ commanderLines = [], companionLines = [], mainLines = [], sideLines = [], maybeLines = [] }) {
   let text = '';
 
   if (commanderLines.length > 0) {
     text += 'Commander\n' + commanderLines.join('\n') + '\n\n';
   }
+  if (companionLines.length > 0) {
+    text += 'Companion\n' + companionLines.join('\n') + '\n\n';
+  }
 
   text += mainLines.join('\n');
 
   if (sideLines.length > 0) {
     text += '\n\nSideboard\n' + sideLines.join('\n');
   }
+  if (maybeLines.length > 0) {
+    text += '\n\nMaybeboard\n' + maybeLines.join('\n');
+  }
+
+  return text;
+}
+
+// Mirror of moxfieldToText in src/lib/fetcher.js (minus the client-only stats) —
+// text and commanders must match exactly, like archidektToText above.
+export function moxfieldToText(data) {
+  const sections = {
+    commanders: [],
+    mainboard: [],
+    sideboard: [],
+    companions: [],
+    maybeboard: [],
+  };
+  const commanderNames = [];
+
+  const boards = data.boards || {};
+
+  for (const [boardName, board] of Object.entries(boards)) {
+    const cards = board.cards || {};
+    const target = boardName.toLowerCase();
+    const isMaybe = target === 'maybeboard' || target === 'considering';
+
+    for (const [, cardEntry] of Object.entries(cards)) {
+      const name = cardEntry.card?.name || 'Unknown';
+      const qty = cardEntry.quantity || 1;
+      const setCode = cardEntry.card?.set || '';
+      const collectorNumber = cardEntry.card?.cn || '';
+      const finish = cardEntry.finish || '';
+      const isFoil = cardEntry.isFoil || finish === 'foil' || finish === 'etched';
+
+      let line = `${qty} ${name}`;
+      if (setCode) line += ` (${setCode})`;
+      if (collectorNumber) line += ` [${collectorNumber}]`;
+      if (isFoil) line += ` *F*`;
+
+      if (isMaybe) {
+        sections.maybeboard.push(line);
+      } else if (target === 'commanders' || target === 'commander') {
+        sections.commanders.push(line);
+        commanderNames.push(name);
+      } else if (target === 'sideboard' || target === 'side') {
+        sections.sideboard.push(line);
+      } else if (target === 'companions' || target === 'companion') {
+        sections.companions.push(line);
+      } else {
+        sections.mainboard.push(line);
+      }
+    }
+  }
 
+  const text = joinSections({
+    commanderLines: sections.commanders,
+    companionLines: sections.companions,
+    mainLines: sections.mainboard,
+    sideLines: sections.sideboard,
+    maybeLines: sections.maybeboard,
+  });
   return { text, commanders: commanderNames };
 }
@@ -10,6 +10,7 @@ import { fileURLToPath } from 'url';
 import { mkdirSync, existsSync, unlinkSync, statSync, readdirSync, createWriteStream } from 'fs';
 import { get, all, run } from '../db.js';
 import { parse } from '../../src/lib/parser.js';
+import { getLatestSnapshot, withDeckText } from './snapshotStore.js';
 import { fetchCardImageUrls, downloadCardImagesWithCache } from './scryfallImages.js';
 import { initImageCache, cleanExpiredImages, enforceSizeLimit } from './imageCache.js';
 
@@ -166,11 +167,10 @@ async function executeJob(job) {
   // Resolve snapshot
   let snap;
   if (job.snapshot_id) {
-    snap = get('SELECT id, deck_text FROM deck_snapshots WHERE id = ? AND tracked_deck_id = ?',
-      [job.snapshot_id, job.tracked_deck_id]);
+    snap = withDeckText(get('SELECT id, deck_text, delta_base_id FROM deck_snapshots WHERE id = ? AND tracked_deck_id = ?',
+      [job.snapshot_id, job.tracked_deck_id]));
   } else {
-    snap = get('SELECT id, deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-      [job.tracked_deck_id]);
+    snap = getLatestSnapshot(job.tracked_deck_id);
   }
   if (!snap?.deck_text) throw new Error('No snapshot found');
 
@@ -179,6 +179,7 @@ async function executeJob(job) {
   const cards = [];
   for (const [, entry] of parsed.mainboard) cards.push(entry);
   for (const [, entry] of parsed.sideboard) cards.push(entry);
+  for (const [, entry] of parsed.companions) cards.push(entry);
   for (const name of parsed.commanders) {
     if (!cards.some(c => c.displayName.toLowerCase() === name.toLowerCase())) {
       cards.push({ displayName: name, quantity: 1, setCode: '', collectorNumber: '', isFoil: false });
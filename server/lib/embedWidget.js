@@ -0,0 +1,246 @@
+/**
+ * Self-contained HTML widgets for embedding shared decks and comparisons in
+ * other sites (blogs, forums) via an iframe, plus the oEmbed response that
+ * points at them. No scripts, no external assets: styles are inline and mana
+ * symbols are drawn as CSS pips, so the widget renders under the embed
+ * routes' locked-down CSP.
+ */
+
+import { groupCardsByType } from '../../src/lib/formatter.js';
+import { EMBED_SIZES, embedPath, buildEmbedIframe } from '../../src/lib/embed.js';
+
+const PROVIDER_NAME = 'Card List Compare';
+
+export function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** 'light' or 'dark' from a ?theme= query value; dark matches the app. */
+export function parseEmbedTheme(value) {
+  return value === 'light' ? 'light' : 'dark';
+}
+
+const PIP_COLORS = { W: '#f8f6d8', U: '#c1d7e9', B: '#bab1ab', R: '#e49977', G: '#a3c095', C: '#ccc2c0' };
+const GENERIC_PIP = '#ccc2c0';
+
+/**
+ * A Scryfall mana cost ("{2}{U}{W/P}") as CSS pips. Hybrid symbols get a
+ * split background; unknown symbols fall back to the generic grey.
+ */
+export function renderManaCost(cost) {
+  const symbols = (cost || '').match(/\{[^}]+\}/g) || [];
+  return symbols.map(symbol => {
+    const inner = symbol.slice(1, -1).toUpperCase();
+    const colors = inner.split('/').map(part => PIP_COLORS[part]).filter(Boolean);
+    const background = colors.length >= 2
+      ? `linear-gradient(135deg, ${colors[0]} 50%, ${colors[1]} 50%)`
+      : (colors[0] || GENERIC_PIP);
+    return `<span class="pip" style="background:${background}" title="${escapeHtml(symbol)}">${escapeHtml(inner.replace('/P', 'ᵖ'))}</span>`;
+  }).join('');
+}
+
+const STYLES = `
+*{box-sizing:border-box}
+body{margin:0;font:13px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;background:var(--bg);color:var(--fg)}
+body.dark{--bg:#1a1b1e;--fg:#e4e4e7;--muted:#9ca3af;--line:#2e3036;--accent:#60a5fa;--in:#4ade80;--out:#f87171;--qty:#fbbf24}
+body.light{--bg:#fff;--fg:#1f2937;--muted:#6b7280;--line:#e5e7eb;--accent:#2563eb;--in:#15803d;--out:#b91c1c;--qty:#b45309}
+.embed{padding:12px 14px}
+header{border-bottom:1px solid var(--line);padding-bottom:8px;margin-bottom:8px}
+.title{font-size:16px;font-weight:600;color:var(--fg);text-decoration:none}
+.title:hover{color:var(--accent)}
+.sub{color:var(--muted);font-size:12px}
+.groups{columns:190px;column-gap:18px}
+.group{break-inside:avoid;margin-bottom:8px}
+h2{font-size:13px;margin:10px 0 4px}
+h3{font-size:11px;margin:6px 0 2px;color:var(--muted);text-transform:uppercase;letter-spacing:.04em}
+ul{list-style:none;margin:0;padding:0}
+li{display:flex;gap:6px;align-items:baseline;padding:1px 0}
+.qty{min-width:1.6em;text-align:right;color:var(--muted);font-variant-numeric:tabular-nums}
+.name{flex:1}
+.cost{white-space:nowrap}
+.pip{display:inline-block;min-width:15px;height:15px;padding:0 2px;margin-left:1px;border-radius:8px;color:#111;font-size:9px;font-weight:700;line-height:15px;text-align:center;vertical-align:1px}
+.in .qty{color:var(--in)}
+.out .qty{color:var(--out)}
+.change .qty{color:var(--qty)}
+.empty{color:var(--muted)}
+footer{border-top:1px solid var(--line);margin-top:8px;padding-top:6px;font-size:11px;color:var(--muted)}
+footer a{color:var(--accent);text-decoration:none}
+`;
+
+function renderPage({ title, oembedUrl, theme, body }) {
+  const discovery = oembedUrl
+    ? `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}" title="${escapeHtml(title)}">`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} — ${PROVIDER_NAME}</title>
+${discovery}
+<style>${STYLES}</style>
+</head>
+<body class="${parseEmbedTheme(theme)}">
+<div class="embed">
+${body}
+</div>
+</body>
+</html>`;
+}
+
+function renderHeader(title, subtitle, link) {
+  return `<header>
+<a class="title" href="${escapeHtml(link)}" target="_blank" rel="noopener">${escapeHtml(title)}</a>
+${subtitle ? `<div class="sub">${escapeHtml(subtitle)}</div>` : ''}
+</header>`;
+}
+
+function renderFooter(link) {
+  return `<footer>Open in <a href="${escapeHtml(link)}" target="_blank" rel="noopener">${PROVIDER_NAME}</a></footer>`;
+}
+
+function cardLine(card, cardMap, qtyText, className = '') {
+  const cost = cardMap?.get(card.name.toLowerCase())?.manaCost;
+  return `<li${className ? ` class="${className}"` : ''}><span class="qty">${escapeHtml(qtyText)}</span>`
+    + `<span class="name">${escapeHtml(card.name)}</span>`
+    + `<span class="cost">${renderManaCost(cost)}</span></li>`;
+}
+
+function countCards(cards) {
+  return cards.reduce((sum, card) => sum + card.quantity, 0);
+}
+
+function boardCards(board) {
+  return [...(board || new Map()).values()].map(card => ({ name: card.displayName, quantity: card.quantity }));
+}
+
+/**
+ * A deck list grouped by type. `parsed` is a parser result; `cardMap` is
+ * fetchCardMetadata output (type + manaCost), or empty to list ungrouped.
+ */
+export function renderDeckEmbed({ title, subtitle, parsed, cardMap, link, oembedUrl, theme }) {
+  const boards = [
+    ['Mainboard', boardCards(parsed.mainboard)],
+    ['Sideboard', boardCards(parsed.sideboard)],
+    ['Companion', boardCards(parsed.companions)],
+  ].filter(([, cards]) => cards.length > 0);
+
+  let body = renderHeader(title, subtitle, link);
+  if (boards.length === 0) body += '<p class="empty">This deck is empty.</p>';
+  for (const [boardTitle, cards] of boards) {
+    if (boards.length > 1 || boardTitle !== 'Mainboard') body += `<h2>${boardTitle} (${countCards(cards)})</h2>`;
+    body += '<div class="groups">';
+    for (const { type, cards: group } of groupCardsByType(cards, cardMap)) {
+      body += '<div class="group">';
+      if (type) body += `<h3>${type} (${countCards(group)})</h3>`;
+      body += `<ul>${group.map(card => cardLine(card, cardMap, String(card.quantity))).join('')}</ul></div>`;
+    }
+    body += '</div>';
+  }
+  body += renderFooter(link);
+  return renderPage({ title, oembedUrl, theme, body });
+}
+
+function renderChangeList(heading, cards, cardMap, className, qtyText) {
+  if (cards.length === 0) return '';
+  let html = `<div class="group"><h3>${heading}</h3>`;
+  for (const { type, cards: group } of groupCardsByType(cards, cardMap)) {
+    html += `<ul>${type ? `<li class="type"><span class="sub">${type}</span></li>` : ''}`
+      + group.map(card => cardLine(card, cardMap, qtyText(card), className)).join('') + '</ul>';
+  }
+  return html + '</div>';
+}
+
+function renderChangelogSection(title, section, cardMap) {
+  const { cardsIn, cardsOut, quantityChanges } = section;
+  if (cardsIn.length === 0 && cardsOut.length === 0 && quantityChanges.length === 0) return '';
+  return `<h2>${title}</h2><div class="groups">`
+    + renderChangeList(`Cards In (+${countCards(cardsIn)})`, cardsIn, cardMap, 'in', card => `+${card.quantity}`)
+    + renderChangeList(`Cards Out (−${countCards(cardsOut)})`, cardsOut, cardMap, 'out', card => `−${card.quantity}`)
+    + renderChangeList('Quantity Changes', quantityChanges, cardMap, 'change', card => `${card.delta > 0 ? '+' : '−'}${Math.abs(card.delta)}`)
+    + '</div>';
+}
+
+/**
+ * A changelog (computeDiff output): cards in, out and quantity changes per
+ * board, grouped by type with mana costs. Printing and category moves are
+ * left to the full app.
+ */
+export function renderChangelogEmbed({ title, subtitle, diff, cardMap, link, oembedUrl, theme }) {
+  let sections = renderChangelogSection('Mainboard', diff.mainboard, cardMap);
+  if (diff.hasSideboard) sections += renderChangelogSection('Sideboard', diff.sideboard, cardMap);
+  if (diff.hasCompanions) sections += renderChangelogSection('Companion', diff.companions, cardMap);
+  if (diff.hasMaybeboard) sections += renderChangelogSection('Maybeboard', diff.maybeboard, cardMap);
+
+  const body = renderHeader(title, subtitle, link)
+    + (sections || '<p class="empty">No card changes.</p>')
+    + renderFooter(link);
+  return renderPage({ title, oembedUrl, theme, body });
+}
+
+/** A widget-shaped notice for missing, expired or protected shares. */
+export function renderEmbedMessage({ title, message, link, theme }) {
+  const body = renderHeader(title, null, link) + `<p class="empty">${escapeHtml(message)}</p>`;
+  return renderPage({ title, theme, body });
+}
+
+const SHARE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Which widget an oEmbed `url` asks for: a share link (`/deck/<id>`,
+ * `/share/<id>`, or their older `#deck/…` / `#share/…` forms) or an embed URL
+ * itself. Null when unrecognised.
+ * @returns {{ kind: 'deck'|'changelog'|'comparison', id: string, params: object } | null}
+ */
+export function resolveEmbedTarget(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return null; }
+
+  const link = parsed.hash.match(/^#(deck|share)\/([^/?]+)$/) || parsed.pathname.match(/^\/(deck|share)\/([^/]+)\/?$/);
+  if (link) {
+    const [, route, id] = link;
+    if (!SHARE_ID.test(id)) return null;
+    return { kind: route === 'deck' ? 'deck' : 'comparison', id, params: {} };
+  }
+
+  const path = parsed.pathname.match(/^\/api\/embed\/(deck|share)\/([^/]+)(\/changelog)?$/);
+  if (!path) return null;
+  const [, route, id, changelog] = path;
+  if (!SHARE_ID.test(id) || (route === 'share' && changelog)) return null;
+  const kind = route === 'share' ? 'comparison' : (changelog ? 'changelog' : 'deck');
+  const params = {};
+  for (const key of ['a', 'b', 'snapshot', 'theme']) {
+    if (parsed.searchParams.has(key)) params[key] = parsed.searchParams.get(key);
+  }
+  return { kind, id, params };
+}
+
+function clampSize(value, max) {
+  const limit = parseInt(max, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(value, limit) : value;
+}
+
+/** oEmbed 1.0 "rich" response for a resolved embed target. */
+export function buildOEmbed({ target, title, appUrl, maxwidth, maxheight }) {
+  const base = appUrl.replace(/\/+$/, '');
+  const size = EMBED_SIZES[target.kind];
+  const width = clampSize(size.width, maxwidth);
+  const height = clampSize(size.height, maxheight);
+  return {
+    version: '1.0',
+    type: 'rich',
+    provider_name: PROVIDER_NAME,
+    provider_url: `${base}/`,
+    title,
+    width,
+    height,
+    html: buildEmbedIframe(`${base}${embedPath(target.kind, target.id, target.params)}`, { width, height, title }),
+    cache_age: 300,
+  };
+}
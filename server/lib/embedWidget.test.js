@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { parse } from '../../src/lib/parser.js';
+import { computeDiff } from '../../src/lib/differ.js';
+import {
+  escapeHtml, renderManaCost, renderDeckEmbed, renderChangelogEmbed, resolveEmbedTarget, buildOEmbed,
+} from './embedWidget.js';
+
+const cardMap = new Map([
+  ['sol ring', { type: 'Artifact', manaCost: '{1}' }],
+  ['llanowar elves', { type: 'Creature', manaCost: '{G}' }],
+  ['boros charm', { type: 'Instant', manaCost: '{R}{W}' }],
+]);
+
+describe('embed widgets', () => {
+  it('escapes HTML', () => {
+    expect(escapeHtml('<b>"Tom\'s" & co</b>')).toBe('&lt;b&gt;&quot;Tom&#39;s&quot; &amp; co&lt;/b&gt;');
+  });
+
+  it('draws mana costs as pips', () => {
+    expect(renderManaCost('')).toBe('');
+    const html = renderManaCost('{2}{G/U}');
+    expect(html.match(/class="pip"/g)).toHaveLength(2);
+    expect(html).toContain('>2</span>');
+    expect(html).toContain('linear-gradient');
+  });
+
+  it('renders a deck grouped by type with mana costs', () => {
+    const parsed = parse('1 Sol Ring\n1 Llanowar Elves\n1 <script>alert(1)</script>');
+    const html = renderDeckEmbed({ title: 'Elves & Friends', subtitle: '3 cards', parsed, cardMap, link: 'https://clc.test/#deck/abc' });
+    expect(html).toContain('Elves &amp; Friends');
+    expect(html.indexOf('Creature (1)')).toBeLessThan(html.indexOf('Artifact (1)'));
+    expect(html).toContain('class="pip"');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+  });
+
+  it('renders changelog sections', () => {
+    const diff = computeDiff(parse('1 Sol Ring\n1 Llanowar Elves'), parse('1 Sol Ring\n1 Boros Charm'));
+    const html = renderChangelogEmbed({ title: 'Changelog', diff, cardMap, link: 'https://clc.test/' });
+    expect(html).toContain('Cards In (+1)');
+    expect(html).toContain('Cards Out (−1)');
+    expect(html).toContain('Boros Charm');
+
+    const same = computeDiff(parse('1 Sol Ring'), parse('1 Sol Ring'));
+    expect(renderChangelogEmbed({ title: 'Changelog', diff: same, cardMap, link: '/' })).toContain('No card changes.');
+  });
+
+  it('resolves app links and embed URLs', () => {
+    expect(resolveEmbedTarget('https://clc.test/#deck/abc_1')).toEqual({ kind: 'deck', id: 'abc_1', params: {} });
+    expect(resolveEmbedTarget('https://clc.test/#share/xyz')).toEqual({ kind: 'comparison', id: 'xyz', params: {} });
+    expect(resolveEmbedTarget('https://clc.test/deck/abc_1')).toEqual({ kind: 'deck', id: 'abc_1', params: {} });
+    expect(resolveEmbedTarget('https://clc.test/share/xyz')).toEqual({ kind: 'comparison', id: 'xyz', params: {} });
+    expect(resolveEmbedTarget('https://clc.test/api/embed/deck/abc/changelog?a=1&b=2&theme=light'))
+      .toEqual({ kind: 'changelog', id: 'abc', params: { a: '1', b: '2', theme: 'light' } });
+    expect(resolveEmbedTarget('https://clc.test/#library')).toBe(null);
+    expect(resolveEmbedTarget('https://clc.test/api/embed/share/x/changelog')).toBe(null);
+    expect(resolveEmbedTarget('not a url')).toBe(null);
+  });
+
+  it('builds an oEmbed rich response within the requested size', () => {
+    const oembed = buildOEmbed({
+      target: { kind: 'deck', id: 'abc', params: { theme: 'light' } },
+      title: 'Krenko "Tin Street"',
+      appUrl: 'https://clc.test/',
+      maxwidth: '400',
+    });
+    expect(oembed).toMatchObject({ version: '1.0', type: 'rich', width: 400, height: 560, provider_url: 'https://clc.test/' });
+    expect(oembed.html).toContain('src="https://clc.test/api/embed/deck/abc?theme=light"');
+    expect(oembed.html).toContain('title="Krenko &quot;Tin Street&quot;"');
+  });
+});
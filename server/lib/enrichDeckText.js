@@ -10,7 +10,7 @@
  */
 
 import { parse } from '../../src/lib/parser.js';
-import { CARD_LINE_PATTERN } from '../../src/lib/constants.js';
+import { CARD_LINE_PATTERN, SECTION_HEADERS } from '../../src/lib/constants.js';
 import { fetchCardPrintings } from './scryfall.js';
 
 /**
@@ -38,6 +38,8 @@ function buildMetadataLookup(parsed) {
 
   addEntries(parsed.mainboard);
   addEntries(parsed.sideboard);
+  addEntries(parsed.companions);
+  addEntries(parsed.maybeboard);
   return lookup;
 }
 
@@ -79,6 +81,8 @@ export async function enrichDeckText(newText, previousText) {
 
   checkEntries(newParsed.mainboard);
   checkEntries(newParsed.sideboard);
+  checkEntries(newParsed.companions);
+  checkEntries(newParsed.maybeboard);
 
   // Fetch from Scryfall for cards without any metadata source
   const scryfallData = needsLookup.length > 0
@@ -93,7 +97,7 @@ export async function enrichDeckText(newText, previousText) {
     const trimmed = rawLine.trim();
 
     // Pass through section headers, blank lines, comments
-    if (!trimmed || /^\s*(sideboard|sb|mainboard|main|deck|commander|commanders|command zone)\s*[:.]?\s*$/i.test(trimmed) || /^\s*(\/\/|#)/.test(trimmed)) {
+    if (!trimmed || SECTION_HEADERS.some(re => re.test(trimmed)) || /^\s*(\/\/|#)/.test(trimmed)) {
       result.push(rawLine);
       continue;
     }
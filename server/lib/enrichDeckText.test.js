@@ -150,6 +150,14 @@ describe('enrichDeckText()', () => {
     expect(result).toMatch(/^Commander\n1 Atraxa, Praetors' Voice \(cm2\) \[10\]$/);
   });
 
+  it('keeps "// Category:" lines in place around enriched cards', async () => {
+    const prev = '1 Sol Ring (c21) [263]';
+    const newText = '// Category: Ramp\n1 Sol Ring\n// Category: Removal\n4 Lightning Bolt (m10) [146]';
+    const result = await enrichDeckText(newText, prev);
+
+    expect(result).toBe('// Category: Ramp\n1 Sol Ring (c21) [263]\n// Category: Removal\n4 Lightning Bolt (m10) [146]');
+  });
+
   // ── Mixed scenarios ─────────────────────────────────────────
 
   it('handles mix of enriched and plain cards', async () => {
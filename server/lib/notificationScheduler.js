@@ -1,19 +1,22 @@
 import { all, get, run } from '../db.js';
-import { fetchDeck } from './archidekt.js';
-import { archidektToText } from './deckToText.js';
+import { fetchSourceDeck, siteLabel, LOCAL_SITE } from './deckSources.js';
 import { enrichDeckText } from './enrichDeckText.js';
 import { pruneSnapshots } from './pruneSnapshots.js';
+import { getLatestSnapshot, recordSnapshot } from './snapshotStore.js';
 import { isEmailConfigured, sendEmail, getAppUrl } from './email.js';
 import { parse } from '../../src/lib/parser.js';
-import { computeDiff } from '../../src/lib/differ.js';
-import { computeDeckPrices } from './priceCalculator.js';
+import { computeDiff, hasDeckChanges } from '../../src/lib/differ.js';
+import { formatPrintingDetail } from '../../src/lib/formatter.js';
+import { computeDeckPrices, pricePrintingChanges } from './priceCalculator.js';
+import { emitSnapshotEvents, emitWebhookEvent, deckPayload } from './webhooks.js';
+import { valueCollections } from './collectionValue.js';
 
 let intervalHandle = null;
 let isRunning = false; // Overlap protection — prevents concurrent scheduler runs
 
 const MAX_CARDS_PER_SECTION = 8;
 const MAX_EMAILS_PER_HOUR = 10; // per user
-const MAX_CONCURRENT_FETCHES = 3; // Archidekt API concurrency limit
+const MAX_CONCURRENT_FETCHES = 3; // deck-site API concurrency limit
 const STARTUP_RUN_DELAY_MS = 60 * 1000; // let the server settle before the first cycle
 
 /**
@@ -45,32 +48,65 @@ function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+const DIFF_SECTIONS = ['mainboard', 'sideboard', 'companions', 'maybeboard'];
+
+/**
+ * Attach old/new prices to every section's printingChanges in one Scryfall pass.
+ * Non-fatal: on failure the swaps are reported without a price delta.
+ */
+async function pricePrintings(diff) {
+  const sections = DIFF_SECTIONS.filter(key => diff[key]);
+  const changes = sections.flatMap(key => diff[key].printingChanges);
+  if (changes.length === 0) return;
+  let priced;
+  try { priced = await pricePrintingChanges(changes); } catch { return; }
+  let offset = 0;
+  for (const key of sections) {
+    const count = diff[key].printingChanges.length;
+    diff[key].printingChanges = priced.slice(offset, offset + count);
+    offset += count;
+  }
+}
+
 /**
  * Build a human-readable change summary from a diff result.
- * Returns { added: ['2x Lightning Bolt', ...], removed: [...], changed: [...] }
+ * Returns { added: ['2x Lightning Bolt', ...], removed: [...], changed: [...], printings: [...] }
  */
 function buildChangeSummary(diff) {
   const added = [];
   const removed = [];
   const changed = [];
+  const printings = [];
+
+  // Companion and maybeboard changes are tagged so a considering-only update
+  // doesn't read as the deck itself changing.
+  const sections = [[diff.mainboard, ''], [diff.sideboard, '']];
+  if (diff.companions) sections.push([diff.companions, ' (companion)']);
+  if (diff.maybeboard) sections.push([diff.maybeboard, ' (maybeboard)']);
 
-  for (const section of [diff.mainboard, diff.sideboard]) {
+  for (const [section, tag] of sections) {
     for (const card of section.cardsIn) {
-      added.push(`${card.quantity}x ${card.name}`);
+      added.push(`${card.quantity}x ${card.name}${tag}`);
     }
     for (const card of section.cardsOut) {
-      removed.push(`${card.quantity}x ${card.name}`);
+      removed.push(`${card.quantity}x ${card.name}${tag}`);
     }
     for (const card of section.quantityChanges) {
       if (card.delta > 0) {
-        changed.push(`${card.name} (+${card.delta})`);
+        changed.push(`${card.name} (+${card.delta})${tag}`);
       } else {
-        changed.push(`${card.name} (${card.delta})`);
+        changed.push(`${card.name} (${card.delta})${tag}`);
       }
     }
+    for (const card of section.categoryChanges || []) {
+      changed.push(`${card.name} (${card.oldCategory} \u2192 ${card.newCategory})${tag}`);
+    }
+    for (const card of section.printingChanges || []) {
+      printings.push(`${card.quantity}x ${card.name}: ${formatPrintingDetail(card)}${tag}`);
+    }
   }
 
-  return { added, removed, changed };
+  return { added, removed, changed, printings };
 }
 
 function truncateList(items, max = MAX_CARDS_PER_SECTION) {
@@ -96,6 +132,17 @@ export function canSendEmail(userId) {
   return (row?.count || 0) < MAX_EMAILS_PER_HOUR;
 }
 
+/**
+ * SQL condition (on a `tracked_decks d` row) that the deck's owner has an
+ * active webhook covering it for one of `events` — such decks are checked even
+ * with email and Discord off. Event names are constants, never user input.
+ */
+function webhookSubscribedSql(events) {
+  const matches = events.map(event => `w.events LIKE '%"${event}"%'`).join(' OR ');
+  return `EXISTS (SELECT 1 FROM webhooks w WHERE w.user_id = d.user_id AND w.active = 1
+    AND (w.tracked_deck_id IS NULL OR w.tracked_deck_id = d.id) AND (${matches}))`;
+}
+
 /**
  * Log a notification to the notification_log table.
  */
@@ -112,70 +159,82 @@ function logNotification(userId, deckId, type, channel, subject, details) {
  * For each deck that has changed, create a snapshot and send an email.
  */
 /**
- * Process a single deck: fetch from Archidekt, compare, snapshot, notify.
+ * Process a single deck: fetch from its source site, compare, snapshot, notify.
+ * `deck` is a row shaped like checkDecksForChanges() selects.
  * Returns { changed: boolean } or throws on error.
  */
-async function processSingleDeck(deck) {
-  const apiData = await fetchDeck(deck.archidekt_deck_id);
-  const { text, commanders } = archidektToText(apiData);
+export async function processSingleDeck(deck) {
+  const { name, text, commanders } = await fetchSourceDeck(deck.source_site, deck.source_id);
 
-  const latest = get(
-    'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-    [deck.id]
-  );
+  const latest = getLatestSnapshot(deck.id);
 
   let enrichedText = text;
   try { enrichedText = await enrichDeckText(text, latest?.deck_text || null); } catch { /* non-fatal */ }
 
   if (latest && latest.deck_text === enrichedText) {
-    run('UPDATE tracked_decks SET last_refreshed_at = datetime("now") WHERE id = ?', [deck.id]);
+    recordSnapshot(deck.id, enrichedText, { latest }); // bumps last_confirmed_at
+    run("UPDATE tracked_decks SET last_refreshed_at = datetime('now') WHERE id = ?", [deck.id]);
     return { changed: false };
   }
 
   // Changes detected — compute structured diff for card-level detail
   let changeSummary = null;
+  let notify = true;
   try {
     if (latest?.deck_text) {
       const parsedBefore = parse(latest.deck_text);
       const parsedAfter = parse(enrichedText);
-      const diff = computeDiff(parsedBefore, parsedAfter);
-      changeSummary = buildChangeSummary(diff);
+      // Printing mode: an art or foil swap is news to whoever owns the deck
+      const diff = computeDiff(parsedBefore, parsedAfter, { printings: true });
+      // The text changed but no deck card did — e.g. the first refresh after
+      // the deck text format gained category lines or a Maybeboard section, or
+      // a maybeboard-only edit. Store it, tell no one.
+      notify = hasDeckChanges(diff);
+      if (notify) {
+        await pricePrintings(diff);
+        changeSummary = buildChangeSummary(diff);
+      }
     }
   } catch { /* Non-fatal */ }
 
-  run('INSERT INTO deck_snapshots (tracked_deck_id, deck_text) VALUES (?, ?)', [deck.id, enrichedText]);
+  const { id: snapshotId } = recordSnapshot(deck.id, enrichedText, { latest });
   pruneSnapshots(deck.id);
 
   let priceResult = null;
   try { priceResult = await computeDeckPrices(deck.id, enrichedText); } catch { /* Scryfall may be down */ }
 
   const cmdsJson = commanders && commanders.length > 0 ? JSON.stringify(commanders) : null;
+  const notifiedSql = notify ? ", last_notified_at = datetime('now')" : '';
   if (cmdsJson) {
-    run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), deck_name = ?, commanders = ?, last_notified_at = datetime("now") WHERE id = ?',
-      [apiData.name || deck.deck_name, cmdsJson, deck.id]);
+    run(`UPDATE tracked_decks SET last_refreshed_at = datetime('now'), deck_name = ?, commanders = ?${notifiedSql} WHERE id = ?`,
+      [name || deck.deck_name, cmdsJson, deck.id]);
   } else {
-    run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), deck_name = ?, last_notified_at = datetime("now") WHERE id = ?',
-      [apiData.name || deck.deck_name, deck.id]);
+    run(`UPDATE tracked_decks SET last_refreshed_at = datetime('now'), deck_name = ?${notifiedSql} WHERE id = ?`,
+      [name || deck.deck_name, deck.id]);
   }
+  emitSnapshotEvents(
+    { ...deck, deck_name: name || deck.deck_name, commanders: cmdsJson || deck.commanders },
+    { snapshotId, previous: latest, text: enrichedText, refreshed: true }
+  );
 
   // email_verified is required — the deck may have been selected via the webhook
   // branch with an unverified address, so re-check here (audit: unverified leak).
-  if (deck.notify_on_change && deck.email && deck.email_verified && isEmailConfigured() && canSendEmail(deck.user_id)) {
-    const sent = await sendDeckChangeEmail(deck.email, deck.username, deck.deck_name, deck.id, changeSummary);
+  if (notify && deck.notify_on_change && deck.email && deck.email_verified && isEmailConfigured() && canSendEmail(deck.user_id)) {
+    const sent = await sendDeckChangeEmail(deck.email, deck.username, deck.deck_name, deck.id, siteLabel(deck.source_site), changeSummary);
     if (sent) {
       logNotification(deck.user_id, deck.id, 'deck_change', 'email',
         `Deck Updated: ${deck.deck_name}`,
-        changeSummary ? { added: changeSummary.added.length, removed: changeSummary.removed.length, changed: changeSummary.changed.length } : null
+        changeSummary ? { added: changeSummary.added.length, removed: changeSummary.removed.length, changed: changeSummary.changed.length, printings: changeSummary.printings.length } : null
       );
     }
   }
 
-  if (deck.discord_webhook_url) {
-    const sent = await sendDiscordWebhook(deck.discord_webhook_url, deck.deck_name, deck.commanders, changeSummary);
+  if (notify && deck.discord_webhook_url) {
+    const sent = await sendDiscordWebhook(deck.discord_webhook_url, deck.deck_name, deck.commanders, siteLabel(deck.source_site), changeSummary);
     if (sent) {
       logNotification(deck.user_id, deck.id, 'deck_change', 'discord',
         `Deck Updated: ${deck.deck_name}`,
-        changeSummary ? { added: changeSummary.added.length, removed: changeSummary.removed.length, changed: changeSummary.changed.length } : null
+        changeSummary ? { added: changeSummary.added.length, removed: changeSummary.removed.length, changed: changeSummary.changed.length, printings: changeSummary.printings.length } : null
       );
     }
   }
@@ -221,7 +280,7 @@ async function checkDecksForChanges() {
   if (enabled?.value === 'false') return;
 
   const decks = all(`
-    SELECT d.id, d.archidekt_deck_id, d.deck_name, d.user_id,
+    SELECT d.id, d.source_site, d.source_id, d.deck_name, d.deck_url, d.user_id,
            u.email, u.username, u.email_verified, d.commanders, d.discord_webhook_url,
            d.last_known_price, d.last_known_budget_price,
            d.price_alert_baseline, d.price_alert_baseline_budget,
@@ -229,11 +288,13 @@ async function checkDecksForChanges() {
     FROM tracked_decks d
     JOIN users u ON d.user_id = u.id
     WHERE u.suspended = 0
+      AND d.source_site != ?
       AND (
         (d.notify_on_change = 1 AND u.email IS NOT NULL AND u.email != '' AND u.email_verified = 1)
         OR (d.discord_webhook_url IS NOT NULL AND d.discord_webhook_url != '')
+        OR ${webhookSubscribedSql(['deck.changed', 'snapshot.created'])}
       )
-  `);
+  `, [LOCAL_SITE]);
 
   if (decks.length === 0) return;
 
@@ -301,6 +362,15 @@ async function checkPriceAlert(deck, priceResult) {
     }
   }
 
+  emitWebhookEvent(deck.user_id, deck.id, 'price.alert', {
+    deck: deckPayload(deck),
+    previousPrice: prevPrice,
+    currentPrice,
+    delta: Math.round(delta * 100) / 100,
+    threshold: deck.price_alert_threshold,
+    mode,
+  });
+
   return true;
 }
 
@@ -380,7 +450,7 @@ async function sendPriceAlertWebhook(webhookUrl, deckName, commandersJson, curre
   }
 }
 
-async function sendDiscordWebhook(webhookUrl, deckName, commandersJson, changeSummary) {
+async function sendDiscordWebhook(webhookUrl, deckName, commandersJson, sourceLabel, changeSummary) {
   try {
     let commanders = [];
     try { commanders = commandersJson ? JSON.parse(commandersJson) : []; } catch { /* ignore */ }
@@ -410,14 +480,21 @@ async function sendDiscordWebhook(webhookUrl, deckName, commandersJson, changeSu
           inline: true,
         });
       }
+      if (changeSummary.printings.length > 0) {
+        fields.push({
+          name: `Printings (\u21bb${changeSummary.printings.length})`,
+          value: truncateList(changeSummary.printings).join('\n'),
+          inline: false,
+        });
+      }
     }
 
     const body = {
       embeds: [{
         title: `Deck Updated: ${deckName}`,
         description: changeSummary
-          ? `**${cmdLabel}** has been updated on Archidekt.`
-          : `**${cmdLabel}** has been updated on Archidekt. A new snapshot has been saved.`,
+          ? `**${cmdLabel}** has been updated on ${sourceLabel}.`
+          : `**${cmdLabel}** has been updated on ${sourceLabel}. A new snapshot has been saved.`,
         color: 0x3b82f6,
         fields: fields.length > 0 ? fields : undefined,
         footer: { text: 'Card List Compare' },
@@ -444,7 +521,7 @@ async function sendDiscordWebhook(webhookUrl, deckName, commandersJson, changeSu
   }
 }
 
-async function sendDeckChangeEmail(email, username, deckName, deckId, changeSummary) {
+async function sendDeckChangeEmail(email, username, deckName, deckId, sourceLabel, changeSummary) {
   const appUrl = getAppUrl();
   const libraryUrl = `${appUrl}#library`;
 
@@ -476,6 +553,14 @@ async function sendDeckChangeEmail(email, username, deckName, deckId, changeSumm
         </div>
       `);
     }
+    if (changeSummary.printings.length > 0) {
+      sections.push(`
+        <div style="margin-bottom: 8px;">
+          <strong style="color: #2196f3;">Printings (${changeSummary.printings.length}):</strong>
+          <div style="color: #2196f3; font-size: 13px; padding-left: 8px;">${truncateList(changeSummary.printings).map(escapeHtml).join('<br>')}</div>
+        </div>
+      `);
+    }
     if (sections.length > 0) {
       changeDetailHtml = `
         <div style="background: #f8f9fa; border: 1px solid #e0e0e0; border-radius: 8px; padding: 12px 16px; margin: 16px 0;">
@@ -489,7 +574,7 @@ async function sendDeckChangeEmail(email, username, deckName, deckId, changeSumm
     <div style="font-family: -apple-system, BlinkMacSystemFont, sans-serif; max-width: 480px; margin: 0 auto; padding: 24px;">
       <h2 style="color: #333;">Deck Updated</h2>
       <p>Hi ${escapeHtml(username)},</p>
-      <p>Your tracked deck <strong>${escapeHtml(deckName)}</strong> has changed on Archidekt.</p>
+      <p>Your tracked deck <strong>${escapeHtml(deckName)}</strong> has changed on ${escapeHtml(sourceLabel)}.</p>
       ${changeDetailHtml || '<p>A new snapshot has been saved automatically.</p>'}
       <p>
         <a href="${libraryUrl}" style="display: inline-block; padding: 12px 24px; background: #3b82f6; color: #fff; text-decoration: none; border-radius: 6px; font-weight: 600;">
@@ -512,7 +597,7 @@ async function checkPriceAlerts() {
   if (enabled?.value === 'false') return;
 
   const decks = all(`
-    SELECT d.id, d.deck_name, d.user_id, d.commanders,
+    SELECT d.id, d.deck_name, d.user_id, d.commanders, d.source_site, d.deck_url,
            d.last_known_price, d.last_known_budget_price,
            d.price_alert_baseline, d.price_alert_baseline_budget,
            d.price_alert_threshold, d.price_alert_mode,
@@ -526,6 +611,7 @@ async function checkPriceAlerts() {
       AND (
         (d.notify_on_change = 1 AND u.email IS NOT NULL AND u.email != '' AND u.email_verified = 1)
         OR (d.discord_webhook_url IS NOT NULL AND d.discord_webhook_url != '')
+        OR ${webhookSubscribedSql(['price.alert'])}
       )
   `);
 
@@ -534,10 +620,7 @@ async function checkPriceAlerts() {
   let alerts = 0;
 
   for (const deck of decks) {
-    const snap = get(
-      'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-      [deck.id]
-    );
+    const snap = getLatestSnapshot(deck.id);
     if (!snap?.deck_text) continue;
 
     try {
@@ -564,12 +647,14 @@ async function checkPriceAlerts() {
  */
 async function autoRefreshScheduledDecks() {
   const decks = all(`
-    SELECT d.id, d.archidekt_deck_id, d.deck_name, d.auto_refresh_hours, d.last_refreshed_at
+    SELECT d.id, d.user_id, d.source_site, d.source_id, d.deck_name, d.deck_url, d.commanders,
+           d.auto_refresh_hours, d.last_refreshed_at
     FROM tracked_decks d
     JOIN users u ON d.user_id = u.id
     WHERE u.suspended = 0
       AND d.auto_refresh_hours IS NOT NULL
-  `);
+      AND d.source_site != ?
+  `, [LOCAL_SITE]);
 
   if (decks.length === 0) return;
 
@@ -590,33 +675,33 @@ async function autoRefreshScheduledDecks() {
     500,
     async (deck) => {
       try {
-        const apiData = await fetchDeck(deck.archidekt_deck_id);
-        const { text, commanders } = archidektToText(apiData);
+        const { name, text, commanders } = await fetchSourceDeck(deck.source_site, deck.source_id);
 
-        const latest = get(
-          'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-          [deck.id]
-        );
+        const latest = getLatestSnapshot(deck.id);
 
         let enrichedText = text;
         try { enrichedText = await enrichDeckText(text, latest?.deck_text || null); } catch { /* non-fatal */ }
 
-        if (latest && latest.deck_text === enrichedText) {
+        const recorded = recordSnapshot(deck.id, enrichedText, { latest });
+        if (!recorded.changed) {
           try { await computeDeckPrices(deck.id, enrichedText); } catch { /* non-fatal */ }
-          run('UPDATE tracked_decks SET last_refreshed_at = datetime("now") WHERE id = ?', [deck.id]);
+          run("UPDATE tracked_decks SET last_refreshed_at = datetime('now') WHERE id = ?", [deck.id]);
           return { changed: false };
         } else {
-          run('INSERT INTO deck_snapshots (tracked_deck_id, deck_text) VALUES (?, ?)', [deck.id, enrichedText]);
           pruneSnapshots(deck.id);
           try { await computeDeckPrices(deck.id, enrichedText); } catch { /* non-fatal */ }
           const cmdsJson = commanders && commanders.length > 0 ? JSON.stringify(commanders) : null;
           if (cmdsJson) {
-            run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), deck_name = ?, commanders = ? WHERE id = ?',
-              [apiData.name || deck.deck_name, cmdsJson, deck.id]);
+            run("UPDATE tracked_decks SET last_refreshed_at = datetime('now'), deck_name = ?, commanders = ? WHERE id = ?",
+              [name || deck.deck_name, cmdsJson, deck.id]);
           } else {
-            run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), deck_name = ? WHERE id = ?',
-              [apiData.name || deck.deck_name, deck.id]);
+            run("UPDATE tracked_decks SET last_refreshed_at = datetime('now'), deck_name = ? WHERE id = ?",
+              [name || deck.deck_name, deck.id]);
           }
+          emitSnapshotEvents(
+            { ...deck, deck_name: name || deck.deck_name, commanders: cmdsJson || deck.commanders },
+            { snapshotId: recorded.id, previous: latest, text: enrichedText, refreshed: true }
+          );
           return { changed: true };
         }
       } catch (err) {
@@ -685,6 +770,11 @@ export function startNotificationScheduler() {
         } catch (err) {
           console.error('[PriceAlerts] Scheduler error:', err.message);
         }
+        try {
+          await valueCollections();
+        } catch (err) {
+          console.error('[CollectionValue] Scheduler error:', err.message);
+        }
         try {
           run(`INSERT INTO server_settings (key, value, updated_at) VALUES ('last_scheduler_run_at', ?, datetime('now'))
                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
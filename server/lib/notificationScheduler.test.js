@@ -4,6 +4,22 @@ import { tmpdir } from 'os';
 import { join } from 'path';
 import { evaluatePriceAlert } from './notificationScheduler.js';
 
+vi.mock('./deckSources.js', () => ({
+  fetchSourceDeck: vi.fn(),
+  siteLabel: site => site,
+  LOCAL_SITE: 'local',
+}));
+vi.mock('./enrichDeckText.js', () => ({ enrichDeckText: async text => text }));
+vi.mock('./priceCalculator.js', () => ({
+  computeDeckPrices: vi.fn(async () => { throw new Error('Scryfall is down'); }),
+  pricePrintingChanges: vi.fn(async () => {}),
+}));
+vi.mock('./email.js', () => ({
+  isEmailConfigured: () => true,
+  sendEmail: vi.fn(async () => true),
+  getAppUrl: () => 'https://clc.test',
+}));
+
 describe('evaluatePriceAlert (audit: price-alert baseline)', () => {
   it('establishes a baseline on first observation without firing', () => {
     expect(evaluatePriceAlert(null, 100, 10)).toEqual({ fire: false, newBaseline: 100 });
@@ -82,3 +98,78 @@ describe('canSendEmail rate limit (audit: dead SQL comparison)', () => {
     expect(canSendEmail(1)).toBe(true); // all outside the window
   });
 });
+
+describe('processSingleDeck notifications', () => {
+  let dir;
+  let db;
+  let scheduler;
+  let fetchSourceDeck;
+  let sendEmail;
+  let fetchMock;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'clc-notif-'));
+    process.env.DB_PATH = join(dir, 'test.db');
+    vi.resetModules();
+    db = await import('../db.js');
+    await db.initDb();
+    scheduler = await import('./notificationScheduler.js');
+    ({ fetchSourceDeck } = await import('./deckSources.js'));
+    ({ sendEmail } = await import('./email.js'));
+    const { createWebhook } = await import('./webhooks.js');
+    sendEmail.mockClear();
+    fetchMock = vi.fn(async () => ({ ok: true, status: 204 }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    db.run("INSERT INTO users (username, password_hash, email, email_verified) VALUES ('u', 'h', 'u@clc.test', 1)");
+    db.run(`INSERT INTO tracked_decks (user_id, source_site, source_id, deck_name, notify_on_change, discord_webhook_url)
+      VALUES (1, 'archidekt', '1', 'Krenko', 1, 'https://discord.test/api/webhooks/1/x')`);
+    createWebhook(1, { url: 'https://hooks.clc.test/deck', events: ['deck.changed'] });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DB_PATH;
+  });
+
+  async function refresh(before, after) {
+    db.run("INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at) VALUES (1, ?, datetime('now', '-1 day'))", [before]);
+    fetchSourceDeck.mockResolvedValue({ name: 'Krenko', text: after, commanders: [] });
+    const deck = db.get(`SELECT d.*, u.email, u.username, u.email_verified
+      FROM tracked_decks d JOIN users u ON u.id = d.user_id WHERE d.id = 1`);
+    await scheduler.processSingleDeck(deck);
+  }
+
+  const deckChangedEvents = () => db.all("SELECT id FROM webhook_deliveries WHERE event = 'deck.changed'");
+
+  it('stores an old-format snapshot upgraded to category lines without notifying anyone', async () => {
+    await refresh(
+      '1 Sol Ring (c21) [263]\n1 Goblin Matron (mh3) [129]',
+      '1 Sol Ring (c21) [263]\n// Category: Tutors\n1 Goblin Matron (mh3) [129]'
+    );
+
+    expect(db.get('SELECT COUNT(*) AS n FROM deck_snapshots').n).toBe(2);
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(deckChangedEvents()).toEqual([]);
+    expect(db.get('SELECT last_notified_at FROM tracked_decks WHERE id = 1').last_notified_at).toBe(null);
+  });
+
+  it('does not notify when only the maybeboard changed, e.g. an old snapshot without one', async () => {
+    await refresh('1 Sol Ring\n1 Goblin Matron', '1 Sol Ring\n1 Goblin Matron\n\nMaybeboard\n1 Goblin Recruiter');
+
+    expect(db.get('SELECT COUNT(*) AS n FROM deck_snapshots').n).toBe(2);
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(deckChangedEvents()).toEqual([]);
+  });
+
+  it('still notifies every channel when a card changed', async () => {
+    await refresh('1 Sol Ring\n1 Goblin Matron', '1 Sol Ring\n1 Goblin Recruiter');
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls.some(([url]) => url.startsWith('https://discord.test/'))).toBe(true);
+    expect(deckChangedEvents()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,427 @@
+/**
+ * OpenAPI 3.1 description of the endpoints personal access tokens can call
+ * (served at /api/openapi.json). Built from TOKEN_ROUTES, so the published
+ * surface is exactly what a token is allowed to reach; every route there needs
+ * an entry in OPERATIONS (a test checks both ways).
+ */
+
+import { TOKEN_ROUTES, TOKEN_SCOPES } from './accessTokens.js';
+import { CONDITIONS, MAX_LOCATION_LENGTH } from './collectionImport.js';
+import { MOVER_PERIODS } from './collectionValue.js';
+
+const idParam = (name, description) => ({
+  name, in: 'path', required: true, description, schema: { type: 'integer' },
+});
+const DECK_ID = idParam('deckId', 'Tracked deck id');
+const SNAPSHOT_ID = idParam('snapshotId', 'Snapshot id');
+const CARD_ID = idParam('id', 'Collection entry id');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const ok = (description, schema) => ({ 200: { description, ...json(schema) } });
+const object = (properties, required) => ({ type: 'object', properties, ...(required ? { required } : {}) });
+const SUCCESS = ok('Done', object({ success: { type: 'boolean' } }));
+
+const SCHEMAS = {
+  Error: object({ error: { type: 'string' } }, ['error']),
+  Deck: object({
+    id: { type: 'integer' },
+    deck_name: { type: 'string' },
+    source_site: { type: 'string', description: 'archidekt, moxfield, tappedout, deckstats, mtggoldfish or local' },
+    source_id: { type: ['string', 'null'] },
+    deck_url: { type: ['string', 'null'] },
+    commanders: { type: ['string', 'null'], description: 'JSON array of commander names' },
+    notes: { type: ['string', 'null'] },
+    pinned: { type: 'integer' },
+    last_refreshed_at: { type: ['string', 'null'] },
+    latest_snapshot_at: { type: ['string', 'null'] },
+    snapshot_count: { type: 'integer' },
+    last_known_price: { type: ['number', 'null'] },
+    last_known_budget_price: { type: ['number', 'null'] },
+    paper_snapshot_id: { type: ['integer', 'null'] },
+    tags: { type: 'array', items: { type: 'string' } },
+  }),
+  SnapshotSummary: object({
+    id: { type: 'integer' },
+    nickname: { type: ['string', 'null'] },
+    locked: { type: 'integer' },
+    created_at: { type: 'string' },
+    last_confirmed_at: { type: ['string', 'null'], description: 'Last time a refresh found the deck unchanged' },
+  }),
+  Snapshot: object({
+    id: { type: 'integer' },
+    tracked_deck_id: { type: 'integer' },
+    deck_text: { type: 'string', description: 'Deck list in the format of docs/DECK_TEXT_FORMAT.md' },
+    nickname: { type: ['string', 'null'] },
+    locked: { type: 'integer' },
+    snapshot_price: { type: ['number', 'null'] },
+    snapshot_budget_price: { type: ['number', 'null'] },
+    created_at: { type: 'string' },
+    last_confirmed_at: { type: ['string', 'null'] },
+  }),
+  CollectionCard: object({
+    id: { type: 'integer' },
+    card_name: { type: 'string' },
+    set_code: { type: ['string', 'null'] },
+    collector_number: { type: ['string', 'null'] },
+    quantity: { type: 'integer' },
+    is_foil: { type: 'integer' },
+    condition: { type: ['string', 'null'], enum: [...CONDITIONS, null] },
+    language: { type: ['string', 'null'], description: 'Scryfall language code' },
+    purchase_price: { type: ['number', 'null'] },
+    acquired_at: { type: ['string', 'null'], format: 'date' },
+    location: { type: ['string', 'null'], description: 'Binder, box or other storage place' },
+  }),
+};
+
+// Optional per-entry details accepted when adding or editing a card
+const CARD_DETAILS = {
+  condition: { type: ['string', 'null'], enum: [...CONDITIONS, null] },
+  language: { type: ['string', 'null'], description: 'Scryfall language code or name' },
+  purchasePrice: { type: ['number', 'null'], minimum: 0 },
+  acquiredAt: { type: ['string', 'null'], format: 'date' },
+  location: { type: ['string', 'null'], maxLength: MAX_LOCATION_LENGTH },
+};
+
+/** Per-route details, keyed "METHOD /path" as in TOKEN_ROUTES. */
+export const OPERATIONS = {
+  'GET /decks': {
+    summary: 'List tracked decks',
+    responses: ok('Tracked decks, pinned first', object({ decks: { type: 'array', items: ref('Deck') } })),
+  },
+  'GET /decks/overlap': {
+    summary: 'Cards shared across tracked decks (latest snapshots)',
+    responses: ok('Overlap matrix', object({
+      decks: { type: 'array', items: object({ id: { type: 'integer' }, name: { type: 'string' }, totalCards: { type: 'integer' } }) },
+      sharedCards: { type: 'array', items: { type: 'object' } },
+      matrix: { type: 'array', items: { type: 'array', items: { type: 'integer' } } },
+    })),
+  },
+  'GET /decks/{deckId}/prices': {
+    summary: 'Current prices for the latest snapshot',
+    parameters: [DECK_ID],
+    responses: ok('Deck and per-card prices', object({
+      totalPrice: { type: 'number' },
+      budgetPrice: { type: 'number' },
+      previousPrice: { type: ['number', 'null'] },
+      cards: { type: 'array', items: { type: 'object' } },
+    })),
+  },
+  'GET /decks/{deckId}/price-history': {
+    summary: 'Recorded snapshot prices, oldest first',
+    parameters: [DECK_ID],
+    responses: ok('Price points', object({
+      deckName: { type: 'string' },
+      currentPrice: { type: ['number', 'null'] },
+      currentBudgetPrice: { type: ['number', 'null'] },
+      dataPoints: {
+        type: 'array',
+        items: object({
+          snapshotId: { type: 'integer' },
+          price: { type: 'number' },
+          budgetPrice: { type: ['number', 'null'] },
+          date: { type: 'string' },
+          nickname: { type: ['string', 'null'] },
+        }),
+      },
+    })),
+  },
+  'GET /decks/{deckId}/legality': {
+    summary: 'Format legality of the latest snapshot',
+    parameters: [DECK_ID],
+    responses: ok('Per-format results', object({
+      formats: { type: 'array', items: { type: 'object' } },
+      guessedFormat: { type: ['string', 'null'] },
+    })),
+  },
+  'GET /decks/{deckId}/snapshots': {
+    summary: 'List snapshots, newest first',
+    parameters: [DECK_ID],
+    responses: ok('Snapshots without deck text', object({ snapshots: { type: 'array', items: ref('SnapshotSummary') } })),
+  },
+  'GET /decks/{deckId}/snapshots/{snapshotId}': {
+    summary: 'Get one snapshot with its deck text',
+    parameters: [DECK_ID, SNAPSHOT_ID],
+    responses: ok('The snapshot', object({ snapshot: ref('Snapshot') })),
+  },
+  'GET /decks/{deckId}/timeline': {
+    summary: 'Card counts and change counts for every snapshot, oldest first',
+    parameters: [DECK_ID],
+    responses: ok('Timeline entries', object({
+      entries: {
+        type: 'array',
+        items: object({
+          snapshotId: { type: 'integer' },
+          date: { type: 'string' },
+          nickname: { type: ['string', 'null'] },
+          locked: { type: 'boolean' },
+          cardCount: { type: 'integer' },
+          delta: object({ added: { type: 'integer' }, removed: { type: 'integer' }, changed: { type: 'integer' } }),
+        }),
+      },
+    })),
+  },
+  'GET /decks/{deckId}/changelog': {
+    summary: 'Diff two snapshots (default: the two newest)',
+    parameters: [
+      DECK_ID,
+      { name: 'a', in: 'query', description: 'Older snapshot id (with b)', schema: { type: 'integer' } },
+      { name: 'b', in: 'query', description: 'Newer snapshot id (with a)', schema: { type: 'integer' } },
+    ],
+    responses: ok('Diff plus both snapshots', object({
+      diff: { type: 'object', description: 'Cards in, out and quantity changes per board' },
+      before: { type: 'object' },
+      after: { type: 'object' },
+    })),
+  },
+  'GET /decks/{deckId}/power-history': {
+    summary: 'Estimated power level of every snapshot',
+    parameters: [DECK_ID],
+    responses: ok('Power points', object({
+      profile: { type: 'string' },
+      points: { type: 'array', items: object({ snapshotId: { type: 'integer' }, date: { type: 'string' }, level: { type: 'number' }, score: { type: 'number' } }) },
+    })),
+  },
+  'POST /decks/{deckId}/snapshots': {
+    summary: 'Record a snapshot from deck text',
+    description: 'Text identical to the latest snapshot is not stored again; the response says `unchanged`.',
+    parameters: [DECK_ID],
+    requestBody: {
+      required: true,
+      ...json(object({ deck_text: { type: 'string' }, nickname: { type: ['string', 'null'], maxLength: 100 } }, ['deck_text'])),
+    },
+    responses: {
+      201: { description: 'Snapshot created', ...json(object({ snapshot: ref('SnapshotSummary') })) },
+      ...ok('Unchanged — the latest snapshot', object({ snapshot: ref('SnapshotSummary'), unchanged: { type: 'boolean' } })),
+    },
+  },
+  'PATCH /decks/{deckId}/snapshots/{snapshotId}': {
+    summary: 'Rename a snapshot',
+    parameters: [DECK_ID, SNAPSHOT_ID],
+    requestBody: { required: true, ...json(object({ nickname: { type: ['string', 'null'], maxLength: 100 } })) },
+    responses: SUCCESS,
+  },
+  'PATCH /decks/{deckId}/snapshots/{snapshotId}/lock': {
+    summary: 'Lock a snapshot against pruning and deletion',
+    parameters: [DECK_ID, SNAPSHOT_ID],
+    responses: SUCCESS,
+  },
+  'PATCH /decks/{deckId}/snapshots/{snapshotId}/unlock': {
+    summary: 'Unlock a snapshot',
+    parameters: [DECK_ID, SNAPSHOT_ID],
+    responses: SUCCESS,
+  },
+  'DELETE /decks/{deckId}/snapshots/{snapshotId}': {
+    summary: 'Delete an unlocked snapshot',
+    parameters: [DECK_ID, SNAPSHOT_ID],
+    responses: SUCCESS,
+  },
+  'GET /collection': {
+    summary: 'List the collection',
+    responses: ok('Collection entries by name', object({ cards: { type: 'array', items: ref('CollectionCard') } })),
+  },
+  'GET /collection/summary': {
+    summary: 'Unique and total card counts',
+    responses: ok('Counts', object({ uniqueCards: { type: 'integer' }, totalCards: { type: 'integer' } })),
+  },
+  'GET /collection/export': {
+    summary: 'Download the collection as deck text, Moxfield CSV, Deckbox CSV or JSON',
+    description: 'Every format can be imported again with POST /collection/import.',
+    parameters: [
+      { name: 'format', in: 'query', schema: { type: 'string', enum: ['text', 'moxfield', 'deckbox', 'json'], default: 'text' } },
+      { name: 'set', in: 'query', description: 'Only this set code', schema: { type: 'string' } },
+      { name: 'foil', in: 'query', description: 'Only foil (true) or non-foil (false) entries', schema: { type: 'boolean' } },
+      { name: 'inDeck', in: 'query', description: 'Only cards used by this tracked deck id, or by any deck (`any`)', schema: { type: 'string' } },
+      { name: 'unused', in: 'query', description: 'Only cards no tracked deck uses', schema: { type: 'boolean' } },
+    ],
+    responses: {
+      200: {
+        description: 'The export file',
+        content: {
+          'text/plain': { schema: { type: 'string' } },
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: { type: 'object' } },
+        },
+      },
+    },
+  },
+  'GET /collection/value': {
+    summary: 'Collection value history, biggest price movers and gain/loss against purchase prices',
+    description: 'The collection is valued once a day by the server\'s scheduler; this reads the stored valuations.',
+    parameters: [
+      { name: 'period', in: 'query', description: 'Movers over this many days', schema: { type: 'integer', enum: MOVER_PERIODS, default: 7 } },
+    ],
+    responses: ok('Value report', object({
+      history: {
+        type: 'array',
+        items: object({
+          day: { type: 'string', format: 'date' },
+          total_value: { type: 'number' },
+          cost_basis: { type: ['number', 'null'] },
+          card_count: { type: 'integer' },
+          unpriced_count: { type: 'integer' },
+        }),
+      },
+      latest: { type: ['object', 'null'], description: 'The last history entry' },
+      movers: {
+        type: ['object', 'null'],
+        description: '`cards` holds per-printing price changes since `since`, largest change × copies owned first',
+      },
+      gainLoss: {
+        type: ['object', 'null'],
+        description: 'Totals over entries with a purchase price, plus the biggest `gainers` and `losers`',
+      },
+    })),
+  },
+  'GET /collection/shopping-list': {
+    summary: 'Cards still missing to build a set of decks, with the cheapest price and cost per deck',
+    description: 'Owned copies are shared out over the decks in the order given, so one copy never covers two decks. '
+      + 'Prices are the cheapest USD price Scryfall lists for each card; they are null when Scryfall is unavailable. '
+      + 'Shares the price-lookup rate limit (20 requests a minute).',
+    parameters: [
+      { name: 'decks', in: 'query', required: true, description: 'Comma-separated tracked deck ids, highest priority first (up to 20)', schema: { type: 'string' } },
+    ],
+    responses: ok('Shopping list', object({
+      decks: {
+        type: 'array',
+        items: object({
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          hasSnapshot: { type: 'boolean' },
+          neededCopies: { type: 'integer' },
+          ownedCopies: { type: 'integer' },
+          missingCopies: { type: 'integer' },
+          missingUnique: { type: 'integer' },
+          cost: { type: ['number', 'null'] },
+          unpriced: { type: 'integer', description: 'Missing copies without a price' },
+        }),
+      },
+      cards: {
+        type: 'array',
+        items: object({
+          name: { type: 'string' },
+          quantity: { type: 'integer' },
+          unitPrice: { type: ['number', 'null'] },
+          total: { type: ['number', 'null'] },
+          decks: { type: 'array', items: object({ id: { type: 'integer' }, quantity: { type: 'integer' } }) },
+        }),
+      },
+      totalCopies: { type: 'integer' },
+      totalCost: { type: ['number', 'null'] },
+      pricesAvailable: { type: 'boolean' },
+    })),
+  },
+  'POST /collection': {
+    summary: 'Add copies of a card',
+    requestBody: {
+      required: true,
+      ...json(object({
+        cardName: { type: 'string' },
+        setCode: { type: 'string' },
+        collectorNumber: { type: 'string' },
+        quantity: { type: 'integer', minimum: 1, maximum: 999 },
+        isFoil: { type: 'boolean' },
+        ...CARD_DETAILS,
+      }, ['cardName'])),
+    },
+    responses: SUCCESS,
+  },
+  'POST /collection/import': {
+    summary: 'Add cards from deck-format text or a collection app CSV export',
+    description: 'CSV exports from Moxfield, Deckbox, ManaBox, Dragon Shield and TCGplayer are detected from the header row. '
+      + '`replace` clears the collection first; `merge` adds to existing quantities. '
+      + '`location` is given to every row that does not carry its own.',
+    requestBody: {
+      required: true,
+      ...json(object({
+        text: { type: 'string' },
+        mode: { type: 'string', enum: ['merge', 'replace'], default: 'merge' },
+        location: { type: 'string', maxLength: MAX_LOCATION_LENGTH },
+      }, ['text'])),
+    },
+    responses: ok('Import counts', object({
+      imported: { type: 'integer' },
+      skipped: { type: 'integer' },
+      format: { type: 'string', enum: ['json', 'text', 'manabox', 'dragonshield', 'deckbox', 'moxfield', 'tcgplayer', 'csv'] },
+      mode: { type: 'string', enum: ['merge', 'replace'] },
+    })),
+  },
+  'POST /collection/import/preview': {
+    summary: 'Dry-run an import: detected format, first rows and skipped rows with reasons',
+    requestBody: { required: true, ...json(object({ text: { type: 'string' } }, ['text'])) },
+    responses: ok('Import preview', object({
+      format: { type: 'string' },
+      formatLabel: { type: 'string' },
+      rows: { type: 'integer' },
+      totalCards: { type: 'integer' },
+      cards: { type: 'array', items: { type: 'object' }, description: 'First 100 parsed rows' },
+      skipped: { type: 'integer' },
+      skippedRows: {
+        type: 'array',
+        items: object({ row: { type: 'integer' }, text: { type: 'string' }, reason: { type: 'string' } }),
+      },
+      existingCards: { type: 'integer' },
+    })),
+  },
+  'PATCH /collection/{id}': {
+    summary: 'Edit a collection entry\'s quantity, condition, language, purchase details or location',
+    description: 'If the edit makes the entry identical to another one (same printing, foil, condition, language '
+      + 'and location) the two are merged and `mergedInto` is the id of the remaining entry.',
+    parameters: [CARD_ID],
+    requestBody: {
+      required: true,
+      ...json(object({ quantity: { type: 'integer', minimum: 1, maximum: 999 }, ...CARD_DETAILS })),
+    },
+    responses: ok('Done', object({ success: { type: 'boolean' }, mergedInto: { type: 'integer' } })),
+  },
+  'DELETE /collection/{id}': {
+    summary: 'Remove a collection entry',
+    parameters: [CARD_ID],
+    responses: SUCCESS,
+  },
+};
+
+const ERROR_RESPONSES = {
+  400: { description: 'Invalid request', ...json(ref('Error')) },
+  401: { description: 'Missing, invalid or expired token', ...json(ref('Error')) },
+  403: { description: 'Token lacks the scope, or the account is suspended', ...json(ref('Error')) },
+  404: { description: 'Not found (or not yours)', ...json(ref('Error')) },
+};
+
+/** The spec, with `serverUrl` (APP_URL) as the base for /api. */
+export function buildOpenApiSpec(serverUrl) {
+  const paths = {};
+  for (const route of TOKEN_ROUTES) {
+    const key = `${route.method} ${route.path}`;
+    const operation = OPERATIONS[key];
+    if (!operation) throw new Error(`No OpenAPI operation for ${key}`);
+    paths[route.path] ||= {};
+    paths[route.path][route.method.toLowerCase()] = {
+      ...operation,
+      description: [operation.description, `Requires the \`${route.scope}\` scope.`].filter(Boolean).join('\n\n'),
+      security: [{ accessToken: [route.scope] }],
+      responses: { ...operation.responses, ...ERROR_RESPONSES },
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Card List Compare API',
+      version: '1.0.0',
+      description: 'Read tracked decks and snapshots, record snapshots and manage the card collection with a personal access token (Settings → API Tokens). Send it as `Authorization: Bearer clc_pat_…`.',
+    },
+    servers: [{ url: `${serverUrl.replace(/\/+$/, '')}/api` }],
+    paths,
+    components: {
+      securitySchemes: {
+        accessToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: `Personal access token. Scopes: ${Object.entries(TOKEN_SCOPES).map(([scope, text]) => `\`${scope}\` — ${text}`).join('; ')}.`,
+        },
+      },
+      schemas: SCHEMAS,
+    },
+  };
+}
@@ -0,0 +1,10 @@
+import { get } from '../db.js';
+import { normalizePowerSettings } from '../../src/lib/powerLevel.js';
+
+/** A user's power level profile and card list overrides (defaults when unset). */
+export function loadPowerSettings(userId) {
+  const row = get('SELECT power_settings FROM users WHERE id = ?', [userId]);
+  let saved = null;
+  try { saved = JSON.parse(row?.power_settings || 'null'); } catch { /* ignore */ }
+  return normalizePowerSettings(saved);
+}
@@ -132,3 +132,38 @@ export async function computeDeckPrices(deckId, deckText) {
 
   return { totalPrice: roundedTotal, budgetPrice: roundedBudget, cards };
 }
+
+/**
+ * Unit price of one printing (USD), or null when it has no set+collector number
+ * or Scryfall has no price for it. Foil copies use the foil price.
+ */
+function printingUnitPrice(prices, setCode, collectorNumber, isFoil) {
+  if (!setCode || !collectorNumber) return null;
+  const data = prices.get(printingKey(setCode, collectorNumber));
+  if (!data) return null;
+  return isFoil ? (data.priceUsdFoil ?? data.priceUsd) : (data.priceUsd ?? data.priceUsdFoil);
+}
+
+/**
+ * Price printing swaps from computeDiff(before, after, { printings: true }).
+ * Returns the changes with `oldPrice` / `newPrice` (unit prices, null when
+ * unknown) and `priceDelta` — the value change across all swapped copies, null
+ * unless both printings are priced.
+ */
+export async function pricePrintingChanges(changes) {
+  if (!changes || changes.length === 0) return [];
+
+  const prices = await fetchSpecificPrintingPrices(changes.flatMap(change => [
+    { name: change.name, set: change.oldSetCode, collectorNumber: change.oldCollectorNumber },
+    { name: change.name, set: change.newSetCode, collectorNumber: change.newCollectorNumber },
+  ]));
+
+  return changes.map(change => {
+    const oldPrice = printingUnitPrice(prices, change.oldSetCode, change.oldCollectorNumber, change.oldIsFoil);
+    const newPrice = printingUnitPrice(prices, change.newSetCode, change.newCollectorNumber, change.newIsFoil);
+    const priceDelta = oldPrice != null && newPrice != null
+      ? Math.round((newPrice - oldPrice) * change.quantity * 100) / 100
+      : null;
+    return { ...change, oldPrice, newPrice, priceDelta };
+  });
+}
@@ -11,7 +11,7 @@ vi.mock('./scryfall.js', () => ({
   printingKey: (set, cn) => `${String(set || '').toLowerCase()}|${cn}`,
 }));
 
-import { computeDeckPrices } from './priceCalculator.js';
+import { computeDeckPrices, pricePrintingChanges } from './priceCalculator.js';
 import { fetchCardPrices, fetchSpecificPrintingPrices } from './scryfall.js';
 
 beforeEach(() => {
@@ -60,3 +60,34 @@ describe('computeDeckPrices multi-printing (audit)', () => {
     expect(result.totalPrice).toBe(10); // priced once, not twice
   });
 });
+
+describe('pricePrintingChanges', () => {
+  it('prices both printings of a swap and the delta across the swapped copies', async () => {
+    fetchSpecificPrintingPrices.mockResolvedValue(new Map([
+      ['c21|263', { priceUsd: 1.5, priceUsdFoil: null }],
+      ['sld|1011', { priceUsd: 20, priceUsdFoil: 14 }],
+    ]));
+    const [priced] = await pricePrintingChanges([{
+      name: 'Sol Ring', quantity: 2,
+      oldSetCode: 'C21', oldCollectorNumber: '263', oldIsFoil: false,
+      newSetCode: 'SLD', newCollectorNumber: '1011', newIsFoil: true,
+    }]);
+    // Foil copy priced at the foil price, not the nonfoil one
+    expect(priced).toMatchObject({ name: 'Sol Ring', oldPrice: 1.5, newPrice: 14, priceDelta: 25 });
+  });
+
+  it('leaves the delta unset when either printing is unpriced', async () => {
+    fetchSpecificPrintingPrices.mockResolvedValue(new Map([['c21|263', { priceUsd: 1.5, priceUsdFoil: null }]]));
+    const [priced] = await pricePrintingChanges([{
+      name: 'Sol Ring', quantity: 1,
+      oldSetCode: 'C21', oldCollectorNumber: '263', oldIsFoil: false,
+      newSetCode: 'SLD', newCollectorNumber: '', newIsFoil: false,
+    }]);
+    expect(priced).toMatchObject({ oldPrice: 1.5, newPrice: null, priceDelta: null });
+  });
+
+  it('skips the Scryfall call when there is nothing to price', async () => {
+    expect(await pricePrintingChanges([])).toEqual([]);
+    expect(fetchSpecificPrintingPrices).not.toHaveBeenCalled();
+  });
+});
@@ -1,44 +1,113 @@
-import { get, all, run } from '../db.js';
+import { get, all } from '../db.js';
+import { deleteSnapshots } from './snapshotStore.js';
 
 /**
- * Prune unlocked snapshots for a deck, keeping only the most recent N unlocked ones.
- * Locked snapshots are never deleted and don't count toward the limit.
- * @param {number} trackedDeckId
- * @returns {number} Number of snapshots deleted
+ * Snapshot retention policies:
+ *   count  — keep the newest `max_snapshots_per_deck` unlocked snapshots (0 = unlimited)
+ *   tiered — keep every snapshot from the last 7 days, the newest of each week
+ *            for the 3 months before that, and the newest of each month beyond
+ * A deck's own tracked_decks.retention_policy wins; NULL follows the server
+ * default in snapshot_retention_policy.
  */
-export function pruneSnapshots(trackedDeckId) {
+export const RETENTION_POLICIES = ['count', 'tiered'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEEP_ALL_DAYS = 7;
+const WEEKLY_MONTHS = 3;
+// 1970-01-05 was a Monday, so week buckets run Monday–Sunday (UTC)
+const FIRST_MONDAY_MS = Date.UTC(1970, 0, 5);
+
+// created_at is SQLite's UTC "YYYY-MM-DD HH:MM:SS"
+function parseSnapshotTime(createdAt) {
+  return Date.parse(createdAt.replace(' ', 'T') + 'Z');
+}
+
+function maxSnapshotsSetting() {
   const setting = get("SELECT value FROM server_settings WHERE key = 'max_snapshots_per_deck'");
   // NaN-guard, NOT `|| 25`: a stored '0' means unlimited and must survive parsing
   // (a truthy-fallback turned 0 into 25 and silently deleted history — audit H8).
   const parsed = parseInt(setting?.value, 10);
-  const max = Number.isNaN(parsed) ? 25 : parsed;
-  if (max <= 0) return 0; // 0 means unlimited
+  return Number.isNaN(parsed) ? 25 : parsed;
+}
 
+/** The policy a deck follows: its own, else the server default, else 'count'. */
+export function resolveRetentionPolicy(deckPolicy) {
+  if (RETENTION_POLICIES.includes(deckPolicy)) return deckPolicy;
+  const setting = get("SELECT value FROM server_settings WHERE key = 'snapshot_retention_policy'");
+  return RETENTION_POLICIES.includes(setting?.value) ? setting.value : 'count';
+}
+
+/**
+ * Pick the snapshots a policy deletes. `snapshots` are the deck's prunable
+ * snapshots ({ id, created_at }, any order) — locked and paper snapshots are
+ * never passed in, so they neither get deleted nor fill a week/month slot.
+ * Pure, so the dry-run preview and the real prune can't disagree.
+ * Returns the doomed snapshots, oldest first.
+ */
+export function selectSnapshotsToPrune(snapshots, policy, { max = 25, now = Date.now() } = {}) {
+  const newestFirst = [...snapshots].sort(
+    (a, b) => parseSnapshotTime(b.created_at) - parseSnapshotTime(a.created_at) || b.id - a.id
+  );
+
+  let doomed;
+  if (policy === 'tiered') {
+    const keepAllSince = now - KEEP_ALL_DAYS * DAY_MS;
+    const weeklyCutoff = new Date(now);
+    weeklyCutoff.setUTCMonth(weeklyCutoff.getUTCMonth() - WEEKLY_MONTHS);
+    const keptBuckets = new Set();
+    doomed = newestFirst.filter(snap => {
+      const time = parseSnapshotTime(snap.created_at);
+      if (time >= keepAllSince) return false;
+      const date = new Date(time);
+      const bucket = time >= weeklyCutoff.getTime()
+        ? `week:${Math.floor((time - FIRST_MONDAY_MS) / (7 * DAY_MS))}`
+        : `month:${date.getUTCFullYear()}-${date.getUTCMonth()}`;
+      // Newest-first, so the first snapshot seen in a bucket is the one kept
+      if (keptBuckets.has(bucket)) return true;
+      keptBuckets.add(bucket);
+      return false;
+    });
+  } else {
+    doomed = max > 0 ? newestFirst.slice(max) : [];
+  }
+  return doomed.reverse();
+}
+
+function planPrune(trackedDeckId, policyOverride) {
   // The paper snapshot is protected from pruning even when it could not be
   // auto-locked (lock limit reached) — otherwise the deck's paper_snapshot_id is
   // left dangling with no UI recovery (audit: paper-snapshot prune).
-  const deck = get('SELECT paper_snapshot_id FROM tracked_decks WHERE id = ?', [trackedDeckId]);
+  const deck = get('SELECT paper_snapshot_id, retention_policy FROM tracked_decks WHERE id = ?', [trackedDeckId]);
   const paperId = deck?.paper_snapshot_id ?? null;
+  const policy = resolveRetentionPolicy(policyOverride ?? deck?.retention_policy);
 
-  const countRow = get(
-    'SELECT COUNT(*) as count FROM deck_snapshots WHERE tracked_deck_id = ? AND locked = 0 AND (? IS NULL OR id != ?)',
+  const prunable = all(
+    'SELECT id, nickname, created_at FROM deck_snapshots WHERE tracked_deck_id = ? AND locked = 0 AND (? IS NULL OR id != ?)',
     [trackedDeckId, paperId, paperId]
   );
+  return { policy, doomed: selectSnapshotsToPrune(prunable, policy, { max: maxSnapshotsSetting() }) };
+}
 
-  if (countRow.count <= max) return 0;
-
-  const excess = countRow.count - max;
-
-  const toDelete = all(
-    'SELECT id FROM deck_snapshots WHERE tracked_deck_id = ? AND locked = 0 AND (? IS NULL OR id != ?) ORDER BY created_at ASC LIMIT ?',
-    [trackedDeckId, paperId, paperId, excess]
-  );
-
-  if (toDelete.length === 0) return 0;
+/**
+ * Prune unlocked snapshots for a deck under its retention policy.
+ * Locked snapshots and the paper snapshot are never deleted.
+ * @param {number} trackedDeckId
+ * @returns {number} Number of snapshots deleted
+ */
+export function pruneSnapshots(trackedDeckId) {
+  const { doomed } = planPrune(trackedDeckId);
+  if (doomed.length === 0) return 0;
 
-  const ids = toDelete.map(s => s.id);
-  const placeholders = ids.map(() => '?').join(',');
-  run(`DELETE FROM deck_snapshots WHERE id IN (${placeholders})`, ids);
+  deleteSnapshots(doomed.map(s => s.id));
+  return doomed.length;
+}
 
-  return ids.length;
+/**
+ * Dry run: which snapshots pruneSnapshots() would delete for a deck under
+ * `policy` (default: the deck's effective policy). Deletes nothing.
+ * @returns {{ policy: string, snapshots: Array<{ id, nickname, created_at }> }}
+ */
+export function previewPrune(trackedDeckId, policy) {
+  const { policy: resolved, doomed } = planPrune(trackedDeckId, policy);
+  return { policy: resolved, snapshots: doomed };
 }
@@ -82,3 +82,62 @@ describe('pruneSnapshots', () => {
     expect(remaining).not.toContain('snap2'); // oldest non-paper pruned
   });
 });
+
+describe('tiered retention', () => {
+  const NOW = Date.parse('2026-06-15T12:00:00Z');
+  let select;
+
+  beforeEach(async () => {
+    ({ selectSnapshotsToPrune: select } = await import('./pruneSnapshots.js'));
+  });
+
+  function snap(id, iso) {
+    return { id, created_at: iso.replace('T', ' ') };
+  }
+
+  it('keeps the last 7 days, the newest per week for 3 months, then the newest per month', () => {
+    const snapshots = [
+      snap(1, '2026-06-14T09:00:00'), // within 7 days
+      snap(2, '2026-06-10T09:00:00'), // within 7 days, same week as #1
+      snap(3, '2026-05-20T09:00:00'), // week of May 18 — newest, kept
+      snap(4, '2026-05-18T09:00:00'), // same week — pruned
+      snap(5, '2026-05-14T09:00:00'), // week of May 11 — kept
+      snap(6, '2026-02-20T09:00:00'), // older than 3 months: February — newest, kept
+      snap(7, '2026-02-02T09:00:00'), // February — pruned
+      snap(8, '2026-01-31T09:00:00'), // January — kept
+    ];
+    const doomed = select(snapshots, 'tiered', { now: NOW });
+    expect(doomed.map(s => s.id)).toEqual([7, 4]);
+  });
+
+  it('count policy keeps the newest max and treats 0 as unlimited', () => {
+    const snapshots = [snap(1, '2026-01-01T00:00:00'), snap(2, '2026-01-02T00:00:00'), snap(3, '2026-01-03T00:00:00')];
+    expect(select(snapshots, 'count', { max: 2, now: NOW }).map(s => s.id)).toEqual([1]);
+    expect(select(snapshots, 'count', { max: 0, now: NOW })).toEqual([]);
+  });
+
+  it('uses the deck policy over the server default, and previewPrune deletes nothing', async () => {
+    const { previewPrune } = await import('./pruneSnapshots.js');
+    setMax(0);
+    // Two snapshots in the same month, long ago — tiered keeps only the newer
+    db.run("INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at) VALUES (1, 'old1', '2020-03-01 00:00:00')");
+    db.run("INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at) VALUES (1, 'old2', '2020-03-15 00:00:00')");
+
+    expect(previewPrune(1).snapshots).toEqual([]); // server default 'count', unlimited
+    expect(previewPrune(1, 'tiered').snapshots.map(s => s.created_at)).toEqual(['2020-03-01 00:00:00']);
+    expect(ids()).toEqual(['old1', 'old2']);
+
+    db.run("UPDATE tracked_decks SET retention_policy = 'tiered' WHERE id = 1");
+    expect(prune(1)).toBe(1);
+    expect(ids()).toEqual(['old2']);
+  });
+
+  it('never lets a locked snapshot take a bucket from an unlocked one', async () => {
+    db.run("UPDATE server_settings SET value = 'tiered' WHERE key = 'snapshot_retention_policy'");
+    db.run("INSERT INTO deck_snapshots (tracked_deck_id, deck_text, locked, created_at) VALUES (1, 'locked', 1, '2020-03-20 00:00:00')");
+    db.run("INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at) VALUES (1, 'a', '2020-03-01 00:00:00')");
+    db.run("INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at) VALUES (1, 'b', '2020-03-10 00:00:00')");
+    prune(1);
+    expect(ids()).toEqual(['b', 'locked']);
+  });
+});
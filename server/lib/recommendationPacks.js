@@ -0,0 +1,87 @@
+import { all, get, run } from '../db.js';
+import { normalizePack, normalizeRules, BUILTIN_PACK_ID } from '../../src/lib/recommendationPacks.js';
+
+/** Packs one user may keep; admin (server-wide) packs have the same cap. */
+export const MAX_PACKS_PER_OWNER = 50;
+
+/** API shape of a recommendation_packs row. */
+export function packFromRow(row) {
+  let cards = [];
+  try { cards = JSON.parse(row.cards); } catch { /* corrupt row — serve it empty */ }
+  return {
+    id: row.id,
+    scope: row.user_id == null ? 'global' : 'user',
+    name: row.name,
+    description: row.description || '',
+    cards,
+    updatedAt: row.updated_at,
+  };
+}
+
+/** A user's own packs followed by every admin pack. */
+export function listPacksForUser(userId) {
+  return all(
+    'SELECT * FROM recommendation_packs WHERE user_id = ? OR user_id IS NULL ORDER BY user_id IS NULL, name COLLATE NOCASE',
+    [userId]
+  ).map(packFromRow);
+}
+
+export function listGlobalPacks() {
+  return all('SELECT * FROM recommendation_packs WHERE user_id IS NULL ORDER BY name COLLATE NOCASE').map(packFromRow);
+}
+
+/**
+ * Insert a pack from a request body. `userId` null stores an admin pack.
+ * @returns {{ pack?: object, error?: string }}
+ */
+export function createPack(userId, body) {
+  let pack;
+  try { pack = normalizePack(body); } catch (err) { return { error: err.message }; }
+  const owned = userId == null
+    ? get('SELECT COUNT(*) as count FROM recommendation_packs WHERE user_id IS NULL')
+    : get('SELECT COUNT(*) as count FROM recommendation_packs WHERE user_id = ?', [userId]);
+  if (owned.count >= MAX_PACKS_PER_OWNER) {
+    return { error: `At most ${MAX_PACKS_PER_OWNER} packs` };
+  }
+  const { lastInsertRowid } = run(
+    'INSERT INTO recommendation_packs (user_id, name, description, cards) VALUES (?, ?, ?, ?)',
+    [userId, pack.name, pack.description, JSON.stringify(pack.cards)]
+  );
+  return { pack: packFromRow(get('SELECT * FROM recommendation_packs WHERE id = ?', [lastInsertRowid])) };
+}
+
+/**
+ * Replace a pack's contents from a request body.
+ * @returns {{ pack?: object, error?: string }}
+ */
+export function replacePack(id, body) {
+  let pack;
+  try { pack = normalizePack(body); } catch (err) { return { error: err.message }; }
+  run(
+    "UPDATE recommendation_packs SET name = ?, description = ?, cards = ?, updated_at = datetime('now') WHERE id = ?",
+    [pack.name, pack.description, JSON.stringify(pack.cards), id]
+  );
+  return { pack: packFromRow(get('SELECT * FROM recommendation_packs WHERE id = ?', [id])) };
+}
+
+/**
+ * A user's pack selection and rules. `packIds` null means the default mix:
+ * the built-in pack plus every admin pack.
+ */
+export function loadRecommendationSettings(userId) {
+  const row = get('SELECT recommendation_settings FROM users WHERE id = ?', [userId]);
+  let saved = null;
+  try { saved = JSON.parse(row?.recommendation_settings || 'null'); } catch { /* ignore */ }
+  return {
+    packIds: Array.isArray(saved?.packIds) ? saved.packIds : null,
+    rules: normalizeRules(saved?.rules),
+  };
+}
+
+/** Clean a settings body: pack ids are the built-in id or positive integers. */
+export function normalizeRecommendationSettings(body) {
+  const packIds = Array.isArray(body?.packIds)
+    ? [...new Set(body.packIds.filter(id => id === BUILTIN_PACK_ID || (Number.isInteger(id) && id > 0)))].slice(0, MAX_PACKS_PER_OWNER * 2 + 1)
+    : null;
+  return { packIds, rules: normalizeRules(body?.rules) };
+}
@@ -4,9 +4,12 @@
  * Node 22 has built-in fetch — no extra dependencies needed.
  *
  * Includes in-memory TTL caches to avoid redundant API calls for
- * the same cards within a session (metadata 30m, prices 10m, printings 60m).
+ * the same cards within a session (metadata 30m, prices 10m, printings 60m,
+ * art crops 24h).
  */
 
+import { pickLegalities } from '../../src/lib/legality.js';
+
 const SCRYFALL_API = 'https://api.scryfall.com';
 const BATCH_SIZE = 75; // Scryfall max per request
 const DELAY_MS = 100; // Respect rate limit (~10 req/sec)
@@ -16,12 +19,14 @@ const DELAY_MS = 100; // Respect rate limit (~10 req/sec)
 const METADATA_TTL = 30 * 60 * 1000; // 30 minutes
 const PRICE_TTL = 10 * 60 * 1000;    // 10 minutes
 const PRINTING_TTL = 60 * 60 * 1000; // 60 minutes
+const ART_TTL = 24 * 60 * 60 * 1000;  // 24 hours
 const MAX_CACHE_ENTRIES = 2000;       // Per-cache entry limit
 
 const metadataCache = new Map(); // key -> { data, ts }
 const priceCache = new Map();
 const printingCache = new Map();
 const specificPriceCache = new Map();
+const artCache = new Map();
 
 function getCached(cache, key, ttl) {
   const entry = cache.get(key);
@@ -174,8 +179,9 @@ export async function fetchCardPrintings(cardNames) {
 
 /**
  * Fetch full card metadata for an array of card names.
- * Returns Map<string, { type, manaCost, colorIdentity, priceUsd, priceUsdFoil }>
- * Keys are lowercased card names.
+ * Returns Map<string, { type, frontTypeLine, isBackLand, manaCost, colorIdentity, keywords, legalities, priceUsd, priceUsdFoil }>
+ * Keys are lowercased card names. `legalities` is trimmed to the formats the
+ * legality checker knows (src/lib/legality.js).
  */
 export async function fetchCardMetadata(cardNames) {
   return fetchNameData(
@@ -191,8 +197,13 @@ export async function fetchCardMetadata(cardNames) {
       }
       return {
         type,
+        frontTypeLine: front,
+        // MDFCs with a land back face count as lands (power level, analytics)
+        isBackLand: (card.card_faces?.[1]?.type_line || '').includes('Land'),
         manaCost: card.mana_cost || (card.card_faces?.[0]?.mana_cost) || '',
         colorIdentity: card.color_identity || [],
+        keywords: card.keywords || [],
+        legalities: pickLegalities(card.legalities) || {},
         priceUsd: card.prices?.usd ? parseFloat(card.prices.usd) : null,
         priceUsdFoil: card.prices?.usd_foil ? parseFloat(card.prices.usd_foil) : null,
       };
@@ -300,3 +311,31 @@ export async function fetchSpecificPrintingPrices(cards) {
 
   return result;
 }
+
+/**
+ * Art crop JPEG for a card name (front face), for share preview images.
+ * Returns a Buffer, or null when Scryfall doesn't know the card or is down.
+ * Unknown names are cached too, so a bad name doesn't refetch on every unfurl.
+ */
+export async function fetchCardArtCrop(cardName) {
+  const key = cardName.toLowerCase();
+  const cached = getCached(artCache, key, ART_TTL);
+  if (cached) return cached.buffer;
+
+  try {
+    const url = `${SCRYFALL_API}/cards/named?exact=${encodeURIComponent(cardName)}&format=image&version=art_crop`;
+    const res = await fetch(url, {
+      headers: { 'User-Agent': 'CardListCompare/1.0' },
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!res.ok && res.status !== 404) return null;
+    const buffer = res.ok ? Buffer.from(await res.arrayBuffer()) : null;
+    // Art crops are ~100KB each — keep only a few dozen
+    if (artCache.size >= 50) artCache.delete(artCache.keys().next().value);
+    artCache.set(key, { data: { buffer }, ts: Date.now() });
+    return buffer;
+  } catch (err) {
+    console.error('Scryfall art fetch error:', err.message);
+    return null;
+  }
+}
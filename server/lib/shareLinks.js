@@ -0,0 +1,193 @@
+import bcrypt from 'bcryptjs';
+import { all, get, run } from '../db.js';
+import { getAppUrl } from './email.js';
+import { emitWebhookEvent } from './webhooks.js';
+
+/** Longest expiry a share link can be given; no expiry is also allowed. */
+export const MAX_SHARE_EXPIRY_DAYS = 365;
+
+/**
+ * Validate an `expiresInDays` body field: null/undefined means never expires,
+ * otherwise a whole number of days from now.
+ * @returns {{ days: number|null } | { error: string }}
+ */
+export function parseExpiryDays(value) {
+  if (value === undefined || value === null || value === '') return { days: null };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_EXPIRY_DAYS) {
+    return { error: `expiresInDays must be a whole number from 1 to ${MAX_SHARE_EXPIRY_DAYS}, or null` };
+  }
+  return { days };
+}
+
+/** True once a row's expires_at (SQLite UTC datetime) has passed. */
+export function isShareExpired(row, now = Date.now()) {
+  return !!row.expires_at && new Date(row.expires_at + 'Z').getTime() <= now;
+}
+
+/** What a deck share exposes: every snapshot, the newest only, or a chosen set. */
+export const SHARE_SCOPES = ['all', 'latest', 'selected'];
+
+const MAX_SCOPED_SNAPSHOTS = 500;
+const MAX_PASSPHRASE = 128;
+
+/**
+ * Validate a deck share's scope fields from a request body. Snapshot ids are
+ * only shape-checked here; the route checks they belong to the deck.
+ * @returns {{ scope: string, snapshotIds: number[]|null } | { error: string }}
+ */
+export function parseShareScope(body) {
+  const scope = body?.scope ?? 'all';
+  if (!SHARE_SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${SHARE_SCOPES.join(', ')}` };
+  }
+  if (scope !== 'selected') return { scope, snapshotIds: null };
+  const ids = body.snapshotIds;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_SCOPED_SNAPSHOTS
+    || !ids.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: 'Selected scope needs snapshotIds: a non-empty array of snapshot ids' };
+  }
+  return { scope, snapshotIds: [...new Set(ids)] };
+}
+
+/**
+ * Hash a passphrase body field: undefined keeps the current one, null or ''
+ * removes it.
+ * @returns {Promise<{ hash?: string|null, error?: string }>} `hash` undefined = unchanged
+ */
+export async function hashSharePassphrase(value) {
+  if (value === undefined) return {};
+  if (value === null || value === '') return { hash: null };
+  if (typeof value !== 'string' || value.length < 4 || value.length > MAX_PASSPHRASE) {
+    return { error: `Passphrase must be 4-${MAX_PASSPHRASE} characters` };
+  }
+  return { hash: await bcrypt.hash(value, 10) };
+}
+
+/** True when the share is open, or `supplied` matches its passphrase. */
+export async function checkSharePassphrase(share, supplied) {
+  if (!share.passphrase_hash) return true;
+  if (typeof supplied !== 'string' || !supplied) return false;
+  return bcrypt.compare(supplied, share.passphrase_hash);
+}
+
+/**
+ * Snapshot ids a deck share may show, newest first. 'latest' is resolved per
+ * request, so the link follows new snapshots; 'selected' drops ids whose
+ * snapshot has since been deleted.
+ */
+export function visibleSnapshotIds(share) {
+  const rows = all(
+    'SELECT id FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC, id DESC',
+    [share.tracked_deck_id]
+  );
+  if (share.scope === 'latest') return rows.slice(0, 1).map(r => r.id);
+  if (share.scope === 'selected') {
+    let chosen = [];
+    try { chosen = JSON.parse(share.snapshot_ids || '[]'); } catch { /* corrupt — show nothing */ }
+    const allowed = new Set(chosen);
+    return rows.filter(r => allowed.has(r.id)).map(r => r.id);
+  }
+  return rows.map(r => r.id);
+}
+
+/**
+ * A deck share joined with its deck and owner, or undefined. Callers still
+ * check expiry, passphrase and scope.
+ */
+export function getDeckShare(shareId) {
+  return get(
+    `SELECT sdv.*, d.deck_name, d.commanders, d.deck_url, u.username as owner_username
+     FROM shared_deck_views sdv
+     JOIN tracked_decks d ON d.id = sdv.tracked_deck_id
+     JOIN users u ON u.id = sdv.user_id
+     WHERE sdv.id = ?`,
+    [shareId]
+  );
+}
+
+/** The 410 every share read returns for an expired link. */
+export function sendShareExpired(res) {
+  return res.status(410).json({ error: 'This shared link has expired' });
+}
+
+// Table names are fixed — never interpolate request input here
+const SHARE_TABLES = new Set(['shared_comparisons', 'shared_deck_views']);
+
+function shareTable(table) {
+  if (!SHARE_TABLES.has(table)) throw new Error(`Not a share table: ${table}`);
+  return table;
+}
+
+/** Set (or clear, with days null) a link's expiry, counted from now. */
+export function setShareExpiry(table, id, days) {
+  if (days === null) {
+    run(`UPDATE ${shareTable(table)} SET expires_at = NULL WHERE id = ?`, [id]);
+  } else {
+    run(`UPDATE ${shareTable(table)} SET expires_at = datetime('now', ?) WHERE id = ?`, [`+${days} days`, id]);
+  }
+}
+
+/** Count one view of a link and tell the owner's share.viewed webhooks. */
+export function recordShareView(table, id) {
+  run(`UPDATE ${shareTable(table)} SET view_count = view_count + 1, last_viewed_at = datetime('now') WHERE id = ?`, [id]);
+
+  const base = getAppUrl().replace(/\/+$/, '');
+  const share = table === 'shared_deck_views'
+    ? get(
+      `SELECT sdv.user_id, sdv.tracked_deck_id, sdv.view_count, d.deck_name as title
+       FROM shared_deck_views sdv JOIN tracked_decks d ON d.id = sdv.tracked_deck_id WHERE sdv.id = ?`,
+      [id]
+    )
+    : get('SELECT user_id, NULL as tracked_deck_id, view_count, title FROM shared_comparisons WHERE id = ?', [id]);
+  // Anonymous comparison links have no owner to notify; viewers stay anonymous either way
+  if (!share?.user_id) return;
+  const kind = table === 'shared_deck_views' ? 'deck' : 'comparison';
+  emitWebhookEvent(share.user_id, share.tracked_deck_id, 'share.viewed', {
+    share: {
+      kind,
+      id,
+      url: `${base}/${kind === 'deck' ? 'deck' : 'share'}/${id}`,
+      title: share.title,
+      deckId: share.tracked_deck_id,
+    },
+    viewCount: share.view_count,
+  });
+}
+
+/**
+ * Every link a user owns — comparison shares they created while logged in and
+ * their shared tracked decks — newest first, for the "My shared links" panel.
+ */
+export function listSharesForUser(userId) {
+  const comparisons = all(
+    `SELECT id, title, created_at, expires_at, view_count, last_viewed_at
+     FROM shared_comparisons WHERE user_id = ?`,
+    [userId]
+  ).map(row => ({ kind: 'comparison', title: row.title || 'Untitled comparison', deckId: null, scope: null, protected: 0, ...row }));
+
+  const decks = all(
+    `SELECT sdv.id, d.deck_name as title, d.id as deck_id, sdv.created_at, sdv.expires_at, sdv.view_count, sdv.last_viewed_at,
+       sdv.scope, sdv.passphrase_hash IS NOT NULL as protected
+     FROM shared_deck_views sdv
+     JOIN tracked_decks d ON d.id = sdv.tracked_deck_id
+     WHERE sdv.user_id = ?`,
+    [userId]
+  ).map(({ deck_id, ...row }) => ({ kind: 'deck', deckId: deck_id, ...row }));
+
+  return [...comparisons, ...decks]
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(row => ({
+      kind: row.kind,
+      id: row.id,
+      title: row.title,
+      deckId: row.deckId,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      expired: isShareExpired(row),
+      viewCount: row.view_count,
+      lastViewedAt: row.last_viewed_at,
+      scope: row.scope,
+      protected: !!row.protected,
+    }));
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe('share links', () => {
+  let dir;
+  let db;
+  let links;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'clc-share-'));
+    process.env.DB_PATH = join(dir, 'test.db');
+    vi.resetModules();
+    db = await import('../db.js');
+    await db.initDb();
+    links = await import('./shareLinks.js');
+    db.run("INSERT INTO users (username, password_hash) VALUES ('u', 'h')");
+    db.run("INSERT INTO tracked_decks (user_id, source_site, source_id, deck_name) VALUES (1, 'moxfield', 'x', 'Krenko')");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DB_PATH;
+  });
+
+  it('validates expiresInDays', () => {
+    expect(links.parseExpiryDays(undefined)).toEqual({ days: null });
+    expect(links.parseExpiryDays(null)).toEqual({ days: null });
+    expect(links.parseExpiryDays(7)).toEqual({ days: 7 });
+    expect(links.parseExpiryDays('30')).toEqual({ days: 30 });
+    for (const bad of [0, -1, 1.5, 366, 'soon']) {
+      expect(links.parseExpiryDays(bad).error).toMatch(/expiresInDays/);
+    }
+  });
+
+  it('treats a past expires_at as expired and NULL as never', () => {
+    expect(links.isShareExpired({ expires_at: null })).toBe(false);
+    expect(links.isShareExpired({ expires_at: '2000-01-01 00:00:00' })).toBe(true);
+    expect(links.isShareExpired({ expires_at: '2999-01-01 00:00:00' })).toBe(false);
+  });
+
+  it('sets and clears expiry, counts views and lists owned links', () => {
+    db.run("INSERT INTO shared_comparisons (id, before_text, after_text, title, user_id) VALUES ('cmp1', 'a', 'b', 'Swap', 1)");
+    db.run("INSERT INTO shared_comparisons (id, before_text, after_text) VALUES ('anon', 'a', 'b')");
+    db.run("INSERT INTO shared_deck_views (id, tracked_deck_id, user_id) VALUES ('deck1', 1, 1)");
+
+    links.setShareExpiry('shared_comparisons', 'cmp1', 7);
+    links.recordShareView('shared_deck_views', 'deck1');
+    links.recordShareView('shared_deck_views', 'deck1');
+
+    const list = links.listSharesForUser(1);
+    expect(list.map(l => `${l.kind}:${l.id}`).sort()).toEqual(['comparison:cmp1', 'deck:deck1']);
+    const cmp = list.find(l => l.id === 'cmp1');
+    expect(cmp.expiresAt).toBeTruthy();
+    expect(cmp.expired).toBe(false);
+    const deck = list.find(l => l.id === 'deck1');
+    expect(deck).toMatchObject({ title: 'Krenko', deckId: 1, viewCount: 2, expiresAt: null });
+    expect(deck.lastViewedAt).toBeTruthy();
+
+    links.setShareExpiry('shared_comparisons', 'cmp1', null);
+    expect(db.get("SELECT expires_at FROM shared_comparisons WHERE id = 'cmp1'").expires_at).toBe(null);
+  });
+
+  it('validates share scopes', () => {
+    expect(links.parseShareScope({})).toEqual({ scope: 'all', snapshotIds: null });
+    expect(links.parseShareScope({ scope: 'latest', snapshotIds: [1] })).toEqual({ scope: 'latest', snapshotIds: null });
+    expect(links.parseShareScope({ scope: 'selected', snapshotIds: [3, 3, 5] })).toEqual({ scope: 'selected', snapshotIds: [3, 5] });
+    expect(links.parseShareScope({ scope: 'selected', snapshotIds: [] }).error).toMatch(/snapshotIds/);
+    expect(links.parseShareScope({ scope: 'selected', snapshotIds: ['1'] }).error).toMatch(/snapshotIds/);
+    expect(links.parseShareScope({ scope: 'everything' }).error).toMatch(/scope must be/);
+  });
+
+  it('limits visible snapshots by scope', () => {
+    for (const [i, day] of ['01', '02', '03'].entries()) {
+      db.run('INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at) VALUES (1, ?, ?)', [`${i + 1} Island`, `2026-01-${day} 00:00:00`]);
+    }
+    const share = { tracked_deck_id: 1 };
+    expect(links.visibleSnapshotIds({ ...share, scope: 'all' })).toEqual([3, 2, 1]);
+    expect(links.visibleSnapshotIds({ ...share, scope: 'latest' })).toEqual([3]);
+    // Deleted or foreign ids simply drop out
+    expect(links.visibleSnapshotIds({ ...share, scope: 'selected', snapshot_ids: '[1, 3, 99]' })).toEqual([3, 1]);
+  });
+
+  it('hashes and checks passphrases', async () => {
+    expect(await links.hashSharePassphrase(undefined)).toEqual({});
+    expect(await links.hashSharePassphrase(null)).toEqual({ hash: null });
+    expect((await links.hashSharePassphrase('abc')).error).toMatch(/Passphrase must be/);
+
+    const { hash } = await links.hashSharePassphrase('open sesame');
+    expect(hash).not.toContain('open sesame');
+    expect(await links.checkSharePassphrase({ passphrase_hash: hash }, 'open sesame')).toBe(true);
+    expect(await links.checkSharePassphrase({ passphrase_hash: hash }, 'wrong')).toBe(false);
+    expect(await links.checkSharePassphrase({ passphrase_hash: hash }, undefined)).toBe(false);
+    expect(await links.checkSharePassphrase({ passphrase_hash: null }, undefined)).toBe(true);
+  });
+
+  it('refuses tables other than the share tables', () => {
+    expect(() => links.recordShareView('users', 1)).toThrow('Not a share table');
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Link previews for share URLs. Chat apps and social sites don't run the
+ * SPA, so the server answers /deck/:id and /share/:id with index.html plus
+ * Open Graph / Twitter meta, and renders a PNG card (commander art and the
+ * change summary) for og:image.
+ */
+
+import { Resvg } from '@resvg/resvg-js';
+import { all } from '../db.js';
+import { parse } from '../../src/lib/parser.js';
+import { computeDiff } from '../../src/lib/differ.js';
+import { resolveSnapshotTexts } from './snapshotStore.js';
+import { escapeHtml } from './embedWidget.js';
+
+const SITE_NAME = 'Card List Compare';
+export const PREVIEW_WIDTH = 1200;
+export const PREVIEW_HEIGHT = 630;
+
+function countCards(parsed) {
+  let total = 0;
+  for (const board of [parsed.mainboard, parsed.sideboard, parsed.companions]) {
+    for (const card of board.values()) total += card.quantity;
+  }
+  return total;
+}
+
+/**
+ * Cards added and removed across the deck's boards (maybeboard excluded),
+ * counting copies: a 1 → 3 quantity change adds 2.
+ */
+export function summarizeChanges(diff) {
+  let added = 0;
+  let removed = 0;
+  for (const section of [diff.mainboard, diff.sideboard, diff.companions]) {
+    if (!section) continue;
+    for (const card of section.cardsIn) added += card.quantity;
+    for (const card of section.cardsOut) removed += card.quantity;
+    for (const card of section.quantityChanges) {
+      if (card.delta > 0) added += card.delta;
+      else removed -= card.delta;
+    }
+  }
+  return { added, removed };
+}
+
+/**
+ * Preview facts for a deck share, limited to `visibleIds` (newest first, from
+ * visibleSnapshotIds): the change between the two newest visible snapshots
+ * and the newest one's recorded price.
+ */
+export function describeDeckShare(share, visibleIds) {
+  let commanders = [];
+  try { commanders = JSON.parse(share.commanders || '[]'); } catch { /* ignore */ }
+  const preview = { title: share.deck_name, commanders, changes: null, cardCount: null, price: null };
+
+  const ids = visibleIds.slice(0, 2);
+  if (ids.length === 0) return preview;
+  const rows = all(
+    `SELECT id, deck_text, delta_base_id, snapshot_price FROM deck_snapshots WHERE id IN (${ids.map(() => '?').join(',')})`,
+    ids
+  );
+  const texts = resolveSnapshotTexts(rows);
+  const newest = rows.find(r => r.id === ids[0]);
+  const after = parse(texts.get(ids[0]) || '');
+  preview.cardCount = countCards(after);
+  preview.price = newest?.snapshot_price ?? null;
+  if (ids.length === 2) {
+    preview.changes = summarizeChanges(computeDiff(parse(texts.get(ids[1]) || ''), after));
+  }
+  return preview;
+}
+
+/** Preview facts for a shared comparison. */
+export function describeComparison(comparison) {
+  const diff = computeDiff(parse(comparison.before_text), parse(comparison.after_text));
+  return {
+    title: comparison.title || (diff.commanders.length > 0 ? `${diff.commanders.join(' / ')} Changelog` : 'Deck Changelog'),
+    commanders: diff.commanders,
+    changes: summarizeChanges(diff),
+    cardCount: null,
+    price: null,
+  };
+}
+
+function formatChanges({ added, removed }) {
+  return `+${added} / −${removed} cards`;
+}
+
+/** "Krenko, Mob Boss · +5 / −3 cards · $412.50" */
+export function previewDescription(preview) {
+  return [
+    preview.commanders.join(' / '),
+    preview.changes ? formatChanges(preview.changes) : (preview.cardCount !== null ? `${preview.cardCount} cards` : null),
+    preview.price != null ? `$${preview.price.toFixed(2)}` : null,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Meta tags for a share page. `imageUrl` null falls back to the site's static
+ * og-image with a small card.
+ */
+export function buildShareMetaTags({ title, description, url, imageUrl, oembedUrl, appUrl }) {
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', imageUrl || `${appUrl}/og-image.png`],
+    ['name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl || `${appUrl}/og-image.png`],
+    ['name', 'description', description],
+  ];
+  if (imageUrl) {
+    tags.push(['property', 'og:image:width', String(PREVIEW_WIDTH)], ['property', 'og:image:height', String(PREVIEW_HEIGHT)]);
+  }
+  const lines = tags.map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`);
+  if (oembedUrl) {
+    lines.push(`<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}" title="${escapeHtml(title)}" />`);
+  }
+  return lines.join('\n    ');
+}
+
+/**
+ * index.html with its generic description/OG/Twitter tags swapped for a
+ * share's, and the share title in <title>. The insertions go through function
+ * replacers: a replacement string would expand `$&`, `$'` etc. in user titles.
+ */
+export function injectShareMeta(indexHtml, { title, tags }) {
+  return indexHtml
+    .replace(/\s*<meta (?:property="og:[^"]*"|name="twitter:[^"]*"|name="description")[^>]*>/g, '')
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${escapeHtml(title)} — ${SITE_NAME}</title>`)
+    .replace(/\s*<\/head>/, () => `\n    ${tags}\n  </head>`);
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/** The 1200×630 preview card as SVG; `art` is a JPEG Buffer or null. */
+export function renderPreviewSvg(preview, art) {
+  const font = 'DejaVu Sans, Arial, sans-serif';
+  const background = art
+    ? `<image href="data:image/jpeg;base64,${art.toString('base64')}" x="0" y="0" width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}" preserveAspectRatio="xMidYMid slice"/>
+  <rect width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}" fill="url(#fade)"/>`
+    : '';
+
+  const lines = [];
+  let y = 250;
+  lines.push(`<text x="64" y="${y}" font-size="64" font-weight="bold" fill="#ffffff">${escapeHtml(truncate(preview.title, 30))}</text>`);
+  if (preview.commanders.length > 0) {
+    y += 62;
+    lines.push(`<text x="64" y="${y}" font-size="34" fill="#c7cad1">${escapeHtml(truncate(preview.commanders.join(' / '), 48))}</text>`);
+  }
+  y += 120;
+  if (preview.changes) {
+    lines.push(`<text x="64" y="${y}" font-size="80" font-weight="bold"><tspan fill="#4ade80">+${preview.changes.added}</tspan><tspan fill="#9ca3af"> / </tspan><tspan fill="#f87171">−${preview.changes.removed}</tspan><tspan fill="#c7cad1" font-size="40" font-weight="normal"> cards</tspan></text>`);
+  } else if (preview.cardCount !== null) {
+    lines.push(`<text x="64" y="${y}" font-size="64" font-weight="bold" fill="#ffffff">${preview.cardCount} cards</text>`);
+  }
+  if (preview.price != null) {
+    lines.push(`<text x="64" y="${PREVIEW_HEIGHT - 60}" font-size="40" fill="#fbbf24">$${preview.price.toFixed(2)}</text>`);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}" viewBox="0 0 ${PREVIEW_WIDTH} ${PREVIEW_HEIGHT}" font-family="${font}">
+  <defs>
+    <linearGradient id="fade" x1="0" y1="0" x2="1" y2="0">
+      <stop offset="0" stop-color="#1a1b1e" stop-opacity="0.95"/>
+      <stop offset="0.55" stop-color="#1a1b1e" stop-opacity="0.8"/>
+      <stop offset="1" stop-color="#1a1b1e" stop-opacity="0.2"/>
+    </linearGradient>
+  </defs>
+  <rect width="${PREVIEW_WIDTH}" height="${PREVIEW_HEIGHT}" fill="#1a1b1e"/>
+  ${background}
+  <text x="64" y="110" font-size="28" font-weight="bold" letter-spacing="4" fill="#60a5fa">${SITE_NAME.toUpperCase()}</text>
+  ${lines.join('\n  ')}
+</svg>`;
+}
+
+/** Rasterize a preview card to PNG. Fonts come from the system (DejaVu in the image). */
+export function renderPreviewPng(preview, art) {
+  return new Resvg(renderPreviewSvg(preview, art), {
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' },
+  }).render().asPng();
+}
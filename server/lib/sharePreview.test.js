@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parse } from '../../src/lib/parser.js';
+import { computeDiff } from '../../src/lib/differ.js';
+
+describe('share previews', () => {
+  let dir;
+  let db;
+  let preview;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'clc-preview-'));
+    process.env.DB_PATH = join(dir, 'test.db');
+    vi.resetModules();
+    db = await import('../db.js');
+    await db.initDb();
+    preview = await import('./sharePreview.js');
+    db.run("INSERT INTO users (username, password_hash) VALUES ('u', 'h')");
+    db.run(`INSERT INTO tracked_decks (user_id, source_site, source_id, deck_name, commanders)
+      VALUES (1, 'moxfield', 'x', 'Krenko', '["Krenko, Mob Boss"]')`);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DB_PATH;
+  });
+
+  it('counts added and removed copies', () => {
+    const diff = computeDiff(parse('1 Sol Ring\n1 Island\n2 Mountain'), parse('1 Sol Ring\n3 Forest\n4 Mountain'));
+    expect(preview.summarizeChanges(diff)).toEqual({ added: 5, removed: 1 });
+  });
+
+  it('describes the two newest visible snapshots with price', () => {
+    db.run("INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at) VALUES (1, '1 Sol Ring', '2026-01-01 00:00:00')");
+    db.run(`INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at, snapshot_price)
+      VALUES (1, '1 Arcane Signet\n2 Mountain', '2026-01-02 00:00:00', 12.5)`);
+    const share = db.get('SELECT * FROM tracked_decks WHERE id = 1');
+
+    const full = preview.describeDeckShare(share, [2, 1]);
+    expect(full).toMatchObject({ title: 'Krenko', commanders: ['Krenko, Mob Boss'], changes: { added: 3, removed: 1 }, cardCount: 3, price: 12.5 });
+    expect(preview.previewDescription(full)).toBe('Krenko, Mob Boss · +3 / −1 cards · $12.50');
+
+    // A latest-only share has nothing to compare against
+    const latest = preview.describeDeckShare(share, [2]);
+    expect(latest.changes).toBe(null);
+    expect(preview.previewDescription(latest)).toBe('Krenko, Mob Boss · 3 cards · $12.50');
+  });
+
+  it('swaps the generic meta for escaped share meta', () => {
+    const index = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+    const tags = preview.buildShareMetaTags({
+      title: 'Goblins <3',
+      description: '+5 / −3 cards',
+      url: 'https://clc.test/deck/abc',
+      imageUrl: 'https://clc.test/api/og/deck/abc',
+      appUrl: 'https://clc.test',
+    });
+    const html = preview.injectShareMeta(index, { title: 'Goblins <3', tags });
+
+    expect(html).toContain('<title>Goblins &lt;3 — Card List Compare</title>');
+    expect(html).toContain('<meta property="og:title" content="Goblins &lt;3" />');
+    expect(html).toContain('<meta name="twitter:card" content="summary_large_image" />');
+    expect(html.match(/property="og:title"/g)).toHaveLength(1);
+    expect(html.match(/name="description"/g)).toHaveLength(1);
+    expect(html).toContain('<div id="root"></div>');
+  });
+
+  it('inserts titles with $ patterns literally', () => {
+    const index = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+    const title = "Budget $$ deck $' end $&";
+    const tags = preview.buildShareMetaTags({ title, description: 'd', url: 'https://clc.test/deck/abc', imageUrl: null, appUrl: 'https://clc.test' });
+    const html = preview.injectShareMeta(index, { title, tags });
+
+    expect(html).toContain('<title>Budget $$ deck $&#39; end $&amp; — Card List Compare</title>');
+    expect(html).toContain('<meta property="og:title" content="Budget $$ deck $&#39; end $&amp;" />');
+    expect(html).toContain('<meta name="twitter:title" content="Budget $$ deck $&#39; end $&amp;" />');
+    expect(html.match(/<\/head>/g)).toHaveLength(1);
+  });
+
+  it('renders a PNG preview card', () => {
+    const png = preview.renderPreviewPng({ title: 'Krenko', commanders: ['Krenko, Mob Boss'], changes: { added: 5, removed: 3 }, cardCount: 100, price: 412.5 }, null);
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+    expect(preview.renderPreviewSvg({ title: 'A & B', commanders: [], changes: null, cardCount: null, price: null }, null)).toContain('A &amp; B');
+  });
+});
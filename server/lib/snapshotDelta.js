@@ -0,0 +1,86 @@
+/**
+ * Line-level patches between two deck texts, for delta snapshot storage.
+ *
+ * A patch is a JSON-serializable array of hunks `[start, deleteCount, insertLines]`,
+ * where `start` indexes the BASE text's lines. Hunks are in ascending order and
+ * never overlap, so applying them back-to-front keeps earlier indexes valid.
+ */
+
+function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+/**
+ * Build a patch that turns `baseText` into `targetText`.
+ * @param {string} baseText
+ * @param {string} targetText
+ * @returns {Array<[number, number, string[]]>}
+ */
+export function createPatch(baseText, targetText) {
+  const base = splitLines(baseText);
+  const target = splitLines(targetText);
+
+  // Trim the common prefix/suffix first — deck edits are usually a handful of
+  // lines, so this keeps the LCS table tiny.
+  let prefix = 0;
+  while (prefix < base.length && prefix < target.length && base[prefix] === target[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < base.length - prefix && suffix < target.length - prefix &&
+    base[base.length - 1 - suffix] === target[target.length - 1 - suffix]
+  ) suffix++;
+
+  const a = base.slice(prefix, base.length - suffix);
+  const b = target.slice(prefix, target.length - suffix);
+  if (a.length === 0 && b.length === 0) return [];
+
+  // LCS lengths of every suffix pair: lcs[i][j] = LCS(a[i..], b[j..])
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      hunk = null;
+      i++;
+      j++;
+    } else {
+      if (!hunk) {
+        hunk = [prefix + i, 0, []];
+        hunks.push(hunk);
+      }
+      if (j < b.length && (i >= a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+        hunk[2].push(b[j++]);
+      } else {
+        hunk[1]++;
+        i++;
+      }
+    }
+  }
+  return hunks;
+}
+
+/**
+ * Apply a patch from createPatch() to the text it was built against.
+ * @param {string} baseText
+ * @param {Array<[number, number, string[]]>} patch
+ * @returns {string}
+ */
+export function applyPatch(baseText, patch) {
+  const lines = splitLines(baseText);
+  for (let h = patch.length - 1; h >= 0; h--) {
+    const [start, deleteCount, insertLines] = patch[h];
+    lines.splice(start, deleteCount, ...insertLines);
+  }
+  return lines.join('\n');
+}
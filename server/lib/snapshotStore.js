@@ -0,0 +1,176 @@
+import { get, all, run, getDb, persist } from '../db.js';
+import { createPatch, applyPatch } from './snapshotDelta.js';
+
+/**
+ * Snapshot storage. Two space savers, both invisible to readers:
+ *
+ *   Dedup — a refresh that matches the latest snapshot stores nothing; it bumps
+ *   that snapshot's last_confirmed_at instead.
+ *
+ *   Delta storage (server setting snapshot_delta_storage) — when a new snapshot
+ *   lands, the previous latest is rewritten as a patch against it (delta_base_id
+ *   → the newer snapshot, deck_text → JSON patch). Deltas point newer-ward, so
+ *   the latest snapshot is always stored whole and the common "latest" read
+ *   never walks a chain.
+ *
+ * Rows read straight from deck_snapshots may hold a patch in deck_text. Any
+ * read that isn't the latest snapshot goes through resolveSnapshotTexts() /
+ * withDeckText(), and every delete goes through deleteSnapshots() so no
+ * surviving delta is left pointing at a deleted base.
+ */
+
+export function deltaStorageEnabled() {
+  const setting = get("SELECT value FROM server_settings WHERE key = 'snapshot_delta_storage'");
+  return setting?.value === 'true';
+}
+
+/**
+ * Full deck text for each snapshot row, keyed by id. Rows need id, deck_text
+ * and delta_base_id; bases missing from `rows` are loaded as needed.
+ * @param {Array<{ id: number, deck_text: string, delta_base_id: number|null }>} rows
+ * @returns {Map<number, string>}
+ */
+export function resolveSnapshotTexts(rows) {
+  const rowMap = new Map(rows.map(r => [r.id, r]));
+  const texts = new Map();
+
+  for (const row of rows) {
+    // Walk toward the newest full snapshot, then unwind applying patches
+    const chain = [];
+    let cur = row;
+    while (cur && !texts.has(cur.id) && cur.delta_base_id) {
+      chain.push(cur);
+      cur = rowMap.get(cur.delta_base_id) ?? get(
+        'SELECT id, deck_text, delta_base_id FROM deck_snapshots WHERE id = ?', [cur.delta_base_id]
+      );
+      if (cur) rowMap.set(cur.id, cur);
+    }
+    if (!cur) throw new Error(`Snapshot ${row.id} has a missing delta base`);
+    let text = texts.get(cur.id) ?? cur.deck_text;
+    texts.set(cur.id, text);
+    for (let k = chain.length - 1; k >= 0; k--) {
+      text = applyPatch(text, JSON.parse(chain[k].deck_text));
+      texts.set(chain[k].id, text);
+    }
+  }
+  return texts;
+}
+
+/** A snapshot row with deck_text replaced by its full text (null passes through). */
+export function withDeckText(row) {
+  if (!row?.delta_base_id) return row;
+  return { ...row, deck_text: resolveSnapshotTexts([row]).get(row.id) };
+}
+
+/** The deck's newest snapshot row (always stored whole), or null. */
+export function getLatestSnapshot(deckId) {
+  return withDeckText(get(
+    'SELECT * FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+    [deckId]
+  ));
+}
+
+function loadText(id) {
+  const row = get('SELECT id, deck_text, delta_base_id FROM deck_snapshots WHERE id = ?', [id]);
+  return resolveSnapshotTexts([row]).get(id);
+}
+
+// Store `olderId` as a patch against `newerText` when that is actually smaller.
+// `write` lets bulk callers skip the per-statement persist of run().
+function encodeAsDelta(olderId, olderText, newerId, newerText, write = run) {
+  const patch = JSON.stringify(createPatch(newerText, olderText));
+  if (patch.length >= olderText.length) return false;
+  write('UPDATE deck_snapshots SET deck_text = ?, delta_base_id = ? WHERE id = ?', [patch, newerId, olderId]);
+  return true;
+}
+
+/**
+ * Record a deck's current text. Identical to the latest snapshot → nothing is
+ * stored and the latest's last_confirmed_at is bumped. Callers still prune.
+ * @param {number} deckId
+ * @param {string} text - Already enriched deck text
+ * @param {{ nickname?: string|null, latest?: object|null }} [opts] - `latest`
+ *   skips the re-read when the caller already loaded it (for enrichment)
+ * @returns {{ changed: boolean, id: number }}
+ */
+export function recordSnapshot(deckId, text, { nickname = null, latest } = {}) {
+  const previous = latest === undefined ? getLatestSnapshot(deckId) : latest;
+  if (previous && previous.deck_text === text) {
+    run("UPDATE deck_snapshots SET last_confirmed_at = datetime('now') WHERE id = ?", [previous.id]);
+    return { changed: false, id: previous.id };
+  }
+
+  const result = run(
+    'INSERT INTO deck_snapshots (tracked_deck_id, deck_text, nickname) VALUES (?, ?, ?)',
+    [deckId, text, nickname]
+  );
+  const id = result.lastInsertRowid;
+  if (previous && deltaStorageEnabled()) {
+    encodeAsDelta(previous.id, previous.deck_text, id, text);
+  }
+  return { changed: true, id };
+}
+
+/**
+ * Delete snapshots, first re-pointing any surviving delta whose base is going
+ * away: it is re-encoded against the nearest surviving newer base, or stored
+ * whole if none survives (or delta storage has since been turned off).
+ * @param {number[]} ids
+ */
+export function deleteSnapshots(ids) {
+  if (ids.length === 0) return;
+  const doomed = new Set(ids);
+  const placeholders = ids.map(() => '?').join(',');
+
+  const dependents = all(
+    `SELECT id, deck_text, delta_base_id FROM deck_snapshots WHERE delta_base_id IN (${placeholders})`,
+    ids
+  ).filter(r => !doomed.has(r.id));
+  if (dependents.length > 0) {
+    const texts = resolveSnapshotTexts(dependents);
+    const deltas = deltaStorageEnabled();
+    for (const dep of dependents) {
+      let baseId = dep.delta_base_id;
+      while (baseId && doomed.has(baseId)) {
+        baseId = get('SELECT delta_base_id FROM deck_snapshots WHERE id = ?', [baseId])?.delta_base_id ?? null;
+      }
+      const text = texts.get(dep.id);
+      const rebased = baseId && deltas && encodeAsDelta(dep.id, text, baseId, loadText(baseId));
+      if (!rebased) {
+        run('UPDATE deck_snapshots SET deck_text = ?, delta_base_id = NULL WHERE id = ?', [text, dep.id]);
+      }
+    }
+  }
+
+  run(`DELETE FROM deck_snapshots WHERE id IN (${placeholders})`, ids);
+}
+
+/**
+ * Delta-encode existing history: every whole snapshot that has a newer one in
+ * its deck becomes a patch against that next-newer snapshot. Idempotent — run at
+ * boot and whenever an admin turns delta storage on.
+ * @returns {number} Snapshots converted
+ */
+export function compactSnapshotHistory() {
+  if (!deltaStorageEnabled()) return 0;
+  const decks = all('SELECT DISTINCT tracked_deck_id AS id FROM deck_snapshots WHERE delta_base_id IS NULL');
+  // Direct db.run, one persist at the end: a whole-file rewrite per row would
+  // be pure write amplification on a large history.
+  const write = (sql, params) => getDb().run(sql, params);
+  let converted = 0;
+  for (const { id: deckId } of decks) {
+    const rows = all(
+      'SELECT id, deck_text, delta_base_id FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC, id DESC',
+      [deckId]
+    );
+    const texts = resolveSnapshotTexts(rows);
+    for (let k = 1; k < rows.length; k++) {
+      if (rows[k].delta_base_id) continue;
+      if (encodeAsDelta(rows[k].id, texts.get(rows[k].id), rows[k - 1].id, texts.get(rows[k - 1].id), write)) {
+        converted++;
+      }
+    }
+  }
+  if (converted > 0) persist();
+  return converted;
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createPatch, applyPatch } from './snapshotDelta.js';
+
+describe('createPatch / applyPatch', () => {
+  const cases = [
+    ['1 Sol Ring\n1 Island', '1 Sol Ring\n1 Island'],
+    ['1 Sol Ring\n1 Island\n1 Forest', '1 Sol Ring\n2 Island\n1 Forest\n1 Swamp'],
+    ['a\nb\nc\nd', 'd\nc\nb\na'],
+    ['1 Sol Ring', ''],
+    ['', '1 Sol Ring\n'],
+  ];
+
+  it('round-trips any pair of texts', () => {
+    for (const [base, target] of cases) {
+      expect(applyPatch(base, createPatch(base, target))).toBe(target);
+      expect(applyPatch(target, createPatch(target, base))).toBe(base);
+    }
+  });
+
+  it('only records the changed lines', () => {
+    expect(createPatch('a\nb\nc', 'a\nb\nc')).toEqual([]);
+    expect(createPatch('a\nb\nc', 'a\nx\nc')).toEqual([[1, 1, ['x']]]);
+  });
+});
+
+describe('snapshot store', () => {
+  let dir;
+  let db;
+  let store;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'clc-store-'));
+    process.env.DB_PATH = join(dir, 'test.db');
+    vi.resetModules();
+    db = await import('../db.js');
+    await db.initDb();
+    store = await import('./snapshotStore.js');
+    db.run("INSERT INTO users (username, password_hash) VALUES ('u', 'h')");
+    db.run("INSERT INTO tracked_decks (user_id, source_site, source_id, deck_name) VALUES (1, 'moxfield', 'x', 'D')");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DB_PATH;
+  });
+
+  const deckText = n => Array.from({ length: 40 }, (_, i) => `1 Card ${i}${i === n ? ' Foil' : ''}`).join('\n');
+
+  function enableDeltas() {
+    db.run("UPDATE server_settings SET value = 'true' WHERE key = 'snapshot_delta_storage'");
+  }
+
+  function allTexts() {
+    const rows = db.all('SELECT id, deck_text, delta_base_id FROM deck_snapshots ORDER BY id');
+    const texts = store.resolveSnapshotTexts(rows);
+    return rows.map(r => texts.get(r.id));
+  }
+
+  it('skips an identical snapshot and bumps last_confirmed_at instead', () => {
+    const first = store.recordSnapshot(1, deckText(0));
+    const second = store.recordSnapshot(1, deckText(0));
+    expect(second).toEqual({ changed: false, id: first.id });
+    expect(db.get('SELECT COUNT(*) AS n FROM deck_snapshots').n).toBe(1);
+    expect(db.get('SELECT last_confirmed_at FROM deck_snapshots WHERE id = ?', [first.id]).last_confirmed_at).toBeTruthy();
+  });
+
+  it('stores older snapshots as patches and reconstructs them transparently', () => {
+    enableDeltas();
+    for (let n = 0; n < 4; n++) store.recordSnapshot(1, deckText(n));
+
+    const rows = db.all('SELECT id, delta_base_id FROM deck_snapshots ORDER BY id');
+    expect(rows.slice(0, 3).every(r => r.delta_base_id === r.id + 1)).toBe(true);
+    expect(rows[3].delta_base_id).toBeNull(); // latest is always whole
+    expect(store.getLatestSnapshot(1).deck_text).toBe(deckText(3));
+    expect(allTexts()).toEqual([0, 1, 2, 3].map(deckText));
+  });
+
+  it('re-points surviving deltas when their base is deleted', () => {
+    enableDeltas();
+    const ids = [0, 1, 2, 3].map(n => store.recordSnapshot(1, deckText(n)).id);
+
+    store.deleteSnapshots([ids[1], ids[2]]);
+    expect(db.get('SELECT delta_base_id FROM deck_snapshots WHERE id = ?', [ids[0]]).delta_base_id).toBe(ids[3]);
+    expect(allTexts()).toEqual([deckText(0), deckText(3)]);
+
+    store.deleteSnapshots([ids[3]]);
+    expect(db.get('SELECT delta_base_id FROM deck_snapshots WHERE id = ?', [ids[0]]).delta_base_id).toBeNull();
+    expect(allTexts()).toEqual([deckText(0)]);
+  });
+
+  it('compacts existing whole-text history when delta storage is turned on', () => {
+    for (let n = 0; n < 3; n++) store.recordSnapshot(1, deckText(n));
+    expect(store.compactSnapshotHistory()).toBe(0); // off by default
+
+    enableDeltas();
+    expect(store.compactSnapshotHistory()).toBe(2);
+    expect(store.compactSnapshotHistory()).toBe(0); // idempotent
+    expect(allTexts()).toEqual([0, 1, 2].map(deckText));
+  });
+
+  it('collapses identical consecutive snapshots at boot, keeping user-marked ones', async () => {
+    const insert = (text, at, extra = '') => db.run(
+      `INSERT INTO deck_snapshots (tracked_deck_id, deck_text, created_at${extra ? ', nickname' : ''}) VALUES (1, ?, ?${extra ? ', ?' : ''})`,
+      extra ? [text, at, extra] : [text, at]
+    );
+    insert('1 Sol Ring', '2026-01-01 00:00:00');
+    insert('1 Sol Ring', '2026-01-02 00:00:00');
+    insert('1 Sol Ring', '2026-01-03 00:00:00', 'Keep me');
+    insert('1 Island', '2026-01-04 00:00:00');
+    insert('1 Sol Ring', '2026-01-05 00:00:00');
+
+    vi.resetModules();
+    db = await import('../db.js');
+    await db.initDb();
+
+    expect(db.all('SELECT deck_text, nickname, last_confirmed_at FROM deck_snapshots ORDER BY created_at')).toEqual([
+      { deck_text: '1 Sol Ring', nickname: null, last_confirmed_at: '2026-01-02 00:00:00' },
+      { deck_text: '1 Sol Ring', nickname: 'Keep me', last_confirmed_at: null },
+      { deck_text: '1 Island', nickname: null, last_confirmed_at: null },
+      { deck_text: '1 Sol Ring', nickname: null, last_confirmed_at: null },
+    ]);
+  });
+});
@@ -0,0 +1,475 @@
+/**
+ * Generic outgoing webhooks — the channel for Slack, Matrix or a team's own
+ * bots, alongside the Discord-specific discord_webhook_url. A subscription
+ * belongs to a user and covers every deck or one deck; each event it matches
+ * becomes a row in webhook_deliveries, POSTed as signed JSON and retried with
+ * backoff until it lands or runs out of attempts. The rows double as the
+ * delivery log the UI shows.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { Agent } from 'undici';
+import { all, get, run } from '../db.js';
+import { parse } from '../../src/lib/parser.js';
+import { computeDiff, hasDeckChanges } from '../../src/lib/differ.js';
+
+export const WEBHOOK_EVENTS = {
+  'deck.changed': 'A refresh found changes on the deck\'s source site',
+  'snapshot.created': 'A new snapshot was stored (refresh, paste or API)',
+  'price.alert': 'A price alert threshold was crossed',
+  'share.viewed': 'Someone opened one of your share links',
+};
+
+export const MAX_WEBHOOKS_PER_USER = 10;
+export const MAX_URL_LENGTH = 500;
+
+// Delays before attempts 2..n; the last failure marks the delivery failed
+export const RETRY_DELAYS_MS = [60e3, 5 * 60e3, 30 * 60e3, 2 * 3600e3, 12 * 3600e3];
+export const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERIES_KEPT_PER_WEBHOOK = 100;
+const WORKER_INTERVAL_MS = 60 * 1000;
+const WORKER_BATCH = 20;
+
+// --- Subscriptions ---
+
+function parseEvents(json) {
+  try {
+    const events = JSON.parse(json);
+    return Array.isArray(events) ? events : [];
+  } catch {
+    return [];
+  }
+}
+
+/** API shape of a webhooks row. The secret is only returned on create/rotate. */
+export function webhookFromRow(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    deckId: row.tracked_deck_id,
+    deckName: row.deck_name ?? null,
+    events: parseEvents(row.events),
+    active: !!row.active,
+    createdAt: row.created_at,
+    lastDeliveryAt: row.last_delivery_at ?? null,
+    lastDeliveryStatus: row.last_delivery_status ?? null,
+  };
+}
+
+export function listWebhooks(userId) {
+  return all(
+    `SELECT w.*, d.deck_name,
+       (SELECT MAX(created_at) FROM webhook_deliveries wd WHERE wd.webhook_id = w.id) as last_delivery_at,
+       (SELECT status FROM webhook_deliveries wd WHERE wd.webhook_id = w.id ORDER BY wd.id DESC LIMIT 1) as last_delivery_status
+     FROM webhooks w LEFT JOIN tracked_decks d ON d.id = w.tracked_deck_id
+     WHERE w.user_id = ? ORDER BY w.created_at DESC, w.id DESC`,
+    [userId]
+  ).map(webhookFromRow);
+}
+
+function getWebhook(userId, id) {
+  const row = get(
+    'SELECT w.*, d.deck_name FROM webhooks w LEFT JOIN tracked_decks d ON d.id = w.tracked_deck_id WHERE w.id = ? AND w.user_id = ?',
+    [id, userId]
+  );
+  return row ? webhookFromRow(row) : null;
+}
+
+/**
+ * An http(s) endpoint without embedded credentials. Where it resolves to is
+ * checked at delivery time (see assertPublicHost and publicLookup).
+ * @returns {{ url?: string, error?: string }}
+ */
+export function validateWebhookUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return { error: 'Webhook URL is required' };
+  const trimmed = value.trim();
+  if (trimmed.length > MAX_URL_LENGTH) return { error: `Webhook URL must be ${MAX_URL_LENGTH} characters or fewer` };
+  let parsed;
+  try { parsed = new URL(trimmed); } catch { return { error: 'Invalid webhook URL' }; }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return { error: 'Webhook URL must be http or https' };
+  if (parsed.username || parsed.password) return { error: 'Webhook URL must not contain credentials' };
+  return { url: parsed.toString() };
+}
+
+/** @returns {{ events?: string[], error?: string }} */
+export function validateWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) return { error: 'Choose at least one event' };
+  const unknown = events.find(event => !Object.hasOwn(WEBHOOK_EVENTS, event));
+  if (unknown !== undefined) return { error: `Unknown event: ${unknown}` };
+  return { events: Object.keys(WEBHOOK_EVENTS).filter(event => events.includes(event)) };
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Create a subscription. `deckId` null covers every deck the user tracks.
+ * @returns {{ webhook?: object, secret?: string, error?: string }}
+ */
+export function createWebhook(userId, { url, events, deckId = null } = {}) {
+  const checkedUrl = validateWebhookUrl(url);
+  if (checkedUrl.error) return { error: checkedUrl.error };
+  const checkedEvents = validateWebhookEvents(events);
+  if (checkedEvents.error) return { error: checkedEvents.error };
+  if (deckId !== null) {
+    if (!Number.isInteger(deckId) || !get('SELECT id FROM tracked_decks WHERE id = ? AND user_id = ?', [deckId, userId])) {
+      return { error: 'Tracked deck not found' };
+    }
+  }
+  const owned = get('SELECT COUNT(*) as count FROM webhooks WHERE user_id = ?', [userId]);
+  if (owned.count >= MAX_WEBHOOKS_PER_USER) {
+    return { error: `At most ${MAX_WEBHOOKS_PER_USER} webhooks` };
+  }
+
+  const secret = generateSecret();
+  const { lastInsertRowid } = run(
+    'INSERT INTO webhooks (user_id, tracked_deck_id, url, secret, events) VALUES (?, ?, ?, ?, ?)',
+    [userId, deckId, checkedUrl.url, secret, JSON.stringify(checkedEvents.events)]
+  );
+  return { webhook: getWebhook(userId, lastInsertRowid), secret };
+}
+
+/**
+ * Change a subscription's URL, events or active flag.
+ * @returns {{ webhook?: object, error?: string }}
+ */
+export function updateWebhook(userId, id, body = {}) {
+  const existing = getWebhook(userId, id);
+  if (!existing) return { error: 'Webhook not found', status: 404 };
+  const updates = [];
+  const params = [];
+  if (body.url !== undefined) {
+    const checked = validateWebhookUrl(body.url);
+    if (checked.error) return { error: checked.error };
+    updates.push('url = ?');
+    params.push(checked.url);
+  }
+  if (body.events !== undefined) {
+    const checked = validateWebhookEvents(body.events);
+    if (checked.error) return { error: checked.error };
+    updates.push('events = ?');
+    params.push(JSON.stringify(checked.events));
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean' };
+    updates.push('active = ?');
+    params.push(body.active ? 1 : 0);
+  }
+  if (updates.length > 0) run(`UPDATE webhooks SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+  return { webhook: getWebhook(userId, id) };
+}
+
+/** @returns {string|null} the new secret, or null if the user doesn't own the webhook */
+export function rotateWebhookSecret(userId, id) {
+  const secret = generateSecret();
+  const { changes } = run('UPDATE webhooks SET secret = ? WHERE id = ? AND user_id = ?', [secret, id, userId]);
+  return changes > 0 ? secret : null;
+}
+
+export function deleteWebhook(userId, id) {
+  return run('DELETE FROM webhooks WHERE id = ? AND user_id = ?', [id, userId]).changes > 0;
+}
+
+/** The delivery log for one webhook, newest first. Null if not the user's. */
+export function listDeliveries(userId, webhookId, limit = 50) {
+  if (!getWebhook(userId, webhookId)) return null;
+  return all(
+    `SELECT id, event, status, attempts, response_status, error, created_at, delivered_at, next_attempt_at, payload
+     FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?`,
+    [webhookId, limit]
+  ).map(row => ({
+    id: row.id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    payload: row.payload,
+  }));
+}
+
+// --- Events ---
+
+/** Webhooks of a user subscribed to `event` for `deckId` (null = not deck-specific). */
+function subscribersFor(userId, deckId, event) {
+  return all(
+    'SELECT id, events FROM webhooks WHERE user_id = ? AND active = 1 AND (tracked_deck_id IS NULL OR tracked_deck_id = ?)',
+    [userId, deckId]
+  ).filter(row => parseEvents(row.events).includes(event));
+}
+
+/** True if the user has any active webhook that could fire for this deck. */
+export function hasWebhookSubscribers(userId, deckId, events = Object.keys(WEBHOOK_EVENTS)) {
+  return events.some(event => subscribersFor(userId, deckId, event).length > 0);
+}
+
+/**
+ * Queue `event` for every matching subscription of `userId` and kick the
+ * worker. `data` is serialized as-is under `data` in the payload.
+ * @returns {number} deliveries queued
+ */
+export function emitWebhookEvent(userId, deckId, event, data) {
+  if (!userId) return 0;
+  const targets = subscribersFor(userId, deckId, event);
+  if (targets.length === 0) return 0;
+  queueDeliveries(targets.map(t => t.id), event, data);
+  return targets.length;
+}
+
+function queueDeliveries(webhookIds, event, data) {
+  const payload = JSON.stringify({ id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data });
+  for (const webhookId of webhookIds) {
+    run(
+      "INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, datetime('now'))",
+      [webhookId, event, payload]
+    );
+  }
+  setImmediate(() => {
+    processWebhookQueue().catch(err => console.error('[Webhooks] Queue error:', err.message));
+  });
+}
+
+/** Send a `ping` to one webhook so the user can check the endpoint. */
+export function sendTestEvent(userId, id) {
+  const webhook = getWebhook(userId, id);
+  if (!webhook) return false;
+  queueDeliveries([id], 'ping', { webhookId: id, events: webhook.events });
+  return true;
+}
+
+/** Requeue a failed delivery for an immediate new attempt. */
+export function redeliver(userId, webhookId, deliveryId) {
+  if (!getWebhook(userId, webhookId)) return false;
+  const { changes } = run(
+    `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = datetime('now'), error = NULL
+     WHERE id = ? AND webhook_id = ? AND status = 'failed'`,
+    [deliveryId, webhookId]
+  );
+  if (changes > 0) {
+    setImmediate(() => {
+      processWebhookQueue().catch(err => console.error('[Webhooks] Queue error:', err.message));
+    });
+  }
+  return changes > 0;
+}
+
+/** The deck block every deck event carries. */
+export function deckPayload(deck) {
+  let commanders = [];
+  try { commanders = JSON.parse(deck.commanders || '[]'); } catch { /* ignore */ }
+  return {
+    id: deck.id,
+    name: deck.deck_name,
+    sourceSite: deck.source_site ?? null,
+    url: deck.deck_url ?? null,
+    commanders,
+  };
+}
+
+/**
+ * Fire snapshot.created — and deck.changed when the text came from the deck's
+ * source (`refreshed`) — for a snapshot just stored. Both carry the full
+ * computeDiff result against `previous` (null for a deck's first snapshot).
+ * deck.changed is skipped when the diff has no card changes (hasDeckChanges).
+ * The diff is only computed if someone is subscribed.
+ */
+export function emitSnapshotEvents(deck, { snapshotId, previous, text, refreshed = false }) {
+  const events = refreshed ? ['deck.changed', 'snapshot.created'] : ['snapshot.created'];
+  if (!hasWebhookSubscribers(deck.user_id, deck.id, events)) return;
+
+  let diff = null;
+  try {
+    if (previous?.deck_text) diff = computeDiff(parse(previous.deck_text), parse(text), { printings: true });
+  } catch { /* Non-fatal: deliver without the diff */ }
+  // New text with no card changes is a new snapshot, not a changed deck
+  const sent = diff && !hasDeckChanges(diff) ? events.filter(e => e !== 'deck.changed') : events;
+
+  const data = {
+    deck: deckPayload(deck),
+    snapshot: { id: snapshotId, previousId: previous?.id ?? null },
+    diff,
+  };
+  for (const event of sent) emitWebhookEvent(deck.user_id, deck.id, event, data);
+}
+
+// --- Delivery ---
+
+/**
+ * `X-CLC-Signature` value: HMAC-SHA256 over "<timestamp>.<body>" with the
+ * webhook's secret. Receivers recompute it and compare in constant time, and
+ * reject stale timestamps to stop replays.
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const privateRanges = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) privateRanges.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  privateRanges.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Loopback, private, link-local, CGNAT, benchmarking, NAT64, multicast or
+ * unspecified.
+ */
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (!family) return true;
+  return privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Webhooks are user-supplied URLs fetched by the server: refuse internal
+// targets unless the operator opts in (bots on the same LAN). Host names are
+// checked by publicAgent while connecting; an IP literal never goes through
+// its lookup, so it is checked here.
+function privateTargetsAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+function assertPublicHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) throw new Error('URL resolves to a private address');
+}
+
+/**
+ * dns.lookup for the delivery socket that refuses private answers. Checking
+ * the addresses the connection actually uses — not a separate lookup before
+ * fetch — means a short-TTL name can't pass the check and then rebind to
+ * 127.0.0.1 or a metadata address.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error('URL resolves to a private address'));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+async function attemptDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const allowPrivate = privateTargetsAllowed();
+    if (!allowPrivate) assertPublicHost(delivery.url);
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CardListCompare-Webhooks/1',
+        'X-CLC-Event': delivery.event,
+        'X-CLC-Delivery': String(delivery.id),
+        'X-CLC-Timestamp': String(timestamp),
+        'X-CLC-Signature': signPayload(delivery.secret, timestamp, delivery.payload),
+      },
+      body: delivery.payload,
+      redirect: 'manual', // a redirect could point anywhere — treat it as a failure
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      dispatcher: allowPrivate ? undefined : publicAgent,
+    });
+    return res.ok
+      ? { ok: true, status: res.status }
+      : { ok: false, status: res.status, error: `HTTP ${res.status}` };
+  } catch (err) {
+    // fetch reports connection errors (including a refused lookup) as "fetch failed"
+    return { ok: false, status: null, error: err.cause?.message || err.message };
+  }
+}
+
+/** Record one attempt's outcome: delivered, rescheduled with backoff, or failed. */
+function recordAttempt(delivery, result) {
+  const attempts = delivery.attempts + 1;
+  if (result.ok) {
+    run(
+      "UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, error = NULL, delivered_at = datetime('now') WHERE id = ?",
+      [attempts, result.status, delivery.id]
+    );
+  } else if (attempts >= MAX_ATTEMPTS) {
+    run(
+      "UPDATE webhook_deliveries SET status = 'failed', attempts = ?, response_status = ?, error = ? WHERE id = ?",
+      [attempts, result.status, result.error, delivery.id]
+    );
+  } else {
+    run(
+      "UPDATE webhook_deliveries SET attempts = ?, response_status = ?, error = ?, next_attempt_at = datetime('now', ?) WHERE id = ?",
+      [attempts, result.status, result.error, `+${Math.round(RETRY_DELAYS_MS[attempts - 1] / 1000)} seconds`, delivery.id]
+    );
+  }
+}
+
+function pruneDeliveryLog(webhookIds) {
+  for (const webhookId of webhookIds) {
+    run(
+      `DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status != 'pending' AND id NOT IN (
+         SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?)`,
+      [webhookId, webhookId, DELIVERIES_KEPT_PER_WEBHOOK]
+    );
+  }
+}
+
+let processing = false;
+
+/**
+ * Attempt every due delivery (oldest first, a batch at a time). Deliveries for
+ * a webhook that was paused wait; deleted webhooks cascade their rows away.
+ * @returns {Promise<number>} attempts made
+ */
+export async function processWebhookQueue() {
+  if (processing) return 0;
+  processing = true;
+  let attempted = 0;
+  try {
+    for (;;) {
+      const due = all(
+        `SELECT wd.id, wd.event, wd.payload, wd.attempts, wd.webhook_id, w.url, w.secret
+         FROM webhook_deliveries wd JOIN webhooks w ON w.id = wd.webhook_id
+         WHERE wd.status = 'pending' AND w.active = 1 AND wd.next_attempt_at <= datetime('now')
+         ORDER BY wd.id LIMIT ?`,
+        [WORKER_BATCH]
+      );
+      if (due.length === 0) break;
+      for (const delivery of due) {
+        recordAttempt(delivery, await attemptDelivery(delivery));
+        attempted++;
+      }
+      pruneDeliveryLog([...new Set(due.map(d => d.webhook_id))]);
+    }
+  } finally {
+    processing = false;
+  }
+  return attempted;
+}
+
+let workerHandle = null;
+
+/** Retry loop for deliveries waiting out their backoff. */
+export function startWebhookWorker() {
+  if (workerHandle) return;
+  workerHandle = setInterval(() => {
+    processWebhookQueue().catch(err => console.error('[Webhooks] Queue error:', err.message));
+  }, WORKER_INTERVAL_MS);
+  workerHandle.unref();
+}
+
+export function stopWebhookWorker() {
+  if (workerHandle) {
+    clearInterval(workerHandle);
+    workerHandle = null;
+  }
+}
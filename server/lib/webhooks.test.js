@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe('webhooks', () => {
+  let dir;
+  let db;
+  let webhooks;
+  let fetchMock;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'clc-webhooks-'));
+    process.env.DB_PATH = join(dir, 'test.db');
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    vi.resetModules();
+    db = await import('../db.js');
+    await db.initDb();
+    webhooks = await import('./webhooks.js');
+    db.run("INSERT INTO users (username, password_hash) VALUES ('u', 'h')");
+    db.run("INSERT INTO users (username, password_hash) VALUES ('other', 'h')");
+    db.run(`INSERT INTO tracked_decks (user_id, source_site, source_id, deck_name, commanders)
+      VALUES (1, 'moxfield', 'x', 'Krenko', '["Krenko, Mob Boss"]')`);
+    db.run("INSERT INTO tracked_decks (user_id, source_site, source_id, deck_name) VALUES (1, 'moxfield', 'y', 'Other')");
+    fetchMock = vi.fn(async () => ({ ok: true, status: 204 }));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DB_PATH;
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+  });
+
+  const delivery = id => db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+
+  it('validates URL, events and deck ownership', () => {
+    expect(webhooks.createWebhook(1, { url: 'ftp://x.test', events: ['deck.changed'] }).error).toMatch(/http/);
+    expect(webhooks.createWebhook(1, { url: 'https://a:b@x.test', events: ['deck.changed'] }).error).toMatch(/credentials/);
+    expect(webhooks.createWebhook(1, { url: 'https://x.test', events: ['deck.deleted'] }).error).toBe('Unknown event: deck.deleted');
+    expect(webhooks.createWebhook(2, { url: 'https://x.test', events: ['deck.changed'], deckId: 1 }).error).toBe('Tracked deck not found');
+
+    const { webhook, secret } = webhooks.createWebhook(1, { url: 'https://x.test/hook', events: ['share.viewed', 'deck.changed'], deckId: 1 });
+    expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(webhook).toMatchObject({ url: 'https://x.test/hook', deckId: 1, deckName: 'Krenko', events: ['deck.changed', 'share.viewed'], active: true });
+    expect(webhooks.listWebhooks(1)[0]).not.toHaveProperty('secret');
+    expect(webhooks.listWebhooks(2)).toEqual([]);
+  });
+
+  it('queues snapshot events with the full diff for matching subscriptions only', async () => {
+    const all = webhooks.createWebhook(1, { url: 'http://127.0.0.1:9/all', events: ['deck.changed', 'snapshot.created'] });
+    webhooks.createWebhook(1, { url: 'http://127.0.0.1:9/other-deck', events: ['deck.changed'], deckId: 2 });
+    webhooks.createWebhook(1, { url: 'http://127.0.0.1:9/prices', events: ['price.alert'] });
+
+    const deck = db.get('SELECT * FROM tracked_decks WHERE id = 1');
+    webhooks.emitSnapshotEvents(deck, {
+      snapshotId: 7,
+      previous: { id: 6, deck_text: '1 Sol Ring\n1 Island' },
+      text: '1 Sol Ring\n2 Mountain',
+      refreshed: true,
+    });
+
+    const rows = db.all('SELECT * FROM webhook_deliveries ORDER BY id');
+    expect(rows.map(r => [r.webhook_id, r.event])).toEqual([[all.webhook.id, 'deck.changed'], [all.webhook.id, 'snapshot.created']]);
+    const payload = JSON.parse(rows[0].payload);
+    expect(payload).toMatchObject({
+      event: 'deck.changed',
+      data: { deck: { id: 1, name: 'Krenko', commanders: ['Krenko, Mob Boss'] }, snapshot: { id: 7, previousId: 6 } },
+    });
+    expect(payload.data.diff.mainboard.cardsIn).toEqual([expect.objectContaining({ name: 'Mountain', quantity: 2 })]);
+    expect(payload.data.diff.mainboard.cardsOut).toEqual([expect.objectContaining({ name: 'Island', quantity: 1 })]);
+
+    await vi.waitFor(() => expect(delivery(rows[1].id).status).toBe('delivered'));
+  });
+
+  it('signs each delivery with the webhook secret', async () => {
+    const { webhook, secret } = webhooks.createWebhook(1, { url: 'http://127.0.0.1:9/hook', events: ['price.alert'] });
+    webhooks.emitWebhookEvent(1, 1, 'price.alert', { currentPrice: 12 });
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(webhook.url);
+    expect(init.headers['X-CLC-Event']).toBe('price.alert');
+    const timestamp = init.headers['X-CLC-Timestamp'];
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${init.body}`).digest('hex');
+    expect(init.headers['X-CLC-Signature']).toBe(`sha256=${expected}`);
+    expect(init.redirect).toBe('manual');
+  });
+
+  it('retries with backoff, then fails, and can be redelivered', async () => {
+    fetchMock.mockImplementation(async () => ({ ok: false, status: 503 }));
+    const { webhook } = webhooks.createWebhook(1, { url: 'http://127.0.0.1:9/hook', events: ['price.alert'] });
+    webhooks.emitWebhookEvent(1, 1, 'price.alert', {});
+    const id = db.get('SELECT id FROM webhook_deliveries').id;
+
+    await vi.waitFor(() => expect(delivery(id).attempts).toBe(1));
+    expect(delivery(id)).toMatchObject({ status: 'pending', response_status: 503, error: 'HTTP 503' });
+    expect(db.get("SELECT next_attempt_at > datetime('now') as later FROM webhook_deliveries WHERE id = ?", [id]).later).toBe(1);
+
+    // Not due yet — nothing to do
+    expect(await webhooks.processWebhookQueue()).toBe(0);
+
+    db.run("UPDATE webhook_deliveries SET attempts = ?, next_attempt_at = datetime('now', '-1 minute') WHERE id = ?",
+      [webhooks.MAX_ATTEMPTS - 1, id]);
+    expect(await webhooks.processWebhookQueue()).toBe(1);
+    expect(delivery(id).status).toBe('failed');
+
+    fetchMock.mockImplementation(async () => ({ ok: true, status: 200 }));
+    expect(webhooks.redeliver(2, webhook.id, id)).toBe(false);
+    expect(webhooks.redeliver(1, webhook.id, id)).toBe(true);
+    await vi.waitFor(() => expect(delivery(id).status).toBe('delivered'));
+    expect(webhooks.listDeliveries(1, webhook.id)[0]).toMatchObject({ id, event: 'price.alert', status: 'delivered', attempts: 1 });
+  });
+
+  it('refuses private targets unless allowed', async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    webhooks.createWebhook(1, { url: 'http://127.0.0.1:9/hook', events: ['price.alert'] });
+    webhooks.emitWebhookEvent(1, 1, 'price.alert', {});
+    const id = db.get('SELECT id FROM webhook_deliveries').id;
+    await vi.waitFor(() => expect(delivery(id).attempts).toBe(1));
+    expect(delivery(id).error).toBe('URL resolves to a private address');
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    expect(webhooks.isPrivateAddress('10.1.2.3')).toBe(true);
+    expect(webhooks.isPrivateAddress('::1')).toBe(true);
+    expect(webhooks.isPrivateAddress('::ffff:192.168.1.1')).toBe(true);
+    expect(webhooks.isPrivateAddress('fd12::1')).toBe(true);
+    expect(webhooks.isPrivateAddress('198.19.0.1')).toBe(true);
+    expect(webhooks.isPrivateAddress('64:ff9b::a9fe:a9fe')).toBe(true); // NAT64 of 169.254.169.254
+    expect(webhooks.isPrivateAddress('93.184.216.34')).toBe(false);
+    expect(webhooks.isPrivateAddress('2606:4700::1111')).toBe(false);
+  });
+
+  it('checks the address the delivery connects to, not a separate lookup', async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    vi.unstubAllGlobals(); // the real fetch, so the connection goes through the pinned lookup
+    webhooks.createWebhook(1, { url: 'http://localhost:65000/hook', events: ['price.alert'] });
+    webhooks.emitWebhookEvent(1, 1, 'price.alert', {});
+    const id = db.get('SELECT id FROM webhook_deliveries').id;
+    await vi.waitFor(() => expect(delivery(id).attempts).toBe(1));
+    expect(delivery(id).error).toBe('URL resolves to a private address');
+  });
+
+  it('tells the owner when a share link is viewed', async () => {
+    const { recordShareView } = await import('./shareLinks.js');
+    webhooks.createWebhook(1, { url: 'http://127.0.0.1:9/hook', events: ['share.viewed'] });
+    db.run("INSERT INTO shared_deck_views (id, tracked_deck_id, user_id) VALUES ('abc', 1, 1)");
+    db.run("INSERT INTO shared_comparisons (id, before_text, after_text) VALUES ('anon', '', '')");
+
+    recordShareView('shared_deck_views', 'abc');
+    recordShareView('shared_comparisons', 'anon'); // no owner — nothing to send
+
+    const rows = db.all('SELECT payload FROM webhook_deliveries');
+    expect(rows).toHaveLength(1);
+    expect(JSON.parse(rows[0].payload).data).toMatchObject({
+      share: { kind: 'deck', id: 'abc', title: 'Krenko', deckId: 1 },
+      viewCount: 1,
+    });
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+  });
+});
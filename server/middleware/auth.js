@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { get } from '../db.js';
 import { getJwtSecret } from '../lib/jwtSecret.js';
+import { isAccessToken, authenticateAccessToken, matchTokenRoute } from '../lib/accessTokens.js';
 
 // Short-TTL cache to avoid redundant DB queries on multi-request page loads.
 // A single page load can trigger 5-10 authenticated API calls within milliseconds —
@@ -39,6 +40,7 @@ export function requireAuth(req, res, next) {
   }
 
   const token = header.slice(7);
+  if (isAccessToken(token)) return requireAccessToken(token, req, res, next);
   try {
     const payload = jwt.verify(token, getJwtSecret(), { algorithms: ['HS256'] });
     req.user = { userId: payload.userId, username: payload.username, isAdmin: !!payload.isAdmin };
@@ -73,6 +75,37 @@ export function requireAuth(req, res, next) {
   }
 }
 
+/**
+ * A personal access token instead of a session: valid only on the endpoints in
+ * TOKEN_ROUTES and only with the scope each needs. Never admin. Not tied to
+ * password_changed_at — revoking is how a token is retired.
+ */
+function requireAccessToken(token, req, res, next) {
+  const auth = authenticateAccessToken(token);
+  if (auth.error) return res.status(auth.status).json({ error: auth.error });
+
+  const route = matchTokenRoute(req.method, req.baseUrl + req.path);
+  if (!route) {
+    return res.status(403).json({ error: 'This endpoint is not available to access tokens' });
+  }
+  if (!auth.scopes.includes(route.scope)) {
+    return res.status(403).json({ error: `Access token is missing the ${route.scope} scope` });
+  }
+  req.user = { userId: auth.userId, username: auth.username, isAdmin: false, tokenScopes: auth.scopes };
+  next();
+}
+
+/**
+ * Authenticate when a bearer token is sent, otherwise continue anonymously
+ * (req.user unset). A token that is sent but invalid still gets a 401, so a
+ * stale session is noticed rather than silently treated as anonymous.
+ */
+export function optionalAuth(req, res, next) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) return next();
+  return requireAuth(req, res, next);
+}
+
 export function requireAdmin(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ error: 'Authentication required' });
@@ -18,11 +18,11 @@ export const apiLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Limiter for Archidekt-hitting routes (refresh, browse decks)
-export const archidektLimiter = rateLimit({
+// Limiter for routes that hit a deck site (track, refresh, browse decks)
+export const deckSourceLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 10, // 10 Archidekt calls per minute
-  message: { error: 'Too many Archidekt requests. Please wait a moment.' },
+  max: 10, // 10 deck-site calls per minute
+  message: { error: 'Too many deck refresh requests. Please wait a moment.' },
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -44,3 +44,24 @@ export const shareLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+
+// Limiter for wrong passphrases on protected deck shares — only requests that
+// send a passphrase and fail count, so normal viewing is unaffected
+export const sharePassphraseLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  skip: (req) => !req.headers['x-share-passphrase'],
+  skipSuccessfulRequests: true,
+  message: { error: 'Too many passphrase attempts. Please try again in 15 minutes.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Limiter for public Scryfall price lookups (no auth on the compare page)
+export const priceLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: { error: 'Too many price lookups. Please wait a moment.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
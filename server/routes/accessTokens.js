@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { requireIntParam } from '../middleware/validate.js';
+import { listAccessTokens, createAccessToken, revokeAccessToken, TOKEN_SCOPES } from '../lib/accessTokens.js';
+
+const router = Router();
+// Session only: these paths aren't in TOKEN_ROUTES, so a token can't mint more tokens
+router.use(requireAuth);
+
+// The user's tokens (never the secrets) and the scopes a new one can have
+router.get('/', (req, res) => {
+  res.json({ tokens: listAccessTokens(req.user.userId), scopes: TOKEN_SCOPES });
+});
+
+// Create a token — the raw value is in this response only
+router.post('/', (req, res) => {
+  const { token, secret, error } = createAccessToken(req.user.userId, req.body);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json({ token, secret });
+});
+
+router.delete('/:id', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  if (!revokeAccessToken(req.user.userId, id)) return res.status(404).json({ error: 'Token not found' });
+  res.json({ success: true });
+});
+
+export default router;
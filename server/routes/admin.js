@@ -1,8 +1,11 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import { all, get, run, getDb } from '../db.js';
+import { all, get, run, exportDb } from '../db.js';
 import { requireAuth, requireAdmin, invalidateAuthCache, invalidateAllAuthCache } from '../middleware/auth.js';
-import { validatePassword } from '../middleware/validate.js';
+import { validatePassword, requireIntParam } from '../middleware/validate.js';
+import { previewPrune, resolveRetentionPolicy, RETENTION_POLICIES } from '../lib/pruneSnapshots.js';
+import { compactSnapshotHistory } from '../lib/snapshotStore.js';
+import { listGlobalPacks, createPack, replacePack } from '../lib/recommendationPacks.js';
 
 const router = Router();
 
@@ -30,9 +33,7 @@ router.get('/stats', (_req, res) => {
   const suspendedUsers = get('SELECT COUNT(*) as count FROM users WHERE suspended = 1');
   const recentLogins = get("SELECT COUNT(*) as count FROM users WHERE last_login_at > datetime('now', '-7 days')");
 
-  const db = getDb();
-  const dbData = db.export();
-  const dbSizeBytes = dbData.length;
+  const dbSizeBytes = exportDb().length;
 
   const mem = process.memoryUsage();
 
@@ -267,7 +268,7 @@ router.get('/settings', (_req, res) => {
 });
 
 router.put('/settings/:key', (req, res) => {
-  const allowedKeys = ['registration_enabled', 'max_snapshots_per_deck', 'max_locked_per_deck', 'price_display_enabled', 'notifications_enabled', 'notification_check_interval_hours'];
+  const allowedKeys = ['registration_enabled', 'max_snapshots_per_deck', 'max_locked_per_deck', 'price_display_enabled', 'notifications_enabled', 'notification_check_interval_hours', 'snapshot_retention_policy', 'snapshot_delta_storage'];
   const { key } = req.params;
   const { value } = req.body;
 
@@ -290,11 +291,16 @@ router.put('/settings/:key', (req, res) => {
       return res.status(400).json({ error: 'Value must be 0-1000 (0 = unlimited)' });
     }
   }
-  if (key === 'price_display_enabled' || key === 'notifications_enabled') {
+  if (key === 'price_display_enabled' || key === 'notifications_enabled' || key === 'snapshot_delta_storage') {
     if (!['true', 'false'].includes(value)) {
       return res.status(400).json({ error: 'Value must be true or false' });
     }
   }
+  if (key === 'snapshot_retention_policy') {
+    if (!RETENTION_POLICIES.includes(value)) {
+      return res.status(400).json({ error: 'Retention policy must be count or tiered' });
+    }
+  }
   if (key === 'notification_check_interval_hours') {
     const num = parseInt(value, 10);
     if (isNaN(num) || num < 1 || num > 168) {
@@ -310,9 +316,42 @@ router.put('/settings/:key', (req, res) => {
 
   logAdminAction(req.user.userId, req.user.username, 'update_setting', null, null, `${key} = ${value}`);
 
+  // Turning delta storage on compacts existing history right away; turning it
+  // off leaves existing deltas readable and just stops creating new ones.
+  if (key === 'snapshot_delta_storage' && value === 'true') {
+    const compacted = compactSnapshotHistory();
+    return res.json({ success: true, compacted });
+  }
+
   res.json({ success: true });
 });
 
+// Dry run of a server-wide retention change: per deck that follows the server
+// default, how many snapshots `policy` (or the current default) would delete.
+router.get('/retention-preview', (req, res) => {
+  const { policy } = req.query;
+  if (policy !== undefined && !RETENTION_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: 'Retention policy must be count or tiered' });
+  }
+
+  const decks = all(`
+    SELECT d.id, d.deck_name, u.username
+    FROM tracked_decks d
+    JOIN users u ON d.user_id = u.id
+    WHERE d.retention_policy IS NULL
+    ORDER BY u.username ASC, d.deck_name ASC
+  `);
+  const affected = [];
+  let total = 0;
+  for (const deck of decks) {
+    const { snapshots } = previewPrune(deck.id, policy);
+    if (snapshots.length === 0) continue;
+    affected.push({ id: deck.id, deckName: deck.deck_name, username: deck.username, count: snapshots.length });
+    total += snapshots.length;
+  }
+  res.json({ policy: policy || resolveRetentionPolicy(null), decks: affected, total });
+});
+
 // --- Shared Comparison Moderation ---
 
 router.get('/shares', (_req, res) => {
@@ -337,6 +376,43 @@ router.delete('/shares/:id', (req, res) => {
   res.json({ success: true });
 });
 
+// --- Recommendation Packs (server-wide, user_id NULL) ---
+
+router.get('/recommendation-packs', (_req, res) => {
+  res.json({ packs: listGlobalPacks() });
+});
+
+router.post('/recommendation-packs', (req, res) => {
+  const { pack, error } = createPack(null, req.body);
+  if (error) return res.status(400).json({ error });
+  logAdminAction(req.user.userId, req.user.username, 'create_recommendation_pack', null, null, `${pack.name} (${pack.cards.length} cards)`);
+  res.status(201).json({ pack });
+});
+
+router.put('/recommendation-packs/:id', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  if (!get('SELECT id FROM recommendation_packs WHERE id = ? AND user_id IS NULL', [id])) {
+    return res.status(404).json({ error: 'Pack not found' });
+  }
+  const { pack, error } = replacePack(id, req.body);
+  if (error) return res.status(400).json({ error });
+  logAdminAction(req.user.userId, req.user.username, 'update_recommendation_pack', null, null, `${pack.name} (${pack.cards.length} cards)`);
+  res.json({ pack });
+});
+
+router.delete('/recommendation-packs/:id', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  const pack = get('SELECT id, name FROM recommendation_packs WHERE id = ? AND user_id IS NULL', [id]);
+  if (!pack) return res.status(404).json({ error: 'Pack not found' });
+
+  logAdminAction(req.user.userId, req.user.username, 'delete_recommendation_pack', null, null, pack.name);
+
+  run('DELETE FROM recommendation_packs WHERE id = ?', [id]);
+  res.json({ success: true });
+});
+
 // --- Audit Log ---
 
 router.get('/audit-log', (req, res) => {
@@ -369,9 +445,7 @@ router.get('/audit-log', (req, res) => {
 // --- Database Backup ---
 
 router.get('/backup', (req, res) => {
-  const db = getDb();
-  const data = db.export();
-  const buffer = Buffer.from(data);
+  const buffer = exportDb();
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
   const filename = `cardlistcompare-${timestamp}.db`;
 
@@ -470,8 +544,8 @@ router.get('/users/export', (req, res) => {
 });
 
 router.post('/cleanup/tokens', (req, res) => {
-  const resetResult = run('DELETE FROM password_reset_tokens WHERE used = 1 OR expires_at < datetime("now")');
-  const verifyResult = run('DELETE FROM email_verification_tokens WHERE expires_at < datetime("now")');
+  const resetResult = run("DELETE FROM password_reset_tokens WHERE used = 1 OR expires_at < datetime('now')");
+  const verifyResult = run("DELETE FROM email_verification_tokens WHERE expires_at < datetime('now')");
   const total = resetResult.changes + verifyResult.changes;
 
   logAdminAction(req.user.userId, req.user.username, 'cleanup_tokens', null, null, `${total} tokens removed`);
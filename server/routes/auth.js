@@ -237,7 +237,7 @@ router.post('/verify-email', async (req, res) => {
     }
 
     const record = get(
-      'SELECT * FROM email_verification_tokens WHERE token = ? AND expires_at > datetime("now")',
+      "SELECT * FROM email_verification_tokens WHERE token = ? AND expires_at > datetime('now')",
       [hashToken(token)]
     );
     if (!record) {
@@ -340,7 +340,7 @@ router.post('/reset-password', authLimiter, async (req, res) => {
     }
 
     const resetToken = get(
-      'SELECT * FROM password_reset_tokens WHERE token = ? AND used = 0 AND expires_at > datetime("now")',
+      "SELECT * FROM password_reset_tokens WHERE token = ? AND used = 0 AND expires_at > datetime('now')",
       [hashToken(token)]
     );
 
@@ -1,15 +1,28 @@
 import { Router } from 'express';
-import { all, get, run } from '../db.js';
+import { all, get, run, transaction } from '../db.js';
 import { requireAuth } from '../middleware/auth.js';
-import { parseCollectionImportText } from '../lib/collectionImport.js';
+import { priceLimiter } from '../middleware/rateLimit.js';
+import {
+  parseCollectionImport, CONDITIONS, normalizeLanguage, normalizeLocation, normalizeAcquiredAt,
+} from '../lib/collectionImport.js';
+import { EXPORT_FORMATS, formatCollectionExport, filterCollectionCards } from '../lib/collectionExport.js';
+import { MOVER_PERIODS, collectionValueReport, recordCollectionValue, today } from '../lib/collectionValue.js';
+import { parse } from '../../src/lib/parser.js';
+import { ownedNameKey, buildOwnedIndex, allocateAcrossDecks } from '../../src/lib/collectionMatch.js';
+import { fetchCardPrices } from '../lib/scryfall.js';
 
 const router = Router();
 router.use(requireAuth);
 
+const MAX_PURCHASE_PRICE = 1000000;
+const REVALUE_COOLDOWN_MINUTES = 10;
+
 // Get user's collection
 router.get('/', (req, res) => {
   const cards = all(
-    'SELECT id, card_name, set_code, collector_number, quantity, is_foil FROM collection_cards WHERE user_id = ? ORDER BY card_name ASC',
+    `SELECT id, card_name, set_code, collector_number, quantity, is_foil,
+            condition, language, purchase_price, acquired_at, location
+     FROM collection_cards WHERE user_id = ? ORDER BY card_name ASC`,
     [req.user.userId]
   );
   res.json({ cards });
@@ -24,67 +37,368 @@ router.get('/summary', (req, res) => {
   res.json(row);
 });
 
-// Add a single card
-router.post('/', (req, res) => {
-  const { cardName, setCode, collectorNumber, quantity, isFoil } = req.body;
-  if (!cardName || typeof cardName !== 'string') {
-    return res.status(400).json({ error: 'cardName is required' });
+// Value history (one point per day, recorded by the scheduler), the biggest
+// movers over ?period= days (1, 7 or 30) and gain/loss against purchase prices
+router.get('/value', (req, res) => {
+  const period = req.query.period === undefined ? 7 : parseInt(req.query.period, 10);
+  if (!MOVER_PERIODS.includes(period)) {
+    return res.status(400).json({ error: `period must be one of ${MOVER_PERIODS.join(', ')}` });
+  }
+  res.json(collectionValueReport(req.user.userId, period));
+});
+
+// Value the collection now instead of waiting for the scheduler. Replaces
+// today's point; limited to once per few minutes since it prices every card.
+router.post('/value/refresh', priceLimiter, async (req, res) => {
+  const recent = get(
+    `SELECT id FROM collection_value_history
+     WHERE user_id = ? AND day = ? AND created_at > datetime('now', ?)`,
+    [req.user.userId, today(), `-${REVALUE_COOLDOWN_MINUTES} minutes`]
+  );
+  if (recent) {
+    return res.status(429).json({ error: `Valued in the last ${REVALUE_COOLDOWN_MINUTES} minutes — try again later` });
+  }
+  const summary = await recordCollectionValue(req.user.userId);
+  if (!summary) {
+    const empty = !get('SELECT id FROM collection_cards WHERE user_id = ? LIMIT 1', [req.user.userId]);
+    return res.status(empty ? 400 : 502).json({
+      error: empty ? 'Your collection is empty' : 'Card prices are unavailable right now — try again later',
+    });
+  }
+  res.json(summary);
+});
+
+// Latest snapshot text of each of the user's decks, or of `deckIds` only —
+// Map<deckId, deck_text>. Decks without a snapshot are absent.
+function latestDeckTexts(userId, deckIds = null) {
+  const rows = all(`
+    SELECT d.id, ds.deck_text
+    FROM deck_snapshots ds
+    JOIN tracked_decks d ON d.id = ds.tracked_deck_id
+    WHERE d.user_id = ? ${deckIds ? `AND d.id IN (${deckIds.map(() => '?').join(',')})` : ''} AND ds.delta_base_id IS NULL
+      AND ds.created_at = (SELECT MAX(created_at) FROM deck_snapshots WHERE tracked_deck_id = d.id)
+  `, deckIds ? [userId, ...deckIds] : [userId]);
+  return new Map(rows.map(row => [row.id, row.deck_text]));
+}
+
+// Card names (ownedNameKey form) in the latest snapshot of the user's decks —
+// one deck if `deckId` is given. Maybeboards don't count as using a card.
+function deckCardNames(userId, deckId) {
+  const names = new Set();
+  for (const deckText of latestDeckTexts(userId, deckId ? [deckId] : null).values()) {
+    try {
+      const parsed = parse(deckText);
+      for (const section of [parsed.mainboard, parsed.sideboard, parsed.companions]) {
+        for (const [, entry] of section) names.add(ownedNameKey(entry.displayName));
+      }
+      for (const name of parsed.commanders) names.add(ownedNameKey(name));
+    } catch {
+      // Skip unparseable snapshots
+    }
+  }
+  return names;
+}
+
+const MAX_SHOPPING_DECKS = 20;
+
+// What to buy to build ?decks=<id,id,...>: owned copies are shared out over
+// the decks in the order given (allocateAcrossDecks), so one copy never covers
+// two decks, and every missing card is priced at its cheapest printing — the
+// same figure as a deck's budget price. Prices are null if Scryfall is down.
+// Each call can price 20 decks' worth of cards, hence priceLimiter.
+router.get('/shopping-list', priceLimiter, async (req, res) => {
+  const deckIds = String(req.query.decks || '').split(',').filter(Boolean).map(id => parseInt(id, 10));
+  if (deckIds.length === 0 || deckIds.some(id => !Number.isInteger(id) || id < 1)) {
+    return res.status(400).json({ error: 'decks must be a comma-separated list of deck ids' });
+  }
+  if (new Set(deckIds).size !== deckIds.length || deckIds.length > MAX_SHOPPING_DECKS) {
+    return res.status(400).json({ error: `Pick up to ${MAX_SHOPPING_DECKS} different decks` });
+  }
+  const decks = all(
+    `SELECT id, deck_name FROM tracked_decks WHERE user_id = ? AND id IN (${deckIds.map(() => '?').join(',')})`,
+    [req.user.userId, ...deckIds]
+  );
+  if (decks.length !== deckIds.length) return res.status(404).json({ error: 'Deck not found' });
+  const deckNames = new Map(decks.map(deck => [deck.id, deck.deck_name]));
+
+  const texts = latestDeckTexts(req.user.userId, deckIds);
+  const parsedDecks = [];
+  for (const id of deckIds) {
+    try {
+      parsedDecks.push({ id, parsed: texts.has(id) ? parse(texts.get(id)) : null });
+    } catch {
+      parsedDecks.push({ id, parsed: null });
+    }
+  }
+  const owned = buildOwnedIndex(all('SELECT card_name, quantity FROM collection_cards WHERE user_id = ?', [req.user.userId]));
+  const allocation = allocateAcrossDecks(parsedDecks, owned);
+
+  // One row per missing card, with the copies each deck still needs
+  const byKey = new Map();
+  for (const deck of allocation) {
+    for (const card of deck.cards) {
+      if (card.missing === 0) continue;
+      const row = byKey.get(card.key) || { name: card.name, quantity: 0, decks: [] };
+      row.quantity += card.missing;
+      row.decks.push({ id: deck.id, quantity: card.missing });
+      byKey.set(card.key, row);
+    }
+  }
+
+  const prices = byKey.size > 0 ? await fetchCardPrices([...byKey.values()].map(row => row.name)) : new Map();
+  const pricesAvailable = byKey.size === 0 || prices.size > 0;
+  const unitPrices = new Map();
+  for (const [key, row] of byKey) {
+    const data = prices.get(row.name.toLowerCase());
+    const candidates = [data?.priceUsd, data?.priceUsdFoil].filter(p => p > 0);
+    unitPrices.set(key, candidates.length > 0 ? Math.min(...candidates) : null);
+  }
+  const round2 = n => Math.round(n * 100) / 100;
+
+  const deckSummaries = allocation.map((deck, i) => {
+    let cost = 0;
+    let unpriced = 0;
+    for (const card of deck.cards) {
+      if (card.missing === 0) continue;
+      const price = unitPrices.get(card.key);
+      if (price == null) unpriced += card.missing;
+      else cost += price * card.missing;
+    }
+    return {
+      id: deck.id,
+      name: deckNames.get(deck.id),
+      hasSnapshot: parsedDecks[i].parsed !== null,
+      neededCopies: deck.cards.reduce((sum, c) => sum + c.needed, 0),
+      ownedCopies: deck.cards.reduce((sum, c) => sum + c.owned, 0),
+      missingCopies: deck.cards.reduce((sum, c) => sum + c.missing, 0),
+      missingUnique: deck.cards.filter(c => c.missing > 0).length,
+      cost: pricesAvailable ? round2(cost) : null,
+      unpriced,
+    };
+  });
+
+  const cards = [...byKey].map(([key, row]) => {
+    const unitPrice = pricesAvailable ? unitPrices.get(key) : null;
+    return { ...row, unitPrice, total: unitPrice == null ? null : round2(unitPrice * row.quantity) };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  res.json({
+    decks: deckSummaries,
+    cards,
+    totalCopies: cards.reduce((sum, c) => sum + c.quantity, 0),
+    totalCost: pricesAvailable ? round2(cards.reduce((sum, c) => sum + (c.total ?? 0), 0)) : null,
+    pricesAvailable,
+  });
+});
+
+// Export — ?format=text|moxfield|deckbox|json, filtered by ?set=, ?foil=true|false,
+// ?inDeck=<deckId|any> (cards a deck uses) or ?unused=true (cards no deck uses)
+router.get('/export', (req, res) => {
+  const { format = 'text', set, foil, inDeck, unused } = req.query;
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (foil !== undefined && foil !== 'true' && foil !== 'false') {
+    return res.status(400).json({ error: 'foil must be true or false' });
+  }
+  if (inDeck !== undefined && unused === 'true') {
+    return res.status(400).json({ error: 'Use either inDeck or unused, not both' });
+  }
+
+  let usedNames = null;
+  if (inDeck !== undefined && inDeck !== 'any') {
+    const deckId = parseInt(inDeck, 10);
+    if (!get('SELECT id FROM tracked_decks WHERE id = ? AND user_id = ?', [deckId, req.user.userId])) {
+      return res.status(404).json({ error: 'Deck not found' });
+    }
+    usedNames = deckCardNames(req.user.userId, deckId);
+  } else if (inDeck === 'any' || unused === 'true') {
+    usedNames = deckCardNames(req.user.userId, null);
   }
-  const qty = Math.max(1, Math.min(999, parseInt(quantity, 10) || 1));
 
-  // Upsert: if exists, add quantity; otherwise insert
-  const existing = get(
-    'SELECT id, quantity FROM collection_cards WHERE user_id = ? AND card_name = ? AND COALESCE(set_code, "") = ? AND COALESCE(collector_number, "") = ? AND is_foil = ?',
-    [req.user.userId, cardName.trim(), setCode?.trim() || '', collectorNumber?.trim() || '', isFoil ? 1 : 0]
+  const rows = all(
+    `SELECT card_name, set_code, collector_number, quantity, is_foil,
+            condition, language, purchase_price, acquired_at, location
+     FROM collection_cards WHERE user_id = ? ORDER BY card_name ASC, set_code ASC`,
+    [req.user.userId]
   );
+  const cards = filterCollectionCards(rows, {
+    setCode: typeof set === 'string' ? set : '',
+    foil: foil === undefined ? undefined : foil === 'true',
+    usedNames,
+    inDecks: inDeck !== undefined,
+    unused: unused === 'true',
+  });
+
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="collection-${date}.${extension}"`,
+  });
+  res.send(formatCollectionExport(cards, format));
+});
+
+/**
+ * Validate the optional per-entry details in a request body — condition,
+ * language, purchasePrice, acquiredAt, location. Only keys present in `body`
+ * are returned (null clears a value). Returns { details } or { error }.
+ */
+function parseCardDetails(body) {
+  const details = {};
+  if (body.condition !== undefined) {
+    if (body.condition !== null && !CONDITIONS.includes(body.condition)) {
+      return { error: `condition must be one of ${CONDITIONS.join(', ')}` };
+    }
+    details.condition = body.condition;
+  }
+  if (body.language !== undefined) {
+    details.language = body.language === null ? null : normalizeLanguage(body.language);
+    if (body.language !== null && !details.language) return { error: 'language must be a Scryfall language code' };
+  }
+  if (body.purchasePrice !== undefined) {
+    const price = body.purchasePrice;
+    if (price !== null && (typeof price !== 'number' || !Number.isFinite(price) || price < 0 || price > MAX_PURCHASE_PRICE)) {
+      return { error: 'purchasePrice must be a non-negative number' };
+    }
+    details.purchasePrice = price === null ? null : Math.round(price * 100) / 100;
+  }
+  if (body.acquiredAt !== undefined) {
+    details.acquiredAt = body.acquiredAt === null ? null : normalizeAcquiredAt(body.acquiredAt);
+    if (body.acquiredAt !== null && !details.acquiredAt) return { error: 'acquiredAt must be a YYYY-MM-DD date' };
+  }
+  if (body.location !== undefined) {
+    if (body.location !== null && typeof body.location !== 'string') return { error: 'location must be a string' };
+    details.location = normalizeLocation(body.location);
+  }
+  return { details };
+}
 
+// An entry is the printing plus foil, condition, language and location — the
+// same card in two binders is two rows. Purchase price and date describe the
+// entry and don't split it.
+function findEntry(userId, card, excludeId = null) {
+  return get(
+    `SELECT id, purchase_price, acquired_at FROM collection_cards
+     WHERE user_id = ? AND card_name = ? AND COALESCE(set_code, '') = ? AND COALESCE(collector_number, '') = ?
+       AND is_foil = ? AND COALESCE(condition, '') = ? AND COALESCE(language, '') = ? AND COALESCE(location, '') = ?
+       AND id != ?`,
+    [userId, card.cardName, card.setCode || '', card.collectorNumber || '', card.isFoil ? 1 : 0,
+      card.condition || '', card.language || '', card.location || '', excludeId ?? -1]
+  );
+}
+
+// Upsert: add to an existing entry's quantity (keeping its price and date
+// unless it has none), otherwise insert. Inside transaction() pass its `write`.
+function addCollectionCard(userId, card, write = run) {
+  const existing = findEntry(userId, card);
   if (existing) {
-    run('UPDATE collection_cards SET quantity = quantity + ? WHERE id = ?', [qty, existing.id]);
+    write(
+      `UPDATE collection_cards SET quantity = MIN(quantity + ?, 999),
+         purchase_price = COALESCE(purchase_price, ?), acquired_at = COALESCE(acquired_at, ?)
+       WHERE id = ?`,
+      [card.quantity, card.purchasePrice ?? null, card.acquiredAt || null, existing.id]
+    );
   } else {
-    run(
-      'INSERT INTO collection_cards (user_id, card_name, set_code, collector_number, quantity, is_foil) VALUES (?, ?, ?, ?, ?, ?)',
-      [req.user.userId, cardName.trim(), setCode?.trim() || null, collectorNumber?.trim() || null, qty, isFoil ? 1 : 0]
+    write(
+      `INSERT INTO collection_cards (user_id, card_name, set_code, collector_number, quantity, is_foil,
+         condition, language, purchase_price, acquired_at, location)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, card.cardName, card.setCode || null, card.collectorNumber || null, card.quantity, card.isFoil ? 1 : 0,
+        card.condition || null, card.language || null, card.purchasePrice ?? null, card.acquiredAt || null,
+        card.location || null]
     );
   }
+}
+
+// Add a single card
+router.post('/', (req, res) => {
+  const { cardName, setCode, collectorNumber, quantity, isFoil } = req.body;
+  if (!cardName || typeof cardName !== 'string') {
+    return res.status(400).json({ error: 'cardName is required' });
+  }
+  const { details, error } = parseCardDetails(req.body);
+  if (error) return res.status(400).json({ error });
+
+  addCollectionCard(req.user.userId, {
+    ...details,
+    cardName: cardName.trim(),
+    setCode: typeof setCode === 'string' ? setCode.trim() : null,
+    collectorNumber: typeof collectorNumber === 'string' ? collectorNumber.trim() : null,
+    quantity: Math.max(1, Math.min(999, parseInt(quantity, 10) || 1)),
+    isFoil: !!isFoil,
+  });
 
   res.json({ success: true });
 });
 
-// Bulk import from text (same format as deck text)
+const IMPORT_MODES = ['merge', 'replace'];
+const PREVIEW_ROWS = 100;
+
+// Bulk import from deck-style text or a collection app's CSV export (Moxfield,
+// Deckbox, ManaBox, Dragon Shield, TCGplayer — detected from the header row).
+// mode "merge" (default) adds to existing quantities; "replace" clears the
+// collection first. An optional `location` files every row that doesn't name
+// its own (only our JSON export does).
 router.post('/import', (req, res) => {
-  const { text } = req.body;
+  const { text, mode = 'merge', location } = req.body;
   if (!text || typeof text !== 'string') {
     return res.status(400).json({ error: 'text is required' });
   }
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'mode must be "merge" or "replace"' });
+  }
+  if (location !== undefined && location !== null && typeof location !== 'string') {
+    return res.status(400).json({ error: 'location must be a string' });
+  }
+  const defaultLocation = normalizeLocation(location);
 
   // Parsing delegates to the shared deck-text parser (see
   // server/lib/collectionImport.js and docs/DECK_TEXT_FORMAT.md).
-  const { cards, skipped } = parseCollectionImportText(text);
+  const { format, cards, skipped } = parseCollectionImport(text);
 
-  let imported = 0;
-
-  for (const card of cards) {
-    // Upsert
-    const existing = get(
-      'SELECT id, quantity FROM collection_cards WHERE user_id = ? AND card_name = ? AND COALESCE(set_code, "") = ? AND COALESCE(collector_number, "") = ? AND is_foil = ?',
-      [req.user.userId, card.cardName, card.setCode || '', card.collectorNumber || '', card.isFoil]
-    );
+  // Refuse to wipe the collection for a file that yielded nothing
+  if (mode === 'replace' && cards.length === 0) {
+    return res.status(400).json({ error: 'Nothing to import — collection left unchanged' });
+  }
 
-    if (existing) {
-      run('UPDATE collection_cards SET quantity = quantity + ? WHERE id = ?', [card.quantity, existing.id]);
-    } else {
-      run(
-        'INSERT INTO collection_cards (user_id, card_name, set_code, collector_number, quantity, is_foil) VALUES (?, ?, ?, ?, ?, ?)',
-        [req.user.userId, card.cardName, card.setCode, card.collectorNumber, card.quantity, card.isFoil]
-      );
+  // One transaction: a failure part way must not leave a replaced collection
+  // wiped or half rebuilt
+  transaction(write => {
+    if (mode === 'replace') write('DELETE FROM collection_cards WHERE user_id = ?', [req.user.userId]);
+    for (const card of cards) {
+      addCollectionCard(req.user.userId, { ...card, location: card.location || defaultLocation }, write);
     }
-    imported++;
-  }
+  });
+
+  res.json({ imported: cards.length, skipped, format, mode });
+});
 
-  res.json({ imported, skipped });
+// Dry run of /import: the detected format, the first rows as they would be
+// stored, and the skipped rows with their reasons. Nothing is written.
+router.post('/import/preview', (req, res) => {
+  const { text } = req.body;
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({ error: 'text is required' });
+  }
+  const { format, formatLabel, cards, skippedRows } = parseCollectionImport(text);
+  const existing = get('SELECT COUNT(*) as count FROM collection_cards WHERE user_id = ?', [req.user.userId]);
+  res.json({
+    format,
+    formatLabel,
+    rows: cards.length,
+    totalCards: cards.reduce((sum, card) => sum + card.quantity, 0),
+    cards: cards.slice(0, PREVIEW_ROWS),
+    skipped: skippedRows.length,
+    skippedRows: skippedRows.slice(0, PREVIEW_ROWS),
+    existingCards: existing.count,
+  });
 });
 
-// Update card quantity
+// Update an entry's quantity and/or details (condition, language,
+// purchasePrice, acquiredAt, location). If the new details make it the same
+// entry as another row — a card moved into a binder that already holds that
+// printing — the two are merged and `mergedInto` names the surviving row.
 router.patch('/:id', (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
@@ -93,15 +407,45 @@ router.patch('/:id', (req, res) => {
   if (!card) return res.status(404).json({ error: 'Card not found' });
 
   const { quantity } = req.body;
+  const { details, error } = parseCardDetails(req.body);
+  if (error) return res.status(400).json({ error });
+  if (quantity === undefined && Object.keys(details).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
   // Require quantity >= 1. A quantity edit must never be a destructive delete —
   // removal has its own DELETE endpoint. Previously quantity 0 deleted the row,
   // so a cleared input field (0 per keystroke) silently erased the card (audit H2).
-  if (quantity === undefined || typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity < 1) {
+  if (quantity !== undefined && (typeof quantity !== 'number' || !Number.isInteger(quantity) || quantity < 1)) {
     return res.status(400).json({ error: 'quantity must be an integer >= 1 (use DELETE to remove a card)' });
   }
-  const qty = Math.min(999, quantity);
 
-  run('UPDATE collection_cards SET quantity = ? WHERE id = ?', [qty, id]);
+  const next = {
+    cardName: card.card_name,
+    setCode: card.set_code,
+    collectorNumber: card.collector_number,
+    isFoil: card.is_foil,
+    quantity: Math.min(999, quantity ?? card.quantity),
+    condition: details.condition !== undefined ? details.condition : card.condition,
+    language: details.language !== undefined ? details.language : card.language,
+    purchasePrice: details.purchasePrice !== undefined ? details.purchasePrice : card.purchase_price,
+    acquiredAt: details.acquiredAt !== undefined ? details.acquiredAt : card.acquired_at,
+    location: details.location !== undefined ? details.location : card.location,
+  };
+
+  const twin = findEntry(req.user.userId, next, id);
+  if (twin) {
+    transaction(write => {
+      write('DELETE FROM collection_cards WHERE id = ?', [id]);
+      addCollectionCard(req.user.userId, next, write);
+    });
+    return res.json({ success: true, mergedInto: twin.id });
+  }
+
+  run(
+    `UPDATE collection_cards SET quantity = ?, condition = ?, language = ?, purchase_price = ?, acquired_at = ?, location = ?
+     WHERE id = ?`,
+    [next.quantity, next.condition, next.language, next.purchasePrice, next.acquiredAt, next.location, id]
+  );
 
   res.json({ success: true });
 });
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+describe('collection routes', () => {
+  let dir;
+  let db;
+  let server;
+  let baseUrl;
+  let token;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'clc-collection-'));
+    process.env.DB_PATH = join(dir, 'test.db');
+    process.env.JWT_SECRET = 'collection-route-test-secret-0123456789abcdef';
+    vi.resetModules();
+    db = await import('../db.js');
+    await db.initDb();
+    const { createToken } = await import('../middleware/auth.js');
+    const { default: collectionRoutes } = await import('./collection.js');
+
+    db.run("INSERT INTO users (username, password_hash) VALUES ('u', 'h')");
+    token = createToken({ id: 1, username: 'u', is_admin: 0 });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/collection', collectionRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/collection`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    db.closeDb();
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.DB_PATH;
+    delete process.env.JWT_SECRET;
+  });
+
+  const send = (method, path, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+  const collection = () => db.all('SELECT card_name, quantity, location FROM collection_cards ORDER BY id');
+
+  // Make the database refuse one card part way through a request
+  function failOn(event, cardName) {
+    db.run(`CREATE TRIGGER fail_${event.toLowerCase()} BEFORE ${event} ON collection_cards
+      WHEN NEW.card_name = '${cardName}' BEGIN SELECT RAISE(ABORT, 'disk on fire'); END`);
+  }
+
+  it('leaves the old collection untouched when a replace import fails part way', async () => {
+    db.run("INSERT INTO collection_cards (user_id, card_name, quantity) VALUES (1, 'Sol Ring', 2)");
+    db.run("INSERT INTO collection_cards (user_id, card_name, quantity) VALUES (1, 'Lightning Bolt', 4)");
+    failOn('INSERT', 'Counterspell');
+
+    const res = await send('POST', '/import', { text: '1 Island\n1 Counterspell\n1 Forest', mode: 'replace' });
+    expect(res.status).toBe(500);
+    expect(collection()).toEqual([
+      { card_name: 'Sol Ring', quantity: 2, location: null },
+      { card_name: 'Lightning Bolt', quantity: 4, location: null },
+    ]);
+  });
+
+  it('replaces the collection when the import succeeds', async () => {
+    db.run("INSERT INTO collection_cards (user_id, card_name, quantity) VALUES (1, 'Sol Ring', 2)");
+    const res = await send('POST', '/import', { text: '1 Island\n3 Forest', mode: 'replace' });
+    expect(res.status).toBe(200);
+    expect(collection().map(c => [c.card_name, c.quantity])).toEqual([['Island', 1], ['Forest', 3]]);
+  });
+
+  it('keeps both entries when merging an edited entry into its twin fails', async () => {
+    db.run("INSERT INTO collection_cards (user_id, card_name, quantity, location) VALUES (1, 'Sol Ring', 2, 'Box')");
+    db.run("INSERT INTO collection_cards (user_id, card_name, quantity, location) VALUES (1, 'Sol Ring', 1, 'Binder')");
+    failOn('UPDATE', 'Sol Ring');
+
+    const res = await send('PATCH', '/1', { location: 'Binder' });
+    expect(res.status).toBe(500);
+    expect(collection()).toEqual([
+      { card_name: 'Sol Ring', quantity: 2, location: 'Box' },
+      { card_name: 'Sol Ring', quantity: 1, location: 'Binder' },
+    ]);
+  });
+});
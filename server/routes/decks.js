@@ -3,15 +3,20 @@ import crypto from 'crypto';
 import { all, get, run } from '../db.js';
 import { requireAuth } from '../middleware/auth.js';
 import { existsSync, createReadStream } from 'fs';
-import { archidektLimiter } from '../middleware/rateLimit.js';
+import { deckSourceLimiter } from '../middleware/rateLimit.js';
 import { requireIntParam, requireMaxLength } from '../middleware/validate.js';
 import { parse } from '../../src/lib/parser.js';
-import { fetchDeck } from '../lib/archidekt.js';
-import { archidektToText } from '../lib/deckToText.js';
+import { checkAllFormats, guessFormat } from '../../src/lib/legality.js';
+import { fetchSourceDeck, resolveDeckSource, siteLabel, LOCAL_SITE } from '../lib/deckSources.js';
 import { enrichDeckText } from '../lib/enrichDeckText.js';
-import { pruneSnapshots } from '../lib/pruneSnapshots.js';
+import { getLatestSnapshot, recordSnapshot } from '../lib/snapshotStore.js';
+import { emitSnapshotEvents } from '../lib/webhooks.js';
+import { pruneSnapshots, previewPrune, resolveRetentionPolicy, RETENTION_POLICIES } from '../lib/pruneSnapshots.js';
 import { fetchCardMetadata } from '../lib/scryfall.js';
 import { computeDeckPrices } from '../lib/priceCalculator.js';
+import {
+  parseExpiryDays, parseShareScope, hashSharePassphrase, isShareExpired, setShareExpiry,
+} from '../lib/shareLinks.js';
 import { submitJob, getJobStatus } from '../lib/downloadQueue.js';
 
 const router = Router();
@@ -24,9 +29,14 @@ router.get('/', (req, res) => {
       (SELECT MAX(s.created_at) FROM deck_snapshots s WHERE s.tracked_deck_id = d.id) as latest_snapshot_at,
       (SELECT COUNT(*) FROM deck_snapshots s WHERE s.tracked_deck_id = d.id) as snapshot_count,
       o.archidekt_username,
-      sdv.id as share_id
+      sdv.id as share_id,
+      sdv.expires_at as share_expires_at,
+      sdv.view_count as share_view_count,
+      sdv.scope as share_scope,
+      sdv.snapshot_ids as share_snapshot_ids,
+      sdv.passphrase_hash IS NOT NULL as share_protected
     FROM tracked_decks d
-    JOIN tracked_owners o ON d.tracked_owner_id = o.id
+    LEFT JOIN tracked_owners o ON d.tracked_owner_id = o.id
     LEFT JOIN shared_deck_views sdv ON sdv.tracked_deck_id = d.id
     WHERE d.user_id = ?
     ORDER BY d.pinned DESC, d.deck_name ASC
@@ -55,7 +65,13 @@ router.get('/', (req, res) => {
   res.json({ decks });
 });
 
-router.post('/', archidektLimiter, async (req, res) => {
+// Track a deck. Either { url, deckName? } for any trackable site,
+// { deckName, deckText } for a local deck with no remote source, or the
+// Archidekt owner-browse shape { trackedOwnerId, archidektDeckId, deckName, deckUrl }.
+router.post('/', deckSourceLimiter, async (req, res) => {
+  if (req.body.url !== undefined) return trackDeckByUrl(req, res);
+  if (req.body.deckText !== undefined) return createLocalDeck(req, res);
+
   const { trackedOwnerId, archidektDeckId, deckName, deckUrl } = req.body;
 
   if (!trackedOwnerId || !archidektDeckId || !deckName) {
@@ -72,9 +88,10 @@ router.post('/', archidektLimiter, async (req, res) => {
     return res.status(404).json({ error: 'Tracked owner not found' });
   }
 
+  const sourceId = String(archidektDeckId);
   const existing = get(
-    'SELECT id FROM tracked_decks WHERE user_id = ? AND archidekt_deck_id = ?',
-    [req.user.userId, archidektDeckId]
+    "SELECT id FROM tracked_decks WHERE user_id = ? AND source_site = 'archidekt' AND source_id = ?",
+    [req.user.userId, sourceId]
   );
   if (existing) {
     return res.status(409).json({ error: 'You are already tracking this deck' });
@@ -82,23 +99,17 @@ router.post('/', archidektLimiter, async (req, res) => {
 
   try {
     const result = run(
-      'INSERT INTO tracked_decks (user_id, tracked_owner_id, archidekt_deck_id, deck_name, deck_url) VALUES (?, ?, ?, ?, ?)',
-      [req.user.userId, trackedOwnerId, archidektDeckId, deckName, deckUrl || null]
+      `INSERT INTO tracked_decks (user_id, tracked_owner_id, archidekt_deck_id, source_site, source_id, deck_name, deck_url)
+       VALUES (?, ?, ?, 'archidekt', ?, ?, ?)`,
+      [req.user.userId, trackedOwnerId, archidektDeckId, sourceId, deckName, deckUrl || null]
     );
 
     const deckId = result.lastInsertRowid;
 
     // Fetch initial snapshot and extract commanders
     try {
-      const apiData = await fetchDeck(archidektDeckId);
-      const { text, commanders } = archidektToText(apiData);
-      // Enrich with Scryfall fallback for any cards missing metadata
-      let enrichedText = text;
-      try { enrichedText = await enrichDeckText(text, null); } catch { /* non-fatal */ }
-      run('INSERT INTO deck_snapshots (tracked_deck_id, deck_text) VALUES (?, ?)', [deckId, enrichedText]);
-      pruneSnapshots(deckId);
-      run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), commanders = ? WHERE id = ?',
-        [JSON.stringify(commanders || []), deckId]);
+      const { text, commanders } = await fetchSourceDeck('archidekt', sourceId);
+      await saveInitialSnapshot(deckId, text, commanders);
     } catch (fetchErr) {
       console.error('Initial snapshot fetch failed:', fetchErr);
     }
@@ -111,10 +122,111 @@ router.post('/', archidektLimiter, async (req, res) => {
   }
 });
 
-router.post('/refresh-all', archidektLimiter, async (req, res) => {
+// Unlike the owner-browse path, the URL has not been validated by a listing
+// call, so the first fetch happens BEFORE the insert: a bad or private link
+// fails here instead of leaving a deck that can never refresh.
+async function trackDeckByUrl(req, res) {
+  const { url, deckName } = req.body;
+  if (typeof url !== 'string' || !url.trim()) {
+    return res.status(400).json({ error: 'url must be a non-empty string' });
+  }
+  if (!requireMaxLength(res, url, 500, 'Deck URL')) return;
+  if (deckName !== undefined && deckName !== null && typeof deckName !== 'string') {
+    return res.status(400).json({ error: 'Deck name must be a string' });
+  }
+  if (deckName && !requireMaxLength(res, deckName, 200, 'Deck name')) return;
+
+  let source;
+  try {
+    source = resolveDeckSource(url);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const existing = get(
+    'SELECT id FROM tracked_decks WHERE user_id = ? AND source_site = ? AND source_id = ?',
+    [req.user.userId, source.site, source.sourceId]
+  );
+  if (existing) {
+    return res.status(409).json({ error: 'You are already tracking this deck' });
+  }
+
+  let fetched;
+  try {
+    fetched = await fetchSourceDeck(source.site, source.sourceId);
+  } catch (err) {
+    return res.status(502).json({ error: `Failed to fetch deck from ${siteLabel(source.site)}: ${err.message}` });
+  }
+
+  const name = deckName?.trim() || fetched.name || `${siteLabel(source.site)} deck ${source.sourceId}`;
+
+  try {
+    const result = run(
+      `INSERT INTO tracked_decks (user_id, archidekt_deck_id, source_site, source_id, deck_name, deck_url)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [req.user.userId, source.site === 'archidekt' ? Number(source.sourceId) : null,
+        source.site, source.sourceId, name.slice(0, 200), url.trim()]
+    );
+    const deckId = result.lastInsertRowid;
+    await saveInitialSnapshot(deckId, fetched.text, fetched.commanders);
+
+    const deck = get('SELECT * FROM tracked_decks WHERE id = ?', [deckId]);
+    res.status(201).json({ deck });
+  } catch (err) {
+    console.error('Track deck by URL error:', err);
+    res.status(500).json({ error: 'Failed to track deck' });
+  }
+}
+
+async function createLocalDeck(req, res) {
+  const { deckName, deckText } = req.body;
+  if (typeof deckName !== 'string' || !deckName.trim()) {
+    return res.status(400).json({ error: 'Deck name is required' });
+  }
+  if (!requireMaxLength(res, deckName, 200, 'Deck name')) return;
+  if (typeof deckText !== 'string' || !deckText.trim()) {
+    return res.status(400).json({ error: 'deckText is required and must be non-empty' });
+  }
+
+  try {
+    const result = run(
+      'INSERT INTO tracked_decks (user_id, source_site, deck_name) VALUES (?, ?, ?)',
+      [req.user.userId, LOCAL_SITE, deckName.trim()]
+    );
+    const deckId = result.lastInsertRowid;
+
+    let enrichedText = deckText.trim();
+    try { enrichedText = await enrichDeckText(enrichedText, null); } catch { /* non-fatal */ }
+    const { id: snapshotId } = recordSnapshot(deckId, enrichedText, { latest: null });
+
+    let commanders = [];
+    try { commanders = parse(enrichedText).commanders || []; } catch { /* non-fatal */ }
+    run('UPDATE tracked_decks SET commanders = ? WHERE id = ?', [JSON.stringify(commanders), deckId]);
+
+    const deck = get('SELECT * FROM tracked_decks WHERE id = ?', [deckId]);
+    emitSnapshotEvents(deck, { snapshotId, previous: null, text: enrichedText });
+    res.status(201).json({ deck });
+  } catch (err) {
+    console.error('Create local deck error:', err);
+    res.status(500).json({ error: 'Failed to create deck' });
+  }
+}
+
+async function saveInitialSnapshot(deckId, text, commanders) {
+  // Enrich with Scryfall fallback for any cards missing metadata
+  let enrichedText = text;
+  try { enrichedText = await enrichDeckText(text, null); } catch { /* non-fatal */ }
+  const { id: snapshotId } = recordSnapshot(deckId, enrichedText, { latest: null });
+  pruneSnapshots(deckId);
+  run("UPDATE tracked_decks SET last_refreshed_at = datetime('now'), commanders = ? WHERE id = ?",
+    [JSON.stringify(commanders || []), deckId]);
+  emitSnapshotEvents(get('SELECT * FROM tracked_decks WHERE id = ?', [deckId]), { snapshotId, previous: null, text: enrichedText });
+}
+
+router.post('/refresh-all', deckSourceLimiter, async (req, res) => {
   const decks = all(
-    'SELECT * FROM tracked_decks WHERE user_id = ?',
-    [req.user.userId]
+    'SELECT * FROM tracked_decks WHERE user_id = ? AND source_site != ?',
+    [req.user.userId, LOCAL_SITE]
   );
 
   if (decks.length === 0) {
@@ -125,33 +237,33 @@ router.post('/refresh-all', archidektLimiter, async (req, res) => {
 
   for (const deck of decks) {
     try {
-      const apiData = await fetchDeck(deck.archidekt_deck_id);
-      const { text, commanders } = archidektToText(apiData);
+      const { name, text, commanders } = await fetchSourceDeck(deck.source_site, deck.source_id);
 
-      const latest = get(
-        'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-        [deck.id]
-      );
+      const latest = getLatestSnapshot(deck.id);
 
       // Enrich with carry-forward from previous snapshot + Scryfall fallback
       let enrichedText = text;
       try { enrichedText = await enrichDeckText(text, latest?.deck_text || null); } catch { /* non-fatal */ }
 
-      if (latest && latest.deck_text === enrichedText) {
-        run('UPDATE tracked_decks SET last_refreshed_at = datetime("now") WHERE id = ?', [deck.id]);
+      const recorded = recordSnapshot(deck.id, enrichedText, { latest });
+      if (!recorded.changed) {
+        run("UPDATE tracked_decks SET last_refreshed_at = datetime('now') WHERE id = ?", [deck.id]);
         results.push({ deckId: deck.id, deckName: deck.deck_name, changed: false });
       } else {
-        run('INSERT INTO deck_snapshots (tracked_deck_id, deck_text) VALUES (?, ?)', [deck.id, enrichedText]);
         pruneSnapshots(deck.id);
         // Update commanders if detected (don't blank out user-set values)
         const cmdsJson = commanders && commanders.length > 0 ? JSON.stringify(commanders) : null;
         if (cmdsJson) {
-          run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), deck_name = ?, commanders = ? WHERE id = ?',
-            [apiData.name || deck.deck_name, cmdsJson, deck.id]);
+          run("UPDATE tracked_decks SET last_refreshed_at = datetime('now'), deck_name = ?, commanders = ? WHERE id = ?",
+            [name || deck.deck_name, cmdsJson, deck.id]);
         } else {
-          run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), deck_name = ? WHERE id = ?',
-            [apiData.name || deck.deck_name, deck.id]);
+          run("UPDATE tracked_decks SET last_refreshed_at = datetime('now'), deck_name = ? WHERE id = ?",
+            [name || deck.deck_name, deck.id]);
         }
+        emitSnapshotEvents(
+          { ...deck, deck_name: name || deck.deck_name, commanders: cmdsJson || deck.commanders },
+          { snapshotId: recorded.id, previous: latest, text: enrichedText, refreshed: true }
+        );
         results.push({ deckId: deck.id, deckName: deck.deck_name, changed: true });
       }
     } catch (err) {
@@ -192,7 +304,7 @@ router.patch('/:id', (req, res) => {
     return res.status(404).json({ error: 'Tracked deck not found' });
   }
 
-  const { commanders, notifyOnChange, notes, pinned, tags, discordWebhookUrl, priceAlertThreshold, priceAlertMode, autoRefreshHours } = req.body;
+  const { commanders, notifyOnChange, notes, pinned, tags, discordWebhookUrl, priceAlertThreshold, priceAlertMode, autoRefreshHours, retentionPolicy } = req.body;
   if (commanders !== undefined) {
     if (!Array.isArray(commanders) || !commanders.every(c => typeof c === 'string')) {
       return res.status(400).json({ error: 'Commanders must be an array of strings' });
@@ -262,8 +374,20 @@ router.patch('/:id', (req, res) => {
     if (autoRefreshHours !== null && (typeof autoRefreshHours !== 'number' || ![6, 12, 24, 48, 168].includes(autoRefreshHours))) {
       return res.status(400).json({ error: 'Auto-refresh must be 6, 12, 24, 48, or 168 hours (or null to disable)' });
     }
+    if (autoRefreshHours !== null && deck.source_site === LOCAL_SITE) {
+      return res.status(400).json({ error: 'Local decks have no remote source to auto-refresh from' });
+    }
     run('UPDATE tracked_decks SET auto_refresh_hours = ? WHERE id = ?', [autoRefreshHours, id]);
   }
+  if (retentionPolicy !== undefined) {
+    if (retentionPolicy !== null && !RETENTION_POLICIES.includes(retentionPolicy)) {
+      return res.status(400).json({ error: 'Retention policy must be "count" or "tiered" (or null for the server default)' });
+    }
+    run('UPDATE tracked_decks SET retention_policy = ? WHERE id = ?', [retentionPolicy, id]);
+    // Apply now rather than on the next refresh, so the preview the user just
+    // confirmed is what actually happens.
+    pruneSnapshots(id);
+  }
 
   const updated = get('SELECT * FROM tracked_decks WHERE id = ?', [id]);
   // Attach tags
@@ -272,7 +396,27 @@ router.patch('/:id', (req, res) => {
   res.json({ deck: updated });
 });
 
-router.post('/:id/refresh', archidektLimiter, async (req, res) => {
+// Dry run of snapshot retention: which snapshots the deck's policy (or
+// ?policy=count|tiered, to preview a change before saving it) would delete.
+router.get('/:id/retention-preview', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+
+  const deck = get('SELECT id FROM tracked_decks WHERE id = ? AND user_id = ?', [id, req.user.userId]);
+  if (!deck) {
+    return res.status(404).json({ error: 'Tracked deck not found' });
+  }
+  const { policy } = req.query;
+  if (policy !== undefined && policy !== 'default' && !RETENTION_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: 'Retention policy must be "count", "tiered", or "default"' });
+  }
+
+  // 'default' previews following the server default, ignoring the deck's own policy
+  const override = policy === 'default' ? resolveRetentionPolicy(null) : policy;
+  res.json(previewPrune(id, override));
+});
+
+router.post('/:id/refresh', deckSourceLimiter, async (req, res) => {
   const id = requireIntParam(req, res, 'id');
   if (id === null) return;
 
@@ -280,41 +424,44 @@ router.post('/:id/refresh', archidektLimiter, async (req, res) => {
   if (!deck) {
     return res.status(404).json({ error: 'Tracked deck not found' });
   }
+  if (deck.source_site === LOCAL_SITE) {
+    return res.status(400).json({ error: 'Local decks have no remote source — paste a new list to add a snapshot' });
+  }
 
   try {
-    const apiData = await fetchDeck(deck.archidekt_deck_id);
-    const { text, commanders } = archidektToText(apiData);
+    const { name, text, commanders } = await fetchSourceDeck(deck.source_site, deck.source_id);
 
-    const latest = get(
-      'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-      [deck.id]
-    );
+    const latest = getLatestSnapshot(deck.id);
 
     // Enrich with carry-forward from previous snapshot + Scryfall fallback
     let enrichedText = text;
     try { enrichedText = await enrichDeckText(text, latest?.deck_text || null); } catch { /* non-fatal */ }
 
-    if (latest && latest.deck_text === enrichedText) {
-      run('UPDATE tracked_decks SET last_refreshed_at = datetime("now") WHERE id = ?', [deck.id]);
+    const recorded = recordSnapshot(deck.id, enrichedText, { latest });
+    if (!recorded.changed) {
+      run("UPDATE tracked_decks SET last_refreshed_at = datetime('now') WHERE id = ?", [deck.id]);
       return res.json({ changed: false, message: 'Deck is up to date' });
     }
 
-    run('INSERT INTO deck_snapshots (tracked_deck_id, deck_text) VALUES (?, ?)', [deck.id, enrichedText]);
     pruneSnapshots(deck.id);
     // Update commanders if detected (don't blank out user-set values)
     const cmdsJson = commanders && commanders.length > 0 ? JSON.stringify(commanders) : null;
     if (cmdsJson) {
-      run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), deck_name = ?, commanders = ? WHERE id = ?',
-        [apiData.name || deck.deck_name, cmdsJson, deck.id]);
+      run("UPDATE tracked_decks SET last_refreshed_at = datetime('now'), deck_name = ?, commanders = ? WHERE id = ?",
+        [name || deck.deck_name, cmdsJson, deck.id]);
     } else {
-      run('UPDATE tracked_decks SET last_refreshed_at = datetime("now"), deck_name = ? WHERE id = ?',
-        [apiData.name || deck.deck_name, deck.id]);
+      run("UPDATE tracked_decks SET last_refreshed_at = datetime('now'), deck_name = ? WHERE id = ?",
+        [name || deck.deck_name, deck.id]);
     }
+    emitSnapshotEvents(
+      { ...deck, deck_name: name || deck.deck_name, commanders: cmdsJson || deck.commanders },
+      { snapshotId: recorded.id, previous: latest, text: enrichedText, refreshed: true }
+    );
 
     res.json({ changed: true, message: 'New snapshot saved' });
   } catch (err) {
     console.error('Refresh error:', err);
-    res.status(502).json({ error: `Failed to refresh from Archidekt: ${err.message}` });
+    res.status(502).json({ error: `Failed to refresh from ${siteLabel(deck.source_site)}: ${err.message}` });
   }
 });
 
@@ -333,10 +480,7 @@ router.post('/export-batch', (req, res) => {
     const deck = get('SELECT * FROM tracked_decks WHERE id = ? AND user_id = ?', [deckId, req.user.userId]);
     if (!deck) continue;
 
-    const snap = get(
-      'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-      [deck.id]
-    );
+    const snap = getLatestSnapshot(deck.id);
 
     let cmds = '';
     try { cmds = JSON.parse(deck.commanders || '[]').join(' / '); } catch { /* ignore */ }
@@ -352,8 +496,63 @@ router.post('/export-batch', (req, res) => {
   res.json({ decks: results });
 });
 
-// Share a deck (create shared view)
-router.post('/:id/share', (req, res) => {
+// Validate the share settings a body sets — expiresInDays, scope (+ snapshotIds)
+// and passphrase, each optional. Sends a 400 and returns null on bad input;
+// only fields present in the body appear in the result.
+async function parseShareSettings(req, res, deckId) {
+  const body = req.body || {};
+  const settings = {};
+  if ('expiresInDays' in body) {
+    const expiry = parseExpiryDays(body.expiresInDays);
+    if (expiry.error) { res.status(400).json({ error: expiry.error }); return null; }
+    settings.expiryDays = expiry.days;
+  }
+  if ('scope' in body) {
+    const scope = parseShareScope(body);
+    if (scope.error) { res.status(400).json({ error: scope.error }); return null; }
+    if (scope.snapshotIds) {
+      const owned = new Set(all('SELECT id FROM deck_snapshots WHERE tracked_deck_id = ?', [deckId]).map(r => r.id));
+      if (!scope.snapshotIds.every(sid => owned.has(sid))) {
+        res.status(400).json({ error: 'Selected snapshots must belong to this deck' });
+        return null;
+      }
+    }
+    settings.scope = scope;
+  }
+  const passphrase = await hashSharePassphrase(body.passphrase);
+  if (passphrase.error) { res.status(400).json({ error: passphrase.error }); return null; }
+  if ('hash' in passphrase) settings.passphraseHash = passphrase.hash;
+  return settings;
+}
+
+function applyShareSettings(shareId, settings) {
+  if ('expiryDays' in settings) setShareExpiry('shared_deck_views', shareId, settings.expiryDays);
+  if (settings.scope) {
+    const { scope, snapshotIds } = settings.scope;
+    run('UPDATE shared_deck_views SET scope = ?, snapshot_ids = ? WHERE id = ?',
+      [scope, snapshotIds ? JSON.stringify(snapshotIds) : null, shareId]);
+  }
+  if ('passphraseHash' in settings) {
+    run('UPDATE shared_deck_views SET passphrase_hash = ? WHERE id = ?', [settings.passphraseHash, shareId]);
+  }
+}
+
+// API shape of a deck share's settings (never the passphrase hash)
+function shareSettingsResponse(shareId) {
+  const row = get('SELECT id, expires_at, scope, snapshot_ids, passphrase_hash FROM shared_deck_views WHERE id = ?', [shareId]);
+  let snapshotIds = null;
+  try { snapshotIds = JSON.parse(row.snapshot_ids || 'null'); } catch { /* ignore */ }
+  return {
+    shareId: row.id,
+    expiresAt: row.expires_at,
+    scope: row.scope,
+    snapshotIds,
+    protected: !!row.passphrase_hash,
+  };
+}
+
+// Share a deck (create shared view) — optional body { expiresInDays, scope, snapshotIds, passphrase }
+router.post('/:id/share', async (req, res) => {
   const id = requireIntParam(req, res, 'id');
   if (id === null) return;
 
@@ -361,12 +560,16 @@ router.post('/:id/share', (req, res) => {
   if (!deck) {
     return res.status(404).json({ error: 'Tracked deck not found' });
   }
-
-  // Check if already shared
-  const existing = get('SELECT id FROM shared_deck_views WHERE tracked_deck_id = ?', [id]);
-  if (existing) {
-    return res.json({ shareId: existing.id });
+  const settings = await parseShareSettings(req, res, id);
+  if (!settings) return;
+
+  // Check if already shared; an expired link is replaced with a fresh one.
+  // An existing link keeps its settings — change them with PATCH.
+  const existing = get('SELECT id, expires_at FROM shared_deck_views WHERE tracked_deck_id = ?', [id]);
+  if (existing && !isShareExpired(existing)) {
+    return res.json(shareSettingsResponse(existing.id));
   }
+  if (existing) run('DELETE FROM shared_deck_views WHERE id = ?', [existing.id]);
 
   // Generate unique 8-char ID
   const shareId = crypto.randomBytes(6).toString('base64url');
@@ -375,8 +578,26 @@ router.post('/:id/share', (req, res) => {
     'INSERT INTO shared_deck_views (id, tracked_deck_id, user_id) VALUES (?, ?, ?)',
     [shareId, id, req.user.userId]
   );
+  applyShareSettings(shareId, settings);
 
-  res.status(201).json({ shareId });
+  res.status(201).json(shareSettingsResponse(shareId));
+});
+
+// Change a deck share's expiry, scope or passphrase — body fields as for POST,
+// each optional; passphrase null removes it
+router.patch('/:id/share', async (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+
+  const share = get('SELECT id FROM shared_deck_views WHERE tracked_deck_id = ? AND user_id = ?', [id, req.user.userId]);
+  if (!share) {
+    return res.status(404).json({ error: 'Deck is not shared' });
+  }
+  const settings = await parseShareSettings(req, res, id);
+  if (!settings) return;
+
+  applyShareSettings(share.id, settings);
+  res.json(shareSettingsResponse(share.id));
 });
 
 // Unshare a deck (remove shared view)
@@ -403,10 +624,7 @@ router.get('/:id/prices', async (req, res) => {
     return res.status(404).json({ error: 'Tracked deck not found' });
   }
 
-  const snap = get(
-    'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-    [deck.id]
-  );
+  const snap = getLatestSnapshot(deck.id);
   if (!snap?.deck_text) {
     return res.json({ totalPrice: 0, cards: [], previousPrice: deck.last_known_price });
   }
@@ -489,7 +707,7 @@ router.get('/overlap', (req, res) => {
       WHERE tracked_deck_id IN (${overlapPlaceholders})
       GROUP BY tracked_deck_id
     ) latest ON ds.tracked_deck_id = latest.tracked_deck_id AND ds.created_at = latest.max_created
-    WHERE ds.tracked_deck_id IN (${overlapPlaceholders})
+    WHERE ds.tracked_deck_id IN (${overlapPlaceholders}) AND ds.delta_base_id IS NULL
   `, [...overlapDeckIds, ...overlapDeckIds]);
 
   const snapMap = new Map();
@@ -587,10 +805,7 @@ router.get('/:id/recommendations', async (req, res) => {
     return res.status(404).json({ error: 'Tracked deck not found' });
   }
 
-  const snap = get(
-    'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-    [deck.id]
-  );
+  const snap = getLatestSnapshot(deck.id);
   if (!snap?.deck_text) {
     return res.json({ recommendations: [], analysis: null });
   }
@@ -616,6 +831,40 @@ router.get('/:id/recommendations', async (req, res) => {
   }
 });
 
+// Format legality of the latest snapshot — per-format card legality from
+// Scryfall metadata plus the deck-construction rules in src/lib/legality.js
+router.get('/:id/legality', async (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+
+  const deck = get('SELECT id, commanders FROM tracked_decks WHERE id = ? AND user_id = ?', [id, req.user.userId]);
+  if (!deck) {
+    return res.status(404).json({ error: 'Tracked deck not found' });
+  }
+
+  const snap = getLatestSnapshot(deck.id);
+  if (!snap?.deck_text) {
+    return res.json({ formats: [], guessedFormat: null });
+  }
+
+  try {
+    const parsed = parse(snap.deck_text);
+    // The deck's chosen commanders win over what the list itself marks
+    let commanders = [];
+    try { commanders = JSON.parse(deck.commanders || '[]'); } catch { /* ignore */ }
+    const cardNames = new Set(commanders);
+    for (const section of [parsed.mainboard, parsed.sideboard, parsed.companions]) {
+      for (const [, entry] of section) cardNames.add(entry.displayName);
+    }
+    const metadata = await fetchCardMetadata([...cardNames]);
+    const opts = { commanders };
+    res.json({ formats: checkAllFormats(parsed, metadata, opts), guessedFormat: guessFormat(parsed, opts) });
+  } catch (err) {
+    console.error('Legality check error:', err);
+    res.status(500).json({ error: 'Failed to check legality' });
+  }
+});
+
 // Notification history for the current user
 router.get('/notifications/history', (req, res) => {
   const page = Math.max(1, parseInt(req.query.page) || 1);
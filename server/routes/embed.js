@@ -0,0 +1,218 @@
+import { Router } from 'express';
+import { get } from '../db.js';
+import { parse } from '../../src/lib/parser.js';
+import { computeDiff } from '../../src/lib/differ.js';
+import { withDeckText } from '../lib/snapshotStore.js';
+import { fetchCardMetadata } from '../lib/scryfall.js';
+import { getAppUrl } from '../lib/email.js';
+import { getDeckShare, isShareExpired, visibleSnapshotIds } from '../lib/shareLinks.js';
+import {
+  parseEmbedTheme, renderDeckEmbed, renderChangelogEmbed, renderEmbedMessage, resolveEmbedTarget, buildOEmbed,
+} from '../lib/embedWidget.js';
+
+const router = Router();
+
+// Widget renders are not share views: a framed widget re-renders on every load
+// of the page it sits on, which would swamp the view count and fire a
+// share.viewed webhook per visitor of someone else's site.
+
+// Widgets exist to be framed by other sites: swap helmet's app CSP
+// (frame-ancestors 'none', X-Frame-Options) for one that allows any parent
+// but nothing else — no scripts, no external loads. nginx serves these paths
+// without its own frame headers for the same reason.
+function embedHeaders(_req, res, next) {
+  res.removeHeader('X-Frame-Options');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors *");
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  next();
+}
+
+function appBase() {
+  return getAppUrl().replace(/\/+$/, '');
+}
+
+function oembedUrlFor(req) {
+  return `${appBase()}/api/embed/oembed?url=${encodeURIComponent(`${appBase()}${req.originalUrl}`)}`;
+}
+
+function sendMessage(res, status, { title, message, link, theme }) {
+  res.status(status).type('html').send(renderEmbedMessage({ title, message, link, theme }));
+}
+
+// Types and mana costs are decoration — a Scryfall outage shouldn't break the widget
+async function loadCardMap(parsedDecks) {
+  const names = new Set();
+  for (const parsed of parsedDecks) {
+    for (const board of [parsed.mainboard, parsed.sideboard, parsed.companions, parsed.maybeboard]) {
+      for (const card of board.values()) names.add(card.displayName);
+    }
+  }
+  if (names.size === 0) return new Map();
+  try {
+    return await fetchCardMetadata([...names]);
+  } catch (err) {
+    console.error('Embed metadata error:', err.message);
+    return new Map();
+  }
+}
+
+function formatSnapLabel(snap) {
+  const date = new Date(snap.created_at + 'Z').toISOString().slice(0, 10);
+  return snap.nickname ? `${snap.nickname} (${date})` : date;
+}
+
+// Deck share → row, or null after sending the notice. Passphrase-protected
+// shares never render: an iframe has no way to supply the passphrase, and the
+// notice leaves out the deck name like the app's unlock screen does.
+function resolveDeckShare(req, res, theme) {
+  const link = `${appBase()}/#deck/${encodeURIComponent(req.params.id)}`;
+  const share = getDeckShare(req.params.id);
+  if (!share) {
+    sendMessage(res, 404, { title: 'Shared deck', message: 'This deck is not shared (any more).', link, theme });
+    return null;
+  }
+  if (isShareExpired(share)) {
+    sendMessage(res, 410, { title: 'Shared deck', message: 'This shared link has expired.', link, theme });
+    return null;
+  }
+  if (share.passphrase_hash) {
+    sendMessage(res, 403, { title: 'Protected deck', message: 'This deck is protected by a passphrase. Open it to unlock.', link, theme });
+    return null;
+  }
+  share.link = link;
+  share.visibleIds = visibleSnapshotIds(share);
+  return share;
+}
+
+function loadSnapshot(id) {
+  return withDeckText(get('SELECT * FROM deck_snapshots WHERE id = ?', [id]));
+}
+
+// GET /embed/deck/:id?snapshot=&theme= — the deck list, newest visible snapshot by default
+router.get('/deck/:id', embedHeaders, async (req, res) => {
+  const theme = parseEmbedTheme(req.query.theme);
+  const share = resolveDeckShare(req, res, theme);
+  if (!share) return;
+
+  let snapshotId = share.visibleIds[0];
+  if (req.query.snapshot !== undefined) {
+    snapshotId = parseInt(req.query.snapshot, 10);
+    if (!share.visibleIds.includes(snapshotId)) {
+      return sendMessage(res, 404, { title: share.deck_name, message: 'Snapshot not found.', link: share.link, theme });
+    }
+  }
+  if (!snapshotId) {
+    return sendMessage(res, 200, { title: share.deck_name, message: 'No snapshots yet.', link: share.link, theme });
+  }
+
+  const parsed = parse(loadSnapshot(snapshotId).deck_text);
+  const cardMap = await loadCardMap([parsed]);
+  let cardCount = 0;
+  for (const board of [parsed.mainboard, parsed.sideboard]) {
+    for (const card of board.values()) cardCount += card.quantity;
+  }
+  let commanders = [];
+  try { commanders = JSON.parse(share.commanders || '[]'); } catch { /* ignore */ }
+
+  const subtitle = [commanders.join(' / '), `${cardCount} cards`, `by ${share.owner_username}`].filter(Boolean).join(' · ');
+  res.type('html').send(renderDeckEmbed({
+    title: share.deck_name, subtitle, parsed, cardMap, link: share.link, oembedUrl: oembedUrlFor(req), theme,
+  }));
+});
+
+// GET /embed/deck/:id/changelog?a=X&b=Y&theme= — two newest visible snapshots by default
+router.get('/deck/:id/changelog', embedHeaders, async (req, res) => {
+  const theme = parseEmbedTheme(req.query.theme);
+  const share = resolveDeckShare(req, res, theme);
+  if (!share) return;
+
+  let idA, idB;
+  if (req.query.a && req.query.b) {
+    idA = parseInt(req.query.a, 10);
+    idB = parseInt(req.query.b, 10);
+    if (!share.visibleIds.includes(idA) || !share.visibleIds.includes(idB)) {
+      return sendMessage(res, 404, { title: share.deck_name, message: 'Snapshot not found.', link: share.link, theme });
+    }
+  } else {
+    if (share.visibleIds.length < 2) {
+      return sendMessage(res, 200, { title: share.deck_name, message: 'No changes to show yet.', link: share.link, theme });
+    }
+    [idB, idA] = share.visibleIds;
+  }
+
+  const snapA = loadSnapshot(idA);
+  const snapB = loadSnapshot(idB);
+  const before = parse(snapA.deck_text);
+  const after = parse(snapB.deck_text);
+  const cardMap = await loadCardMap([before, after]);
+
+  res.type('html').send(renderChangelogEmbed({
+    title: `${share.deck_name} — Changelog`,
+    subtitle: `${formatSnapLabel(snapA)} → ${formatSnapLabel(snapB)}`,
+    diff: computeDiff(before, after),
+    cardMap,
+    link: share.link,
+    oembedUrl: oembedUrlFor(req),
+    theme,
+  }));
+});
+
+// GET /embed/share/:id?theme= — a shared comparison's changelog
+router.get('/share/:id', embedHeaders, async (req, res) => {
+  const theme = parseEmbedTheme(req.query.theme);
+  const link = `${appBase()}/#share/${encodeURIComponent(req.params.id)}`;
+  const comparison = get('SELECT * FROM shared_comparisons WHERE id = ?', [req.params.id]);
+  if (!comparison) {
+    return sendMessage(res, 404, { title: 'Shared comparison', message: 'This comparison was not found.', link, theme });
+  }
+  if (isShareExpired(comparison)) {
+    return sendMessage(res, 410, { title: 'Shared comparison', message: 'This shared link has expired.', link, theme });
+  }
+
+  const before = parse(comparison.before_text);
+  const after = parse(comparison.after_text);
+  const diff = computeDiff(before, after);
+  const cardMap = await loadCardMap([before, after]);
+
+  res.type('html').send(renderChangelogEmbed({
+    title: comparison.title || (diff.commanders.length > 0 ? `${diff.commanders.join(' / ')} — Changelog` : 'Deck Changelog'),
+    subtitle: null,
+    diff,
+    cardMap,
+    link,
+    oembedUrl: oembedUrlFor(req),
+    theme,
+  }));
+});
+
+// GET /embed/oembed?url=&maxwidth=&maxheight=&format=json — oEmbed provider
+// endpoint for app share links and embed URLs.
+router.get('/oembed', (req, res) => {
+  if (req.query.format && req.query.format !== 'json') {
+    return res.status(501).json({ error: 'Only the json format is supported' });
+  }
+  if (!req.query.url || typeof req.query.url !== 'string') {
+    return res.status(400).json({ error: 'url is required' });
+  }
+  const target = resolveEmbedTarget(req.query.url);
+  if (!target) return res.status(404).json({ error: 'Not an embeddable link' });
+
+  let title;
+  if (target.kind === 'comparison') {
+    const comparison = get('SELECT title, expires_at FROM shared_comparisons WHERE id = ?', [target.id]);
+    if (!comparison || isShareExpired(comparison)) return res.status(404).json({ error: 'Shared comparison not found' });
+    title = comparison.title || 'Deck Changelog';
+  } else {
+    const share = getDeckShare(target.id);
+    if (!share || isShareExpired(share)) return res.status(404).json({ error: 'Shared deck not found' });
+    title = share.passphrase_hash ? 'Protected deck' : share.deck_name;
+    if (target.kind === 'changelog' && !share.passphrase_hash) title += ' — Changelog';
+  }
+
+  res.json(buildOEmbed({
+    target, title, appUrl: appBase(), maxwidth: req.query.maxwidth, maxheight: req.query.maxheight,
+  }));
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import { Router } from 'express';
 import { all, get, run } from '../db.js';
 import { requireAuth } from '../middleware/auth.js';
-import { archidektLimiter } from '../middleware/rateLimit.js';
+import { deckSourceLimiter } from '../middleware/rateLimit.js';
 import { requireIntParam } from '../middleware/validate.js';
 import { fetchOwnerDecks } from '../lib/archidekt.js';
 
@@ -54,7 +54,7 @@ router.delete('/:id', (req, res) => {
   res.json({ success: true });
 });
 
-router.get('/:id/decks', archidektLimiter, async (req, res) => {
+router.get('/:id/decks', deckSourceLimiter, async (req, res) => {
   const id = requireIntParam(req, res, 'id');
   if (id === null) return;
 
@@ -67,14 +67,14 @@ router.get('/:id/decks', archidektLimiter, async (req, res) => {
     const decks = await fetchOwnerDecks(owner.archidekt_username);
 
     const tracked = all(
-      'SELECT archidekt_deck_id FROM tracked_decks WHERE user_id = ?',
+      "SELECT source_id FROM tracked_decks WHERE user_id = ? AND source_site = 'archidekt'",
       [req.user.userId]
     );
-    const trackedIds = tracked.map(d => d.archidekt_deck_id);
+    const trackedIds = new Set(tracked.map(d => d.source_id));
 
     const decksWithStatus = decks.map(d => ({
       ...d,
-      tracked: trackedIds.includes(d.id),
+      tracked: trackedIds.has(String(d.id)),
     }));
 
     res.json({ decks: decksWithStatus });
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import { run } from '../db.js';
+import { requireAuth } from '../middleware/auth.js';
+import { normalizePowerSettings } from '../../src/lib/powerLevel.js';
+import { loadPowerSettings } from '../lib/powerSettings.js';
+
+const router = Router();
+router.use(requireAuth);
+
+router.get('/settings', (req, res) => {
+  res.json({ settings: loadPowerSettings(req.user.userId) });
+});
+
+// Save the scoring profile and card list overrides — body is { profile, cardLists }
+router.put('/settings', (req, res) => {
+  const settings = normalizePowerSettings(req.body);
+  run('UPDATE users SET power_settings = ? WHERE id = ?', [JSON.stringify(settings), req.user.userId]);
+  res.json({ settings });
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import { Router } from 'express';
+import { priceLimiter } from '../middleware/rateLimit.js';
+import { pricePrintingChanges } from '../lib/priceCalculator.js';
+
+const MAX_PRINTING_CHANGES = 200;
+
+const router = Router();
+
+const isOptionalString = (value) => value == null || (typeof value === 'string' && value.length <= 20);
+
+/**
+ * Price printing swaps for the compare page's printing-changes mode — no auth
+ * required, since the compare page works signed out. Body: { changes } with
+ * the printingChanges entries of a diff; responds with the same entries plus
+ * oldPrice / newPrice / priceDelta, in order.
+ */
+router.post('/printing-changes', priceLimiter, async (req, res) => {
+  const { changes } = req.body;
+  if (!Array.isArray(changes) || changes.length > MAX_PRINTING_CHANGES) {
+    return res.status(400).json({ error: `Send up to ${MAX_PRINTING_CHANGES} printing changes` });
+  }
+
+  const cleaned = [];
+  for (const change of changes) {
+    const valid = change && typeof change === 'object'
+      && typeof change.name === 'string' && change.name.length <= 200
+      && Number.isInteger(change.quantity) && change.quantity > 0
+      && [change.oldSetCode, change.oldCollectorNumber, change.newSetCode, change.newCollectorNumber].every(isOptionalString);
+    if (!valid) return res.status(400).json({ error: 'Invalid printing change' });
+    cleaned.push({
+      name: change.name,
+      quantity: change.quantity,
+      oldSetCode: change.oldSetCode || '',
+      oldCollectorNumber: change.oldCollectorNumber || '',
+      oldIsFoil: !!change.oldIsFoil,
+      newSetCode: change.newSetCode || '',
+      newCollectorNumber: change.newCollectorNumber || '',
+      newIsFoil: !!change.newIsFoil,
+    });
+  }
+
+  try {
+    res.json({ changes: await pricePrintingChanges(cleaned) });
+  } catch (err) {
+    console.error('Printing price error:', err);
+    res.status(502).json({ error: 'Could not fetch prices from Scryfall' });
+  }
+});
+
+export default router;
@@ -0,0 +1,56 @@
+import { Router } from 'express';
+import { get, run } from '../db.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireIntParam } from '../middleware/validate.js';
+import {
+  listPacksForUser, createPack, replacePack,
+  loadRecommendationSettings, normalizeRecommendationSettings,
+} from '../lib/recommendationPacks.js';
+
+const router = Router();
+router.use(requireAuth);
+
+// The user's packs, every admin pack, and the user's mix + rules
+router.get('/', (req, res) => {
+  res.json({
+    packs: listPacksForUser(req.user.userId),
+    settings: loadRecommendationSettings(req.user.userId),
+  });
+});
+
+// Save which packs to mix and the rules applied to their suggestions.
+// Registered before PUT /:id, which would otherwise reject 'settings' as an id.
+router.put('/settings', (req, res) => {
+  const settings = normalizeRecommendationSettings(req.body);
+  run('UPDATE users SET recommendation_settings = ? WHERE id = ?', [JSON.stringify(settings), req.user.userId]);
+  res.json({ settings });
+});
+
+// Create (or import) a pack — body is the pack JSON (see normalizePack)
+router.post('/', (req, res) => {
+  const { pack, error } = createPack(req.user.userId, req.body);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json({ pack });
+});
+
+// Replace one of the user's own packs; admin packs are edited from the admin page
+router.put('/:id', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  const existing = get('SELECT id FROM recommendation_packs WHERE id = ? AND user_id = ?', [id, req.user.userId]);
+  if (!existing) return res.status(404).json({ error: 'Pack not found' });
+
+  const { pack, error } = replacePack(id, req.body);
+  if (error) return res.status(400).json({ error });
+  res.json({ pack });
+});
+
+router.delete('/:id', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  const result = run('DELETE FROM recommendation_packs WHERE id = ? AND user_id = ?', [id, req.user.userId]);
+  if (result.changes === 0) return res.status(404).json({ error: 'Pack not found' });
+  res.json({ success: true });
+});
+
+export default router;
@@ -1,15 +1,22 @@
 import { Router } from 'express';
 import { get, run } from '../db.js';
+import { optionalAuth, requireAuth } from '../middleware/auth.js';
 import { shareLimiter } from '../middleware/rateLimit.js';
 import { requireMaxLength } from '../middleware/validate.js';
+import { generateToken, hashToken } from '../lib/tokens.js';
+import {
+  parseExpiryDays, isShareExpired, sendShareExpired, setShareExpiry, recordShareView, listSharesForUser,
+} from '../lib/shareLinks.js';
 import crypto from 'crypto';
 
 const MAX_DECK_TEXT = 100_000; // ~100KB per text field
 
 const router = Router();
 
-// Create a shared comparison — no auth required
-router.post('/', shareLimiter, (req, res) => {
+// Create a shared comparison — no auth required. A logged-in creator owns the
+// link (My shared links); everyone gets a delete token, shown once, that can
+// revoke it without an account.
+router.post('/', shareLimiter, optionalAuth, (req, res) => {
   const { beforeText, afterText, title } = req.body;
 
   if (!beforeText && !afterText) {
@@ -18,34 +25,82 @@ router.post('/', shareLimiter, (req, res) => {
   if (!requireMaxLength(res, beforeText, MAX_DECK_TEXT, 'Before text')) return;
   if (!requireMaxLength(res, afterText, MAX_DECK_TEXT, 'After text')) return;
   if (!requireMaxLength(res, title, 200, 'Title')) return;
+  const expiry = parseExpiryDays(req.body.expiresInDays);
+  if (expiry.error) return res.status(400).json({ error: expiry.error });
 
   const id = crypto.randomBytes(6).toString('base64url'); // ~8 chars, URL-safe
+  const deleteToken = generateToken();
 
   try {
     run(
-      'INSERT INTO shared_comparisons (id, before_text, after_text, title) VALUES (?, ?, ?, ?)',
-      [id, beforeText || '', afterText || '', title || null]
+      'INSERT INTO shared_comparisons (id, before_text, after_text, title, user_id, delete_token_hash) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, beforeText || '', afterText || '', title || null, req.user?.userId ?? null, hashToken(deleteToken)]
     );
-    res.status(201).json({ id, url: `/share/${id}` });
+    if (expiry.days !== null) setShareExpiry('shared_comparisons', id, expiry.days);
+    const { expires_at } = get('SELECT expires_at FROM shared_comparisons WHERE id = ?', [id]);
+    res.status(201).json({ id, url: `/share/${id}`, deleteToken, expiresAt: expires_at });
   } catch (err) {
     console.error('Share error:', err);
     res.status(500).json({ error: 'Failed to create shared link' });
   }
 });
 
+// Every comparison and deck link the user owns, with view stats.
+// Registered before /:id, which would otherwise treat 'mine' as a share id.
+router.get('/mine', requireAuth, (req, res) => {
+  res.json({ links: listSharesForUser(req.user.userId) });
+});
+
 // Get a shared comparison — no auth required
 router.get('/:id', (req, res) => {
   const comparison = get('SELECT * FROM shared_comparisons WHERE id = ?', [req.params.id]);
   if (!comparison) {
     return res.status(404).json({ error: 'Shared comparison not found' });
   }
+  if (isShareExpired(comparison)) return sendShareExpired(res);
+
+  recordShareView('shared_comparisons', comparison.id);
   res.json({
     id: comparison.id,
     beforeText: comparison.before_text,
     afterText: comparison.after_text,
     title: comparison.title,
     createdAt: comparison.created_at,
+    expiresAt: comparison.expires_at,
   });
 });
 
+// Change an owned link's expiry — body { expiresInDays: number|null }
+router.patch('/:id', requireAuth, (req, res) => {
+  const comparison = get('SELECT id FROM shared_comparisons WHERE id = ? AND user_id = ?', [req.params.id, req.user.userId]);
+  if (!comparison) {
+    return res.status(404).json({ error: 'Shared comparison not found' });
+  }
+  const expiry = parseExpiryDays(req.body.expiresInDays);
+  if (expiry.error) return res.status(400).json({ error: expiry.error });
+
+  setShareExpiry('shared_comparisons', comparison.id, expiry.days);
+  const { expires_at } = get('SELECT expires_at FROM shared_comparisons WHERE id = ?', [comparison.id]);
+  res.json({ expiresAt: expires_at });
+});
+
+// Revoke a link — as its logged-in owner, or with the delete token from creation
+router.delete('/:id', optionalAuth, (req, res) => {
+  const comparison = get('SELECT id, user_id, delete_token_hash FROM shared_comparisons WHERE id = ?', [req.params.id]);
+  if (!comparison) {
+    return res.status(404).json({ error: 'Shared comparison not found' });
+  }
+
+  const token = req.body?.deleteToken;
+  const isOwner = req.user && comparison.user_id === req.user.userId;
+  const hasToken = typeof token === 'string' && !!comparison.delete_token_hash
+    && hashToken(token) === comparison.delete_token_hash;
+  if (!isOwner && !hasToken) {
+    return res.status(403).json({ error: 'Only the creator can revoke this link' });
+  }
+
+  run('DELETE FROM shared_comparisons WHERE id = ?', [comparison.id]);
+  res.json({ success: true });
+});
+
 export default router;
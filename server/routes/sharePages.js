@@ -0,0 +1,147 @@
+import { Router } from 'express';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { get } from '../db.js';
+import { getAppUrl } from '../lib/email.js';
+import { apiLimiter } from '../middleware/rateLimit.js';
+import { fetchCardArtCrop } from '../lib/scryfall.js';
+import { getDeckShare, isShareExpired, visibleSnapshotIds } from '../lib/shareLinks.js';
+import {
+  describeDeckShare, describeComparison, previewDescription, buildShareMetaTags, injectShareMeta, renderPreviewPng,
+} from '../lib/sharePreview.js';
+
+const router = Router();
+
+// The pages sit outside /api, so they don't get the global limiter for free
+router.use(['/deck', '/share'], apiLimiter);
+
+// The built app shell. In the image nginx's copy is used (INDEX_HTML_PATH);
+// in dev, a `npm run build` output if there is one.
+const INDEX_HTML_PATH = process.env.INDEX_HTML_PATH || fileURLToPath(new URL('../../dist/index.html', import.meta.url));
+
+function appBase() {
+  return getAppUrl().replace(/\/+$/, '');
+}
+
+// Without a built shell, a bare page that still unfurls and forwards people on
+function loadIndexHtml(hashRoute) {
+  try {
+    return readFileSync(INDEX_HTML_PATH, 'utf8');
+  } catch {
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta http-equiv="refresh" content="0; url=/#${hashRoute}" />
+    <title>Card List Compare</title>
+  </head>
+  <body><a href="/#${hashRoute}">Open in Card List Compare</a></body>
+</html>`;
+  }
+}
+
+// Answer a share path with the app shell. Missing/expired links keep the
+// generic tags (the app shows its own error once it loads).
+function sendSharePage(res, { status = 200, hashRoute, meta }) {
+  let html = loadIndexHtml(hashRoute);
+  if (meta) html = injectShareMeta(html, meta);
+  res.status(status).set('Cache-Control', 'no-cache, must-revalidate').type('html').send(html);
+}
+
+function pageMeta({ title, description, path, imagePath }) {
+  const base = appBase();
+  const url = `${base}${path}`;
+  return {
+    title,
+    tags: buildShareMetaTags({
+      title,
+      description,
+      url,
+      imageUrl: imagePath ? `${base}${imagePath}` : null,
+      oembedUrl: `${base}/api/embed/oembed?url=${encodeURIComponent(url)}`,
+      appUrl: base,
+    }),
+  };
+}
+
+// Passphrase-protected decks get a generic card — the name and list stay behind the passphrase
+function loadDeckPreview(id) {
+  const share = getDeckShare(id);
+  if (!share) return { status: 404 };
+  if (isShareExpired(share)) return { status: 410 };
+  if (share.passphrase_hash) return { status: 200, protected: true };
+  return { status: 200, preview: describeDeckShare(share, visibleSnapshotIds(share)) };
+}
+
+function loadComparisonPreview(id) {
+  const comparison = get('SELECT * FROM shared_comparisons WHERE id = ?', [id]);
+  if (!comparison) return { status: 404 };
+  if (isShareExpired(comparison)) return { status: 410 };
+  return { status: 200, preview: describeComparison(comparison) };
+}
+
+// GET /deck/:id — shared deck, unfurlable
+router.get('/deck/:id', (req, res) => {
+  const id = req.params.id;
+  const result = loadDeckPreview(id);
+  let meta = null;
+  if (result.protected) {
+    meta = pageMeta({ title: 'Protected deck', description: 'This shared deck is protected by a passphrase.', path: `/deck/${id}` });
+  } else if (result.preview) {
+    meta = pageMeta({
+      title: result.preview.title,
+      description: previewDescription(result.preview) || 'A shared deck',
+      path: `/deck/${id}`,
+      imagePath: `/api/og/deck/${id}`,
+    });
+  }
+  sendSharePage(res, { status: result.status, hashRoute: `deck/${encodeURIComponent(id)}`, meta });
+});
+
+// GET /share/:id — shared comparison, unfurlable
+router.get('/share/:id', (req, res) => {
+  const id = req.params.id;
+  const result = loadComparisonPreview(id);
+  const meta = result.preview && pageMeta({
+    title: result.preview.title,
+    description: previewDescription(result.preview),
+    path: `/share/${id}`,
+    imagePath: `/api/og/share/${id}`,
+  });
+  sendSharePage(res, { status: result.status, hashRoute: `share/${encodeURIComponent(id)}`, meta });
+});
+
+// Rendered cards, keyed by link — reused while the preview facts are unchanged
+const PNG_TTL = 10 * 60 * 1000;
+const MAX_PNGS = 100;
+const pngCache = new Map(); // key -> { facts, png, ts }
+
+async function sendPreviewImage(res, key, preview) {
+  const facts = JSON.stringify(preview);
+  const cached = pngCache.get(key);
+  let png = cached && cached.facts === facts && Date.now() - cached.ts < PNG_TTL ? cached.png : null;
+  if (!png) {
+    const art = preview.commanders.length > 0 ? await fetchCardArtCrop(preview.commanders[0]) : null;
+    png = renderPreviewPng(preview, art);
+    pngCache.delete(key);
+    if (pngCache.size >= MAX_PNGS) pngCache.delete(pngCache.keys().next().value);
+    pngCache.set(key, { facts, png, ts: Date.now() });
+  }
+  res.set('Cache-Control', 'public, max-age=600').type('png').send(png);
+}
+
+// GET /api/og/deck/:id — preview card PNG for a deck share
+router.get('/api/og/deck/:id', async (req, res) => {
+  const result = loadDeckPreview(req.params.id);
+  if (!result.preview) return res.status(result.status === 200 ? 404 : result.status).json({ error: 'No preview for this link' });
+  await sendPreviewImage(res, `deck:${req.params.id}`, result.preview);
+});
+
+// GET /api/og/share/:id — preview card PNG for a shared comparison
+router.get('/api/og/share/:id', async (req, res) => {
+  const result = loadComparisonPreview(req.params.id);
+  if (!result.preview) return res.status(result.status).json({ error: 'No preview for this link' });
+  await sendPreviewImage(res, `share:${req.params.id}`, result.preview);
+});
+
+export default router;
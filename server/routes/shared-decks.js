@@ -2,52 +2,68 @@ import { Router } from 'express';
 import { all, get } from '../db.js';
 import { parse } from '../../src/lib/parser.js';
 import { computeDiff } from '../../src/lib/differ.js';
+import { resolveSnapshotTexts, withDeckText } from '../lib/snapshotStore.js';
+import { sharePassphraseLimiter } from '../middleware/rateLimit.js';
+import {
+  getDeckShare, isShareExpired, sendShareExpired, recordShareView, checkSharePassphrase, visibleSnapshotIds,
+} from '../lib/shareLinks.js';
 
 const router = Router();
 
-// Resolve share → deck + verify existence
-function resolveShare(req, res) {
+// Every route here counts toward the wrong-passphrase limit
+router.use('/:id', sharePassphraseLimiter);
+
+// Resolve share → deck + verify existence, expiry and passphrase. Attaches
+// `visibleIds` (newest first): every route may only read those snapshots.
+// A missing or wrong passphrase is 403, not 401 — the viewer isn't logged in
+// and a 401 would make the client drop any session it has.
+async function resolveShare(req, res) {
   const shareId = req.params.id;
   if (!shareId || typeof shareId !== 'string') {
     res.status(400).json({ error: 'Invalid share ID' });
     return null;
   }
 
-  const share = get(
-    `SELECT sdv.*, d.deck_name, d.commanders, d.deck_url, u.username as owner_username
-     FROM shared_deck_views sdv
-     JOIN tracked_decks d ON d.id = sdv.tracked_deck_id
-     JOIN users u ON u.id = sdv.user_id
-     WHERE sdv.id = ?`,
-    [shareId]
-  );
-
+  const share = getDeckShare(shareId);
   if (!share) {
     res.status(404).json({ error: 'Shared deck not found or no longer shared' });
     return null;
   }
+  if (isShareExpired(share)) {
+    sendShareExpired(res);
+    return null;
+  }
+  const supplied = req.headers['x-share-passphrase'];
+  if (!(await checkSharePassphrase(share, supplied))) {
+    res.status(403).json({
+      error: supplied ? 'Incorrect passphrase' : 'This shared deck is protected by a passphrase',
+      passphraseRequired: true,
+    });
+    return null;
+  }
 
+  share.visibleIds = visibleSnapshotIds(share);
   return share;
 }
 
 // GET /shared-deck/:id — public deck info + snapshot list
-router.get('/:id', (req, res) => {
-  const share = resolveShare(req, res);
+router.get('/:id', async (req, res) => {
+  const share = await resolveShare(req, res);
   if (!share) return;
+  // Only the landing request counts as a view, not the changelog/snapshot fetches it triggers
+  recordShareView('shared_deck_views', share.id);
 
-  const snapshots = all(
-    `SELECT id, nickname, locked, created_at FROM deck_snapshots
-     WHERE tracked_deck_id = ? ORDER BY created_at DESC`,
-    [share.tracked_deck_id]
-  );
-
-  // Batch-fetch all snapshot texts in one query (avoids N+1)
-  const snapshotIds = snapshots.map(s => s.id);
+  // Batch-fetch the visible snapshots and their texts in one query (avoids N+1)
+  const snapshotIds = share.visibleIds;
   const placeholders = snapshotIds.map(() => '?').join(',');
-  const snapshotTexts = snapshotIds.length > 0
-    ? all(`SELECT id, deck_text FROM deck_snapshots WHERE id IN (${placeholders})`, snapshotIds)
+  const snapshots = snapshotIds.length > 0
+    ? all(
+      `SELECT id, nickname, locked, created_at, deck_text, delta_base_id FROM deck_snapshots
+       WHERE id IN (${placeholders}) ORDER BY created_at DESC`,
+      snapshotIds
+    )
     : [];
-  const textMap = new Map(snapshotTexts.map(s => [s.id, s.deck_text]));
+  const textMap = resolveSnapshotTexts(snapshots);
 
   const snapshotList = snapshots.map(s => {
     let cardCount = 0;
@@ -76,36 +92,36 @@ router.get('/:id', (req, res) => {
     commanders,
     ownerUsername: share.owner_username,
     sharedAt: share.created_at,
+    expiresAt: share.expires_at,
+    scope: share.scope,
     deckUrl: share.deck_url,
     snapshots: snapshotList,
   });
 });
 
 // GET /shared-deck/:id/changelog?a=X&b=Y — compute diff between two snapshots
-router.get('/:id/changelog', (req, res) => {
-  const share = resolveShare(req, res);
+router.get('/:id/changelog', async (req, res) => {
+  const share = await resolveShare(req, res);
   if (!share) return;
 
   const { a, b } = req.query;
-  let snapA, snapB;
+  let idA, idB;
 
   if (a && b) {
-    snapA = get('SELECT * FROM deck_snapshots WHERE id = ? AND tracked_deck_id = ?', [a, share.tracked_deck_id]);
-    snapB = get('SELECT * FROM deck_snapshots WHERE id = ? AND tracked_deck_id = ?', [b, share.tracked_deck_id]);
-    if (!snapA || !snapB) {
+    idA = parseInt(a, 10);
+    idB = parseInt(b, 10);
+    // Snapshots outside the share's scope look the same as missing ones
+    if (!share.visibleIds.includes(idA) || !share.visibleIds.includes(idB)) {
       return res.status(404).json({ error: 'One or both snapshots not found' });
     }
   } else {
-    const recent = all(
-      'SELECT * FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 2',
-      [share.tracked_deck_id]
-    );
-    if (recent.length < 2) {
+    if (share.visibleIds.length < 2) {
       return res.status(400).json({ error: 'Need at least 2 snapshots to generate a changelog' });
     }
-    snapB = recent[0];
-    snapA = recent[1];
+    [idB, idA] = share.visibleIds;
   }
+  const snapA = withDeckText(get('SELECT * FROM deck_snapshots WHERE id = ?', [idA]));
+  const snapB = withDeckText(get('SELECT * FROM deck_snapshots WHERE id = ?', [idB]));
 
   const before = parse(snapA.deck_text);
   const after = parse(snapB.deck_text);
@@ -119,24 +135,28 @@ router.get('/:id/changelog', (req, res) => {
 });
 
 // GET /shared-deck/:id/snapshot/:snapshotId — get snapshot deck text
-router.get('/:id/snapshot/:snapshotId', (req, res) => {
-  const share = resolveShare(req, res);
+router.get('/:id/snapshot/:snapshotId', async (req, res) => {
+  const share = await resolveShare(req, res);
   if (!share) return;
 
   const snapshotId = parseInt(req.params.snapshotId, 10);
   if (isNaN(snapshotId)) {
     return res.status(400).json({ error: 'Invalid snapshot ID' });
   }
+  if (!share.visibleIds.includes(snapshotId)) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
 
-  const snapshot = get(
-    'SELECT id, deck_text, nickname, created_at FROM deck_snapshots WHERE id = ? AND tracked_deck_id = ?',
+  const row = get(
+    'SELECT id, deck_text, delta_base_id, nickname, created_at FROM deck_snapshots WHERE id = ? AND tracked_deck_id = ?',
     [snapshotId, share.tracked_deck_id]
   );
 
-  if (!snapshot) {
+  if (!row) {
     return res.status(404).json({ error: 'Snapshot not found' });
   }
 
+  const { delta_base_id: _base, ...snapshot } = withDeckText(row);
   res.json({ snapshot });
 });
 
@@ -4,8 +4,13 @@ import { requireAuth } from '../middleware/auth.js';
 import { requireIntParam, requireMaxLength } from '../middleware/validate.js';
 import { parse } from '../../src/lib/parser.js';
 import { computeDiff } from '../../src/lib/differ.js';
+import { estimatePowerLevel } from '../../src/lib/powerLevel.js';
 import { enrichDeckText } from '../lib/enrichDeckText.js';
+import { fetchCardMetadata } from '../lib/scryfall.js';
+import { loadPowerSettings } from '../lib/powerSettings.js';
 import { pruneSnapshots } from '../lib/pruneSnapshots.js';
+import { getLatestSnapshot, recordSnapshot, deleteSnapshots, resolveSnapshotTexts, withDeckText } from '../lib/snapshotStore.js';
+import { emitSnapshotEvents } from '../lib/webhooks.js';
 
 const router = Router();
 
@@ -39,21 +44,25 @@ router.post('/:deckId/snapshots', async (req, res) => {
 
   // Enrich deck text with set/collector metadata from previous snapshot + Scryfall
   let enrichedText = deck_text.trim();
+  const latest = getLatestSnapshot(deck.id);
   try {
-    const latest = get(
-      'SELECT deck_text FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 1',
-      [deck.id]
-    );
     enrichedText = await enrichDeckText(enrichedText, latest?.deck_text || null);
   } catch (err) {
     console.error('Enrichment failed, storing raw text:', err.message);
   }
 
-  const result = run(
-    'INSERT INTO deck_snapshots (tracked_deck_id, deck_text, nickname) VALUES (?, ?, ?)',
-    [deck.id, enrichedText, nickname?.trim() || null]
-  );
+  const trimmedNickname = nickname?.trim() || null;
+  const result = recordSnapshot(deck.id, enrichedText, { nickname: trimmedNickname, latest });
+  if (!result.changed) {
+    // Nothing new to store — but a label the user typed shouldn't be lost
+    if (trimmedNickname && !latest.nickname) {
+      run('UPDATE deck_snapshots SET nickname = ? WHERE id = ?', [trimmedNickname, latest.id]);
+    }
+    const snapshot = get('SELECT id, nickname, created_at, last_confirmed_at FROM deck_snapshots WHERE id = ?', [latest.id]);
+    return res.json({ snapshot, unchanged: true });
+  }
   pruneSnapshots(deck.id);
+  emitSnapshotEvents(deck, { snapshotId: result.id, previous: latest, text: enrichedText });
 
   // Backfill commanders if the deck doesn't have any set
   if (!deck.commanders || deck.commanders === '[]') {
@@ -69,8 +78,8 @@ router.post('/:deckId/snapshots', async (req, res) => {
     }
   }
 
-  const snapshot = get('SELECT id, nickname, created_at FROM deck_snapshots WHERE id = ?',
-    [result.lastInsertRowid]);
+  const snapshot = get('SELECT id, nickname, created_at, last_confirmed_at FROM deck_snapshots WHERE id = ?',
+    [result.id]);
   res.status(201).json({ snapshot });
 });
 
@@ -79,7 +88,7 @@ router.get('/:deckId/snapshots', (req, res) => {
   if (!deck) return;
 
   const snapshots = all(
-    'SELECT id, nickname, locked, created_at FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC',
+    'SELECT id, nickname, locked, created_at, last_confirmed_at FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC',
     [deck.id]
   );
 
@@ -93,12 +102,13 @@ router.get('/:deckId/snapshots/:snapshotId', (req, res) => {
   const snapshotId = requireIntParam(req, res, 'snapshotId');
   if (snapshotId === null) return;
 
-  const snapshot = get('SELECT * FROM deck_snapshots WHERE id = ? AND tracked_deck_id = ?',
+  const row = get('SELECT * FROM deck_snapshots WHERE id = ? AND tracked_deck_id = ?',
     [snapshotId, deck.id]);
-  if (!snapshot) {
+  if (!row) {
     return res.status(404).json({ error: 'Snapshot not found' });
   }
 
+  const { delta_base_id: _base, ...snapshot } = withDeckText(row);
   res.json({ snapshot });
 });
 
@@ -117,7 +127,7 @@ router.delete('/:deckId/snapshots/:snapshotId', (req, res) => {
     return res.status(400).json({ error: 'Cannot delete a locked snapshot. Unlock it first.' });
   }
 
-  run('DELETE FROM deck_snapshots WHERE id = ?', [snapshotId]);
+  deleteSnapshots([snapshotId]);
 
   // Clear paper marker if this was the paper snapshot
   if (deck.paper_snapshot_id === snapshotId) {
@@ -250,14 +260,15 @@ router.get('/:deckId/timeline', (req, res) => {
   if (!deck) return;
 
   const snapshots = all(
-    'SELECT id, deck_text, nickname, locked, created_at FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at ASC',
+    'SELECT id, deck_text, delta_base_id, nickname, locked, created_at, last_confirmed_at FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at ASC',
     [deck.id]
   );
+  const texts = resolveSnapshotTexts(snapshots);
 
   const entries = [];
   for (let i = 0; i < snapshots.length; i++) {
     const snap = snapshots[i];
-    const parsed = parse(snap.deck_text);
+    const parsed = parse(texts.get(snap.id));
     // Count total cards across all sections — map values are { quantity, ... } objects
     // Note: commanders are already merged into mainboard by the parser, so don't add them again
     let cardCount = 0;
@@ -267,16 +278,17 @@ router.get('/:deckId/timeline', (req, res) => {
     const entry = {
       snapshotId: snap.id,
       date: snap.created_at,
+      lastConfirmed: snap.last_confirmed_at,
       nickname: snap.nickname,
       locked: !!snap.locked,
       cardCount,
     };
 
     if (i > 0) {
-      const prevParsed = parse(snapshots[i - 1].deck_text);
+      const prevParsed = parse(texts.get(snapshots[i - 1].id));
       const diff = computeDiff(prevParsed, parsed);
       let added = 0, removed = 0, changed = 0;
-      for (const section of ['mainboard', 'sideboard']) {
+      for (const section of ['mainboard', 'sideboard', 'companions']) {
         if (diff[section]) {
           added += (diff[section].cardsIn || []).length;
           removed += (diff[section].cardsOut || []).length;
@@ -292,6 +304,51 @@ router.get('/:deckId/timeline', (req, res) => {
   res.json({ entries });
 });
 
+// Power level of every snapshot, scored with the user's profile and card
+// lists. All snapshots use today's card data, so the line moves with the
+// decklist rather than with price swings between snapshots.
+router.get('/:deckId/power-history', async (req, res) => {
+  const deck = verifyDeckOwnership(req, res);
+  if (!deck) return;
+
+  const snapshots = all(
+    'SELECT id, deck_text, delta_base_id, nickname, created_at FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at ASC',
+    [deck.id]
+  );
+  const texts = resolveSnapshotTexts(snapshots);
+
+  try {
+    let commanders = [];
+    try { commanders = JSON.parse(deck.commanders || '[]'); } catch { /* ignore */ }
+    const parsedById = new Map();
+    const cardNames = new Set(commanders);
+    for (const snap of snapshots) {
+      const parsed = parse(texts.get(snap.id));
+      // The deck's chosen commanders win over what the list itself marks
+      if (commanders.length > 0) parsed.commanders = commanders;
+      parsedById.set(snap.id, parsed);
+      for (const [, entry] of parsed.mainboard) cardNames.add(entry.displayName);
+    }
+    const metadata = cardNames.size > 0 ? await fetchCardMetadata([...cardNames]) : new Map();
+    const settings = loadPowerSettings(req.user.userId);
+
+    const points = snapshots.map(snap => {
+      const power = estimatePowerLevel(parsedById.get(snap.id), metadata, settings);
+      return {
+        snapshotId: snap.id,
+        date: snap.created_at,
+        nickname: snap.nickname,
+        level: power.level,
+        score: power.score,
+      };
+    });
+    res.json({ profile: settings.profile, points });
+  } catch (err) {
+    console.error('Power history error:', err);
+    res.status(500).json({ error: 'Failed to compute power history' });
+  }
+});
+
 router.get('/:deckId/changelog', (req, res) => {
   const deck = verifyDeckOwnership(req, res);
   if (!deck) return;
@@ -307,7 +364,7 @@ router.get('/:deckId/changelog', (req, res) => {
     }
   } else {
     const recent = all(
-      'SELECT * FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC LIMIT 2',
+      'SELECT * FROM deck_snapshots WHERE tracked_deck_id = ? ORDER BY created_at DESC, id DESC LIMIT 2',
       [deck.id]
     );
     if (recent.length < 2) {
@@ -316,6 +373,8 @@ router.get('/:deckId/changelog', (req, res) => {
     snapB = recent[0];
     snapA = recent[1];
   }
+  snapA = withDeckText(snapA);
+  snapB = withDeckText(snapB);
 
   const before = parse(snapA.deck_text);
   const after = parse(snapB.deck_text);
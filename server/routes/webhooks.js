@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { requireIntParam } from '../middleware/validate.js';
+import {
+  WEBHOOK_EVENTS, listWebhooks, createWebhook, updateWebhook, deleteWebhook, rotateWebhookSecret,
+  listDeliveries, sendTestEvent, redeliver,
+} from '../lib/webhooks.js';
+
+const router = Router();
+router.use(requireAuth);
+
+// The user's webhooks (never the secrets) and the events they can subscribe to
+router.get('/', (req, res) => {
+  res.json({ webhooks: listWebhooks(req.user.userId), events: WEBHOOK_EVENTS });
+});
+
+// Create — { url, events, deckId? }. The signing secret is in this response only.
+router.post('/', (req, res) => {
+  const { url, events, deckId } = req.body;
+  const { webhook, secret, error } = createWebhook(req.user.userId, { url, events, deckId: deckId ?? null });
+  if (error) return res.status(400).json({ error });
+  res.status(201).json({ webhook, secret });
+});
+
+// Update — any of { url, events, active }
+router.patch('/:id', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  const { webhook, error, status } = updateWebhook(req.user.userId, id, req.body);
+  if (error) return res.status(status || 400).json({ error });
+  res.json({ webhook });
+});
+
+router.delete('/:id', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  if (!deleteWebhook(req.user.userId, id)) return res.status(404).json({ error: 'Webhook not found' });
+  res.json({ success: true });
+});
+
+// Replace the signing secret (the old one stops verifying immediately)
+router.post('/:id/rotate-secret', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  const secret = rotateWebhookSecret(req.user.userId, id);
+  if (!secret) return res.status(404).json({ error: 'Webhook not found' });
+  res.json({ secret });
+});
+
+// Queue a `ping` delivery
+router.post('/:id/test', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  if (!sendTestEvent(req.user.userId, id)) return res.status(404).json({ error: 'Webhook not found' });
+  res.status(202).json({ success: true });
+});
+
+// Delivery log, newest first
+router.get('/:id/deliveries', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  const deliveries = listDeliveries(req.user.userId, id);
+  if (!deliveries) return res.status(404).json({ error: 'Webhook not found' });
+  res.json({ deliveries });
+});
+
+// Retry a delivery that ran out of attempts
+router.post('/:id/deliveries/:deliveryId/retry', (req, res) => {
+  const id = requireIntParam(req, res, 'id');
+  if (id === null) return;
+  const deliveryId = requireIntParam(req, res, 'deliveryId');
+  if (deliveryId === null) return;
+  if (!redeliver(req.user.userId, id, deliveryId)) {
+    return res.status(404).json({ error: 'No failed delivery with that id' });
+  }
+  res.status(202).json({ success: true });
+});
+
+export default router;
@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef, useMemo, lazy, Suspense } from 'react';
 import DeckInput from './components/DeckInput';
 import ChangelogOutput from './components/ChangelogOutput';
+import ThreeWayDiffView from './components/ThreeWayDiffView';
+import MultiCompare from './components/MultiCompare';
 import AuthBar from './components/AuthBar';
 import ForgotPassword from './components/ForgotPassword';
 import ResetPassword from './components/ResetPassword';
@@ -14,11 +16,12 @@ const DeckPage = lazy(() => import('./components/DeckPage'));
 const SharedDeckView = lazy(() => import('./components/SharedDeckView'));
 const GuidePage = lazy(() => import('./components/GuidePage'));
 import { useAuth } from './context/AuthContext';
-import { useHashRoute } from './lib/useHashRoute';
+import { useHashRoute, shareLinkUrl } from './lib/useHashRoute';
 import { parse } from './lib/parser';
-import { computeDiff } from './lib/differ';
+import { computeDiff, computeThreeWayDiff } from './lib/differ';
 import { collectCardIdentifiers, fetchCardData } from './lib/scryfall';
-import { createShare, getShare, verifyEmail } from './lib/api';
+import { createShare, getShare, deleteShare, verifyEmail } from './lib/api';
+import { buildEmbedSnippet } from './lib/embed';
 import { toast } from './components/Toast';
 import { preloadManaSymbols } from './components/ManaCost';
 import WhatsNewModal from './components/WhatsNewModal';
@@ -41,6 +44,20 @@ function getVerifyToken() {
   return params.get('verify') || null;
 }
 
+// Delete tokens for comparison links created in this browser, by share id —
+// what lets an anonymous creator revoke their own link later.
+const SHARE_TOKENS_KEY = 'clc-share-delete-tokens';
+
+function loadShareTokens() {
+  try { return JSON.parse(localStorage.getItem(SHARE_TOKENS_KEY)) || {}; } catch { return {}; }
+}
+
+function saveShareToken(id, token) {
+  const tokens = loadShareTokens();
+  if (token) tokens[id] = token; else delete tokens[id];
+  localStorage.setItem(SHARE_TOKENS_KEY, JSON.stringify(tokens));
+}
+
 // Hash routes that require a signed-in user, mapped to their display name.
 const AUTH_ROUTES = {
   settings: 'Account settings',
@@ -55,6 +72,12 @@ export default function App() {
   const [beforeText, setBeforeText] = useState('');
   const [afterText, setAfterText] = useState('');
   const [diffResult, setDiffResult] = useState(null);
+  // 'pair' (Before/After), 'threeWay' (Before/After become descendants A/B of
+  // a common ancestor) or 'multi' (one base list against N others)
+  const [mode, setMode] = useState('pair');
+  const threeWayMode = mode === 'threeWay';
+  const [ancestorText, setAncestorText] = useState('');
+  const [threeWayResult, setThreeWayResult] = useState(null);
   const [cardMap, setCardMap] = useState(null);
   const [showForgotPassword, setShowForgotPassword] = useState(false);
   const [resetToken, setResetToken] = useState(getResetToken);
@@ -115,6 +138,12 @@ export default function App() {
   function handleCompare() {
     const before = parse(beforeText);
     const after = parse(afterText);
+    if (threeWayMode) {
+      setThreeWayResult(computeThreeWayDiff(parse(ancestorText), before, after));
+      setDiffResult(null);
+      return;
+    }
+    setThreeWayResult(null);
     const diff = computeDiff(before, after);
     setDiffResult(diff);
     setCardMap(null);
@@ -132,20 +161,30 @@ export default function App() {
   function handleClear() {
     setBeforeText('');
     setAfterText('');
+    setAncestorText('');
     setDiffResult(null);
+    setThreeWayResult(null);
     setCardMap(null);
   }
 
+  function handleToggleMode(next) {
+    setMode(mode === next ? 'pair' : next);
+    setDiffResult(null);
+    setThreeWayResult(null);
+  }
+
   function handleSwap() {
     setBeforeText(afterText);
     setAfterText(beforeText);
     setDiffResult(null);
+    setThreeWayResult(null);
   }
 
-  const canCompare = useMemo(
-    () => beforeText.trim().length > 0 || afterText.trim().length > 0,
-    [beforeText, afterText]
-  );
+  const canCompare = useMemo(() => {
+    if (mode === 'multi') return false; // MultiCompare runs its own comparison
+    const hasPair = beforeText.trim().length > 0 || afterText.trim().length > 0;
+    return threeWayMode ? ancestorText.trim().length > 0 && hasPair : hasPair;
+  }, [mode, threeWayMode, ancestorText, beforeText, afterText]);
 
   // Load shared comparison from URL hash (e.g. #share/abc123)
   useEffect(() => {
@@ -155,6 +194,8 @@ export default function App() {
         const data = await getShare(shareId);
         setBeforeText(data.beforeText || '');
         setAfterText(data.afterText || '');
+        setMode('pair');
+        setThreeWayResult(null);
         // Auto-compare
         const before = parse(data.beforeText || '');
         const after = parse(data.afterText || '');
@@ -168,8 +209,8 @@ export default function App() {
             .then(setCardMap)
             .catch(() => {});
         }
-      } catch {
-        toast.error('Failed to load shared comparison. The link may be invalid or expired.');
+      } catch (err) {
+        toast.error(`Failed to load shared comparison: ${err.message}`);
       }
     }
     loadShare();
@@ -179,11 +220,34 @@ export default function App() {
     const commanders = diffResult?.commanders || [];
     const title = commanders.length > 0 ? commanders.join(' / ') + ' Changelog' : null;
     const data = await createShare(beforeText, afterText, title);
-    const url = `${window.location.origin}${window.location.pathname}#share/${data.id}`;
+    saveShareToken(data.id, data.deleteToken);
+    const url = shareLinkUrl('share', data.id);
     window.history.replaceState(null, '', `#share/${data.id}`);
     return url;
   }
 
+  // Revoke the open comparison link — offered when this browser created it
+  const canRevokeShare = route === 'share' && !!shareId && !!loadShareTokens()[shareId];
+  async function handleRevokeShare() {
+    try {
+      await deleteShare(shareId, loadShareTokens()[shareId]);
+      saveShareToken(shareId, null);
+      window.location.hash = '';
+      toast.success('Share link revoked');
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  // Embed code for the open comparison link
+  const getEmbedCode = route === 'share' && shareId
+    ? () => {
+      const commanders = diffResult?.commanders || [];
+      const title = commanders.length > 0 ? commanders.join(' / ') + ' Changelog' : 'Deck Changelog';
+      return buildEmbedSnippet(window.location.origin, 'comparison', shareId, { title });
+    }
+    : null;
+
   // Ctrl+Enter to compare
   const handleCompareRef = useRef(handleCompare);
   const canCompareRef = useRef(canCompare);
@@ -337,55 +401,87 @@ export default function App() {
         </ErrorBoundary>
       )}
 
-      <div id="deck-inputs" className="app-inputs">
-        <DeckInput
-          label="Before"
-          value={beforeText}
-          onChange={setBeforeText}
-          user={user}
-        />
-        <DeckInput
-          label="After"
-          value={afterText}
-          onChange={setAfterText}
-          user={user}
-        />
-      </div>
-
-      <div className="app-actions">
-        <button
-          className="btn btn-primary"
-          onClick={handleCompare}
-          disabled={!canCompare}
-          type="button"
-          title="Ctrl+Enter"
-          aria-keyshortcuts="Control+Enter"
-        >
-          Compare Lists
-        </button>
-        <button className="btn btn-secondary" onClick={handleSwap} type="button">
-          Swap
-        </button>
-        <button className="btn btn-secondary" onClick={handleClear} type="button">
-          Clear
-        </button>
-      </div>
+      {mode === 'multi' ? (
+        <ErrorBoundary>
+          <MultiCompare user={user} onExit={() => handleToggleMode('multi')} />
+        </ErrorBoundary>
+      ) : (
+        <>
+          {threeWayMode && (
+            <div className="app-inputs app-inputs--ancestor">
+              <DeckInput
+                label="Common ancestor"
+                value={ancestorText}
+                onChange={setAncestorText}
+                user={user}
+              />
+            </div>
+          )}
+
+          <div id="deck-inputs" className="app-inputs">
+            <DeckInput
+              label={threeWayMode ? 'A' : 'Before'}
+              value={beforeText}
+              onChange={setBeforeText}
+              user={user}
+            />
+            <DeckInput
+              label={threeWayMode ? 'B' : 'After'}
+              value={afterText}
+              onChange={setAfterText}
+              user={user}
+            />
+          </div>
+
+          <div className="app-actions">
+            <button
+              className="btn btn-primary"
+              onClick={handleCompare}
+              disabled={!canCompare}
+              type="button"
+              title="Ctrl+Enter"
+              aria-keyshortcuts="Control+Enter"
+            >
+              Compare Lists
+            </button>
+            <button className="btn btn-secondary" onClick={handleSwap} type="button">
+              Swap
+            </button>
+            <button className="btn btn-secondary" onClick={handleClear} type="button">
+              Clear
+            </button>
+            <button
+              className={`btn btn-secondary${threeWayMode ? ' btn--active' : ''}`}
+              onClick={() => handleToggleMode('threeWay')}
+              type="button"
+              aria-pressed={threeWayMode}
+              title="Compare two lists against a common ancestor"
+            >
+              Three-way
+            </button>
+            <button className="btn btn-secondary" onClick={() => handleToggleMode('multi')} type="button" title="Compare a base list against several others">
+              Multi-compare
+            </button>
+          </div>
 
-      <ErrorBoundary>
-        {diffResult && <ChangelogOutput diffResult={diffResult} cardMap={cardMap} onShare={handleShare} afterText={afterText} beforeText={beforeText} />}
-      </ErrorBoundary>
+          <ErrorBoundary>
+            {diffResult && <ChangelogOutput diffResult={diffResult} cardMap={cardMap} onShare={handleShare} onRevokeShare={canRevokeShare ? handleRevokeShare : null} getEmbedCode={getEmbedCode} afterText={afterText} beforeText={beforeText} />}
+            {threeWayResult && <ThreeWayDiffView diff={threeWayResult} />}
+          </ErrorBoundary>
 
-      {!diffResult && (
-        <div className="app-empty">
-          <p>
-            Paste, upload, or import deck lists from{' '}
-            <strong>Archidekt</strong> or <strong>Moxfield</strong> URLs,
-            then click <strong>Compare Lists</strong> to generate a changelog.
-          </p>
-          <p className="app-empty-hint">
-            Track your decks in the <a href="#library">Deck Library</a> to automatically snapshot changes and compare versions.
-          </p>
-        </div>
+          {!diffResult && !threeWayResult && (
+            <div className="app-empty">
+              <p>
+                Paste, upload, or import deck lists from{' '}
+                <strong>Archidekt</strong> or <strong>Moxfield</strong> URLs,
+                then click <strong>Compare Lists</strong> to generate a changelog.
+              </p>
+              <p className="app-empty-hint">
+                Track your decks in the <a href="#library">Deck Library</a> to automatically snapshot changes and compare versions.
+              </p>
+            </div>
+          )}
+        </>
       )}
 
       <footer className="app-footer">
@@ -2,6 +2,7 @@ import { memo, useState, useRef, useMemo, useCallback, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { useAppSettings } from '../context/AppSettingsContext';
 import ManaCost from './ManaCost';
+import { formatPriceDelta } from '../lib/formatter';
 import './CardLine.css';
 
 // Detect touch-primary device once
@@ -81,17 +82,50 @@ function PrintingBadge({ setCode, collectorNumber, isFoil }) {
   );
 }
 
-function OwnedBadge({ owned, needed }) {
+// Where the owned copies are filed: the main location on the badge, every
+// location (with copy counts) in the tooltip
+function locationSuffix(locations) {
+  if (!locations?.length) return { text: '', title: '' };
+  const more = locations.length > 1 ? ` +${locations.length - 1}` : '';
+  return {
+    text: ` \u00b7 ${locations[0].location}${more}`,
+    title: ` \u2014 ${locations.map(l => `${l.location} (${l.quantity})`).join(', ')}`,
+  };
+}
+
+function OwnedBadge({ owned, needed, locations }) {
   if (owned == null) return null; // collection not loaded / not applicable
+  const where = locationSuffix(locations);
   if (owned >= needed) {
-    return <span className="card-line-owned card-line-owned--full" title="In your collection">&#10003; owned</span>;
+    return <span className="card-line-owned card-line-owned--full" title={`In your collection${where.title}`}>&#10003; owned{where.text}</span>;
   }
   if (owned > 0) {
-    return <span className="card-line-owned card-line-owned--partial" title={`You own ${owned} of ${needed}`}>{owned}/{needed} owned</span>;
+    return <span className="card-line-owned card-line-owned--partial" title={`You own ${owned} of ${needed}${where.title}`}>{owned}/{needed} owned{where.text}</span>;
   }
   return <span className="card-line-owned card-line-owned--missing" title="Not in your collection">missing</span>;
 }
 
+// Colors this card has outside the commander's identity (color-identity check)
+function IdentityBadge({ offColors }) {
+  if (!offColors || offColors.length === 0) return null;
+  return (
+    <span className="card-line-identity" title={`Outside the commander's color identity (${offColors.join('')})`}>
+      off-identity {offColors.join('')}
+    </span>
+  );
+}
+
+// Value change of a printing swap (printing-changes mode); hidden when unpriced.
+function PriceDeltaBadge({ delta }) {
+  if (delta == null) return null;
+  const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+  return (
+    <span className={`card-line-price-delta card-line-price-delta--${direction}`} title="Value change from the printing swap">
+      {formatPriceDelta(delta)}
+    </span>
+  );
+}
+
 function PriceBadge({ price, cheapestPrice, unitPrice, quantity }) {
   if (price == null && cheapestPrice == null) return null;
   const showCheapest = cheapestPrice != null && price != null && Math.abs(cheapestPrice - price) >= 0.01;
@@ -106,7 +140,7 @@ function PriceBadge({ price, cheapestPrice, unitPrice, quantity }) {
   );
 }
 
-export default memo(function CardLine({ name, quantity, changeType, oldQty, newQty, delta, manaCost, imageUri, setCode, collectorNumber, isFoil, priceUsd, priceUsdFoil, cheapestPriceUsd, cheapestPriceUsdFoil, oldSetCode, oldCollectorNumber, oldIsFoil, newSetCode, newCollectorNumber, newIsFoil, owned }) {
+export default memo(function CardLine({ name, quantity, changeType, oldQty, newQty, delta, manaCost, imageUri, setCode, collectorNumber, isFoil, priceUsd, priceUsdFoil, cheapestPriceUsd, cheapestPriceUsdFoil, oldSetCode, oldCollectorNumber, oldIsFoil, newSetCode, newCollectorNumber, newIsFoil, oldCategory, newCategory, priceDelta, owned, ownedLocations, offColors }) {
   const { priceDisplayEnabled } = useAppSettings();
   const [hovering, setHovering] = useState(false);
   const [overlayOpen, setOverlayOpen] = useState(false);
@@ -150,6 +184,7 @@ export default memo(function CardLine({ name, quantity, changeType, oldQty, newQ
         <span className="card-line-name" ref={nameRef}>{name}</span>
         <PrintingBadge setCode={setCode} collectorNumber={collectorNumber} isFoil={isFoil} />
         {manaCost && <ManaCost cost={manaCost} />}
+        <IdentityBadge offColors={offColors} />
         <PriceBadge price={totalPrice} cheapestPrice={cheapestTotalPrice} unitPrice={unitPrice} quantity={quantity} />
         {tooltip}
         {overlay}
@@ -189,7 +224,8 @@ export default memo(function CardLine({ name, quantity, changeType, oldQty, newQ
         <span className="card-line-name" ref={nameRef}>{name}</span>
         <PrintingBadge setCode={setCode} collectorNumber={collectorNumber} isFoil={isFoil} />
         {manaCost && <ManaCost cost={manaCost} />}
-        <OwnedBadge owned={owned} needed={quantity} />
+        <IdentityBadge offColors={offColors} />
+        <OwnedBadge owned={owned} needed={quantity} locations={ownedLocations} />
         <PriceBadge price={totalPrice} cheapestPrice={cheapestTotalPrice} unitPrice={unitPrice} quantity={quantity} />
         {tooltip}
         {overlay}
@@ -215,6 +251,29 @@ export default memo(function CardLine({ name, quantity, changeType, oldQty, newQ
           &nbsp;&rarr;&nbsp;
           <PrintingBadge setCode={newSetCode} collectorNumber={newCollectorNumber} isFoil={newIsFoil} />
         </span>
+        {priceDisplayEnabled && <PriceDeltaBadge delta={priceDelta} />}
+        {tooltip}
+        {overlay}
+      </div>
+    );
+  }
+
+  if (changeType === 'category') {
+    return (
+      <div
+        className="card-line card-line--category"
+        onMouseEnter={isTouch ? undefined : () => setHovering(true)}
+        onMouseLeave={isTouch ? undefined : () => setHovering(false)}
+        onClick={handleClick}
+      >
+        <span className="card-line-prefix">&gt;</span>
+        <span className="card-line-qty">{quantity}</span>
+        <span className="card-line-name" ref={nameRef}>{name}</span>
+        <PrintingBadge setCode={setCode} collectorNumber={collectorNumber} isFoil={isFoil} />
+        {manaCost && <ManaCost cost={manaCost} />}
+        <span className="card-line-detail">
+          {oldCategory} &rarr; {newCategory}
+        </span>
         {tooltip}
         {overlay}
       </div>
@@ -234,6 +293,7 @@ export default memo(function CardLine({ name, quantity, changeType, oldQty, newQ
       <span className="card-line-name" ref={nameRef}>{name}</span>
       <PrintingBadge setCode={setCode} collectorNumber={collectorNumber} isFoil={isFoil} />
       {manaCost && <ManaCost cost={manaCost} />}
+      <IdentityBadge offColors={offColors} />
       <PriceBadge price={totalPrice} cheapestPrice={cheapestTotalPrice} unitPrice={unitPrice} quantity={quantity} />
       <span className="card-line-detail">
         {oldQty} &rarr; {newQty} ({sign}{delta})
@@ -1,8 +1,16 @@
 import { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import SectionChangelog from './SectionChangelog';
 import CopyButton from './CopyButton';
+import LegalityPanel from './LegalityPanel';
 import { formatChangelog, formatMpcFill, formatReddit, formatJSON, formatForArchidekt, formatTTS } from '../lib/formatter';
+import { parse } from '../lib/parser';
+import { computeDiff } from '../lib/differ';
+import { pricePrintingChanges } from '../lib/api';
+import { fetchCardData } from '../lib/scryfall';
+import { checkAllFormats, introducedIssues, guessFormat } from '../lib/legality';
+import { checkColorIdentity, introducedViolations, violationsByName } from '../lib/colorIdentity';
 import { DECKCHECK_POWER_URL } from '../lib/deckcheck';
+import { downloadFile } from '../lib/download';
 import { toast } from './Toast';
 import './ChangelogOutput.css';
 
@@ -17,38 +25,136 @@ function filterSection(section, query) {
     cardsOut: section.cardsOut.filter(c => c.name.toLowerCase().includes(lower)),
     quantityChanges: section.quantityChanges.filter(c => c.name.toLowerCase().includes(lower)),
     printingChanges: (section.printingChanges || []).filter(c => c.name.toLowerCase().includes(lower)),
+    categoryChanges: (section.categoryChanges || []).filter(c => c.name.toLowerCase().includes(lower)),
     totalUniqueCards: section.totalUniqueCards,
     unchangedCount: section.unchangedCount,
   };
 }
 
-export default function ChangelogOutput({ diffResult, cardMap, onShare, afterText, beforeText }) {
-  const { mainboard, sideboard, hasSideboard, commanders } = diffResult;
+const EMPTY_SECTION = { cardsIn: [], cardsOut: [], quantityChanges: [], printingChanges: [], totalUniqueCards: 0, unchangedCount: 0 };
+
+const DIFF_SECTIONS = ['mainboard', 'sideboard', 'companions', 'maybeboard'];
+
+// Card names in the boards that count toward legality (not the maybeboard)
+function legalityNames(parsed) {
+  const names = [];
+  for (const section of [parsed.mainboard, parsed.sideboard, parsed.companions]) {
+    for (const entry of section.values()) names.push(entry.displayName);
+  }
+  return names;
+}
+
+export default function ChangelogOutput({ diffResult: baseDiff, cardMap, onShare, onRevokeShare, getEmbedCode, afterText, beforeText }) {
   const [searchQuery, setSearchQuery] = useState('');
+  const [printingMode, setPrintingMode] = useState(false);
+  const [printingPrices, setPrintingPrices] = useState(null);
+
+  // Printing-changes mode re-diffs the raw lists so set/foil swaps that keep a
+  // card's key are reported too, then prices each swap server-side.
+  const printingDiff = useMemo(
+    () => (printingMode ? computeDiff(parse(beforeText || ''), parse(afterText || ''), { printings: true }) : null),
+    [printingMode, beforeText, afterText]
+  );
+
+  useEffect(() => {
+    if (!printingDiff) return;
+    const changes = DIFF_SECTIONS.flatMap(key => printingDiff[key].printingChanges);
+    if (changes.length === 0) return;
+    let cancelled = false;
+    pricePrintingChanges(changes)
+      .then(data => { if (!cancelled) setPrintingPrices({ diff: printingDiff, changes: data.changes }); })
+      .catch(() => {}); // Swaps still render, just without a price delta
+    return () => { cancelled = true; };
+  }, [printingDiff]);
+
+  // Legality and commander color identity of the after list, and which issues
+  // the change itself introduced. Checked against the whole lists, so it
+  // fetches its own card data (cached).
+  const [legality, setLegality] = useState(null);
+  useEffect(() => {
+    if (!afterText?.trim()) return;
+    const before = parse(beforeText || '');
+    const after = parse(afterText);
+    let cancelled = false;
+    fetchCardData([...new Set([...legalityNames(before), ...legalityNames(after)])])
+      .then(cardData => {
+        if (cancelled) return;
+        const hasBefore = Boolean(beforeText?.trim());
+        const afterResults = checkAllFormats(after, cardData);
+        const afterIdentity = checkColorIdentity(after, cardData);
+        setLegality({
+          beforeText,
+          afterText,
+          results: afterResults,
+          introduced: hasBefore ? introducedIssues(checkAllFormats(before, cardData), afterResults) : [],
+          guessedFormat: guessFormat(after),
+          offIdentity: violationsByName(afterIdentity),
+          newViolations: hasBefore ? introducedViolations(checkColorIdentity(before, cardData), afterIdentity) : [],
+        });
+      })
+      .catch(() => {}); // Panel stays hidden without card data
+    return () => { cancelled = true; };
+  }, [beforeText, afterText]);
+
+  const diffResult = useMemo(() => {
+    if (!printingDiff) return baseDiff;
+    if (printingPrices?.diff !== printingDiff) return printingDiff;
+    const priced = { ...printingDiff };
+    let offset = 0;
+    for (const key of DIFF_SECTIONS) {
+      const section = printingDiff[key];
+      const prices = printingPrices.changes.slice(offset, offset + section.printingChanges.length);
+      offset += section.printingChanges.length;
+      priced[key] = {
+        ...section,
+        printingChanges: section.printingChanges.map((card, i) => ({
+          ...card,
+          oldPrice: prices[i]?.oldPrice,
+          newPrice: prices[i]?.newPrice,
+          priceDelta: prices[i]?.priceDelta,
+        })),
+      };
+    }
+    return priced;
+  }, [baseDiff, printingDiff, printingPrices]);
+
+  const { mainboard, sideboard, hasSideboard, commanders, hasCompanions, hasMaybeboard } = diffResult;
+  const companions = diffResult.companions || EMPTY_SECTION;
+  const maybeboard = diffResult.maybeboard || EMPTY_SECTION;
 
-  const { totalIn, totalOut, totalChanged, totalPrinting, noChanges, hasAdditions, commanderLabel, unchangedPct } = useMemo(() => {
-    const totalIn = mainboard.cardsIn.length + sideboard.cardsIn.length;
-    const totalOut = mainboard.cardsOut.length + sideboard.cardsOut.length;
-    const totalChanged = mainboard.quantityChanges.length + sideboard.quantityChanges.length;
-    const totalPrinting = (mainboard.printingChanges || []).length + (sideboard.printingChanges || []).length;
-    const noChanges = totalIn === 0 && totalOut === 0 && totalChanged === 0 && totalPrinting === 0;
+  const { totalIn, totalOut, totalChanged, totalPrinting, totalMoved, noChanges, hasAdditions, commanderLabel, unchangedPct } = useMemo(() => {
+    // Maybeboard changes are listed but don't count toward the deck's totals
+    const deckSections = [mainboard, sideboard, companions];
+    const sum = (fn) => deckSections.reduce((n, sec) => n + fn(sec), 0);
+    const totalIn = sum(sec => sec.cardsIn.length);
+    const totalOut = sum(sec => sec.cardsOut.length);
+    const totalChanged = sum(sec => sec.quantityChanges.length);
+    const totalPrinting = sum(sec => (sec.printingChanges || []).length);
+    const totalMoved = sum(sec => (sec.categoryChanges || []).length);
+    const maybeChanges = maybeboard.cardsIn.length + maybeboard.cardsOut.length + maybeboard.quantityChanges.length;
+    const noChanges = totalIn === 0 && totalOut === 0 && totalChanged === 0 && totalPrinting === 0 && totalMoved === 0 && maybeChanges === 0;
     const hasAdditions = totalIn > 0 ||
-      [...mainboard.quantityChanges, ...sideboard.quantityChanges].some((c) => c.delta > 0);
+      deckSections.some(sec => sec.quantityChanges.some((c) => c.delta > 0));
     const commanderLabel = commanders && commanders.length > 0
       ? commanders.join(' / ')
       : null;
 
     // Compute unchanged percentage
-    const totalUnique = (mainboard.totalUniqueCards || 0) + (sideboard.totalUniqueCards || 0);
-    const totalUnchanged = (mainboard.unchangedCount || 0) + (sideboard.unchangedCount || 0);
+    const totalUnique = sum(sec => sec.totalUniqueCards || 0);
+    const totalUnchanged = sum(sec => sec.unchangedCount || 0);
     const unchangedPct = totalUnique > 0 ? Math.round((totalUnchanged / totalUnique) * 100) : 0;
 
-    return { totalIn, totalOut, totalChanged, totalPrinting, noChanges, hasAdditions, commanderLabel, unchangedPct };
-  }, [mainboard, sideboard, commanders]);
+    return { totalIn, totalOut, totalChanged, totalPrinting, totalMoved, noChanges, hasAdditions, commanderLabel, unchangedPct };
+  }, [mainboard, sideboard, companions, maybeboard, commanders]);
 
   // Filtered sections for search
   const filteredMainboard = useMemo(() => filterSection(mainboard, searchQuery), [mainboard, searchQuery]);
   const filteredSideboard = useMemo(() => filterSection(sideboard, searchQuery), [sideboard, searchQuery]);
+  const filteredCompanions = useMemo(() => filterSection(companions, searchQuery), [companions, searchQuery]);
+  const filteredMaybeboard = useMemo(() => filterSection(maybeboard, searchQuery), [maybeboard, searchQuery]);
+
+  const legalityCurrent = legality?.afterText === afterText && legality.beforeText === beforeText ? legality : null;
+  const offIdentity = legalityCurrent?.offIdentity;
 
   const handleSearchChange = useCallback((e) => {
     setSearchQuery(e.target.value);
@@ -87,6 +193,11 @@ export default function ChangelogOutput({ diffResult, cardMap, onShare, afterTex
                 &#8635;{totalPrinting} reprinted
               </span>
             )}
+            {totalMoved > 0 && (
+              <span className="summary-badge summary-badge--moved">
+                &#8644;{totalMoved} recategorized
+              </span>
+            )}
             {unchangedPct > 0 && (
               <span className="summary-badge summary-badge--unchanged">
                 {unchangedPct}% unchanged
@@ -110,12 +221,25 @@ export default function ChangelogOutput({ diffResult, cardMap, onShare, afterTex
               className="copy-btn copy-btn--archidekt"
             />
           )}
+          {beforeText && afterText && (
+            <button
+              type="button"
+              className={`copy-btn copy-btn--printing${printingMode ? ' copy-btn--active' : ''}`}
+              onClick={() => setPrintingMode(!printingMode)}
+              aria-pressed={printingMode}
+              title="Also report set, collector number and foil swaps, with their price change"
+            >
+              Printing Changes
+            </button>
+          )}
           <MoreMenu
             diffResult={diffResult}
             cardMap={cardMap}
             afterText={afterText}
             noChanges={noChanges}
             onShare={onShare}
+            onRevokeShare={onRevokeShare}
+            getEmbedCode={getEmbedCode}
             commanders={commanders}
           />
         </div>
@@ -145,15 +269,30 @@ export default function ChangelogOutput({ diffResult, cardMap, onShare, afterTex
               </button>
             )}
           </div>
-          <SectionChangelog sectionName="Mainboard" changes={filteredMainboard} cardMap={cardMap} />
+          {legalityCurrent?.newViolations.length > 0 && (
+            <p className="changelog-output-identity-violations" role="status">
+              New color-identity violations:{' '}
+              {legalityCurrent.newViolations.map(v => `${v.name} (${v.offColors.join('')})`).join(', ')}
+            </p>
+          )}
+          {legalityCurrent && (
+            <LegalityPanel
+              results={legalityCurrent.results}
+              introduced={legalityCurrent.introduced}
+              guessedFormat={legalityCurrent.guessedFormat}
+            />
+          )}
+          <SectionChangelog sectionName="Mainboard" changes={filteredMainboard} cardMap={cardMap} offIdentity={offIdentity} />
           {hasSideboard && <SectionChangelog sectionName="Sideboard" changes={filteredSideboard} cardMap={cardMap} />}
+          {hasCompanions && <SectionChangelog sectionName="Companion" changes={filteredCompanions} cardMap={cardMap} offIdentity={offIdentity} />}
+          {hasMaybeboard && <SectionChangelog sectionName="Maybeboard" changes={filteredMaybeboard} cardMap={cardMap} />}
         </div>
       )}
     </div>
   );
 }
 
-function MoreMenu({ diffResult, cardMap, afterText, noChanges, onShare, commanders }) {
+function MoreMenu({ diffResult, cardMap, afterText, noChanges, onShare, onRevokeShare, getEmbedCode, commanders }) {
   const [open, setOpen] = useState(false);
   const menuRef = useRef(null);
 
@@ -180,6 +319,18 @@ function MoreMenu({ diffResult, cardMap, afterText, noChanges, onShare, commande
       {open && (
         <div className="more-menu-dropdown">
           {onShare && <ShareMenuItem onShare={onShare} onDone={() => setOpen(false)} />}
+          {onRevokeShare && (
+            <button
+              type="button"
+              className="more-menu-item"
+              onClick={() => { setOpen(false); onRevokeShare(); }}
+            >
+              Revoke Share Link
+            </button>
+          )}
+          {getEmbedCode && (
+            <CopyButton getText={getEmbedCode} label="Copy Embed Code" className="more-menu-item" />
+          )}
           {commanders.length > 0 && (
             <a
               className="more-menu-item"
@@ -212,15 +363,7 @@ function MoreMenu({ diffResult, cardMap, afterText, noChanges, onShare, commande
                 const json = formatTTS(afterText, cardMap, commanders);
                 if (json) {
                   const name = (commanders.length > 0 ? commanders[0] : 'deck').replace(/[^a-zA-Z0-9]/g, '_');
-                  const blob = new Blob([json], { type: 'application/json' });
-                  const url = URL.createObjectURL(blob);
-                  const a = document.createElement('a');
-                  a.href = url;
-                  a.download = `${name}_TTS.json`;
-                  document.body.appendChild(a);
-                  a.click();
-                  a.remove();
-                  URL.revokeObjectURL(url);
+                  downloadFile(json, `${name}_TTS.json`);
                   setOpen(false);
                 }
               }}
@@ -1,5 +1,6 @@
 import { memo } from 'react';
 import { useAppSettings } from '../context/AppSettingsContext';
+import { SITE_LABELS } from '../lib/fetcher';
 import './DeckGridCard.css';
 
 function formatDate(dateStr) {
@@ -65,7 +66,7 @@ export default memo(function DeckGridCard({ deck, bulkMode, isSelected, onToggle
       )}
 
       <div className="deck-grid-card-meta">
-        <span className="deck-grid-card-owner">@{deck.archidekt_username}</span>
+        <span className="deck-grid-card-owner">{deck.archidekt_username ? `@${deck.archidekt_username}` : SITE_LABELS[deck.source_site]}</span>
         <span className="deck-grid-card-snapshots">{deck.snapshot_count} snap{deck.snapshot_count !== 1 ? 's' : ''}</span>
         {deck.latest_snapshot_at && (
           <span className="deck-grid-card-date">Last Updated: {formatDate(deck.latest_snapshot_at)}</span>
@@ -1,6 +1,6 @@
 import { useRef, useState, useEffect, useCallback } from 'react';
-import { fetchDeckFromUrl, detectSite } from '../lib/fetcher';
-import { getTrackedDecks, getDeckSnapshots, getSnapshot, refreshDeck, deleteSnapshot as apiDeleteSnapshot, renameSnapshot, createSnapshot } from '../lib/api';
+import { fetchDeckFromUrl, detectSite, SITE_LABELS } from '../lib/fetcher';
+import { getTrackedDecks, getDeckSnapshots, getSnapshot, refreshDeck, deleteSnapshot as apiDeleteSnapshot, renameSnapshot, createSnapshot, createLocalDeck } from '../lib/api';
 import { parse } from '../lib/parser';
 import { useConfirm } from './ConfirmModal';
 import { toast } from './Toast';
@@ -19,13 +19,11 @@ CSV with header row
 Separate sideboard with a blank line
 or a "Sideboard" header.`;
 
+// Save-panel select value for "create a new local deck from this list"
+const NEW_LOCAL_DECK = 'new';
+
 function siteLabel(site) {
-  if (site === 'archidekt') return 'Archidekt';
-  if (site === 'moxfield') return 'Moxfield';
-  if (site === 'deckcheck') return 'DeckCheck';
-  if (site === 'tappedout') return 'TappedOut';
-  if (site === 'deckstats') return 'Deckstats';
-  return site;
+  return SITE_LABELS[site] || site;
 }
 
 export default function DeckInput({ label, value, onChange, user }) {
@@ -60,6 +58,7 @@ export default function DeckInput({ label, value, onChange, user }) {
   const [savePanelSaving, setSavePanelSaving] = useState(false);
   const [savePanelSelected, setSavePanelSelected] = useState(null);
   const [savePanelNickname, setSavePanelNickname] = useState('');
+  const [savePanelNewName, setSavePanelNewName] = useState('');
 
   const [confirm, ConfirmDialog] = useConfirm();
 
@@ -159,8 +158,10 @@ export default function DeckInput({ label, value, onChange, user }) {
     const deck = savePrompt.matchingDecks.find(d => d.id === selectedSaveDeck);
     const nickname = `Imported from ${siteLabel(savePrompt.site)}`;
     try {
-      await createSnapshot(selectedSaveDeck, savePrompt.text, nickname);
-      toast.success(`Snapshot saved to ${deck?.deck_name || 'tracked deck'}`);
+      const { unchanged } = await createSnapshot(selectedSaveDeck, savePrompt.text, nickname);
+      toast.success(unchanged
+        ? `${deck?.deck_name || 'Tracked deck'} is already up to date`
+        : `Snapshot saved to ${deck?.deck_name || 'tracked deck'}`);
       setSavePrompt(null);
     } catch (err) {
       toast.error(err.message || 'Failed to save snapshot');
@@ -172,6 +173,7 @@ export default function DeckInput({ label, value, onChange, user }) {
     setShowSavePanel(true);
     setSavePanelLoading(true);
     setSavePanelNickname('');
+    setSavePanelNewName('');
     try {
       const data = await getTrackedDecks();
       const allDecks = data.decks || [];
@@ -182,9 +184,9 @@ export default function DeckInput({ label, value, onChange, user }) {
       const commanders = parsed.commanders || [];
       if (commanders.length > 0) {
         const matches = findMatchingDecks(commanders, allDecks);
-        setSavePanelSelected(matches.length > 0 ? matches[0].id : (allDecks[0]?.id || null));
+        setSavePanelSelected(matches.length > 0 ? matches[0].id : (allDecks[0]?.id || NEW_LOCAL_DECK));
       } else {
-        setSavePanelSelected(allDecks[0]?.id || null);
+        setSavePanelSelected(allDecks[0]?.id || NEW_LOCAL_DECK);
       }
     } catch {
       toast.error('Failed to load tracked decks');
@@ -196,11 +198,27 @@ export default function DeckInput({ label, value, onChange, user }) {
 
   async function handleSavePanelConfirm() {
     if (!savePanelSelected || !value.trim()) return;
+    if (savePanelSelected === NEW_LOCAL_DECK) {
+      if (!savePanelNewName.trim()) return;
+      setSavePanelSaving(true);
+      try {
+        await createLocalDeck(savePanelNewName.trim(), value.trim());
+        toast.success(`Created local deck "${savePanelNewName.trim()}"`);
+        setShowSavePanel(false);
+      } catch (err) {
+        toast.error(err.message || 'Failed to create deck');
+      } finally {
+        setSavePanelSaving(false);
+      }
+      return;
+    }
     setSavePanelSaving(true);
     const deck = savePanelDecks.find(d => d.id === savePanelSelected);
     try {
-      await createSnapshot(savePanelSelected, value.trim(), savePanelNickname.trim() || null);
-      toast.success(`Snapshot saved to ${deck?.deck_name || 'tracked deck'}`);
+      const { unchanged } = await createSnapshot(savePanelSelected, value.trim(), savePanelNickname.trim() || null);
+      toast.success(unchanged
+        ? `${deck?.deck_name || 'Tracked deck'} is already up to date`
+        : `Snapshot saved to ${deck?.deck_name || 'tracked deck'}`);
       setShowSavePanel(false);
     } catch (err) {
       toast.error(err.message || 'Failed to save snapshot');
@@ -459,8 +477,6 @@ export default function DeckInput({ label, value, onChange, user }) {
         <div className="deck-input-save-panel">
           {savePanelLoading ? (
             <p className="deck-input-tracked-empty">Loading tracked decks...</p>
-          ) : savePanelDecks.length === 0 ? (
-            <p className="deck-input-tracked-empty">No tracked decks yet. Add them in Settings.</p>
           ) : (
             <>
               <div className="deck-input-save-panel-row">
@@ -468,36 +484,55 @@ export default function DeckInput({ label, value, onChange, user }) {
                 <select
                   className="deck-input-save-panel-select"
                   value={savePanelSelected || ''}
-                  onChange={(e) => setSavePanelSelected(Number(e.target.value))}
+                  onChange={(e) => setSavePanelSelected(e.target.value === NEW_LOCAL_DECK ? NEW_LOCAL_DECK : Number(e.target.value))}
                 >
                   {savePanelDecks.map(d => (
                     <option key={d.id} value={d.id}>{d.deck_name}</option>
                   ))}
+                  <option value={NEW_LOCAL_DECK}>+ New local deck…</option>
                 </select>
               </div>
-              <div className="deck-input-save-panel-row">
-                <label className="deck-input-save-panel-label">Nickname:</label>
-                <input
-                  className="deck-input-save-panel-nick"
-                  type="text"
-                  value={savePanelNickname}
-                  onChange={(e) => setSavePanelNickname(e.target.value)}
-                  placeholder="Optional nickname"
-                  maxLength={100}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter') handleSavePanelConfirm();
-                    if (e.key === 'Escape') setShowSavePanel(false);
-                  }}
-                />
-              </div>
+              {savePanelSelected === NEW_LOCAL_DECK ? (
+                <div className="deck-input-save-panel-row">
+                  <label className="deck-input-save-panel-label">Deck name:</label>
+                  <input
+                    className="deck-input-save-panel-nick"
+                    type="text"
+                    value={savePanelNewName}
+                    onChange={(e) => setSavePanelNewName(e.target.value)}
+                    placeholder="Name for the new local deck"
+                    maxLength={200}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleSavePanelConfirm();
+                      if (e.key === 'Escape') setShowSavePanel(false);
+                    }}
+                  />
+                </div>
+              ) : (
+                <div className="deck-input-save-panel-row">
+                  <label className="deck-input-save-panel-label">Nickname:</label>
+                  <input
+                    className="deck-input-save-panel-nick"
+                    type="text"
+                    value={savePanelNickname}
+                    onChange={(e) => setSavePanelNickname(e.target.value)}
+                    placeholder="Optional nickname"
+                    maxLength={100}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') handleSavePanelConfirm();
+                      if (e.key === 'Escape') setShowSavePanel(false);
+                    }}
+                  />
+                </div>
+              )}
               <div className="deck-input-save-panel-actions">
                 <button
                   className="deck-input-save-prompt-btn deck-input-save-prompt-btn--save"
                   onClick={handleSavePanelConfirm}
-                  disabled={savePanelSaving || !savePanelSelected}
+                  disabled={savePanelSaving || !savePanelSelected || (savePanelSelected === NEW_LOCAL_DECK && !savePanelNewName.trim())}
                   type="button"
                 >
-                  {savePanelSaving ? 'Saving...' : 'Save Snapshot'}
+                  {savePanelSaving ? 'Saving...' : savePanelSelected === NEW_LOCAL_DECK ? 'Create Deck' : 'Save Snapshot'}
                 </button>
                 <button
                   className="deck-input-save-prompt-btn deck-input-save-prompt-btn--dismiss"
@@ -533,18 +568,20 @@ export default function DeckInput({ label, value, onChange, user }) {
                         {expandedDeckId === deck.id ? '\u25BC' : '\u25B6'} {deck.deck_name}
                       </span>
                       <span className="deck-input-tracked-deck-meta">
-                        {deck.archidekt_username} &middot; {deck.snapshot_count} snap{deck.snapshot_count !== 1 ? 's' : ''}
+                        {deck.archidekt_username || SITE_LABELS[deck.source_site]} &middot; {deck.snapshot_count} snap{deck.snapshot_count !== 1 ? 's' : ''}
                       </span>
                     </button>
-                    <button
-                      className="deck-input-tracked-refresh"
-                      onClick={(e) => handleRefreshDeck(e, deck.id)}
-                      disabled={refreshingDeckId === deck.id}
-                      type="button"
-                      title="Refresh deck from Archidekt"
-                    >
-                      {refreshingDeckId === deck.id ? '...' : '\u21BB'}
-                    </button>
+                    {deck.source_site !== 'local' && (
+                      <button
+                        className="deck-input-tracked-refresh"
+                        onClick={(e) => handleRefreshDeck(e, deck.id)}
+                        disabled={refreshingDeckId === deck.id}
+                        type="button"
+                        title="Refresh deck from its source site"
+                      >
+                        {refreshingDeckId === deck.id ? '...' : '\u21BB'}
+                      </button>
+                    )}
                   </div>
                   {expandedDeckId === deck.id && (
                     <div className="deck-input-tracked-snaps">
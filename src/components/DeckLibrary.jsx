@@ -3,15 +3,20 @@ import { useConfirm } from './ConfirmModal';
 import { toast } from './Toast';
 import {
   getOwners, addOwner, removeOwner, getOwnerDecks,
-  getTrackedDecks, trackDeck, untrackDeck, refreshDeck, refreshAllDecks,
+  getTrackedDecks, trackDeck, trackDeckByUrl, createLocalDeck, untrackDeck, refreshDeck, refreshAllDecks,
   exportDecks,
-  getCollection, importCollection, updateCollectionCard, deleteCollectionCard, clearCollection, getCollectionSummary,
+  getCollection, importCollection, previewCollectionImport, updateCollectionCard, deleteCollectionCard, clearCollection, getCollectionSummary,
+  downloadCollectionExport, getCollectionValue, refreshCollectionValue, getShoppingList,
   getDeckOverlap,
   getNotificationHistory,
 } from '../lib/api';
 import DeckGridCard from './DeckGridCard';
 import Skeleton from './Skeleton';
+import PriceHistoryChart from './PriceHistoryChart';
 import { parseQtyEdit } from '../lib/collectionQty';
+import { SITE_LABELS } from '../lib/fetcher';
+import { SHOPPING_LIST_FORMATS, formatShoppingList } from '../lib/shoppingList';
+import { downloadFile } from '../lib/download';
 import './UserSettings.css';
 import './DeckLibrary.css';
 
@@ -76,6 +81,7 @@ export default function DeckLibrary() {
         {activeTab === 'overlap' && (
           <div className="user-settings-panel">
             <DeckOverlapAnalysis />
+            <ShoppingList />
           </div>
         )}
 
@@ -96,6 +102,12 @@ function DeckTrackerSettings({ confirm }) {
   const [owners, setOwners] = useState([]);
   const [trackedDecks, setTrackedDecks] = useState([]);
   const [newOwner, setNewOwner] = useState('');
+  const [newDeckUrl, setNewDeckUrl] = useState('');
+  const [trackingUrl, setTrackingUrl] = useState(false);
+  const [showLocalForm, setShowLocalForm] = useState(false);
+  const [localName, setLocalName] = useState('');
+  const [localText, setLocalText] = useState('');
+  const [creatingLocal, setCreatingLocal] = useState(false);
   const [expandedOwner, setExpandedOwner] = useState(null);
   const [ownerDecks, setOwnerDecks] = useState([]);
   const [loadingOwnerDecks, setLoadingOwnerDecks] = useState(false);
@@ -121,11 +133,11 @@ function DeckTrackerSettings({ confirm }) {
     return [...tags].sort();
   }, [trackedDecks]);
 
-  // Group decks by owner
+  // Group decks by owner; decks tracked by URL have no owner and group by site
   const decksByOwner = useMemo(() => {
     const groups = new Map();
     for (const deck of trackedDecks) {
-      const owner = deck.archidekt_username || 'Unknown';
+      const owner = deck.archidekt_username || SITE_LABELS[deck.source_site] || 'Unknown';
       if (!groups.has(owner)) groups.set(owner, []);
       groups.get(owner).push(deck);
     }
@@ -187,6 +199,42 @@ function DeckTrackerSettings({ confirm }) {
     }
   }
 
+  async function handleTrackUrl(e) {
+    e.preventDefault();
+    if (!newDeckUrl.trim()) return;
+    setError(null);
+    setTrackingUrl(true);
+    try {
+      const result = await trackDeckByUrl(newDeckUrl.trim());
+      toast.success(`Now tracking "${result.deck.deck_name}"`);
+      setNewDeckUrl('');
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setTrackingUrl(false);
+    }
+  }
+
+  async function handleCreateLocal(e) {
+    e.preventDefault();
+    if (!localName.trim() || !localText.trim()) return;
+    setError(null);
+    setCreatingLocal(true);
+    try {
+      await createLocalDeck(localName.trim(), localText);
+      toast.success(`Created local deck "${localName.trim()}"`);
+      setLocalName('');
+      setLocalText('');
+      setShowLocalForm(false);
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreatingLocal(false);
+    }
+  }
+
   async function handleRemoveOwner(id) {
     const owner = owners.find(o => o.id === id);
     const confirmed = await confirm({
@@ -382,6 +430,66 @@ function DeckTrackerSettings({ confirm }) {
         </button>
       </form>
 
+      <form className="settings-tracker-add" onSubmit={handleTrackUrl}>
+        <input
+          type="url"
+          placeholder="Deck URL (Archidekt, Moxfield, TappedOut, Deckstats, MTGGoldfish)"
+          value={newDeckUrl}
+          onChange={e => setNewDeckUrl(e.target.value)}
+          disabled={trackingUrl}
+          aria-label="Deck URL to track"
+        />
+        <button className="btn btn-primary btn-sm" type="submit" disabled={trackingUrl || !newDeckUrl.trim()}>
+          {trackingUrl ? 'Tracking...' : 'Track Deck'}
+        </button>
+        <button
+          className={`btn btn-secondary btn-sm${showLocalForm ? ' btn--active' : ''}`}
+          onClick={() => setShowLocalForm(!showLocalForm)}
+          type="button"
+          aria-expanded={showLocalForm}
+        >
+          Local Deck
+        </button>
+      </form>
+
+      {showLocalForm && (
+        <form className="settings-tracker-local" onSubmit={handleCreateLocal}>
+          <p className="settings-collection-hint">
+            For decks that live nowhere online (paper-only, league lists, proxies). Add later versions
+            from the deck page or the compare page&apos;s Save panel; local decks are never auto-refreshed.
+          </p>
+          <div className="settings-tracker-add">
+            <input
+              type="text"
+              placeholder="Deck name"
+              value={localName}
+              onChange={e => setLocalName(e.target.value)}
+              maxLength={200}
+              disabled={creatingLocal}
+              aria-label="Local deck name"
+            />
+          </div>
+          <textarea
+            className="settings-collection-textarea"
+            value={localText}
+            onChange={e => setLocalText(e.target.value)}
+            placeholder={'Commander\n1 Atraxa, Praetors\' Voice\n\n1 Sol Ring\n1 Command Tower'}
+            rows={6}
+            disabled={creatingLocal}
+            aria-label="Deck list"
+          />
+          <div className="settings-collection-import-actions">
+            <button
+              className="btn btn-primary btn-sm"
+              type="submit"
+              disabled={creatingLocal || !localName.trim() || !localText.trim()}
+            >
+              {creatingLocal ? 'Creating...' : 'Create Deck'}
+            </button>
+          </div>
+        </form>
+      )}
+
       {owners.length > 0 && (
         <div className="settings-tracker-owners">
           {owners.map(owner => (
@@ -581,7 +689,7 @@ function DeckTrackerSettings({ confirm }) {
 
       {owners.length === 0 && trackedDecks.length === 0 && (
         <p className="settings-tracker-empty">
-          No tracked users yet. Enter an Archidekt username above to start tracking their decks.
+          Nothing tracked yet. Enter an Archidekt username to browse their decks, or paste a deck URL from any supported site.
         </p>
       )}
     </div>
@@ -590,6 +698,35 @@ function DeckTrackerSettings({ confirm }) {
 
 // --- Collection Manager ---
 
+const CONDITION_LABELS = { NM: 'Near Mint', LP: 'Lightly Played', MP: 'Moderately Played', HP: 'Heavily Played', DMG: 'Damaged' };
+
+// Scryfall language codes (server/lib/collectionImport.js accepts the same set)
+const LANGUAGE_LABELS = {
+  en: 'English', de: 'German', fr: 'French', it: 'Italian', es: 'Spanish', pt: 'Portuguese',
+  ja: 'Japanese', ko: 'Korean', ru: 'Russian', zhs: 'Chinese (Simplified)', zht: 'Chinese (Traditional)',
+  he: 'Hebrew', la: 'Latin', grc: 'Ancient Greek', ar: 'Arabic', sa: 'Sanskrit', ph: 'Phyrexian',
+};
+
+// Filter value for "entries with this field unset"
+const UNSET = '__unset';
+
+// groupBy option → label of the group an entry falls in ('' sorts last)
+const COLLECTION_GROUPS = {
+  location: { label: 'Location', of: c => c.location || '', unset: 'No location' },
+  condition: { label: 'Condition', of: c => CONDITION_LABELS[c.condition] || '', unset: 'Condition not set' },
+  language: { label: 'Language', of: c => LANGUAGE_LABELS[c.language] || '', unset: 'Language not set' },
+  set: { label: 'Set', of: c => (c.set_code || '').toUpperCase(), unset: 'No set' },
+};
+
+function matchesFilter(value, filter) {
+  if (!filter) return true;
+  return filter === UNSET ? !value : value === filter;
+}
+
+function formatPaid(price) {
+  return price == null ? '' : `$${price.toFixed(2)}`;
+}
+
 // Quantity field that commits only on blur/Enter. Keystrokes update local state
 // only; an empty or zero value reverts instead of deleting the card (audit H2).
 function QtyCell({ quantity, onCommit }) {
@@ -642,7 +779,14 @@ function CollectionManager({ confirm }) {
   const [loading, setLoading] = useState(true);
   const [importText, setImportText] = useState('');
   const [importing, setImporting] = useState(false);
+  const [preview, setPreview] = useState(null); // /collection/import/preview result for importText
+  const [importMode, setImportMode] = useState('merge');
+  const [importLocation, setImportLocation] = useState('');
+  const fileInputRef = useRef(null);
   const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ location: '', condition: '', language: '' });
+  const [groupBy, setGroupBy] = useState('');
+  const [editingId, setEditingId] = useState(null);
   const [summary, setSummary] = useState({ uniqueCards: 0, totalCards: 0 });
 
   const refresh = useCallback(async () => {
@@ -662,13 +806,46 @@ function CollectionManager({ confirm }) {
 
   useEffect(() => { refresh(); }, [refresh]);
 
+  function handleImportTextChange(text) {
+    setImportText(text);
+    setPreview(null);
+  }
+
+  async function handleFileChosen(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      handleImportTextChange(await file.text());
+    } catch {
+      toast.error(`Could not read ${file.name}`);
+    }
+  }
+
+  async function handlePreview() {
+    if (!importText.trim()) return;
+    setImporting(true);
+    try {
+      setPreview(await previewCollectionImport(importText));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setImporting(false);
+    }
+  }
+
   async function handleImport() {
     if (!importText.trim()) return;
+    if (importMode === 'replace' && preview?.existingCards > 0) {
+      const ok = await confirm(`Replace your collection? The ${preview.existingCards} entries in it now will be removed first.`);
+      if (!ok) return;
+    }
     setImporting(true);
     try {
-      const data = await importCollection(importText);
+      const data = await importCollection(importText, importMode, importLocation.trim());
       toast.success(`Imported ${data.imported} cards${data.skipped ? ` (${data.skipped} skipped)` : ''}`);
       setImportText('');
+      setPreview(null);
       refresh();
     } catch (err) {
       toast.error(err.message);
@@ -688,7 +865,7 @@ function CollectionManager({ confirm }) {
 
   async function handleUpdateQty(id, newQty) {
     try {
-      await updateCollectionCard(id, newQty);
+      await updateCollectionCard(id, { quantity: newQty });
       refresh();
     } catch (err) {
       toast.error(err.message);
@@ -697,6 +874,17 @@ function CollectionManager({ confirm }) {
     }
   }
 
+  async function handleSaveDetails(id, changes) {
+    try {
+      const data = await updateCollectionCard(id, changes);
+      if (data.mergedInto) toast.success('Merged into the matching entry already in your collection');
+      setEditingId(null);
+      refresh();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
   async function handleClear() {
     const ok = await confirm('Clear your entire collection? This cannot be undone.');
     if (!ok) return;
@@ -709,33 +897,104 @@ function CollectionManager({ confirm }) {
     }
   }
 
+  const locations = useMemo(
+    () => [...new Set(cards.map(c => c.location).filter(Boolean))].sort((a, b) => a.localeCompare(b)),
+    [cards]
+  );
+  const usedLanguages = useMemo(
+    () => Object.keys(LANGUAGE_LABELS).filter(code => cards.some(c => c.language === code)),
+    [cards]
+  );
+  const paidTotal = useMemo(
+    () => cards.reduce((sum, c) => sum + (c.purchase_price ?? 0) * c.quantity, 0),
+    [cards]
+  );
+
   const filteredCards = useMemo(() => {
-    if (!search.trim()) return cards;
-    const lower = search.toLowerCase();
-    return cards.filter(c => c.card_name.toLowerCase().includes(lower));
-  }, [cards, search]);
+    const lower = search.trim().toLowerCase();
+    return cards.filter(c =>
+      (!lower || c.card_name.toLowerCase().includes(lower)) &&
+      matchesFilter(c.location, filters.location) &&
+      matchesFilter(c.condition, filters.condition) &&
+      matchesFilter(c.language, filters.language)
+    );
+  }, [cards, search, filters]);
+
+  // [{ label, cards, total }] in label order, unset group last — or one
+  // unlabelled group when not grouping
+  const groups = useMemo(() => {
+    const group = COLLECTION_GROUPS[groupBy];
+    if (!group) return [{ label: '', cards: filteredCards }];
+    const byLabel = new Map();
+    for (const card of filteredCards) {
+      const label = group.of(card);
+      if (!byLabel.has(label)) byLabel.set(label, []);
+      byLabel.get(label).push(card);
+    }
+    return [...byLabel.keys()]
+      .sort((a, b) => (!a) - (!b) || a.localeCompare(b))
+      .map(label => ({
+        label: label || group.unset,
+        cards: byLabel.get(label),
+        total: byLabel.get(label).reduce((sum, c) => sum + c.quantity, 0),
+      }));
+  }, [filteredCards, groupBy]);
+
+  const filtering = search.trim() || filters.location || filters.condition || filters.language;
+
+  function setFilter(key, value) {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  }
 
   return (
     <div className="settings-collection">
       <h3>My Collection</h3>
       <p className="settings-collection-summary">
         {summary.uniqueCards} unique cards, {summary.totalCards} total
+        {paidTotal > 0 && <> &middot; {formatPaid(paidTotal)} paid</>}
       </p>
+      <datalist id="collection-locations">
+        {locations.map(location => <option key={location} value={location} />)}
+      </datalist>
 
       <div className="settings-collection-import">
         <h4>Import Cards</h4>
-        <p className="settings-collection-hint">Paste a card list — same format as deck text (e.g. "4 Lightning Bolt (m10) [227]")</p>
+        <p className="settings-collection-hint">
+          Paste a card list in deck text format (e.g. "4 Lightning Bolt (m10) [227]"), or load a CSV export
+          from Moxfield, Deckbox, ManaBox, Dragon Shield or TCGplayer
+        </p>
         <textarea
           className="settings-collection-textarea"
           value={importText}
-          onChange={e => setImportText(e.target.value)}
+          onChange={e => handleImportTextChange(e.target.value)}
           placeholder={'4 Lightning Bolt\n2 Sol Ring (c21) [281]\n1 Nazgul (ltr) [551] *F*'}
           rows={5}
           disabled={importing}
         />
+        <input
+          type="text"
+          className="settings-collection-location-input"
+          value={importLocation}
+          onChange={e => setImportLocation(e.target.value)}
+          placeholder="Location for these cards (optional, e.g. Red binder)"
+          maxLength={100}
+          list="collection-locations"
+          disabled={importing}
+          aria-label="Location for imported cards"
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.txt,text/csv,text/plain"
+          onChange={handleFileChosen}
+          hidden
+        />
         <div className="settings-collection-import-actions">
-          <button className="btn btn-primary btn-sm" onClick={handleImport} disabled={importing || !importText.trim()} type="button">
-            {importing ? 'Importing...' : 'Import'}
+          <button className="btn btn-secondary btn-sm" onClick={() => fileInputRef.current?.click()} disabled={importing} type="button">
+            Load File...
+          </button>
+          <button className="btn btn-primary btn-sm" onClick={handlePreview} disabled={importing || !importText.trim() || !!preview} type="button">
+            {importing && !preview ? 'Reading...' : 'Preview'}
           </button>
           {cards.length > 0 && (
             <button className="btn btn-sm btn-ghost-danger" onClick={handleClear} type="button">
@@ -743,12 +1002,27 @@ function CollectionManager({ confirm }) {
             </button>
           )}
         </div>
+
+        {preview && (
+          <ImportPreview
+            preview={preview}
+            mode={importMode}
+            onModeChange={setImportMode}
+            importing={importing}
+            onImport={handleImport}
+            onCancel={() => setPreview(null)}
+          />
+        )}
       </div>
 
+      {cards.length > 0 && <CollectionExport />}
+
+      {cards.length > 0 && <CollectionValue />}
+
       {cards.length > 0 && (
         <>
-          {cards.length > 10 && (
-            <div className="settings-collection-search">
+          <div className="settings-collection-filters">
+            {cards.length > 10 && (
               <input
                 type="text"
                 placeholder="Search collection..."
@@ -756,12 +1030,39 @@ function CollectionManager({ confirm }) {
                 onChange={e => setSearch(e.target.value)}
                 className="settings-tracker-search-input"
               />
-            </div>
-          )}
+            )}
+            {locations.length > 0 && (
+              <select value={filters.location} onChange={e => setFilter('location', e.target.value)} aria-label="Location filter">
+                <option value="">All locations</option>
+                {locations.map(location => <option key={location} value={location}>{location}</option>)}
+                <option value={UNSET}>No location</option>
+              </select>
+            )}
+            <select value={filters.condition} onChange={e => setFilter('condition', e.target.value)} aria-label="Condition filter">
+              <option value="">Any condition</option>
+              {Object.entries(CONDITION_LABELS).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+              <option value={UNSET}>Condition not set</option>
+            </select>
+            {usedLanguages.length > 0 && (
+              <select value={filters.language} onChange={e => setFilter('language', e.target.value)} aria-label="Language filter">
+                <option value="">Any language</option>
+                {usedLanguages.map(code => <option key={code} value={code}>{LANGUAGE_LABELS[code]}</option>)}
+                <option value={UNSET}>Language not set</option>
+              </select>
+            )}
+            <select value={groupBy} onChange={e => setGroupBy(e.target.value)} aria-label="Group by">
+              <option value="">No grouping</option>
+              {Object.entries(COLLECTION_GROUPS).map(([key, group]) => (
+                <option key={key} value={key}>Group by {group.label.toLowerCase()}</option>
+              ))}
+            </select>
+          </div>
           <div className="settings-collection-list">
             {loading ? <Skeleton lines={5} /> : (
               filteredCards.length === 0 ? (
-                <p className="settings-tracker-empty">No cards matching "{search}"</p>
+                <p className="settings-tracker-empty">
+                  {search.trim() ? `No cards matching "${search}"` : 'No cards match these filters'}
+                </p>
               ) : (
                 <table className="settings-collection-table">
                   <thead>
@@ -769,49 +1070,511 @@ function CollectionManager({ confirm }) {
                       <th>Qty</th>
                       <th>Card Name</th>
                       <th>Set</th>
+                      <th>Cond.</th>
+                      <th>Lang</th>
+                      <th>Location</th>
+                      <th>Paid</th>
                       <th></th>
                     </tr>
                   </thead>
-                  <tbody>
-                    {filteredCards.map(card => (
-                      <tr key={card.id}>
-                        <td>
-                          <QtyCell
-                            quantity={card.quantity}
-                            onCommit={qty => handleUpdateQty(card.id, qty)}
-                          />
-                        </td>
-                        <td>
-                          {card.card_name}
-                          {card.is_foil ? ' \u2726' : ''}
-                        </td>
-                        <td className="settings-collection-set">
-                          {card.set_code ? `(${card.set_code.toUpperCase()})` : ''}
-                          {card.collector_number ? ` #${card.collector_number}` : ''}
-                        </td>
-                        <td>
-                          <button
-                            className="btn btn-sm btn-ghost-danger"
-                            onClick={() => handleDeleteCard(card.id)}
-                            type="button"
-                            title="Remove from collection"
-                          >
-                            &times;
-                          </button>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
+                  {groups.map(group => (
+                    <tbody key={group.label}>
+                      {group.label && (
+                        <tr className="settings-collection-group">
+                          <th colSpan={8}>
+                            {group.label}
+                            <span className="settings-collection-group-count">
+                              {group.total} card{group.total !== 1 ? 's' : ''}
+                            </span>
+                          </th>
+                        </tr>
+                      )}
+                      {group.cards.map(card => (
+                        <CollectionRow
+                          key={card.id}
+                          card={card}
+                          editing={editingId === card.id}
+                          onEdit={() => setEditingId(editingId === card.id ? null : card.id)}
+                          onUpdateQty={qty => handleUpdateQty(card.id, qty)}
+                          onSaveDetails={changes => handleSaveDetails(card.id, changes)}
+                          onDelete={() => handleDeleteCard(card.id)}
+                        />
+                      ))}
+                    </tbody>
+                  ))}
                 </table>
               )
             )}
           </div>
+          {filtering && filteredCards.length > 0 && (
+            <p className="settings-collection-hint">
+              Showing {filteredCards.length} of {cards.length} entries
+            </p>
+          )}
         </>
       )}
     </div>
   );
 }
 
+function CollectionRow({ card, editing, onEdit, onUpdateQty, onSaveDetails, onDelete }) {
+  return (
+    <>
+      <tr>
+        <td>
+          <QtyCell quantity={card.quantity} onCommit={onUpdateQty} />
+        </td>
+        <td>
+          {card.card_name}
+          {card.is_foil ? ' \u2726' : ''}
+        </td>
+        <td className="settings-collection-set">
+          {card.set_code ? `(${card.set_code.toUpperCase()})` : ''}
+          {card.collector_number ? ` #${card.collector_number}` : ''}
+        </td>
+        <td title={CONDITION_LABELS[card.condition]}>{card.condition || ''}</td>
+        <td title={LANGUAGE_LABELS[card.language]}>{card.language || ''}</td>
+        <td className="settings-collection-location">{card.location || ''}</td>
+        <td title={card.acquired_at ? `Acquired ${card.acquired_at}` : undefined}>{formatPaid(card.purchase_price)}</td>
+        <td className="settings-collection-row-actions">
+          <button
+            className="btn btn-sm btn-secondary"
+            onClick={onEdit}
+            type="button"
+            title="Edit condition, language, purchase and location"
+            aria-expanded={editing}
+          >
+            Edit
+          </button>
+          <button
+            className="btn btn-sm btn-ghost-danger"
+            onClick={onDelete}
+            type="button"
+            title="Remove from collection"
+          >
+            &times;
+          </button>
+        </td>
+      </tr>
+      {editing && (
+        <tr className="settings-collection-edit-row">
+          <td colSpan={8}>
+            <CardDetailsForm card={card} onSave={onSaveDetails} onCancel={onEdit} />
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+// Empty fields are sent as null, which clears the stored value
+function CardDetailsForm({ card, onSave, onCancel }) {
+  const [condition, setCondition] = useState(card.condition || '');
+  const [language, setLanguage] = useState(card.language || '');
+  const [price, setPrice] = useState(card.purchase_price != null ? card.purchase_price.toFixed(2) : '');
+  const [acquiredAt, setAcquiredAt] = useState(card.acquired_at || '');
+  const [location, setLocation] = useState(card.location || '');
+  const [saving, setSaving] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const purchasePrice = price.trim() ? parseFloat(price) : null;
+    if (purchasePrice !== null && !(purchasePrice >= 0)) {
+      toast.error('Enter the price paid per copy, e.g. 2.50');
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave({
+        condition: condition || null,
+        language: language || null,
+        purchasePrice,
+        acquiredAt: acquiredAt || null,
+        location: location.trim() || null,
+      });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="settings-collection-details" onSubmit={handleSubmit}>
+      <label>
+        Condition
+        <select value={condition} onChange={e => setCondition(e.target.value)}>
+          <option value="">Not set</option>
+          {Object.entries(CONDITION_LABELS).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+        </select>
+      </label>
+      <label>
+        Language
+        <select value={language} onChange={e => setLanguage(e.target.value)}>
+          <option value="">Not set</option>
+          {Object.entries(LANGUAGE_LABELS).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+        </select>
+      </label>
+      <label>
+        Paid per copy ($)
+        <input type="number" min="0" step="0.01" value={price} onChange={e => setPrice(e.target.value)} />
+      </label>
+      <label>
+        Acquired
+        <input type="date" value={acquiredAt} onChange={e => setAcquiredAt(e.target.value)} />
+      </label>
+      <label className="settings-collection-details-location">
+        Location
+        <input
+          type="text"
+          value={location}
+          onChange={e => setLocation(e.target.value)}
+          placeholder="Binder, box..."
+          maxLength={100}
+          list="collection-locations"
+        />
+      </label>
+      <div className="settings-collection-import-actions">
+        <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button className="btn btn-secondary btn-sm" type="button" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+const MOVER_PERIODS = [
+  { value: 1, label: 'Since yesterday' },
+  { value: 7, label: 'Past 7 days' },
+  { value: 30, label: 'Past 30 days' },
+];
+
+function formatChange(amount) {
+  return `${amount >= 0 ? '+' : '\u2212'}$${Math.abs(amount).toFixed(2)}`;
+}
+
+function printingLabel(card) {
+  return [
+    card.setCode ? `(${card.setCode.toUpperCase()})` : '',
+    card.collectorNumber ? `#${card.collectorNumber}` : '',
+    card.isFoil ? '\u2726' : '',
+  ].filter(Boolean).join(' ');
+}
+
+// Daily value chart, biggest movers and gain/loss against purchase prices.
+// Values come from the scheduler's daily valuation; "Value Now" adds today's.
+function CollectionValue() {
+  const [period, setPeriod] = useState(7);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [valuing, setValuing] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setReport(await getCollectionValue(period));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => { load(); }, [load]);
+
+  async function handleValueNow() {
+    setValuing(true);
+    try {
+      const summary = await refreshCollectionValue();
+      toast.success(`Collection valued at $${summary.totalValue.toFixed(2)}`);
+      load();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setValuing(false);
+    }
+  }
+
+  // Noon keeps the day from shifting across time zones in the chart labels
+  const dataPoints = useMemo(() => (report?.history || []).map(point => ({
+    price: point.total_value,
+    budgetPrice: null,
+    date: `${point.day}T12:00:00`,
+    nickname: point.unpriced_count ? `${point.unpriced_count} card${point.unpriced_count !== 1 ? 's' : ''} without a price` : null,
+  })), [report]);
+
+  const gainLoss = report?.gainLoss;
+  const movers = report?.movers;
+
+  return (
+    <div className="settings-collection-import settings-collection-value">
+      <h4>Collection Value</h4>
+      <p className="settings-collection-hint">
+        Valued once a day at Scryfall prices &mdash; each printing at its own price, foils at the foil price
+      </p>
+      {loading ? <Skeleton lines={4} /> : (
+        <>
+          <PriceHistoryChart
+            dataPoints={dataPoints}
+            height={220}
+            emptyHint="Your collection is valued once a day, or click Value Now"
+          />
+          <div className="settings-collection-import-actions">
+            <button className="btn btn-secondary btn-sm" onClick={handleValueNow} disabled={valuing} type="button">
+              {valuing ? 'Valuing...' : 'Value Now'}
+            </button>
+          </div>
+
+          {gainLoss?.entries > 0 && (
+            <p className="settings-collection-value-gain">
+              Paid ${gainLoss.costBasis.toFixed(2)} for the {gainLoss.entries} entr{gainLoss.entries !== 1 ? 'ies' : 'y'} with
+              a purchase price, now worth ${gainLoss.currentValue.toFixed(2)}:{' '}
+              <span className={gainLoss.gain >= 0 ? 'settings-collection-value-up' : 'settings-collection-value-down'}>
+                {formatChange(gainLoss.gain)}
+                {gainLoss.gainPct != null && ` (${gainLoss.gainPct >= 0 ? '+' : ''}${gainLoss.gainPct.toFixed(1)}%)`}
+              </span>
+            </p>
+          )}
+
+          {movers && (
+            <div className="settings-collection-value-section">
+              <div className="settings-collection-value-heading">
+                <h5>Biggest Movers</h5>
+                <select value={period} onChange={e => setPeriod(Number(e.target.value))} aria-label="Mover period">
+                  {MOVER_PERIODS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+                </select>
+              </div>
+              {movers.cards.length === 0 ? (
+                <p className="settings-collection-hint">
+                  {movers.since ? 'No price changes in this period' : 'Not enough value history for this period yet'}
+                </p>
+              ) : (
+                <ValueTable
+                  rows={movers.cards}
+                  columns={['Was', 'Now', 'Change']}
+                  cells={m => [
+                    `$${m.previousPrice.toFixed(2)}`,
+                    `$${m.currentPrice.toFixed(2)}`,
+                    <span key="change" className={m.totalChange >= 0 ? 'settings-collection-value-up' : 'settings-collection-value-down'}
+                      title={m.changePct != null ? `${m.changePct >= 0 ? '+' : ''}${m.changePct.toFixed(1)}% per copy` : undefined}>
+                      {formatChange(m.totalChange)}
+                    </span>,
+                  ]}
+                />
+              )}
+            </div>
+          )}
+
+          {gainLoss && (gainLoss.gainers.length > 0 || gainLoss.losers.length > 0) && (
+            <div className="settings-collection-value-section">
+              <h5>Gain / Loss vs. Purchase Price</h5>
+              <ValueTable
+                rows={[...gainLoss.gainers, ...gainLoss.losers]}
+                columns={['Paid', 'Now', 'Gain']}
+                cells={e => [
+                  `$${e.purchasePrice.toFixed(2)}`,
+                  `$${e.currentPrice.toFixed(2)}`,
+                  <span key="gain" className={e.gain >= 0 ? 'settings-collection-value-up' : 'settings-collection-value-down'}>
+                    {formatChange(e.gain)}
+                  </span>,
+                ]}
+              />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Card rows for the value reports: quantity, name and printing, then `cells`
+function ValueTable({ rows, columns, cells }) {
+  return (
+    <div className="settings-collection-list">
+      <table className="settings-collection-table settings-collection-table--report">
+        <thead>
+          <tr>
+            <th>Qty</th>
+            <th>Card Name</th>
+            {columns.map(col => <th key={col}>{col}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={i}>
+              <td>{row.quantity}</td>
+              <td>
+                {row.cardName}
+                <span className="settings-collection-set"> {printingLabel(row)}</span>
+              </td>
+              {cells(row).map((cell, j) => <td key={j}>{cell}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const EXPORT_FORMAT_OPTIONS = [
+  { value: 'text', label: 'Card list (text)' },
+  { value: 'moxfield', label: 'Moxfield CSV' },
+  { value: 'deckbox', label: 'Deckbox CSV' },
+  { value: 'json', label: 'JSON' },
+];
+
+function CollectionExport() {
+  const [format, setFormat] = useState('text');
+  const [set, setSet] = useState('');
+  const [foil, setFoil] = useState('');
+  const [usage, setUsage] = useState(''); // '' | 'any' | 'unused' | deck id
+  const [decks, setDecks] = useState([]);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    getTrackedDecks().then(data => setDecks(data.decks || [])).catch(() => {});
+  }, []);
+
+  async function handleExport() {
+    setExporting(true);
+    try {
+      await downloadCollectionExport({
+        format,
+        set: set.trim(),
+        foil,
+        inDeck: usage && usage !== 'unused' ? usage : undefined,
+        unused: usage === 'unused' ? 'true' : undefined,
+      });
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  return (
+    <div className="settings-collection-import">
+      <h4>Export Collection</h4>
+      <p className="settings-collection-hint">Every format can be imported here again, or into Moxfield and Deckbox</p>
+      <div className="settings-collection-export">
+        <select value={format} onChange={e => setFormat(e.target.value)} aria-label="Export format">
+          {EXPORT_FORMAT_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+        </select>
+        <input
+          type="text"
+          value={set}
+          onChange={e => setSet(e.target.value)}
+          placeholder="Set code"
+          maxLength={10}
+          aria-label="Only this set"
+        />
+        <select value={foil} onChange={e => setFoil(e.target.value)} aria-label="Foil filter">
+          <option value="">Foil and non-foil</option>
+          <option value="true">Foil only</option>
+          <option value="false">Non-foil only</option>
+        </select>
+        <select value={usage} onChange={e => setUsage(e.target.value)} aria-label="Deck filter">
+          <option value="">All cards</option>
+          <option value="any">Used in any deck</option>
+          <option value="unused">Not used in any deck</option>
+          {decks.map(deck => <option key={deck.id} value={deck.id}>Used in {deck.deck_name}</option>)}
+        </select>
+        <button className="btn btn-primary btn-sm" onClick={handleExport} disabled={exporting} type="button">
+          {exporting ? 'Exporting...' : 'Download'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ImportPreview({ preview, mode, onModeChange, importing, onImport, onCancel }) {
+  const { formatLabel, rows, totalCards, cards, skipped, skippedRows, existingCards } = preview;
+  const hasDetails = cards.some(c => c.condition || c.language || c.purchasePrice != null);
+
+  return (
+    <div className="settings-collection-preview">
+      <p className="settings-collection-preview-summary">
+        <strong>{formatLabel}</strong> &mdash; {rows} row{rows !== 1 ? 's' : ''}, {totalCards} card{totalCards !== 1 ? 's' : ''}
+        {skipped > 0 && <span className="settings-collection-preview-skipped"> &middot; {skipped} skipped</span>}
+      </p>
+
+      {rows > 0 && (
+        <div className="settings-collection-list">
+          <table className="settings-collection-table">
+            <thead>
+              <tr>
+                <th>Qty</th>
+                <th>Card Name</th>
+                <th>Set</th>
+                {hasDetails && <th>Condition</th>}
+                {hasDetails && <th>Lang</th>}
+                {hasDetails && <th>Paid</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {cards.map((card, i) => (
+                <tr key={i}>
+                  <td>{card.quantity}</td>
+                  <td>
+                    {card.cardName}
+                    {card.isFoil ? ' \u2726' : ''}
+                  </td>
+                  <td className="settings-collection-set">
+                    {card.setCode ? `(${card.setCode.toUpperCase()})` : ''}
+                    {card.collectorNumber ? ` #${card.collectorNumber}` : ''}
+                  </td>
+                  {hasDetails && <td title={CONDITION_LABELS[card.condition]}>{card.condition || ''}</td>}
+                  {hasDetails && <td>{card.language || ''}</td>}
+                  {hasDetails && <td>{card.purchasePrice != null ? `$${card.purchasePrice.toFixed(2)}` : ''}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows > cards.length && (
+            <p className="settings-collection-hint">&hellip;and {rows - cards.length} more</p>
+          )}
+        </div>
+      )}
+
+      {skippedRows.length > 0 && (
+        <details className="settings-collection-preview-skips">
+          <summary>Skipped rows</summary>
+          <ul>
+            {skippedRows.map((skip, i) => (
+              <li key={i}>
+                {skip.row ? `Row ${skip.row}: ` : ''}<code>{skip.text}</code> &mdash; {skip.reason}
+              </li>
+            ))}
+          </ul>
+          {skipped > skippedRows.length && (
+            <p className="settings-collection-hint">&hellip;and {skipped - skippedRows.length} more</p>
+          )}
+        </details>
+      )}
+
+      <div className="settings-collection-preview-mode">
+        <label>
+          <input type="radio" name="collection-import-mode" value="merge" checked={mode === 'merge'} onChange={() => onModeChange('merge')} />
+          Merge &mdash; add to the quantities already in your collection
+        </label>
+        <label>
+          <input type="radio" name="collection-import-mode" value="replace" checked={mode === 'replace'} onChange={() => onModeChange('replace')} />
+          Replace &mdash; clear your collection{existingCards > 0 ? ` (${existingCards} entries)` : ''} first
+        </label>
+      </div>
+
+      <div className="settings-collection-import-actions">
+        <button className="btn btn-primary btn-sm" onClick={onImport} disabled={importing || rows === 0} type="button">
+          {importing ? 'Importing...' : `Import ${rows} row${rows !== 1 ? 's' : ''}`}
+        </button>
+        <button className="btn btn-secondary btn-sm" onClick={onCancel} disabled={importing} type="button">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // --- Deck Overlap Analysis ---
 
 function DeckOverlapAnalysis() {
@@ -1034,3 +1797,170 @@ function NotificationHistory() {
     </div>
   );
 }
+
+// --- Shopping List ---
+
+function formatCost(cost) {
+  return cost == null ? '\u2014' : `$${cost.toFixed(2)}`;
+}
+
+// What to buy for the chosen decks. Owned copies go to the decks in the order
+// they were ticked (see allocateAcrossDecks), so a card shared by two decks
+// is only counted as owned once.
+function ShoppingList() {
+  const [decks, setDecks] = useState([]);
+  const [selected, setSelected] = useState([]); // deck ids, priority order
+  const [list, setList] = useState(null);
+  const [building, setBuilding] = useState(false);
+  const [format, setFormat] = useState('tcgplayer');
+
+  useEffect(() => {
+    getTrackedDecks().then(data => setDecks(data.decks || [])).catch(() => {});
+  }, []);
+
+  const deckNames = useMemo(() => new Map(decks.map(d => [d.id, d.deck_name])), [decks]);
+
+  function toggleDeck(id) {
+    setSelected(prev => (prev.includes(id) ? prev.filter(d => d !== id) : [...prev, id]));
+    setList(null);
+  }
+
+  async function handleBuild() {
+    setBuilding(true);
+    try {
+      setList(await getShoppingList(selected));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBuilding(false);
+    }
+  }
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(formatShoppingList(list.cards, format));
+      toast.success(`Copied ${list.cards.length} cards for ${SHOPPING_LIST_FORMATS[format].label}`);
+    } catch {
+      toast.error('Could not copy to the clipboard');
+    }
+  }
+
+  if (decks.length === 0) return null;
+
+  return (
+    <div className="settings-overlap settings-shopping">
+      <h3>Shopping List</h3>
+      <p className="settings-overlap-summary">
+        Pick the decks you want to build. Cards you own go to the decks in the order you pick them, so a copy
+        is never counted for two decks.
+      </p>
+
+      <div className="settings-shopping-decks">
+        {decks.map(deck => {
+          const rank = selected.indexOf(deck.id);
+          return (
+            <label key={deck.id} className={`settings-shopping-deck${rank !== -1 ? ' settings-shopping-deck--selected' : ''}`}>
+              <input type="checkbox" checked={rank !== -1} onChange={() => toggleDeck(deck.id)} />
+              {rank !== -1 && <span className="settings-shopping-rank">{rank + 1}</span>}
+              {deck.deck_name}
+            </label>
+          );
+        })}
+      </div>
+      <div className="settings-collection-import-actions">
+        <button className="btn btn-primary btn-sm" onClick={handleBuild} disabled={building || selected.length === 0} type="button">
+          {building ? 'Building...' : 'Build List'}
+        </button>
+        {selected.length > 0 && (
+          <button className="btn btn-secondary btn-sm" onClick={() => { setSelected([]); setList(null); }} disabled={building} type="button">
+            Clear
+          </button>
+        )}
+      </div>
+
+      {list && (
+        <>
+          <div className="settings-collection-list">
+            <table className="settings-collection-table settings-collection-table--report">
+              <thead>
+                <tr>
+                  <th>Deck</th>
+                  <th>Owned</th>
+                  <th>Missing</th>
+                  <th>Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {list.decks.map(deck => (
+                  <tr key={deck.id}>
+                    <td>
+                      {deck.name}
+                      {!deck.hasSnapshot && <span className="settings-collection-set"> (no snapshot yet)</span>}
+                    </td>
+                    <td>{deck.ownedCopies}/{deck.neededCopies}</td>
+                    <td>{deck.missingCopies}</td>
+                    <td title={deck.unpriced ? `${deck.unpriced} card${deck.unpriced !== 1 ? 's' : ''} without a price` : undefined}>
+                      {formatCost(deck.cost)}{deck.unpriced > 0 && deck.cost != null ? '+' : ''}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {list.cards.length === 0 ? (
+            <p className="settings-tracker-empty">You own every card these decks need.</p>
+          ) : (
+            <>
+              <p className="settings-overlap-summary">
+                <strong>{list.totalCopies}</strong> card{list.totalCopies !== 1 ? 's' : ''} to buy
+                {list.totalCost != null
+                  ? <> for about <strong>${list.totalCost.toFixed(2)}</strong> at the cheapest printings</>
+                  : ' \u2014 prices are unavailable right now'}
+              </p>
+              <div className="settings-collection-export">
+                <select value={format} onChange={e => setFormat(e.target.value)} aria-label="Shopping list format">
+                  {Object.entries(SHOPPING_LIST_FORMATS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+                </select>
+                <button className="btn btn-primary btn-sm" onClick={handleCopy} type="button">Copy</button>
+                <button
+                  className="btn btn-secondary btn-sm"
+                  onClick={() => downloadFile(formatShoppingList(list.cards, format), `shopping-list-${format}.txt`, 'text/plain')}
+                  type="button"
+                >
+                  Download
+                </button>
+              </div>
+              <div className="settings-collection-list">
+                <table className="settings-collection-table settings-collection-table--report">
+                  <thead>
+                    <tr>
+                      <th>Qty</th>
+                      <th>Card Name</th>
+                      <th>For</th>
+                      <th>Each</th>
+                      <th>Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {list.cards.map(card => (
+                      <tr key={card.name}>
+                        <td>{card.quantity}</td>
+                        <td>{card.name}</td>
+                        <td className="settings-collection-set">
+                          {card.decks.map(d => `${deckNames.get(d.id) || 'Deck'}${card.decks.length > 1 ? ` (${d.quantity})` : ''}`).join(', ')}
+                        </td>
+                        <td>{formatCost(card.unitPrice)}</td>
+                        <td>{formatCost(card.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
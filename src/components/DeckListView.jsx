@@ -1,8 +1,10 @@
 import { memo, useMemo, useState } from 'react';
 import { useAppSettings } from '../context/AppSettingsContext';
 import CardLine from './CardLine';
-import { groupByType, TYPE_ORDER } from '../lib/scryfall';
-import { collectionCoverage, allocateOwnedCopies, lineKey } from '../lib/collectionMatch';
+import GroupByToggle from './GroupByToggle';
+import { groupByType, groupByCategory, TYPE_ORDER } from '../lib/scryfall';
+import { collectionCoverage, allocateOwnedCopies, lineKey, ownedNameKey } from '../lib/collectionMatch';
+import { checkColorIdentity, violationsByName } from '../lib/colorIdentity';
 import { symbolToSvgUrl } from './ManaCost';
 import { parseCMC, extractColors, COLOR_LABELS, COLOR_CSS } from '../lib/analytics';
 import './DeckListView.css';
@@ -211,7 +213,7 @@ function DeckAnalytics({ parsedDeck, cardMap }) {
   );
 }
 
-function DeckSection({ sectionName, cards, cardMap, ownedAllocation }) {
+function DeckSection({ sectionName, cards, cardMap, ownedAllocation, ownedLocations, categories, groupBy, offIdentity }) {
   const cardArray = useMemo(() => {
     const arr = [];
     for (const [, entry] of cards) {
@@ -221,13 +223,18 @@ function DeckSection({ sectionName, cards, cardMap, ownedAllocation }) {
         setCode: entry.setCode || '',
         collectorNumber: entry.collectorNumber || '',
         isFoil: entry.isFoil || false,
+        category: categories?.get(entry.displayName.toLowerCase()) || null,
       });
     }
     return arr.sort((a, b) => a.name.localeCompare(b.name));
-  }, [cards]);
+  }, [cards, categories]);
 
   const hasTypes = cardMap && cardMap.size > 0;
-  const groups = useMemo(() => hasTypes ? groupByType(cardArray, cardMap) : null, [cardArray, cardMap, hasTypes]);
+  const byCategory = groupBy === 'category' && cardArray.some(c => c.category);
+  const groups = useMemo(() => {
+    if (byCategory) return groupByCategory(cardArray);
+    return hasTypes ? groupByType(cardArray, cardMap) : null;
+  }, [cardArray, cardMap, hasTypes, byCategory]);
 
   const totalCards = useMemo(() => cardArray.reduce((sum, c) => sum + c.quantity, 0), [cardArray]);
 
@@ -258,6 +265,8 @@ function DeckSection({ sectionName, cards, cardMap, ownedAllocation }) {
         collectorNumber={card.collectorNumber}
         isFoil={card.isFoil}
         owned={owned}
+        ownedLocations={owned ? ownedLocations?.get(ownedNameKey(card.name)) : undefined}
+        offColors={offIdentity?.get(nameLower)}
         priceUsd={data?.priceUsd}
         priceUsdFoil={data?.priceUsdFoil}
         cheapestPriceUsd={bareData?.priceUsd}
@@ -272,7 +281,7 @@ function DeckSection({ sectionName, cards, cardMap, ownedAllocation }) {
         {sectionName}
         <span className="deck-list-section-count">{totalCards} cards ({cardArray.length} unique)</span>
       </h3>
-      {hasTypes ? (
+      {groups ? (
         groups.map(({ type, cards: groupCards }) => (
           <div key={type} className="section-changelog-type-group">
             <span className="section-changelog-type-label">{type}</span>
@@ -292,7 +301,8 @@ function computeDeckPrice(parsedDeck, cardMap) {
   let total = 0;
   let hasAnyPrice = false;
 
-  for (const section of [parsedDeck.mainboard, parsedDeck.sideboard]) {
+  for (const section of [parsedDeck.mainboard, parsedDeck.sideboard, parsedDeck.companions]) {
+    if (!section) continue;
     for (const [, entry] of section) {
       const nameLower = entry.displayName.toLowerCase();
       const compositeKey = entry.collectorNumber ? `${nameLower}|${entry.collectorNumber}` : null;
@@ -316,7 +326,8 @@ function computeBudgetPrice(parsedDeck, cardMap) {
   let total = 0;
   let hasAnyPrice = false;
 
-  for (const section of [parsedDeck.mainboard, parsedDeck.sideboard]) {
+  for (const section of [parsedDeck.mainboard, parsedDeck.sideboard, parsedDeck.companions]) {
+    if (!section) continue;
     for (const [, entry] of section) {
       const nameLower = entry.displayName.toLowerCase();
       const data = cardMap.get(nameLower); // Always use bare-name key for cheapest
@@ -337,12 +348,29 @@ function computeBudgetPrice(parsedDeck, cardMap) {
   return hasAnyPrice ? total : null;
 }
 
-export default memo(function DeckListView({ parsedDeck, cardMap, searchQuery, ownedIndex }) {
+/** Filter a parsed section Map by card name (case-insensitive). */
+function filterBoard(board, searchQuery) {
+  if (!board) return new Map();
+  if (!searchQuery) return board;
+  const lower = searchQuery.toLowerCase();
+  const filtered = new Map();
+  for (const [key, entry] of board) {
+    if (entry.displayName.toLowerCase().includes(lower)) {
+      filtered.set(key, entry);
+    }
+  }
+  return filtered;
+}
+
+export default memo(function DeckListView({ parsedDeck, cardMap, searchQuery, ownedIndex, ownedLocations, commanders: chosenCommanders }) {
   // Hooks must run unconditionally — see Rules of Hooks. Guard on the derived
   // values below, never with an early return before the hooks.
   const { priceDisplayEnabled } = useAppSettings();
   const [showAnalytics, setShowAnalytics] = useState(true);
-  const { mainboard, sideboard, commanders } = parsedDeck || {};
+  const [groupBy, setGroupBy] = useState('type');
+  const { mainboard, sideboard, companions, maybeboard, categories } = parsedDeck || {};
+  // A tracked deck's chosen commanders win over what the list marks
+  const commanders = chosenCommanders?.length ? chosenCommanders : parsedDeck?.commanders;
 
   const deckPrice = useMemo(() => (priceDisplayEnabled && parsedDeck) ? computeDeckPrice(parsedDeck, cardMap) : null, [parsedDeck, cardMap, priceDisplayEnabled]);
   const budgetDeckPrice = useMemo(() => (priceDisplayEnabled && parsedDeck) ? computeBudgetPrice(parsedDeck, cardMap) : null, [parsedDeck, cardMap, priceDisplayEnabled]);
@@ -359,32 +387,17 @@ export default memo(function DeckListView({ parsedDeck, cardMap, searchQuery, ow
     [parsedDeck, ownedIndex]
   );
 
+  const identityCheck = useMemo(
+    () => (parsedDeck && cardMap && cardMap.size > 0 ? checkColorIdentity(parsedDeck, cardMap, commanders) : null),
+    [parsedDeck, cardMap, commanders]
+  );
+  const offIdentity = useMemo(() => violationsByName(identityCheck), [identityCheck]);
+
   // Filter cards by search query if provided
-  const filteredMainboard = useMemo(() => {
-    if (!mainboard) return new Map();
-    if (!searchQuery) return mainboard;
-    const lower = searchQuery.toLowerCase();
-    const filtered = new Map();
-    for (const [key, entry] of mainboard) {
-      if (entry.displayName.toLowerCase().includes(lower)) {
-        filtered.set(key, entry);
-      }
-    }
-    return filtered;
-  }, [mainboard, searchQuery]);
-
-  const filteredSideboard = useMemo(() => {
-    if (!sideboard) return new Map();
-    if (!searchQuery) return sideboard;
-    const lower = searchQuery.toLowerCase();
-    const filtered = new Map();
-    for (const [key, entry] of sideboard) {
-      if (entry.displayName.toLowerCase().includes(lower)) {
-        filtered.set(key, entry);
-      }
-    }
-    return filtered;
-  }, [sideboard, searchQuery]);
+  const filteredMainboard = useMemo(() => filterBoard(mainboard, searchQuery), [mainboard, searchQuery]);
+  const filteredSideboard = useMemo(() => filterBoard(sideboard, searchQuery), [sideboard, searchQuery]);
+  const filteredCompanions = useMemo(() => filterBoard(companions, searchQuery), [companions, searchQuery]);
+  const filteredMaybeboard = useMemo(() => filterBoard(maybeboard, searchQuery), [maybeboard, searchQuery]);
 
   if (!parsedDeck) return null;
 
@@ -395,6 +408,17 @@ export default memo(function DeckListView({ parsedDeck, cardMap, searchQuery, ow
           {commanders.join(' / ')}
         </div>
       )}
+      {identityCheck && (identityCheck.pairingProblem || identityCheck.violations.length > 0) && (
+        <div className="deck-list-identity-warning" role="status">
+          {identityCheck.pairingProblem && <div>{identityCheck.pairingProblem}</div>}
+          {identityCheck.violations.length > 0 && (
+            <div>
+              {identityCheck.violations.length} card{identityCheck.violations.length === 1 ? ' is' : 's are'} outside
+              the commander&rsquo;s color identity ({identityCheck.identity.join('') || 'colorless'})
+            </div>
+          )}
+        </div>
+      )}
       {coverage && coverage.uniqueTotal > 0 && (
         <div className="deck-list-collection-summary">
           Collection: you own <strong>{coverage.uniqueOwned}</strong> of {coverage.uniqueTotal} unique cards
@@ -424,8 +448,11 @@ export default memo(function DeckListView({ parsedDeck, cardMap, searchQuery, ow
       {showAnalytics && cardMap && cardMap.size > 0 && (
         <DeckAnalytics parsedDeck={parsedDeck} cardMap={cardMap} />
       )}
-      <DeckSection sectionName="Mainboard" cards={filteredMainboard} cardMap={cardMap} ownedAllocation={ownedAllocation} />
-      {filteredSideboard.size > 0 && <DeckSection sectionName="Sideboard" cards={filteredSideboard} cardMap={cardMap} ownedAllocation={ownedAllocation} />}
+      <GroupByToggle value={groupBy} onChange={setGroupBy} available={categories && categories.size > 0} />
+      <DeckSection sectionName="Mainboard" cards={filteredMainboard} cardMap={cardMap} ownedAllocation={ownedAllocation} ownedLocations={ownedLocations} categories={categories} groupBy={groupBy} offIdentity={offIdentity} />
+      {filteredSideboard.size > 0 && <DeckSection sectionName="Sideboard" cards={filteredSideboard} cardMap={cardMap} ownedAllocation={ownedAllocation} ownedLocations={ownedLocations} categories={categories} groupBy={groupBy} />}
+      {filteredCompanions.size > 0 && <DeckSection sectionName="Companion" cards={filteredCompanions} cardMap={cardMap} ownedAllocation={ownedAllocation} ownedLocations={ownedLocations} categories={categories} groupBy={groupBy} offIdentity={offIdentity} />}
+      {filteredMaybeboard.size > 0 && <DeckSection sectionName="Maybeboard" cards={filteredMaybeboard} cardMap={cardMap} ownedAllocation={ownedAllocation} ownedLocations={ownedLocations} categories={categories} groupBy={groupBy} />}
     </div>
   );
 });
@@ -4,29 +4,39 @@ import { useAppSettings } from '../context/AppSettingsContext';
 import { useConfirm } from './ConfirmModal';
 import { toast } from './Toast';
 import {
-  getTrackedDecks, untrackDeck, refreshDeck,
+  getTrackedDecks, untrackDeck, refreshDeck, createSnapshot,
   getDeckSnapshots, deleteSnapshot as apiDeleteSnapshot, renameSnapshot,
   getDeckChangelog, updateDeckCommanders, updateDeckNotify,
   lockSnapshot, unlockSnapshot, setPaperSnapshot, clearPaperSnapshot,
   getDeckTimeline, getSnapshot,
-  shareDeck, unshareDeck,
+  shareDeck, unshareDeck, updateDeckShare,
   updateDeckNotes, updateDeckPinned, updateDeckTags,
   updateDeckDiscordWebhook,
   getDeckPrices, updateDeckPriceAlert, updateDeckAutoRefresh,
+  updateDeckRetentionPolicy, getRetentionPreview,
   submitImageDownload, getDownloadJobStatus, downloadJobFile,
-  getCollection,
+  getCollection, getDeckLegality,
 } from '../lib/api';
 import { parse } from '../lib/parser';
-import { buildOwnedIndex } from '../lib/collectionMatch';
+import { computeThreeWayDiff } from '../lib/differ';
+import { buildOwnedIndex, buildOwnedLocations } from '../lib/collectionMatch';
 import { formatChangelog, formatMpcFill, formatReddit, formatJSON, formatForArchidekt, formatTTS, formatDeckForMpc } from '../lib/formatter';
 import { fetchCardData, collectCardIdentifiers } from '../lib/scryfall';
+import { SITE_LABELS } from '../lib/fetcher';
+import { buildEmbedSnippet } from '../lib/embed';
+import { shareLinkUrl } from '../lib/useHashRoute';
 import SectionChangelog from './SectionChangelog';
+import ThreeWayDiffView from './ThreeWayDiffView';
 import ManaCurveDelta from './ManaCurveDelta';
 import ColorDistributionDelta from './ColorDistributionDelta';
 import DeckListView from './DeckListView';
+import LegalityPanel from './LegalityPanel';
 import CopyButton from './CopyButton';
 import Skeleton from './Skeleton';
 import TimelineOverlay from './TimelineOverlay';
+import PowerHistoryChart from './PowerHistoryChart';
+import ShareExpirySelect from './ShareExpirySelect';
+import DeckShareAccess from './DeckShareAccess';
 import RecommendationsOverlay from './RecommendationsOverlay';
 import MpcOverlay from './MpcOverlay';
 import PriceHistoryOverlay from './PriceHistoryOverlay';
@@ -51,14 +61,41 @@ function filterSection(section, query) {
     cardsOut: section.cardsOut.filter(c => c.name.toLowerCase().includes(lower)),
     quantityChanges: section.quantityChanges.filter(c => c.name.toLowerCase().includes(lower)),
     printingChanges: (section.printingChanges || []).filter(c => c.name.toLowerCase().includes(lower)),
+    categoryChanges: (section.categoryChanges || []).filter(c => c.name.toLowerCase().includes(lower)),
     totalUniqueCards: section.totalUniqueCards,
     unchangedCount: section.unchangedCount,
   };
 }
 
-function collectDeckIdentifiers(parsedDeck) {
+const EMPTY_DIFF_SECTION = { cardsIn: [], cardsOut: [], quantityChanges: [], printingChanges: [] };
+
+/**
+ * Summary badge counts for a diff. Companion changes count toward the deck;
+ * maybeboard changes only keep the diff from reading as "no changes".
+ */
+function diffTotals(diff) {
+  const sections = [diff.mainboard, diff.sideboard, diff.companions || EMPTY_DIFF_SECTION];
+  const sum = (fn) => sections.reduce((n, sec) => n + fn(sec), 0);
+  const tIn = sum(sec => sec.cardsIn.length);
+  const tOut = sum(sec => sec.cardsOut.length);
+  const tChanged = sum(sec => sec.quantityChanges.length);
+  const tPrinting = sum(sec => (sec.printingChanges || []).length);
+  const tMoved = sum(sec => (sec.categoryChanges || []).length);
+  const maybe = diff.maybeboard || EMPTY_DIFF_SECTION;
+  const maybeChanges = maybe.cardsIn.length + maybe.cardsOut.length + maybe.quantityChanges.length;
+  return {
+    totalIn: tIn, totalOut: tOut, totalChanged: tChanged, totalPrinting: tPrinting, totalMoved: tMoved,
+    noChanges: tIn === 0 && tOut === 0 && tChanged === 0 && tPrinting === 0 && tMoved === 0 && maybeChanges === 0,
+  };
+}
+
+// `extraNames` covers chosen commanders that aren't in the list itself, so the
+// color-identity check still knows their colors
+function collectDeckIdentifiers(parsedDeck, extraNames = []) {
   const identifiers = new Map();
-  for (const section of [parsedDeck.mainboard, parsedDeck.sideboard]) {
+  for (const name of extraNames) identifiers.set(name.toLowerCase(), { name });
+  for (const section of [parsedDeck.mainboard, parsedDeck.sideboard, parsedDeck.companions, parsedDeck.maybeboard]) {
+    if (!section) continue;
     for (const [, entry] of section) {
       const nameLower = entry.displayName.toLowerCase();
       if (entry.setCode && entry.collectorNumber) {
@@ -91,6 +128,12 @@ export default function DeckPage({ deckId }) {
   const [snapshotsLoading, setSnapshotsLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
 
+  // Local decks: new versions come from pasted text instead of a refresh
+  const [showPastePanel, setShowPastePanel] = useState(false);
+  const [pasteText, setPasteText] = useState('');
+  const [pasteNickname, setPasteNickname] = useState('');
+  const [savingPaste, setSavingPaste] = useState(false);
+
   // Tabs
   const [activeTab, setActiveTab] = useState('snapshots');
 
@@ -116,6 +159,7 @@ export default function DeckPage({ deckId }) {
   const [compareMode, setCompareMode] = useState(false);
   const [compareA, setCompareA] = useState('');
   const [compareB, setCompareB] = useState('');
+  const [compareBase, setCompareBase] = useState('');
 
   // Changelog tab state (lazy loaded)
   const [changelogData, setChangelogData] = useState(null);
@@ -130,6 +174,7 @@ export default function DeckPage({ deckId }) {
   const [comparisonTexts, setComparisonTexts] = useState(null);
   const [comparisonLoading, setComparisonLoading] = useState(false);
   const [comparisonSearch, setComparisonSearch] = useState('');
+  const [threeWay, setThreeWay] = useState(null);
 
   // Timeline tab state
   const [timelineData, setTimelineData] = useState(null);
@@ -140,6 +185,8 @@ export default function DeckPage({ deckId }) {
   const [parsedDeck, setParsedDeck] = useState(null);
   const [deckCardMap, setDeckCardMap] = useState(null);
   const [ownedIndex, setOwnedIndex] = useState(null);
+  const [ownedLocations, setOwnedLocations] = useState(null);
+  const [legality, setLegality] = useState(null);
   const [deckText, setDeckText] = useState(null);
   const [deckLoading, setDeckLoading] = useState(false);
 
@@ -159,6 +206,7 @@ export default function DeckPage({ deckId }) {
   const [priceAlertValue, setPriceAlertValue] = useState('');
   const [priceAlertMode, setPriceAlertMode] = useState('specific');
   const [savingPriceAlert, setSavingPriceAlert] = useState(false);
+  const [retentionPreview, setRetentionPreview] = useState(null);
 
   // Download state
   const [downloadJob, setDownloadJob] = useState(null);
@@ -279,7 +327,7 @@ export default function DeckPage({ deckId }) {
       setDeckText(rawText);
       const parsed = parse(rawText);
       setParsedDeck(parsed);
-      const identifiers = collectDeckIdentifiers(parsed);
+      const identifiers = collectDeckIdentifiers(parsed, commanders);
       if (identifiers.size > 0) {
         const cm = await fetchCardData(identifiers);
         setDeckCardMap(cm);
@@ -289,8 +337,14 @@ export default function DeckPage({ deckId }) {
       // render — otherwise every card in the deck would be labelled "missing",
       // which is noise for the many users who never import a collection.
       getCollection()
-        .then(data => setOwnedIndex(data.cards?.length ? buildOwnedIndex(data.cards) : null))
+        .then(data => {
+          setOwnedIndex(data.cards?.length ? buildOwnedIndex(data.cards) : null);
+          setOwnedLocations(data.cards?.length ? buildOwnedLocations(data.cards) : null);
+        })
         .catch(() => { /* collection unavailable — no owned badges */ });
+      getDeckLegality(deckId)
+        .then(setLegality)
+        .catch(() => { /* legality unavailable — panel hidden */ });
     } catch {
       toast.error('Failed to load deck list');
     } finally {
@@ -308,7 +362,7 @@ export default function DeckPage({ deckId }) {
       await Promise.all([loadDeck(), loadSnapshots()]);
       // Reset cached tab data so it reloads
       setChangelogData(null); setChangelogCardMap(null); setChangelogTexts(null);
-      setParsedDeck(null); setDeckCardMap(null); setDeckText(null);
+      setParsedDeck(null); setDeckCardMap(null); setDeckText(null); setLegality(null);
       setTimelineData(null);
     } catch (err) {
       toast.error(err.message || 'Refresh failed');
@@ -317,6 +371,26 @@ export default function DeckPage({ deckId }) {
     }
   }
 
+  async function handleSavePastedSnapshot() {
+    if (!pasteText.trim()) return;
+    setSavingPaste(true);
+    try {
+      const { unchanged } = await createSnapshot(deckId, pasteText, pasteNickname.trim() || null);
+      toast.success(unchanged ? 'No changes since the latest snapshot' : 'New snapshot saved!');
+      setShowPastePanel(false);
+      setPasteText('');
+      setPasteNickname('');
+      await Promise.all([loadDeck(), loadSnapshots()]);
+      setChangelogData(null); setChangelogCardMap(null); setChangelogTexts(null);
+      setParsedDeck(null); setDeckCardMap(null); setDeckText(null); setLegality(null);
+      setTimelineData(null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to save snapshot');
+    } finally {
+      setSavingPaste(false);
+    }
+  }
+
   async function handleUntrack() {
     const confirmed = await confirm({
       title: 'Untrack this deck?',
@@ -460,8 +534,10 @@ export default function DeckPage({ deckId }) {
 
   async function handleCompareSnapshots() {
     if (!compareA || !compareB) return;
+    if (compareBase) return handleThreeWayCompare();
     setComparisonLoading(true);
     setComparisonSearch('');
+    setThreeWay(null);
     try {
       const data = await getDeckChangelog(deckId, compareA, compareB);
       setComparisonDiff(data.diff);
@@ -478,6 +554,26 @@ export default function DeckPage({ deckId }) {
     }
   }
 
+  // With a common ancestor picked, A and B are two descendants of it: diff all
+  // three client-side to split "my changes" from "their changes".
+  async function handleThreeWayCompare() {
+    setComparisonLoading(true);
+    setComparisonDiff(null);
+    try {
+      const [base, a, b] = await Promise.all(
+        [compareBase, compareA, compareB].map(id => getSnapshot(deckId, id))
+      );
+      setThreeWay({
+        diff: computeThreeWayDiff(parse(base.snapshot.deck_text), parse(a.snapshot.deck_text), parse(b.snapshot.deck_text)),
+        labels: [base, a, b].map(({ snapshot }) => snapshot.nickname || formatDate(snapshot.created_at)),
+      });
+    } catch (err) {
+      toast.error(err.message || 'Failed to load comparison');
+    } finally {
+      setComparisonLoading(false);
+    }
+  }
+
   async function handleCompareToPaper() {
     if (!deck?.paper_snapshot_id || snapshots.length === 0) return;
     const latestId = snapshots[0].id;
@@ -487,6 +583,8 @@ export default function DeckPage({ deckId }) {
     }
     setCompareA(String(deck.paper_snapshot_id));
     setCompareB(String(latestId));
+    setCompareBase('');
+    setThreeWay(null);
     setCompareMode(true);
     // Auto-trigger comparison
     setComparisonLoading(true);
@@ -511,7 +609,7 @@ export default function DeckPage({ deckId }) {
   async function handleShareDeck() {
     try {
       const data = await shareDeck(deckId);
-      const url = `${window.location.origin}${window.location.pathname}#deck/${data.shareId}`;
+      const url = shareLinkUrl('deck', data.shareId);
       await navigator.clipboard.writeText(url);
       toast.success('Share link copied to clipboard');
       await loadDeck();
@@ -520,6 +618,16 @@ export default function DeckPage({ deckId }) {
     }
   }
 
+  async function handleShareExpiry(days) {
+    try {
+      await updateDeckShare(deckId, { expiresInDays: days });
+      toast.success(days === null ? 'Link no longer expires' : `Link expires in ${days} day${days > 1 ? 's' : ''}`);
+      await loadDeck();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
   async function handleUnshareDeck() {
     try {
       await unshareDeck(deckId);
@@ -531,6 +639,25 @@ export default function DeckPage({ deckId }) {
   }
 
   // Settings actions
+  // Retention changes delete history, so they're a dry run until confirmed.
+  // '' = follow the server default.
+  async function handleRetentionChange(value) {
+    try {
+      const preview = await getRetentionPreview(deckId, value || 'default');
+      setRetentionPreview({ value, snapshots: preview.snapshots });
+    } catch (err) { toast.error(err.message); }
+  }
+
+  async function handleConfirmRetention() {
+    try {
+      await updateDeckRetentionPolicy(deckId, retentionPreview.value || null);
+      const deleted = retentionPreview.snapshots.length;
+      toast.success(deleted > 0 ? `Retention updated, ${deleted} snapshot${deleted !== 1 ? 's' : ''} pruned` : 'Retention updated');
+      setRetentionPreview(null);
+      await Promise.all([loadDeck(), loadSnapshots()]);
+    } catch (err) { toast.error(err.message); }
+  }
+
   async function handleSaveWebhook() {
     setSavingWebhook(true);
     try {
@@ -661,21 +788,23 @@ export default function DeckPage({ deckId }) {
     () => changelogData ? filterSection(changelogData.sideboard, changelogSearch) : null,
     [changelogData, changelogSearch]
   );
+  const filteredChangelogCompanions = useMemo(
+    () => changelogData?.hasCompanions ? filterSection(changelogData.companions, changelogSearch) : null,
+    [changelogData, changelogSearch]
+  );
+  const filteredChangelogMaybe = useMemo(
+    () => changelogData?.hasMaybeboard ? filterSection(changelogData.maybeboard, changelogSearch) : null,
+    [changelogData, changelogSearch]
+  );
 
   const changelogStats = useMemo(() => {
-    if (!changelogData) return { totalIn: 0, totalOut: 0, totalChanged: 0, totalPrinting: 0, noChanges: true };
-    const mb = changelogData.mainboard;
-    const sb = changelogData.sideboard;
-    const tIn = mb.cardsIn.length + sb.cardsIn.length;
-    const tOut = mb.cardsOut.length + sb.cardsOut.length;
-    const tChanged = mb.quantityChanges.length + sb.quantityChanges.length;
-    const tPrinting = (mb.printingChanges || []).length + (sb.printingChanges || []).length;
-    return { totalIn: tIn, totalOut: tOut, totalChanged: tChanged, totalPrinting: tPrinting, noChanges: tIn === 0 && tOut === 0 && tChanged === 0 && tPrinting === 0 };
+    if (!changelogData) return { totalIn: 0, totalOut: 0, totalChanged: 0, totalPrinting: 0, totalMoved: 0, noChanges: true };
+    return diffTotals(changelogData);
   }, [changelogData]);
 
   const changelogForExport = useMemo(() => {
     if (!changelogData) return null;
-    return { mainboard: changelogData.mainboard, sideboard: changelogData.sideboard, hasSideboard: changelogData.hasSideboard, commanders: commanders || [] };
+    return { ...changelogData, commanders: commanders || [] };
   }, [changelogData, commanders]);
 
   // Comparison computed values
@@ -687,19 +816,21 @@ export default function DeckPage({ deckId }) {
     () => comparisonDiff ? filterSection(comparisonDiff.sideboard, comparisonSearch) : null,
     [comparisonDiff, comparisonSearch]
   );
+  const filteredCompCompanions = useMemo(
+    () => comparisonDiff?.hasCompanions ? filterSection(comparisonDiff.companions, comparisonSearch) : null,
+    [comparisonDiff, comparisonSearch]
+  );
+  const filteredCompMaybe = useMemo(
+    () => comparisonDiff?.hasMaybeboard ? filterSection(comparisonDiff.maybeboard, comparisonSearch) : null,
+    [comparisonDiff, comparisonSearch]
+  );
   const comparisonStats = useMemo(() => {
-    if (!comparisonDiff) return { totalIn: 0, totalOut: 0, totalChanged: 0, totalPrinting: 0, noChanges: true };
-    const mb = comparisonDiff.mainboard;
-    const sb = comparisonDiff.sideboard;
-    const tIn = mb.cardsIn.length + sb.cardsIn.length;
-    const tOut = mb.cardsOut.length + sb.cardsOut.length;
-    const tChanged = mb.quantityChanges.length + sb.quantityChanges.length;
-    const tPrinting = (mb.printingChanges || []).length + (sb.printingChanges || []).length;
-    return { totalIn: tIn, totalOut: tOut, totalChanged: tChanged, totalPrinting: tPrinting, noChanges: tIn === 0 && tOut === 0 && tChanged === 0 && tPrinting === 0 };
+    if (!comparisonDiff) return { totalIn: 0, totalOut: 0, totalChanged: 0, totalPrinting: 0, totalMoved: 0, noChanges: true };
+    return diffTotals(comparisonDiff);
   }, [comparisonDiff]);
   const comparisonForExport = useMemo(() => {
     if (!comparisonDiff) return null;
-    return { mainboard: comparisonDiff.mainboard, sideboard: comparisonDiff.sideboard, hasSideboard: comparisonDiff.hasSideboard, commanders: commanders || [] };
+    return { ...comparisonDiff, commanders: commanders || [] };
   }, [comparisonDiff, commanders]);
 
   // --- Render ---
@@ -726,6 +857,8 @@ export default function DeckPage({ deckId }) {
     );
   }
 
+  const isLocal = deck.source_site === 'local';
+
   return (
     <div className="deck-page">
       {ConfirmDialog}
@@ -736,12 +869,23 @@ export default function DeckPage({ deckId }) {
           &larr; Back to Library
         </button>
         <div className="deck-page-topbar-actions">
-          <button className="btn btn-primary btn-sm" onClick={handleRefresh} disabled={refreshing} type="button">
-            {refreshing ? 'Refreshing...' : 'Refresh'}
-          </button>
+          {isLocal ? (
+            <button
+              className={`btn btn-primary btn-sm${showPastePanel ? ' btn--active' : ''}`}
+              onClick={() => setShowPastePanel(!showPastePanel)}
+              type="button"
+              aria-expanded={showPastePanel}
+            >
+              Add Snapshot
+            </button>
+          ) : (
+            <button className="btn btn-primary btn-sm" onClick={handleRefresh} disabled={refreshing} type="button">
+              {refreshing ? 'Refreshing...' : 'Refresh'}
+            </button>
+          )}
           {deck.deck_url && (
             <a href={deck.deck_url} target="_blank" rel="noopener noreferrer" className="btn btn-secondary btn-sm">
-              Archidekt
+              {SITE_LABELS[deck.source_site] || 'Source'}
             </a>
           )}
           <button className="btn btn-sm btn-ghost-danger" onClick={handleUntrack} type="button">
@@ -750,6 +894,41 @@ export default function DeckPage({ deckId }) {
         </div>
       </div>
 
+      {isLocal && showPastePanel && (
+        <div className="deck-page-paste-panel">
+          <textarea
+            value={pasteText}
+            onChange={e => setPasteText(e.target.value)}
+            placeholder="Paste the current deck list"
+            rows={8}
+            disabled={savingPaste}
+            aria-label="Deck list for the new snapshot"
+          />
+          <div className="deck-page-notes-actions">
+            <input
+              type="text"
+              className="deck-page-paste-nickname"
+              value={pasteNickname}
+              onChange={e => setPasteNickname(e.target.value)}
+              placeholder="Optional nickname"
+              maxLength={100}
+              disabled={savingPaste}
+            />
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={handleSavePastedSnapshot}
+              disabled={savingPaste || !pasteText.trim()}
+              type="button"
+            >
+              {savingPaste ? 'Saving...' : 'Save Snapshot'}
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setShowPastePanel(false)} type="button">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Header */}
       <div className="deck-page-header">
         <div className="deck-page-header-top">
@@ -816,7 +995,7 @@ export default function DeckPage({ deckId }) {
 
         {/* Meta line */}
         <div className="deck-page-meta">
-          <span className="deck-page-meta-owner">@{deck.archidekt_username}</span>
+          <span className="deck-page-meta-owner">{deck.archidekt_username ? `@${deck.archidekt_username}` : SITE_LABELS[deck.source_site]}</span>
           <span className="deck-page-meta-sep">&middot;</span>
           <span>{deck.snapshot_count} snapshot{deck.snapshot_count !== 1 ? 's' : ''}</span>
           {deck.share_id && (
@@ -941,7 +1120,7 @@ export default function DeckPage({ deckId }) {
               )}
               <button
                 className={`btn btn-secondary btn-sm${compareMode ? ' btn--active' : ''}`}
-                onClick={() => { setCompareMode(!compareMode); setCompareA(''); setCompareB(''); setComparisonDiff(null); }}
+                onClick={() => { setCompareMode(!compareMode); setCompareA(''); setCompareB(''); setCompareBase(''); setComparisonDiff(null); setThreeWay(null); }}
                 type="button"
               >
                 Compare
@@ -950,14 +1129,20 @@ export default function DeckPage({ deckId }) {
 
             {compareMode && (
               <div className="deck-page-compare">
-                <select value={compareA} onChange={e => setCompareA(e.target.value)} aria-label="Select older snapshot">
-                  <option value="">Before (older)...</option>
+                <select value={compareBase} onChange={e => setCompareBase(e.target.value)} aria-label="Select common ancestor snapshot">
+                  <option value="">No common ancestor</option>
+                  {snapshots.map(s => (
+                    <option key={s.id} value={s.id}>{s.nickname ? `${s.nickname} (${formatDateTime(s.created_at)})` : formatDateTime(s.created_at)}</option>
+                  ))}
+                </select>
+                <select value={compareA} onChange={e => setCompareA(e.target.value)} aria-label={compareBase ? 'Select snapshot A' : 'Select older snapshot'}>
+                  <option value="">{compareBase ? 'A...' : 'Before (older)...'}</option>
                   {snapshots.map(s => (
                     <option key={s.id} value={s.id}>{s.nickname ? `${s.nickname} (${formatDateTime(s.created_at)})` : formatDateTime(s.created_at)}</option>
                   ))}
                 </select>
-                <select value={compareB} onChange={e => setCompareB(e.target.value)} aria-label="Select newer snapshot">
-                  <option value="">After (newer)...</option>
+                <select value={compareB} onChange={e => setCompareB(e.target.value)} aria-label={compareBase ? 'Select snapshot B' : 'Select newer snapshot'}>
+                  <option value="">{compareBase ? 'B...' : 'After (newer)...'}</option>
                   {snapshots.map(s => (
                     <option key={s.id} value={s.id}>{s.nickname ? `${s.nickname} (${formatDateTime(s.created_at)})` : formatDateTime(s.created_at)}</option>
                   ))}
@@ -968,6 +1153,17 @@ export default function DeckPage({ deckId }) {
               </div>
             )}
 
+            {/* Inline three-way result */}
+            {threeWay && (
+              <div className="deck-page-inline-diff">
+                <div className="deck-page-inline-diff-header">
+                  <h3>Three-way Comparison</h3>
+                  <button className="btn btn-secondary btn-sm" onClick={() => setThreeWay(null)} type="button">&times;</button>
+                </div>
+                <ThreeWayDiffView diff={threeWay.diff} baseLabel={threeWay.labels[0]} aLabel={threeWay.labels[1]} bLabel={threeWay.labels[2]} />
+              </div>
+            )}
+
             {/* Inline comparison result */}
             {comparisonDiff && (
               <div className="deck-page-inline-diff">
@@ -1001,6 +1197,7 @@ export default function DeckPage({ deckId }) {
                       {comparisonStats.totalOut > 0 && <span className="summary-badge summary-badge--out">-{comparisonStats.totalOut} out</span>}
                       {comparisonStats.totalChanged > 0 && <span className="summary-badge summary-badge--changed">~{comparisonStats.totalChanged} changed</span>}
                       {comparisonStats.totalPrinting > 0 && <span className="summary-badge summary-badge--printing">&#8635;{comparisonStats.totalPrinting} reprinted</span>}
+                      {comparisonStats.totalMoved > 0 && <span className="summary-badge summary-badge--moved">&#8644;{comparisonStats.totalMoved} recategorized</span>}
                     </div>
                   </>
                 )}
@@ -1010,6 +1207,8 @@ export default function DeckPage({ deckId }) {
                   <>
                     {filteredCompMain && <SectionChangelog sectionName="Mainboard" changes={filteredCompMain} cardMap={comparisonCardMap} />}
                     {filteredCompSide && comparisonDiff.hasSideboard && <SectionChangelog sectionName="Sideboard" changes={filteredCompSide} cardMap={comparisonCardMap} />}
+                    {filteredCompCompanions && <SectionChangelog sectionName="Companion" changes={filteredCompCompanions} cardMap={comparisonCardMap} />}
+                    {filteredCompMaybe && <SectionChangelog sectionName="Maybeboard" changes={filteredCompMaybe} cardMap={comparisonCardMap} />}
                   </>
                 )}
               </div>
@@ -1043,6 +1242,11 @@ export default function DeckPage({ deckId }) {
                       ) : (
                         <>
                           <span className="deck-page-snap-date">{formatDateTime(snap.created_at)}</span>
+                          {snap.last_confirmed_at && (
+                            <span className="deck-page-snap-confirmed" title="A later refresh found no changes">
+                              unchanged as of {formatDateTime(snap.last_confirmed_at)}
+                            </span>
+                          )}
                           {snap.nickname && <span className="deck-page-snap-nick">{snap.nickname}</span>}
                           {deck.paper_snapshot_id === snap.id && (
                             <span className="deck-page-snap-paper-badge">Paper</span>
@@ -1136,12 +1340,15 @@ export default function DeckPage({ deckId }) {
                   {changelogStats.totalOut > 0 && <span className="summary-badge summary-badge--out">-{changelogStats.totalOut} out</span>}
                   {changelogStats.totalChanged > 0 && <span className="summary-badge summary-badge--changed">~{changelogStats.totalChanged} changed</span>}
                   {changelogStats.totalPrinting > 0 && <span className="summary-badge summary-badge--printing">&#8635;{changelogStats.totalPrinting} reprinted</span>}
+                  {changelogStats.totalMoved > 0 && <span className="summary-badge summary-badge--moved">&#8644;{changelogStats.totalMoved} recategorized</span>}
                 </div>
 
                 <ManaCurveDelta diffResult={changelogData} cardMap={changelogCardMap} />
                 <ColorDistributionDelta diffResult={changelogData} cardMap={changelogCardMap} />
                 {filteredChangelogMain && <SectionChangelog sectionName="Mainboard" changes={filteredChangelogMain} cardMap={changelogCardMap} />}
                 {filteredChangelogSide && changelogData.hasSideboard && <SectionChangelog sectionName="Sideboard" changes={filteredChangelogSide} cardMap={changelogCardMap} />}
+                {filteredChangelogCompanions && <SectionChangelog sectionName="Companion" changes={filteredChangelogCompanions} cardMap={changelogCardMap} />}
+                {filteredChangelogMaybe && <SectionChangelog sectionName="Maybeboard" changes={filteredChangelogMaybe} cardMap={changelogCardMap} />}
               </>
             )}
           </div>
@@ -1155,12 +1362,15 @@ export default function DeckPage({ deckId }) {
             ) : !timelineData || timelineData.length === 0 ? (
               <p className="deck-page-empty">No timeline data available.</p>
             ) : (
-              <SnapshotTimeline
-                entries={timelineData}
-                loading={false}
-                onEntryClick={handleTimelineEntryClick}
-                paperSnapshotId={deck.paper_snapshot_id}
-              />
+              <>
+                {timelineData.length > 1 && <PowerHistoryChart deckId={deckId} />}
+                <SnapshotTimeline
+                  entries={timelineData}
+                  loading={false}
+                  onEntryClick={handleTimelineEntryClick}
+                  paperSnapshotId={deck.paper_snapshot_id}
+                />
+              </>
             )}
             {overlayEntry && (
               <TimelineOverlay
@@ -1214,7 +1424,8 @@ export default function DeckPage({ deckId }) {
                       : 'Download Images (Scryfall)'}
                   </button>
                 </div>
-                <DeckListView parsedDeck={parsedDeck} cardMap={deckCardMap} commanders={commanders} ownedIndex={ownedIndex} />
+                {legality && <LegalityPanel results={legality.formats} guessedFormat={legality.guessedFormat} />}
+                <DeckListView parsedDeck={parsedDeck} cardMap={deckCardMap} commanders={commanders} ownedIndex={ownedIndex} ownedLocations={ownedLocations} />
               </>
             )}
           </div>
@@ -1292,10 +1503,23 @@ export default function DeckPage({ deckId }) {
             <div className="deck-page-settings-section">
               <h3>Sharing</h3>
               {deck.share_id ? (
-                <div className="deck-page-settings-row">
-                  <span className="deck-page-settings-label">This deck is shared.</span>
-                  <button className="btn btn-secondary btn-sm" onClick={handleUnshareDeck} type="button">Unshare</button>
-                </div>
+                <>
+                  <div className="deck-page-settings-row">
+                    <span className="deck-page-settings-label">
+                      This deck is shared &middot; {deck.share_view_count} view{deck.share_view_count !== 1 ? 's' : ''}
+                    </span>
+                    <ShareExpirySelect expiresAt={deck.share_expires_at} onChange={handleShareExpiry} />
+                    {!deck.share_protected && (
+                      <CopyButton
+                        getText={() => buildEmbedSnippet(window.location.origin, 'deck', deck.share_id, { title: deck.deck_name })}
+                        label="Copy Embed Code"
+                        className="btn btn-secondary btn-sm"
+                      />
+                    )}
+                    <button className="btn btn-secondary btn-sm" onClick={handleUnshareDeck} type="button">Unshare</button>
+                  </div>
+                  <DeckShareAccess key={deck.share_id} deck={deck} snapshots={snapshots} onSaved={loadDeck} />
+                </>
               ) : (
                 <button className="btn btn-primary btn-sm" onClick={handleShareDeck} type="button">Share Deck</button>
               )}
@@ -1329,27 +1553,63 @@ export default function DeckPage({ deckId }) {
             </div>
 
             {/* Auto-refresh */}
+            {!isLocal && (
+              <div className="deck-page-settings-section">
+                <h3>Auto-Refresh</h3>
+                <select
+                  className="deck-page-settings-select"
+                  value={deck.auto_refresh_hours || ''}
+                  onChange={async (e) => {
+                    const val = e.target.value ? parseInt(e.target.value, 10) : null;
+                    try {
+                      await updateDeckAutoRefresh(deckId, val);
+                      toast.success(val ? `Auto-refresh set to every ${val}h` : 'Auto-refresh disabled');
+                      await loadDeck();
+                    } catch (err) { toast.error(err.message); }
+                  }}
+                >
+                  <option value="">Off</option>
+                  <option value="6">Every 6 hours</option>
+                  <option value="12">Every 12 hours</option>
+                  <option value="24">Every 24 hours</option>
+                  <option value="48">Every 48 hours</option>
+                  <option value="168">Every 7 days</option>
+                </select>
+              </div>
+            )}
+
+            {/* Snapshot retention */}
             <div className="deck-page-settings-section">
-              <h3>Auto-Refresh</h3>
+              <h3>Snapshot Retention</h3>
               <select
                 className="deck-page-settings-select"
-                value={deck.auto_refresh_hours || ''}
-                onChange={async (e) => {
-                  const val = e.target.value ? parseInt(e.target.value, 10) : null;
-                  try {
-                    await updateDeckAutoRefresh(deckId, val);
-                    toast.success(val ? `Auto-refresh set to every ${val}h` : 'Auto-refresh disabled');
-                    await loadDeck();
-                  } catch (err) { toast.error(err.message); }
-                }}
+                value={retentionPreview ? retentionPreview.value : (deck.retention_policy || '')}
+                onChange={e => handleRetentionChange(e.target.value)}
               >
-                <option value="">Off</option>
-                <option value="6">Every 6 hours</option>
-                <option value="12">Every 12 hours</option>
-                <option value="24">Every 24 hours</option>
-                <option value="48">Every 48 hours</option>
-                <option value="168">Every 7 days</option>
+                <option value="">Server default</option>
+                <option value="count">Keep last N</option>
+                <option value="tiered">Tiered (7 days, then weekly, then monthly)</option>
               </select>
+              {retentionPreview && (
+                <div className="deck-page-settings-edit deck-page-retention-preview">
+                  <span className="deck-page-settings-label">
+                    {retentionPreview.snapshots.length === 0
+                      ? 'No snapshots would be deleted.'
+                      : `Would delete ${retentionPreview.snapshots.length} snapshot${retentionPreview.snapshots.length !== 1 ? 's' : ''}:`}
+                  </span>
+                  {retentionPreview.snapshots.length > 0 && (
+                    <ul className="deck-page-retention-list">
+                      {retentionPreview.snapshots.map(s => (
+                        <li key={s.id}>{s.nickname ? `${s.nickname} (${formatDateTime(s.created_at)})` : formatDateTime(s.created_at)}</li>
+                      ))}
+                    </ul>
+                  )}
+                  <div className="deck-page-settings-edit-actions">
+                    <button className="btn btn-primary btn-sm" onClick={handleConfirmRetention} type="button">Save</button>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setRetentionPreview(null)} type="button">Cancel</button>
+                  </div>
+                </div>
+              )}
             </div>
 
             {/* Webhook */}
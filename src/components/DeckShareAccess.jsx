@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { updateDeckShare } from '../lib/api';
+import { toast } from './Toast';
+
+const SCOPE_LABELS = {
+  all: 'Full history',
+  latest: 'Latest snapshot only',
+  selected: 'Selected snapshots',
+};
+
+function formatSnapshot(snap) {
+  const date = new Date(snap.created_at + 'Z').toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  return snap.nickname ? `${snap.nickname} (${date})` : date;
+}
+
+/**
+ * DeckShareAccess — what a deck's share link exposes and who can open it:
+ * the snapshot scope and an optional passphrase. Shown in the deck's
+ * Settings tab while the deck is shared.
+ *
+ * Props:
+ *   deck — tracked deck row (share_scope, share_snapshot_ids, share_protected)
+ *   snapshots — the deck's snapshots, newest first
+ *   onSaved — called after a change so the page reloads the deck
+ */
+export default function DeckShareAccess({ deck, snapshots, onSaved }) {
+  const [scope, setScope] = useState(deck.share_scope || 'all');
+  const [selected, setSelected] = useState(() => {
+    try { return new Set(JSON.parse(deck.share_snapshot_ids || '[]')); } catch { return new Set(); }
+  });
+  const [passphrase, setPassphrase] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  async function save(settings, message) {
+    setSaving(true);
+    try {
+      await updateDeckShare(deck.id, settings);
+      toast.success(message);
+      await onSaved();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function handleScopeChange(value) {
+    setScope(value);
+    // Selected needs a choice first — it's saved from the checklist
+    if (value !== 'selected') save({ scope: value }, `Sharing: ${SCOPE_LABELS[value].toLowerCase()}`);
+  }
+
+  function toggleSnapshot(id) {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  }
+
+  async function handleSetPassphrase(e) {
+    e.preventDefault();
+    await save({ passphrase }, 'Passphrase set');
+    setPassphrase('');
+  }
+
+  return (
+    <div className="deck-share-access">
+      <div className="deck-page-settings-row">
+        <label className="deck-page-settings-label" htmlFor="deck-share-scope">Visible:</label>
+        <select
+          id="deck-share-scope"
+          className="deck-page-settings-select"
+          value={scope}
+          onChange={e => handleScopeChange(e.target.value)}
+          disabled={saving}
+        >
+          {Object.entries(SCOPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+
+      {scope === 'selected' && (
+        <div className="deck-share-access-snapshots">
+          <ul>
+            {snapshots.map(snap => (
+              <li key={snap.id}>
+                <label>
+                  <input type="checkbox" checked={selected.has(snap.id)} onChange={() => toggleSnapshot(snap.id)} />
+                  {formatSnapshot(snap)}
+                </label>
+              </li>
+            ))}
+          </ul>
+          <button
+            className="btn btn-primary btn-sm"
+            type="button"
+            disabled={saving || selected.size === 0}
+            onClick={() => save(
+              { scope: 'selected', snapshotIds: [...selected] },
+              `Sharing ${selected.size} snapshot${selected.size > 1 ? 's' : ''}`
+            )}
+          >
+            Share Selected
+          </button>
+        </div>
+      )}
+
+      <form className="deck-page-settings-row" onSubmit={handleSetPassphrase}>
+        <span className="deck-page-settings-label">
+          {deck.share_protected ? 'Passphrase protected.' : 'No passphrase.'}
+        </span>
+        <input
+          type="password"
+          className="deck-share-access-passphrase"
+          value={passphrase}
+          onChange={e => setPassphrase(e.target.value)}
+          placeholder={deck.share_protected ? 'New passphrase' : 'Passphrase'}
+          aria-label="Share passphrase"
+          autoComplete="new-password"
+        />
+        <button className="btn btn-secondary btn-sm" type="submit" disabled={saving || passphrase.length < 4}>
+          {deck.share_protected ? 'Change' : 'Set'}
+        </button>
+        {!!deck.share_protected && (
+          <button
+            className="btn btn-secondary btn-sm"
+            type="button"
+            disabled={saving}
+            onClick={() => save({ passphrase: null }, 'Passphrase removed')}
+          >
+            Remove
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import './GroupByToggle.css';
+
+const MODES = [
+  { value: 'type', label: 'Type' },
+  { value: 'category', label: 'My categories' },
+];
+
+/**
+ * "Group by: Type | My categories" switch for card lists whose deck carries
+ * its own categories. Renders nothing when there are no categories to group by.
+ */
+export default function GroupByToggle({ value, onChange, available }) {
+  if (!available) return null;
+  return (
+    <div className="group-by-toggle" role="group" aria-label="Group cards by">
+      <span className="group-by-toggle-label">Group by</span>
+      {MODES.map(mode => (
+        <button
+          key={mode.value}
+          type="button"
+          className={`group-by-toggle-btn${value === mode.value ? ' group-by-toggle-btn--active' : ''}`}
+          aria-pressed={value === mode.value}
+          onClick={() => onChange(mode.value)}
+        >
+          {mode.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -84,6 +84,8 @@ function DeckComparison() {
         <li><strong>With collector numbers</strong> &mdash; <code>1 Lightning Bolt (M10) [227]</code> or <code>1 Lightning Bolt (m10) 227</code></li>
         <li><strong>Foil markers</strong> &mdash; <code>1 Lightning Bolt (M10) [227] *F*</code></li>
         <li><strong>Sideboard</strong> &mdash; lines after a <code>Sideboard</code> header, or prefixed with <code>SB:</code></li>
+        <li><strong>Companion</strong> &mdash; lines after a <code>Companion</code> header, up to the next blank line. Companions are kept out of the mainboard</li>
+        <li><strong>Maybeboard</strong> &mdash; lines after a <code>Maybeboard</code>, <code>Maybe</code> or <code>Considering</code> header. Maybeboard changes are listed in their own section and never count toward the deck&rsquo;s card total or value. A maybeboard-only change doesn&rsquo;t send a deck-change notification</li>
         <li><strong>CSV</strong> &mdash; comma-separated values</li>
       </ul>
 
@@ -99,12 +101,48 @@ function DeckComparison() {
         <li><strong>Mana cost symbols</strong> &mdash; official Scryfall SVG mana symbols displayed inline</li>
         <li><strong>Printing badges</strong> &mdash; set code, collector number, and foil marker shown after card names</li>
         <li><strong>Search filter</strong> &mdash; real-time card name filtering across all sections</li>
+        <li><strong>Printing Changes</strong> &mdash; turn this on to also list art, set and foil swaps of cards you kept
+          (e.g. a Sol Ring moved from C21 to a foil Secret Lair), each with its price change. Deck change emails
+          always include them</li>
+        <li><strong>Your categories</strong> &mdash; Archidekt decks keep each card&rsquo;s category (Ramp, Removal, &hellip;).
+          Use <strong>Group by: My categories</strong> on the changelog or the Full Deck view, and cards
+          moved between categories are listed under <strong>Category Moves</strong></li>
       </ul>
 
+      <h4>Three-way Comparison</h4>
+      <p>
+        Brewing a variant of someone else&rsquo;s list? Click <strong>Three-way</strong> to add a
+        <strong> Common ancestor</strong> panel; the other two become <strong>A</strong> and{' '}
+        <strong>B</strong>. The result splits every edit into changes made <strong>only in A</strong>,{' '}
+        <strong>only in B</strong>, <strong>in both</strong>, and <strong>conflicts</strong> &mdash; cards
+        whose count both lists changed, to different numbers. Printings are pooled, so re-sleeving
+        a card is not an edit.
+      </p>
+
+      <h4>Multi-compare</h4>
+      <p>
+        For tournament prep, click <strong>Multi-compare</strong> to line a <strong>Base</strong> list up
+        against up to nine others. The result is a card-by-list table of quantities with how many
+        lists include each card. Pick <strong>Cards in at least K lists</strong> to highlight the
+        consensus, then copy it as a deck list, copy it for Archidekt, or download it as CSV. Each
+        consensus card uses the quantity most lists agree on.
+      </p>
+
       <h4>Share a Comparison</h4>
       <p>
         Click <strong>Share</strong> in the export options to generate a permalink. Anyone with
-        the link can view the comparison without logging in.
+        the link can view the comparison without logging in. The browser that created a link
+        can revoke it from the same menu (<strong>Revoke Share Link</strong>) while viewing it.
+      </p>
+      <p>
+        When you&rsquo;re logged in, your comparison and deck links are listed under Account
+        Settings &rarr; <strong>Shared Links</strong> with how often each was viewed. Set a link to
+        expire after 1&ndash;90 days or revoke it there; an expired link stops working for everyone.
+      </p>
+      <p>
+        Pasted into Discord, Slack or social sites, comparison and deck links unfold into a
+        preview: the deck name, commander, cards added and removed, the latest price, and an
+        image with the commander&rsquo;s art. Passphrase-protected decks show a generic preview.
       </p>
     </div>
   );
@@ -177,10 +215,10 @@ function DeckLibrary() {
       <h4>Tracking Decks</h4>
       <ol className="guide-steps">
         <li>
-          Go to the <strong>Deck Tracker</strong> tab and enter an Archidekt username.
-        </li>
-        <li>
-          Browse their public decks and click <strong>Track</strong> on any deck you want to follow.
+          Go to the <strong>Deck Tracker</strong> tab. Either enter an Archidekt username and
+          browse their public decks, clicking <strong>Track</strong> on any deck you want to follow,
+          or paste a deck URL from Archidekt, Moxfield, TappedOut, Deckstats, or MTGGoldfish and
+          click <strong>Track Deck</strong>.
         </li>
         <li>
           The app takes a snapshot of the current deck state. Each time you refresh (or auto-refresh
@@ -188,6 +226,16 @@ function DeckLibrary() {
         </li>
       </ol>
 
+      <h4>Local Decks</h4>
+      <p>
+        Decks that live nowhere online &mdash; paper-only builds, league lists, proxies &mdash; can
+        still keep a snapshot history. Click <strong>Local Deck</strong> in the Deck Tracker, name
+        the deck and paste its list. Add later versions with <strong>Add Snapshot</strong> on the
+        deck page, or from the compare page&apos;s <strong>Save</strong> panel (pick an existing
+        deck or <strong>+ New local deck</strong>). Local decks get the timeline, changelog, prices,
+        sharing and proxy export like any other deck, but are never auto-refreshed.
+      </p>
+
       <h4>Deck Cards Grid</h4>
       <p>
         Tracked decks appear as cards in a responsive grid. Each card shows the deck name,
@@ -197,7 +245,7 @@ function DeckLibrary() {
         <li><strong>Pin</strong> important decks to sort them to the top</li>
         <li><strong>Tags</strong> &mdash; add custom labels and filter the grid by tag</li>
         <li><strong>Search</strong> &mdash; filter by deck name across all owner groups</li>
-        <li><strong>Owner groups</strong> &mdash; decks grouped by Archidekt username with collapsible sections</li>
+        <li><strong>Owner groups</strong> &mdash; decks grouped by Archidekt username (or by site for decks tracked by URL) with collapsible sections</li>
       </ul>
 
       <h4>Individual Deck Pages</h4>
@@ -218,25 +266,38 @@ function DeckLibrary() {
         <li><strong>Lock</strong> &mdash; protect important snapshots from auto-pruning (configurable limit, default 5 locked per deck)</li>
         <li><strong>Paper marker</strong> &mdash; mark a snapshot as your physical deck to compare it against the latest digital version</li>
         <li><strong>Nicknames</strong> &mdash; give snapshots custom names for easy reference</li>
-        <li><strong>Compare</strong> &mdash; select any two snapshots to see a detailed diff in an overlay</li>
+        <li><strong>Compare</strong> &mdash; select any two snapshots to see a detailed diff in an overlay, or also pick a common ancestor for a three-way comparison</li>
+        <li><strong>No duplicate snapshots</strong> &mdash; a refresh or paste that matches the latest snapshot saves nothing new; the latest snapshot is marked &ldquo;unchanged as of&rdquo; the check instead</li>
         <li><strong>Auto-pruning</strong> &mdash; oldest unlocked snapshots are automatically deleted when the count exceeds the limit (default 25 per deck)</li>
+        <li><strong>Retention</strong> &mdash; in the deck's Settings tab, switch a deck to tiered retention (every snapshot from the last 7 days, one per week for 3 months, one per month after that). Changing the policy previews exactly which snapshots would be deleted before you save</li>
       </ul>
 
       <h4>Auto-Refresh</h4>
       <p>
-        Set a per-deck refresh schedule (6h, 12h, or 24h) to automatically check Archidekt for
-        changes. When a change is detected, a new snapshot is created. Combine with notifications
+        Set a per-deck refresh schedule (6h, 12h, or 24h) to automatically check the deck's
+        source site for changes. When a change is detected, a new snapshot is created. Combine with notifications
         to get alerted when your decks update.
       </p>
 
       <h4>Other Tabs</h4>
       <ul>
-        <li><strong>Collection</strong> &mdash; import the cards you own. A tracked deck&rsquo;s
-          Full Deck tab then shows a collection summary and marks each card
+        <li><strong>Collection</strong> &mdash; import the cards you own: paste a card list, or load
+          the CSV export from Moxfield, Deckbox, ManaBox, Dragon Shield or TCGplayer. Preview shows the
+          detected format and any rows that will be skipped (and why) before you merge into or replace
+          your collection. <strong>Export Collection</strong> downloads it as a card list, Moxfield or
+          Deckbox CSV, or JSON &mdash; all of them, or just one set, your foils, the cards a deck uses, or
+          the cards no deck uses. <strong>Edit</strong> on an entry records its condition, language,
+          what you paid, when, and where it&rsquo;s kept (a binder or box); the list can be filtered
+          and grouped by any of these, and an import can file every card into one location.
+          <strong> Collection Value</strong> charts what the collection is worth, day by day (it is valued
+          once a day, or on <strong>Value Now</strong>), lists the cards whose price moved most, and
+          compares current prices with what you paid. A tracked
+          deck&rsquo;s Full Deck tab then shows a collection summary and marks each card
           <em>owned</em>, <em>partially owned</em>, or <em>missing</em>, so you can see at a glance
-          what you still need. Matching is by card name across printings and foils, and handles
+          what you still need &mdash; owned badges name the location the copies are in. Matching is by card name across printings and foils, and handles
           double-faced and accented names.</li>
         <li><strong>Overlap</strong> &mdash; see how many cards are shared across all your tracked decks in a matrix view</li>
+        <li><strong>Shopping List</strong> &mdash; under Overlap, tick the decks you want to build to see what you're missing across all of them and what it costs; copy or download it for TCGplayer Mass Entry or Card Kingdom</li>
       </ul>
     </div>
   );
@@ -268,12 +329,42 @@ function DeckAnalytics() {
         <li><strong>Mana curve delta</strong> &mdash; see how the mana curve changed between two snapshots in changelog views</li>
       </ul>
 
+      <h4>Format Legality</h4>
+      <p>
+        The <strong>Format Legality</strong> panel on a deck&rsquo;s Full Deck tab, and under every
+        comparison, checks the list against Standard, Pioneer, Modern, Legacy, Pauper and Commander.
+        It uses Scryfall&rsquo;s ban and legality data plus each format&rsquo;s construction rules.
+        Those rules are deck size (at least 60, or exactly 100 with a commander), the 4-copy limit
+        or singleton, and sideboard size (15, none in Commander). Basic lands and cards like
+        Relentless Rats are exempt from copy limits. On a comparison, issues the change itself
+        introduced are tagged <strong>new</strong>, and a banner names any format the change made
+        the deck illegal in.
+      </p>
+      <p>
+        In Commander the panel also checks <strong>color identity</strong>: every card in the 99,
+        and a companion, must fit inside the combined identity of your commanders. Cards outside
+        it are flagged on their line with the colors that don&rsquo;t fit (e.g.{' '}
+        <strong>off-identity R</strong>), both in the deck list and in a comparison, where any
+        violations the change introduced are listed above the sections. Two commanders must be a
+        legal pairing &mdash; both with Partner (or Partner with, or Friends forever), a commander
+        that can Choose a Background with a Background, or a Doctor with a Doctor&rsquo;s companion.
+      </p>
+
       <h4>Power Level</h4>
       <p>
         An automatic heuristic estimate on a 1&ndash;10 scale based on analysis of your deck's
         fast mana, tutors, free interaction, combo enablers, and mana curve. This is a rough
         guide, not a definitive rating &mdash; use it as a conversation starter for your playgroup.
       </p>
+      <p>
+        <strong>Show breakdown</strong> lists every signal with its points and the cards that
+        triggered it. Scoring profiles weight the signals differently &mdash; <strong>Casual
+        table</strong> leans on tutors and combos, <strong>Competitive</strong> on speed and
+        interaction &mdash; and you can preview any profile from the panel. Pick your default
+        profile and edit which cards count as fast mana, tutors, interaction or combo pieces under
+        Account Settings &rarr; Power Level. The Timeline tab charts the power level of every
+        snapshot so you can see a deck drift over time.
+      </p>
     </div>
   );
 }
@@ -350,6 +441,7 @@ function ExportFormats() {
         <li>
           <strong>Copy for Archidekt</strong> &mdash; Archidekt's native text format with full
           printing metadata: <code>1x Name (set) collectorNum *F* [Commander&#123;top&#125;]</code>.
+          Companions and maybeboard cards keep their Archidekt categories.
           Paste directly into Archidekt's deck import.
         </li>
         <li>
@@ -413,6 +505,20 @@ function Recommendations() {
         recommended card.
       </p>
 
+      <h4>Packs &amp; House Rules</h4>
+      <p>
+        Suggestions come from <strong>packs</strong> &mdash; lists of cards with a category, colors
+        and a reason. The built-in <strong>Commander Staples</strong> pack is on by default, along
+        with any server-wide packs your admin publishes. Add your own under{' '}
+        <strong>Account Settings &rarr; Recommendations</strong> by importing a JSON file; export any
+        pack (including the built-in one) to use as a template. The chips at the top of Suggest
+        Cards choose which packs are mixed in.
+      </p>
+      <p>
+        <strong>House rules</strong> filter every pack: ban specific cards for your playgroup, hide
+        Game Changers, or cap the price. The overlay shows how many suggestions your rules hid.
+      </p>
+
       <h4>EDHREC Badges</h4>
       <ul>
         <li>
@@ -436,9 +542,11 @@ function FAQ() {
       <div className="guide-faq-item">
         <p className="guide-faq-q">How do I track a deck?</p>
         <p className="guide-faq-a">
-          Go to the <strong>Decks</strong> page, enter an Archidekt username in the Deck Tracker
-          tab, and click <strong>Track</strong> on any deck. The app will take an initial snapshot
-          and track changes from that point.
+          Go to the <strong>Decks</strong> page and, in the Deck Tracker tab, either enter an
+          Archidekt username and click <strong>Track</strong> on any deck, or paste a deck URL from
+          Archidekt, Moxfield, TappedOut, Deckstats, or MTGGoldfish. The app will take an initial
+          snapshot and track changes from that point. Plain-text sources (TappedOut, Deckstats,
+          MTGGoldfish) don't mark commanders, so set them on the deck page.
         </p>
       </div>
 
@@ -448,6 +556,8 @@ function FAQ() {
           To prevent unlimited snapshot growth, the oldest unlocked snapshots are automatically
           deleted when a deck exceeds the snapshot limit (default: 25 per deck). Lock important
           snapshots to protect them from pruning. The limits are configurable by your admin.
+          Decks can instead use tiered retention, which thins out older history rather than
+          capping it &mdash; your admin sets the default, and each deck can override it.
         </p>
       </div>
 
@@ -484,7 +594,46 @@ function FAQ() {
         <p className="guide-faq-a">
           On any deck page, go to the <strong>Settings</strong> tab and click{' '}
           <strong>Share</strong>. This generates a public link that anyone can view without
-          logging in, including snapshot comparison.
+          logging in, including snapshot comparison. The same section shows its view count and
+          lets you set an expiry, limit the link to the latest snapshot or to snapshots you pick
+          (say, the list you&rsquo;re registering), and add a passphrase viewers must enter.
+        </p>
+      </div>
+
+      <div className="guide-faq-item">
+        <p className="guide-faq-q">Can I embed a deck on my blog or forum?</p>
+        <p className="guide-faq-a">
+          Yes. On a shared deck&rsquo;s page, <strong>Copy Embed Code</strong> gives you an iframe
+          showing the deck list grouped by type; after comparing two snapshots, the same button
+          under the changelog embeds that changelog. Shared comparisons offer it in the{' '}
+          <strong>More</strong> menu. oEmbed-aware tools can fetch it from{' '}
+          <code>/api/embed/oembed?url=</code> followed by the share link.
+          Embeds follow the link&rsquo;s expiry and scope; passphrase-protected decks can&rsquo;t
+          be embedded. Add <code>?theme=light</code> to the iframe URL for light backgrounds.
+        </p>
+      </div>
+
+      <div className="guide-faq-item">
+        <p className="guide-faq-q">Can I script against my decks?</p>
+        <p className="guide-faq-a">
+          Yes. In Account Settings &rarr; <strong>API Tokens</strong>, create a personal access
+          token with only the scopes your script needs (read decks, read snapshots, write
+          snapshots, collection) and an optional expiry. The token is shown once; send it as{' '}
+          <code>Authorization: Bearer &lt;token&gt;</code>. The available endpoints are described
+          at <code>/api/openapi.json</code>. Tokens can&rsquo;t change account settings or share
+          links, and keep working after a password change until you revoke them.
+        </p>
+      </div>
+
+      <div className="guide-faq-item">
+        <p className="guide-faq-q">How do I check that a webhook call really came from here?</p>
+        <p className="guide-faq-a">
+          Every delivery carries <code>X-CLC-Timestamp</code> and <code>X-CLC-Signature</code>.
+          Compute HMAC-SHA256 of <code>&lt;timestamp&gt;.&lt;raw body&gt;</code> with the secret
+          shown when you created the webhook (Account Settings &rarr; <strong>Webhooks</strong>),
+          compare it to the part after <code>sha256=</code> in constant time, and reject old
+          timestamps. Use <strong>Test</strong> to send a <code>ping</code> event, and the delivery
+          log to see response codes and retry failed deliveries.
         </p>
       </div>
 
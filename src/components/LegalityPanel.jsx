@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import './LegalityPanel.css';
+
+/**
+ * LegalityPanel — per-format legality chips plus the selected format's issues.
+ *
+ * Props:
+ *   results — checkAllFormats() output (src/lib/legality.js)
+ *   introduced — optional introducedIssues() output; those issues are tagged
+ *     "new" and formats the change took from legal to illegal are called out
+ *   guessedFormat — format to select when the change broke none (e.g. 'commander')
+ */
+export default function LegalityPanel({ results, introduced, guessedFormat }) {
+  const [selected, setSelected] = useState(null);
+
+  if (!results || results.length === 0) return null;
+
+  const added = introduced || [];
+  const broken = added.filter(b => b.madeIllegal);
+  const current = selected || broken[0]?.format || guessedFormat || results[0].format;
+  const result = results.find(r => r.format === current) || results[0];
+  const newKeys = new Set(
+    (added.find(b => b.format === result.format)?.issues || []).map(i => i.message)
+  );
+
+  return (
+    <div className="legality-panel">
+      <div className="legality-panel-label">Format Legality</div>
+      {broken.length > 0 && (
+        <p className="legality-panel-broken" role="status">
+          This change makes the deck illegal in {broken.map(b => b.label).join(', ')}
+        </p>
+      )}
+      <div className="legality-panel-formats" role="tablist">
+        {results.map(r => (
+          <button
+            key={r.format}
+            type="button"
+            role="tab"
+            aria-selected={r.format === result.format}
+            className={`legality-chip${r.legal ? ' legality-chip--legal' : ' legality-chip--illegal'}${r.format === result.format ? ' legality-chip--active' : ''}`}
+            onClick={() => setSelected(r.format)}
+            title={r.legal ? `Legal in ${r.label}` : `${r.issues.length} issue${r.issues.length === 1 ? '' : 's'} in ${r.label}`}
+          >
+            {r.legal ? '✓' : '✗'} {r.label}
+          </button>
+        ))}
+      </div>
+      {result.issues.length === 0 ? (
+        <p className="legality-panel-ok">Legal in {result.label}.</p>
+      ) : (
+        <ul className="legality-panel-issues">
+          {result.issues.map(issue => (
+            <li
+              key={`${issue.rule}|${issue.card || ''}`}
+              className={newKeys.has(issue.message) ? 'legality-issue legality-issue--new' : 'legality-issue'}
+            >
+              {issue.message}
+              {newKeys.has(issue.message) && <span className="legality-issue-tag">new</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {result.unknown.length > 0 && (
+        <p className="legality-panel-unknown">
+          No legality data for {result.unknown.length} card{result.unknown.length === 1 ? '' : 's'}
+          {' '}({result.unknown.slice(0, 3).join(', ')}{result.unknown.length > 3 ? ', …' : ''}) — not checked.
+        </p>
+      )}
+    </div>
+  );
+}
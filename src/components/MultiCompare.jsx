@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import DeckInput from './DeckInput';
+import CopyButton from './CopyButton';
+import { parse } from '../lib/parser';
+import { computePresenceMatrix } from '../lib/differ';
+import { formatConsensus, formatForArchidekt, formatArchidektCSV } from '../lib/formatter';
+import { downloadFile } from '../lib/download';
+import './ChangelogOutput.css';
+import './MultiCompare.css';
+
+const MIN_LISTS = 2;
+const MAX_LISTS = 10;
+
+const SECTIONS = [
+  { key: 'mainboard', name: 'Mainboard' },
+  { key: 'sideboard', name: 'Sideboard', flag: 'hasSideboard' },
+  { key: 'companions', name: 'Companion', flag: 'hasCompanions' },
+];
+
+let nextListId = 0;
+function newList() {
+  return { id: nextListId++, text: '' };
+}
+
+function listLabel(index) {
+  return index === 0 ? 'Base' : `List ${index}`;
+}
+
+function PresenceTable({ rows, labels, minLists }) {
+  return (
+    <div className="multi-compare-table-wrap">
+      <table className="multi-compare-table">
+        <thead>
+          <tr>
+            <th scope="col" className="multi-compare-card">Card</th>
+            {labels.map(label => <th key={label} scope="col">{label}</th>)}
+            <th scope="col">In</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.name} className={row.count >= minLists ? 'multi-compare-row--consensus' : undefined}>
+              <th scope="row" className="multi-compare-card">{row.name}</th>
+              {row.quantities.map((qty, i) => (
+                <td key={labels[i]} className={qty === 0 ? 'multi-compare-cell--absent' : undefined}>
+                  {qty || '·'}
+                </td>
+              ))}
+              <td className="multi-compare-count">{row.count}/{labels.length}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Compare a base list against several others at once: a card × list matrix of
+ * quantities with per-card inclusion counts, and a consensus list of every card
+ * in at least K lists that exports like any other deck text.
+ */
+export default function MultiCompare({ user, onExit }) {
+  const [lists, setLists] = useState(() => [newList(), newList(), newList()]);
+  const [result, setResult] = useState(null);
+  const [minLists, setMinLists] = useState(2);
+
+  const filled = lists.filter(list => list.text.trim());
+
+  function updateList(id, text) {
+    setLists(prev => prev.map(list => (list.id === id ? { ...list, text } : list)));
+  }
+
+  function removeList(id) {
+    setLists(prev => prev.filter(list => list.id !== id));
+    setResult(null);
+  }
+
+  function handleCompare() {
+    const labels = [];
+    const decks = [];
+    lists.forEach((list, i) => {
+      if (!list.text.trim()) return;
+      labels.push(listLabel(i));
+      decks.push(parse(list.text));
+    });
+    const matrix = computePresenceMatrix(decks);
+    setResult({ matrix, labels });
+    // Default to a simple majority
+    setMinLists(Math.floor(matrix.listCount / 2) + 1);
+  }
+
+  const consensusText = result ? formatConsensus(result.matrix, minLists) : '';
+  const sections = result ? SECTIONS.filter(s => !s.flag || result.matrix[s.flag]) : [];
+  const consensusCount = result
+    ? sections.reduce((n, { key }) => n + result.matrix[key].filter(row => row.count >= minLists).length, 0)
+    : 0;
+
+  return (
+    <div className="multi-compare">
+      <div id="deck-inputs" className="multi-compare-inputs">
+        {lists.map((list, i) => (
+          <div key={list.id} className="multi-compare-input">
+            <DeckInput label={listLabel(i)} value={list.text} onChange={text => updateList(list.id, text)} user={user} />
+            {i > 0 && lists.length > MIN_LISTS && (
+              <button
+                className="multi-compare-remove"
+                onClick={() => removeList(list.id)}
+                type="button"
+              >
+                Remove {listLabel(i)}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="app-actions">
+        <button className="btn btn-primary" onClick={handleCompare} disabled={filled.length < MIN_LISTS} type="button">
+          Compare {filled.length} Lists
+        </button>
+        <button
+          className="btn btn-secondary"
+          onClick={() => setLists(prev => [...prev, newList()])}
+          disabled={lists.length >= MAX_LISTS}
+          type="button"
+        >
+          Add List
+        </button>
+        <button className="btn btn-secondary btn--active" onClick={onExit} type="button" aria-pressed="true">
+          Multi-compare
+        </button>
+      </div>
+
+      {result && (
+        <div className="multi-compare-result">
+          <div className="multi-compare-toolbar">
+            <label className="multi-compare-threshold">
+              Cards in at least
+              <select value={minLists} onChange={e => setMinLists(Number(e.target.value))}>
+                {result.labels.map((_, i) => <option key={i + 1} value={i + 1}>{i + 1}</option>)}
+              </select>
+              of {result.matrix.listCount} lists: <strong>{consensusCount}</strong>
+            </label>
+            <div className="multi-compare-exports">
+              <CopyButton getText={() => consensusText} label="Copy Consensus List" />
+              <CopyButton
+                getText={() => formatForArchidekt(consensusText)}
+                label="Copy for Archidekt"
+                className="copy-btn copy-btn--archidekt"
+              />
+              <button className="copy-btn" onClick={() => downloadFile(formatArchidektCSV(consensusText), 'consensus.csv', 'text/csv')} type="button">
+                Download CSV
+              </button>
+            </div>
+          </div>
+          {sections.map(({ key, name }) => (
+            result.matrix[key].length > 0 && (
+              <div key={key} className="multi-compare-section">
+                <h3 className="multi-compare-section-title">{name}</h3>
+                <PresenceTable rows={result.matrix[key]} labels={result.labels} minLists={minLists} />
+              </div>
+            )
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react';
+import { getDeckPowerHistory } from '../lib/api';
+import { POWER_PROFILES } from '../lib/powerLevel';
+import './PowerLevelPanel.css';
+
+const WIDTH = 600;
+const HEIGHT = 140;
+const PAD = { top: 12, right: 12, bottom: 22, left: 28 };
+
+function formatDate(dateStr) {
+  const d = new Date(dateStr);
+  return `${d.toLocaleString('default', { month: 'short' })} ${d.getDate()}`;
+}
+
+/**
+ * PowerHistoryChart — power level of every snapshot as a line on a fixed
+ * 1–10 scale, so drift across edits is visible at a glance. Renders nothing
+ * until the deck has two snapshots.
+ *
+ * Props:
+ *   deckId — tracked deck id
+ */
+export default function PowerHistoryChart({ deckId }) {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getDeckPowerHistory(deckId)
+      .then(result => { if (!cancelled) setData(result); })
+      .catch(() => { /* optional panel — the timeline is still usable */ });
+    return () => { cancelled = true; };
+  }, [deckId]);
+
+  const points = (data?.points || []).filter(p => p.level > 0);
+  if (points.length < 2) return null;
+
+  const chartW = WIDTH - PAD.left - PAD.right;
+  const chartH = HEIGHT - PAD.top - PAD.bottom;
+  const x = i => PAD.left + (i / (points.length - 1)) * chartW;
+  const y = score => PAD.top + chartH - ((Math.max(1, Math.min(10, score)) - 1) / 9) * chartH;
+  const line = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(p.score)}`).join('');
+  const profile = POWER_PROFILES.find(p => p.id === data.profile);
+
+  return (
+    <div className="power-history">
+      <h4 className="power-history-title">
+        Power level over time{profile ? ` (${profile.label})` : ''}
+      </h4>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Power level per snapshot">
+        {[1, 4, 7, 10].map(level => (
+          <g key={level}>
+            <line className="power-history-grid" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(level)} y2={y(level)} />
+            <text className="power-history-axis" x={PAD.left - 6} y={y(level) + 3} textAnchor="end">{level}</text>
+          </g>
+        ))}
+        <text className="power-history-axis" x={x(0)} y={HEIGHT - 6}>{formatDate(points[0].date)}</text>
+        <text className="power-history-axis" x={x(points.length - 1)} y={HEIGHT - 6} textAnchor="end">
+          {formatDate(points[points.length - 1].date)}
+        </text>
+        <path className="power-history-line" d={line} />
+        {points.map((p, i) => (
+          <circle key={p.snapshotId} className="power-history-dot" cx={x(i)} cy={y(p.score)} r={3.5}>
+            <title>{`${p.nickname ? `${p.nickname} — ` : ''}${formatDate(p.date)}: ${p.level} (score ${p.score})`}</title>
+          </circle>
+        ))}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getPowerSettings } from '../lib/api';
+import { estimatePowerLevel, POWER_PROFILES, DEFAULT_POWER_PROFILE } from '../lib/powerLevel';
+import './PowerLevelPanel.css';
+
+function formatPoints(points) {
+  if (points === 0) return '0';
+  return `${points > 0 ? '+' : ''}${points.toFixed(2).replace(/\.?0+$/, '')}`;
+}
+
+/**
+ * PowerLevelPanel — power level badge, the signals behind it and a
+ * per-signal breakdown. Scores with the user's saved profile and card lists
+ * (Account Settings → Power Level); the profile picker previews the others
+ * without saving.
+ *
+ * Props:
+ *   parsedDeck — output of parse()
+ *   cardMap — output of fetchCardData()
+ */
+export default function PowerLevelPanel({ parsedDeck, cardMap }) {
+  const [settings, setSettings] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getPowerSettings()
+      .then(data => { if (!cancelled) setSettings(data.settings); })
+      // Default lists still give a useful number
+      .catch(() => { if (!cancelled) setSettings({ profile: DEFAULT_POWER_PROFILE, cardLists: {} }); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const activeProfile = profile || settings?.profile || DEFAULT_POWER_PROFILE;
+  const pl = useMemo(
+    () => (settings ? estimatePowerLevel(parsedDeck, cardMap, { ...settings, profile: activeProfile }) : null),
+    [parsedDeck, cardMap, settings, activeProfile]
+  );
+
+  if (!pl || pl.level === 0) return null;
+
+  return (
+    <div className="power-level-panel">
+      <div className="power-level-header">
+        <span className={`power-level-badge power-level-badge--${pl.level}`}>{pl.level}</span>
+        <span className="power-level-label">{pl.label}</span>
+        <span className="power-level-scale">/ 10</span>
+        <span className="power-level-score">score {pl.score}</span>
+        <select
+          className="power-level-profile"
+          value={activeProfile}
+          onChange={e => setProfile(e.target.value)}
+          aria-label="Scoring profile"
+          title={POWER_PROFILES.find(p => p.id === activeProfile)?.description}
+        >
+          {POWER_PROFILES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+      </div>
+      <div className="power-level-bar">
+        <div className="power-level-bar-fill" style={{ width: `${pl.level * 10}%` }} />
+      </div>
+      <div className="power-level-signals">
+        {pl.signals.map((s, i) => <span key={i} className="power-level-signal">{s}</span>)}
+      </div>
+      <button className="power-level-toggle" type="button" onClick={() => setShowBreakdown(v => !v)}>
+        {showBreakdown ? 'Hide breakdown' : 'Show breakdown'}
+      </button>
+      {showBreakdown && (
+        <table className="power-level-breakdown">
+          <thead>
+            <tr><th>Signal</th><th>Reading</th><th>Points</th><th>Cards</th></tr>
+          </thead>
+          <tbody>
+            {pl.breakdown.map(b => (
+              <tr key={b.id}>
+                <td>{b.label}</td>
+                <td>{b.text || '—'}</td>
+                <td className={`power-level-points${b.points > 0 ? ' power-level-points--up' : b.points < 0 ? ' power-level-points--down' : ''}`}>
+                  {formatPoints(b.points)}
+                </td>
+                <td className="power-level-cards">{b.cards.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { getPowerSettings, savePowerSettings } from '../lib/api';
+import { POWER_PROFILES, POWER_CARD_LISTS, resolveCardLists, diffCardList } from '../lib/powerLevel';
+import { toast } from './Toast';
+import './PowerLevelPanel.css';
+
+function listsToText(cardLists) {
+  const resolved = resolveCardLists(cardLists);
+  return Object.fromEntries(POWER_CARD_LISTS.map(({ id }) => [id, [...resolved[id]].sort().join('\n')]));
+}
+
+const splitLines = text => text.split('\n').map(l => l.trim()).filter(Boolean);
+
+/**
+ * PowerLevelSettings — the scoring profile and the card lists the power
+ * level signals match against. Lists are edited in full and saved as
+ * additions/removals against the defaults, so later default updates still
+ * reach users who edited a list.
+ */
+export default function PowerLevelSettings() {
+  const [profile, setProfile] = useState(null);
+  const [lists, setLists] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getPowerSettings()
+      .then(({ settings }) => {
+        setProfile(settings.profile);
+        setLists(listsToText(settings.cardLists));
+      })
+      .catch(() => toast.error('Failed to load power level settings'));
+  }, []);
+
+  if (!lists) return <p className="power-settings-desc">Loading...</p>;
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const cardLists = {};
+      for (const { id } of POWER_CARD_LISTS) cardLists[id] = diffCardList(id, splitLines(lists[id]));
+      const { settings } = await savePowerSettings({ profile, cardLists });
+      setProfile(settings.profile);
+      setLists(listsToText(settings.cardLists));
+      toast.success('Power level settings saved');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function resetList(id) {
+    setLists(prev => ({ ...prev, [id]: listsToText({})[id] }));
+  }
+
+  return (
+    <form className="power-settings" onSubmit={handleSave}>
+      <p className="power-settings-desc">
+        The profile weights each signal of the power estimate; the lists decide which cards count as fast mana,
+        tutors, efficient interaction and combo pieces. One card per line — front face names, case-insensitive.
+      </p>
+      <label htmlFor="power-settings-profile">Scoring profile</label>
+      <select id="power-settings-profile" value={profile} onChange={e => setProfile(e.target.value)}>
+        {POWER_PROFILES.map(p => <option key={p.id} value={p.id}>{p.label} — {p.description}</option>)}
+      </select>
+
+      {POWER_CARD_LISTS.map(({ id, label }) => (
+        <div key={id} className="power-settings-list">
+          <div className="power-settings-list-header">
+            <label htmlFor={`power-settings-${id}`}>{label} ({splitLines(lists[id]).length})</label>
+            <button className="btn btn-secondary btn-sm" type="button" onClick={() => resetList(id)}>
+              Reset to default
+            </button>
+          </div>
+          <textarea
+            id={`power-settings-${id}`}
+            rows={6}
+            value={lists[id]}
+            onChange={e => setLists(prev => ({ ...prev, [id]: e.target.value }))}
+          />
+        </div>
+      ))}
+
+      <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+        {saving ? '...' : 'Save'}
+      </button>
+    </form>
+  );
+}
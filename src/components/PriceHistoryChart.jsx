@@ -55,8 +55,9 @@ function formatFullDate(dateStr) {
  * Props:
  *   dataPoints — array of { snapshotId, price, budgetPrice, date, nickname }
  *   height — optional chart height (default 280)
+ *   emptyHint — optional text under "No price data yet"
  */
-export default function PriceHistoryChart({ dataPoints, height = 280 }) {
+export default function PriceHistoryChart({ dataPoints, height = 280, emptyHint }) {
   const [hoveredIdx, setHoveredIdx] = useState(null);
   const svgRef = useRef(null);
   const tooltipRef = useRef(null);
@@ -150,7 +151,9 @@ export default function PriceHistoryChart({ dataPoints, height = 280 }) {
       <div className="price-chart-empty">
         <div className="price-chart-empty-icon">📊</div>
         <div className="price-chart-empty-text">No price data yet</div>
-        <div className="price-chart-empty-hint">Click &ldquo;Check Prices&rdquo; on a deck to start tracking price history</div>
+        <div className="price-chart-empty-hint">
+          {emptyHint || <>Click &ldquo;Check Prices&rdquo; on a deck to start tracking price history</>}
+        </div>
       </div>
     );
   }
@@ -0,0 +1,236 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  getRecommendationPacks, createRecommendationPack, updateRecommendationPack, deleteRecommendationPack,
+  saveRecommendationSettings, getAdminRecommendationPacks, adminCreateRecommendationPack,
+  adminUpdateRecommendationPack, adminDeleteRecommendationPack,
+} from '../lib/api';
+import { BUILTIN_PACK, DEFAULT_RULES, exportPack, normalizePack } from '../lib/recommendationPacks';
+import { downloadFile } from '../lib/download';
+import { useConfirm } from './ConfirmModal';
+import { toast } from './Toast';
+import './RecommendationPackManager.css';
+
+function downloadPack(pack) {
+  const slug = pack.name.replace(/[^a-zA-Z0-9 _-]/g, '').replace(/\s+/g, '_') || 'pack';
+  downloadFile(JSON.stringify(exportPack(pack), null, 2), `${slug}.json`);
+}
+
+const API = {
+  user: {
+    list: () => getRecommendationPacks(),
+    create: createRecommendationPack,
+    update: updateRecommendationPack,
+    remove: deleteRecommendationPack,
+  },
+  global: {
+    list: () => getAdminRecommendationPacks(),
+    create: adminCreateRecommendationPack,
+    update: adminUpdateRecommendationPack,
+    remove: adminDeleteRecommendationPack,
+  },
+};
+
+/**
+ * RecommendationPackManager — import, export and delete recommendation packs.
+ *
+ * Props:
+ *   scope — 'user' (Account Settings: the user's own packs plus house rules)
+ *     or 'global' (admin page: server-wide packs every user can mix in)
+ */
+export default function RecommendationPackManager({ scope = 'user' }) {
+  const api = API[scope];
+  const [confirm, ConfirmDialog] = useConfirm();
+  const [packs, setPacks] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const fileRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await api.list();
+      setPacks(data.packs);
+      if (data.settings) setSettings(data.settings);
+    } catch {
+      toast.error('Failed to load recommendation packs');
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const ownScope = scope === 'user' ? 'user' : 'global';
+  const owned = packs.filter(p => p.scope === ownScope);
+  const shared = packs.filter(p => p.scope !== ownScope);
+
+  // Importing a pack whose name matches one you own replaces it, so an edited
+  // export can be re-imported in place.
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setImporting(true);
+    try {
+      let pack;
+      try {
+        pack = normalizePack(JSON.parse(await file.text()));
+      } catch (err) {
+        throw new Error(err instanceof SyntaxError ? 'File is not valid JSON' : err.message);
+      }
+      const existing = owned.find(p => p.name.toLowerCase() === pack.name.toLowerCase());
+      if (existing) {
+        await api.update(existing.id, pack);
+        toast.success(`Replaced "${pack.name}" (${pack.cards.length} cards)`);
+      } else {
+        await api.create(pack);
+        toast.success(`Imported "${pack.name}" (${pack.cards.length} cards)`);
+      }
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  async function handleDelete(pack) {
+    const confirmed = await confirm({
+      title: `Delete "${pack.name}"?`,
+      message: scope === 'global'
+        ? 'Every user loses this pack from their suggestions.'
+        : 'Export it first if you may want it back.',
+      confirmLabel: 'Delete',
+      danger: true,
+    });
+    if (!confirmed) return;
+    try {
+      await api.remove(pack.id);
+      toast.success('Pack deleted');
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  return (
+    <div className="rec-packs">
+      {ConfirmDialog}
+      <p className="rec-packs-desc">
+        {scope === 'global'
+          ? 'Server-wide packs are offered to every user alongside the built-in staples.'
+          : 'Packs are the card lists Suggest Cards draws from. Import a JSON pack, or export one to edit and re-import it.'}
+        {' '}Each card needs a <code>name</code>; <code>category</code>, <code>colors</code> (e.g. <code>&quot;UB&quot;</code>)
+        and <code>reason</code> are optional.
+      </p>
+
+      <div className="rec-packs-actions">
+        <input ref={fileRef} type="file" accept=".json,application/json" onChange={handleImport} hidden />
+        <button className="btn btn-primary btn-sm" type="button" onClick={() => fileRef.current?.click()} disabled={importing}>
+          {importing ? '...' : 'Import Pack'}
+        </button>
+        <button className="btn btn-secondary btn-sm" type="button" onClick={() => downloadPack(BUILTIN_PACK)}>
+          Export Built-in Staples
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="rec-packs-empty">Loading...</p>
+      ) : (
+        <>
+          {owned.length === 0 ? (
+            <p className="rec-packs-empty">No packs yet.</p>
+          ) : (
+            <PackList packs={owned} onDelete={handleDelete} />
+          )}
+          {shared.length > 0 && (
+            <>
+              <h4 className="rec-packs-subtitle">Server packs</h4>
+              <PackList packs={shared} />
+            </>
+          )}
+        </>
+      )}
+
+      {scope === 'user' && settings && (
+        <HouseRules settings={settings} onSaved={setSettings} />
+      )}
+    </div>
+  );
+}
+
+function PackList({ packs, onDelete }) {
+  return (
+    <ul className="rec-packs-list">
+      {packs.map(pack => (
+        <li key={pack.id} className="rec-packs-item">
+          <div className="rec-packs-info">
+            <span className="rec-packs-name">{pack.name}</span>
+            <span className="rec-packs-count">{pack.cards.length} cards</span>
+            {pack.description && <span className="rec-packs-item-desc">{pack.description}</span>}
+          </div>
+          <div className="rec-packs-item-actions">
+            <button className="btn btn-secondary btn-sm" type="button" onClick={() => downloadPack(pack)}>Export</button>
+            {onDelete && (
+              <button className="btn btn-secondary btn-sm btn-danger" type="button" onClick={() => onDelete(pack)}>Delete</button>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/** Rules applied to every suggestion, whichever packs are mixed. */
+function HouseRules({ settings, onSaved }) {
+  const rules = settings.rules || DEFAULT_RULES;
+  const [excludeGameChangers, setExcludeGameChangers] = useState(rules.excludeGameChangers);
+  const [maxPrice, setMaxPrice] = useState(rules.maxPrice ?? '');
+  const [bans, setBans] = useState(rules.excludeCards.join('\n'));
+  const [saving, setSaving] = useState(false);
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const data = await saveRecommendationSettings({
+        packIds: settings.packIds,
+        rules: {
+          excludeGameChangers,
+          maxPrice: maxPrice === '' ? null : Number(maxPrice),
+          excludeCards: bans.split('\n').map(l => l.trim()).filter(Boolean),
+        },
+      });
+      onSaved(data.settings);
+      toast.success('Rules saved');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="rec-packs-rules" onSubmit={handleSave}>
+      <h4 className="rec-packs-subtitle">House rules</h4>
+      <label className="rec-packs-checkbox">
+        <input type="checkbox" checked={excludeGameChangers} onChange={e => setExcludeGameChangers(e.target.checked)} />
+        Exclude Game Changers
+      </label>
+      <label htmlFor="rec-packs-max-price">Max price (USD, blank for no limit)</label>
+      <input
+        id="rec-packs-max-price"
+        type="number"
+        min="0"
+        step="0.01"
+        value={maxPrice}
+        onChange={e => setMaxPrice(e.target.value)}
+      />
+      <label htmlFor="rec-packs-bans">House bans (one card per line)</label>
+      <textarea id="rec-packs-bans" rows={4} value={bans} onChange={e => setBans(e.target.value)} />
+      <button className="btn btn-primary btn-sm" type="submit" disabled={saving}>
+        {saving ? '...' : 'Save Rules'}
+      </button>
+    </form>
+  );
+}
@@ -1,73 +1,71 @@
 import { useState, useEffect, useMemo, useRef } from 'react';
 import { createPortal } from 'react-dom';
-import { getDeckRecommendations, getDeckSnapshots, getSnapshot } from '../lib/api';
+import {
+  getDeckRecommendations, getDeckSnapshots, getSnapshot, getRecommendationPacks, saveRecommendationSettings,
+} from '../lib/api';
 import { useModalLayer } from '../lib/useModalLayer';
 import { parse } from '../lib/parser';
 import { fetchCardData } from '../lib/scryfall';
 import { generateRecommendations, getStapleCardNames } from '../lib/recommendations';
+import { BUILTIN_PACK, BUILTIN_PACK_ID, DEFAULT_RULES, STAPLE_CATEGORIES } from '../lib/recommendationPacks';
 import CardLine from './CardLine';
 import Skeleton from './Skeleton';
 import { toast } from './Toast';
 import './RecommendationsOverlay.css';
 
-const CATEGORIES = ['All', 'Ramp', 'Card Draw', 'Removal', 'Board Wipe', 'Protection', 'Lands', 'Recursion'];
+// Merge server card data (has colorIdentity) into the client-fetched map
+function mergeServerCardData(fullCardMap, serverCardData) {
+  for (const [key, val] of Object.entries(serverCardData || {})) {
+    const existing = fullCardMap.get(key);
+    if (existing) {
+      existing.colorIdentity = val.colorIdentity || existing.colorIdentity || [];
+      if (!existing.priceUsd && val.priceUsd) existing.priceUsd = val.priceUsd;
+    } else {
+      fullCardMap.set(key, {
+        type: val.type || 'Other',
+        manaCost: val.manaCost || '',
+        imageUri: '',
+        priceUsd: val.priceUsd || null,
+        priceUsdFoil: val.priceUsdFoil || null,
+        colorIdentity: val.colorIdentity || [],
+      });
+    }
+  }
+}
 
 export default function RecommendationsOverlay({ deckId, deckName, onClose }) {
   const [loading, setLoading] = useState(true);
+  const [deck, setDeck] = useState(null);
+  const [availablePacks, setAvailablePacks] = useState([BUILTIN_PACK]);
+  const [packSettings, setPackSettings] = useState({ packIds: null, rules: DEFAULT_RULES });
   const [recommendations, setRecommendations] = useState([]);
   const [analysis, setAnalysis] = useState(null);
   const [cardMap, setCardMap] = useState(null);
   const [categoryFilter, setCategoryFilter] = useState('All');
   const [searchQuery, setSearchQuery] = useState('');
+  const [maxPriceInput, setMaxPriceInput] = useState('');
 
   useEffect(() => {
     let cancelled = false;
 
     async function load() {
       try {
-        // Fetch deck recommendations + snapshot list in parallel (independent calls)
-        const [data, snapshotsData] = await Promise.all([
+        // Deck data, snapshot list and the user's packs are independent calls.
+        // Packs are optional — without them the built-in staples still work.
+        const [data, snapshotsData, packData] = await Promise.all([
           getDeckRecommendations(deckId),
           getDeckSnapshots(deckId),
+          getRecommendationPacks().catch(() => null),
         ]);
 
         if (cancelled) return;
 
-        // Build a cardMap from server data
-        const serverCardMap = new Map();
-        if (data.cardData) {
-          for (const [key, val] of Object.entries(data.cardData)) {
-            serverCardMap.set(key, val);
-          }
+        if (packData) {
+          setAvailablePacks([BUILTIN_PACK, ...packData.packs]);
+          setPackSettings(packData.settings);
+          setMaxPriceInput(packData.settings.rules.maxPrice ?? '');
         }
 
-        // Also fetch staple card data from Scryfall (client-side) for images + metadata
-        const stapleNames = getStapleCardNames();
-        const allNames = [...new Set([...stapleNames, ...Object.keys(data.cardData || {})])].filter(Boolean);
-        const fullCardMap = await fetchCardData(allNames);
-
-        if (cancelled) return;
-
-        // Merge server card data (has colorIdentity) into fullCardMap
-        for (const [key, val] of serverCardMap) {
-          const existing = fullCardMap.get(key);
-          if (existing) {
-            existing.colorIdentity = val.colorIdentity || existing.colorIdentity || [];
-            if (!existing.priceUsd && val.priceUsd) existing.priceUsd = val.priceUsd;
-          } else {
-            fullCardMap.set(key, {
-              type: val.type || 'Other',
-              manaCost: val.manaCost || '',
-              imageUri: '',
-              priceUsd: val.priceUsd || null,
-              priceUsdFoil: val.priceUsdFoil || null,
-              colorIdentity: val.colorIdentity || [],
-            });
-          }
-        }
-
-        setCardMap(fullCardMap);
-
         // Fetch snapshot detail (depends on snapshotsData result)
         if (snapshotsData.snapshots && snapshotsData.snapshots.length > 0) {
           const latestSnapshot = snapshotsData.snapshots[0];
@@ -75,18 +73,20 @@ export default function RecommendationsOverlay({ deckId, deckName, onClose }) {
 
           if (cancelled) return;
 
-          const parsed = parse(snapDetail.snapshot.deck_text);
-          const result = generateRecommendations(parsed, fullCardMap, data.commanders || []);
-          setRecommendations(result.recommendations);
-          setAnalysis(result.analysis);
+          setDeck({
+            parsed: parse(snapDetail.snapshot.deck_text),
+            commanders: data.commanders || [],
+            cardData: data.cardData,
+          });
+        } else {
+          setLoading(false);
         }
       } catch (err) {
         if (!cancelled) {
           toast.error('Failed to load recommendations');
           console.error('Recommendations error:', err);
+          setLoading(false);
         }
-      } finally {
-        if (!cancelled) setLoading(false);
       }
     }
 
@@ -94,6 +94,69 @@ export default function RecommendationsOverlay({ deckId, deckName, onClose }) {
     return () => { cancelled = true; };
   }, [deckId]);
 
+  // Packs in the mix: the saved selection, or by default the built-in staples
+  // plus every server-wide pack
+  const activePacks = useMemo(() => {
+    const { packIds } = packSettings;
+    if (!packIds) return availablePacks.filter(p => p.scope !== 'user');
+    return availablePacks.filter(p => packIds.includes(p.id));
+  }, [availablePacks, packSettings]);
+
+  // Re-score whenever the mix or rules change; card data for pack cards is
+  // fetched client-side (cached) for images and prices
+  useEffect(() => {
+    if (!deck) return;
+    let cancelled = false;
+
+    async function score() {
+      try {
+        const allNames = [...new Set([...getStapleCardNames(activePacks), ...Object.keys(deck.cardData || {})])].filter(Boolean);
+        const fullCardMap = await fetchCardData(allNames);
+        if (cancelled) return;
+        mergeServerCardData(fullCardMap, deck.cardData);
+        setCardMap(fullCardMap);
+
+        const result = generateRecommendations(deck.parsed, fullCardMap, deck.commanders, {
+          packs: activePacks,
+          rules: packSettings.rules,
+        });
+        setRecommendations(result.recommendations);
+        setAnalysis(result.analysis);
+      } catch (err) {
+        if (!cancelled) {
+          toast.error('Failed to load recommendations');
+          console.error('Recommendations error:', err);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    score();
+    return () => { cancelled = true; };
+  }, [deck, activePacks, packSettings.rules]);
+
+  function updatePackSettings(next) {
+    setPackSettings(next);
+    saveRecommendationSettings(next).catch(err => toast.error(err.message));
+  }
+
+  function handleTogglePack(id) {
+    const current = activePacks.map(p => p.id);
+    const packIds = current.includes(id) ? current.filter(x => x !== id) : [...current, id];
+    updatePackSettings({ ...packSettings, packIds });
+  }
+
+  function handleRuleChange(changes) {
+    updatePackSettings({ ...packSettings, rules: { ...packSettings.rules, ...changes } });
+  }
+
+  function commitMaxPrice() {
+    const value = maxPriceInput === '' ? null : Number(maxPriceInput);
+    if (value !== null && (!Number.isFinite(value) || value < 0)) return;
+    if (value !== packSettings.rules.maxPrice) handleRuleChange({ maxPrice: value });
+  }
+
   // Escape-to-close, focus trap and scroll lock (this overlay previously had no
   // scroll lock), stack-aware — see useModalLayer.
   const panelRef = useRef(null);
@@ -119,6 +182,13 @@ export default function RecommendationsOverlay({ deckId, deckName, onClose }) {
     return counts;
   }, [recommendations]);
 
+  // Standard categories first, then any a pack defines
+  const categories = useMemo(() => [
+    'All',
+    ...STAPLE_CATEGORIES,
+    ...Object.keys(categoryCounts).filter(c => !STAPLE_CATEGORIES.includes(c)).sort(),
+  ], [categoryCounts]);
+
   return createPortal(
     <div className="recs-overlay" onClick={(e) => { if (e.target === e.currentTarget) onClose(); }} role="dialog" aria-modal="true" aria-label={`Suggestions for ${deckName}`}>
       <div className="recs-overlay-panel" ref={panelRef} tabIndex={-1}>
@@ -147,10 +217,55 @@ export default function RecommendationsOverlay({ deckId, deckName, onClose }) {
           )}
         </div>
 
+        {/* Pack mix + rules */}
+        <div className="recs-overlay-packs">
+          {availablePacks.map(pack => {
+            const active = activePacks.includes(pack);
+            return (
+              <button
+                key={pack.id}
+                className={`recs-pack-btn${active ? ' recs-pack-btn--active' : ''}`}
+                onClick={() => handleTogglePack(pack.id)}
+                type="button"
+                aria-pressed={active}
+                title={pack.description || `${pack.cards.length} cards`}
+              >
+                {pack.name}
+                {pack.id !== BUILTIN_PACK_ID && <span className="recs-pack-scope">{pack.scope === 'global' ? 'server' : 'mine'}</span>}
+              </button>
+            );
+          })}
+          <label className="recs-rule">
+            <input
+              type="checkbox"
+              checked={packSettings.rules.excludeGameChangers}
+              onChange={e => handleRuleChange({ excludeGameChangers: e.target.checked })}
+            />
+            No Game Changers
+          </label>
+          <label className="recs-rule">
+            Max $
+            <input
+              className="recs-rule-price"
+              type="number"
+              min="0"
+              step="0.5"
+              placeholder="any"
+              value={maxPriceInput}
+              onChange={e => setMaxPriceInput(e.target.value)}
+              onBlur={commitMaxPrice}
+              onKeyDown={e => { if (e.key === 'Enter') commitMaxPrice(); }}
+            />
+          </label>
+          {analysis?.excluded > 0 && (
+            <span className="recs-rule-excluded">{analysis.excluded} hidden by your rules</span>
+          )}
+        </div>
+
         {/* Filters */}
         <div className="recs-overlay-filters">
           <div className="recs-overlay-categories">
-            {CATEGORIES.map(cat => {
+            {categories.map(cat => {
               const count = cat === 'All' ? recommendations.length : (categoryCounts[cat] || 0);
               if (cat !== 'All' && count === 0) return null;
               return (
@@ -182,7 +297,9 @@ export default function RecommendationsOverlay({ deckId, deckName, onClose }) {
             </div>
           ) : filtered.length === 0 ? (
             <div className="recs-overlay-empty">
-              {recommendations.length === 0
+              {activePacks.length === 0
+                ? 'No packs selected — pick at least one above.'
+                : recommendations.length === 0
                 ? 'No suggestions available for this deck.'
                 : 'No suggestions match your filter.'
               }
@@ -200,6 +317,7 @@ export default function RecommendationsOverlay({ deckId, deckName, onClose }) {
                   />
                   <div className="recs-card-meta">
                     <span className="recs-card-category">{rec.category}</span>
+                    {activePacks.length > 1 && <span className="recs-card-pack">{rec.pack}</span>}
                     {rec.isBannedInCommander && (
                       <span className="recs-card-badge recs-card-badge--banned" title="Banned in Commander">BANNED</span>
                     )}
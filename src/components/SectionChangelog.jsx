@@ -1,9 +1,10 @@
-import { memo, useMemo } from 'react';
+import { memo, useMemo, useState } from 'react';
 import CardLine from './CardLine';
-import { groupByType } from '../lib/scryfall';
+import GroupByToggle from './GroupByToggle';
+import { groupByType, groupByCategory } from '../lib/scryfall';
 import './SectionChangelog.css';
 
-function CardGroup({ cards, changeType, cardMap }) {
+function CardGroup({ cards, changeType, cardMap, offIdentity }) {
   return cards.map((card) => {
     // Try composite key first (name|collectorNumber) for per-printing data, fall back to bare name
     const nameLower = card.name.toLowerCase();
@@ -37,30 +38,54 @@ function CardGroup({ cards, changeType, cardMap }) {
         newSetCode={card.newSetCode}
         newCollectorNumber={card.newCollectorNumber}
         newIsFoil={card.newIsFoil}
+        oldCategory={card.oldCategory}
+        newCategory={card.newCategory}
+        priceDelta={card.priceDelta}
+        offColors={offIdentity?.get(nameLower)}
       />
     );
   });
 }
 
-function TypeGroupedCards({ cards, changeType, cardMap }) {
-  const groups = useMemo(() => groupByType(cards, cardMap), [cards, cardMap]);
+function TypeGroupedCards({ cards, changeType, cardMap, byCategory, offIdentity }) {
+  const groups = useMemo(
+    () => (byCategory ? groupByCategory(cards) : groupByType(cards, cardMap)),
+    [cards, cardMap, byCategory]
+  );
 
   return groups.map(({ type, cards: groupCards }) => (
     <div key={type} className="section-changelog-type-group">
       <span className="section-changelog-type-label">{type}</span>
-      <CardGroup cards={groupCards} changeType={changeType} cardMap={cardMap} />
+      <CardGroup cards={groupCards} changeType={changeType} cardMap={cardMap} offIdentity={offIdentity} />
     </div>
   ));
 }
 
-export default memo(function SectionChangelog({ sectionName, changes, cardMap }) {
-  const { cardsIn, cardsOut, quantityChanges, printingChanges = [] } = changes;
-  const isEmpty = cardsIn.length === 0 && cardsOut.length === 0 && quantityChanges.length === 0 && printingChanges.length === 0;
-  const hasTypes = cardMap && cardMap.size > 0;
+export default memo(function SectionChangelog({ sectionName, changes, cardMap, offIdentity }) {
+  const { cardsIn, cardsOut, quantityChanges, printingChanges = [], categoryChanges = [] } = changes;
+  const isEmpty = cardsIn.length === 0 && cardsOut.length === 0 && quantityChanges.length === 0 && printingChanges.length === 0 && categoryChanges.length === 0;
+  const [groupBy, setGroupBy] = useState('type');
+  const hasCategories = useMemo(
+    () => [cardsIn, cardsOut, quantityChanges, printingChanges, categoryChanges].some(list => list.some(c => c.category)),
+    [cardsIn, cardsOut, quantityChanges, printingChanges, categoryChanges]
+  );
+  const byCategory = hasCategories && groupBy === 'category';
+  const grouped = byCategory || (cardMap && cardMap.size > 0);
+
+  function renderCards(cards, changeType) {
+    return grouped ? (
+      <TypeGroupedCards cards={cards} changeType={changeType} cardMap={cardMap} byCategory={byCategory} offIdentity={offIdentity} />
+    ) : (
+      <CardGroup cards={cards} changeType={changeType} cardMap={cardMap} offIdentity={offIdentity} />
+    );
+  }
 
   return (
     <section className="section-changelog" aria-label={`${sectionName} changes`}>
-      <h3 className="section-changelog-title">{sectionName}</h3>
+      <h3 className="section-changelog-title">
+        {sectionName}
+        <GroupByToggle value={groupBy} onChange={setGroupBy} available={hasCategories} />
+      </h3>
 
       {isEmpty && <p className="section-changelog-empty">No changes</p>}
 
@@ -70,11 +95,7 @@ export default memo(function SectionChangelog({ sectionName, changes, cardMap })
             Cards In
             <span className="section-changelog-count">{cardsIn.length}</span>
           </h4>
-          {hasTypes ? (
-            <TypeGroupedCards cards={cardsIn} changeType="in" cardMap={cardMap} />
-          ) : (
-            <CardGroup cards={cardsIn} changeType="in" cardMap={cardMap} />
-          )}
+          {renderCards(cardsIn, 'in')}
         </div>
       )}
 
@@ -84,11 +105,7 @@ export default memo(function SectionChangelog({ sectionName, changes, cardMap })
             Cards Out
             <span className="section-changelog-count">{cardsOut.length}</span>
           </h4>
-          {hasTypes ? (
-            <TypeGroupedCards cards={cardsOut} changeType="out" cardMap={cardMap} />
-          ) : (
-            <CardGroup cards={cardsOut} changeType="out" cardMap={cardMap} />
-          )}
+          {renderCards(cardsOut, 'out')}
         </div>
       )}
 
@@ -98,11 +115,7 @@ export default memo(function SectionChangelog({ sectionName, changes, cardMap })
             Quantity Changes
             <span className="section-changelog-count">{quantityChanges.length}</span>
           </h4>
-          {hasTypes ? (
-            <TypeGroupedCards cards={quantityChanges} changeType="changed" cardMap={cardMap} />
-          ) : (
-            <CardGroup cards={quantityChanges} changeType="changed" cardMap={cardMap} />
-          )}
+          {renderCards(quantityChanges, 'changed')}
         </div>
       )}
 
@@ -112,11 +125,17 @@ export default memo(function SectionChangelog({ sectionName, changes, cardMap })
             Printing Changes
             <span className="section-changelog-count">{printingChanges.length}</span>
           </h4>
-          {hasTypes ? (
-            <TypeGroupedCards cards={printingChanges} changeType="printing" cardMap={cardMap} />
-          ) : (
-            <CardGroup cards={printingChanges} changeType="printing" cardMap={cardMap} />
-          )}
+          {renderCards(printingChanges, 'printing')}
+        </div>
+      )}
+
+      {categoryChanges.length > 0 && (
+        <div className="section-changelog-group">
+          <h4 className="section-changelog-group-title section-changelog-group-title--category">
+            Category Moves
+            <span className="section-changelog-count">{categoryChanges.length}</span>
+          </h4>
+          {renderCards(categoryChanges, 'category')}
         </div>
       )}
     </section>
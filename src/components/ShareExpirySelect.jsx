@@ -0,0 +1,35 @@
+import './ShareExpirySelect.css';
+
+const EXPIRY_DAYS = [1, 7, 30, 90];
+
+function formatExpiry(iso) {
+  return new Date(iso + 'Z').toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * ShareExpirySelect — shows a share link's current expiry and offers to
+ * change it. Choosing an option calls `onChange(days)`, days null meaning
+ * "never expires"; the server counts days from now.
+ *
+ * Props:
+ *   expiresAt — SQLite UTC datetime, or null for no expiry
+ *   onChange — (days: number|null) => void
+ *   disabled — optional
+ */
+export default function ShareExpirySelect({ expiresAt, onChange, disabled }) {
+  return (
+    <select
+      className="share-expiry-select"
+      value=""
+      disabled={disabled}
+      aria-label="Link expiry"
+      onChange={e => onChange(e.target.value === 'never' ? null : Number(e.target.value))}
+    >
+      <option value="" disabled>{expiresAt ? `Expires ${formatExpiry(expiresAt)}` : 'Never expires'}</option>
+      {expiresAt && <option value="never">Never expire</option>}
+      {EXPIRY_DAYS.map(days => (
+        <option key={days} value={days}>Expire in {days} day{days > 1 ? 's' : ''}</option>
+      ))}
+    </select>
+  );
+}
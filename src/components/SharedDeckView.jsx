@@ -4,6 +4,8 @@ import { toast } from './Toast';
 import Skeleton from './Skeleton';
 import CopyButton from './CopyButton';
 import { formatChangelog, formatReddit, formatJSON } from '../lib/formatter';
+import { buildEmbedSnippet } from '../lib/embed';
+import { shareLinkUrl } from '../lib/useHashRoute';
 import './SharedDeckView.css';
 
 export default function SharedDeckView({ shareId }) {
@@ -11,6 +13,12 @@ export default function SharedDeckView({ shareId }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // Passphrase-protected shares: sent with every request once entered
+  const [passphrase, setPassphrase] = useState('');
+  const [needsPassphrase, setNeedsPassphrase] = useState(false);
+  const [passphraseInput, setPassphraseInput] = useState('');
+  const [passphraseError, setPassphraseError] = useState(null);
+
   // Changelog state
   const [changelog, setChangelog] = useState(null);
   const [compareA, setCompareA] = useState('');
@@ -24,15 +32,31 @@ export default function SharedDeckView({ shareId }) {
   useEffect(() => {
     setLoading(true);
     setError(null);
-    getSharedDeck(shareId)
-      .then(setDeckData)
-      .catch(err => setError(err.message))
+    getSharedDeck(shareId, passphrase)
+      .then(data => {
+        setDeckData(data);
+        setNeedsPassphrase(false);
+      })
+      .catch(err => {
+        if (err.data?.passphraseRequired) {
+          setNeedsPassphrase(true);
+          setPassphraseError(passphrase ? err.message : null);
+        } else {
+          setError(err.message);
+        }
+      })
       .finally(() => setLoading(false));
-  }, [shareId]);
+  }, [shareId, passphrase]);
+
+  function handleUnlock(e) {
+    e.preventDefault();
+    if (!passphraseInput) return;
+    setPassphrase(passphraseInput);
+  }
 
   async function handleViewChangelog() {
     try {
-      const data = await getSharedDeckChangelog(shareId);
+      const data = await getSharedDeckChangelog(shareId, null, null, passphrase);
       setChangelog(data);
     } catch (err) {
       toast.error(err.message);
@@ -42,7 +66,7 @@ export default function SharedDeckView({ shareId }) {
   async function handleCompare() {
     if (!compareA || !compareB) return;
     try {
-      const data = await getSharedDeckChangelog(shareId, compareA, compareB);
+      const data = await getSharedDeckChangelog(shareId, compareA, compareB, passphrase);
       setChangelog(data);
     } catch (err) {
       toast.error(err.message);
@@ -58,7 +82,7 @@ export default function SharedDeckView({ shareId }) {
     setSnapshotLoading(true);
     setViewingSnapshot(snapshotId);
     try {
-      const data = await getSharedDeckSnapshot(shareId, snapshotId);
+      const data = await getSharedDeckSnapshot(shareId, snapshotId, passphrase);
       setSnapshotText(data.snapshot.deck_text);
     } catch {
       toast.error('Failed to load snapshot');
@@ -69,7 +93,7 @@ export default function SharedDeckView({ shareId }) {
   }
 
   function handleCopyLink() {
-    const url = `${window.location.origin}${window.location.pathname}#deck/${shareId}`;
+    const url = shareLinkUrl('deck', shareId);
     navigator.clipboard.writeText(url).then(() => {
       toast.success('Link copied to clipboard');
     });
@@ -90,6 +114,29 @@ export default function SharedDeckView({ shareId }) {
     );
   }
 
+  if (needsPassphrase) {
+    return (
+      <div className="shared-deck-page">
+        <form className="shared-deck-card shared-deck-passphrase" onSubmit={handleUnlock}>
+          <h2>Protected Deck</h2>
+          <p>The owner put a passphrase on this shared deck.</p>
+          <input
+            type="password"
+            value={passphraseInput}
+            onChange={e => setPassphraseInput(e.target.value)}
+            placeholder="Passphrase"
+            aria-label="Passphrase"
+            autoFocus
+          />
+          {passphraseError && <p className="shared-deck-passphrase-error">{passphraseError}</p>}
+          <button className="btn btn-primary btn-sm" type="submit" disabled={!passphraseInput}>
+            Unlock
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="shared-deck-page">
@@ -104,7 +151,7 @@ export default function SharedDeckView({ shareId }) {
     );
   }
 
-  const { deckName, commanders, ownerUsername, sharedAt, snapshots } = deckData;
+  const { deckName, commanders, ownerUsername, sharedAt, scope, snapshots } = deckData;
 
   return (
     <div className="shared-deck-page">
@@ -121,16 +168,28 @@ export default function SharedDeckView({ shareId }) {
             )}
             <span className="shared-deck-owner">by {ownerUsername}</span>
             <span className="shared-deck-shared-date">Shared {formatDate(sharedAt)}</span>
+            {scope === 'latest' && <span className="shared-deck-scope">Latest snapshot only</span>}
+            {scope === 'selected' && <span className="shared-deck-scope">Selected snapshots</span>}
           </div>
         </div>
 
         <div className="shared-deck-actions">
-          <button className="btn btn-primary btn-sm" onClick={handleViewChangelog} type="button">
-            View Latest Changelog
-          </button>
+          {snapshots.length >= 2 && (
+            <button className="btn btn-primary btn-sm" onClick={handleViewChangelog} type="button">
+              View Latest Changelog
+            </button>
+          )}
           <button className="btn btn-secondary btn-sm" onClick={handleCopyLink} type="button">
             Copy Link
           </button>
+          {/* Embeds can't carry a passphrase, so protected decks don't offer one */}
+          {!passphrase && (
+            <CopyButton
+              getText={() => buildEmbedSnippet(window.location.origin, 'deck', shareId, { title: deckName })}
+              label="Copy Embed Code"
+              className="btn btn-secondary btn-sm"
+            />
+          )}
           {deckData.deckUrl && (
             <a href={deckData.deckUrl} target="_blank" rel="noopener noreferrer" className="btn btn-secondary btn-sm">
               Archidekt
@@ -164,7 +223,15 @@ export default function SharedDeckView({ shareId }) {
         )}
 
         {/* Changelog display */}
-        {changelog && <SharedChangelogDisplay changelog={changelog} />}
+        {changelog && (
+          <SharedChangelogDisplay
+            changelog={changelog}
+            embedCode={passphrase ? null : () => buildEmbedSnippet(window.location.origin, 'changelog', shareId, {
+              params: { a: changelog.before.id, b: changelog.after.id },
+              title: `${deckName} — Changelog`,
+            })}
+          />
+        )}
 
         {/* Snapshot list */}
         <h3 className="shared-deck-section-title">Snapshots ({snapshots.length})</h3>
@@ -208,30 +275,37 @@ export default function SharedDeckView({ shareId }) {
   );
 }
 
-function SharedChangelogDisplay({ changelog }) {
+function SharedChangelogDisplay({ changelog, embedCode }) {
   const { diff } = changelog;
-  const { mainboard, sideboard, hasSideboard } = diff;
+  const { mainboard, sideboard, hasSideboard, companions, maybeboard } = diff;
 
-  const { hasMainChanges, hasSideChanges, noChanges } = useMemo(() => {
-    const hasMain =
-      mainboard.cardsIn.length > 0 ||
-      mainboard.cardsOut.length > 0 ||
-      mainboard.quantityChanges.length > 0;
-
-    const hasSide = hasSideboard && (
-      sideboard.cardsIn.length > 0 ||
-      sideboard.cardsOut.length > 0 ||
-      sideboard.quantityChanges.length > 0
+  const { hasMainChanges, hasSideChanges, hasCompanionChanges, hasMaybeChanges, noChanges } = useMemo(() => {
+    const sectionChanged = (sec) => !!sec && (
+      sec.cardsIn.length > 0 ||
+      sec.cardsOut.length > 0 ||
+      sec.quantityChanges.length > 0 ||
+      (sec.categoryChanges || []).length > 0
     );
 
-    return { hasMainChanges: hasMain, hasSideChanges: hasSide, noChanges: !hasMain && !hasSide };
-  }, [mainboard, sideboard, hasSideboard]);
+    const hasMain = sectionChanged(mainboard);
+    const hasSide = hasSideboard && sectionChanged(sideboard);
+    const hasCompanion = sectionChanged(companions);
+    const hasMaybe = sectionChanged(maybeboard);
+
+    return {
+      hasMainChanges: hasMain,
+      hasSideChanges: hasSide,
+      hasCompanionChanges: hasCompanion,
+      hasMaybeChanges: hasMaybe,
+      noChanges: !hasMain && !hasSide && !hasCompanion && !hasMaybe,
+    };
+  }, [mainboard, sideboard, hasSideboard, companions, maybeboard]);
 
   if (noChanges) {
     return <p className="shared-deck-empty">No changes detected.</p>;
   }
 
-  const diffResult = { mainboard, sideboard, hasSideboard, commanders: [] };
+  const diffResult = { ...diff, commanders: [] };
 
   function formatSnapLabel(snap) {
     const d = snap.created_at ? new Date(snap.created_at + 'Z').toLocaleString() : '';
@@ -247,10 +321,13 @@ function SharedChangelogDisplay({ changelog }) {
         <CopyButton getText={() => formatChangelog(diffResult)} />
         <CopyButton getText={() => formatReddit(diffResult)} label="Copy for Reddit" className="copy-btn copy-btn--reddit" />
         <CopyButton getText={() => formatJSON(diffResult)} label="Copy JSON" className="copy-btn copy-btn--json" />
+        {embedCode && <CopyButton getText={embedCode} label="Copy Embed Code" className="copy-btn" />}
       </div>
       <div className="changelog-inline">
         {hasMainChanges && <SharedChangelogSection title="Mainboard" section={mainboard} />}
         {hasSideChanges && <SharedChangelogSection title="Sideboard" section={sideboard} />}
+        {hasCompanionChanges && <SharedChangelogSection title="Companion" section={companions} />}
+        {hasMaybeChanges && <SharedChangelogSection title="Maybeboard" section={maybeboard} />}
       </div>
     </div>
   );
@@ -286,6 +363,16 @@ function SharedChangelogSection({ title, section }) {
           ))}
         </div>
       )}
+      {(section.categoryChanges || []).length > 0 && (
+        <div className="changelog-group">
+          <div className="changelog-group-title">--- Category Moves ---</div>
+          {section.categoryChanges.map(c => (
+            <div key={c.name} className="changelog-line changelog-qty">
+              &gt; {c.name}: {c.oldCategory} &rarr; {c.newCategory}
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,85 @@
+import { memo } from 'react';
+import './SectionChangelog.css';
+import './ThreeWayDiffView.css';
+
+const SECTIONS = [
+  { key: 'mainboard', name: 'Mainboard' },
+  { key: 'sideboard', name: 'Sideboard', flag: 'hasSideboard' },
+  { key: 'companions', name: 'Companion', flag: 'hasCompanions' },
+  { key: 'maybeboard', name: 'Maybeboard', flag: 'hasMaybeboard' },
+];
+
+function Qty({ value }) {
+  return <span className={`three-way-qty${value === 0 ? ' three-way-qty--none' : ''}`}>{value || '—'}</span>;
+}
+
+function ThreeWayGroup({ title, modifier, cards }) {
+  if (cards.length === 0) return null;
+  return (
+    <div className="section-changelog-group">
+      <div className={`section-changelog-group-title section-changelog-group-title--${modifier}`}>
+        {title}
+        <span className="section-changelog-count">{cards.length}</span>
+      </div>
+      {cards.map(card => (
+        <div key={card.name} className="three-way-row">
+          <span className="three-way-row-name">{card.name}</span>
+          <Qty value={card.baseQty} />
+          <Qty value={card.aQty} />
+          <Qty value={card.bQty} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Renders a computeThreeWayDiff() result: per section, conflicting edits first,
+ * then changes made only in A, only in B, and in both. Each row lists the
+ * card's count in the ancestor, A and B ("—" when absent).
+ */
+export default memo(function ThreeWayDiffView({ diff, baseLabel = 'Ancestor', aLabel = 'A', bLabel = 'B' }) {
+  const sections = SECTIONS.filter(s => !s.flag || diff[s.flag]);
+  const totals = sections.reduce((acc, { key }) => {
+    const section = diff[key];
+    acc.conflicts += section.conflicts.length;
+    acc.changed += section.onlyA.length + section.onlyB.length + section.both.length + section.conflicts.length;
+    return acc;
+  }, { conflicts: 0, changed: 0 });
+
+  return (
+    <div className="three-way-diff">
+      <div className="three-way-summary">
+        {totals.changed === 0
+          ? 'Neither list changed anything since the ancestor.'
+          : `${totals.changed} card${totals.changed === 1 ? '' : 's'} changed, ${totals.conflicts} conflict${totals.conflicts === 1 ? '' : 's'}`}
+      </div>
+      {sections.map(({ key, name }) => {
+        const section = diff[key];
+        const isEmpty = section.onlyA.length + section.onlyB.length + section.both.length + section.conflicts.length === 0;
+        if (isEmpty && key !== 'mainboard') return null;
+        return (
+          <div key={key} className="section-changelog">
+            <h3 className="section-changelog-title">{name}</h3>
+            {isEmpty ? (
+              <div className="section-changelog-empty">No changes</div>
+            ) : (
+              <>
+                <div className="three-way-row three-way-row--header">
+                  <span className="three-way-row-name">Card</span>
+                  <span className="three-way-qty">{baseLabel}</span>
+                  <span className="three-way-qty">{aLabel}</span>
+                  <span className="three-way-qty">{bLabel}</span>
+                </div>
+                <ThreeWayGroup title="Conflicts" modifier="out" cards={section.conflicts} />
+                <ThreeWayGroup title={`Only in ${aLabel}`} modifier="printing" cards={section.onlyA} />
+                <ThreeWayGroup title={`Only in ${bLabel}`} modifier="category" cards={section.onlyB} />
+                <ThreeWayGroup title="In both" modifier="in" cards={section.both} />
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+});
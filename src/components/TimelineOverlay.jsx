@@ -5,35 +5,24 @@ import { useAppSettings } from '../context/AppSettingsContext';
 import { getDeckChangelog, getSnapshot } from '../lib/api';
 import { parse } from '../lib/parser';
 import { fetchCardData, collectCardIdentifiers } from '../lib/scryfall';
+import { downloadFile } from '../lib/download';
 import { formatChangelog, formatMpcFill, formatReddit, formatJSON, formatForArchidekt, formatTTS, formatDeckForMpc } from '../lib/formatter';
-import { estimatePowerLevel } from '../lib/powerLevel';
 import SectionChangelog from './SectionChangelog';
 import ManaCurveDelta from './ManaCurveDelta';
 import ColorDistributionDelta from './ColorDistributionDelta';
 import DeckListView from './DeckListView';
+import PowerLevelPanel from './PowerLevelPanel';
 import CopyButton from './CopyButton';
 import MpcOverlay from './MpcOverlay';
 import Skeleton from './Skeleton';
 import { toast } from './Toast';
 import './TimelineOverlay.css';
 
-/** Trigger a file download in the browser. */
-function downloadFile(content, filename, mimeType = 'application/json') {
-  const blob = new Blob([content], { type: mimeType });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-}
-
 /** Build Scryfall identifier map from a parsed deck (same pattern as collectCardIdentifiers but for Map entries). */
 function collectDeckIdentifiers(parsedDeck) {
   const identifiers = new Map();
-  for (const section of [parsedDeck.mainboard, parsedDeck.sideboard]) {
+  for (const section of [parsedDeck.mainboard, parsedDeck.sideboard, parsedDeck.companions, parsedDeck.maybeboard]) {
+    if (!section) continue;
     for (const [, entry] of section) {
       const nameLower = entry.displayName.toLowerCase();
       if (entry.setCode && entry.collectorNumber) {
@@ -62,6 +51,7 @@ function filterSection(section, query) {
     cardsOut: section.cardsOut.filter(c => c.name.toLowerCase().includes(lower)),
     quantityChanges: section.quantityChanges.filter(c => c.name.toLowerCase().includes(lower)),
     printingChanges: (section.printingChanges || []).filter(c => c.name.toLowerCase().includes(lower)),
+    categoryChanges: (section.categoryChanges || []).filter(c => c.name.toLowerCase().includes(lower)),
     totalUniqueCards: section.totalUniqueCards,
     unchangedCount: section.unchangedCount,
   };
@@ -151,19 +141,30 @@ export default function TimelineOverlay({ deckId, entry, prevSnapshotId, deckNam
     () => diffResult ? filterSection(diffResult.sideboard, searchQuery) : null,
     [diffResult, searchQuery]
   );
+  const filteredCompanions = useMemo(
+    () => diffResult?.hasCompanions ? filterSection(diffResult.companions, searchQuery) : null,
+    [diffResult, searchQuery]
+  );
+  const filteredMaybeboard = useMemo(
+    () => diffResult?.hasMaybeboard ? filterSection(diffResult.maybeboard, searchQuery) : null,
+    [diffResult, searchQuery]
+  );
 
-  // Summary stats
-  const { totalIn, totalOut, totalChanged, totalPrinting, noChanges, hasAdditions } = useMemo(() => {
-    if (!diffResult) return { totalIn: 0, totalOut: 0, totalChanged: 0, totalPrinting: 0, noChanges: true, hasAdditions: false };
-    const mb = diffResult.mainboard;
-    const sb = diffResult.sideboard;
-    const totalIn = mb.cardsIn.length + sb.cardsIn.length;
-    const totalOut = mb.cardsOut.length + sb.cardsOut.length;
-    const totalChanged = mb.quantityChanges.length + sb.quantityChanges.length;
-    const totalPrinting = (mb.printingChanges || []).length + (sb.printingChanges || []).length;
+  // Summary stats — companion changes count toward the deck, maybeboard changes don't
+  const { totalIn, totalOut, totalChanged, totalPrinting, totalMoved, noChanges, hasAdditions } = useMemo(() => {
+    if (!diffResult) return { totalIn: 0, totalOut: 0, totalChanged: 0, totalPrinting: 0, totalMoved: 0, noChanges: true, hasAdditions: false };
+    const sections = [diffResult.mainboard, diffResult.sideboard, diffResult.companions].filter(Boolean);
+    const sum = (fn) => sections.reduce((n, sec) => n + fn(sec), 0);
+    const totalIn = sum(sec => sec.cardsIn.length);
+    const totalOut = sum(sec => sec.cardsOut.length);
+    const totalChanged = sum(sec => sec.quantityChanges.length);
+    const totalPrinting = sum(sec => (sec.printingChanges || []).length);
+    const totalMoved = sum(sec => (sec.categoryChanges || []).length);
     const hasAdditions = totalIn > 0 ||
-      [...mb.quantityChanges, ...sb.quantityChanges].some(c => c.delta > 0);
-    return { totalIn, totalOut, totalChanged, totalPrinting, noChanges: totalIn === 0 && totalOut === 0 && totalChanged === 0 && totalPrinting === 0, hasAdditions };
+      sections.some(sec => sec.quantityChanges.some(c => c.delta > 0));
+    const mb = diffResult.maybeboard;
+    const maybeChanges = mb ? mb.cardsIn.length + mb.cardsOut.length + mb.quantityChanges.length : 0;
+    return { totalIn, totalOut, totalChanged, totalPrinting, totalMoved, noChanges: totalIn === 0 && totalOut === 0 && totalChanged === 0 && totalPrinting === 0 && totalMoved === 0 && maybeChanges === 0, hasAdditions };
   }, [diffResult]);
 
   // Price impact of changes
@@ -180,7 +181,7 @@ export default function TimelineOverlay({ deckId, entry, prevSnapshotId, deckNam
       return isFoil && data.priceUsdFoil != null ? data.priceUsdFoil : data.priceUsd;
     }
 
-    for (const section of [diffResult.mainboard, diffResult.sideboard]) {
+    for (const section of [diffResult.mainboard, diffResult.sideboard, diffResult.companions].filter(Boolean)) {
       for (const card of section.cardsIn) {
         const p = getCardPrice(card);
         if (p != null) { costIn += p * card.quantity; hasAny = true; }
@@ -206,7 +207,7 @@ export default function TimelineOverlay({ deckId, entry, prevSnapshotId, deckNam
   // Build diffResult wrapper for formatter functions
   const diffForExport = useMemo(() => {
     if (!diffResult) return null;
-    return { mainboard: diffResult.mainboard, sideboard: diffResult.sideboard, hasSideboard: diffResult.hasSideboard, commanders: commanders || [] };
+    return { ...diffResult, commanders: commanders || [] };
   }, [diffResult, commanders]);
 
   function formatDate(iso) {
@@ -364,6 +365,7 @@ export default function TimelineOverlay({ deckId, entry, prevSnapshotId, deckNam
                     {totalOut > 0 && <span className="summary-badge summary-badge--out">-{totalOut} out</span>}
                     {totalChanged > 0 && <span className="summary-badge summary-badge--changed">~{totalChanged} changed</span>}
                     {totalPrinting > 0 && <span className="summary-badge summary-badge--printing">&#8635;{totalPrinting} reprinted</span>}
+                    {totalMoved > 0 && <span className="summary-badge summary-badge--moved">&#8644;{totalMoved} recategorized</span>}
                     {priceImpact && (
                       <span className={`summary-badge summary-badge--price${priceImpact.net > 0 ? ' summary-badge--price-up' : priceImpact.net < 0 ? ' summary-badge--price-down' : ''}`}>
                         {priceImpact.net >= 0 ? '+' : ''}{priceImpact.net < 0 ? '\u2212' : ''}${Math.abs(priceImpact.net).toFixed(2)}
@@ -376,6 +378,12 @@ export default function TimelineOverlay({ deckId, entry, prevSnapshotId, deckNam
                   {diffResult.hasSideboard && (
                     <SectionChangelog sectionName="Sideboard" changes={filteredSideboard} cardMap={diffCardMap} />
                   )}
+                  {filteredCompanions && (
+                    <SectionChangelog sectionName="Companion" changes={filteredCompanions} cardMap={diffCardMap} />
+                  )}
+                  {filteredMaybeboard && (
+                    <SectionChangelog sectionName="Maybeboard" changes={filteredMaybeboard} cardMap={diffCardMap} />
+                  )}
                 </>
               )
             ) : null
@@ -386,25 +394,9 @@ export default function TimelineOverlay({ deckId, entry, prevSnapshotId, deckNam
               <Skeleton lines={12} />
             ) : parsedDeck ? (
               <>
-                {deckCardMap && deckCardMap.size > 0 && (() => {
-                  const pl = estimatePowerLevel(parsedDeck, deckCardMap);
-                  if (pl.level === 0) return null;
-                  return (
-                    <div className="timeline-overlay-power-level">
-                      <div className="power-level-header">
-                        <span className={`power-level-badge power-level-badge--${pl.level}`}>{pl.level}</span>
-                        <span className="power-level-label">{pl.label}</span>
-                        <span className="power-level-scale">/ 10</span>
-                      </div>
-                      <div className="power-level-bar">
-                        <div className="power-level-bar-fill" style={{ width: `${pl.level * 10}%` }} />
-                      </div>
-                      <div className="power-level-signals">
-                        {pl.signals.map((s, i) => <span key={i} className="power-level-signal">{s}</span>)}
-                      </div>
-                    </div>
-                  );
-                })()}
+                {deckCardMap && deckCardMap.size > 0 && (
+                  <PowerLevelPanel parsedDeck={parsedDeck} cardMap={deckCardMap} />
+                )}
                 <DeckListView parsedDeck={parsedDeck} cardMap={deckCardMap} searchQuery={searchQuery} />
               </>
             ) : null
@@ -5,8 +5,16 @@ import { toast } from './Toast';
 import {
   getMe, changePassword, updateEmail, deleteAccount, resendVerification,
   createInviteCode, getMyInvites, deleteInviteCode,
+  getMyShares, updateShareExpiry, deleteShare, updateDeckShare, unshareDeck,
+  getAccessTokens, createAccessToken, revokeAccessToken, getTrackedDecks,
+  getWebhooks, createWebhook, updateWebhook, deleteWebhook, rotateWebhookSecret,
+  testWebhook, getWebhookDeliveries, retryWebhookDelivery,
 } from '../lib/api';
+import { shareLinkUrl } from '../lib/useHashRoute';
 import PasswordRequirements from './PasswordRequirements';
+import RecommendationPackManager from './RecommendationPackManager';
+import PowerLevelSettings from './PowerLevelSettings';
+import ShareExpirySelect from './ShareExpirySelect';
 import './UserSettings.css';
 
 export default function UserSettings() {
@@ -143,6 +151,41 @@ export default function UserSettings() {
           >
             Account
           </button>
+          <button
+            className={`user-settings-tab${activeTab === 'recommendations' ? ' user-settings-tab--active' : ''}`}
+            onClick={() => setActiveTab('recommendations')}
+            type="button"
+          >
+            Recommendations
+          </button>
+          <button
+            className={`user-settings-tab${activeTab === 'power' ? ' user-settings-tab--active' : ''}`}
+            onClick={() => setActiveTab('power')}
+            type="button"
+          >
+            Power Level
+          </button>
+          <button
+            className={`user-settings-tab${activeTab === 'shares' ? ' user-settings-tab--active' : ''}`}
+            onClick={() => setActiveTab('shares')}
+            type="button"
+          >
+            Shared Links
+          </button>
+          <button
+            className={`user-settings-tab${activeTab === 'tokens' ? ' user-settings-tab--active' : ''}`}
+            onClick={() => setActiveTab('tokens')}
+            type="button"
+          >
+            API Tokens
+          </button>
+          <button
+            className={`user-settings-tab${activeTab === 'webhooks' ? ' user-settings-tab--active' : ''}`}
+            onClick={() => setActiveTab('webhooks')}
+            type="button"
+          >
+            Webhooks
+          </button>
           {(canInvite || user?.isAdmin) && (
             <button
               className={`user-settings-tab${activeTab === 'invites' ? ' user-settings-tab--active' : ''}`}
@@ -279,6 +322,42 @@ export default function UserSettings() {
         </div>
       )}
 
+      {activeTab === 'recommendations' && (
+        <div className="user-settings-panel">
+          <section className="user-settings-section" style={{ borderTop: 'none' }}>
+            <h3>Recommendation Packs</h3>
+            <RecommendationPackManager scope="user" />
+          </section>
+        </div>
+      )}
+
+      {activeTab === 'power' && (
+        <div className="user-settings-panel">
+          <section className="user-settings-section" style={{ borderTop: 'none' }}>
+            <h3>Power Level</h3>
+            <PowerLevelSettings />
+          </section>
+        </div>
+      )}
+
+      {activeTab === 'shares' && (
+        <div className="user-settings-panel">
+          <SharedLinks />
+        </div>
+      )}
+
+      {activeTab === 'tokens' && (
+        <div className="user-settings-panel">
+          <AccessTokens />
+        </div>
+      )}
+
+      {activeTab === 'webhooks' && (
+        <div className="user-settings-panel">
+          <Webhooks />
+        </div>
+      )}
+
       {activeTab === 'invites' && (canInvite || user?.isAdmin) && (
         <div className="user-settings-panel">
           <InviteManagement />
@@ -416,3 +495,658 @@ function InviteManagement() {
     </div>
   );
 }
+
+// --- Shared Links ---
+
+function SharedLinks() {
+  const [confirm, ConfirmDialog] = useConfirm();
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await getMyShares();
+      setLinks(data.links);
+    } catch {
+      toast.error('Failed to load shared links');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  function linkUrl(link) {
+    return shareLinkUrl(link.kind === 'deck' ? 'deck' : 'share', link.id);
+  }
+
+  async function handleExpiry(link, days) {
+    setBusyId(link.id);
+    try {
+      if (link.kind === 'deck') await updateDeckShare(link.deckId, { expiresInDays: days });
+      else await updateShareExpiry(link.id, days);
+      toast.success(days === null ? 'Link no longer expires' : `Link expires in ${days} day${days > 1 ? 's' : ''}`);
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function handleRevoke(link) {
+    const confirmed = await confirm({
+      title: `Revoke "${link.title}"?`,
+      message: 'Anyone opening this link will get an error. Sharing again creates a new link.',
+      confirmLabel: 'Revoke',
+      danger: true,
+    });
+    if (!confirmed) return;
+    setBusyId(link.id);
+    try {
+      if (link.kind === 'deck') await unshareDeck(link.deckId);
+      else await deleteShare(link.id);
+      toast.success('Link revoked');
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  function formatDate(iso) {
+    if (!iso) return '';
+    return new Date(iso + 'Z').toLocaleDateString(undefined, {
+      month: 'short', day: 'numeric', year: 'numeric',
+    });
+  }
+
+  return (
+    <section className="user-settings-section" style={{ borderTop: 'none' }}>
+      {ConfirmDialog}
+      <h3>My Shared Links</h3>
+      <p className="user-settings-desc">
+        Deck shares and the comparison links you created while logged in. Anyone with a link can view it
+        until it expires or you revoke it.
+      </p>
+
+      {loading ? (
+        <p className="settings-tracker-empty">Loading...</p>
+      ) : links.length === 0 ? (
+        <p className="settings-tracker-empty">No shared links yet.</p>
+      ) : (
+        <ul className="settings-invite-list">
+          {links.map(link => (
+            <li key={`${link.kind}-${link.id}`} className="settings-invite-item">
+              <div className="settings-invite-info">
+                <span className="settings-share-kind">{link.kind === 'deck' ? 'Deck' : 'Comparison'}</span>
+                <a className="settings-share-title" href={linkUrl(link)} target="_blank" rel="noopener noreferrer">
+                  {link.title}
+                </a>
+                <span className="settings-invite-usage">
+                  {link.viewCount} view{link.viewCount !== 1 ? 's' : ''}
+                </span>
+                <span className="settings-invite-date">
+                  {link.lastViewedAt ? `last viewed ${formatDate(link.lastViewedAt)}` : `created ${formatDate(link.createdAt)}`}
+                </span>
+                {link.scope === 'latest' && <span className="settings-invite-date">latest snapshot only</span>}
+                {link.scope === 'selected' && <span className="settings-invite-date">selected snapshots</span>}
+                {link.protected && <span className="settings-invite-date">passphrase</span>}
+                {link.expired && <span className="settings-share-expired">Expired</span>}
+              </div>
+              <div className="settings-share-actions">
+                <ShareExpirySelect
+                  expiresAt={link.expiresAt}
+                  onChange={days => handleExpiry(link, days)}
+                  disabled={busyId === link.id}
+                />
+                <button
+                  className="btn btn-secondary btn-sm btn-danger"
+                  onClick={() => handleRevoke(link)}
+                  disabled={busyId === link.id}
+                  type="button"
+                >
+                  Revoke
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// --- API Tokens ---
+
+const TOKEN_EXPIRY_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+function AccessTokens() {
+  const [confirm, ConfirmDialog] = useConfirm();
+  const [tokens, setTokens] = useState([]);
+  const [scopeInfo, setScopeInfo] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['decks:read', 'snapshots:read']);
+  const [expiry, setExpiry] = useState(90);
+  const [creating, setCreating] = useState(false);
+  const [created, setCreated] = useState(null); // { name, secret } — shown once
+  const [copied, setCopied] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await getAccessTokens();
+      setTokens(data.tokens);
+      setScopeInfo(data.scopes);
+    } catch {
+      toast.error('Failed to load API tokens');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  function toggleScope(scope) {
+    setScopes(prev => (prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]));
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const data = await createAccessToken(name, scopes, expiry === '' ? null : expiry);
+      setCreated({ name: data.token.name, secret: data.secret });
+      setCopied(false);
+      setName('');
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  function handleCopy() {
+    navigator.clipboard.writeText(created.secret).then(() => setCopied(true));
+  }
+
+  async function handleRevoke(token) {
+    const confirmed = await confirm({
+      title: `Revoke "${token.name}"?`,
+      message: 'Scripts using this token will stop working immediately.',
+      confirmLabel: 'Revoke',
+      danger: true,
+    });
+    if (!confirmed) return;
+    try {
+      await revokeAccessToken(token.id);
+      toast.success('Token revoked');
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  function formatDate(iso) {
+    if (!iso) return '';
+    return new Date(iso + 'Z').toLocaleDateString(undefined, {
+      month: 'short', day: 'numeric', year: 'numeric',
+    });
+  }
+
+  return (
+    <section className="user-settings-section" style={{ borderTop: 'none' }}>
+      {ConfirmDialog}
+      <h3>API Tokens</h3>
+      <p className="user-settings-desc">
+        Personal access tokens let scripts read your decks and snapshots or manage your collection without
+        your password. Each token only reaches what its scopes allow and never account or admin settings.
+        Send it as <code>Authorization: Bearer &lt;token&gt;</code> — the endpoints are described
+        in <a href="/api/openapi.json" target="_blank" rel="noopener noreferrer">openapi.json</a>.
+      </p>
+
+      {created && (
+        <div className="settings-token-created">
+          <p>
+            <strong>{created.name}</strong> — copy this token now. It won&apos;t be shown again.
+          </p>
+          <div className="settings-invite-info">
+            <code className="settings-invite-code settings-token-secret">{created.secret}</code>
+            <button className="settings-invite-copy" onClick={handleCopy} type="button">
+              {copied ? '\u2713' : 'Copy'}
+            </button>
+            <button className="settings-invite-copy" onClick={() => setCreated(null)} type="button">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form className="settings-token-create" onSubmit={handleCreate}>
+        <div className="settings-invite-create">
+          <label htmlFor="token-name">Name:</label>
+          <input
+            id="token-name"
+            type="text"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            placeholder="e.g. nightly backup"
+            maxLength={60}
+            disabled={creating}
+          />
+          <label htmlFor="token-expiry">Expires:</label>
+          <select
+            id="token-expiry"
+            value={expiry}
+            onChange={e => setExpiry(e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+            disabled={creating}
+          >
+            {TOKEN_EXPIRY_OPTIONS.map(opt => (
+              <option key={opt.label} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="settings-token-scopes">
+          {Object.entries(scopeInfo).map(([scope, description]) => (
+            <label key={scope} className="settings-token-scope">
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+                disabled={creating}
+              />
+              <code>{scope}</code> <span>{description}</span>
+            </label>
+          ))}
+        </div>
+        <button
+          className="btn btn-primary btn-sm"
+          type="submit"
+          disabled={creating || !name.trim() || scopes.length === 0}
+        >
+          {creating ? '...' : 'Create Token'}
+        </button>
+      </form>
+
+      {loading ? (
+        <p className="settings-tracker-empty">Loading...</p>
+      ) : tokens.length === 0 ? (
+        <p className="settings-tracker-empty">No API tokens yet.</p>
+      ) : (
+        <ul className="settings-invite-list">
+          {tokens.map(token => {
+            const expired = token.expiresAt && new Date(token.expiresAt + 'Z') <= new Date();
+            return (
+              <li key={token.id} className="settings-invite-item">
+                <div className="settings-invite-info">
+                  <span className="settings-share-title">{token.name}</span>
+                  <code className="settings-invite-date">{token.prefix}…</code>
+                  <span className="settings-invite-usage">{token.scopes.join(', ')}</span>
+                  <span className="settings-invite-date">
+                    {token.lastUsedAt ? `last used ${formatDate(token.lastUsedAt)}` : 'never used'}
+                  </span>
+                  {expired ? (
+                    <span className="settings-share-expired">Expired</span>
+                  ) : (
+                    <span className="settings-invite-date">
+                      {token.expiresAt ? `expires ${formatDate(token.expiresAt)}` : 'no expiry'}
+                    </span>
+                  )}
+                </div>
+                <button
+                  className="btn btn-secondary btn-sm btn-danger"
+                  onClick={() => handleRevoke(token)}
+                  type="button"
+                >
+                  Revoke
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// --- Webhooks ---
+
+function Webhooks() {
+  const [confirm, ConfirmDialog] = useConfirm();
+  const [webhooks, setWebhooks] = useState([]);
+  const [eventInfo, setEventInfo] = useState({});
+  const [decks, setDecks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [url, setUrl] = useState('');
+  const [deckId, setDeckId] = useState('');
+  const [events, setEvents] = useState(['deck.changed']);
+  const [creating, setCreating] = useState(false);
+  const [secret, setSecret] = useState(null); // { url, secret } — shown once
+  const [copied, setCopied] = useState(false);
+  const [openLog, setOpenLog] = useState(null); // webhook id whose deliveries are shown
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await getWebhooks();
+      setWebhooks(data.webhooks);
+      setEventInfo(data.events);
+    } catch {
+      toast.error('Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    getTrackedDecks().then(data => setDecks(data.decks || [])).catch(() => {});
+  }, [refresh]);
+
+  function toggleEvent(event) {
+    setEvents(prev => (prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event]));
+  }
+
+  function showSecret(webhookUrl, value) {
+    setSecret({ url: webhookUrl, secret: value });
+    setCopied(false);
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const data = await createWebhook(url.trim(), events, deckId === '' ? null : deckId);
+      showSecret(data.webhook.url, data.secret);
+      setUrl('');
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  function handleCopy() {
+    navigator.clipboard.writeText(secret.secret).then(() => setCopied(true));
+  }
+
+  async function handleToggleActive(webhook) {
+    try {
+      await updateWebhook(webhook.id, { active: !webhook.active });
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  async function handleTest(webhook) {
+    try {
+      await testWebhook(webhook.id);
+      toast.success('Test event queued');
+      setOpenLog(webhook.id);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  async function handleRotate(webhook) {
+    const confirmed = await confirm({
+      title: 'Rotate signing secret?',
+      message: 'The old secret stops verifying immediately — update your receiver with the new one.',
+      confirmLabel: 'Rotate',
+    });
+    if (!confirmed) return;
+    try {
+      const data = await rotateWebhookSecret(webhook.id);
+      showSecret(webhook.url, data.secret);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  async function handleDelete(webhook) {
+    const confirmed = await confirm({
+      title: 'Delete webhook?',
+      message: `${webhook.url} will stop receiving events and its delivery log will be removed.`,
+      confirmLabel: 'Delete',
+      danger: true,
+    });
+    if (!confirmed) return;
+    try {
+      await deleteWebhook(webhook.id);
+      toast.success('Webhook deleted');
+      if (openLog === webhook.id) setOpenLog(null);
+      await refresh();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  return (
+    <section className="user-settings-section" style={{ borderTop: 'none' }}>
+      {ConfirmDialog}
+      <h3>Webhooks</h3>
+      <p className="user-settings-desc">
+        POST a JSON event to your own endpoint when a deck changes, a snapshot is stored, a price alert fires
+        or someone opens one of your share links. Deck events carry the full diff. Each request is signed:
+        <code>X-CLC-Signature</code> is <code>sha256=</code> plus the HMAC-SHA256
+        of <code>&lt;X-CLC-Timestamp&gt;.&lt;body&gt;</code> with the webhook&apos;s secret. Failed deliveries
+        are retried with backoff for about 15 hours.
+      </p>
+
+      {secret && (
+        <div className="settings-token-created">
+          <p>
+            Signing secret for <strong>{secret.url}</strong> — copy it now. It won&apos;t be shown again.
+          </p>
+          <div className="settings-invite-info">
+            <code className="settings-invite-code settings-token-secret">{secret.secret}</code>
+            <button className="settings-invite-copy" onClick={handleCopy} type="button">
+              {copied ? '\u2713' : 'Copy'}
+            </button>
+            <button className="settings-invite-copy" onClick={() => setSecret(null)} type="button">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form className="settings-token-create" onSubmit={handleCreate}>
+        <div className="settings-invite-create">
+          <label htmlFor="webhook-url">URL:</label>
+          <input
+            id="webhook-url"
+            className="settings-webhook-url"
+            type="text"
+            value={url}
+            onChange={e => setUrl(e.target.value)}
+            placeholder="https://example.com/hooks/decks"
+            maxLength={500}
+            disabled={creating}
+          />
+          <label htmlFor="webhook-deck">Deck:</label>
+          <select
+            id="webhook-deck"
+            value={deckId}
+            onChange={e => setDeckId(e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+            disabled={creating}
+          >
+            <option value="">All decks</option>
+            {decks.map(deck => (
+              <option key={deck.id} value={deck.id}>{deck.deck_name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="settings-token-scopes">
+          {Object.entries(eventInfo).map(([event, description]) => (
+            <label key={event} className="settings-token-scope">
+              <input
+                type="checkbox"
+                checked={events.includes(event)}
+                onChange={() => toggleEvent(event)}
+                disabled={creating}
+              />
+              <code>{event}</code> <span>{description}</span>
+            </label>
+          ))}
+        </div>
+        <button
+          className="btn btn-primary btn-sm"
+          type="submit"
+          disabled={creating || !url.trim() || events.length === 0}
+        >
+          {creating ? '...' : 'Add Webhook'}
+        </button>
+      </form>
+
+      {loading ? (
+        <p className="settings-tracker-empty">Loading...</p>
+      ) : webhooks.length === 0 ? (
+        <p className="settings-tracker-empty">No webhooks yet.</p>
+      ) : (
+        <ul className="settings-invite-list">
+          {webhooks.map(webhook => (
+            <li key={webhook.id} className="settings-webhook-item">
+              <div className="settings-invite-item">
+                <div className="settings-invite-info">
+                  <span className="settings-share-title settings-webhook-target">{webhook.url}</span>
+                  <span className="settings-invite-date">{webhook.deckName || 'All decks'}</span>
+                  <span className="settings-invite-usage">{webhook.events.join(', ')}</span>
+                  {!webhook.active && <span className="settings-share-expired">Paused</span>}
+                  {webhook.lastDeliveryStatus && (
+                    <span className={`settings-webhook-status settings-webhook-status--${webhook.lastDeliveryStatus}`}>
+                      {webhook.lastDeliveryStatus}
+                    </span>
+                  )}
+                </div>
+                <div className="settings-webhook-actions">
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => setOpenLog(openLog === webhook.id ? null : webhook.id)}
+                    type="button"
+                  >
+                    {openLog === webhook.id ? 'Hide Log' : 'Log'}
+                  </button>
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleTest(webhook)} type="button">
+                    Test
+                  </button>
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleToggleActive(webhook)} type="button">
+                    {webhook.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleRotate(webhook)} type="button">
+                    Rotate Secret
+                  </button>
+                  <button
+                    className="btn btn-secondary btn-sm btn-danger"
+                    onClick={() => handleDelete(webhook)}
+                    type="button"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+              {openLog === webhook.id && <WebhookDeliveries webhookId={webhook.id} onChange={refresh} />}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+function WebhookDeliveries({ webhookId, onChange }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null); // delivery id whose payload is shown
+
+  const load = useCallback(async () => {
+    try {
+      const data = await getWebhookDeliveries(webhookId);
+      setDeliveries(data.deliveries);
+    } catch {
+      toast.error('Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  }, [webhookId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  async function handleRetry(delivery) {
+    try {
+      await retryWebhookDelivery(webhookId, delivery.id);
+      toast.success('Delivery requeued');
+      await load();
+      onChange();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  function formatTime(iso) {
+    if (!iso) return '';
+    return new Date(iso + 'Z').toLocaleString(undefined, {
+      month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    });
+  }
+
+  function describe(delivery) {
+    const parts = [`${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`];
+    if (delivery.responseStatus) parts.push(`HTTP ${delivery.responseStatus}`);
+    if (delivery.error && delivery.error !== `HTTP ${delivery.responseStatus}`) parts.push(delivery.error);
+    if (delivery.nextAttemptAt && delivery.attempts > 0) parts.push(`next try ${formatTime(delivery.nextAttemptAt)}`);
+    return parts.join(' · ');
+  }
+
+  if (loading) return <p className="settings-tracker-empty">Loading...</p>;
+
+  return (
+    <div className="settings-webhook-log">
+      <div className="settings-webhook-log-header">
+        <span>Recent deliveries</span>
+        <button className="settings-invite-copy" onClick={load} type="button">Reload</button>
+      </div>
+      {deliveries.length === 0 ? (
+        <p className="settings-tracker-empty">No deliveries yet.</p>
+      ) : (
+        <ul>
+          {deliveries.map(delivery => (
+            <li key={delivery.id} className="settings-webhook-delivery">
+              <div className="settings-webhook-delivery-row">
+                <span className={`settings-webhook-status settings-webhook-status--${delivery.status}`}>
+                  {delivery.status}
+                </span>
+                <code>{delivery.event}</code>
+                <span className="settings-invite-date">{formatTime(delivery.createdAt)}</span>
+                <span className="settings-invite-usage">{describe(delivery)}</span>
+                <button
+                  className="settings-invite-copy"
+                  onClick={() => setExpanded(expanded === delivery.id ? null : delivery.id)}
+                  type="button"
+                >
+                  {expanded === delivery.id ? 'Hide' : 'Payload'}
+                </button>
+                {delivery.status === 'failed' && (
+                  <button className="settings-invite-copy" onClick={() => handleRetry(delivery)} type="button">
+                    Retry
+                  </button>
+                )}
+              </div>
+              {expanded === delivery.id && (
+                <pre className="settings-webhook-payload">{JSON.stringify(JSON.parse(delivery.payload), null, 2)}</pre>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -10,6 +10,9 @@ const ACTION_BADGE_MAP = {
   toggle_admin: 'info',
   unsuspend_user: 'info',
   update_setting: 'neutral',
+  delete_recommendation_pack: 'danger',
+  create_recommendation_pack: 'info',
+  update_recommendation_pack: 'neutral',
 };
 
 function timeAgo(iso) {
@@ -39,6 +42,9 @@ const ACTION_OPTIONS = [
   { value: 'unsuspend_user', label: 'Unsuspend user' },
   { value: 'update_setting', label: 'Update setting' },
   { value: 'delete_share', label: 'Delete share' },
+  { value: 'create_recommendation_pack', label: 'Create pack' },
+  { value: 'update_recommendation_pack', label: 'Update pack' },
+  { value: 'delete_recommendation_pack', label: 'Delete pack' },
 ];
 
 export default function AdminAuditLog() {
@@ -6,6 +6,7 @@ import AdminSettings from './AdminSettings';
 import AdminShares from './AdminShares';
 import AdminAuditLog from './AdminAuditLog';
 import AdminInvites from './AdminInvites';
+import RecommendationPackManager from '../RecommendationPackManager';
 import './AdminPage.css';
 
 const SECTIONS = [
@@ -14,6 +15,7 @@ const SECTIONS = [
   { key: 'invites', label: 'Invites', icon: '🎟️' },
   { key: 'settings', label: 'Settings', icon: '⚙️' },
   { key: 'shares', label: 'Shares', icon: '🔗' },
+  { key: 'packs', label: 'Rec. Packs', icon: '🃏' },
   { key: 'audit', label: 'Audit Log', icon: '📋' },
 ];
 
@@ -54,6 +56,14 @@ export default function AdminPage() {
     case 'shares':
       content = <AdminShares />;
       break;
+    case 'packs':
+      content = (
+        <div>
+          <h3>Recommendation Packs</h3>
+          <RecommendationPackManager scope="global" />
+        </div>
+      );
+      break;
     case 'audit':
       content = <AdminAuditLog />;
       break;
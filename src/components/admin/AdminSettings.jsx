@@ -1,9 +1,10 @@
 import { useState, useEffect } from 'react';
-import { getAdminSettings, updateAdminSetting } from '../../lib/api';
+import { getAdminSettings, updateAdminSetting, getAdminRetentionPreview } from '../../lib/api';
 import { toast } from '../Toast';
 
 export default function AdminSettings() {
   const [settings, setSettings] = useState(null);
+  const [retentionPreview, setRetentionPreview] = useState(null);
 
   useEffect(() => {
     getAdminSettings()
@@ -47,6 +48,32 @@ export default function AdminSettings() {
     }
   }
 
+  async function handleDeltaStorageChange(value) {
+    try {
+      const { compacted } = await updateAdminSetting('snapshot_delta_storage', value);
+      setSettings(prev => ({ ...prev, snapshot_delta_storage: value }));
+      toast.success(compacted ? `Setting saved — ${compacted} snapshots compacted` : 'Setting saved');
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  // Switching the default policy is a dry run first: show what it would delete,
+  // and only save once the admin confirms.
+  async function handleRetentionPolicyChange(value) {
+    try {
+      const preview = await getAdminRetentionPreview(value);
+      setRetentionPreview(preview);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  }
+
+  async function handleConfirmRetention() {
+    await handleToggleSetting('snapshot_retention_policy', retentionPreview.policy);
+    setRetentionPreview(null);
+  }
+
   if (!settings) return <p className="admin-empty">Loading...</p>;
 
   // Normalize legacy values
@@ -156,6 +183,65 @@ export default function AdminSettings() {
         />
       </div>
 
+      <div className="admin-setting-row">
+        <div>
+          <div className="admin-setting-label">Snapshot Retention</div>
+          <div className="admin-setting-desc">
+            Default for decks without their own policy. Tiered keeps every snapshot from the last 7 days,
+            one per week for 3 months, then one per month. Applied at each deck's next refresh.
+          </div>
+        </div>
+        <select
+          className="admin-sort-select"
+          value={retentionPreview?.policy || settings.snapshot_retention_policy || 'count'}
+          onChange={e => handleRetentionPolicyChange(e.target.value)}
+        >
+          <option value="count">Keep last N</option>
+          <option value="tiered">Tiered</option>
+        </select>
+      </div>
+      {retentionPreview && (
+        <div className="admin-retention-preview">
+          {retentionPreview.total === 0 ? (
+            <p className="admin-setting-desc">No snapshots would be deleted.</p>
+          ) : (
+            <>
+              <p className="admin-setting-desc">
+                Would delete {retentionPreview.total} snapshot{retentionPreview.total !== 1 ? 's' : ''} across{' '}
+                {retentionPreview.decks.length} deck{retentionPreview.decks.length !== 1 ? 's' : ''}:
+              </p>
+              <ul className="admin-retention-preview-list">
+                {retentionPreview.decks.map(d => (
+                  <li key={d.id}>{d.username} / {d.deckName}: {d.count}</li>
+                ))}
+              </ul>
+            </>
+          )}
+          <div className="admin-maintenance-row">
+            <button className="btn btn-primary btn-sm" type="button" onClick={handleConfirmRetention}>Save</button>
+            <button className="btn btn-secondary btn-sm" type="button" onClick={() => setRetentionPreview(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <div className="admin-setting-row">
+        <div>
+          <div className="admin-setting-label">Delta Snapshot Storage</div>
+          <div className="admin-setting-desc">
+            Store older snapshots as line patches against the next snapshot instead of full copies.
+            Shrinks the database; enabling it compacts existing history immediately.
+          </div>
+        </div>
+        <select
+          className="admin-sort-select"
+          value={settings.snapshot_delta_storage || 'false'}
+          onChange={e => handleDeltaStorageChange(e.target.value)}
+        >
+          <option value="true">Enabled</option>
+          <option value="false">Disabled</option>
+        </select>
+      </div>
+
       <div className="admin-setting-row">
         <div>
           <div className="admin-setting-label">Max Locked Snapshots Per Deck</div>
@@ -1,3 +1,5 @@
+import { downloadFile } from './download';
+
 const API_BASE = '/api';
 const DEFAULT_TIMEOUT = 15_000; // 15 seconds
 
@@ -43,7 +45,10 @@ async function apiFetch(path, options = {}) {
 
   if (!res.ok) {
     const data = await res.json().catch(() => ({}));
-    throw new Error(data.error || `Request failed: ${res.status}`);
+    const err = new Error(data.error || `Request failed: ${res.status}`);
+    err.status = res.status;
+    err.data = data;
+    throw err;
   }
 
   return res.json();
@@ -108,6 +113,12 @@ export const getTrackedDecks = () => apiFetch('/decks');
 export const trackDeck = (trackedOwnerId, archidektDeckId, deckName, deckUrl) =>
   apiFetch('/decks', { method: 'POST', body: JSON.stringify({ trackedOwnerId, archidektDeckId, deckName, deckUrl }) });
 
+export const trackDeckByUrl = (url, deckName) =>
+  apiFetch('/decks', { method: 'POST', body: JSON.stringify({ url, deckName }) });
+
+export const createLocalDeck = (deckName, deckText) =>
+  apiFetch('/decks', { method: 'POST', body: JSON.stringify({ deckName, deckText }) });
+
 export const untrackDeck = (id) =>
   apiFetch(`/decks/${id}`, { method: 'DELETE' });
 
@@ -128,8 +139,37 @@ export const updateDeckPriceAlert = (deckId, priceAlertThreshold, priceAlertMode
 export const updateDeckAutoRefresh = (deckId, autoRefreshHours) =>
   apiFetch(`/decks/${deckId}`, { method: 'PATCH', body: JSON.stringify({ autoRefreshHours }) });
 
+export const updateDeckRetentionPolicy = (deckId, retentionPolicy) =>
+  apiFetch(`/decks/${deckId}`, { method: 'PATCH', body: JSON.stringify({ retentionPolicy }) });
+
+export const getRetentionPreview = (deckId, policy) =>
+  apiFetch(`/decks/${deckId}/retention-preview${policy ? `?policy=${policy}` : ''}`);
+
 export const getDeckRecommendations = (deckId) => apiFetch(`/decks/${deckId}/recommendations`);
 
+// Recommendation packs — see src/lib/recommendationPacks.js
+export const getRecommendationPacks = () => apiFetch('/recommendation-packs');
+
+export const createRecommendationPack = (pack) =>
+  apiFetch('/recommendation-packs', { method: 'POST', body: JSON.stringify(pack) });
+
+export const updateRecommendationPack = (id, pack) =>
+  apiFetch(`/recommendation-packs/${id}`, { method: 'PUT', body: JSON.stringify(pack) });
+
+export const deleteRecommendationPack = (id) =>
+  apiFetch(`/recommendation-packs/${id}`, { method: 'DELETE' });
+
+export const saveRecommendationSettings = (settings) =>
+  apiFetch('/recommendation-packs/settings', { method: 'PUT', body: JSON.stringify(settings) });
+
+// Power level profile + card list overrides — see src/lib/powerLevel.js
+export const getPowerSettings = () => apiFetch('/power-level/settings');
+
+export const savePowerSettings = (settings) =>
+  apiFetch('/power-level/settings', { method: 'PUT', body: JSON.stringify(settings) });
+
+export const getDeckLegality = (deckId) => apiFetch(`/decks/${deckId}/legality`);
+
 export const getNotificationHistory = (page = 1, limit = 20) =>
   apiFetch(`/decks/notifications/history?page=${page}&limit=${limit}`);
 
@@ -210,11 +250,19 @@ export const getCollection = () => apiFetch('/collection');
 
 export const getCollectionSummary = () => apiFetch('/collection/summary');
 
-export const importCollection = (text) =>
-  apiFetch('/collection/import', { method: 'POST', body: JSON.stringify({ text }) });
+/**
+ * Deck-style text or a collection app CSV export; mode is 'merge' or 'replace'.
+ * `location` files every imported row that doesn't name its own.
+ */
+export const importCollection = (text, mode = 'merge', location = '') =>
+  apiFetch('/collection/import', { method: 'POST', body: JSON.stringify({ text, mode, location }) });
 
-export const updateCollectionCard = (id, quantity) =>
-  apiFetch(`/collection/${id}`, { method: 'PATCH', body: JSON.stringify({ quantity }) });
+export const previewCollectionImport = (text) =>
+  apiFetch('/collection/import/preview', { method: 'POST', body: JSON.stringify({ text }) });
+
+/** changes: any of { quantity, condition, language, purchasePrice, acquiredAt, location }. */
+export const updateCollectionCard = (id, changes) =>
+  apiFetch(`/collection/${id}`, { method: 'PATCH', body: JSON.stringify(changes) });
 
 export const deleteCollectionCard = (id) =>
   apiFetch(`/collection/${id}`, { method: 'DELETE' });
@@ -222,33 +270,71 @@ export const deleteCollectionCard = (id) =>
 export const clearCollection = () =>
   apiFetch('/collection', { method: 'DELETE' });
 
+/** Daily value history, movers over `period` days (1, 7, 30) and gain/loss vs purchase price. */
+export const getCollectionValue = (period = 7) => apiFetch(`/collection/value?period=${period}`);
+
+export const refreshCollectionValue = () =>
+  apiFetch('/collection/value/refresh', { method: 'POST' });
+
+/** Missing cards and cost for building `deckIds` (highest priority first) from the collection. */
+export const getShoppingList = (deckIds) =>
+  apiFetch(`/collection/shopping-list?decks=${deckIds.join(',')}`);
+
+/** Download the collection — params: { format, set, foil, inDeck, unused } (see server/routes/collection.js). */
+export async function downloadCollectionExport(params = {}) {
+  const token = getToken();
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== '').map(([k, v]) => [k, String(v)])
+  ).toString();
+  const res = await fetch(`${API_BASE}/collection/export${query ? `?${query}` : ''}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'Export failed');
+  }
+  const disposition = res.headers.get('content-disposition') || '';
+  const match = disposition.match(/filename="?([^"]+)"?/);
+  downloadFile(await res.blob(), match ? match[1] : 'collection.txt');
+}
+
 // Playgroups removed — future TapTogether integration planned
 
 // Timeline
 export const getDeckTimeline = (deckId) =>
   apiFetch(`/decks/${deckId}/timeline`);
 
+export const getDeckPowerHistory = (deckId) =>
+  apiFetch(`/decks/${deckId}/power-history`);
+
 // Batch export
 export const exportDecks = (deckIds) =>
   apiFetch('/decks/export-batch', { method: 'POST', body: JSON.stringify({ deckIds }) });
 
 // Shared deck views
-export const shareDeck = (deckId) =>
-  apiFetch(`/decks/${deckId}/share`, { method: 'POST' });
+export const shareDeck = (deckId, expiresInDays = null) =>
+  apiFetch(`/decks/${deckId}/share`, { method: 'POST', body: JSON.stringify({ expiresInDays }) });
+
+/** Change a deck share's settings — any of { expiresInDays, scope, snapshotIds, passphrase }. */
+export const updateDeckShare = (deckId, settings) =>
+  apiFetch(`/decks/${deckId}/share`, { method: 'PATCH', body: JSON.stringify(settings) });
 
 export const unshareDeck = (deckId) =>
   apiFetch(`/decks/${deckId}/share`, { method: 'DELETE' });
 
-export const getSharedDeck = (shareId) =>
-  apiFetch(`/shared-deck/${shareId}`);
+// Protected shares need the passphrase on every request
+const sharePassphraseHeaders = (passphrase) => (passphrase ? { 'X-Share-Passphrase': passphrase } : {});
 
-export const getSharedDeckChangelog = (shareId, a, b) => {
+export const getSharedDeck = (shareId, passphrase) =>
+  apiFetch(`/shared-deck/${shareId}`, { headers: sharePassphraseHeaders(passphrase) });
+
+export const getSharedDeckChangelog = (shareId, a, b, passphrase) => {
   const params = a && b ? `?a=${a}&b=${b}` : '';
-  return apiFetch(`/shared-deck/${shareId}/changelog${params}`);
+  return apiFetch(`/shared-deck/${shareId}/changelog${params}`, { headers: sharePassphraseHeaders(passphrase) });
 };
 
-export const getSharedDeckSnapshot = (shareId, snapshotId) =>
-  apiFetch(`/shared-deck/${shareId}/snapshot/${snapshotId}`);
+export const getSharedDeckSnapshot = (shareId, snapshotId, passphrase) =>
+  apiFetch(`/shared-deck/${shareId}/snapshot/${snapshotId}`, { headers: sharePassphraseHeaders(passphrase) });
 
 // Sharing
 export const createShare = (beforeText, afterText, title) =>
@@ -256,6 +342,54 @@ export const createShare = (beforeText, afterText, title) =>
 
 export const getShare = (id) => apiFetch(`/share/${id}`);
 
+// Owner-side share management — comparison and deck links the user owns
+export const getMyShares = () => apiFetch('/share/mine');
+
+export const updateShareExpiry = (id, expiresInDays) =>
+  apiFetch(`/share/${id}`, { method: 'PATCH', body: JSON.stringify({ expiresInDays }) });
+
+/** Revoke a comparison link — as its owner, or anonymously with the token from createShare. */
+export const deleteShare = (id, deleteToken) =>
+  apiFetch(`/share/${id}`, { method: 'DELETE', body: JSON.stringify(deleteToken ? { deleteToken } : {}) });
+
+// Personal access tokens for scripts — see server/lib/accessTokens.js
+export const getAccessTokens = () => apiFetch('/access-tokens');
+
+/** Resolves { token, secret }; the secret is only ever returned here. */
+export const createAccessToken = (name, scopes, expiresInDays) =>
+  apiFetch('/access-tokens', { method: 'POST', body: JSON.stringify({ name, scopes, expiresInDays }) });
+
+export const revokeAccessToken = (id) =>
+  apiFetch(`/access-tokens/${id}`, { method: 'DELETE' });
+
+// Outgoing webhooks — see server/lib/webhooks.js
+export const getWebhooks = () => apiFetch('/webhooks');
+
+/** Resolves { webhook, secret }; the signing secret is only returned here and by rotate. */
+export const createWebhook = (url, events, deckId) =>
+  apiFetch('/webhooks', { method: 'POST', body: JSON.stringify({ url, events, deckId }) });
+
+export const updateWebhook = (id, updates) =>
+  apiFetch(`/webhooks/${id}`, { method: 'PATCH', body: JSON.stringify(updates) });
+
+export const deleteWebhook = (id) =>
+  apiFetch(`/webhooks/${id}`, { method: 'DELETE' });
+
+export const rotateWebhookSecret = (id) =>
+  apiFetch(`/webhooks/${id}/rotate-secret`, { method: 'POST' });
+
+export const testWebhook = (id) =>
+  apiFetch(`/webhooks/${id}/test`, { method: 'POST' });
+
+export const getWebhookDeliveries = (id) => apiFetch(`/webhooks/${id}/deliveries`);
+
+export const retryWebhookDelivery = (id, deliveryId) =>
+  apiFetch(`/webhooks/${id}/deliveries/${deliveryId}/retry`, { method: 'POST' });
+
+// Price printing swaps (no auth) — see server/routes/prices.js
+export const pricePrintingChanges = (changes) =>
+  apiFetch('/prices/printing-changes', { method: 'POST', body: JSON.stringify({ changes }) });
+
 // Single snapshot (includes deck_text)
 export const getSnapshot = (deckId, snapshotId) =>
   apiFetch(`/decks/${deckId}/snapshots/${snapshotId}`);
@@ -320,8 +454,22 @@ export const updateAdminSetting = (key, value) =>
     body: JSON.stringify({ value }),
   });
 
+export const getAdminRetentionPreview = (policy) =>
+  apiFetch(`/admin/retention-preview${policy ? `?policy=${policy}` : ''}`);
+
 export const getAdminShares = () => apiFetch('/admin/shares');
 
+export const getAdminRecommendationPacks = () => apiFetch('/admin/recommendation-packs');
+
+export const adminCreateRecommendationPack = (pack) =>
+  apiFetch('/admin/recommendation-packs', { method: 'POST', body: JSON.stringify(pack) });
+
+export const adminUpdateRecommendationPack = (id, pack) =>
+  apiFetch(`/admin/recommendation-packs/${id}`, { method: 'PUT', body: JSON.stringify(pack) });
+
+export const adminDeleteRecommendationPack = (id) =>
+  apiFetch(`/admin/recommendation-packs/${id}`, { method: 'DELETE' });
+
 export const adminDeleteShare = (shareId) =>
   apiFetch(`/admin/shares/${shareId}`, { method: 'DELETE' });
 
@@ -343,18 +491,9 @@ export async function downloadBackup() {
     const data = await res.json().catch(() => ({}));
     throw new Error(data.error || 'Backup download failed');
   }
-  const blob = await res.blob();
-  const url = URL.createObjectURL(blob);
   const disposition = res.headers.get('content-disposition') || '';
   const match = disposition.match(/filename="?([^"]+)"?/);
-  const filename = match ? match[1] : 'backup.db';
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  downloadFile(await res.blob(), match ? match[1] : 'backup.db');
 }
 
 export async function downloadUsersExport() {
@@ -366,15 +505,7 @@ export async function downloadUsersExport() {
     const data = await res.json().catch(() => ({}));
     throw new Error(data.error || 'Export failed');
   }
-  const blob = await res.blob();
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'users-export.csv';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  downloadFile(await res.blob(), 'users-export.csv');
 }
 
 export const adminBulkSuspend = () =>
@@ -418,15 +549,7 @@ export async function mpcDownloadXml(cards, cardstock, foil) {
     const data = await res.json().catch(() => ({}));
     throw new Error(data.error || 'XML download failed');
   }
-  const blob = await res.blob();
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'mpc-autofill-project.xml';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  downloadFile(await res.blob(), 'mpc-autofill-project.xml');
 }
 
 export async function mpcDownloadZip(cards) {
@@ -444,15 +567,7 @@ export async function mpcDownloadZip(cards) {
     const data = await res.json().catch(() => ({}));
     throw new Error(data.error || 'ZIP download failed');
   }
-  const blob = await res.blob();
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'mpc-card-images.zip';
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  downloadFile(await res.blob(), 'mpc-card-images.zip');
 }
 
 // MPC art overrides (server-persisted)
@@ -482,14 +597,6 @@ export async function downloadJobFile(deckId, jobId, deckName) {
     const data = await res.json().catch(() => ({}));
     throw new Error(data.error || 'Image download failed');
   }
-  const blob = await res.blob();
-  const url = URL.createObjectURL(blob);
   const safeName = (deckName || 'card-images').replace(/[^a-zA-Z0-9 _-]/g, '').replace(/\s+/g, '_');
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `${safeName}_images.zip`;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+  downloadFile(await res.blob(), `${safeName}_images.zip`);
 }
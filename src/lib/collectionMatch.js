@@ -6,7 +6,8 @@
  * same owned bucket regardless of how the deck or the collection spells them.
  */
 
-function normalize(name) {
+/** The bucket a card name is counted in: lowercased, front face, no accents. */
+export function ownedNameKey(name) {
   const lower = (name || '').toLowerCase();
   const slash = lower.indexOf(' // ');
   const front = slash !== -1 ? lower.slice(0, slash) : lower;
@@ -20,17 +21,42 @@ function normalize(name) {
 export function buildOwnedIndex(collectionCards) {
   const index = new Map();
   for (const c of collectionCards || []) {
-    const key = normalize(c.card_name);
+    const key = ownedNameKey(c.card_name);
     if (!key) continue;
     index.set(key, (index.get(key) || 0) + (Number(c.quantity) || 0));
   }
   return index;
 }
 
+/**
+ * Where the owned copies are kept: normalized name → [{ location, quantity }],
+ * most copies first. Entries without a location are left out, so a name with
+ * no filed copies has no entry.
+ */
+export function buildOwnedLocations(collectionCards) {
+  const byName = new Map();
+  for (const c of collectionCards || []) {
+    const key = ownedNameKey(c.card_name);
+    if (!key || !c.location) continue;
+    const places = byName.get(key) || new Map();
+    places.set(c.location, (places.get(c.location) || 0) + (Number(c.quantity) || 0));
+    byName.set(key, places);
+  }
+  const locations = new Map();
+  for (const [key, places] of byName) {
+    locations.set(
+      key,
+      [...places].map(([location, quantity]) => ({ location, quantity }))
+        .sort((a, b) => b.quantity - a.quantity || a.location.localeCompare(b.location))
+    );
+  }
+  return locations;
+}
+
 /** Total copies of a card name the user owns (0 if none / no index). */
 export function ownedCount(cardName, index) {
   if (!index) return 0;
-  return index.get(normalize(cardName)) || 0;
+  return index.get(ownedNameKey(cardName)) || 0;
 }
 
 /** Stable key for one rendered deck line. */
@@ -54,7 +80,13 @@ export function allocateOwnedCopies(parsedDeck, index) {
   if (!parsedDeck || !index) return allocation;
 
   const remaining = new Map(index); // per-name budget, consumed as we go
-  const boards = [['Mainboard', parsedDeck.mainboard], ['Sideboard', parsedDeck.sideboard]];
+  // Maybeboard last: considered cards only get copies the deck doesn't need.
+  const boards = [
+    ['Mainboard', parsedDeck.mainboard],
+    ['Sideboard', parsedDeck.sideboard],
+    ['Companion', parsedDeck.companions],
+    ['Maybeboard', parsedDeck.maybeboard],
+  ];
 
   for (const [board, section] of boards) {
     if (!section) continue;
@@ -65,7 +97,7 @@ export function allocateOwnedCopies(parsedDeck, index) {
         String(a.collectorNumber || '').localeCompare(String(b.collectorNumber || ''))
     );
     for (const entry of entries) {
-      const key = normalize(entry.displayName);
+      const key = ownedNameKey(entry.displayName);
       const available = remaining.get(key) || 0;
       const take = Math.min(available, entry.quantity);
       remaining.set(key, available - take);
@@ -76,26 +108,37 @@ export function allocateOwnedCopies(parsedDeck, index) {
   return allocation;
 }
 
-/**
- * Coverage of a parsed deck by the collection. Needed copies are aggregated per
- * card name across mainboard + sideboard first, so a card in both sections is
- * counted once. Returns unique/owned counts and total copies owned vs needed.
- */
-export function collectionCoverage(parsedDeck, index) {
+// Copies a deck needs per ownedNameKey, aggregated across mainboard +
+// sideboard + companions so a card in two sections is counted once. The
+// maybeboard isn't part of the deck and is left out. Map<key, { name, quantity }>
+// with the first spelling seen as the name.
+function deckNeeds(parsedDeck) {
   const needed = new Map();
-  for (const section of [parsedDeck?.mainboard, parsedDeck?.sideboard]) {
+  for (const section of [parsedDeck?.mainboard, parsedDeck?.sideboard, parsedDeck?.companions]) {
     if (!section) continue;
     for (const [, entry] of section) {
-      const key = normalize(entry.displayName);
+      const key = ownedNameKey(entry.displayName);
       if (!key) continue;
-      needed.set(key, (needed.get(key) || 0) + entry.quantity);
+      const need = needed.get(key);
+      if (need) need.quantity += entry.quantity;
+      else needed.set(key, { name: entry.displayName, quantity: entry.quantity });
     }
   }
+  return needed;
+}
 
+/**
+ * Coverage of a parsed deck by the collection. Needed copies are aggregated per
+ * card name across mainboard + sideboard + companions first, so a card in two
+ * sections is counted once. The maybeboard isn't part of the deck and is left
+ * out. Returns unique/owned counts and total copies owned vs needed.
+ */
+export function collectionCoverage(parsedDeck, index) {
   let uniqueOwned = 0;
   let copiesOwned = 0;
   let copiesNeeded = 0;
-  for (const [key, need] of needed) {
+  const needed = deckNeeds(parsedDeck);
+  for (const [key, { quantity: need }] of needed) {
     const owned = index?.get(key) || 0;
     if (owned > 0) uniqueOwned++;
     copiesOwned += Math.min(owned, need);
@@ -104,3 +147,26 @@ export function collectionCoverage(parsedDeck, index) {
 
   return { uniqueOwned, uniqueTotal: needed.size, copiesOwned, copiesNeeded };
 }
+
+/**
+ * Share owned copies out over several decks, for a shopping list. Like
+ * allocateOwnedCopies but across decks: one per-name budget, consumed deck by
+ * deck in the order given, so a copy assigned to the first deck can't also
+ * cover the second. Needs are counted as in collectionCoverage.
+ *
+ * `decks` is [{ id, parsed }]. Returns [{ id, cards: [{ key, name, needed,
+ * owned, missing }] }] in the same order.
+ */
+export function allocateAcrossDecks(decks, index) {
+  const remaining = new Map(index || []);
+  return decks.map(({ id, parsed }) => {
+    const cards = [];
+    for (const [key, { name, quantity }] of deckNeeds(parsed)) {
+      const available = remaining.get(key) || 0;
+      const owned = Math.min(available, quantity);
+      remaining.set(key, available - owned);
+      cards.push({ key, name, needed: quantity, owned, missing: quantity - owned });
+    }
+    return { id, cards };
+  });
+}
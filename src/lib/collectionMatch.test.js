@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest';
-import { buildOwnedIndex, ownedCount, collectionCoverage, allocateOwnedCopies, lineKey } from './collectionMatch.js';
+import {
+  buildOwnedIndex, buildOwnedLocations, ownedCount, collectionCoverage, allocateOwnedCopies, allocateAcrossDecks, lineKey,
+} from './collectionMatch.js';
 import { parse } from './parser.js';
 
 const collection = [
@@ -33,6 +35,23 @@ describe('buildOwnedIndex / ownedCount', () => {
   });
 });
 
+describe('buildOwnedLocations', () => {
+  it('totals copies per location by name, most copies first, skipping unfiled entries', () => {
+    const locations = buildOwnedLocations([
+      { card_name: 'Lightning Bolt', quantity: 1, location: 'Box 2' },
+      { card_name: 'Lightning Bolt', quantity: 2, location: 'Red binder', is_foil: 1 },
+      { card_name: 'lightning bolt', quantity: 1, location: 'Box 2' },
+      { card_name: 'Lightning Bolt', quantity: 5 },
+      { card_name: 'Sol Ring', quantity: 1, location: null },
+    ]);
+    expect(locations.get('lightning bolt')).toEqual([
+      { location: 'Box 2', quantity: 2 },
+      { location: 'Red binder', quantity: 2 },
+    ]);
+    expect(locations.has('sol ring')).toBe(false);
+  });
+});
+
 describe('collectionCoverage', () => {
   it('reports unique and copy coverage, capping owned at needed', () => {
     const index = buildOwnedIndex(collection);
@@ -78,3 +97,23 @@ describe('collectionCoverage', () => {
     expect(cov.copiesOwned).toBe(1);
   });
 });
+
+describe('allocateAcrossDecks', () => {
+  it('shares owned copies over the decks in order, never counting a copy twice', () => {
+    const index = buildOwnedIndex([
+      { card_name: 'Sol Ring', quantity: 1 },
+      { card_name: 'Lightning Bolt', quantity: 3 },
+    ]);
+    const decks = [
+      { id: 1, parsed: parse('1 Sol Ring\n2 Lightning Bolt\n\nSideboard\n1 Lightning Bolt') },
+      { id: 2, parsed: parse('1 Sol Ring\n4 Lightning Bolt\n1 Counterspell') },
+      { id: 3, parsed: null }, // no snapshot
+    ];
+    const [first, second, third] = allocateAcrossDecks(decks, index);
+    const view = deck => deck.cards.map(c => [c.name, c.needed, c.owned, c.missing]);
+
+    expect(view(first)).toEqual([['Sol Ring', 1, 1, 0], ['Lightning Bolt', 3, 3, 0]]);
+    expect(view(second)).toEqual([['Sol Ring', 1, 0, 1], ['Lightning Bolt', 4, 0, 4], ['Counterspell', 1, 0, 1]]);
+    expect(third.cards).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Commander color-identity validation.
+ *
+ * A Commander deck's identity is the union of its commanders' color
+ * identities; every other card in the 100 — and a companion — must fit inside
+ * it. Two commanders are only allowed as a recognized pairing (Partner,
+ * Friends forever, a Background, a Doctor's companion), checked from Scryfall
+ * keywords and type line.
+ *
+ * Card data is a Map keyed like fetchCardData(): "name|collector" for a
+ * specific printing and/or the bare lowercased name. Cards with no data are
+ * skipped, never flagged — and if a commander has no data, the identity is
+ * unknown and nothing is flagged (an empty identity would flag every card).
+ */
+
+const WUBRG = ['W', 'U', 'B', 'R', 'G'];
+
+/** Card data for a deck entry: exact printing first, then the bare name. */
+export function lookupCard(cardData, name, collectorNumber) {
+  if (!cardData) return null;
+  const lower = (name || '').toLowerCase();
+  return (collectorNumber && cardData.get(`${lower}|${collectorNumber}`)) || cardData.get(lower) || null;
+}
+
+function commanderData(cardData, name, parsed) {
+  // Prefer the deck's own line for the commander so a printing-keyed map resolves
+  const lower = name.toLowerCase();
+  for (const entry of parsed?.mainboard?.values() || []) {
+    if (entry.displayName.toLowerCase() === lower) return lookupCard(cardData, name, entry.collectorNumber);
+  }
+  return lookupCard(cardData, name);
+}
+
+function sortColors(colors) {
+  return WUBRG.filter(c => colors.has(c));
+}
+
+function hasKeyword(data, keyword) {
+  return (data.keywords || []).some(k => k.toLowerCase() === keyword);
+}
+
+function frontTypeIncludes(data, type) {
+  return (data.frontTypeLine || '').includes(type);
+}
+
+/**
+ * Whether two commanders may lead a deck together, or why not.
+ * @returns {string|null} Reason they can't be paired; null when allowed or unknown
+ */
+function pairingProblem(names, datas) {
+  if (names.length <= 1) return null;
+  if (names.length > 2) return `A deck can have at most two commanders (${names.length} listed)`;
+  const [a, b] = datas;
+  // No keyword data (e.g. not found on Scryfall) — can't judge, don't flag
+  if (!a?.keywords || !b?.keywords) return null;
+
+  const both = kw => hasKeyword(a, kw) && hasKeyword(b, kw);
+  const oneWay = (x, y) =>
+    (hasKeyword(x, 'choose a background') && frontTypeIncludes(y, 'Background')) ||
+    (hasKeyword(x, "doctor's companion") && frontTypeIncludes(y, 'Time Lord Doctor'));
+
+  if (both('partner') || both('partner with') || both('friends forever') || oneWay(a, b) || oneWay(b, a)) {
+    return null;
+  }
+  return `${names[0]} and ${names[1]} can't be paired as commanders`;
+}
+
+/**
+ * Validate a deck against its commanders' color identity.
+ * @param {object} parsed - parse() result
+ * @param {Map<string, { colorIdentity?: string[], keywords?: string[], frontTypeLine?: string }>} cardData
+ * @param {string[]} [commanders] - Overrides parsed.commanders (e.g. a tracked deck's chosen commanders)
+ * @returns {null | {
+ *   identity: string[],
+ *   identityKnown: boolean,
+ *   pairingProblem: string|null,
+ *   violations: Array<{ name: string, board: 'mainboard'|'companions', offColors: string[] }>,
+ * }} null when the deck names no commander
+ */
+export function checkColorIdentity(parsed, cardData, commanders = parsed.commanders) {
+  const names = (commanders || []).filter(Boolean);
+  if (names.length === 0) return null;
+
+  const datas = names.map(n => commanderData(cardData, n, parsed));
+  const identity = new Set();
+  for (const data of datas) {
+    for (const c of data?.colorIdentity || []) identity.add(c.toUpperCase());
+  }
+
+  const identityKnown = datas.every(data => data && !data.notFound && Array.isArray(data.colorIdentity));
+  const commanderKeys = new Set(names.map(n => n.toLowerCase()));
+  const violations = [];
+  for (const board of identityKnown ? ['mainboard', 'companions'] : []) {
+    for (const entry of parsed[board]?.values() || []) {
+      if (board === 'mainboard' && commanderKeys.has(entry.displayName.toLowerCase())) continue;
+      const data = lookupCard(cardData, entry.displayName, entry.collectorNumber);
+      const off = new Set((data?.colorIdentity || []).map(c => c.toUpperCase()).filter(c => !identity.has(c)));
+      if (off.size > 0) violations.push({ name: entry.displayName, board, offColors: sortColors(off) });
+    }
+  }
+
+  return { identity: sortColors(identity), identityKnown, pairingProblem: pairingProblem(names, datas), violations };
+}
+
+/** Map of lowercased card name → colors outside the identity, for per-line flags. */
+export function violationsByName(result) {
+  return new Map((result?.violations || []).map(v => [v.name.toLowerCase(), v.offColors]));
+}
+
+/**
+ * Violations in `after` that `before` didn't have — what a diff introduced,
+ * whether by adding an off-identity card or by swapping to a narrower commander.
+ */
+export function introducedViolations(before, after) {
+  if (!after) return [];
+  const had = violationsByName(before);
+  return after.violations.filter(v => !had.has(v.name.toLowerCase()));
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { checkColorIdentity, introducedViolations, violationsByName } from './colorIdentity.js';
+import { checkLegality } from './legality.js';
+import { parse } from './parser.js';
+
+const CARDS = {
+  'atraxa, praetors\' voice': { colorIdentity: ['W', 'U', 'B', 'G'], keywords: ['Flying', 'Vigilance'], frontTypeLine: 'Legendary Creature — Phyrexian Angel Horror' },
+  'krenko, mob boss': { colorIdentity: ['R'], keywords: [], frontTypeLine: 'Legendary Creature — Goblin Warrior' },
+  'thrasios, triton hero': { colorIdentity: ['G', 'U'], keywords: ['Partner'], frontTypeLine: 'Legendary Creature — Merfolk Wizard' },
+  'tymna the weaver': { colorIdentity: ['W', 'B'], keywords: ['Partner'], frontTypeLine: 'Legendary Creature — Human Cleric' },
+  'wilson, refined grizzly': { colorIdentity: ['G'], keywords: ['Choose a background', 'Reach', 'Trample', 'Ward'], frontTypeLine: 'Legendary Creature — Bear Warrior' },
+  'raised by giants': { colorIdentity: ['G'], keywords: [], frontTypeLine: 'Legendary Enchantment — Background' },
+  'lightning bolt': { colorIdentity: ['R'], keywords: [], frontTypeLine: 'Instant' },
+  'counterspell': { colorIdentity: ['U'], keywords: [], frontTypeLine: 'Instant' },
+  'sol ring': { colorIdentity: [], keywords: [], frontTypeLine: 'Artifact' },
+  'lurrus of the dream-den': { colorIdentity: ['W', 'B'], keywords: ['Companion', 'Lifelink'], frontTypeLine: 'Legendary Creature — Cat Nightmare' },
+  'mystery commander': { colorIdentity: [], notFound: true },
+};
+
+const cardData = new Map(Object.entries(CARDS));
+const names = result => result.violations.map(v => `${v.name}:${v.offColors.join('')}`);
+
+describe('checkColorIdentity', () => {
+  it('returns null for a deck without a commander', () => {
+    expect(checkColorIdentity(parse('1 Lightning Bolt'), cardData)).toBeNull();
+  });
+
+  it('flags mainboard cards outside the commander identity, never the commander itself', () => {
+    const deck = parse('Commander\n1 Atraxa, Praetors\' Voice\n\nDeck\n1 Lightning Bolt\n1 Counterspell\n1 Sol Ring');
+    const result = checkColorIdentity(deck, cardData);
+    expect(result.identity).toEqual(['W', 'U', 'B', 'G']);
+    expect(result.identityKnown).toBe(true);
+    expect(names(result)).toEqual(['Lightning Bolt:R']);
+    expect(violationsByName(result).get('lightning bolt')).toEqual(['R']);
+  });
+
+  it('unions the identity of partner commanders and accepts the pairing', () => {
+    const deck = parse('Commander\n1 Thrasios, Triton Hero\n1 Tymna the Weaver\n\nDeck\n1 Counterspell\n1 Lightning Bolt');
+    const result = checkColorIdentity(deck, cardData);
+    expect(result.identity).toEqual(['W', 'U', 'B', 'G']);
+    expect(result.pairingProblem).toBeNull();
+    expect(names(result)).toEqual(['Lightning Bolt:R']);
+  });
+
+  it('accepts a Background with a "Choose a Background" commander, rejects unrelated pairs', () => {
+    const background = parse('Commander\n1 Wilson, Refined Grizzly\n1 Raised by Giants\n\nDeck\n1 Sol Ring');
+    expect(checkColorIdentity(background, cardData).pairingProblem).toBeNull();
+
+    const unrelated = parse('Commander\n1 Krenko, Mob Boss\n1 Tymna the Weaver\n\nDeck\n1 Sol Ring');
+    expect(checkColorIdentity(unrelated, cardData).pairingProblem).toMatch(/can't be paired/);
+  });
+
+  it('checks a companion against the identity', () => {
+    const deck = parse('Companion\n1 Lurrus of the Dream-Den\n\nCommander\n1 Krenko, Mob Boss\n\nDeck\n1 Sol Ring');
+    expect(checkColorIdentity(deck, cardData).violations).toEqual([
+      { name: 'Lurrus of the Dream-Den', board: 'companions', offColors: ['W', 'B'] },
+    ]);
+  });
+
+  it('flags nothing when a commander has no card data', () => {
+    const deck = parse('Commander\n1 Mystery Commander\n\nDeck\n1 Lightning Bolt');
+    const result = checkColorIdentity(deck, cardData);
+    expect(result.identityKnown).toBe(false);
+    expect(result.violations).toEqual([]);
+  });
+
+  it('takes an explicit commander list over the parsed one', () => {
+    const deck = parse('1 Krenko, Mob Boss\n1 Counterspell\n1 Lightning Bolt');
+    expect(names(checkColorIdentity(deck, cardData, ['Krenko, Mob Boss']))).toEqual(['Counterspell:U']);
+  });
+});
+
+describe('introducedViolations', () => {
+  it('reports cards a commander swap pushed out of identity, not ones already off', () => {
+    const before = parse('Commander\n1 Atraxa, Praetors\' Voice\n\nDeck\n1 Counterspell\n1 Lightning Bolt');
+    const after = parse('Commander\n1 Thrasios, Triton Hero\n\nDeck\n1 Counterspell\n1 Lightning Bolt\n1 Lurrus of the Dream-Den');
+    const added = introducedViolations(checkColorIdentity(before, cardData), checkColorIdentity(after, cardData));
+    expect(added.map(v => v.name)).toEqual(['Lurrus of the Dream-Den']);
+  });
+
+  it('reports every violation when the before list had no commander', () => {
+    const after = checkColorIdentity(parse('Commander\n1 Krenko, Mob Boss\n\nDeck\n1 Counterspell'), cardData);
+    expect(introducedViolations(null, after).map(v => v.name)).toEqual(['Counterspell']);
+    expect(introducedViolations(after, null)).toEqual([]);
+  });
+});
+
+describe('checkLegality color identity', () => {
+  it('reports off-identity cards and invalid pairings as Commander issues', () => {
+    const deck = parse('Commander\n1 Krenko, Mob Boss\n1 Tymna the Weaver\n\nDeck\n1 Counterspell');
+    const issues = checkLegality(deck, cardData, 'commander').issues.filter(i => i.rule !== 'deck_size' && i.rule !== 'not_legal');
+    expect(issues.map(i => i.rule)).toEqual(expect.arrayContaining(['commander_pairing', 'color_identity']));
+    expect(issues.find(i => i.rule === 'color_identity').message).toBe(
+      "Counterspell is outside the commander's color identity (U)"
+    );
+  });
+});
@@ -29,5 +29,13 @@ export const LINE_PATTERNS = [
 export const SIDEBOARD_HEADER = /^\s*(sideboard|sb)\s*[:.]?\s*$/i;
 export const MAINBOARD_HEADER = /^\s*(mainboard|main|deck)\s*[:.]?\s*$/i;
 export const COMMANDER_HEADER = /^\s*(commander|commanders|command zone)\s*[:.]?\s*$/i;
+export const COMPANION_HEADER = /^\s*(companion|companions)\s*[:.]?\s*$/i;
+export const MAYBEBOARD_HEADER = /^\s*(maybeboard|maybe|considering)\s*[:.]?\s*$/i;
+// Every section header, for code that only needs to pass structure lines through
+export const SECTION_HEADERS = [SIDEBOARD_HEADER, MAINBOARD_HEADER, COMMANDER_HEADER, COMPANION_HEADER, MAYBEBOARD_HEADER];
 export const SB_PREFIX = /^\s*SB:\s*/i;
 export const COMMENT_LINE = /^\s*(\/\/|#)/;
+// "// Category: Ramp" — a comment line (ignored by older readers) that tags the
+// card lines below it with the deck's own category, until the next blank line
+// or section header. An empty "// Category:" clears it.
+export const CATEGORY_LINE = /^\s*\/\/\s*category:\s*(.*?)\s*$/i;
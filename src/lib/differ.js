@@ -108,10 +108,42 @@ function normalizeDFCKeys(map, otherMap) {
   }
 }
 
-function diffSection(beforeMap, afterMap) {
+const EMPTY_CATEGORIES = new Map();
+
+// Only categorized cards carry the field, so uncategorized diffs keep their shape.
+function withCategory(category) {
+  return category ? { category } : {};
+}
+
+/**
+ * Whether two entries matched under the same key name different printings.
+ * A side without a set code carries no printing to compare, so only the foil
+ * flag can differ against it.
+ */
+function printingDiffers(beforeEntry, afterEntry) {
+  if (beforeEntry.isFoil !== afterEntry.isFoil) return true;
+  if (!beforeEntry.setCode || !afterEntry.setCode) return false;
+  return beforeEntry.setCode.toLowerCase() !== afterEntry.setCode.toLowerCase()
+    || beforeEntry.collectorNumber !== afterEntry.collectorNumber;
+}
+
+/**
+ * Diff one section. `beforeCats`/`afterCats` are the parsed decks' category maps
+ * (lowercase name → category); cards pick up a `category` from the side they
+ * are listed on, and a card present on both sides whose category differs is
+ * reported in categoryChanges. A side with no category for the card (e.g. a
+ * snapshot taken before categories were recorded) never counts as a move.
+ *
+ * With `printings` on, a card that matched under one key but changed set,
+ * collector number or foil (e.g. "Sol Ring (C21)" → "Sol Ring (SLD) *F*", both
+ * keyed bare) is also reported in printingChanges for the copies kept.
+ */
+function diffSection(beforeMap, afterMap, beforeCats = EMPTY_CATEGORIES, afterCats = EMPTY_CATEGORIES, printings = false) {
   const cardsIn = [];
   const cardsOut = [];
   const quantityChanges = [];
+  const categoryChanges = [];
+  const printingChanges = [];
   let unchangedCount = 0;
 
   const before = new Map(beforeMap);
@@ -174,11 +206,13 @@ function diffSection(beforeMap, afterMap) {
     const setCode = (afterEntry?.setCode || beforeEntry?.setCode || '');
     const collectorNumber = (afterEntry?.collectorNumber || beforeEntry?.collectorNumber || '');
     const isFoil = afterEntry?.isFoil ?? beforeEntry?.isFoil ?? false;
+    const oldCategory = beforeEntry ? beforeCats.get(beforeEntry.displayName.toLowerCase()) : undefined;
+    const newCategory = afterEntry ? afterCats.get(afterEntry.displayName.toLowerCase()) : undefined;
 
     if (beforeQty === 0 && afterQty > 0) {
-      cardsIn.push({ name: displayName, quantity: afterQty, setCode, collectorNumber, isFoil });
+      cardsIn.push({ name: displayName, quantity: afterQty, setCode, collectorNumber, isFoil, ...withCategory(newCategory) });
     } else if (beforeQty > 0 && afterQty === 0) {
-      cardsOut.push({ name: displayName, quantity: beforeQty, setCode, collectorNumber, isFoil });
+      cardsOut.push({ name: displayName, quantity: beforeQty, setCode, collectorNumber, isFoil, ...withCategory(oldCategory) });
     } else if (beforeQty !== afterQty) {
       quantityChanges.push({
         name: displayName,
@@ -188,15 +222,42 @@ function diffSection(beforeMap, afterMap) {
         setCode,
         collectorNumber,
         isFoil,
+        ...withCategory(newCategory),
       });
-    } else {
+    } else if (!(printings && printingDiffers(beforeEntry, afterEntry))) {
       unchangedCount++;
     }
+
+    if (printings && beforeQty > 0 && afterQty > 0 && printingDiffers(beforeEntry, afterEntry)) {
+      printingChanges.push({
+        name: displayName,
+        quantity: Math.min(beforeQty, afterQty),
+        oldSetCode: beforeEntry.setCode,
+        oldCollectorNumber: beforeEntry.collectorNumber,
+        oldIsFoil: beforeEntry.isFoil,
+        newSetCode: afterEntry.setCode,
+        newCollectorNumber: afterEntry.collectorNumber,
+        newIsFoil: afterEntry.isFoil,
+        ...withCategory(newCategory),
+      });
+    }
+
+    if (oldCategory && newCategory && oldCategory !== newCategory) {
+      categoryChanges.push({
+        name: displayName,
+        quantity: afterQty,
+        oldCategory,
+        newCategory,
+        setCode,
+        collectorNumber,
+        isFoil,
+        category: newCategory,
+      });
+    }
   }
 
   // Detect printing changes: same card name in both cardsIn and cardsOut with same quantity
   // These are printing/artwork swaps, not actual card additions or removals
-  const printingChanges = [];
   const outByName = new Map();
   for (const card of cardsOut) {
     const key = card.name.toLowerCase();
@@ -224,6 +285,7 @@ function diffSection(beforeMap, afterMap) {
       newSetCode: inCard.setCode,
       newCollectorNumber: inCard.collectorNumber,
       newIsFoil: inCard.isFoil,
+      ...withCategory(inCard.category),
     });
 
     // Remove from both arrays
@@ -238,15 +300,193 @@ function diffSection(beforeMap, afterMap) {
   cardsOut.sort(byName);
   quantityChanges.sort(byName);
   printingChanges.sort(byName);
+  categoryChanges.sort(byName);
 
-  return { cardsIn, cardsOut, quantityChanges, printingChanges, totalUniqueCards: allKeys.size, unchangedCount };
+  return { cardsIn, cardsOut, quantityChanges, printingChanges, categoryChanges, totalUniqueCards: allKeys.size, unchangedCount };
 }
 
-export function computeDiff(before, after) {
+const EMPTY_BOARD = new Map();
+
+/**
+ * Diff two parse() results section by section. Pass `{ printings: true }` to
+ * also report same-card printing swaps (set / collector number / foil) that
+ * match under one key — see diffSection(). Off by default: without it a swap is
+ * only reported when the card's key changed too (a new collector number).
+ */
+export function computeDiff(before, after, { printings = false } = {}) {
+  // Companion and maybeboard are optional so hand-built parse results (tests,
+  // older callers) still diff; each is its own section, never merged into main.
+  const beforeCompanions = before.companions || EMPTY_BOARD;
+  const afterCompanions = after.companions || EMPTY_BOARD;
+  const beforeMaybe = before.maybeboard || EMPTY_BOARD;
+  const afterMaybe = after.maybeboard || EMPTY_BOARD;
+  const beforeCats = before.categories || EMPTY_CATEGORIES;
+  const afterCats = after.categories || EMPTY_CATEGORIES;
   return {
-    mainboard: diffSection(before.mainboard, after.mainboard),
-    sideboard: diffSection(before.sideboard, after.sideboard),
+    mainboard: diffSection(before.mainboard, after.mainboard, beforeCats, afterCats, printings),
+    sideboard: diffSection(before.sideboard, after.sideboard, beforeCats, afterCats, printings),
+    companions: diffSection(beforeCompanions, afterCompanions, beforeCats, afterCats, printings),
+    maybeboard: diffSection(beforeMaybe, afterMaybe, beforeCats, afterCats, printings),
     hasSideboard: before.sideboard.size > 0 || after.sideboard.size > 0,
+    hasCompanions: beforeCompanions.size > 0 || afterCompanions.size > 0,
+    hasMaybeboard: beforeMaybe.size > 0 || afterMaybe.size > 0,
     commanders: after.commanders || [],
   };
 }
+
+// The maybeboard is left out: cards under consideration aren't the deck, and
+// snapshots taken before Maybeboard sections were kept would all "change".
+const NOTIFY_SECTIONS = ['mainboard', 'sideboard', 'companions'];
+
+/**
+ * Whether a computeDiff() result has any card-level change in the deck itself:
+ * a card in or out, a quantity, printing or category change. A snapshot whose
+ * text changed without one (new comment lines, reordering, an upgraded text
+ * format, a maybeboard-only edit) is still stored, but isn't news to the
+ * deck's owner.
+ */
+export function hasDeckChanges(diff) {
+  return NOTIFY_SECTIONS.some(key => {
+    const section = diff[key];
+    return section && (
+      section.cardsIn.length > 0 || section.cardsOut.length > 0 || section.quantityChanges.length > 0
+      || section.printingChanges.length > 0 || section.categoryChanges.length > 0
+    );
+  });
+}
+
+/**
+ * Sum quantities per card name (front face, lowercase) for one section.
+ * Three-way comparison is about who changed how many copies, so printings of
+ * the same card are pooled rather than tracked separately.
+ */
+function quantitiesByName(map) {
+  const out = new Map();
+  for (const entry of map.values()) {
+    const key = frontFace(entry.displayName.toLowerCase());
+    const existing = out.get(key);
+    if (existing) existing.quantity += entry.quantity;
+    else out.set(key, { name: entry.displayName, quantity: entry.quantity });
+  }
+  return out;
+}
+
+/**
+ * Three-way diff of one section against a common ancestor. Every card whose
+ * count moved on at least one side lands in exactly one bucket:
+ *   onlyA     — A changed it, B still matches the ancestor
+ *   onlyB     — B changed it, A still matches the ancestor
+ *   both      — A and B made the same edit
+ *   conflicts — A and B both changed it, to different counts
+ * Entries are { name, baseQty, aQty, bQty }; a quantity of 0 means absent.
+ */
+function threeWaySection(baseMap, aMap, bMap) {
+  const base = quantitiesByName(baseMap);
+  const a = quantitiesByName(aMap);
+  const b = quantitiesByName(bMap);
+  const onlyA = [];
+  const onlyB = [];
+  const both = [];
+  const conflicts = [];
+  let unchangedCount = 0;
+
+  const allKeys = new Set([...base.keys(), ...a.keys(), ...b.keys()]);
+  for (const key of allKeys) {
+    const baseQty = base.get(key)?.quantity || 0;
+    const aQty = a.get(key)?.quantity || 0;
+    const bQty = b.get(key)?.quantity || 0;
+    // Name the card as the newest side lists it
+    const name = (b.get(key) || a.get(key) || base.get(key)).name;
+    const entry = { name, baseQty, aQty, bQty };
+    const aChanged = aQty !== baseQty;
+    const bChanged = bQty !== baseQty;
+
+    if (!aChanged && !bChanged) unchangedCount++;
+    else if (aChanged && !bChanged) onlyA.push(entry);
+    else if (!aChanged) onlyB.push(entry);
+    else if (aQty === bQty) both.push(entry);
+    else conflicts.push(entry);
+  }
+
+  const byName = (x, y) => x.name.localeCompare(y.name);
+  onlyA.sort(byName);
+  onlyB.sort(byName);
+  both.sort(byName);
+  conflicts.sort(byName);
+
+  return { onlyA, onlyB, both, conflicts, totalUniqueCards: allKeys.size, unchangedCount };
+}
+
+/**
+ * Merge-style comparison of two descendants (`a`, `b`) of a common ancestor
+ * (`base`), all parse() results. Sections mirror computeDiff(); see
+ * threeWaySection() for the buckets each one carries.
+ */
+export function computeThreeWayDiff(base, a, b) {
+  const decks = [base, a, b];
+  const section = (key) => threeWaySection(
+    base[key] || EMPTY_BOARD,
+    a[key] || EMPTY_BOARD,
+    b[key] || EMPTY_BOARD,
+  );
+  const present = (key) => decks.some(deck => (deck[key]?.size || 0) > 0);
+  return {
+    mainboard: section('mainboard'),
+    sideboard: section('sideboard'),
+    companions: section('companions'),
+    maybeboard: section('maybeboard'),
+    hasSideboard: present('sideboard'),
+    hasCompanions: present('companions'),
+    hasMaybeboard: present('maybeboard'),
+    commanders: b.commanders?.length ? b.commanders : (a.commanders || []),
+  };
+}
+
+/**
+ * Card × list matrix for one section: one row per card name with its count in
+ * every list (0 when absent) and how many lists include it. Most-shared cards
+ * first, then by name.
+ */
+function presenceSection(maps, commanderNames) {
+  const perList = maps.map(quantitiesByName);
+  const rows = new Map();
+  perList.forEach((quantities, i) => {
+    for (const [key, { name, quantity }] of quantities) {
+      if (!rows.has(key)) {
+        rows.set(key, {
+          name,
+          quantities: new Array(maps.length).fill(0),
+          count: 0,
+          ...(commanderNames.has(key) ? { isCommander: true } : {}),
+        });
+      }
+      const row = rows.get(key);
+      row.quantities[i] = quantity;
+      row.count++;
+    }
+  });
+  return [...rows.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Multi-list comparison for consensus building: `decks` is an array of parse()
+ * results, the first being the base list. Quantities are pooled per card name
+ * as in computeThreeWayDiff(). The maybeboard is left out — it is not part of
+ * any list being compared. Commanders named by any list are flagged on their
+ * mainboard row (`isCommander`).
+ */
+export function computePresenceMatrix(decks) {
+  const commanderNames = new Set(
+    decks.flatMap(deck => (deck.commanders || []).map(name => frontFace(name.toLowerCase())))
+  );
+  const section = (key) => presenceSection(decks.map(deck => deck[key] || EMPTY_BOARD), commanderNames);
+  const present = (key) => decks.some(deck => (deck[key]?.size || 0) > 0);
+  return {
+    listCount: decks.length,
+    mainboard: section('mainboard'),
+    sideboard: section('sideboard'),
+    companions: section('companions'),
+    hasSideboard: present('sideboard'),
+    hasCompanions: present('companions'),
+  };
+}
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { computeDiff } from './differ.js';
+import { computeDiff, computeThreeWayDiff, computePresenceMatrix, hasDeckChanges } from './differ.js';
 import { parse } from './parser.js';
 
 // Helper to build a parsed deck from simple text
@@ -584,4 +584,154 @@ Sideboard
     expect(diff.mainboard.quantityChanges).toHaveLength(1);
     expect(diff.mainboard.quantityChanges[0]).toMatchObject({ oldQty: 3, newQty: 4 });
   });
+
+  // ── Companion & maybeboard ───────────────────────────────────────
+
+  it('diffs companion and maybeboard sections separately from the deck', () => {
+    const a = deck('Companion\n1 Lurrus of the Dream-Den\n\n4 Lightning Bolt\n\nMaybeboard\n1 Mana Crypt');
+    const b = deck('Companion\n1 Jegantha, the Wellspring\n\n4 Lightning Bolt\n\nMaybeboard\n1 Mana Crypt\n1 Mana Vault');
+    const diff = computeDiff(a, b);
+    expect(diff.mainboard.cardsIn).toEqual([]);
+    expect(diff.mainboard.cardsOut).toEqual([]);
+    expect(diff.companions.cardsIn.map(c => c.name)).toEqual(['Jegantha, the Wellspring']);
+    expect(diff.companions.cardsOut.map(c => c.name)).toEqual(['Lurrus of the Dream-Den']);
+    expect(diff.maybeboard.cardsIn.map(c => c.name)).toEqual(['Mana Vault']);
+    expect(diff.hasCompanions).toBe(true);
+    expect(diff.hasMaybeboard).toBe(true);
+  });
+
+  it('treats decks built before these sections existed as having empty ones', () => {
+    const diff = computeDiff(makeDeck({ 'Sol Ring': 1 }), makeDeck({ 'Sol Ring': 1 }));
+    expect(diff.hasCompanions).toBe(false);
+    expect(diff.hasMaybeboard).toBe(false);
+    expect(diff.maybeboard.cardsIn).toEqual([]);
+  });
+
+  // ── Categories ───────────────────────────────────────────────────
+
+  it('reports a card moved between categories as a category change', () => {
+    const a = deck('// Category: Ramp\n1 Sol Ring\n// Category: Removal\n4 Lightning Bolt');
+    const b = deck('// Category: Removal\n1 Sol Ring\n4 Lightning Bolt\n// Category: Draw\n1 Rhystic Study');
+    const diff = computeDiff(a, b);
+    expect(diff.mainboard.categoryChanges).toEqual([
+      expect.objectContaining({ name: 'Sol Ring', oldCategory: 'Ramp', newCategory: 'Removal' }),
+    ]);
+    expect(diff.mainboard.cardsIn).toEqual([expect.objectContaining({ name: 'Rhystic Study', category: 'Draw' })]);
+    expect(diff.mainboard.quantityChanges).toEqual([]);
+  });
+
+  it('does not report moves against a side that has no category for the card', () => {
+    const diff = computeDiff(deck('1 Sol Ring'), deck('// Category: Ramp\n1 Sol Ring'));
+    expect(diff.mainboard.categoryChanges).toEqual([]);
+    expect(diff.mainboard.unchangedCount).toBe(1);
+  });
+
+  it('hasDeckChanges() ignores text-only changes such as new category lines', () => {
+    expect(hasDeckChanges(computeDiff(deck('1 Sol Ring'), deck('// Category: Ramp\n1 Sol Ring'), { printings: true }))).toBe(false);
+    expect(hasDeckChanges(computeDiff(deck('// Category: Ramp\n1 Sol Ring'), deck('// Category: Rocks\n1 Sol Ring')))).toBe(true);
+    expect(hasDeckChanges(computeDiff(deck('1 Sol Ring (c21) [263]'), deck('1 Sol Ring (cmm) [410]'), { printings: true }))).toBe(true);
+  });
+
+  it('hasDeckChanges() ignores maybeboard-only changes', () => {
+    expect(hasDeckChanges(computeDiff(deck('1 Sol Ring'), deck('1 Sol Ring\n\nMaybeboard\n1 Mana Vault')))).toBe(false);
+    expect(hasDeckChanges(computeDiff(deck('1 Sol Ring'), deck('Companion\n1 Lurrus of the Dream-Den\n\n1 Sol Ring')))).toBe(true);
+  });
+});
+
+describe('computeThreeWayDiff()', () => {
+  const base = deck('1 Sol Ring\n4 Lightning Bolt\n1 Counterspell\n2 Island');
+
+  it('sorts each edit into only-A, only-B, both or conflict', () => {
+    const a = deck('1 Sol Ring\n3 Lightning Bolt\n1 Counterspell\n2 Island\n1 Rhystic Study');
+    const b = deck('1 Sol Ring\n4 Lightning Bolt\n2 Island\n1 Rhystic Study\n1 Mana Crypt');
+    const diff = computeThreeWayDiff(base, a, b);
+    expect(diff.mainboard.onlyA).toEqual([{ name: 'Lightning Bolt', baseQty: 4, aQty: 3, bQty: 4 }]);
+    expect(diff.mainboard.onlyB).toEqual([
+      { name: 'Counterspell', baseQty: 1, aQty: 1, bQty: 0 },
+      { name: 'Mana Crypt', baseQty: 0, aQty: 0, bQty: 1 },
+    ]);
+    expect(diff.mainboard.both).toEqual([{ name: 'Rhystic Study', baseQty: 0, aQty: 1, bQty: 1 }]);
+    expect(diff.mainboard.conflicts).toEqual([]);
+    expect(diff.mainboard.unchangedCount).toBe(2);
+  });
+
+  it('flags divergent quantity edits to the same card as conflicts', () => {
+    const a = deck('1 Sol Ring\n2 Lightning Bolt\n1 Counterspell\n2 Island');
+    const b = deck('1 Sol Ring\n1 Counterspell\n2 Island');
+    const diff = computeThreeWayDiff(base, a, b);
+    expect(diff.mainboard.conflicts).toEqual([{ name: 'Lightning Bolt', baseQty: 4, aQty: 2, bQty: 0 }]);
+    expect(diff.mainboard.onlyA).toEqual([]);
+    expect(diff.mainboard.onlyB).toEqual([]);
+  });
+
+  it('pools printings so a re-sleeve on one side is not an edit', () => {
+    const a = deck('1 Sol Ring (c21) 263\n4 Lightning Bolt\n1 Counterspell\n2 Island');
+    const diff = computeThreeWayDiff(base, a, base);
+    expect(diff.mainboard.onlyA).toEqual([]);
+    expect(diff.mainboard.unchangedCount).toBe(4);
+  });
+
+  it('diffs the sideboard separately and reports which sections exist', () => {
+    const a = deck('1 Sol Ring\n4 Lightning Bolt\n1 Counterspell\n2 Island\n\nSideboard\n1 Pyroblast');
+    const diff = computeThreeWayDiff(base, a, base);
+    expect(diff.hasSideboard).toBe(true);
+    expect(diff.hasCompanions).toBe(false);
+    expect(diff.sideboard.onlyA).toEqual([{ name: 'Pyroblast', baseQty: 0, aQty: 1, bQty: 0 }]);
+    expect(diff.mainboard.onlyA).toEqual([]);
+  });
+});
+
+describe('computePresenceMatrix()', () => {
+  it('lists every card with its count per list and how many lists include it', () => {
+    const matrix = computePresenceMatrix([
+      deck('1 Sol Ring\n4 Lightning Bolt'),
+      deck('1 Sol Ring (c21) 263\n3 Lightning Bolt\n2 Counterspell'),
+      deck('1 Sol Ring\n\nSideboard\n1 Pyroblast'),
+    ]);
+    expect(matrix.listCount).toBe(3);
+    expect(matrix.mainboard).toEqual([
+      { name: 'Sol Ring', quantities: [1, 1, 1], count: 3 },
+      { name: 'Lightning Bolt', quantities: [4, 3, 0], count: 2 },
+      { name: 'Counterspell', quantities: [0, 2, 0], count: 1 },
+    ]);
+    expect(matrix.hasSideboard).toBe(true);
+    expect(matrix.sideboard).toEqual([{ name: 'Pyroblast', quantities: [0, 0, 1], count: 1 }]);
+  });
+
+  it('flags commanders and leaves the maybeboard out', () => {
+    const matrix = computePresenceMatrix([
+      deck('Commander\n1 Atraxa, Praetors\' Voice\n\n1 Sol Ring\n\nMaybeboard\n1 Mana Crypt'),
+      deck('1 Sol Ring'),
+    ]);
+    expect(matrix.mainboard.find(row => row.name === 'Atraxa, Praetors\' Voice').isCommander).toBe(true);
+    expect(matrix.mainboard.find(row => row.name === 'Sol Ring').isCommander).toBeUndefined();
+    expect(matrix.mainboard.some(row => row.name === 'Mana Crypt')).toBe(false);
+  });
+});
+
+describe('computeDiff() printing mode', () => {
+  it('reports set and foil swaps that share a key only when asked', () => {
+    const a = deck('1 Sol Ring (C21)\n4 Lightning Bolt (m10) 227');
+    const b = deck('1 Sol Ring (SLD) *F*\n4 Lightning Bolt (2x2) 227');
+    expect(computeDiff(a, b).mainboard.printingChanges).toEqual([]);
+
+    const diff = computeDiff(a, b, { printings: true });
+    expect(diff.mainboard.printingChanges).toEqual([
+      expect.objectContaining({ name: 'Lightning Bolt', quantity: 4, oldSetCode: 'm10', newSetCode: '2x2' }),
+      expect.objectContaining({ name: 'Sol Ring', quantity: 1, oldSetCode: 'C21', oldIsFoil: false, newSetCode: 'SLD', newIsFoil: true }),
+    ]);
+    expect(diff.mainboard.unchangedCount).toBe(0);
+  });
+
+  it('keeps the quantity change alongside a swap of the copies kept', () => {
+    const diff = computeDiff(deck('2 Sol Ring (C21)'), deck('3 Sol Ring (SLD)'), { printings: true });
+    expect(diff.mainboard.quantityChanges).toEqual([expect.objectContaining({ name: 'Sol Ring', delta: 1 })]);
+    expect(diff.mainboard.printingChanges).toEqual([expect.objectContaining({ quantity: 2, newSetCode: 'SLD' })]);
+  });
+
+  it('does not treat newly recorded printing metadata as a swap', () => {
+    const diff = computeDiff(deck('1 Sol Ring'), deck('1 Sol Ring (C21) 263'), { printings: true });
+    expect(diff.mainboard.printingChanges).toEqual([]);
+    expect(diff.mainboard.unchangedCount).toBe(1);
+  });
 });
@@ -0,0 +1,15 @@
+/**
+ * Trigger a file download in the browser. `content` is a string (typed as
+ * `mimeType`) or a Blob, e.g. a fetched response body.
+ */
+export function downloadFile(content, filename, mimeType = 'application/json') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
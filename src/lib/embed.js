@@ -0,0 +1,53 @@
+/**
+ * Embed widget URLs and iframe snippets. Shared by the server's oEmbed
+ * endpoint and the client's "Copy Embed Code" buttons, so both hand out the
+ * same markup.
+ */
+
+/** Default iframe size per widget; oEmbed consumers may ask for smaller. */
+export const EMBED_SIZES = {
+  deck: { width: 600, height: 560 },
+  changelog: { width: 600, height: 420 },
+  comparison: { width: 600, height: 420 },
+};
+
+const EMBED_ROUTES = {
+  deck: id => `/api/embed/deck/${id}`,
+  changelog: id => `/api/embed/deck/${id}/changelog`,
+  comparison: id => `/api/embed/share/${id}`,
+};
+
+/**
+ * Path of an embed widget. `kind` is 'deck' (a shared deck's list),
+ * 'changelog' (a shared deck's changelog) or 'comparison' (a shared
+ * comparison). Null/undefined params are left out.
+ */
+export function embedPath(kind, id, params = {}) {
+  const route = EMBED_ROUTES[kind];
+  if (!route) throw new Error(`Unknown embed kind: ${kind}`);
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined && value !== '') query.set(key, String(value));
+  }
+  const qs = query.toString();
+  return `${route(encodeURIComponent(id))}${qs ? `?${qs}` : ''}`;
+}
+
+function escapeAttr(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/** `<iframe>` markup for an absolute embed URL. */
+export function buildEmbedIframe(src, { width, height, title }) {
+  return `<iframe src="${escapeAttr(src)}" width="${width}" height="${height}" title="${escapeAttr(title)}" `
+    + 'style="border:0;max-width:100%" loading="lazy"></iframe>';
+}
+
+/** Ready-to-paste iframe for a widget at its default size. */
+export function buildEmbedSnippet(origin, kind, id, { params, title }) {
+  return buildEmbedIframe(`${origin}${embedPath(kind, id, params)}`, { ...EMBED_SIZES[kind], title });
+}
@@ -56,6 +56,38 @@ export function detectSite(url) {
   return null;
 }
 
+export const SITE_LABELS = {
+  archidekt: 'Archidekt',
+  moxfield: 'Moxfield',
+  deckcheck: 'DeckCheck',
+  tappedout: 'TappedOut',
+  deckstats: 'Deckstats',
+  mtggoldfish: 'MTGGoldfish',
+  tcgplayer: 'TCGPlayer',
+  // Not a URL site: tracked decks with no remote source (source_site 'local')
+  local: 'Local',
+};
+
+/**
+ * Split a deck URL into its site and the site's own deck id, using the same
+ * patterns as detectSite(). Deckstats ids are "{owner_id}/{deck_id}".
+ * Returns { site, id } or null for unsupported URLs.
+ */
+export function parseDeckUrl(url) {
+  const site = detectSite(url);
+  if (!site) return null;
+  if (site === 'archidekt') return { site, id: url.match(ARCHIDEKT_RE)[1] };
+  if (site === 'moxfield') return { site, id: url.match(MOXFIELD_RE)[1] };
+  if (site === 'deckcheck') return { site, id: url.match(DECKCHECK_RE)[2] };
+  if (site === 'tappedout') return { site, id: url.match(TAPPEDOUT_RE)[1] };
+  if (site === 'deckstats') {
+    const m = url.match(DECKSTATS_RE);
+    return { site, id: `${m[1]}/${m[2]}` };
+  }
+  if (site === 'mtggoldfish') return { site, id: url.match(MTGGOLDFISH_RE)[1] };
+  return { site, id: url.match(TCGPLAYER_RE)[1] };
+}
+
 // ---------------------------------------------------------------------------
 // Archidekt
 // ---------------------------------------------------------------------------
@@ -82,6 +114,8 @@ function archidektToText(data) {
   const mainLines = [];
   const sideLines = [];
   const commanderLines = [];
+  const companionLines = [];
+  const maybeLines = [];
   const commanderNames = [];
   let totalCards = 0;
   let cardsWithMeta = 0;
@@ -94,46 +128,90 @@ function archidektToText(data) {
     const setCode = entry.card?.edition?.editioncode || '';
     const collectorNumber = entry.card?.collectorNumber || '';
     const modifier = entry.modifier || 'Normal';
-    const categories = (entry.categories || []).map((c) =>
-      typeof c === 'string' ? c.toLowerCase() : (c.name || '').toLowerCase()
-    );
+    const categoryNames = (entry.categories || []).map((c) => (typeof c === 'string' ? c : (c.name || '')));
+    const categories = categoryNames.map((c) => c.toLowerCase());
+
+    let line = `${qty} ${name}`;
+    if (setCode) line += ` (${setCode})`;
+    if (collectorNumber) line += ` [${collectorNumber}]`;
+    if (modifier === 'Foil') line += ` *F*`;
 
+    // Maybeboard/considering wins over any board category the card also carries
     if (categories.includes('maybeboard') || categories.includes('considering')) {
+      maybeLines.push(line);
       continue;
     }
 
     totalCards += qty;
     if (setCode && collectorNumber) cardsWithMeta += qty;
 
-    let line = `${qty} ${name}`;
-    if (setCode) line += ` (${setCode})`;
-    if (collectorNumber) line += ` [${collectorNumber}]`;
-    if (modifier === 'Foil') line += ` *F*`;
-
     if (categories.includes('commander') || categories.includes('commanders')) {
       commanderLines.push(line);
       commanderNames.push(name);
+    } else if (categories.includes('companion') || categories.includes('companions')) {
+      companionLines.push(line);
     } else if (categories.includes('sideboard')) {
       sideLines.push(line);
     } else {
-      mainLines.push(line);
+      // The first non-board category is the card's own ("Ramp", "Removal", ...)
+      const category = categoryNames.find((c) => c.trim() && !BOARD_CATEGORIES.has(c.toLowerCase()));
+      mainLines.push({ line, category: category ? category.trim() : null });
     }
   }
 
+  const text = joinSections({ commanderLines, companionLines, mainLines: categorizedLines(mainLines), sideLines, maybeLines });
+  return { text, commanders: commanderNames, stats: { totalCards, cardsWithMeta } };
+}
+
+// Archidekt categories that decide the section rather than describe the card.
+const BOARD_CATEGORIES = new Set(['commander', 'commanders', 'companion', 'companions', 'sideboard', 'maybeboard', 'considering']);
+
+/**
+ * Order mainboard lines into "// Category: X" groups (see CATEGORY_LINE in
+ * constants.js): uncategorized cards first so no category comment runs over
+ * them, then each category alphabetically. No blank lines between groups — a
+ * blank line would end the mainboard. Mirrored in server/lib/deckToText.js.
+ */
+function categorizedLines(entries) {
+  const lines = entries.filter((e) => !e.category).map((e) => e.line);
+  const groups = new Map();
+  for (const { line, category } of entries) {
+    if (!category) continue;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(line);
+  }
+  for (const category of [...groups.keys()].sort((a, b) => a.localeCompare(b))) {
+    lines.push(`// Category: ${category}`, ...groups.get(category));
+  }
+  return lines;
+}
+
+/**
+ * Assemble emitted card lines into deck text: Commander and Companion headers
+ * first (each closed by a blank line), then the mainboard, then Sideboard and
+ * Maybeboard sections. Mirrored in server/lib/deckToText.js.
+ */
+function joinSections({ commanderLines = [], companionLines = [], mainLines = [], sideLines = [], maybeLines = [] }) {
   let text = '';
 
   if (commanderLines.length > 0) {
     // Put commander under explicit header so parser can detect it
     text += 'Commander\n' + commanderLines.join('\n') + '\n\n';
   }
+  if (companionLines.length > 0) {
+    text += 'Companion\n' + companionLines.join('\n') + '\n\n';
+  }
 
   text += mainLines.join('\n');
 
   if (sideLines.length > 0) {
     text += '\n\nSideboard\n' + sideLines.join('\n');
   }
+  if (maybeLines.length > 0) {
+    text += '\n\nMaybeboard\n' + maybeLines.join('\n');
+  }
 
-  return { text, commanders: commanderNames, stats: { totalCards, cardsWithMeta } };
+  return text;
 }
 
 // ---------------------------------------------------------------------------
@@ -167,6 +245,7 @@ function moxfieldToText(data) {
     mainboard: [],
     sideboard: [],
     companions: [],
+    maybeboard: [],
   };
   const commanderNames = [];
   let totalCards = 0;
@@ -178,8 +257,7 @@ function moxfieldToText(data) {
   for (const [boardName, board] of Object.entries(boards)) {
     const cards = board.cards || {};
     const target = boardName.toLowerCase();
-
-    if (target === 'maybeboard' || target === 'considering') continue;
+    const isMaybe = target === 'maybeboard' || target === 'considering';
 
     for (const [, cardEntry] of Object.entries(cards)) {
       const name = cardEntry.card?.name || 'Unknown';
@@ -189,15 +267,19 @@ function moxfieldToText(data) {
       const finish = cardEntry.finish || '';
       const isFoil = cardEntry.isFoil || finish === 'foil' || finish === 'etched';
 
-      totalCards += qty;
-      if (setCode && collectorNumber) cardsWithMeta += qty;
+      if (!isMaybe) {
+        totalCards += qty;
+        if (setCode && collectorNumber) cardsWithMeta += qty;
+      }
 
       let line = `${qty} ${name}`;
       if (setCode) line += ` (${setCode})`;
       if (collectorNumber) line += ` [${collectorNumber}]`;
       if (isFoil) line += ` *F*`;
 
-      if (target === 'commanders' || target === 'commander') {
+      if (isMaybe) {
+        sections.maybeboard.push(line);
+      } else if (target === 'commanders' || target === 'commander') {
         sections.commanders.push(line);
         commanderNames.push(name);
       } else if (target === 'sideboard' || target === 'side') {
@@ -213,21 +295,13 @@ function moxfieldToText(data) {
     }
   }
 
-  let text = '';
-
-  if (sections.commanders.length > 0) {
-    text += 'Commander\n' + sections.commanders.join('\n') + '\n\n';
-  }
-  if (sections.companions.length > 0) {
-    text += sections.companions.join('\n') + '\n';
-  }
-
-  text += sections.mainboard.join('\n');
-
-  if (sections.sideboard.length > 0) {
-    text += '\n\nSideboard\n' + sections.sideboard.join('\n');
-  }
-
+  const text = joinSections({
+    commanderLines: sections.commanders,
+    companionLines: sections.companions,
+    mainLines: sections.mainboard,
+    sideLines: sections.sideboard,
+    maybeLines: sections.maybeboard,
+  });
   return { text, commanders: commanderNames, stats: { totalCards, cardsWithMeta } };
 }
 
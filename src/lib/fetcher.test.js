@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { _moxfieldToText, _archidektToText, _deckcheckToText, _tcgPlayerToText, detectSite } from './fetcher.js';
+import { _moxfieldToText, _archidektToText, _deckcheckToText, _tcgPlayerToText, detectSite, parseDeckUrl } from './fetcher.js';
 
 // ── Moxfield metadata extraction ─────────────────────────────
 
@@ -140,7 +140,7 @@ describe('moxfieldToText()', () => {
     expect(commanders).toContain('Atraxa, Praetors\' Voice');
   });
 
-  it('skips maybeboard cards', () => {
+  it('keeps maybeboard cards in their own section, outside the stats', () => {
     const data = {
       boards: {
         mainboard: {
@@ -166,7 +166,7 @@ describe('moxfieldToText()', () => {
       },
     };
     const { text, stats } = _moxfieldToText(data);
-    expect(text).not.toContain('Mana Crypt');
+    expect(text).toBe('1 Sol Ring (c21) [263]\n\nMaybeboard\n1 Mana Crypt (2xm) [270]');
     expect(stats.totalCards).toBe(1);
   });
 
@@ -303,6 +303,28 @@ describe('detectSite()', () => {
   });
 });
 
+// ── parseDeckUrl() site + id extraction ─────────────────────
+
+describe('parseDeckUrl()', () => {
+  it('extracts the site-specific deck id', () => {
+    expect(parseDeckUrl('https://archidekt.com/decks/12345/my-deck')).toEqual({ site: 'archidekt', id: '12345' });
+    expect(parseDeckUrl('https://www.moxfield.com/decks/abc-123')).toEqual({ site: 'moxfield', id: 'abc-123' });
+    expect(parseDeckUrl('https://deckcheck.co/app/deckview/abc123')).toEqual({ site: 'deckcheck', id: 'abc123' });
+    expect(parseDeckUrl('https://tappedout.net/mtg-decks/atraxa-edh-1/')).toEqual({ site: 'tappedout', id: 'atraxa-edh-1' });
+    expect(parseDeckUrl('https://www.mtggoldfish.com/deck/67890#paper')).toEqual({ site: 'mtggoldfish', id: '67890' });
+    expect(parseDeckUrl('https://infinite.tcgplayer.com/magic/deck/My-Deck/12345')).toEqual({ site: 'tcgplayer', id: '12345' });
+  });
+
+  it('keeps both halves of a Deckstats id', () => {
+    expect(parseDeckUrl('https://deckstats.net/decks/12345/67890-my-deck/en')).toEqual({ site: 'deckstats', id: '12345/67890' });
+  });
+
+  it('returns null for unsupported URLs', () => {
+    expect(parseDeckUrl('https://google.com')).toBeNull();
+    expect(parseDeckUrl('4 Lightning Bolt')).toBeNull();
+  });
+});
+
 // ── TCGPlayer conversion ──────────────────────────────────────
 
 describe('tcgPlayerToText()', () => {
@@ -37,33 +37,55 @@ function resolveType(typeOrCardMap, name) {
   return typeof entry === 'string' ? entry : (entry.type || 'Other');
 }
 
-function formatCardsByType(cards, typeMap, lineFormatter) {
+// Canonical type order
+const TYPE_ORDER = ['Creature', 'Planeswalker', 'Battle', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Land', 'Other'];
+
+/**
+ * Group cards by type in canonical order, each group sorted by name. Without
+ * type data the cards come back as one untitled group (type null), unsorted.
+ * Shared by the text formatters and the server's embed widgets.
+ * @returns {Array<{ type: string|null, cards: object[] }>}
+ */
+export function groupCardsByType(cards, typeMap) {
   if (!typeMap || typeMap.size === 0) {
-    return cards.map(lineFormatter).join('');
+    return cards.length > 0 ? [{ type: null, cards }] : [];
   }
 
-  // Canonical type order
-  const TYPE_ORDER = ['Creature', 'Planeswalker', 'Battle', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Land', 'Other'];
   const groups = new Map();
-
   for (const card of cards) {
     const type = resolveType(typeMap, card.name);
     if (!groups.has(type)) groups.set(type, []);
     groups.get(type).push(card);
   }
 
-  let text = '';
+  const result = [];
   for (const type of TYPE_ORDER) {
     const group = groups.get(type);
     if (!group || group.length === 0) continue;
     group.sort((a, b) => a.name.localeCompare(b.name));
-    text += `  [${type}]\n`;
-    text += group.map(lineFormatter).join('');
+    result.push({ type, cards: group });
   }
-  return text;
+  return result;
+}
+
+function formatCardsByType(cards, typeMap, lineFormatter) {
+  return groupCardsByType(cards, typeMap)
+    .map(({ type, cards: group }) => (type ? `  [${type}]\n` : '') + group.map(lineFormatter).join(''))
+    .join('');
 }
 
-function formatPrintingDetail(card) {
+/**
+ * Signed USD amount for a printing swap's value change, e.g. "+$12.30" or
+ * "-$0.75". Null/undefined (unpriced) yields ''.
+ */
+export function formatPriceDelta(delta) {
+  if (delta == null) return '';
+  const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+  return `${sign}$${Math.abs(delta).toFixed(2)}`;
+}
+
+/** "(C21) #263 → (SLD) #1011 ✦ (+$12.30)" for a printingChanges entry. */
+export function formatPrintingDetail(card) {
   let old = '';
   if (card.oldSetCode) old += `(${card.oldSetCode.toUpperCase()})`;
   if (card.oldCollectorNumber) old += ` #${card.oldCollectorNumber}`;
@@ -74,13 +96,14 @@ function formatPrintingDetail(card) {
   if (card.newCollectorNumber) nw += ` #${card.newCollectorNumber}`;
   if (card.newIsFoil) nw += ' \u2726';
 
-  return `${old.trim()} \u2192 ${nw.trim()}`;
+  const priceDelta = formatPriceDelta(card.priceDelta);
+  return `${old.trim()} \u2192 ${nw.trim()}${priceDelta ? ` (${priceDelta})` : ''}`;
 }
 
 function formatSection(title, section, typeMap) {
-  const { cardsIn, cardsOut, quantityChanges, printingChanges = [] } = section;
+  const { cardsIn, cardsOut, quantityChanges, printingChanges = [], categoryChanges = [] } = section;
 
-  if (cardsIn.length === 0 && cardsOut.length === 0 && quantityChanges.length === 0 && printingChanges.length === 0) {
+  if (cardsIn.length === 0 && cardsOut.length === 0 && quantityChanges.length === 0 && printingChanges.length === 0 && categoryChanges.length === 0) {
     return `=== ${title} ===\nNo changes.\n`;
   }
 
@@ -115,6 +138,14 @@ function formatSection(title, section, typeMap) {
     text += '\n';
   }
 
+  if (categoryChanges.length > 0) {
+    text += '--- Category Moves ---\n';
+    text += formatCardsByType(categoryChanges, typeMap, card => {
+      return `> ${card.name}: ${card.oldCategory} \u2192 ${card.newCategory}\n`;
+    });
+    text += '\n';
+  }
+
   return text;
 }
 
@@ -126,13 +157,20 @@ export function formatChangelog(diffResult, typeMap) {
   if (diffResult.hasSideboard) {
     output += '\n' + formatSection('Sideboard', diffResult.sideboard, typeMap);
   }
+  if (diffResult.hasCompanions) {
+    output += '\n' + formatSection('Companion', diffResult.companions, typeMap);
+  }
+  if (diffResult.hasMaybeboard) {
+    output += '\n' + formatSection('Maybeboard', diffResult.maybeboard, typeMap);
+  }
 
   return output.trim();
 }
 
 /**
  * Format all new/added cards as MPCFill-compatible text.
- * Includes fully new cards + quantity increases (just the delta).
+ * Includes fully new cards + quantity increases (just the delta). Companions
+ * are printed; maybeboard cards are not part of the deck and are skipped.
  * Format: "N Card Name" per line (one card per line).
  */
 export function formatMpcFill(diffResult) {
@@ -153,13 +191,17 @@ export function formatMpcFill(diffResult) {
   if (diffResult.hasSideboard) {
     addSection(diffResult.sideboard);
   }
+  if (diffResult.hasCompanions) {
+    addSection(diffResult.companions);
+  }
 
   return lines.join('\n');
 }
 
 /**
  * Extract all cards from a parsed deck as an array of { name, quantity }.
- * Used for MPC Autofill proxy search — includes mainboard, sideboard, and commanders.
+ * Used for MPC Autofill proxy search — includes mainboard, sideboard, companions
+ * and commanders (not the maybeboard).
  */
 export function formatDeckForMpc(parsedDeck) {
   const cards = [];
@@ -179,6 +221,13 @@ export function formatDeckForMpc(parsedDeck) {
     }
   }
 
+  // Companions
+  if (parsedDeck.companions) {
+    for (const [, entry] of parsedDeck.companions) {
+      cards.push({ name: entry.displayName, quantity: entry.quantity });
+    }
+  }
+
   // Commanders (flat string array)
   if (parsedDeck.commanders) {
     for (const name of parsedDeck.commanders) {
@@ -196,34 +245,15 @@ export function formatDeckForMpc(parsedDeck) {
  * Format changelog as Reddit-flavored markdown.
  */
 function formatRedditCardsByType(cards, typeMap, lineFormatter) {
-  if (!typeMap || typeMap.size === 0) {
-    return cards.map(lineFormatter).join('');
-  }
-
-  const TYPE_ORDER = ['Creature', 'Planeswalker', 'Battle', 'Instant', 'Sorcery', 'Artifact', 'Enchantment', 'Land', 'Other'];
-  const groups = new Map();
-
-  for (const card of cards) {
-    const type = resolveType(typeMap, card.name);
-    if (!groups.has(type)) groups.set(type, []);
-    groups.get(type).push(card);
-  }
-
-  let text = '';
-  for (const type of TYPE_ORDER) {
-    const group = groups.get(type);
-    if (!group || group.length === 0) continue;
-    group.sort((a, b) => a.name.localeCompare(b.name));
-    text += `\n*${type}:*\n\n`;
-    text += group.map(lineFormatter).join('');
-  }
-  return text;
+  return groupCardsByType(cards, typeMap)
+    .map(({ type, cards: group }) => (type ? `\n*${type}:*\n\n` : '') + group.map(lineFormatter).join(''))
+    .join('');
 }
 
 function formatRedditSection(title, section, typeMap) {
-  const { cardsIn, cardsOut, quantityChanges, printingChanges = [] } = section;
+  const { cardsIn, cardsOut, quantityChanges, printingChanges = [], categoryChanges = [] } = section;
 
-  if (cardsIn.length === 0 && cardsOut.length === 0 && quantityChanges.length === 0 && printingChanges.length === 0) {
+  if (cardsIn.length === 0 && cardsOut.length === 0 && quantityChanges.length === 0 && printingChanges.length === 0 && categoryChanges.length === 0) {
     return '';
   }
 
@@ -258,6 +288,14 @@ function formatRedditSection(title, section, typeMap) {
     text += '\n';
   }
 
+  if (categoryChanges.length > 0) {
+    text += '**Category Moves:**\n';
+    text += formatRedditCardsByType(categoryChanges, typeMap, card => {
+      return `- [[${card.name}]]: ${card.oldCategory} \u2192 ${card.newCategory}\n`;
+    });
+    text += '\n';
+  }
+
   return text;
 }
 
@@ -269,6 +307,12 @@ export function formatReddit(diffResult, typeMap) {
   if (diffResult.hasSideboard) {
     output += formatRedditSection('Sideboard', diffResult.sideboard, typeMap);
   }
+  if (diffResult.hasCompanions) {
+    output += formatRedditSection('Companion', diffResult.companions, typeMap);
+  }
+  if (diffResult.hasMaybeboard) {
+    output += formatRedditSection('Maybeboard', diffResult.maybeboard, typeMap);
+  }
 
   return output.trim();
 }
@@ -298,13 +342,17 @@ function buildMetadataLookup(parsed) {
 
   addEntries(parsed.mainboard);
   addEntries(parsed.sideboard);
+  addEntries(parsed.companions);
+  addEntries(parsed.maybeboard);
   return lookup;
 }
 
 /**
  * Format a deck list text for Archidekt import.
  * Commander cards get an inline "[Commander{top}]" tag so Archidekt
- * auto-assigns them to the command zone on import.
+ * auto-assigns them to the command zone on import; companion and maybeboard
+ * cards get "[Companion]" / "[Maybeboard{noDeck}{noPrice}]" the same way, and
+ * mainboard cards with a recorded category (// Category: lines) get "[Ramp]".
  * Converts "Sideboard" header to "# Sideboard".
  *
  * When beforeText is provided, cards in the after text that lack printing
@@ -374,39 +422,51 @@ export function formatForArchidekt(text, commanders = [], beforeText = null) {
     return result;
   }
 
-  function formatLine(qty, displayName, setCode, collectorNumber, isFoil) {
+  function formatLine(qty, displayName, setCode, collectorNumber, isFoil, categoryTag) {
     let line = `${qty}x ${displayName}`;
     if (setCode) line += ` (${setCode})`;
     if (collectorNumber) line += ` ${collectorNumber}`;
     if (isFoil) line += ` *F*`;
-    if (allCommanders.has(displayName.toLowerCase())) {
+    if (categoryTag) {
+      line += ` ${categoryTag}`;
+    } else if (allCommanders.has(displayName.toLowerCase())) {
       line += ` [Commander{top}]`;
     }
     return line;
   }
 
-  function formatEntry(entry) {
+  function formatEntry(entry, categoryTag = null) {
     // If the entry already has metadata, use it directly
     if (entry.setCode || entry.collectorNumber) {
-      return [formatLine(entry.quantity, entry.displayName, entry.setCode, entry.collectorNumber, entry.isFoil)];
+      return [formatLine(entry.quantity, entry.displayName, entry.setCode, entry.collectorNumber, entry.isFoil, categoryTag)];
     }
 
     // Try carry-forward from beforeText
     const beforeMeta = getBeforeMetadata(entry);
     if (beforeMeta) {
       return beforeMeta.map(m =>
-        formatLine(m.quantity, entry.displayName, m.setCode, m.collectorNumber, m.isFoil)
+        formatLine(m.quantity, entry.displayName, m.setCode, m.collectorNumber, m.isFoil, categoryTag)
       );
     }
 
     // No metadata available — output bare name
-    return [formatLine(entry.quantity, entry.displayName, '', '', false)];
+    return [formatLine(entry.quantity, entry.displayName, '', '', false, categoryTag)];
   }
 
   const result = [];
 
   for (const [, entry] of parsed.mainboard) {
-    result.push(...formatEntry(entry));
+    const nameLower = entry.displayName.toLowerCase();
+    const category = allCommanders.has(nameLower) ? null : parsed.categories.get(nameLower);
+    result.push(...formatEntry(entry, category ? `[${category}]` : null));
+  }
+
+  for (const [, entry] of parsed.companions) {
+    result.push(...formatEntry(entry, '[Companion]'));
+  }
+
+  for (const [, entry] of parsed.maybeboard) {
+    result.push(...formatEntry(entry, '[Maybeboard{noDeck}{noPrice}]'));
   }
 
   if (parsed.sideboard.size > 0) {
@@ -442,7 +502,9 @@ export function formatArchidektCSV(text, commanders = []) {
     for (const [, entry] of map) {
       const name = entry.displayName.includes(',') ? `"${entry.displayName}"` : entry.displayName;
       const isCommander = allCommanders.has(entry.displayName.toLowerCase());
-      const category = isCommander ? 'Commander' : sectionCategory;
+      const category = isCommander
+        ? 'Commander'
+        : (sectionCategory || parsed.categories.get(entry.displayName.toLowerCase()) || '');
       const modifier = entry.isFoil ? 'Foil' : 'Normal';
       // Archidekt column order: quantity, card name, edition name, edition code,
       // category, secondary categories, label, modifier, collector number,
@@ -472,6 +534,8 @@ export function formatArchidektCSV(text, commanders = []) {
 
   addEntries(parsed.mainboard, '');
   addEntries(parsed.sideboard, 'Sideboard');
+  addEntries(parsed.companions, 'Companion');
+  addEntries(parsed.maybeboard, 'Maybeboard');
 
   return rows.join('\n');
 }
@@ -515,7 +579,8 @@ export function formatTTS(text, cardMap, commanders = []) {
     }
   }
 
-  // Commanders first, then mainboard, then sideboard
+  // Commanders first, then mainboard, then sideboard, then companions (the
+  // maybeboard isn't part of the deck on the table)
   const commanderSet = new Set([
     ...commanderList.map(c => c.toLowerCase()),
     ...parsed.commanders.map(c => c.toLowerCase()),
@@ -535,6 +600,7 @@ export function formatTTS(text, cardMap, commanders = []) {
   addEntries(cmdCards);
   addEntries(mainCards);
   addEntries(parsed.sideboard);
+  addEntries(parsed.companions);
 
   if (deckCards.length === 0) return '';
 
@@ -600,23 +666,66 @@ export function formatTTS(text, cardMap, commanders = []) {
  * Format diff as structured JSON for data export.
  */
 export function formatJSON(diffResult) {
-  const { mainboard, sideboard, hasSideboard, commanders } = diffResult;
+  const { mainboard, sideboard, companions, maybeboard, hasSideboard, hasCompanions, hasMaybeboard, commanders } = diffResult;
+  const sectionJSON = (section) => ({
+    cardsIn: section.cardsIn,
+    cardsOut: section.cardsOut,
+    quantityChanges: section.quantityChanges,
+    printingChanges: section.printingChanges || [],
+    categoryChanges: section.categoryChanges || [],
+  });
   return JSON.stringify({
     commanders,
     timestamp: new Date().toISOString(),
-    mainboard: {
-      cardsIn: mainboard.cardsIn,
-      cardsOut: mainboard.cardsOut,
-      quantityChanges: mainboard.quantityChanges,
-      printingChanges: mainboard.printingChanges || [],
-    },
-    ...(hasSideboard ? {
-      sideboard: {
-        cardsIn: sideboard.cardsIn,
-        cardsOut: sideboard.cardsOut,
-        quantityChanges: sideboard.quantityChanges,
-        printingChanges: sideboard.printingChanges || [],
-      },
-    } : {}),
+    mainboard: sectionJSON(mainboard),
+    ...(hasSideboard ? { sideboard: sectionJSON(sideboard) } : {}),
+    ...(hasCompanions ? { companions: sectionJSON(companions) } : {}),
+    ...(hasMaybeboard ? { maybeboard: sectionJSON(maybeboard) } : {}),
   }, null, 2);
 }
+
+/**
+ * The quantity most lists agree on for a matrix row (ties go to the larger
+ * count), ignoring lists that leave the card out.
+ */
+function consensusQuantity(quantities) {
+  const tally = new Map();
+  for (const qty of quantities) {
+    if (qty > 0) tally.set(qty, (tally.get(qty) || 0) + 1);
+  }
+  let best = 0;
+  let bestVotes = 0;
+  for (const [qty, votes] of tally) {
+    if (votes > bestVotes || (votes === bestVotes && qty > best)) {
+      best = qty;
+      bestVotes = votes;
+    }
+  }
+  return best;
+}
+
+/**
+ * Build a deck list of every card included in at least `minLists` lists of a
+ * computePresenceMatrix() result, at its consensus quantity. The output is
+ * plain deck text (Commander / Companion / main / Sideboard), so it can be fed
+ * to formatForArchidekt(), formatArchidektCSV() or formatTTS() like any list.
+ */
+export function formatConsensus(matrix, minLists) {
+  const pick = (rows) => rows
+    .filter(row => row.count >= minLists)
+    .map(row => ({ ...row, quantity: consensusQuantity(row.quantities) }));
+  const line = (row) => `${row.quantity} ${row.name}`;
+
+  const main = pick(matrix.mainboard);
+  const commanderLines = main.filter(row => row.isCommander).map(line);
+  const mainLines = main.filter(row => !row.isCommander).map(line);
+  const companionLines = matrix.hasCompanions ? pick(matrix.companions).map(line) : [];
+  const sideLines = matrix.hasSideboard ? pick(matrix.sideboard).map(line) : [];
+
+  let text = '';
+  if (commanderLines.length > 0) text += 'Commander\n' + commanderLines.join('\n') + '\n\n';
+  if (companionLines.length > 0) text += 'Companion\n' + companionLines.join('\n') + '\n\n';
+  text += mainLines.join('\n');
+  if (sideLines.length > 0) text += '\n\nSideboard\n' + sideLines.join('\n');
+  return text.trim();
+}
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { formatChangelog, formatMpcFill, formatReddit, formatJSON, formatArchidektCSV, formatForArchidekt, formatTTS } from './formatter.js';
+import { formatChangelog, formatMpcFill, formatReddit, formatJSON, formatArchidektCSV, formatForArchidekt, formatTTS, formatConsensus, groupCardsByType } from './formatter.js';
 
 // Lock Date.now so timestamps are deterministic
 const FAKE_NOW = new Date('2025-06-15T14:30:00Z');
@@ -65,6 +65,41 @@ describe('formatChangelog()', () => {
     expect(text).toContain('Thrasios, Triton Hero / Vial Smasher the Fierce');
   });
 
+  it('renders Companion and Maybeboard sections only when present', () => {
+    const diff = {
+      ...makeDiff({ mainIn: [CARD_IN] }),
+      companions: { cardsIn: [{ name: 'Lurrus of the Dream-Den', quantity: 1 }], cardsOut: [], quantityChanges: [] },
+      maybeboard: { cardsIn: [{ name: 'Mana Crypt', quantity: 1 }], cardsOut: [], quantityChanges: [] },
+      hasCompanions: true,
+      hasMaybeboard: true,
+    };
+    const text = formatChangelog(diff);
+    expect(text.indexOf('Companion')).toBeGreaterThan(text.indexOf('Lightning Bolt'));
+    expect(text).toContain('Lurrus of the Dream-Den');
+    expect(text.indexOf('Maybeboard')).toBeGreaterThan(text.indexOf('Lurrus'));
+    expect(formatChangelog(makeDiff({ mainIn: [CARD_IN] }))).not.toContain('Maybeboard');
+  });
+
+  it('lists category moves in their own group', () => {
+    const diff = makeDiff();
+    diff.mainboard.categoryChanges = [{ name: 'Sol Ring', quantity: 1, oldCategory: 'Ramp', newCategory: 'Removal' }];
+    const text = formatChangelog(diff);
+    expect(text).toContain('--- Category Moves ---');
+    expect(text).toContain('> Sol Ring: Ramp \u2192 Removal');
+    expect(text).not.toContain('No changes.');
+  });
+
+  it('lists printing swaps with their price delta when priced', () => {
+    const diff = makeDiff();
+    diff.mainboard.printingChanges = [
+      { name: 'Sol Ring', quantity: 1, oldSetCode: 'c21', oldCollectorNumber: '263', oldIsFoil: false, newSetCode: 'sld', newCollectorNumber: '1011', newIsFoil: true, priceDelta: 12.5 },
+      { name: 'Arcane Signet', quantity: 1, oldSetCode: 'c21', oldCollectorNumber: '', oldIsFoil: false, newSetCode: 'cmm', newCollectorNumber: '', newIsFoil: false },
+    ];
+    const text = formatChangelog(diff);
+    expect(text).toContain('~ 1 Sol Ring: (C21) #263 \u2192 (SLD) #1011 \u2726 (+$12.50)');
+    expect(text).toMatch(/~ 1 Arcane Signet: \(C21\) \u2192 \(CMM\)$/m);
+  });
+
   it('says "Deck Changelog" when no commanders', () => {
     const diff = makeDiff({ mainIn: [CARD_IN] });
     const text = formatChangelog(diff);
@@ -149,6 +184,24 @@ describe('formatChangelog()', () => {
 // formatMpcFill
 // ═══════════════════════════════════════════════════════════════════
 
+describe('groupCardsByType()', () => {
+  it('groups in canonical type order, sorted by name', () => {
+    const typeMap = new Map([['sol ring', 'Artifact'], ['llanowar elves', 'Creature'], ['elvish mystic', 'Creature']]);
+    const groups = groupCardsByType(
+      [{ name: 'Sol Ring' }, { name: 'Llanowar Elves' }, { name: 'Elvish Mystic' }, { name: 'Mystery Card' }],
+      typeMap
+    );
+    expect(groups.map(g => g.type)).toEqual(['Creature', 'Artifact', 'Other']);
+    expect(groups[0].cards.map(c => c.name)).toEqual(['Elvish Mystic', 'Llanowar Elves']);
+  });
+
+  it('returns one untitled group without type data', () => {
+    const cards = [{ name: 'B' }, { name: 'A' }];
+    expect(groupCardsByType(cards, new Map())).toEqual([{ type: null, cards }]);
+    expect(groupCardsByType([], null)).toEqual([]);
+  });
+});
+
 describe('formatMpcFill()', () => {
   it('includes fully new cards', () => {
     const diff = makeDiff({ mainIn: [CARD_IN] });
@@ -455,6 +508,21 @@ describe('formatForArchidekt', () => {
     expect(lines[lines.length - 1]).toBe('1x Fatal Push (2xm) 69');
   });
 
+  it('tags mainboard cards with their recorded category, but never over the commander tag', () => {
+    const text = 'Commander\n1 Sauron, the Dark Lord (ltr) [675]\n\n// Category: Ramp\n1 Sol Ring (ltc) [284]';
+    const lines = formatForArchidekt(text).split('\n');
+    expect(lines).toContain('1x Sauron, the Dark Lord (ltr) 675 [Commander{top}]');
+    expect(lines).toContain('1x Sol Ring (ltc) 284 [Ramp]');
+  });
+
+  it('tags companion and maybeboard cards with their Archidekt categories', () => {
+    const text = 'Companion\n1 Lurrus of the Dream-Den (iko) [226]\n\n1 Sol Ring (ltc) [284]\n\nMaybeboard\n1 Mana Crypt';
+    const lines = formatForArchidekt(text).split('\n');
+    expect(lines).toContain('1x Lurrus of the Dream-Den (iko) 226 [Companion]');
+    expect(lines).toContain('1x Mana Crypt [Maybeboard{noDeck}{noPrice}]');
+    expect(lines).toContain('1x Sol Ring (ltc) 284');
+  });
+
   it('handles cards without set or collector number', () => {
     const result = formatForArchidekt('3 Nazgul');
     expect(result).toBe('3x Nazgul');
@@ -575,3 +643,39 @@ describe('formatTTS', () => {
     expect(deckEntry.FaceURL).toBe('https://cards.scryfall.io/normal/bolt.jpg');
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════
+// formatConsensus
+// ═══════════════════════════════════════════════════════════════════
+
+describe('formatConsensus()', () => {
+  const matrix = {
+    listCount: 4,
+    mainboard: [
+      { name: 'Atraxa, Praetors\' Voice', quantities: [1, 1, 1, 1], count: 4, isCommander: true },
+      { name: 'Sol Ring', quantities: [1, 1, 1, 1], count: 4 },
+      { name: 'Lightning Bolt', quantities: [4, 3, 3, 0], count: 3 },
+      { name: 'Counterspell', quantities: [2, 4, 0, 0], count: 2 },
+      { name: 'Island', quantities: [0, 0, 0, 9], count: 1 },
+    ],
+    sideboard: [{ name: 'Pyroblast', quantities: [1, 0, 1, 1], count: 3 }],
+    companions: [],
+    hasSideboard: true,
+    hasCompanions: false,
+  };
+
+  it('keeps cards in at least K lists at the most common quantity', () => {
+    expect(formatConsensus(matrix, 3)).toBe(
+      "Commander\n1 Atraxa, Praetors' Voice\n\n1 Sol Ring\n3 Lightning Bolt\n\nSideboard\n1 Pyroblast"
+    );
+  });
+
+  it('breaks quantity ties toward the larger count', () => {
+    expect(formatConsensus(matrix, 2)).toContain('4 Counterspell');
+  });
+
+  it('returns every card at K = 1 and nothing when no card reaches K', () => {
+    expect(formatConsensus(matrix, 1)).toContain('9 Island');
+    expect(formatConsensus({ ...matrix, mainboard: [], sideboard: [] }, 1)).toBe('');
+  });
+});
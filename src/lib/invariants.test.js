@@ -10,8 +10,11 @@ import { fileURLToPath } from 'node:url';
 import { join } from 'node:path';
 import { CARD_LINE_PATTERN, LINE_PATTERNS } from './constants.js';
 import { parse } from './parser.js';
-import { _archidektToText } from './fetcher.js';
-import { archidektToText as serverArchidektToText } from '../../server/lib/deckToText.js';
+import { _archidektToText, _moxfieldToText } from './fetcher.js';
+import {
+  archidektToText as serverArchidektToText,
+  moxfieldToText as serverMoxfieldToText,
+} from '../../server/lib/deckToText.js';
 
 const ROOT = fileURLToPath(new URL('../../', import.meta.url));
 const read = (rel) => readFileSync(join(ROOT, rel), 'utf8');
@@ -235,6 +238,7 @@ describe('invariant: archidektToText client/server mirror', () => {
       { card: { name: 'Considering Sideboard' }, quantity: 1, categories: ['Sideboard', 'Considering'] },
       { card: { name: 'Island' }, quantity: 10, categories: [] },
       { card: { name: 'No Category Card' }, quantity: 1 },
+      { card: { name: 'Sol Ring' }, quantity: 1, categories: [{ name: 'Ramp' }, 'Artifacts'] },
     ],
   };
 
@@ -245,17 +249,69 @@ describe('invariant: archidektToText client/server mirror', () => {
     expect(server.commanders).toEqual(client.commanders);
   });
 
+  it('records each mainboard card\'s own category as "// Category:" groups on both sides', () => {
+    const client = _archidektToText(ARCHIDEKT_FIXTURE);
+    const server = serverArchidektToText(ARCHIDEKT_FIXTURE);
+    for (const out of [client, server]) {
+      const parsed = parse(out.text);
+      expect(parsed.categories.get('lightning bolt')).toBe('Instants');
+      expect(parsed.categories.get('sol ring')).toBe('Ramp');
+      expect(parsed.categories.has('island')).toBe(false);
+      expect(parsed.categories.has('fatal push')).toBe(false);
+    }
+  });
+
   it('maybeboard wins over board categories on both sides', () => {
     const client = _archidektToText(ARCHIDEKT_FIXTURE);
     const server = serverArchidektToText(ARCHIDEKT_FIXTURE);
     for (const out of [client, server]) {
-      expect(out.text).not.toContain('Maybe Commander');
-      expect(out.text).not.toContain('Considering Sideboard');
+      const parsed = parse(out.text);
+      const names = (section) => [...section.values()].map(e => e.displayName);
+      expect(names(parsed.maybeboard)).toEqual(expect.arrayContaining(['Maybe Commander', 'Considering Sideboard']));
+      expect(names(parsed.mainboard)).not.toContain('Maybe Commander');
+      expect(names(parsed.sideboard)).not.toContain('Considering Sideboard');
       expect(out.commanders).not.toContain('Maybe Commander');
     }
   });
 });
 
+// ---------------------------------------------------------------------------
+// Invariant: moxfieldToText mirror (client fetcher.js vs server deckToText.js)
+// ---------------------------------------------------------------------------
+// Same contract as archidektToText: the server copy feeds tracked-deck
+// snapshots, so any drift shows up as a phantom diff on the next refresh.
+describe('invariant: moxfieldToText client/server mirror', () => {
+  const MOXFIELD_FIXTURE = {
+    name: 'Mirror Test',
+    boards: {
+      commanders: { cards: { a: { quantity: 1, card: { name: 'Kenrith, the Returned King', set: 'eld', cn: '303' } } } },
+      companions: { cards: { b: { quantity: 1, card: { name: 'Jegantha, the Wellspring', set: 'iko', cn: '222' } } } },
+      mainboard: {
+        cards: {
+          c: { quantity: 4, card: { name: 'Lightning Bolt', set: 'm10', cn: '146' }, finish: 'foil' },
+          d: { quantity: 1, card: { name: 'Sol Ring', set: 'c21', cn: '263' }, isFoil: true },
+          e: { quantity: 10, card: { name: 'Mountain' } },
+        },
+      },
+      sideboard: { cards: { f: { quantity: 2, card: { name: 'Fatal Push', set: '2xm', cn: '69' }, finish: 'etched' } } },
+      maybeboard: { cards: { g: { quantity: 1, card: { name: 'Skipped Maybe' } } } },
+      attractions: { cards: { h: { quantity: 1, card: { name: 'Unknown Board Card' } } } },
+    },
+  };
+
+  it('produces identical text and commanders on both sides', () => {
+    const client = _moxfieldToText(MOXFIELD_FIXTURE);
+    const server = serverMoxfieldToText(MOXFIELD_FIXTURE);
+    expect(server.text).toEqual(client.text);
+    expect(server.commanders).toEqual(client.commanders);
+    const parsed = parse(server.text);
+    const names = (section) => [...section.values()].map(e => e.displayName);
+    expect(names(parsed.maybeboard)).toEqual(['Skipped Maybe']);
+    expect(names(parsed.companions)).toEqual(['Jegantha, the Wellspring']);
+    expect(names(parsed.mainboard)).not.toContain('Jegantha, the Wellspring');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Invariant: version bookkeeping
 // ---------------------------------------------------------------------------
@@ -339,11 +395,24 @@ describe('invariant: docs/INVARIANTS.md content anchors resolve', () => {
     ['src/lib/scryfall.js', 'collectCardIdentifiers'],
     ['src/lib/fetcher.js', 'archidektToText'],
     ['server/lib/deckToText.js', 'archidektToText'],
+    ['src/lib/fetcher.js', 'moxfieldToText'],
+    ['server/lib/deckToText.js', 'moxfieldToText'],
+    ['server/lib/pruneSnapshots.js', 'selectSnapshotsToPrune'],
+    ['server/lib/snapshotStore.js', 'resolveSnapshotTexts'],
+    ['server/lib/snapshotStore.js', 'withDeckText'],
+    ['server/lib/snapshotStore.js', 'deleteSnapshots'],
     ['server/db.js', 'export function persist'],
+    ['server/db.js', 'function loadDatabase'],
+    ['server/db.js', 'function openFileDatabase'],
+    ['server/db.js', 'function openEngine'],
     ['server/db.js', 'export function run'],
     ['server/middleware/auth.js', 'invalidateAuthCache'],
     ['server/middleware/auth.js', 'invalidateAllAuthCache'],
     ['server/middleware/auth.js', 'password_changed_at'],
+    ['server/routes/embed.js', 'embedHeaders'],
+    ['server/lib/accessTokens.js', 'TOKEN_ROUTES'],
+    ['server/lib/openapi.js', 'OPERATIONS'],
+    ['server/lib/webhooks.js', 'emitSnapshotEvents'],
     ['src/App.jsx', 'APP_VERSION'],
     ['src/App.jsx', 'WHATS_NEW'],
     ['src/components/GuidePage.jsx', 'SECTIONS'],
@@ -0,0 +1,221 @@
+/**
+ * Format legality checker.
+ *
+ * Card legality comes from Scryfall's per-format `legalities` (carried in card
+ * metadata from fetchCardData / the server's fetchCardMetadata); the deck-
+ * construction rules — deck size, copy limit, singleton, sideboard size, and
+ * Commander's color identity and pairings (colorIdentity.js) — are enforced
+ * here. Pure: shared by the deck page (via the server) and the compare view
+ * (client-side), so both report the same issues.
+ *
+ * A card with no legality data (not found on Scryfall, or metadata fetched
+ * before legalities were cached) is reported as `unknown`, never as illegal —
+ * except in Commander, where the hand-maintained COMMANDER_BANNED list still
+ * catches bans offline.
+ */
+
+import { isBannedInCommander } from './edhrec.js';
+import { checkColorIdentity } from './colorIdentity.js';
+
+/**
+ * Construction rules per format. `copies` is the per-name limit across main,
+ * sideboard and companion; `maxSideboard` counts the companion too (it lives
+ * in the sideboard), except in Commander where it sits outside the 100.
+ */
+export const LEGALITY_FORMATS = [
+  { id: 'standard', label: 'Standard', minMain: 60, copies: 4, maxSideboard: 15 },
+  { id: 'pioneer', label: 'Pioneer', minMain: 60, copies: 4, maxSideboard: 15 },
+  { id: 'modern', label: 'Modern', minMain: 60, copies: 4, maxSideboard: 15 },
+  { id: 'legacy', label: 'Legacy', minMain: 60, copies: 4, maxSideboard: 15 },
+  { id: 'pauper', label: 'Pauper', minMain: 60, copies: 4, maxSideboard: 15 },
+  { id: 'commander', label: 'Commander', exactMain: 100, copies: 1, maxSideboard: 0, needsCommander: true },
+];
+
+const FORMAT_BY_ID = new Map(LEGALITY_FORMATS.map(f => [f.id, f]));
+
+/** The Scryfall legality keys this module reads — callers trim metadata to these. */
+export const LEGALITY_FORMAT_IDS = LEGALITY_FORMATS.map(f => f.id);
+
+const BASIC_LANDS = new Set([
+  'plains', 'island', 'swamp', 'mountain', 'forest', 'wastes',
+  'snow-covered plains', 'snow-covered island', 'snow-covered swamp',
+  'snow-covered mountain', 'snow-covered forest', 'snow-covered wastes',
+]);
+
+// "A deck can have any number of cards named …" (or up to N). Infinity = no cap.
+const COPY_LIMIT_EXCEPTIONS = new Map([
+  ['relentless rats', Infinity],
+  ['rat colony', Infinity],
+  ['persistent petitioners', Infinity],
+  ['shadowborn apostle', Infinity],
+  ["dragon's approach", Infinity],
+  ['slime against humanity', Infinity],
+  ['templar knight', Infinity],
+  ['hare apparent', Infinity],
+  ['cid, timeless artificer', Infinity],
+  ['seven dwarves', 7],
+  ['nazgul', 9],
+]);
+
+// Front face, lowercased, accent-insensitive — "Nazgûl" and "nazgul" are one card
+function nameKey(name) {
+  const lower = (name || '').toLowerCase().trim();
+  const slash = lower.indexOf(' // ');
+  const front = slash !== -1 ? lower.slice(0, slash) : lower;
+  return front.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function copyLimit(key, format) {
+  if (BASIC_LANDS.has(key)) return Infinity;
+  return COPY_LIMIT_EXCEPTIONS.get(key) ?? format.copies;
+}
+
+/** Legality status of one card in one format: 'legal' | 'not_legal' | 'banned' | 'restricted' | 'unknown'. */
+export function cardLegality(name, formatId, cardData) {
+  const lower = (name || '').toLowerCase();
+  const slash = lower.indexOf(' // ');
+  const data = cardData?.get(lower) || (slash !== -1 ? cardData?.get(lower.slice(0, slash)) : undefined);
+  const status = data?.legalities?.[formatId];
+  if (status) return status;
+  if (formatId === 'commander' && isBannedInCommander(nameKey(name))) return 'banned';
+  return 'unknown';
+}
+
+function sumQuantities(section) {
+  let n = 0;
+  for (const entry of section?.values() || []) n += entry.quantity;
+  return n;
+}
+
+/**
+ * Check a parsed deck against one format.
+ * @param {object} parsed - parse() result
+ * @param {Map<string, { legalities?: Object<string, string> }>} cardData - keyed by lowercased name
+ * @param {string} formatId - one of LEGALITY_FORMAT_IDS
+ * @param {{ commanders?: string[] }} [opts] - `commanders` overrides parsed.commanders
+ * @returns {{ format: string, label: string, legal: boolean, issues: Array<{ rule: string, card?: string, message: string }>, unknown: string[] }}
+ */
+export function checkLegality(parsed, cardData, formatId, { commanders } = {}) {
+  const format = FORMAT_BY_ID.get(formatId);
+  if (!format) throw new Error(`Unknown format: ${formatId}`);
+
+  const issues = [];
+  const unknown = [];
+
+  // Total copies per card name across every board that counts toward the deck
+  const copies = new Map();
+  for (const section of [parsed.mainboard, parsed.sideboard, parsed.companions]) {
+    for (const entry of section?.values() || []) {
+      const key = nameKey(entry.displayName);
+      const existing = copies.get(key);
+      if (existing) existing.quantity += entry.quantity;
+      else copies.set(key, { name: entry.displayName, quantity: entry.quantity });
+    }
+  }
+
+  for (const [key, { name, quantity }] of copies) {
+    const status = cardLegality(name, format.id, cardData);
+    if (status === 'banned') {
+      issues.push({ rule: 'banned', card: name, message: `${name} is banned in ${format.label}` });
+    } else if (status === 'not_legal') {
+      issues.push({ rule: 'not_legal', card: name, message: `${name} is not legal in ${format.label}` });
+    } else if (status === 'restricted' && quantity > 1) {
+      issues.push({ rule: 'restricted', card: name, message: `${name} is restricted to 1 copy in ${format.label}` });
+    } else if (status === 'unknown') {
+      unknown.push(name);
+    }
+
+    const limit = copyLimit(key, format);
+    if (quantity > limit) {
+      issues.push({
+        rule: format.copies === 1 ? 'singleton' : 'copies',
+        card: name,
+        message: format.copies === 1 && limit === 1
+          ? `${name}: ${quantity} copies in a singleton format`
+          : `${name}: ${quantity} copies (max ${limit})`,
+      });
+    }
+  }
+
+  // Commanders are merged into the mainboard by the parser, so this is the 100
+  const mainCount = sumQuantities(parsed.mainboard);
+  if (format.exactMain && mainCount !== format.exactMain) {
+    issues.push({ rule: 'deck_size', message: `Deck has ${mainCount} cards (needs exactly ${format.exactMain})` });
+  } else if (format.minMain && mainCount < format.minMain) {
+    issues.push({ rule: 'deck_size', message: `Mainboard has ${mainCount} cards (needs at least ${format.minMain})` });
+  }
+
+  const sideCount = sumQuantities(parsed.sideboard) + (format.needsCommander ? 0 : sumQuantities(parsed.companions));
+  if (sideCount > format.maxSideboard) {
+    issues.push({
+      rule: 'sideboard_size',
+      message: format.maxSideboard === 0
+        ? `${format.label} has no sideboard (${sideCount} cards found)`
+        : `Sideboard has ${sideCount} cards (max ${format.maxSideboard})`,
+    });
+  }
+
+  if (format.needsCommander) {
+    const identity = checkColorIdentity(parsed, cardData, commanders?.length ? commanders : parsed.commanders);
+    if (!identity) {
+      issues.push({ rule: 'commander', message: 'No commander designated' });
+    } else {
+      if (identity.pairingProblem) {
+        issues.push({ rule: 'commander_pairing', message: identity.pairingProblem });
+      }
+      for (const v of identity.violations) {
+        issues.push({
+          rule: 'color_identity',
+          card: v.name,
+          message: `${v.name} is outside the commander's color identity (${v.offColors.join('')})`,
+        });
+      }
+    }
+  }
+
+  return { format: format.id, label: format.label, legal: issues.length === 0, issues, unknown };
+}
+
+/** checkLegality() for every supported format, in LEGALITY_FORMATS order. */
+export function checkAllFormats(parsed, cardData, opts) {
+  return LEGALITY_FORMATS.map(f => checkLegality(parsed, cardData, f.id, opts));
+}
+
+function issueKey(issue) {
+  return `${issue.rule}|${nameKey(issue.card)}`;
+}
+
+/**
+ * Issues present after a change that were not present before it — what the
+ * diff broke. Both arguments are checkAllFormats() results for the same formats.
+ * `madeIllegal` marks formats the deck was legal in before the change.
+ * @returns {Array<{ format: string, label: string, madeIllegal: boolean, issues: object[] }>}
+ */
+export function introducedIssues(beforeResults, afterResults) {
+  const beforeByFormat = new Map(beforeResults.map(r => [r.format, r]));
+  const broken = [];
+  for (const result of afterResults) {
+    const before = beforeByFormat.get(result.format);
+    const beforeKeys = new Set((before?.issues || []).map(issueKey));
+    const issues = result.issues.filter(i => !beforeKeys.has(issueKey(i)));
+    if (issues.length > 0) {
+      broken.push({ format: result.format, label: result.label, madeIllegal: Boolean(before?.legal), issues });
+    }
+  }
+  return broken;
+}
+
+/** The format a deck most likely targets: Commander when it names a commander, else null. */
+export function guessFormat(parsed, { commanders } = {}) {
+  return (commanders?.length || parsed.commanders?.length) ? 'commander' : null;
+}
+
+/** Trim Scryfall's full legalities object to the formats checked here. */
+export function pickLegalities(legalities) {
+  if (!legalities) return undefined;
+  const picked = {};
+  for (const id of LEGALITY_FORMAT_IDS) {
+    if (legalities[id]) picked[id] = legalities[id];
+  }
+  return picked;
+}
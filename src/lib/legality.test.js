@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { checkLegality, checkAllFormats, introducedIssues, cardLegality, pickLegalities } from './legality.js';
+import { parse } from './parser.js';
+
+const legal = { standard: 'legal', pioneer: 'legal', modern: 'legal', legacy: 'legal', pauper: 'legal', commander: 'legal' };
+
+function cardData(overrides = {}) {
+  const map = new Map();
+  for (const name of ['lightning bolt', 'island', 'sol ring', 'relentless rats', 'nazgûl', 'counterspell']) {
+    map.set(name, { legalities: { ...legal } });
+  }
+  map.set('lightning bolt', { legalities: { ...legal, standard: 'not_legal', pioneer: 'not_legal' } });
+  map.set('sol ring', { legalities: { ...legal, modern: 'not_legal', legacy: 'banned', pauper: 'not_legal', standard: 'not_legal', pioneer: 'not_legal' } });
+  for (const [name, legalities] of Object.entries(overrides)) map.set(name, { legalities });
+  return map;
+}
+
+const sixty = (extra = '') => `4 Lightning Bolt\n56 Island\n${extra}`;
+const issueRules = result => result.issues.map(i => `${i.rule}:${i.card || ''}`);
+
+describe('checkLegality', () => {
+  it('accepts a 60-card deck of legal cards', () => {
+    const result = checkLegality(parse(sixty()), cardData(), 'modern');
+    expect(result).toMatchObject({ format: 'modern', legal: true, issues: [], unknown: [] });
+  });
+
+  it('flags cards Scryfall reports as banned or not legal', () => {
+    const deck = parse(sixty('1 Sol Ring'));
+    expect(issueRules(checkLegality(deck, cardData(), 'legacy'))).toEqual(['banned:Sol Ring']);
+    expect(issueRules(checkLegality(deck, cardData(), 'standard'))).toEqual(['not_legal:Lightning Bolt', 'not_legal:Sol Ring']);
+  });
+
+  it('enforces the copy limit across boards, exempting basics and any-number cards', () => {
+    const deck = parse('3 Lightning Bolt\n20 Relentless Rats\n40 Island\n\nSideboard\n2 Lightning Bolt');
+    const result = checkLegality(deck, cardData(), 'modern');
+    expect(result.issues).toEqual([
+      { rule: 'copies', card: 'Lightning Bolt', message: 'Lightning Bolt: 5 copies (max 4)' },
+    ]);
+  });
+
+  it('checks mainboard minimum and sideboard maximum', () => {
+    const deck = parse('4 Lightning Bolt\n50 Island\n\nSideboard\n16 Island');
+    expect(issueRules(checkLegality(deck, cardData(), 'modern'))).toEqual(['deck_size:', 'sideboard_size:']);
+  });
+
+  it('requires exactly 100 singleton cards and a commander in Commander', () => {
+    const ok = parse('Commander\n1 Nazgûl\n\nDeck\n8 Nazgul\n1 Sol Ring\n90 Island');
+    expect(checkLegality(ok, cardData(), 'commander').legal).toBe(true);
+
+    const bad = parse('2 Sol Ring\n90 Island');
+    expect(issueRules(checkLegality(bad, cardData(), 'commander'))).toEqual(['singleton:Sol Ring', 'deck_size:', 'commander:']);
+  });
+
+  it('reports cards without legality data as unknown rather than illegal', () => {
+    const result = checkLegality(parse(sixty('1 Mystery Card')), cardData(), 'modern');
+    expect(result.legal).toBe(true);
+    expect(result.unknown).toEqual(['Mystery Card']);
+  });
+
+  it('falls back to the hand-maintained ban list in Commander', () => {
+    expect(cardLegality('Mana Crypt', 'commander', new Map())).toBe('banned');
+    expect(cardLegality('Mana Crypt', 'modern', new Map())).toBe('unknown');
+  });
+});
+
+describe('introducedIssues', () => {
+  it('reports only issues the change added, marking formats it took from legal to illegal', () => {
+    const data = cardData();
+    const before = checkAllFormats(parse(sixty()), data);
+    const after = checkAllFormats(parse(sixty('1 Sol Ring')), data);
+    const broken = introducedIssues(before, after);
+
+    expect(broken.map(b => [b.format, b.madeIllegal])).toEqual([
+      ['standard', false], // already illegal (Lightning Bolt), Sol Ring is a new issue
+      ['pioneer', false],
+      ['modern', true],
+      ['legacy', true],
+      ['pauper', true],
+    ]);
+    expect(broken.find(b => b.format === 'standard').issues.map(i => i.card)).toEqual(['Sol Ring']);
+  });
+
+  it('does not re-report an issue whose count merely changed', () => {
+    const data = cardData();
+    const before = checkAllFormats(parse('4 Lightning Bolt\n50 Island'), data);
+    const after = checkAllFormats(parse('4 Lightning Bolt\n49 Island'), data);
+    expect(introducedIssues(before, after).filter(b => b.format === 'modern')).toEqual([]);
+  });
+});
+
+describe('pickLegalities', () => {
+  it('keeps only the checked formats', () => {
+    expect(pickLegalities({ ...legal, vintage: 'restricted', oathbreaker: 'legal' })).toEqual(legal);
+    expect(pickLegalities(undefined)).toBeUndefined();
+  });
+});
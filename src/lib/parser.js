@@ -3,11 +3,15 @@ import {
   SIDEBOARD_HEADER,
   MAINBOARD_HEADER,
   COMMANDER_HEADER,
+  COMPANION_HEADER,
+  MAYBEBOARD_HEADER,
+  SECTION_HEADERS,
   SB_PREFIX,
   COMMENT_LINE,
+  CATEGORY_LINE,
 } from './constants.js';
 
-function normalizeName(name) {
+export function normalizeName(name) {
   return name
     .replace(/\s+/g, ' ')
     .replace(/['\u2018\u2019`\u2032]/g, "'")
@@ -75,7 +79,7 @@ function isCSV(text) {
 // Quote-aware CSV field splitter: a comma inside "..." is part of the field, and
 // "" is an escaped quote. Plain `split(',')` corrupted every quoted card name
 // with a comma (e.g. "Atraxa, Praetors' Voice") — audit H4.
-function splitCsvLine(line) {
+export function splitCsvLine(line) {
   const fields = [];
   let cur = '';
   let inQuotes = false;
@@ -130,6 +134,8 @@ function parseCSV(text) {
 
   const mainboard = new Map();
   const sideboard = new Map();
+  const companions = new Map();
+  const maybeboard = new Map();
 
   for (let i = 1; i < lines.length; i++) {
     const cols = splitCsvLine(lines[i]);
@@ -143,6 +149,10 @@ function parseCSV(text) {
       const section = (cols[sectionIdx] || '').toLowerCase();
       if (section.includes('side') || section === 'sb') {
         target = sideboard;
+      } else if (section.includes('companion')) {
+        target = companions;
+      } else if (section.includes('maybe') || section === 'considering') {
+        target = maybeboard;
       }
     }
 
@@ -155,7 +165,7 @@ function parseCSV(text) {
     }
   }
 
-  return { mainboard, sideboard };
+  return { mainboard, sideboard, companions, maybeboard };
 }
 
 function splitSections(rawText) {
@@ -163,7 +173,11 @@ function splitSections(rawText) {
   const mainLines = [];
   const sideLines = [];
   const commanderLines = [];
+  const companionLines = [];
+  const maybeLines = [];
+  const categories = new Map();
   let currentTarget = mainLines;
+  let currentCategory = null;
   let foundExplicitSideboard = false;
   let blankLineCount = 0;
   let hasSeenContent = false;
@@ -171,11 +185,32 @@ function splitSections(rawText) {
   for (const line of lines) {
     const trimmed = line.trim();
 
+    const categoryMatch = trimmed.match(CATEGORY_LINE);
+    if (categoryMatch) {
+      currentCategory = categoryMatch[1] || null;
+      continue;
+    }
+    if (trimmed === '' || SECTION_HEADERS.some(re => re.test(trimmed))) {
+      currentCategory = null;
+    }
+
     if (COMMANDER_HEADER.test(trimmed)) {
       currentTarget = commanderLines;
       continue;
     }
 
+    if (COMPANION_HEADER.test(trimmed)) {
+      currentTarget = companionLines;
+      continue;
+    }
+
+    // Maybeboard is an explicit section like Sideboard: blank lines inside it
+    // never fall through to the implicit-sideboard heuristic below.
+    if (MAYBEBOARD_HEADER.test(trimmed)) {
+      currentTarget = maybeLines;
+      continue;
+    }
+
     if (SIDEBOARD_HEADER.test(trimmed)) {
       currentTarget = sideLines;
       foundExplicitSideboard = true;
@@ -194,8 +229,9 @@ function splitSections(rawText) {
           currentTarget = sideLines;
         }
       }
-      // If we were in commander section, switch to mainboard on blank line
-      if (currentTarget === commanderLines && commanderLines.length > 0) {
+      // If we were in the commander or companion section, switch to mainboard on blank line
+      if ((currentTarget === commanderLines && commanderLines.length > 0)
+        || (currentTarget === companionLines && companionLines.length > 0)) {
         currentTarget = mainLines;
       }
       continue;
@@ -204,9 +240,14 @@ function splitSections(rawText) {
     blankLineCount = 0;
     hasSeenContent = true;
     currentTarget.push(trimmed);
+
+    if (currentCategory) {
+      const card = parseLine(trimmed);
+      if (card) categories.set(card.name.toLowerCase(), currentCategory);
+    }
   }
 
-  return { mainLines, sideLines, commanderLines };
+  return { mainLines, sideLines, commanderLines, companionLines, maybeLines, categories };
 }
 
 function cardKey(name, collectorNumber) {
@@ -252,20 +293,24 @@ function parseLines(lines) {
 
 export function parse(rawText) {
   if (!rawText || !rawText.trim()) {
-    return { mainboard: new Map(), sideboard: new Map(), commanders: [] };
+    return { mainboard: new Map(), sideboard: new Map(), companions: new Map(), maybeboard: new Map(), commanders: [], categories: new Map() };
   }
 
   // Try CSV first
   if (isCSV(rawText)) {
     const result = parseCSV(rawText);
-    if (result) return { ...result, commanders: [] };
+    if (result) return { ...result, commanders: [], categories: new Map() };
   }
 
-  const { mainLines, sideLines, commanderLines } = splitSections(rawText);
+  const { mainLines, sideLines, commanderLines, companionLines, maybeLines, categories } = splitSections(rawText);
 
   const mainResult = parseLines(mainLines);
   const sideResult = parseLines(sideLines);
   const cmdResult = parseLines(commanderLines);
+  // Companion and maybeboard cards sit outside the 60/100 — their own maps,
+  // never merged into mainboard. An SB: prefix inside them changes nothing.
+  const companions = mergeBoards(parseLines(companionLines));
+  const maybeboard = mergeBoards(parseLines(maybeLines));
 
   // Merge: any SB:-prefixed cards from mainLines go to sideboard
   const mainboard = mainResult.cards;
@@ -321,5 +366,13 @@ export function parse(rawText) {
     }
   }
 
-  return { mainboard, sideboard, commanders };
+  return { mainboard, sideboard, companions, maybeboard, commanders, categories };
+}
+
+function mergeBoards({ cards, sbCards }) {
+  for (const [key, value] of sbCards) {
+    if (cards.has(key)) cards.get(key).quantity += value.quantity;
+    else cards.set(key, value);
+  }
+  return cards;
 }
@@ -377,6 +377,77 @@ Deck
     expect(result.commanders).toEqual(['Kenrith, the Returned King']);
   });
 
+  // ── Companion & maybeboard zones ─────────────────────────────────
+
+  it('keeps "Companion" cards out of the mainboard, then resumes the mainboard after a blank line', () => {
+    const text = `Companion
+1 Lurrus of the Dream-Den
+
+4 Lightning Bolt
+
+Sideboard
+1 Fatal Push`;
+    const result = parse(text);
+    expect(mapToObj(result.companions)['lurrus of the dream-den'].quantity).toBe(1);
+    expect(mapToObj(result.mainboard)).not.toHaveProperty('lurrus of the dream-den');
+    expect(mapToObj(result.mainboard)['lightning bolt'].quantity).toBe(4);
+    expect(mapToObj(result.sideboard)['fatal push'].quantity).toBe(1);
+  });
+
+  it('parses "Maybeboard", "Maybe" and "Considering" headers into the maybeboard', () => {
+    for (const header of ['Maybeboard', 'Maybe:', 'Considering']) {
+      const result = parse(`4 Lightning Bolt\n\n${header}\n1 Mana Crypt`);
+      expect(mapToObj(result.maybeboard)['mana crypt'].quantity).toBe(1);
+      expect(mapToObj(result.mainboard)).not.toHaveProperty('mana crypt');
+      expect(result.sideboard.size).toBe(0);
+    }
+  });
+
+  it('returns empty companion and maybeboard maps when the list has neither', () => {
+    const result = parse('4 Lightning Bolt');
+    expect(result.companions.size).toBe(0);
+    expect(result.maybeboard.size).toBe(0);
+  });
+
+  it('reads Companion and Maybeboard sections from CSV exports', () => {
+    const csv = `Quantity,Name,Section
+4,Lightning Bolt,Main
+1,Jegantha the Wellspring,Companion
+1,Mana Crypt,Maybeboard`;
+    const result = parse(csv);
+    expect(mapToObj(result.companions)['jegantha the wellspring'].quantity).toBe(1);
+    expect(mapToObj(result.maybeboard)['mana crypt'].quantity).toBe(1);
+    expect(mapToObj(result.mainboard)).toHaveProperty('lightning bolt');
+  });
+
+  // ── Deck categories ──────────────────────────────────────────────
+
+  it('tags cards under a "// Category:" line without changing the card maps', () => {
+    const text = `1 Island
+// Category: Ramp
+1 Sol Ring (c21) [263]
+1 Arcane Signet
+// Category: Removal
+4 Lightning Bolt
+
+Sideboard
+1 Fatal Push`;
+    const result = parse(text);
+    expect(result.categories.get('sol ring')).toBe('Ramp');
+    expect(result.categories.get('arcane signet')).toBe('Ramp');
+    expect(result.categories.get('lightning bolt')).toBe('Removal');
+    expect(result.categories.has('island')).toBe(false);
+    // A blank line or section header ends the category
+    expect(result.categories.has('fatal push')).toBe(false);
+    expect(mapToObj(result.mainboard)['sol ring|263'].quantity).toBe(1);
+    expect(result.sideboard.size).toBe(1);
+  });
+
+  it('returns an empty categories map for lists without category lines', () => {
+    expect(parse('4 Lightning Bolt').categories.size).toBe(0);
+    expect(parse('').categories.size).toBe(0);
+  });
+
   // ── Name normalization ───────────────────────────────────────────
 
   it('normalizes fancy apostrophes', () => {
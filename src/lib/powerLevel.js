@@ -5,11 +5,19 @@
  * mana curve, and known card patterns. Not a substitute for human
  * evaluation, but gives a directional signal.
  *
- * Input: parsed deck (from parser.js) + cardMap (from scryfall.js)
+ * Scoring is rule-based: each signal in POWER_SIGNALS measures one thing
+ * about the deck and maps it to points through its tiers, a named profile
+ * (POWER_PROFILES) weights those points, and the result carries a
+ * per-signal breakdown so the UI can show where the number came from. The
+ * card lists the signals match against are defaults a user can add to or
+ * remove from (see resolveCardLists).
+ *
+ * Input: parsed deck (from parser.js) + cardMap (from scryfall.js, or the
+ * server's fetchCardMetadata — the server scores snapshot history with it)
  */
 
 // Known fast mana cards (lowercase)
-const FAST_MANA = new Set([
+const FAST_MANA = [
   'sol ring', 'mana crypt', 'mana vault', 'mox diamond', 'chrome mox',
   'mox opal', 'mox amber', 'lotus petal', 'dark ritual', 'cabal ritual',
   'simian spirit guide', 'elvish spirit guide', 'jeweled lotus',
@@ -22,13 +30,13 @@ const FAST_MANA = new Set([
   'llanowar elves', 'elvish mystic', 'fyndhorn elves', 'avacyn\'s pilgrim',
   'elves of deep shadow', 'ignoble hierarch', 'noble hierarch',
   'bloom tender', 'priest of titania', 'orcish lumberjack',
-]);
+];
 
-// Known tutor cards (lowercase, partial matches)
-const TUTOR_PATTERNS = [
+// Known tutor cards (lowercase, exact names)
+const TUTORS = [
   'demonic tutor', 'vampiric tutor', 'imperial seal', 'mystical tutor',
   'enlightened tutor', 'worldly tutor', 'gamble', 'diabolic intent',
-  'diabolic tutor', 'final parting', 'grim tutor', 'razaketh',
+  'diabolic tutor', 'final parting', 'grim tutor', 'razaketh, the foulblooded',
   'sidisi, undead vizier', 'doomsday', 'wishclaw talisman',
   'scheming symmetry', 'profane tutor', 'personal tutor',
   'merchant scroll', 'muddle the mixture', 'trophy mage',
@@ -41,7 +49,7 @@ const TUTOR_PATTERNS = [
 ];
 
 // Known free/efficient interaction (lowercase)
-const FREE_INTERACTION = new Set([
+const FREE_INTERACTION = [
   'force of will', 'pact of negation', 'fierce guardianship',
   'deflecting swat', 'deadly rollick', 'flawless maneuver',
   'force of negation', 'mental misstep', 'misdirection',
@@ -51,10 +59,10 @@ const FREE_INTERACTION = new Set([
   'swords to plowshares', 'path to exile', 'fatal push',
   'abrupt decay', 'assassin\'s trophy', 'cyclonic rift',
   'toxic deluge', 'fire covenant',
-]);
+];
 
 // Cards that signal combo decks
-const COMBO_ENABLERS = new Set([
+const COMBO_ENABLERS = [
   'thassa\'s oracle', 'demonic consultation', 'tainted pact',
   'laboratory maniac', 'jace, wielder of mysteries',
   'isochron scepter', 'dramatic reversal',
@@ -71,7 +79,7 @@ const COMBO_ENABLERS = new Set([
   'deadeye navigator', 'peregrine drake', 'palinchron',
   'mikaeus, the unhallowed', 'triskelion',
   'animate dead', 'worldgorger dragon',
-]);
+];
 
 /**
  * Parse mana cost string like "{2}{U}{B}" to CMC number.
@@ -95,104 +103,270 @@ function parseCmc(manaCost) {
   return cmc;
 }
 
+/** The user-editable card lists, in display order. */
+export const POWER_CARD_LISTS = [
+  { id: 'fastMana', label: 'Fast mana', cards: FAST_MANA },
+  { id: 'tutors', label: 'Tutors', cards: TUTORS },
+  { id: 'freeInteraction', label: 'Efficient interaction', cards: FREE_INTERACTION },
+  { id: 'comboEnablers', label: 'Combo enablers', cards: COMBO_ENABLERS },
+];
+
+const LIST_BY_ID = new Map(POWER_CARD_LISTS.map(l => [l.id, l]));
+
+const MAX_LIST_OVERRIDES = 300;
+
+/**
+ * Named scoring profiles. `weights` multiplies a signal's points (missing = 1);
+ * 'balanced' is the original, unweighted scoring.
+ */
+export const POWER_PROFILES = [
+  {
+    id: 'balanced',
+    label: 'Balanced',
+    description: 'Every signal counts as-is',
+    weights: {},
+  },
+  {
+    id: 'casual',
+    label: 'Casual table',
+    description: 'Tutors, combos and fast mana weigh more; deck price is ignored',
+    weights: { tutors: 1.5, combo: 1.5, fastMana: 1.25, price: 0 },
+  },
+  {
+    id: 'competitive',
+    label: 'Competitive',
+    description: 'Speed and interaction weigh more; price is ignored and land count matters less',
+    weights: { curve: 1.25, fastMana: 1.25, interaction: 1.5, price: 0, lands: 0.5 },
+  },
+];
+
+export const DEFAULT_POWER_PROFILE = 'balanced';
+
+const PROFILE_BY_ID = new Map(POWER_PROFILES.map(p => [p.id, p]));
+
+// Front face, lowercased, accent-insensitive — the key card lists match on
+function cardKey(name) {
+  const lower = (name || '').toLowerCase().trim();
+  const slash = lower.indexOf(' // ');
+  const front = slash !== -1 ? lower.slice(0, slash) : lower;
+  return front.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function cleanNames(list) {
+  return Array.isArray(list)
+    ? [...new Set(list.filter(n => typeof n === 'string').map(cardKey).filter(Boolean))].slice(0, MAX_LIST_OVERRIDES)
+    : [];
+}
+
+/**
+ * Clean a user's power settings: `profile` is a POWER_PROFILES id and each
+ * card list override is `{ add: string[], remove: string[] }` against the default.
+ */
+export function normalizePowerSettings(raw) {
+  const cardLists = {};
+  for (const { id } of POWER_CARD_LISTS) {
+    const add = cleanNames(raw?.cardLists?.[id]?.add);
+    const remove = cleanNames(raw?.cardLists?.[id]?.remove);
+    if (add.length > 0 || remove.length > 0) cardLists[id] = { add, remove };
+  }
+  return {
+    profile: PROFILE_BY_ID.has(raw?.profile) ? raw.profile : DEFAULT_POWER_PROFILE,
+    cardLists,
+  };
+}
+
+/** Effective card lists (id → Set of card keys): defaults plus a user's overrides. */
+export function resolveCardLists(overrides) {
+  const lists = {};
+  for (const { id, cards } of POWER_CARD_LISTS) {
+    const set = new Set(cards.map(cardKey));
+    for (const name of cleanNames(overrides?.[id]?.remove)) set.delete(name);
+    for (const name of cleanNames(overrides?.[id]?.add)) set.add(name);
+    lists[id] = set;
+  }
+  return lists;
+}
+
+/** The override that turns a default list into `names` — what an editor saves. */
+export function diffCardList(listId, names) {
+  const defaults = new Set(LIST_BY_ID.get(listId).cards.map(cardKey));
+  const wanted = new Set(cleanNames(names));
+  return {
+    add: [...wanted].filter(n => !defaults.has(n)),
+    remove: [...defaults].filter(n => !wanted.has(n)),
+  };
+}
+
+const sumQty = cards => cards.reduce((s, c) => s + c.quantity, 0);
+const money = n => `$${n.toFixed(0)}`;
+
+/**
+ * The scoring rules. `measure(ctx)` returns `{ value, cards? }`; the first
+ * tier whose `test(value)` passes gives the points, and `text` (when present)
+ * is the human-readable signal.
+ */
+export const POWER_SIGNALS = [
+  {
+    id: 'curve',
+    label: 'Mana curve',
+    measure: ({ nonLands }) => {
+      const cmcs = nonLands.map(c => parseCmc(c.manaCost));
+      return { value: cmcs.length > 0 ? cmcs.reduce((a, b) => a + b, 0) / cmcs.length : 0 };
+    },
+    tiers: [
+      { test: v => v <= 1.8, points: 1.5, text: v => `Very low avg CMC (${v.toFixed(2)})` },
+      { test: v => v <= 2.3, points: 1.0, text: v => `Low avg CMC (${v.toFixed(2)})` },
+      { test: v => v <= 2.8, points: 0.3, text: v => `Moderate avg CMC (${v.toFixed(2)})` },
+      { test: v => v <= 3.5, points: -0.3, text: v => `High avg CMC (${v.toFixed(2)})` },
+      { test: () => true, points: -1.0, text: v => `Very high avg CMC (${v.toFixed(2)})` },
+    ],
+  },
+  {
+    id: 'fastMana',
+    label: 'Fast mana',
+    measure: ({ matching }) => { const cards = matching('fastMana'); return { value: sumQty(cards), cards }; },
+    tiers: [
+      { test: v => v >= 10, points: 1.5, text: v => `${v} fast mana sources` },
+      { test: v => v >= 6, points: 1.0, text: v => `${v} fast mana sources` },
+      { test: v => v >= 3, points: 0.5, text: v => `${v} fast mana sources` },
+      { test: v => v === 0, points: -0.5, text: () => 'No fast mana' },
+    ],
+  },
+  {
+    id: 'tutors',
+    label: 'Tutors',
+    measure: ({ matching }) => { const cards = matching('tutors'); return { value: sumQty(cards), cards }; },
+    tiers: [
+      { test: v => v >= 6, points: 1.5, text: v => `${v} tutors` },
+      { test: v => v >= 3, points: 1.0, text: v => `${v} tutors` },
+      { test: v => v >= 1, points: 0.3, text: v => `${v} tutor${v > 1 ? 's' : ''}` },
+    ],
+  },
+  {
+    id: 'interaction',
+    label: 'Efficient interaction',
+    measure: ({ matching }) => { const cards = matching('freeInteraction'); return { value: sumQty(cards), cards }; },
+    tiers: [
+      { test: v => v >= 8, points: 1.0, text: v => `${v} efficient interaction pieces` },
+      { test: v => v >= 4, points: 0.5, text: v => `${v} efficient interaction pieces` },
+    ],
+  },
+  {
+    id: 'combo',
+    label: 'Combo enablers',
+    // Distinct cards, not copies — a second copy doesn't make a second combo
+    measure: ({ matching }) => { const cards = matching('comboEnablers'); return { value: cards.length, cards }; },
+    tiers: [
+      { test: v => v >= 4, points: 1.5, text: v => `${v} combo enablers detected` },
+      { test: v => v >= 2, points: 0.8, text: v => `${v} combo enablers detected` },
+    ],
+  },
+  {
+    id: 'lands',
+    label: 'Land count',
+    // Include MDFCs with land back face (matches Archidekt behavior)
+    measure: ({ allCards, totalCards }) => {
+      const count = sumQty(allCards.filter(c => c.type === 'Land' || c.isBackLand));
+      return { value: count / totalCards, count };
+    },
+    tiers: [
+      { test: v => v < 0.30, points: 0.3, text: (_v, m) => `Low land count (${m.count})` },
+      { test: v => v > 0.42, points: -0.3, text: (_v, m) => `High land count (${m.count})` },
+    ],
+  },
+  {
+    id: 'price',
+    label: 'Deck price',
+    measure: ({ allCards }) => ({ value: allCards.reduce((sum, c) => sum + (c.priceUsd ?? 0) * c.quantity, 0) }),
+    tiers: [
+      { test: v => v > 2000, points: 0.8, text: v => `High-value deck (${money(v)})` },
+      { test: v => v > 800, points: 0.3 },
+      { test: v => v < 100, points: -0.3, text: v => `Budget deck (${money(v)})` },
+    ],
+  },
+];
+
+const LEVEL_LABELS = {
+  1: 'Jank', 2: 'Casual', 3: 'Casual',
+  4: 'Focused', 5: 'Focused', 6: 'Optimized',
+  7: 'Optimized', 8: 'High Power', 9: 'cEDH-lite',
+  10: 'cEDH',
+};
+
+const BASE_SCORE = 5.0; // Start at middle
+
 /**
  * Estimate power level of a Commander deck.
  *
  * @param {Object} parsed - Output of parse() { mainboard, sideboard, commanders }
  * @param {Map} cardMap - Output of fetchCardData()
- * @returns {{ level: number, label: string, signals: string[] }}
+ * @param {{ profile?: string, cardLists?: Object }} [settings] - normalizePowerSettings() shape
+ * @returns {{
+ *   level: number, label: string, score: number, profile: string, signals: string[],
+ *   breakdown: Array<{ id: string, label: string, points: number, text: string|null, cards: string[] }>,
+ * }}
  */
-export function estimatePowerLevel(parsed, cardMap) {
-  if (!parsed || !cardMap || cardMap.size === 0) {
-    return { level: 0, label: 'Unknown', signals: ['No card data available'] };
-  }
+export function estimatePowerLevel(parsed, cardMap, settings) {
+  const { profile: profileId, cardLists } = normalizePowerSettings(settings);
+  const profile = PROFILE_BY_ID.get(profileId);
+  const unknown = reason => ({ level: 0, label: 'Unknown', score: 0, profile: profile.id, signals: [reason], breakdown: [] });
+  if (!parsed || !cardMap || cardMap.size === 0) return unknown('No card data available');
 
-  // Collect all cards (mainboard + commanders)
+  // Collect all cards (mainboard + commanders). The parser already merges
+  // marked commanders into the mainboard; only add ones it didn't.
   const allCards = [];
+  const seen = new Set();
   for (const [key, entry] of parsed.mainboard) {
     const name = entry.displayName || '';
     const data = cardMap.get(name.toLowerCase()) || {};
     allCards.push({ ...entry, name, ...data, key });
+    seen.add(name.toLowerCase());
   }
   // parsed.commanders is a flat string array, not a Map
   for (const name of (parsed.commanders || [])) {
-    if (!name) continue;
+    if (!name || seen.has(name.toLowerCase())) continue;
     const data = cardMap.get(name.toLowerCase()) || {};
     allCards.push({ name, quantity: 1, ...data, isCommander: true });
   }
 
-  const signals = [];
-  let score = 5.0; // Start at middle
-
   const totalCards = allCards.length;
-  if (totalCards === 0) {
-    return { level: 0, label: 'Unknown', signals: ['Empty deck'] };
-  }
+  if (totalCards === 0) return unknown('Empty deck');
 
-  // --- Mana Curve ---
-  // Exclude both lands and MDFCs with land on back face
-  const nonLands = allCards.filter(c => c.type !== 'Land' && !c.isBackLand);
-  const cmcValues = nonLands.map(c => parseCmc(c.manaCost));
-  const avgCmc = cmcValues.length > 0 ? cmcValues.reduce((a, b) => a + b, 0) / cmcValues.length : 0;
-
-  if (avgCmc <= 1.8) { score += 1.5; signals.push(`Very low avg CMC (${avgCmc.toFixed(2)})`); }
-  else if (avgCmc <= 2.3) { score += 1.0; signals.push(`Low avg CMC (${avgCmc.toFixed(2)})`); }
-  else if (avgCmc <= 2.8) { score += 0.3; signals.push(`Moderate avg CMC (${avgCmc.toFixed(2)})`); }
-  else if (avgCmc <= 3.5) { score -= 0.3; signals.push(`High avg CMC (${avgCmc.toFixed(2)})`); }
-  else { score -= 1.0; signals.push(`Very high avg CMC (${avgCmc.toFixed(2)})`); }
-
-  // --- Fast Mana ---
-  const fastManaCount = allCards.filter(c => FAST_MANA.has(c.name.toLowerCase())).reduce((s, c) => s + c.quantity, 0);
-  if (fastManaCount >= 10) { score += 1.5; signals.push(`${fastManaCount} fast mana sources`); }
-  else if (fastManaCount >= 6) { score += 1.0; signals.push(`${fastManaCount} fast mana sources`); }
-  else if (fastManaCount >= 3) { score += 0.5; signals.push(`${fastManaCount} fast mana sources`); }
-  else if (fastManaCount === 0) { score -= 0.5; signals.push('No fast mana'); }
-
-  // --- Tutors ---
-  const tutorCount = allCards.filter(c => {
-    const lower = c.name.toLowerCase();
-    return TUTOR_PATTERNS.some(t => lower === t || lower.includes(t));
-  }).reduce((s, c) => s + c.quantity, 0);
-  if (tutorCount >= 6) { score += 1.5; signals.push(`${tutorCount} tutors`); }
-  else if (tutorCount >= 3) { score += 1.0; signals.push(`${tutorCount} tutors`); }
-  else if (tutorCount >= 1) { score += 0.3; signals.push(`${tutorCount} tutor${tutorCount > 1 ? 's' : ''}`); }
-
-  // --- Free/Efficient Interaction ---
-  const interactionCount = allCards.filter(c => FREE_INTERACTION.has(c.name.toLowerCase())).reduce((s, c) => s + c.quantity, 0);
-  if (interactionCount >= 8) { score += 1.0; signals.push(`${interactionCount} efficient interaction pieces`); }
-  else if (interactionCount >= 4) { score += 0.5; signals.push(`${interactionCount} efficient interaction pieces`); }
-
-  // --- Combo Potential ---
-  const comboCards = allCards.filter(c => COMBO_ENABLERS.has(c.name.toLowerCase()));
-  const comboCount = comboCards.length;
-  if (comboCount >= 4) { score += 1.5; signals.push(`${comboCount} combo enablers detected`); }
-  else if (comboCount >= 2) { score += 0.8; signals.push(`${comboCount} combo enablers detected`); }
-
-  // --- Land Count ---
-  // Include MDFCs with land back face (matches Archidekt behavior)
-  const landCount = allCards.filter(c => c.type === 'Land' || c.isBackLand).reduce((s, c) => s + c.quantity, 0);
-  const landRatio = landCount / totalCards;
-  if (landRatio < 0.30) { score += 0.3; signals.push(`Low land count (${landCount})`); }
-  else if (landRatio > 0.42) { score -= 0.3; signals.push(`High land count (${landCount})`); }
-
-  // --- Card Price as Proxy ---
-  const totalPrice = allCards.reduce((sum, c) => {
-    const price = c.priceUsd ?? 0;
-    return sum + price * c.quantity;
-  }, 0);
-  if (totalPrice > 2000) { score += 0.8; signals.push(`High-value deck ($${totalPrice.toFixed(0)})`); }
-  else if (totalPrice > 800) { score += 0.3; }
-  else if (totalPrice < 100) { score -= 0.3; signals.push(`Budget deck ($${totalPrice.toFixed(0)})`); }
+  const lists = resolveCardLists(cardLists);
+  const ctx = {
+    allCards,
+    totalCards,
+    // Exclude both lands and MDFCs with land on back face
+    nonLands: allCards.filter(c => c.type !== 'Land' && !c.isBackLand),
+    matching: listId => allCards.filter(c => lists[listId].has(cardKey(c.name))),
+  };
+
+  let score = BASE_SCORE;
+  const breakdown = [];
+  for (const signal of POWER_SIGNALS) {
+    const measured = signal.measure(ctx);
+    const tier = signal.tiers.find(t => t.test(measured.value));
+    const weight = profile.weights[signal.id] ?? 1;
+    const points = tier ? Math.round(tier.points * weight * 100) / 100 : 0;
+    score += points;
+    breakdown.push({
+      id: signal.id,
+      label: signal.label,
+      points,
+      text: tier?.text ? tier.text(measured.value, measured) : null,
+      cards: (measured.cards || []).map(c => c.name),
+    });
+  }
 
   // Clamp to 1-10
   const level = Math.max(1, Math.min(10, Math.round(score)));
 
-  const labels = {
-    1: 'Jank', 2: 'Casual', 3: 'Casual',
-    4: 'Focused', 5: 'Focused', 6: 'Optimized',
-    7: 'Optimized', 8: 'High Power', 9: 'cEDH-lite',
-    10: 'cEDH',
+  return {
+    level,
+    label: LEVEL_LABELS[level],
+    score: Math.round(score * 10) / 10,
+    profile: profile.id,
+    signals: breakdown.filter(b => b.text).map(b => b.text),
+    breakdown,
   };
-
-  return { level, label: labels[level], signals };
 }
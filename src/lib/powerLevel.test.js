@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+  estimatePowerLevel, normalizePowerSettings, resolveCardLists, diffCardList, POWER_CARD_LISTS,
+} from './powerLevel.js';
+import { parse } from './parser.js';
+
+const deckText = [
+  'Commander',
+  '1 Razaketh, the Foulblooded',
+  '',
+  'Deck',
+  '1 Sol Ring',
+  '1 Mana Crypt',
+  '1 Dark Ritual',
+  '1 Demonic Tutor',
+  '1 Vampiric Tutor',
+  '1 Razaketh\'s Rite',
+  '1 Thassa\'s Oracle',
+  '1 Demonic Consultation',
+  '30 Swamp',
+].join('\n');
+
+const cardMap = new Map([
+  ['razaketh, the foulblooded', { type: 'Creature', manaCost: '{5}{B}{B}{B}', priceUsd: 10 }],
+  ['sol ring', { type: 'Artifact', manaCost: '{1}', priceUsd: 2 }],
+  ['mana crypt', { type: 'Artifact', manaCost: '{0}', priceUsd: 180 }],
+  ['dark ritual', { type: 'Instant', manaCost: '{B}', priceUsd: 1 }],
+  ['demonic tutor', { type: 'Sorcery', manaCost: '{1}{B}', priceUsd: 30 }],
+  ['vampiric tutor', { type: 'Instant', manaCost: '{B}', priceUsd: 40 }],
+  ['razaketh\'s rite', { type: 'Sorcery', manaCost: '{4}{B}{B}', priceUsd: 1 }],
+  ['thassa\'s oracle', { type: 'Creature', manaCost: '{U}{U}', priceUsd: 5 }],
+  ['demonic consultation', { type: 'Instant', manaCost: '{B}', priceUsd: 3 }],
+  ['swamp', { type: 'Land', manaCost: '', priceUsd: 0.1 }],
+]);
+
+const signal = (result, id) => result.breakdown.find(b => b.id === id);
+
+describe('estimatePowerLevel', () => {
+  const parsed = parse(deckText);
+
+  it('reports a breakdown whose points add up to the score', () => {
+    const result = estimatePowerLevel(parsed, cardMap);
+    expect(result.profile).toBe('balanced');
+    const total = 5 + result.breakdown.reduce((sum, b) => sum + b.points, 0);
+    expect(result.score).toBeCloseTo(total, 1);
+    expect(result.signals).toEqual(result.breakdown.filter(b => b.text).map(b => b.text));
+  });
+
+  it('matches tutors by exact name, not substring', () => {
+    const tutors = signal(estimatePowerLevel(parsed, cardMap), 'tutors');
+    // Razaketh himself is a tutor; Razaketh's Rite is not on the list
+    expect(tutors.cards.sort()).toEqual(['Demonic Tutor', 'Razaketh, the Foulblooded', 'Vampiric Tutor']);
+    expect(tutors.text).toBe('3 tutors');
+  });
+
+  it('does not count a commander already in the mainboard twice', () => {
+    const tutors = signal(estimatePowerLevel({ ...parsed, commanders: ['Razaketh, the Foulblooded'] }, cardMap), 'tutors');
+    expect(tutors.cards.filter(n => n.startsWith('Razaketh,'))).toHaveLength(1);
+  });
+
+  it('weights signals by profile', () => {
+    const balanced = estimatePowerLevel(parsed, cardMap);
+    const casual = estimatePowerLevel(parsed, cardMap, { profile: 'casual' });
+    expect(casual.profile).toBe('casual');
+    expect(signal(casual, 'tutors').points).toBe(signal(balanced, 'tutors').points * 1.5);
+    expect(signal(casual, 'price').points).toBe(0);
+  });
+
+  it('applies card list overrides', () => {
+    const result = estimatePowerLevel(parsed, cardMap, {
+      cardLists: { tutors: { add: ['Razaketh\'s Rite'], remove: ['Vampiric Tutor'] } },
+    });
+    expect(signal(result, 'tutors').cards.sort()).toEqual(['Demonic Tutor', 'Razaketh\'s Rite', 'Razaketh, the Foulblooded']);
+  });
+
+  it('returns Unknown without card data', () => {
+    expect(estimatePowerLevel(parsed, new Map()).level).toBe(0);
+  });
+});
+
+describe('power settings', () => {
+  it('normalizes unknown profiles and messy overrides', () => {
+    expect(normalizePowerSettings(null)).toEqual({ profile: 'balanced', cardLists: {} });
+    expect(normalizePowerSettings({
+      profile: 'nope',
+      cardLists: { tutors: { add: [' Grim Tutor ', 'grim tutor', 42] }, bogus: { add: ['X'] }, fastMana: { add: [], remove: [] } },
+    })).toEqual({ profile: 'balanced', cardLists: { tutors: { add: ['grim tutor'], remove: [] } } });
+  });
+
+  it('diffCardList round-trips through resolveCardLists', () => {
+    const defaults = POWER_CARD_LISTS.find(l => l.id === 'comboEnablers').cards;
+    const edited = [...defaults.filter(n => n !== 'food chain'), 'Kinnan, Bonder Prodigy'];
+    const override = diffCardList('comboEnablers', edited);
+    expect(override).toEqual({ add: ['kinnan, bonder prodigy'], remove: ['food chain'] });
+    const resolved = resolveCardLists({ comboEnablers: override }).comboEnablers;
+    expect(resolved.has('kinnan, bonder prodigy')).toBe(true);
+    expect(resolved.has('food chain')).toBe(false);
+    expect(diffCardList('comboEnablers', defaults)).toEqual({ add: [], remove: [] });
+  });
+});
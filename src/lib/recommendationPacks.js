@@ -0,0 +1,256 @@
+/**
+ * Recommendation packs — the card lists suggestions are drawn from.
+ *
+ * A pack is `{ name, description, cards: [{ name, category, colors, reason }] }`.
+ * The built-in "Commander Staples" pack ships with the app; users keep their
+ * own packs and admins publish server-wide ones (both stored as JSON in the
+ * recommendation_packs table), and a user's rules (house bans, game changers,
+ * price cap) filter whatever the mixed packs suggest.
+ *
+ * Shared by the client (import/export, mixing) and the server (validating a
+ * pack before it is stored), so both accept exactly the same JSON.
+ */
+
+export const STAPLE_CATEGORIES = ['Ramp', 'Card Draw', 'Removal', 'Board Wipe', 'Protection', 'Lands', 'Recursion'];
+
+/** Marker in exported JSON so an import can tell a pack from any other file. */
+export const PACK_FILE_FORMAT = 'clc-recommendation-pack';
+
+export const PACK_LIMITS = { maxCards: 500, maxName: 100, maxDescription: 500, maxCategory: 40, maxReason: 200, maxExcluded: 500 };
+
+// ── Built-in staples by color identity ──
+// Each entry: { name, colors (required color letters), category, reason }
+// Colors: W=White, U=Blue, B=Black, R=Red, G=Green, '' = colorless (any deck)
+
+const STAPLES = [
+  // === RAMP (Colorless — any deck) ===
+  { name: 'Sol Ring', colors: '', category: 'Ramp', reason: 'Best mana rock in the format' },
+  { name: 'Arcane Signet', colors: '', category: 'Ramp', reason: 'Produces any color in your identity' },
+  { name: 'Fellwar Stone', colors: '', category: 'Ramp', reason: 'Efficient 2-mana rock' },
+  { name: 'Mind Stone', colors: '', category: 'Ramp', reason: '2-mana rock that draws a card late game' },
+  { name: 'Thought Vessel', colors: '', category: 'Ramp', reason: 'Ramp + no max hand size' },
+  { name: 'Wayfarer\'s Bauble', colors: '', category: 'Ramp', reason: 'Colorless land ramp' },
+  { name: 'Commander\'s Sphere', colors: '', category: 'Ramp', reason: 'Flexible mana rock + card draw' },
+  { name: 'Mana Crypt', colors: '', category: 'Ramp', reason: 'Free fast mana (high power)' },
+  { name: 'Mana Vault', colors: '', category: 'Ramp', reason: 'Burst mana for big turns' },
+  { name: 'Chrome Mox', colors: '', category: 'Ramp', reason: 'Zero-cost mana acceleration' },
+  { name: 'Jeweled Lotus', colors: '', category: 'Ramp', reason: 'Fast commander cast' },
+
+  // === GREEN RAMP ===
+  { name: 'Rampant Growth', colors: 'G', category: 'Ramp', reason: 'Efficient land ramp' },
+  { name: 'Cultivate', colors: 'G', category: 'Ramp', reason: 'Two lands for one card' },
+  { name: 'Kodama\'s Reach', colors: 'G', category: 'Ramp', reason: 'Two lands for one card' },
+  { name: 'Nature\'s Lore', colors: 'G', category: 'Ramp', reason: 'Untapped land ramp' },
+  { name: 'Three Visits', colors: 'G', category: 'Ramp', reason: 'Untapped land ramp' },
+  { name: 'Farseek', colors: 'G', category: 'Ramp', reason: 'Finds dual lands' },
+  { name: 'Birds of Paradise', colors: 'G', category: 'Ramp', reason: '1-mana any-color dork' },
+  { name: 'Llanowar Elves', colors: 'G', category: 'Ramp', reason: '1-mana ramp creature' },
+  { name: 'Elvish Mystic', colors: 'G', category: 'Ramp', reason: '1-mana ramp creature' },
+  { name: 'Bloom Tender', colors: 'G', category: 'Ramp', reason: 'Multi-color mana dork' },
+  { name: 'Sakura-Tribe Elder', colors: 'G', category: 'Ramp', reason: 'Ramp on a chump blocker' },
+
+  // === BLACK RAMP ===
+  { name: 'Dark Ritual', colors: 'B', category: 'Ramp', reason: 'Burst mana for explosive turns' },
+  { name: 'Cabal Ritual', colors: 'B', category: 'Ramp', reason: 'Conditional burst mana' },
+  { name: 'Black Market Connections', colors: 'B', category: 'Ramp', reason: 'Repeatable treasure, cards, and creatures' },
+
+  // === CARD DRAW (Colorless) ===
+  { name: 'Skullclamp', colors: '', category: 'Card Draw', reason: 'Best draw engine with small creatures' },
+
+  // === BLUE CARD DRAW ===
+  { name: 'Rhystic Study', colors: 'U', category: 'Card Draw', reason: 'Premier enchantment draw' },
+  { name: 'Mystic Remora', colors: 'U', category: 'Card Draw', reason: 'Early game draw engine' },
+  { name: 'Ponder', colors: 'U', category: 'Card Draw', reason: 'Efficient card selection' },
+  { name: 'Preordain', colors: 'U', category: 'Card Draw', reason: 'Efficient card selection' },
+  { name: 'Brainstorm', colors: 'U', category: 'Card Draw', reason: 'Instant-speed card selection' },
+  { name: 'Windfall', colors: 'U', category: 'Card Draw', reason: 'Wheel effect for full hand refill' },
+
+  // === BLACK CARD DRAW ===
+  { name: 'Necropotence', colors: 'B', category: 'Card Draw', reason: 'Powerful repeatable draw' },
+  { name: 'Sign in Blood', colors: 'B', category: 'Card Draw', reason: 'Efficient 2-mana draw' },
+  { name: 'Read the Bones', colors: 'B', category: 'Card Draw', reason: 'Draw + scry for card quality' },
+  { name: 'Phyrexian Arena', colors: 'B', category: 'Card Draw', reason: 'Repeatable draw engine' },
+  { name: 'Night\'s Whisper', colors: 'B', category: 'Card Draw', reason: 'Efficient 2-card draw' },
+  { name: 'Deadly Dispute', colors: 'B', category: 'Card Draw', reason: 'Draw + treasure from sacrifice' },
+
+  // === GREEN CARD DRAW ===
+  { name: 'Beast Whisperer', colors: 'G', category: 'Card Draw', reason: 'Draw on creature casts' },
+  { name: 'Guardian Project', colors: 'G', category: 'Card Draw', reason: 'Draw on creature ETBs' },
+  { name: 'The Great Henge', colors: 'G', category: 'Card Draw', reason: 'Draw + ramp + lifegain' },
+  { name: 'Sylvan Library', colors: 'G', category: 'Card Draw', reason: 'Powerful repeatable selection' },
+
+  // === WHITE CARD DRAW ===
+  { name: 'Esper Sentinel', colors: 'W', category: 'Card Draw', reason: 'Tax-based draw on 1-drop' },
+  { name: 'Welcoming Vampire', colors: 'W', category: 'Card Draw', reason: 'Draw on small creature ETBs' },
+  { name: 'Archivist of Oghma', colors: 'W', category: 'Card Draw', reason: 'Flash draw on opponent searches' },
+
+  // === RED CARD DRAW ===
+  { name: 'Jeska\'s Will', colors: 'R', category: 'Card Draw', reason: 'Mana + impulse draw' },
+  { name: 'Faithless Looting', colors: 'R', category: 'Card Draw', reason: 'Efficient card filtering' },
+  { name: 'Wheel of Fortune', colors: 'R', category: 'Card Draw', reason: 'Full hand refill (high power)' },
+
+  // === TARGETED REMOVAL ===
+  { name: 'Swords to Plowshares', colors: 'W', category: 'Removal', reason: '1-mana exile removal' },
+  { name: 'Path to Exile', colors: 'W', category: 'Removal', reason: '1-mana exile removal' },
+  { name: 'Generous Gift', colors: 'W', category: 'Removal', reason: 'Destroys any permanent' },
+  { name: 'Anguished Unmaking', colors: 'WB', category: 'Removal', reason: 'Exile any nonland permanent' },
+  { name: 'Despark', colors: 'WB', category: 'Removal', reason: 'Exile high-CMC threats' },
+  { name: 'Counterspell', colors: 'U', category: 'Removal', reason: 'Clean 2-mana counter' },
+  { name: 'Swan Song', colors: 'U', category: 'Removal', reason: '1-mana counter for key spells' },
+  { name: 'Fierce Guardianship', colors: 'U', category: 'Removal', reason: 'Free counter with commander' },
+  { name: 'Force of Will', colors: 'U', category: 'Removal', reason: 'Free counter (high power)' },
+  { name: 'Negate', colors: 'U', category: 'Removal', reason: 'Efficient noncreature counter' },
+  { name: 'Reality Shift', colors: 'U', category: 'Removal', reason: 'Exile creature at instant speed' },
+  { name: 'Fatal Push', colors: 'B', category: 'Removal', reason: 'Cheap creature removal' },
+  { name: 'Go for the Throat', colors: 'B', category: 'Removal', reason: 'Efficient creature removal' },
+  { name: 'Infernal Grasp', colors: 'B', category: 'Removal', reason: '2-mana unconditional removal' },
+  { name: 'Feed the Swarm', colors: 'B', category: 'Removal', reason: 'Black enchantment removal' },
+  { name: 'Abrupt Decay', colors: 'BG', category: 'Removal', reason: 'Uncounterable removal' },
+  { name: 'Assassin\'s Trophy', colors: 'BG', category: 'Removal', reason: 'Destroys any permanent' },
+  { name: 'Chaos Warp', colors: 'R', category: 'Removal', reason: 'Red catch-all removal' },
+  { name: 'Beast Within', colors: 'G', category: 'Removal', reason: 'Destroys any permanent' },
+  { name: 'Nature\'s Claim', colors: 'G', category: 'Removal', reason: '1-mana artifact/enchantment removal' },
+  { name: 'Krosan Grip', colors: 'G', category: 'Removal', reason: 'Uncounterable artifact/enchant removal' },
+
+  // === BOARD WIPES ===
+  { name: 'Wrath of God', colors: 'W', category: 'Board Wipe', reason: 'Classic creature wipe' },
+  { name: 'Farewell', colors: 'W', category: 'Board Wipe', reason: 'Flexible multi-type exile' },
+  { name: 'Austere Command', colors: 'W', category: 'Board Wipe', reason: 'Modal board wipe' },
+  { name: 'Supreme Verdict', colors: 'WU', category: 'Board Wipe', reason: 'Uncounterable wrath' },
+  { name: 'Cyclonic Rift', colors: 'U', category: 'Board Wipe', reason: 'One-sided bounce (format staple)' },
+  { name: 'Toxic Deluge', colors: 'B', category: 'Board Wipe', reason: 'Scalable cheap wipe' },
+  { name: 'Damnation', colors: 'B', category: 'Board Wipe', reason: 'Black creature wipe' },
+  { name: 'Blasphemous Act', colors: 'R', category: 'Board Wipe', reason: 'Usually costs 1 mana' },
+  { name: 'Vandalblast', colors: 'R', category: 'Board Wipe', reason: 'One-sided artifact wipe' },
+
+  // === PROTECTION / UTILITY ===
+  { name: 'Lightning Greaves', colors: '', category: 'Protection', reason: 'Haste + shroud for commander' },
+  { name: 'Swiftfoot Boots', colors: '', category: 'Protection', reason: 'Haste + hexproof for commander' },
+  { name: 'Heroic Intervention', colors: 'G', category: 'Protection', reason: 'Save board from wipes' },
+  { name: 'Teferi\'s Protection', colors: 'W', category: 'Protection', reason: 'Ultimate board protection' },
+  { name: 'Flawless Maneuver', colors: 'W', category: 'Protection', reason: 'Free indestructible with commander' },
+  { name: 'Deflecting Swat', colors: 'R', category: 'Protection', reason: 'Free redirect with commander' },
+  { name: 'Deadly Rollick', colors: 'B', category: 'Protection', reason: 'Free exile with commander' },
+
+  // === LANDS ===
+  { name: 'Command Tower', colors: '', category: 'Lands', reason: 'Produces all commander colors' },
+  { name: 'Exotic Orchard', colors: '', category: 'Lands', reason: 'Multi-color fixing from opponents' },
+  { name: 'Reliquary Tower', colors: '', category: 'Lands', reason: 'No maximum hand size' },
+  { name: 'Boseiju, Who Endures', colors: 'G', category: 'Lands', reason: 'Uncounterable removal on a land' },
+  { name: 'Otawara, Soaring City', colors: 'U', category: 'Lands', reason: 'Bounce spell on a land' },
+  { name: 'Urza\'s Saga', colors: '', category: 'Lands', reason: 'Tutors for Sol Ring / Mana Crypt' },
+  { name: 'Ancient Tomb', colors: '', category: 'Lands', reason: 'Fast colorless mana' },
+  { name: 'War Room', colors: '', category: 'Lands', reason: 'Card draw on a land' },
+
+  // === RECURSION ===
+  { name: 'Eternal Witness', colors: 'G', category: 'Recursion', reason: 'Return any card from graveyard' },
+  { name: 'Regrowth', colors: 'G', category: 'Recursion', reason: 'Cheap graveyard recursion' },
+  { name: 'Reanimate', colors: 'B', category: 'Recursion', reason: '1-mana reanimation' },
+  { name: 'Animate Dead', colors: 'B', category: 'Recursion', reason: 'Efficient reanimation enchantment' },
+  { name: 'Sun Titan', colors: 'W', category: 'Recursion', reason: 'Recurring small permanents' },
+];
+
+export const BUILTIN_PACK_ID = 'builtin';
+
+export const BUILTIN_PACK = {
+  id: BUILTIN_PACK_ID,
+  scope: 'builtin',
+  name: 'Commander Staples',
+  description: 'Format staples by category, filtered by color identity',
+  cards: STAPLES,
+};
+
+export const DEFAULT_RULES = { excludeGameChangers: false, maxPrice: null, excludeCards: [] };
+
+const WUBRG = 'WUBRG';
+
+function text(value, max) {
+  return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+function normalizeColors(colors) {
+  const letters = Array.isArray(colors) ? colors.join('') : (colors ?? '');
+  if (typeof letters !== 'string') return null;
+  const upper = letters.toUpperCase().replace(/[^A-Z]/g, '');
+  if ([...upper].some(c => !WUBRG.includes(c) && c !== 'C')) return null;
+  return [...WUBRG].filter(c => upper.includes(c)).join('');
+}
+
+/**
+ * Validate and clean a pack from user input (an import or an API body).
+ * Accepts the exported file shape or a bare `{ name, cards }`; cards repeated
+ * by name keep their first entry.
+ * @throws {Error} with a user-facing message when the pack is unusable
+ * @returns {{ name: string, description: string, cards: Array<{ name: string, category: string, colors: string, reason: string }> }}
+ */
+export function normalizePack(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Pack must be a JSON object');
+  if (raw.format !== undefined && raw.format !== PACK_FILE_FORMAT) throw new Error('Not a recommendation pack file');
+
+  const name = text(raw.name, PACK_LIMITS.maxName);
+  if (!name) throw new Error('Pack name is required');
+  if (!Array.isArray(raw.cards) || raw.cards.length === 0) throw new Error('Pack must list at least one card');
+  if (raw.cards.length > PACK_LIMITS.maxCards) throw new Error(`Pack can have at most ${PACK_LIMITS.maxCards} cards`);
+
+  const seen = new Set();
+  const cards = [];
+  raw.cards.forEach((card, i) => {
+    const cardName = text(typeof card === 'string' ? card : card?.name, PACK_LIMITS.maxName);
+    if (!cardName) throw new Error(`Card ${i + 1} has no name`);
+    const colors = normalizeColors(card?.colors);
+    if (colors === null) throw new Error(`${cardName}: colors must be letters from WUBRG`);
+    const key = cardName.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    cards.push({
+      name: cardName,
+      category: text(card?.category, PACK_LIMITS.maxCategory) || 'Other',
+      colors,
+      reason: text(card?.reason, PACK_LIMITS.maxReason),
+    });
+  });
+
+  return { name, description: text(raw.description, PACK_LIMITS.maxDescription), cards };
+}
+
+/** The JSON a pack exports to — normalizePack() reads it back. */
+export function exportPack(pack) {
+  return {
+    format: PACK_FILE_FORMAT,
+    version: 1,
+    name: pack.name,
+    description: pack.description || '',
+    cards: pack.cards.map(({ name, category, colors, reason }) => ({ name, category, colors, reason })),
+  };
+}
+
+/** Clean a user's recommendation rules; anything missing or invalid falls back to DEFAULT_RULES. */
+export function normalizeRules(raw) {
+  const price = Number(raw?.maxPrice);
+  const excludeCards = Array.isArray(raw?.excludeCards)
+    ? [...new Set(raw.excludeCards.map(n => text(n, PACK_LIMITS.maxName)).filter(Boolean))].slice(0, PACK_LIMITS.maxExcluded)
+    : [];
+  return {
+    excludeGameChangers: raw?.excludeGameChangers === true,
+    maxPrice: raw?.maxPrice != null && raw.maxPrice !== '' && Number.isFinite(price) && price >= 0 ? price : null,
+    excludeCards,
+  };
+}
+
+/**
+ * Flatten packs into one suggestion list, tagging each card with its pack.
+ * When packs overlap, the first pack listing a card supplies its category and reason.
+ */
+export function mixPacks(packs) {
+  const seen = new Set();
+  const mixed = [];
+  for (const pack of packs || []) {
+    for (const card of pack.cards || []) {
+      const key = card.name.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      mixed.push({ ...card, pack: pack.name });
+    }
+  }
+  return mixed;
+}
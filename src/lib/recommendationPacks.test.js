@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePack, exportPack, normalizeRules, mixPacks, BUILTIN_PACK, PACK_FILE_FORMAT, DEFAULT_RULES,
+} from './recommendationPacks.js';
+import { generateRecommendations, getStapleCardNames } from './recommendations.js';
+import { parse } from './parser.js';
+
+describe('normalizePack', () => {
+  it('cleans cards: colors to WUBRG order, default category, first duplicate wins', () => {
+    const pack = normalizePack({
+      name: '  Budget Removal ',
+      cards: [
+        { name: 'Infernal Grasp', colors: 'b', category: 'Removal', reason: 'Cheap' },
+        'Beast Within',
+        { name: 'Putrefy', colors: ['G', 'B'] },
+        { name: 'infernal grasp', category: 'Ramp' },
+      ],
+    });
+    expect(pack).toEqual({
+      name: 'Budget Removal',
+      description: '',
+      cards: [
+        { name: 'Infernal Grasp', category: 'Removal', colors: 'B', reason: 'Cheap' },
+        { name: 'Beast Within', category: 'Other', colors: '', reason: '' },
+        { name: 'Putrefy', category: 'Other', colors: 'BG', reason: '' },
+      ],
+    });
+  });
+
+  it('rejects unusable input with a readable message', () => {
+    expect(() => normalizePack(null)).toThrow('JSON object');
+    expect(() => normalizePack({ cards: ['Sol Ring'] })).toThrow('name is required');
+    expect(() => normalizePack({ name: 'X', cards: [] })).toThrow('at least one card');
+    expect(() => normalizePack({ name: 'X', cards: [{ name: 'Y', colors: 'QX' }] })).toThrow('WUBRG');
+    expect(() => normalizePack({ format: 'something-else', name: 'X', cards: ['Y'] })).toThrow('Not a recommendation pack');
+  });
+
+  it('round-trips through exportPack', () => {
+    const exported = exportPack(BUILTIN_PACK);
+    expect(exported.format).toBe(PACK_FILE_FORMAT);
+    const reimported = normalizePack(JSON.parse(JSON.stringify(exported)));
+    expect(reimported.cards).toEqual(BUILTIN_PACK.cards);
+  });
+});
+
+describe('normalizeRules', () => {
+  it('falls back to defaults for missing or invalid values', () => {
+    expect(normalizeRules(undefined)).toEqual(DEFAULT_RULES);
+    expect(normalizeRules({ excludeGameChangers: 'yes', maxPrice: -1, excludeCards: 'Sol Ring' })).toEqual(DEFAULT_RULES);
+    expect(normalizeRules({ maxPrice: '5', excludeCards: [' Sol Ring ', 'Sol Ring', ''] }))
+      .toEqual({ excludeGameChangers: false, maxPrice: 5, excludeCards: ['Sol Ring'] });
+  });
+});
+
+describe('mixPacks', () => {
+  it('tags cards with their pack and lets the first pack win an overlap', () => {
+    const mixed = mixPacks([
+      { name: 'House', cards: [{ name: 'Sol Ring', category: 'Ramp', colors: '', reason: 'Ours' }] },
+      { name: 'Other', cards: [{ name: 'sol ring', category: 'Ramp', colors: '', reason: 'Theirs' }, { name: 'Ponder', category: 'Card Draw', colors: 'U', reason: '' }] },
+    ]);
+    expect(mixed.map(c => `${c.name}:${c.pack}:${c.reason}`)).toEqual(['Sol Ring:House:Ours', 'Ponder:Other:']);
+  });
+});
+
+describe('generateRecommendations with packs and rules', () => {
+  const deck = parse('Commander\n1 Krenko, Mob Boss\n\nDeck\n1 Mountain');
+  const cardMap = new Map([
+    ['krenko, mob boss', { colorIdentity: ['R'], type: 'Legendary Creature' }],
+    ['mountain', { colorIdentity: [], type: 'Basic Land' }],
+    ['mana crypt', { priceUsd: 180 }],
+    ['arcane signet', { priceUsd: 1 }],
+  ]);
+  const pack = {
+    name: 'Test',
+    cards: [
+      { name: 'Arcane Signet', category: 'Ramp', colors: '', reason: '' },
+      { name: 'Mana Crypt', category: 'Ramp', colors: '', reason: '' },
+      { name: 'Chaos Warp', category: 'Removal', colors: 'R', reason: '' },
+      { name: 'Counterspell', category: 'Removal', colors: 'U', reason: '' },
+      { name: 'Goblin Bombardment', category: 'Synergy', colors: 'R', reason: '' },
+      { name: 'Mana Vault', category: 'Ramp', colors: '', reason: '' },
+    ],
+  };
+  const names = result => result.recommendations.map(r => r.name).sort();
+
+  it('suggests from the given packs only, within color identity', () => {
+    const result = generateRecommendations(deck, cardMap, ['Krenko, Mob Boss'], { packs: [pack] });
+    expect(names(result)).toEqual(['Arcane Signet', 'Chaos Warp', 'Goblin Bombardment', 'Mana Crypt', 'Mana Vault']);
+    expect(result.recommendations.every(r => r.pack === 'Test')).toBe(true);
+    expect(getStapleCardNames([pack])).toHaveLength(6);
+  });
+
+  it('applies house bans, the price cap and the game-changer rule', () => {
+    const result = generateRecommendations(deck, cardMap, ['Krenko, Mob Boss'], {
+      packs: [pack],
+      rules: { maxPrice: 20, excludeCards: ['Chaos Warp'] },
+    });
+    expect(names(result)).toEqual(['Arcane Signet', 'Goblin Bombardment', 'Mana Vault']);
+    expect(result.analysis.excluded).toBe(2);
+
+    const noGameChangers = generateRecommendations(deck, cardMap, ['Krenko, Mob Boss'], {
+      packs: [pack],
+      rules: { excludeGameChangers: true },
+    });
+    expect(names(noGameChangers)).not.toContain('Mana Vault');
+    expect(noGameChangers.analysis.excluded).toBe(1);
+  });
+
+  it('defaults to the built-in staples', () => {
+    const result = generateRecommendations(deck, cardMap, ['Krenko, Mob Boss']);
+    expect(result.recommendations.length).toBeGreaterThan(10);
+    expect(result.recommendations[0].pack).toBe(BUILTIN_PACK.name);
+  });
+});
@@ -13,9 +13,12 @@
  * re-fetch from Scryfall.
  */
 
+import { pickLegalities } from './legality';
+
 const SCRYFALL_BATCH_SIZE = 75;
 const CACHE_TTL = 30 * 60 * 1000; // 30 minutes
-const STORAGE_KEY = 'clc-scryfall-cache';
+// Bumped when the cached card shape gains a field (v2: legalities, v3: keywords/frontTypeLine)
+const STORAGE_KEY = 'clc-scryfall-cache-v3';
 const STORAGE_WRITE_DEBOUNCE = 2000; // ms — batch writes to sessionStorage
 const STORAGE_MAX_ENTRIES = 2000; // cap to ~400KB in sessionStorage
 
@@ -158,7 +161,8 @@ function getManaCost(card) {
 async function fetchBatch(batchEntries) {
   const identifiers = batchEntries.map(e => e.identifier);
   const results = [];
-  const fallback = { type: 'Other', manaCost: '', imageUri: '', priceUsd: null, priceUsdFoil: null, colorIdentity: [] };
+  // notFound: the empty colorIdentity is a placeholder, not a colorless card
+  const fallback = { type: 'Other', manaCost: '', imageUri: '', priceUsd: null, priceUsdFoil: null, colorIdentity: [], notFound: true };
 
   try {
     const res = await fetch('/api/scryfall/cards/collection', {
@@ -201,6 +205,9 @@ async function fetchBatch(batchEntries) {
         priceUsd: card.prices?.usd ? parseFloat(card.prices.usd) : null,
         priceUsdFoil: card.prices?.usd_foil ? parseFloat(card.prices.usd_foil) : null,
         colorIdentity: card.color_identity || [],
+        keywords: card.keywords || [],
+        frontTypeLine: (card.type_line || '').split('//')[0].trim(),
+        legalities: pickLegalities(card.legalities),
       };
 
       // Try to match by set+collector first (for specific printing lookups)
@@ -359,6 +366,10 @@ export async function fetchCardData(identifiersOrNames) {
             priceUsd: entry.priceUsd,
             priceUsdFoil: entry.priceUsdFoil,
             colorIdentity: entry.colorIdentity,
+            keywords: entry.keywords,
+            frontTypeLine: entry.frontTypeLine,
+            legalities: entry.legalities,
+            notFound: entry.notFound,
           };
           // Store in session cache
           setCardCache(entry.key, data);
@@ -378,7 +389,7 @@ export async function fetchCardData(identifiersOrNames) {
   // Ensure all requested keys have an entry
   for (const key of allKeys) {
     if (!cardMap.has(key)) {
-      cardMap.set(key, { type: 'Other', manaCost: '', imageUri: '', priceUsd: null, priceUsdFoil: null, colorIdentity: [] });
+      cardMap.set(key, { type: 'Other', manaCost: '', imageUri: '', priceUsd: null, priceUsdFoil: null, colorIdentity: [], notFound: true });
     }
   }
 
@@ -424,9 +435,10 @@ export function collectCardNames(diffResult) {
  */
 export function collectCardIdentifiers(diffResult) {
   const identifiers = new Map();
-  const { mainboard, sideboard } = diffResult;
+  const { mainboard, sideboard, companions, maybeboard } = diffResult;
 
-  for (const section of [mainboard, sideboard]) {
+  for (const section of [mainboard, sideboard, companions, maybeboard]) {
+    if (!section) continue;
     for (const list of [section.cardsIn, section.cardsOut, section.quantityChanges]) {
       for (const card of list) {
         const nameLower = card.name.toLowerCase();
@@ -483,4 +495,31 @@ export function groupByType(cards, typeOrCardMap) {
   return result;
 }
 
+export const UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Group an array of card objects by the deck's own category (card.category,
+ * recorded from "// Category:" lines). Categories sort alphabetically with
+ * uncategorized cards last. Returns [{ type, cards }] like groupByType() so the
+ * same markup renders either grouping.
+ */
+export function groupByCategory(cards) {
+  const groups = new Map();
+  for (const card of cards) {
+    const category = card.category || UNCATEGORIZED;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(card);
+  }
+
+  const names = [...groups.keys()]
+    .filter(name => name !== UNCATEGORIZED)
+    .sort((a, b) => a.localeCompare(b));
+  if (groups.has(UNCATEGORIZED)) names.push(UNCATEGORIZED);
+
+  return names.map(name => ({
+    type: name,
+    cards: groups.get(name).sort((a, b) => a.name.localeCompare(b.name)),
+  }));
+}
+
 export { TYPE_ORDER };
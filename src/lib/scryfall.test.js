@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { fetchCardData, clearCardCache, primaryType } from './scryfall.js';
+import { fetchCardData, clearCardCache, primaryType, groupByCategory } from './scryfall.js';
 
 const DFC_CARD = {
   name: 'Fable of the Mirror-Breaker // Reflection of Kiki-Jiki',
@@ -52,3 +52,16 @@ describe('primaryType', () => {
     expect(primaryType('Artifact Creature — Golem')).toBe('Creature');
   });
 });
+
+describe('groupByCategory', () => {
+  it('groups by card.category alphabetically with uncategorized cards last', () => {
+    const groups = groupByCategory([
+      { name: 'Sol Ring', category: 'Ramp' },
+      { name: 'Island' },
+      { name: 'Arcane Signet', category: 'Ramp' },
+      { name: 'Lightning Bolt', category: 'Removal' },
+    ]);
+    expect(groups.map(g => g.type)).toEqual(['Ramp', 'Removal', 'Uncategorized']);
+    expect(groups[0].cards.map(c => c.name)).toEqual(['Arcane Signet', 'Sol Ring']);
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Shopping list text for store bulk-entry boxes. Both take one "qty name" line
+ * per card; they differ in how they spell names.
+ */
+
+export const SHOPPING_LIST_FORMATS = {
+  // TCGplayer Mass Entry matches double-faced cards by their full "A // B" name
+  tcgplayer: { label: 'TCGplayer Mass Entry', name: name => name },
+  // Card Kingdom lists double-faced cards by the front face, without accents
+  cardkingdom: {
+    label: 'Card Kingdom',
+    name: name => name.split(' // ')[0].normalize('NFD').replace(/[̀-ͯ]/g, ''),
+  },
+};
+
+/** `cards` is [{ name, quantity }] (the shopping-list rows). */
+export function formatShoppingList(cards, format) {
+  const spell = (SHOPPING_LIST_FORMATS[format] || SHOPPING_LIST_FORMATS.tcgplayer).name;
+  return cards.map(card => `${card.quantity} ${spell(card.name)}`).join('\n') + '\n';
+}
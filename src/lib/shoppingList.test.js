@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { formatShoppingList } from './shoppingList.js';
+
+const CARDS = [
+  { name: 'Lightning Bolt', quantity: 4 },
+  { name: 'Fable of the Mirror-Breaker // Reflection of Kiki-Jiki', quantity: 1 },
+  { name: 'Nazgûl', quantity: 2 },
+];
+
+describe('formatShoppingList', () => {
+  it('writes TCGplayer Mass Entry lines with full double-faced names', () => {
+    expect(formatShoppingList(CARDS, 'tcgplayer')).toBe(
+      '4 Lightning Bolt\n1 Fable of the Mirror-Breaker // Reflection of Kiki-Jiki\n2 Nazgûl\n'
+    );
+  });
+
+  it('writes Card Kingdom lines with front faces and no accents', () => {
+    expect(formatShoppingList(CARDS, 'cardkingdom')).toBe(
+      '4 Lightning Bolt\n1 Fable of the Mirror-Breaker\n2 Nazgul\n'
+    );
+  });
+});
@@ -1,5 +1,20 @@
 import { useState, useEffect } from 'react';
 
+// Share links are handed out in path form (/deck/{id}, /share/{id}) so the
+// server can answer link unfurlers with preview meta. The app itself routes on
+// the hash: rewrite the path form in place before the first parse.
+function normalizeSharePath() {
+  const match = window.location.pathname.match(/^\/(deck|share)\/([\w-]+)\/?$/);
+  if (match && !window.location.hash) {
+    window.history.replaceState(null, '', `/#${match[1]}/${match[2]}`);
+  }
+}
+
+/** Public URL of a share link, e.g. shareLinkUrl('deck', id). */
+export function shareLinkUrl(route, id) {
+  return `${window.location.origin}/${route}/${id}`;
+}
+
 /**
  * Lightweight hash-based routing hook.
  * Parses window.location.hash into a route object.
@@ -10,7 +25,10 @@ import { useState, useEffect } from 'react';
  *   { route: 'main' }            for everything else
  */
 export function useHashRoute() {
-  const [hash, setHash] = useState(window.location.hash);
+  const [hash, setHash] = useState(() => {
+    normalizeSharePath();
+    return window.location.hash;
+  });
 
   useEffect(() => {
     const handler = () => setHash(window.location.hash);